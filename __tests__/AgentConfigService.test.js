@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Test suite for AgentConfigService
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Creating configs as version 1
+ * - Edits that create versions, no-op edits and active switches
+ * - Baseline versions for configs saved before versioning
+ * - Concurrent edits
+ * - Activating versions and rolling back
+ */
+
+const AgentConfigService = require('../src/services/AgentConfigService');
+
+describe('AgentConfigService', () => {
+  let dbService;
+  let toolRegistry;
+  let service;
+
+  const author = 'dana@example.com';
+
+  const configRow = (overrides = {}) => ({
+    name: 'sales_agent',
+    type: 'voice',
+    active: true,
+    system_prompt: 'You are a sales assistant.',
+    temperature: 0.7,
+    max_tokens: null,
+    tools: null,
+    active_version: 2,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    dbService = {
+      getAgentConfig: jest.fn().mockResolvedValue({ success: true, data: configRow() }),
+      getAllAgentConfigs: jest.fn().mockResolvedValue({ success: true, data: [configRow()] }),
+      createAgentConfig: jest.fn().mockImplementation(async fields => ({ success: true, data: fields })),
+      updateAgentConfig: jest.fn().mockImplementation(async (name, fields) => ({ success: true, data: { ...configRow(), ...fields } })),
+      getAgentConfigVersions: jest.fn().mockResolvedValue({ success: true, data: [{ version: 2 }, { version: 1 }] }),
+      getAgentConfigVersion: jest.fn().mockResolvedValue({ success: true, data: null }),
+      createAgentConfigVersion: jest.fn().mockImplementation(async fields => ({ success: true, data: { id: `v-${fields.version}`, ...fields } }))
+    };
+
+    toolRegistry = { has: jest.fn(tool => tool === 'lookup_customer') };
+
+    service = new AgentConfigService(dbService, { toolRegistry });
+  });
+
+  describe('createConfig()', () => {
+    test('should create the config and record it as version 1', async () => {
+      const result = await service.createConfig(
+        { name: 'support_agent', systemPrompt: 'You are support.', maxTokens: 200 },
+        { author, note: 'First draft' }
+      );
+
+      expect(result.success).toBe(true);
+      expect(dbService.createAgentConfig).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'support_agent',
+        type: 'voice',
+        system_prompt: 'You are support.',
+        max_tokens: 200,
+        active: true,
+        active_version: 1,
+        version_activated_by: author
+      }));
+      expect(dbService.createAgentConfigVersion).toHaveBeenCalledWith(expect.objectContaining({
+        agent_config_name: 'support_agent',
+        version: 1,
+        based_on_version: null,
+        author,
+        note: 'First draft',
+        diff: expect.objectContaining({ system_prompt: { from: null, to: 'You are support.' } })
+      }));
+      expect(result.data.version.version).toBe(1);
+    });
+
+    test('should reject invalid names, missing prompts and taken names', async () => {
+      expect((await service.createConfig({ name: 'sales agent', systemPrompt: 'x' }, { author })).error).toMatch(/name must be/);
+      expect((await service.createConfig({ name: 'support_agent' }, { author })).error).toBe('systemPrompt is required');
+
+      dbService.createAgentConfig.mockResolvedValue({ success: true, data: null });
+      expect((await service.createConfig({ name: 'sales_agent', systemPrompt: 'x' }, { author })).error).toBe('Agent config sales_agent already exists');
+      expect(dbService.createAgentConfigVersion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateConfig()', () => {
+    test('should save changed settings as a new active version with a diff', async () => {
+      const result = await service.updateConfig('sales_agent', { temperature: 0.4, maxTokens: 200 }, { author, note: 'Calmer' });
+
+      expect(result.success).toBe(true);
+      expect(dbService.createAgentConfigVersion).toHaveBeenCalledWith(expect.objectContaining({
+        agent_config_name: 'sales_agent',
+        version: 3,
+        based_on_version: 2,
+        author,
+        note: 'Calmer',
+        diff: { temperature: { from: 0.7, to: 0.4 }, max_tokens: { from: null, to: 200 } },
+        snapshot: expect.objectContaining({ system_prompt: 'You are a sales assistant.', temperature: 0.4, max_tokens: 200 })
+      }));
+      expect(dbService.updateAgentConfig).toHaveBeenCalledWith('sales_agent', expect.objectContaining({
+        temperature: 0.4,
+        max_tokens: 200,
+        active_version: 3,
+        version_activated_by: author
+      }));
+      expect(result.data.version.version).toBe(3);
+    });
+
+    test('should not create a version when nothing changed', async () => {
+      const result = await service.updateConfig('sales_agent', { temperature: 0.7 }, { author });
+
+      expect(result.data.version).toBeNull();
+      expect(dbService.createAgentConfigVersion).not.toHaveBeenCalled();
+      expect(dbService.updateAgentConfig).not.toHaveBeenCalled();
+    });
+
+    test('should switch active without creating a version', async () => {
+      const result = await service.updateConfig('sales_agent', { active: false }, { author });
+
+      expect(dbService.updateAgentConfig).toHaveBeenCalledWith('sales_agent', { active: false });
+      expect(dbService.createAgentConfigVersion).not.toHaveBeenCalled();
+      expect(result.data.version).toBeNull();
+    });
+
+    test('should keep the settings of configs saved before versioning as version 1', async () => {
+      dbService.getAgentConfig.mockResolvedValue({ success: true, data: configRow({ active_version: null }) });
+      dbService.getAgentConfigVersions.mockResolvedValue({ success: true, data: [] });
+
+      await service.updateConfig('sales_agent', { systemPrompt: 'You are a friendlier sales assistant.' }, { author });
+
+      expect(dbService.createAgentConfigVersion).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        version: 1,
+        author: 'system',
+        snapshot: expect.objectContaining({ system_prompt: 'You are a sales assistant.' })
+      }));
+      expect(dbService.createAgentConfigVersion).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        version: 2,
+        based_on_version: 1,
+        author
+      }));
+    });
+
+    test('should reject an edit that lost the race for the next version', async () => {
+      dbService.createAgentConfigVersion.mockResolvedValue({ success: true, data: null });
+
+      const result = await service.updateConfig('sales_agent', { temperature: 0.4 }, { author });
+
+      expect(result.error).toBe('sales_agent was changed while saving (version 3 already exists) - reload and try again');
+      expect(dbService.updateAgentConfig).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown tools, missing authors and unknown configs', async () => {
+      expect((await service.updateConfig('sales_agent', { tools: ['launch_rocket'] }, { author })).error).toBe('Unknown tools: launch_rocket');
+      expect((await service.updateConfig('sales_agent', { temperature: 0.4 }, {})).error).toMatch(/author must be/);
+
+      dbService.getAgentConfig.mockResolvedValue({ success: true, data: null, error: null });
+      expect(await service.updateConfig('missing', { temperature: 0.4 }, { author })).toEqual({ success: true, data: null, error: null });
+    });
+  });
+
+  test('listVersions() should return the versions with the active one', async () => {
+    const result = await service.listVersions('sales_agent');
+
+    expect(result.data).toEqual({ activeVersion: 2, versions: [{ version: 2 }, { version: 1 }] });
+  });
+
+  describe('activateVersion()', () => {
+    test('should copy the version snapshot onto the config', async () => {
+      dbService.getAgentConfigVersion.mockResolvedValue({
+        success: true,
+        data: { version: 1, snapshot: { type: 'voice', system_prompt: 'You are the old sales assistant.', temperature: 0.5 } }
+      });
+
+      const result = await service.activateVersion('sales_agent', '1', { author });
+
+      expect(dbService.getAgentConfigVersion).toHaveBeenCalledWith('sales_agent', 1);
+      expect(dbService.updateAgentConfig).toHaveBeenCalledWith('sales_agent', expect.objectContaining({
+        system_prompt: 'You are the old sales assistant.',
+        temperature: 0.5,
+        max_tokens: null,
+        active_version: 1,
+        version_activated_by: author
+      }));
+      expect(result.data).toMatchObject({ previousVersion: 2, activeVersion: 1 });
+    });
+
+    test('should do nothing when the version is already active', async () => {
+      dbService.getAgentConfigVersion.mockResolvedValue({ success: true, data: { version: 2, snapshot: {} } });
+
+      const result = await service.activateVersion('sales_agent', 2, { author });
+
+      expect(result.data).toMatchObject({ previousVersion: 2, activeVersion: 2 });
+      expect(dbService.updateAgentConfig).not.toHaveBeenCalled();
+    });
+
+    test('should report unknown configs and versions', async () => {
+      expect((await service.activateVersion('sales_agent', 9, { author })).error).toBe('Version 9 of sales_agent not found');
+      expect((await service.activateVersion('sales_agent', 'latest', { author })).error).toBe('version must be a positive whole number');
+
+      dbService.getAgentConfig.mockResolvedValue({ success: true, data: null });
+      expect((await service.activateVersion('missing', 1, { author })).error).toBe('Agent config missing not found');
+    });
+  });
+
+  describe('rollback()', () => {
+    test('should activate the version before the active one', async () => {
+      dbService.getAgentConfig.mockResolvedValue({ success: true, data: configRow({ active_version: 3 }) });
+      dbService.getAgentConfigVersions.mockResolvedValue({ success: true, data: [{ version: 4 }, { version: 3 }, { version: 2 }, { version: 1 }] });
+      dbService.getAgentConfigVersion.mockResolvedValue({ success: true, data: { version: 2, snapshot: { system_prompt: 'v2' } } });
+
+      const result = await service.rollback('sales_agent', { author });
+
+      expect(dbService.getAgentConfigVersion).toHaveBeenCalledWith('sales_agent', 2);
+      expect(result.data).toMatchObject({ previousVersion: 3, activeVersion: 2 });
+    });
+
+    test('should refuse when there is no earlier version', async () => {
+      dbService.getAgentConfig.mockResolvedValue({ success: true, data: configRow({ active_version: 1 }) });
+      dbService.getAgentConfigVersions.mockResolvedValue({ success: true, data: [{ version: 1 }] });
+
+      const result = await service.rollback('sales_agent', { author });
+
+      expect(result.error).toBe('sales_agent has no earlier version to roll back to');
+      expect(dbService.updateAgentConfig).not.toHaveBeenCalled();
+    });
+  });
+});
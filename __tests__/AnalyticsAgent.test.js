@@ -2,12 +2,12 @@
  * @fileoverview Comprehensive test suite for AnalyticsAgent
  * @author LegacyAI Analytics Agent
  * @created 2025-10-01T12:00:00Z
- * @lastModified 2025-10-01T12:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This test suite provides comprehensive coverage of all AnalyticsAgent functionality:
  * - Call status tracking
  * - Metrics tracking and aggregation
- * - Daily analytics calculation
+ * - Daily analytics calculation (simulated conversations excluded)
  * - Sentiment trend analysis
  * - Escalation rate monitoring
  * - Daily report generation
@@ -28,7 +28,12 @@ class MockDatabaseService {
         select: () => ({
           gte: () => ({
             lte: () => ({
-              then: (callback) => callback({ data: this.mockConversations, error: null })
+              eq: (column, value) => ({
+                then: (callback) => callback({
+                  data: this.mockConversations.filter(c => (c[column] ?? false) === value),
+                  error: null
+                })
+              })
             })
           })
         })
@@ -280,6 +285,36 @@ describe('AnalyticsAgent', () => {
       expect(result.data.avg_sentiment).toBeDefined();
     });
 
+    test('should leave simulated conversations out of the totals', async () => {
+      mockDatabaseService.mockConversations = [
+        {
+          call_sid: 'CA001',
+          phone_number: '+1111111111',
+          status: 'ended',
+          started_at: '2025-10-01T10:00:00Z',
+          duration_seconds: 120,
+          sentiment_score: 0.8,
+          escalated: false,
+          is_simulated: false
+        },
+        {
+          call_sid: 'sim:1',
+          phone_number: 'simulator',
+          status: 'escalated',
+          started_at: '2025-10-01T11:00:00Z',
+          sentiment_score: -0.9,
+          escalated: true,
+          is_simulated: true
+        }
+      ];
+
+      const result = await analyticsAgent.calculateDailyAnalytics('2025-10-01');
+
+      expect(result.data.total_calls).toBe(1);
+      expect(result.data.escalations).toBe(0);
+      expect(result.data.unique_callers).toBe(1);
+    });
+
     test('should handle date with no calls', async () => {
       const result = await analyticsAgent.calculateDailyAnalytics('2025-10-15');
 
@@ -666,6 +701,65 @@ describe('MetricsService', () => {
     });
   });
 
+  describe('countAnsweringOutcomes', () => {
+    test('should count AMD outcomes and voicemails left', () => {
+      const calls = [
+        { metadata: { amd: { outcome: 'human' } } },
+        { metadata: { amd: { outcome: 'machine', voicemailLeft: true } } },
+        { metadata: { amd: { outcome: 'machine' } } },
+        { metadata: { amd: { outcome: 'fax' } } },
+        { metadata: {} },
+        { metadata: null }
+      ];
+
+      const counts = metricsService.countAnsweringOutcomes(calls);
+
+      expect(counts).toEqual({ human: 1, machine: 2, fax: 1, unknown: 0, voicemailsLeft: 1 });
+    });
+  });
+
+  describe('countDialogOutcomes', () => {
+    test('should count reprompted calls, misses and outcomes', () => {
+      const calls = [
+        { metadata: { dialog: { noInput: 2, outcome: 'recovered' } } },
+        { metadata: { dialog: { noInput: 1, noMatch: 3, outcome: 'ended_no_match' } } },
+        { metadata: { dialog: { noMatch: 1 } } },
+        { metadata: { dialog: { outcome: 'keypad_message' } } },
+        { metadata: {} },
+        { metadata: null }
+      ];
+
+      const counts = metricsService.countDialogOutcomes(calls);
+
+      expect(counts).toEqual({
+        calls: 4,
+        noInput: 3,
+        noMatch: 4,
+        outcomes: { recovered: 1, ended_no_input: 0, ended_no_match: 1, keypad_transfer: 0, keypad_message: 1 }
+      });
+    });
+  });
+
+  describe('summarizeByMenuSelection', () => {
+    test('should group calls, escalations and sentiment by menu selection', () => {
+      const calls = [
+        { escalated: false, sentiment_score: 0.8, metadata: { ivr: { selection: 'sales' } } },
+        { escalated: false, sentiment_score: 0.4, metadata: { ivr: { selection: 'sales' } } },
+        { escalated: true, sentiment_score: -0.5, metadata: { ivr: { selection: 'support' } } },
+        { escalated: false, sentiment_score: 0.1, metadata: { ivr: { selection: null } } },
+        { escalated: false, sentiment_score: 0.9, metadata: {} }
+      ];
+
+      const breakdown = metricsService.summarizeByMenuSelection(calls);
+
+      expect(breakdown).toEqual({
+        sales: { calls: 2, escalations: 0, avgSentiment: 0.6 },
+        support: { calls: 1, escalations: 1, avgSentiment: -0.5 },
+        unmatched: { calls: 1, escalations: 0, avgSentiment: 0.1 }
+      });
+    });
+  });
+
   describe('identifyTrends', () => {
     test('should identify improving trend', () => {
       const dataPoints = [
@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Test suite for the built-in AI tools
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Customer lookup for the conversation's customer only
+ * - Scheduling follow-ups with validation
+ * - Appointment availability from business hours and rep calendars
+ * - Holding, confirming and cancelling appointments
+ * - Recording lead qualification slots
+ * - SMS links to the caller
+ * - Transfers to a human
+ */
+
+const {
+  BUILTIN_TOOLS,
+  registerBuiltinTools,
+  lookupCustomerTool,
+  createScheduledTaskTool,
+  checkAppointmentAvailabilityTool,
+  holdAppointmentTool,
+  confirmAppointmentTool,
+  cancelAppointmentTool,
+  recordQualificationTool,
+  sendSmsLinkTool,
+  transferToHumanTool
+} = require('../src/services/BuiltinTools');
+const ToolRegistry = require('../src/services/ToolRegistry');
+const QualificationService = require('../src/services/QualificationService');
+
+describe('BuiltinTools', () => {
+  let dbService;
+  let voiceAgent;
+  let toolContext;
+
+  beforeEach(() => {
+    dbService = {
+      getCustomer: jest.fn().mockResolvedValue({
+        success: true,
+        data: { id: 'cust-1', name: 'Pat Lee', company: 'Acme', email: 'pat@acme.test', tags: ['vip'], needs: ['pricing'], lead_score: 80 }
+      }),
+      getCustomerOpenTasks: jest.fn().mockResolvedValue({
+        success: true,
+        data: [{ task_type: 'callback', scheduled_for: '2026-10-20T14:00:00Z', payload: { reason: 'quote' } }]
+      }),
+      createScheduledTask: jest.fn().mockResolvedValue({ success: true, data: { id: 'task-1' } })
+    };
+
+    voiceAgent = {
+      isEscalationEnabled: jest.fn().mockReturnValue(true),
+      twilioService: { sendSMS: jest.fn().mockResolvedValue({ success: true, data: { sid: 'SM123' } }) }
+    };
+
+    toolContext = {
+      conversation: {
+        conversationId: 'conv-1',
+        callSid: 'CA123',
+        customerId: 'cust-1',
+        phoneNumber: '+15551234567',
+        channel: 'voice',
+        agentConfigName: 'sales_agent',
+        businessHours: null
+      },
+      dbService,
+      voiceAgent,
+      fromNumber: '+15550000000',
+      dryRun: false,
+      outcome: {}
+    };
+  });
+
+  test('should register every built-in tool', () => {
+    const registry = registerBuiltinTools(new ToolRegistry());
+
+    expect(registry.list().map(tool => tool.name)).toEqual(BUILTIN_TOOLS.map(tool => tool.name));
+  });
+
+  describe('lookup_customer', () => {
+    test('should return the conversation customer and open follow-ups', async () => {
+      const output = await lookupCustomerTool.handler({}, toolContext);
+
+      expect(dbService.getCustomer).toHaveBeenCalledWith('cust-1');
+      expect(output).toEqual({
+        found: true,
+        name: 'Pat Lee',
+        company: 'Acme',
+        email: 'pat@acme.test',
+        tags: ['vip'],
+        needs: ['pricing'],
+        openTasks: [{ type: 'callback', scheduledFor: '2026-10-20T14:00:00Z', reason: 'quote' }]
+      });
+    });
+
+    test('should report unknown callers', async () => {
+      toolContext.conversation.customerId = null;
+
+      expect(await lookupCustomerTool.handler({}, toolContext)).toEqual({ found: false });
+      expect(dbService.getCustomer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('create_scheduled_task', () => {
+    test('should schedule a task for the conversation customer', async () => {
+      const output = await createScheduledTaskTool.handler({
+        task_type: 'callback',
+        scheduled_for: '2099-01-05T10:00:00-05:00',
+        reason: 'pricing questions'
+      }, toolContext);
+
+      expect(dbService.createScheduledTask).toHaveBeenCalledWith({
+        customer_id: 'cust-1',
+        task_type: 'callback',
+        scheduled_for: '2099-01-05T15:00:00.000Z',
+        payload: {
+          reason: 'pricing questions',
+          conversationId: 'conv-1',
+          agentConfigName: 'sales_agent',
+          source: 'ai_tool'
+        }
+      });
+      expect(output).toEqual({ taskId: 'task-1', taskType: 'callback', scheduledFor: '2099-01-05T15:00:00.000Z' });
+    });
+
+    test('should reject past times, bad dates and messages missing for SMS', async () => {
+      await expect(createScheduledTaskTool.handler({ task_type: 'callback', scheduled_for: '2001-01-01T00:00:00Z', reason: 'x' }, toolContext))
+        .rejects.toThrow('must be in the future');
+      await expect(createScheduledTaskTool.handler({ task_type: 'callback', scheduled_for: 'next tuesday', reason: 'x' }, toolContext))
+        .rejects.toThrow('not a valid date-time');
+      await expect(createScheduledTaskTool.handler({ task_type: 'send_sms', scheduled_for: '2099-01-05T15:00:00Z', reason: 'x' }, toolContext))
+        .rejects.toThrow('message is required for send_sms');
+      expect(dbService.createScheduledTask).not.toHaveBeenCalled();
+    });
+
+    test('should need a customer record', async () => {
+      toolContext.conversation.customerId = null;
+
+      await expect(createScheduledTaskTool.handler({ task_type: 'callback', scheduled_for: '2099-01-05T15:00:00Z', reason: 'x' }, toolContext))
+        .rejects.toThrow('not linked to a customer record');
+    });
+  });
+
+  describe('check_appointment_availability', () => {
+    test('should offer open slots from the business hours on the requested day', async () => {
+      toolContext.conversation.businessHours = {
+        timezone: 'America/New_York',
+        weekly: { mon: [{ open: '09:00', close: '17:00' }] }
+      };
+
+      const output = await checkAppointmentAvailabilityTool.handler({ date: '2099-01-05', count: 2 }, toolContext);
+
+      expect(output).toEqual({
+        timezone: 'America/New_York',
+        slots: [
+          { start: '2099-01-05T14:00:00.000Z', label: 'Monday, January 5 at 9:00 AM' },
+          { start: '2099-01-05T14:30:00.000Z', label: 'Monday, January 5 at 9:30 AM' }
+        ]
+      });
+    });
+
+    test('should explain when no calendar is set up', async () => {
+      const output = await checkAppointmentAvailabilityTool.handler({}, toolContext);
+
+      expect(output.slots).toEqual([]);
+      expect(output.note).toContain('Offer a callback');
+    });
+  });
+
+  describe('check_appointment_availability with rep calendars', () => {
+    beforeEach(() => {
+      toolContext.calendarService = {
+        findSlots: jest.fn().mockResolvedValue({
+          success: true,
+          data: {
+            meetingType: 'demo',
+            durationMinutes: 30,
+            timezone: 'America/New_York',
+            slots: [{ start: '2099-01-05T14:00:00.000Z', end: '2099-01-05T14:30:00.000Z', repId: 'rep-1', repName: 'Sam Rep', label: 'Monday, January 5 at 9:00 AM' }]
+          },
+          error: null
+        })
+      };
+    });
+
+    test('should offer rep slots for a meeting type', async () => {
+      const output = await checkAppointmentAvailabilityTool.handler({ meeting_type: 'demo', date: '2099-01-05', count: 9 }, toolContext);
+
+      expect(toolContext.calendarService.findSlots).toHaveBeenCalledWith({ meetingType: 'demo', date: '2099-01-05', count: 5, timezone: null });
+      expect(output).toEqual({
+        meetingType: 'demo',
+        durationMinutes: 30,
+        timezone: 'America/New_York',
+        slots: [{ start: '2099-01-05T14:00:00.000Z', label: 'Monday, January 5 at 9:00 AM', with: 'Sam Rep' }]
+      });
+    });
+
+    test('should keep using business hours when no meeting type is asked for', async () => {
+      toolContext.conversation.businessHours = { timezone: 'UTC', weekly: { mon: [{ open: '09:00', close: '17:00' }] } };
+
+      const output = await checkAppointmentAvailabilityTool.handler({ date: '2099-01-05', count: 1 }, toolContext);
+
+      expect(toolContext.calendarService.findSlots).not.toHaveBeenCalled();
+      expect(output.slots).toEqual([{ start: '2099-01-05T09:00:00.000Z', label: 'Monday, January 5 at 9:00 AM' }]);
+    });
+  });
+
+  describe('appointment booking', () => {
+    beforeEach(() => {
+      toolContext.calendarService = {
+        holdSlot: jest.fn().mockResolvedValue({
+          success: true,
+          data: {
+            appointment: { id: 'appt-1', start_at: '2099-01-05T14:00:00.000Z', hold_expires_at: '2099-01-01T12:10:00.000Z' },
+            rep: { name: 'Sam Rep' },
+            label: 'Monday, January 5 at 9:00 AM'
+          },
+          error: null
+        }),
+        confirmAppointment: jest.fn().mockResolvedValue({
+          success: true,
+          data: {
+            appointment: { id: 'appt-1', attendee_email: 'pat@acme.test' },
+            label: 'Monday, January 5 at 9:00 AM',
+            emailSent: true,
+            reminderTaskIds: ['task-email', 'task-sms']
+          },
+          error: null
+        }),
+        cancelAppointment: jest.fn().mockResolvedValue({ success: true, data: { emailSent: true }, error: null })
+      };
+    });
+
+    test('should hold the picked slot for the conversation customer', async () => {
+      const output = await holdAppointmentTool.handler({ start: '2099-01-05T14:00:00.000Z', meeting_type: 'demo' }, toolContext);
+
+      expect(toolContext.calendarService.holdSlot).toHaveBeenCalledWith({
+        start: '2099-01-05T14:00:00.000Z',
+        meetingType: 'demo',
+        customerId: 'cust-1',
+        conversationId: 'conv-1',
+        timezone: null
+      });
+      expect(output).toEqual({
+        held: true,
+        appointmentId: 'appt-1',
+        start: '2099-01-05T14:00:00.000Z',
+        label: 'Monday, January 5 at 9:00 AM',
+        with: 'Sam Rep',
+        holdExpiresAt: '2099-01-01T12:10:00.000Z'
+      });
+    });
+
+    test('should say when the slot was taken', async () => {
+      toolContext.calendarService.holdSlot.mockResolvedValue({ success: true, data: null, error: null });
+
+      const output = await holdAppointmentTool.handler({ start: '2099-01-05T14:00:00.000Z' }, toolContext);
+
+      expect(output.held).toBe(false);
+      expect(output.note).toContain('no longer available');
+    });
+
+    test('should confirm with the email on file', async () => {
+      const output = await confirmAppointmentTool.handler({ appointment_id: 'appt-1' }, toolContext);
+
+      expect(toolContext.calendarService.confirmAppointment).toHaveBeenCalledWith('appt-1', {
+        customerId: 'cust-1',
+        email: 'pat@acme.test',
+        name: 'Pat Lee',
+        timezone: null
+      });
+      expect(output).toEqual({ confirmed: true, label: 'Monday, January 5 at 9:00 AM', inviteSentTo: 'pat@acme.test', reminders: 2 });
+    });
+
+    test('should surface confirmation errors to the model', async () => {
+      toolContext.calendarService.confirmAppointment.mockResolvedValue({
+        success: false,
+        data: null,
+        error: 'The hold on this slot has expired; check availability again'
+      });
+
+      await expect(confirmAppointmentTool.handler({ appointment_id: 'appt-1' }, toolContext)).rejects.toThrow('expired');
+    });
+
+    test('should cancel for the conversation customer only', async () => {
+      const output = await cancelAppointmentTool.handler({ appointment_id: 'appt-1', reason: 'rescheduling' }, toolContext);
+
+      expect(toolContext.calendarService.cancelAppointment).toHaveBeenCalledWith('appt-1', { customerId: 'cust-1', reason: 'rescheduling' });
+      expect(output).toEqual({ cancelled: true, cancellationSent: true });
+    });
+
+    test('should need booking to be set up and a customer record', async () => {
+      toolContext.conversation.customerId = null;
+      await expect(holdAppointmentTool.handler({ start: '2099-01-05T14:00:00.000Z' }, toolContext)).rejects.toThrow('not linked to a customer');
+
+      delete toolContext.calendarService;
+      await expect(cancelAppointmentTool.handler({ appointment_id: 'appt-1' }, toolContext)).rejects.toThrow('not available');
+    });
+  });
+
+  describe('record_qualification', () => {
+    beforeEach(async () => {
+      dbService.updateConversation = jest.fn().mockResolvedValue({ success: true, data: {} });
+      dbService.updateCustomer = jest.fn().mockResolvedValue({ success: true, data: {} });
+      toolContext.conversation.turn = 2;
+      toolContext.qualificationService = new QualificationService({}, dbService);
+      toolContext.qualification = await toolContext.qualificationService.startSession({
+        conversationId: 'conv-1',
+        customerId: 'cust-1',
+        settings: { framework: 'bant' }
+      });
+    });
+
+    test('should record slots and report the new score', async () => {
+      const output = await recordQualificationTool.handler({
+        slots: [
+          { slot: 'budget', value: '$10k a year', confidence: 0.9, fit: 1 },
+          { slot: 'timeline', value: 'this quarter', confidence: 0.8, fit: 0.8 }
+        ]
+      }, toolContext);
+
+      expect(output).toEqual({ recorded: ['budget', 'timeline'], score: 39, status: 'in_progress', missing: ['authority', 'need'] });
+      expect(toolContext.qualification.state.slots.budget).toMatchObject({ source: 'ai', turn: 2 });
+      expect(dbService.updateCustomer).toHaveBeenCalledWith('cust-1', expect.objectContaining({ lead_score: 39 }));
+    });
+
+    test('should list the valid slots when given unknown ones', async () => {
+      const output = await recordQualificationTool.handler({
+        slots: [{ slot: 'champion', value: 'Dana' }]
+      }, toolContext);
+
+      expect(output).toMatchObject({ recorded: [], ignored: ['champion'], validSlots: ['budget', 'authority', 'need', 'timeline'] });
+      expect(dbService.updateCustomer).not.toHaveBeenCalled();
+    });
+
+    test('should need a qualification session', async () => {
+      toolContext.qualification = null;
+
+      await expect(recordQualificationTool.handler({ slots: [] }, toolContext)).rejects.toThrow('not set up');
+    });
+  });
+
+  describe('send_sms_link', () => {
+    test('should text the link to the caller', async () => {
+      const output = await sendSmsLinkTool.handler({ url: 'https://acme.test/book', message: 'Book here:' }, toolContext);
+
+      expect(voiceAgent.twilioService.sendSMS).toHaveBeenCalledWith('+15551234567', '+15550000000', 'Book here: https://acme.test/book');
+      expect(output).toEqual({ sent: true, messageSid: 'SM123' });
+    });
+
+    test('should only send http and https links', async () => {
+      await expect(sendSmsLinkTool.handler({ url: 'javascript:alert(1)' }, toolContext)).rejects.toThrow('Only http and https');
+      await expect(sendSmsLinkTool.handler({ url: 'not a url' }, toolContext)).rejects.toThrow('Invalid URL');
+      expect(voiceAgent.twilioService.sendSMS).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transfer_to_human', () => {
+    test('should flag the turn for transfer', async () => {
+      const output = await transferToHumanTool.handler({ reason: 'billing dispute' }, toolContext);
+
+      expect(output).toEqual({ transferring: true });
+      expect(toolContext.outcome.transfer).toEqual({ reason: 'billing dispute' });
+    });
+
+    test('should not transfer when no one can take the call', async () => {
+      voiceAgent.isEscalationEnabled.mockReturnValue(false);
+
+      const output = await transferToHumanTool.handler({ reason: 'billing dispute' }, toolContext);
+
+      expect(output.transferring).toBe(false);
+      expect(toolContext.outcome.transfer).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Test suite for CalendarService
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Slot generation by meeting type around bookings and buffers
+ * - Holds: conflict fallback to the next rep, unavailable and too-soon times
+ * - Confirmation: reminders, invite emails with an .ics attachment, expiry
+ * - Cancellation: reminders cancelled and a cancellation invite
+ */
+
+const CalendarService = require('../src/services/CalendarService');
+
+describe('CalendarService', () => {
+  let dbService;
+  let emailService;
+  let calendarService;
+
+  // Sunday noon UTC; Monday 2026-10-19 09:00 in New York is 13:00 UTC
+  const NOW = new Date('2026-10-18T12:00:00Z');
+
+  const demo = {
+    name: 'demo',
+    label: 'Product demo',
+    description: 'A walkthrough of the product.',
+    duration_minutes: 30,
+    buffer_minutes: 15,
+    location: 'https://meet.example.com/demo'
+  };
+
+  const availability = {
+    timezone: 'America/New_York',
+    weekly: { mon: [{ open: '09:00', close: '12:00' }] }
+  };
+
+  const sam = { id: 'rep-sam', name: 'Sam Rep', email: 'sam@example.com', availability };
+  const alex = { id: 'rep-alex', name: 'Alex Rep', email: 'alex@example.com', availability };
+
+  const response = (data, error = null) => ({ success: !error, data, error });
+
+  beforeEach(() => {
+    dbService = {
+      getMeetingType: jest.fn().mockResolvedValue(response(demo)),
+      getMeetingTypes: jest.fn().mockResolvedValue(response([demo])),
+      getSalesReps: jest.fn().mockResolvedValue(response([sam])),
+      getRepAppointments: jest.fn().mockResolvedValue(response([])),
+      expireAppointmentHolds: jest.fn().mockResolvedValue(response([])),
+      releaseConversationHolds: jest.fn().mockResolvedValue(response([])),
+      createAppointment: jest.fn(async row => response({ id: 'appt-1', ...row })),
+      getAppointment: jest.fn(),
+      updateAppointment: jest.fn(async (id, update) => response({ id, ...update })),
+      createScheduledTask: jest.fn()
+        .mockResolvedValueOnce(response({ id: 'task-email' }))
+        .mockResolvedValueOnce(response({ id: 'task-sms' })),
+      cancelScheduledTasks: jest.fn().mockResolvedValue(response([]))
+    };
+
+    emailService = {
+      sendEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'msg-1' })
+    };
+
+    calendarService = new CalendarService({ minNoticeMinutes: 120, holdMinutes: 10 }, dbService);
+    calendarService.attachEmailService(emailService);
+  });
+
+  describe('findSlots()', () => {
+    test('should offer slots around bookings, keeping the buffer free', async () => {
+      dbService.getRepAppointments.mockResolvedValue(response([{
+        rep_id: 'rep-sam',
+        status: 'confirmed',
+        start_at: '2026-10-19T13:30:00.000Z',
+        end_at: '2026-10-19T14:00:00.000Z',
+        blocked_until: '2026-10-19T14:15:00.000Z'
+      }]));
+
+      const result = await calendarService.findSlots({ now: NOW });
+
+      expect(dbService.getMeetingType).toHaveBeenCalledWith('demo');
+      expect(result.data.timezone).toBe('America/New_York');
+      expect(result.data.slots).toEqual([
+        { start: '2026-10-19T14:30:00.000Z', end: '2026-10-19T15:00:00.000Z', repId: 'rep-sam', repName: 'Sam Rep', label: 'Monday, October 19 at 10:30 AM' },
+        { start: '2026-10-19T15:00:00.000Z', end: '2026-10-19T15:30:00.000Z', repId: 'rep-sam', repName: 'Sam Rep', label: 'Monday, October 19 at 11:00 AM' },
+        { start: '2026-10-19T15:30:00.000Z', end: '2026-10-19T16:00:00.000Z', repId: 'rep-sam', repName: 'Sam Rep', label: 'Monday, October 19 at 11:30 AM' }
+      ]);
+    });
+
+    test('should ignore holds that have run out', async () => {
+      dbService.getRepAppointments.mockResolvedValue(response([{
+        rep_id: 'rep-sam',
+        status: 'held',
+        hold_expires_at: '2026-10-18T11:00:00.000Z',
+        start_at: '2026-10-19T13:00:00.000Z',
+        end_at: '2026-10-19T13:30:00.000Z',
+        blocked_until: '2026-10-19T13:45:00.000Z'
+      }]));
+
+      const result = await calendarService.findSlots({ now: NOW, count: 1 });
+
+      expect(result.data.slots[0].start).toBe('2026-10-19T13:00:00.000Z');
+    });
+
+    test('should offer a time once when several reps are free', async () => {
+      dbService.getSalesReps.mockResolvedValue(response([alex, sam]));
+
+      const result = await calendarService.findSlots({ now: NOW, count: 2 });
+
+      expect(result.data.slots.map(slot => [slot.start, slot.repName])).toEqual([
+        ['2026-10-19T13:00:00.000Z', 'Alex Rep'],
+        ['2026-10-19T13:30:00.000Z', 'Alex Rep']
+      ]);
+    });
+
+    test('should return no slots when no rep takes the meeting type', async () => {
+      dbService.getSalesReps.mockResolvedValue(response([]));
+
+      const result = await calendarService.findSlots({ now: NOW });
+
+      expect(result).toMatchObject({ success: true, data: { meetingType: 'demo', slots: [] } });
+    });
+
+    test('should report unknown meeting types', async () => {
+      dbService.getMeetingType.mockResolvedValue(response(null));
+
+      const result = await calendarService.findSlots({ meetingType: 'lunch', now: NOW });
+
+      expect(result).toEqual({ success: false, data: null, error: 'Unknown meeting type: lunch' });
+    });
+  });
+
+  describe('holdSlot()', () => {
+    test('should hold an open slot for the customer', async () => {
+      const result = await calendarService.holdSlot({
+        start: '2026-10-19T13:00:00.000Z',
+        customerId: 'cust-1',
+        conversationId: 'conv-1',
+        now: NOW
+      });
+
+      expect(dbService.expireAppointmentHolds).toHaveBeenCalledWith('2026-10-18T12:00:00.000Z');
+      expect(dbService.releaseConversationHolds).toHaveBeenCalledWith('conv-1');
+      expect(dbService.createAppointment).toHaveBeenCalledWith({
+        rep_id: 'rep-sam',
+        customer_id: 'cust-1',
+        conversation_id: 'conv-1',
+        meeting_type: 'demo',
+        start_at: '2026-10-19T13:00:00.000Z',
+        end_at: '2026-10-19T13:30:00.000Z',
+        blocked_until: '2026-10-19T13:45:00.000Z',
+        status: 'held',
+        hold_expires_at: '2026-10-18T12:10:00.000Z'
+      });
+      expect(result.data.label).toBe('Monday, October 19 at 9:00 AM');
+      expect(result.data.rep.name).toBe('Sam Rep');
+    });
+
+    test('should try the next rep when another call took the slot', async () => {
+      dbService.getSalesReps.mockResolvedValue(response([alex, sam]));
+      dbService.createAppointment
+        .mockResolvedValueOnce(response(null))
+        .mockImplementationOnce(async row => response({ id: 'appt-2', ...row }));
+
+      const result = await calendarService.holdSlot({ start: '2026-10-19T13:00:00.000Z', customerId: 'cust-1', now: NOW });
+
+      expect(dbService.createAppointment).toHaveBeenCalledTimes(2);
+      expect(result.data.appointment).toMatchObject({ id: 'appt-2', rep_id: 'rep-sam' });
+    });
+
+    test('should not hold times outside availability or too soon', async () => {
+      const closed = await calendarService.holdSlot({ start: '2026-10-19T18:00:00.000Z', customerId: 'cust-1', now: NOW });
+      const soon = await calendarService.holdSlot({ start: '2026-10-18T13:00:00.000Z', customerId: 'cust-1', now: NOW });
+
+      expect(closed).toEqual({ success: true, data: null, error: null });
+      expect(soon.error).toContain('at least 120 minutes notice');
+      expect(dbService.createAppointment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmAppointment()', () => {
+    const held = {
+      id: 'appt-1',
+      rep_id: 'rep-sam',
+      customer_id: 'cust-1',
+      meeting_type: 'demo',
+      status: 'held',
+      start_at: '2026-10-20T13:00:00.000Z',
+      end_at: '2026-10-20T13:30:00.000Z',
+      hold_expires_at: '2026-10-18T12:05:00.000Z',
+      sales_reps: sam
+    };
+
+    test('should book the hold, schedule reminders and email the invite', async () => {
+      dbService.getAppointment.mockResolvedValue(response(held));
+      dbService.updateAppointment.mockImplementation(async (id, update) => response({ ...held, ...update, sales_reps: undefined }));
+
+      const result = await calendarService.confirmAppointment('appt-1', {
+        customerId: 'cust-1',
+        email: 'pat@acme.test',
+        name: 'Pat Lee',
+        now: NOW
+      });
+
+      expect(dbService.updateAppointment).toHaveBeenCalledWith('appt-1', {
+        status: 'confirmed',
+        confirmed_at: '2026-10-18T12:00:00.000Z',
+        hold_expires_at: null,
+        attendee_email: 'pat@acme.test',
+        attendee_name: 'Pat Lee'
+      }, ['held']);
+
+      expect(dbService.createScheduledTask).toHaveBeenCalledWith(expect.objectContaining({
+        customer_id: 'cust-1',
+        task_type: 'send_email',
+        scheduled_for: '2026-10-19T13:00:00.000Z',
+        payload: expect.objectContaining({ email: 'pat@acme.test', appointmentId: 'appt-1' })
+      }));
+      expect(dbService.createScheduledTask).toHaveBeenCalledWith(expect.objectContaining({
+        task_type: 'send_sms',
+        scheduled_for: '2026-10-20T12:00:00.000Z',
+        payload: expect.objectContaining({ message: 'Reminder: your Product demo with Sam Rep is Tuesday, October 20 at 9:00 AM.' })
+      }));
+      expect(dbService.updateAppointment).toHaveBeenCalledWith('appt-1', { reminder_task_ids: ['task-email', 'task-sms'] });
+
+      const [to, subject, , options] = emailService.sendEmail.mock.calls[0];
+      expect(to).toBe('pat@acme.test');
+      expect(subject).toBe('Confirmed: Product demo on Tuesday, October 20 at 9:00 AM');
+      expect(options.attachments[0]).toMatchObject({ filename: 'invite.ics', contentType: 'text/calendar; charset=utf-8; method=REQUEST' });
+      expect(options.attachments[0].content).toContain('DTSTART:20261020T130000Z');
+      expect(emailService.sendEmail.mock.calls[1][0]).toBe('sam@example.com');
+
+      expect(result.data).toMatchObject({ emailSent: true, reminderTaskIds: ['task-email', 'task-sms'], alreadyConfirmed: false });
+    });
+
+    test('should refuse holds that have expired', async () => {
+      dbService.getAppointment.mockResolvedValue(response({ ...held, hold_expires_at: '2026-10-18T11:59:00.000Z' }));
+
+      const result = await calendarService.confirmAppointment('appt-1', { customerId: 'cust-1', now: NOW });
+
+      expect(result.error).toContain('expired');
+      expect(dbService.updateAppointment).not.toHaveBeenCalled();
+    });
+
+    test("should not confirm another customer's appointment", async () => {
+      dbService.getAppointment.mockResolvedValue(response(held));
+
+      const result = await calendarService.confirmAppointment('appt-1', { customerId: 'cust-2', now: NOW });
+
+      expect(result.error).toBe('Appointment not found: appt-1');
+      expect(dbService.updateAppointment).not.toHaveBeenCalled();
+    });
+
+    test('should not send anything twice', async () => {
+      dbService.getAppointment.mockResolvedValue(response({ ...held, status: 'confirmed', reminder_task_ids: ['task-email'] }));
+
+      const result = await calendarService.confirmAppointment('appt-1', { customerId: 'cust-1', now: NOW });
+
+      expect(result.data).toMatchObject({ alreadyConfirmed: true, emailSent: false, reminderTaskIds: ['task-email'] });
+      expect(emailService.sendEmail).not.toHaveBeenCalled();
+      expect(dbService.createScheduledTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelAppointment()', () => {
+    test('should cancel a booking, its reminders and send a cancellation invite', async () => {
+      dbService.getAppointment.mockResolvedValue(response({
+        id: 'appt-1',
+        customer_id: 'cust-1',
+        meeting_type: 'demo',
+        status: 'confirmed',
+        start_at: '2026-10-20T13:00:00.000Z',
+        end_at: '2026-10-20T13:30:00.000Z',
+        attendee_email: 'pat@acme.test',
+        reminder_task_ids: ['task-email', 'task-sms'],
+        ics_sequence: 0,
+        sales_reps: sam
+      }));
+      dbService.updateAppointment.mockImplementation(async (id, update) => response({
+        id,
+        meeting_type: 'demo',
+        start_at: '2026-10-20T13:00:00.000Z',
+        end_at: '2026-10-20T13:30:00.000Z',
+        attendee_email: 'pat@acme.test',
+        ...update
+      }));
+
+      const result = await calendarService.cancelAppointment('appt-1', { customerId: 'cust-1', reason: 'rescheduling' });
+
+      expect(dbService.updateAppointment).toHaveBeenCalledWith('appt-1', expect.objectContaining({
+        status: 'cancelled',
+        cancel_reason: 'rescheduling',
+        ics_sequence: 1
+      }), ['held', 'confirmed']);
+      expect(dbService.cancelScheduledTasks).toHaveBeenCalledWith(['task-email', 'task-sms']);
+
+      const [, subject, , options] = emailService.sendEmail.mock.calls[0];
+      expect(subject).toBe('Cancelled: Product demo on Tuesday, October 20 at 9:00 AM');
+      expect(options.attachments[0].content).toContain('METHOD:CANCEL');
+      expect(options.attachments[0].content).toContain('SEQUENCE:1');
+      expect(result.data.emailSent).toBe(true);
+    });
+
+    test('should report appointments that are no longer active', async () => {
+      dbService.getAppointment.mockResolvedValue(response({ id: 'appt-1', status: 'expired', sales_reps: sam }));
+      dbService.updateAppointment.mockResolvedValue(response(null));
+
+      const result = await calendarService.cancelAppointment('appt-1');
+
+      expect(result.error).toBe('Appointment is already expired');
+      expect(emailService.sendEmail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Test suite for the offline call simulator
+ * @author LegacyAI Subagent Fleet - Testing & Deployment Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - A full scripted call through the real webhook router (signed requests)
+ * - Redirect, Dial action, Hangup and Reject handling
+ * - Silence with and without actionOnEmptyResult
+ * - Status callback, transcript and timing report
+ * - Loop guard and request errors
+ */
+
+const express = require('express');
+const twilio = require('twilio');
+const createWebhookRouter = require('../src/routes/webhooks');
+const { CallSimulator, formatReport } = require('../src/simulator/CallSimulator');
+
+const { VoiceResponse } = twilio.twiml;
+
+const AUTH_TOKEN = 'test_auth_token';
+const WEBHOOK_URL = 'https://voice.example.com';
+
+/**
+ * TwiML that says something and listens for the caller's reply
+ * @param {string} text - Prompt
+ * @returns {string} TwiML
+ */
+function gatherTwiml(text) {
+  const twiml = new VoiceResponse();
+  const gather = twiml.gather({ input: 'speech', action: `${WEBHOOK_URL}/webhooks/process-speech`, timeout: 3 });
+  gather.say(text);
+  twiml.redirect({ method: 'POST' }, '/webhooks/reprompt?reason=no_input&attempt=0');
+  return twiml.toString();
+}
+
+/**
+ * Build an app around a router of hand-written TwiML routes
+ * @param {Object} routes - Path => TwiML string or (req) => TwiML string
+ * @returns {Object} { app, hits } - hits records each request body by path
+ */
+function stubApp(routes) {
+  const app = express();
+  const hits = {};
+
+  app.use(express.urlencoded({ extended: true }));
+  for (const [path, twiml] of Object.entries(routes)) {
+    app.all(path, (req, res) => {
+      hits[path] = [...(hits[path] || []), { ...req.query, ...req.body }];
+      res.type('text/xml').send(typeof twiml === 'function' ? twiml(req) : twiml);
+    });
+  }
+  app.post('/webhooks/status', (req, res) => {
+    hits['/webhooks/status'] = [...(hits['/webhooks/status'] || []), req.body];
+    res.type('text/xml').send('<Response></Response>');
+  });
+
+  return { app, hits };
+}
+
+describe('CallSimulator', () => {
+  let consoleSpy;
+
+  beforeEach(() => {
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('should require an app or a base URL', () => {
+    expect(() => new CallSimulator()).toThrow('CallSimulator needs an Express app or a baseUrl');
+  });
+
+  describe('against the webhook router', () => {
+    // webhooks.js shares one router instance, so it is mounted once for the suite
+    const agents = {};
+    const queueManager = {};
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.urlencoded({ extended: true }));
+      app.use('/webhooks', createWebhookRouter({
+        agents,
+        queueManager,
+        twilio: { authToken: AUTH_TOKEN, webhookUrl: WEBHOOK_URL, validateSignature: true },
+        nodeEnv: 'test'
+      }));
+    });
+
+    beforeEach(() => {
+      const goodbye = new VoiceResponse();
+      goodbye.say('Thanks for calling, goodbye!');
+      goodbye.hangup();
+
+      agents.voice = {
+        handleIncomingCall: jest.fn().mockResolvedValue({ success: true, data: { twiml: gatherTwiml('Hi, how can I help you today?') } }),
+        isEscalationEnabled: jest.fn().mockReturnValue(false),
+        handleCallStatus: jest.fn().mockResolvedValue({ success: true, data: { applied: true, finalized: true } })
+      };
+      agents.conversation = {
+        processSpeech: jest.fn()
+          .mockResolvedValueOnce({ success: true, data: { response: 'We are open nine to five.', twiml: gatherTwiml('We are open nine to five.') } })
+          .mockResolvedValueOnce({ success: true, data: { response: 'Goodbye!', twiml: goodbye.toString() } })
+      };
+      queueManager.addJob = jest.fn().mockResolvedValue({ id: 'job-1' });
+    });
+
+    test('should run a scripted call with signed requests and fire the status callback', async () => {
+      const simulator = new CallSimulator({ app, authToken: AUTH_TOKEN, webhookUrl: WEBHOOK_URL, from: '+12125550100' });
+
+      const report = await simulator.run(['What are your hours?', { speech: 'Thanks, bye', confidence: 0.6 }]);
+
+      expect(report.status).toBe('completed');
+      expect(report.endReason).toBe('hangup');
+      expect(report.errors).toEqual([]);
+      expect(report.transcript.map(line => [line.speaker, line.text])).toEqual([
+        ['agent', 'Hi, how can I help you today?'],
+        ['caller', 'What are your hours?'],
+        ['agent', 'We are open nine to five.'],
+        ['caller', 'Thanks, bye'],
+        ['agent', 'Thanks for calling, goodbye!']
+      ]);
+      expect(report.requests.map(entry => `${entry.kind} ${entry.path} ${entry.status}`)).toEqual([
+        'webhook /webhooks/voice 200',
+        'webhook /webhooks/process-speech 200',
+        'webhook /webhooks/process-speech 200',
+        'status /webhooks/status 200'
+      ]);
+      expect(report.turns).toEqual([
+        expect.objectContaining({ input: 'What are your hours?', path: '/webhooks/process-speech' }),
+        expect.objectContaining({ input: 'Thanks, bye', path: '/webhooks/process-speech' })
+      ]);
+
+      expect(agents.voice.handleIncomingCall).toHaveBeenCalledWith(expect.objectContaining({
+        CallSid: report.callSid,
+        From: '+12125550100',
+        CallStatus: 'ringing'
+      }));
+      expect(agents.conversation.processSpeech).toHaveBeenLastCalledWith({
+        CallSid: report.callSid,
+        SpeechResult: 'Thanks, bye',
+        Confidence: 0.6,
+        From: '+12125550100'
+      });
+      expect(agents.voice.handleCallStatus).toHaveBeenCalledWith(expect.objectContaining({
+        CallSid: report.callSid,
+        CallStatus: 'completed',
+        CallDuration: String(Math.ceil(report.timing.simulatedSeconds))
+      }));
+    });
+
+    test('should report the rejected request when the signature does not match', async () => {
+      const simulator = new CallSimulator({ app, authToken: 'wrong_token', webhookUrl: WEBHOOK_URL, statusCallbackPath: null });
+
+      const report = await simulator.run(['Hello']);
+
+      expect(report.status).toBe('failed');
+      expect(report.endReason).toBe('error');
+      expect(report.errors).toEqual(['POST /webhooks/voice returned 403']);
+      expect(agents.voice.handleIncomingCall).not.toHaveBeenCalled();
+    });
+
+    test('should hang up for the caller when the script runs out', async () => {
+      const simulator = new CallSimulator({ app, authToken: AUTH_TOKEN, webhookUrl: WEBHOOK_URL });
+
+      const report = await simulator.run([]);
+
+      expect(report.endReason).toBe('caller_hangup');
+      expect(report.transcript[report.transcript.length - 1]).toEqual(expect.objectContaining({ speaker: 'caller', text: '[hangs up]' }));
+      expect(agents.conversation.processSpeech).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('TwiML handling', () => {
+    test('should follow redirects and report dial outcomes to the dial action', async () => {
+      const { app, hits } = stubApp({
+        '/webhooks/voice': '<Response><Say>Connecting you</Say><Redirect method="POST">/webhooks/transfer</Redirect></Response>',
+        '/webhooks/transfer': '<Response><Dial action="/webhooks/transfer-status" timeout="20"><Number>+15551230000</Number></Dial></Response>',
+        '/webhooks/transfer-status': '<Response><Say>The call has ended.</Say><Hangup/></Response>'
+      });
+      const simulator = new CallSimulator({ app, dialStatus: 'no-answer' });
+
+      const report = await simulator.run([]);
+
+      expect(report.transfers).toEqual([{ target: '+15551230000', at: expect.any(Number), dialStatus: 'no-answer' }]);
+      expect(hits['/webhooks/transfer-status'][0]).toEqual(expect.objectContaining({ DialCallStatus: 'no-answer', DialCallDuration: '0' }));
+      expect(report.endReason).toBe('hangup');
+      expect(report.unusedSteps).toBe(0);
+    });
+
+    test('should move past a silent Gather unless actionOnEmptyResult is set', async () => {
+      const { app, hits } = stubApp({
+        '/webhooks/voice': '<Response><Gather input="speech" action="/webhooks/process-speech" timeout="4"><Say>Hello?</Say></Gather>'
+          + '<Redirect>/webhooks/reprompt?attempt=0</Redirect></Response>',
+        '/webhooks/reprompt': '<Response><Gather input="speech dtmf" action="/webhooks/process-speech" actionOnEmptyResult="true" timeout="4"/></Response>',
+        '/webhooks/process-speech': '<Response><Hangup/></Response>'
+      });
+      const simulator = new CallSimulator({ app });
+
+      const report = await simulator.run([{ silence: true }, { silence: true }]);
+
+      expect(hits['/webhooks/reprompt'][0]).toEqual(expect.objectContaining({ attempt: '0' }));
+      expect(hits['/webhooks/process-speech'][0].SpeechResult).toBeUndefined();
+      expect(report.transcript.filter(line => line.text === '[silence]')).toHaveLength(2);
+      expect(report.timing.simulatedSeconds).toBeGreaterThanOrEqual(8);
+    });
+
+    test('should send keypad digits and skip verbs it does not simulate', async () => {
+      const { app, hits } = stubApp({
+        '/webhooks/voice': '<Response><Record maxLength="5"/><Gather input="dtmf" numDigits="1" action="/webhooks/ivr"><Say>Press 1 for sales</Say></Gather></Response>',
+        '/webhooks/ivr': '<Response><Reject reason="busy"/></Response>'
+      });
+      const simulator = new CallSimulator({ app });
+
+      const report = await simulator.run([{ digits: '1' }, 'left over']);
+
+      expect(hits['/webhooks/ivr'][0]).toEqual(expect.objectContaining({ Digits: '1' }));
+      expect(report.unsupported).toEqual(['Record']);
+      expect(report.status).toBe('busy');
+      expect(report.unusedSteps).toBe(1);
+      expect(hits['/webhooks/status'][0]).toEqual(expect.objectContaining({ CallStatus: 'busy' }));
+    });
+
+    test('should stop a redirect loop at maxRequests', async () => {
+      const { app } = stubApp({
+        '/webhooks/voice': '<Response><Redirect/></Response>'
+      });
+      const simulator = new CallSimulator({ app, maxRequests: 3, statusCallbackPath: null });
+
+      const report = await simulator.run([]);
+
+      expect(report.endReason).toBe('max_requests');
+      expect(report.timing.requests).toBe(3);
+      expect(report.errors).toEqual(['Stopped after 3 webhook requests']);
+    });
+
+    test('should fail the call on a response that is not TwiML', async () => {
+      const { app } = stubApp({
+        '/webhooks/voice': 'not xml at all'
+      });
+      const simulator = new CallSimulator({ app, statusCallbackPath: null });
+
+      const report = await simulator.run([]);
+
+      expect(report.status).toBe('failed');
+      expect(report.endReason).toBe('invalid_twiml');
+    });
+  });
+
+  describe('formatReport()', () => {
+    test('should print the transcript and timing', async () => {
+      const { app } = stubApp({
+        '/webhooks/voice': '<Response><Say>Hello there</Say><Hangup/></Response>'
+      });
+      const report = await new CallSimulator({ app, quiet: true }).run([]);
+
+      const text = formatReport(report);
+
+      expect(text).toContain('[   0.0s] AGENT  Hello there');
+      expect(text).toContain('Ended: completed (hangup)');
+      expect(text).toContain('Webhooks: 2 requests');
+      expect(consoleSpy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,492 @@
+/**
+ * @fileoverview Test suite for CampaignAgent
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * This test suite covers the outbound campaign dialer:
+ * - Campaign creation and contact validation
+ * - Pacing by max concurrent calls and calls per minute
+ * - Calling windows
+ * - Retries with exponential backoff
+ * - Pause/resume with stale job handling
+ * - Progress summaries and campaign completion
+ */
+
+const CampaignAgent = require('../src/agents/CampaignAgent');
+
+/**
+ * Mock DatabaseService for testing
+ * Keeps campaigns and contacts in memory
+ */
+class MockDatabaseService {
+  constructor() {
+    this.client = {};
+    this.campaigns = new Map();
+    this.contacts = new Map();
+    this.nextId = 1;
+  }
+
+  response(success, data, error = null) {
+    return { success, data, error, timestamp: new Date().toISOString(), requestId: 'mock-request-id' };
+  }
+
+  async initialize() {}
+
+  async createCampaign(campaignData) {
+    const campaign = { id: `campaign-${this.nextId++}`, ...campaignData, status: 'draft' };
+    this.campaigns.set(campaign.id, campaign);
+    return this.response(true, { ...campaign });
+  }
+
+  async getCampaign(id) {
+    const campaign = this.campaigns.get(id);
+    return campaign ? this.response(true, { ...campaign }) : this.response(false, null, 'Campaign not found');
+  }
+
+  async updateCampaign(id, updateData) {
+    const campaign = { ...this.campaigns.get(id), ...updateData };
+    this.campaigns.set(id, campaign);
+    return this.response(true, { ...campaign });
+  }
+
+  async addCampaignContacts(campaignId, contacts) {
+    const added = [];
+    for (const contact of contacts) {
+      const exists = [...this.contacts.values()].some(c =>
+        c.campaign_id === campaignId && c.phone_number === contact.phone_number
+      );
+      if (!exists) {
+        const row = {
+          id: `contact-${this.nextId++}`,
+          campaign_id: campaignId,
+          ...contact,
+          status: 'pending',
+          attempts: 0
+        };
+        this.contacts.set(row.id, row);
+        added.push(row);
+      }
+    }
+    return this.response(true, added);
+  }
+
+  async getCampaignContacts(campaignId) {
+    const rows = [...this.contacts.values()].filter(c => c.campaign_id === campaignId);
+    return this.response(true, rows.map(row => ({ ...row })));
+  }
+
+  async getCampaignContact(id) {
+    const contact = this.contacts.get(id);
+    return contact ? this.response(true, { ...contact }) : this.response(false, null, 'Campaign contact not found');
+  }
+
+  async updateCampaignContact(id, updateData) {
+    const contact = { ...this.contacts.get(id), ...updateData };
+    this.contacts.set(id, contact);
+    return this.response(true, { ...contact });
+  }
+}
+
+describe('CampaignAgent', () => {
+  let agent;
+  let db;
+  let voiceAgent;
+  let queueManager;
+  let wsManager;
+
+  const phones = ['+15550000001', '+15550000002', '+15550000003', '+15550000004'];
+
+  /**
+   * Create and start a campaign, returning its id and dispatch token
+   */
+  async function startedCampaign(overrides = {}) {
+    const created = await agent.createCampaign({
+      name: 'Renewals',
+      script: 'Hi, this is LegacyAI calling about your renewal.',
+      contacts: phones,
+      ...overrides
+    });
+    const campaignId = created.data.campaign.id;
+    await agent.startCampaign(campaignId);
+    return { campaignId, token: db.campaigns.get(campaignId).dispatch_token };
+  }
+
+  function contactsOf(campaignId) {
+    return [...db.contacts.values()].filter(c => c.campaign_id === campaignId);
+  }
+
+  beforeEach(async () => {
+    db = new MockDatabaseService();
+    voiceAgent = { makeOutboundCall: jest.fn() };
+    queueManager = { addCampaignJob: jest.fn() };
+    wsManager = { broadcastCampaignProgress: jest.fn() };
+
+    queueManager.addCampaignJob.mockResolvedValue({ success: true, data: { jobId: 'job-1' } });
+
+    agent = new CampaignAgent({
+      twilio: { webhookUrl: 'https://voice.example.com' },
+      databaseService: db,
+      voiceAgent,
+      queueManager
+    });
+    agent.attachWebSocket(wsManager);
+    await agent.initialize();
+  });
+
+  describe('createCampaign', () => {
+    test('should create draft campaign with valid, deduplicated contacts', async () => {
+      const result = await agent.createCampaign({
+        name: 'Renewals',
+        agentConfigName: 'sales_agent',
+        callsPerMinute: 10,
+        contacts: ['+15550000001', { phoneNumber: '+1 (555) 000-0001' }, { phoneNumber: '+15550000002', name: 'Jane' }, '555-1234']
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.campaign.status).toBe('draft');
+      expect(result.data.campaign.calls_per_minute).toBe(10);
+      expect(result.data.campaign.max_concurrent).toBe(1);
+      expect(result.data.contactsAdded).toBe(2);
+      expect(result.data.invalidContacts).toEqual(['555-1234']);
+    });
+
+    test('should require a script or agent config', async () => {
+      const result = await agent.createCampaign({ name: 'No script', contacts: phones });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('script or agentConfigName');
+    });
+
+    test('should reject non-positive pacing values', async () => {
+      const result = await agent.createCampaign({ name: 'Bad', script: 'Hi', callsPerMinute: 0 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('callsPerMinute');
+    });
+  });
+
+  describe('startCampaign', () => {
+    test('should move draft to running and queue the first dispatch', async () => {
+      const { campaignId, token } = await startedCampaign();
+
+      expect(db.campaigns.get(campaignId).status).toBe('running');
+      expect(token).toEqual(expect.any(String));
+      expect(queueManager.addCampaignJob).toHaveBeenCalledWith('dispatch', { campaignId, token });
+    });
+
+    test('should not start a campaign twice', async () => {
+      const { campaignId } = await startedCampaign();
+
+      const result = await agent.startCampaign(campaignId);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('running');
+    });
+
+    test('should not expose the dispatch token in status responses', async () => {
+      const { campaignId } = await startedCampaign();
+
+      const result = await agent.getCampaignStatus(campaignId);
+
+      expect(result.data.campaign).not.toHaveProperty('dispatch_token');
+    });
+  });
+
+  describe('dispatchCampaign', () => {
+    test('should respect max concurrent calls and space dials across the minute', async () => {
+      const { campaignId, token } = await startedCampaign({ maxConcurrent: 2, callsPerMinute: 6 });
+      queueManager.addCampaignJob.mockClear();
+
+      const result = await agent.dispatchCampaign({ campaignId, token });
+
+      expect(result.data.dispatched).toBe(2);
+      const dialJobs = queueManager.addCampaignJob.mock.calls.filter(call => call[0] === 'dial');
+      expect(dialJobs.map(call => call[2].delay)).toEqual([0, 10000]);
+      expect(contactsOf(campaignId).filter(c => c.status === 'queued')).toHaveLength(2);
+      expect(queueManager.addCampaignJob).toHaveBeenCalledWith('dispatch', { campaignId, token }, { delay: 15000 });
+    });
+
+    test('should not exceed calls per minute across dispatches', async () => {
+      const { campaignId, token } = await startedCampaign({ maxConcurrent: 10, callsPerMinute: 2 });
+
+      await agent.dispatchCampaign({ campaignId, token });
+      // Calls finished quickly, but the minute is not over yet
+      contactsOf(campaignId)
+        .filter(c => c.status === 'queued')
+        .forEach(c => db.contacts.set(c.id, { ...c, status: 'completed' }));
+
+      const second = await agent.dispatchCampaign({ campaignId, token });
+
+      expect(second.data.dispatched).toBe(0);
+    });
+
+    test('should skip dispatch jobs from an earlier run', async () => {
+      const { campaignId } = await startedCampaign();
+
+      const result = await agent.dispatchCampaign({ campaignId, token: 'stale-token' });
+
+      expect(result.data.skipped).toBe('not_running');
+      expect(queueManager.addCampaignJob).not.toHaveBeenCalledWith('dial', expect.anything(), expect.anything());
+    });
+
+    test('should wait for the next opening outside the calling window', async () => {
+      const { campaignId, token } = await startedCampaign({
+        callingWindow: {
+          timezone: 'UTC',
+          weekly: { mon: [{ open: '09:00', close: '17:00' }] }
+        }
+      });
+      queueManager.addCampaignJob.mockClear();
+
+      // Sunday 2026-10-18 12:00 UTC - next opening is Monday 09:00 UTC
+      const now = new Date('2026-10-18T12:00:00Z');
+      const result = await agent.dispatchCampaign({ campaignId, token }, now);
+
+      expect(result.data.skipped).toBe('outside_calling_window');
+      expect(queueManager.addCampaignJob).toHaveBeenCalledTimes(1);
+      expect(queueManager.addCampaignJob).toHaveBeenCalledWith('dispatch', { campaignId, token }, { delay: 21 * 60 * 60 * 1000 });
+    });
+
+    test('should complete the campaign when every contact is finished', async () => {
+      const { campaignId, token } = await startedCampaign();
+      contactsOf(campaignId).forEach(c => db.contacts.set(c.id, { ...c, status: 'completed' }));
+
+      const result = await agent.dispatchCampaign({ campaignId, token });
+
+      expect(result.data.completed).toBe(true);
+      expect(db.campaigns.get(campaignId).status).toBe('completed');
+      expect(wsManager.broadcastCampaignProgress).toHaveBeenLastCalledWith(
+        expect.objectContaining({ campaignId, status: 'completed' })
+      );
+    });
+  });
+
+  describe('dialContact', () => {
+    test('should place the call with script, persona and status callback', async () => {
+      const { campaignId, token } = await startedCampaign({ agentConfigName: 'sales_agent' });
+      await agent.dispatchCampaign({ campaignId, token });
+      const [contact] = contactsOf(campaignId).filter(c => c.status === 'queued');
+
+      voiceAgent.makeOutboundCall.mockResolvedValueOnce({ success: true, data: { callSid: 'CA100' } });
+
+      const result = await agent.dialContact({ campaignId, contactId: contact.id, token });
+
+      expect(result.success).toBe(true);
+      expect(voiceAgent.makeOutboundCall).toHaveBeenCalledWith(
+        contact.phone_number,
+        'Hi, this is LegacyAI calling about your renewal.',
+        {
+          agentConfigName: 'sales_agent',
+          statusCallback: `https://voice.example.com/webhooks/campaign-status?campaignId=${campaignId}&contactId=${contact.id}`,
+          metadata: { campaign: { id: campaignId, contactId: contact.id, attempt: 1 } }
+        }
+      );
+      expect(db.contacts.get(contact.id)).toEqual(expect.objectContaining({
+        status: 'dialing',
+        attempts: 1,
+        last_call_sid: 'CA100'
+      }));
+    });
+
+    test('should release queued contacts when the campaign was paused', async () => {
+      const { campaignId, token } = await startedCampaign();
+      await agent.dispatchCampaign({ campaignId, token });
+      const [contact] = contactsOf(campaignId).filter(c => c.status === 'queued');
+
+      await agent.pauseCampaign(campaignId);
+      const result = await agent.dialContact({ campaignId, contactId: contact.id, token });
+
+      expect(result.data.skipped).toBe('not_running');
+      expect(voiceAgent.makeOutboundCall).not.toHaveBeenCalled();
+      expect(db.contacts.get(contact.id).status).toBe('pending');
+    });
+
+    test('should schedule a retry when the call cannot be placed', async () => {
+      const { campaignId, token } = await startedCampaign();
+      await agent.dispatchCampaign({ campaignId, token });
+      const [contact] = contactsOf(campaignId).filter(c => c.status === 'queued');
+
+      voiceAgent.makeOutboundCall.mockResolvedValueOnce({ success: false, error: 'Twilio unavailable' });
+
+      const result = await agent.dialContact({ campaignId, contactId: contact.id, token });
+
+      expect(result.success).toBe(false);
+      expect(db.contacts.get(contact.id)).toEqual(expect.objectContaining({
+        status: 'retry',
+        last_outcome: 'failed'
+      }));
+    });
+
+    test('should fail do-not-call contacts without using an attempt', async () => {
+      const { campaignId, token } = await startedCampaign();
+      await agent.dispatchCampaign({ campaignId, token });
+      const [contact] = contactsOf(campaignId).filter(c => c.status === 'queued');
+
+      voiceAgent.makeOutboundCall.mockResolvedValueOnce({
+        success: false,
+        data: { blocked: true, rule: 'dnc', reason: 'Number is on the do-not-call list', retryAt: null },
+        error: 'Call blocked by compliance rule: dnc'
+      });
+
+      const result = await agent.dialContact({ campaignId, contactId: contact.id, token });
+
+      expect(result.data).toEqual({ blocked: 'dnc', contactStatus: 'failed' });
+      expect(db.contacts.get(contact.id)).toEqual(expect.objectContaining({
+        status: 'failed',
+        attempts: 0,
+        last_outcome: 'blocked_dnc',
+        next_attempt_at: null
+      }));
+    });
+
+    test('should retry calling-hours blocks when the callee window opens', async () => {
+      const { campaignId, token } = await startedCampaign();
+      await agent.dispatchCampaign({ campaignId, token });
+      const [contact] = contactsOf(campaignId).filter(c => c.status === 'queued');
+
+      voiceAgent.makeOutboundCall.mockResolvedValueOnce({
+        success: false,
+        data: { blocked: true, rule: 'calling_hours', reason: 'Outside 08:00-21:00', retryAt: '2026-10-19T12:00:00.000Z' },
+        error: 'Call blocked by compliance rule: calling_hours'
+      });
+
+      await agent.dialContact({ campaignId, contactId: contact.id, token });
+
+      expect(db.contacts.get(contact.id)).toEqual(expect.objectContaining({
+        status: 'retry',
+        attempts: 0,
+        last_outcome: 'blocked_calling_hours',
+        next_attempt_at: '2026-10-19T12:00:00.000Z'
+      }));
+    });
+  });
+
+  describe('handleCallStatus', () => {
+    async function dialedContact(overrides = {}) {
+      const { campaignId, token } = await startedCampaign(overrides);
+      await agent.dispatchCampaign({ campaignId, token });
+      const [contact] = contactsOf(campaignId).filter(c => c.status === 'queued');
+
+      voiceAgent.makeOutboundCall.mockResolvedValueOnce({ success: true, data: { callSid: 'CA200' } });
+      await agent.dialContact({ campaignId, contactId: contact.id, token });
+
+      return { campaignId, contactId: contact.id };
+    }
+
+    test('should ignore in-progress statuses', async () => {
+      const { campaignId, contactId } = await dialedContact();
+
+      const result = await agent.handleCallStatus({ campaignId, contactId, CallSid: 'CA200', CallStatus: 'ringing' });
+
+      expect(result.data.ignored).toBe('ringing');
+      expect(db.contacts.get(contactId).status).toBe('dialing');
+    });
+
+    test('should mark answered calls completed', async () => {
+      const { campaignId, contactId } = await dialedContact();
+
+      const result = await agent.handleCallStatus({ campaignId, contactId, CallSid: 'CA200', CallStatus: 'completed' });
+
+      expect(result.data.contactStatus).toBe('completed');
+      expect(wsManager.broadcastCampaignProgress).toHaveBeenCalledWith(
+        expect.objectContaining({ campaignId, progress: expect.objectContaining({ completed: 1 }) })
+      );
+    });
+
+    test('should retry busy calls after the base retry delay', async () => {
+      const { campaignId, contactId } = await dialedContact({ retryDelaySeconds: 600 });
+      const before = Date.now();
+
+      const result = await agent.handleCallStatus({ campaignId, contactId, CallSid: 'CA200', CallStatus: 'busy' });
+
+      expect(result.data.contactStatus).toBe('retry');
+      const waitMs = new Date(result.data.nextAttemptAt).getTime() - before;
+      expect(waitMs).toBeGreaterThanOrEqual(600000);
+      expect(waitMs).toBeLessThan(605000);
+    });
+
+    test('should fail contacts once max attempts are used', async () => {
+      const { campaignId, contactId } = await dialedContact({ maxAttempts: 1 });
+
+      const result = await agent.handleCallStatus({ campaignId, contactId, CallSid: 'CA200', CallStatus: 'no-answer' });
+
+      expect(result.data.contactStatus).toBe('failed');
+      expect(db.contacts.get(contactId).last_outcome).toBe('no-answer');
+    });
+
+    test('should ignore callbacks from an earlier attempt', async () => {
+      const { campaignId, contactId } = await dialedContact();
+
+      const result = await agent.handleCallStatus({ campaignId, contactId, CallSid: 'CA-old', CallStatus: 'busy' });
+
+      expect(result.data.ignored).toBe('stale_call');
+      expect(db.contacts.get(contactId).status).toBe('dialing');
+    });
+  });
+
+  describe('pause and resume', () => {
+    test('should resume a paused campaign with a new dispatch token', async () => {
+      const { campaignId, token } = await startedCampaign();
+
+      await agent.pauseCampaign(campaignId);
+      expect(db.campaigns.get(campaignId).status).toBe('paused');
+
+      const result = await agent.resumeCampaign(campaignId);
+      const resumed = db.campaigns.get(campaignId);
+
+      expect(result.success).toBe(true);
+      expect(resumed.status).toBe('running');
+      expect(resumed.dispatch_token).not.toBe(token);
+      expect(queueManager.addCampaignJob).toHaveBeenLastCalledWith('dispatch', {
+        campaignId,
+        token: resumed.dispatch_token
+      });
+    });
+
+    test('should only pause running campaigns', async () => {
+      const created = await agent.createCampaign({ name: 'Draft', script: 'Hi' });
+
+      const result = await agent.pauseCampaign(created.data.campaign.id);
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('getRetryDelayMs', () => {
+    test('should double the delay after each attempt up to one day', () => {
+      const campaign = { retry_delay_seconds: 900 };
+
+      expect(agent.getRetryDelayMs(campaign, 1)).toBe(900000);
+      expect(agent.getRetryDelayMs(campaign, 2)).toBe(1800000);
+      expect(agent.getRetryDelayMs(campaign, 3)).toBe(3600000);
+      expect(agent.getRetryDelayMs(campaign, 20)).toBe(86400000);
+    });
+  });
+
+  describe('summarizeContacts', () => {
+    test('should count statuses, outcomes and calls started in the last minute', () => {
+      const now = new Date('2026-10-18T12:00:00Z');
+      const progress = agent.summarizeContacts([
+        { status: 'pending', attempts: 0 },
+        { status: 'dialing', attempts: 1, last_attempt_at: '2026-10-18T11:59:30Z' },
+        { status: 'retry', attempts: 1, last_attempt_at: '2026-10-18T11:50:00Z', last_outcome: 'busy' },
+        { status: 'completed', attempts: 2, last_attempt_at: '2026-10-18T11:59:50Z', last_outcome: 'completed' }
+      ], now);
+
+      expect(progress).toEqual(expect.objectContaining({
+        total: 4,
+        pending: 1,
+        dialing: 1,
+        retry: 1,
+        completed: 1,
+        active: 1,
+        remaining: 3,
+        attempts: 4,
+        startedLastMinute: 2,
+        outcomes: { busy: 1, completed: 1 },
+        percentComplete: 25
+      }));
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Test suite for the outbound dial compliance guard
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Do-not-call list and invalid number blocks
+ * - Calling hours in the callee's time zone (per-region rules, split-zone area codes)
+ * - Daily and weekly attempt caps
+ * - Fail-closed behavior when compliance data is unavailable
+ * - Blocked attempt logging
+ * - DNC import, CSV export and removal
+ */
+
+const ComplianceService = require('../src/services/ComplianceService');
+
+describe('ComplianceService', () => {
+  let dbService;
+  let compliance;
+
+  // Monday 2026-10-19 11:00 in New York (EDT)
+  const MIDDAY = new Date('2026-10-19T15:00:00Z');
+  // Monday 2026-10-19 22:00 in New York
+  const LATE_EVENING = new Date('2026-10-20T02:00:00Z');
+
+  beforeEach(() => {
+    dbService = {
+      getDncNumber: jest.fn().mockResolvedValue({ success: true, data: null, error: null }),
+      getDncNumbers: jest.fn().mockResolvedValue({ success: true, data: [], error: null }),
+      addDncNumbers: jest.fn().mockImplementation(async rows => ({ success: true, data: rows, error: null })),
+      removeDncNumber: jest.fn().mockResolvedValue({ success: true, data: [{ id: 'dnc-1' }], error: null }),
+      logOutboundAttempt: jest.fn().mockResolvedValue({ success: true, data: {}, error: null }),
+      countOutboundAttempts: jest.fn().mockResolvedValue({ success: true, data: { count: 0, oldestAt: null }, error: null }),
+      getBlockedOutboundAttempts: jest.fn().mockResolvedValue({ success: true, data: [], error: null })
+    };
+
+    compliance = new ComplianceService({
+      allowedHours: { 'US-FL': { start: '08:00', end: '20:00' } },
+      maxAttemptsPerDay: 3,
+      maxAttemptsPerWeek: 10
+    }, dbService);
+  });
+
+  describe('checkOutboundCall()', () => {
+    test('should allow a call inside the default window', async () => {
+      const decision = await compliance.checkOutboundCall('+12125550100', {}, MIDDAY);
+
+      expect(decision).toEqual({
+        allowed: true,
+        rule: null,
+        reason: null,
+        region: 'US-NY',
+        timezones: ['America/New_York'],
+        retryAt: null
+      });
+      expect(dbService.logOutboundAttempt).not.toHaveBeenCalled();
+    });
+
+    test('should block numbers on the do-not-call list and log the rule', async () => {
+      dbService.getDncNumber.mockResolvedValue({ success: true, data: { phone_number: '+12125550100', reason: 'customer request' }, error: null });
+
+      const decision = await compliance.checkOutboundCall('+12125550100', { campaign: { id: 'campaign-1' } }, MIDDAY);
+
+      expect(decision.allowed).toBe(false);
+      expect(decision.rule).toBe('dnc');
+      expect(decision.retryAt).toBeNull();
+      expect(dbService.logOutboundAttempt).toHaveBeenCalledWith(expect.objectContaining({
+        phone_number: '+12125550100',
+        allowed: false,
+        rule: 'dnc',
+        context: { campaign: { id: 'campaign-1' } }
+      }));
+    });
+
+    test('should block invalid numbers before any lookup', async () => {
+      const decision = await compliance.checkOutboundCall('555-0100', {}, MIDDAY);
+
+      expect(decision.rule).toBe('invalid_number');
+      expect(dbService.getDncNumber).not.toHaveBeenCalled();
+    });
+
+    test('should block calls outside the window in the callee time zone', async () => {
+      const decision = await compliance.checkOutboundCall('+12125550100', {}, LATE_EVENING);
+
+      expect(decision.allowed).toBe(false);
+      expect(decision.rule).toBe('calling_hours');
+      expect(decision.reason).toBe('Outside 08:00-21:00 in America/New_York');
+      // 08:00 the next morning in New York
+      expect(decision.retryAt).toBe('2026-10-20T12:00:00.000Z');
+    });
+
+    test('should apply region rules before the default', async () => {
+      // 20:30 in Miami: inside the default window but outside the US-FL rule
+      const decision = await compliance.checkOutboundCall('+13055550100', {}, new Date('2026-10-20T00:30:00Z'));
+
+      expect(decision.rule).toBe('calling_hours');
+      expect(decision.region).toBe('US-FL');
+    });
+
+    test('should require every zone of a split-zone area code to be open', async () => {
+      // 08:30 in New York but 07:30 in the Florida panhandle (Central)
+      const decision = await compliance.checkOutboundCall('+18505550100', {}, new Date('2026-10-19T12:30:00Z'));
+
+      expect(decision.rule).toBe('calling_hours');
+      expect(decision.reason).toContain('America/Chicago');
+      expect(decision.retryAt).toBe('2026-10-19T13:00:00.000Z');
+    });
+
+    test('should block unknown countries unless configured otherwise', async () => {
+      const blocked = await compliance.checkOutboundCall('+8801234567890', {}, MIDDAY);
+      expect(blocked.rule).toBe('unknown_region');
+
+      const lenient = new ComplianceService({ blockUnknownRegions: false }, dbService);
+      const allowed = await lenient.checkOutboundCall('+8801234567890', {}, MIDDAY);
+      expect(allowed.allowed).toBe(true);
+    });
+
+    test('should enforce the daily attempt cap until the oldest attempt ages out', async () => {
+      dbService.countOutboundAttempts.mockResolvedValue({
+        success: true,
+        data: { count: 3, oldestAt: '2026-10-18T21:30:00.000Z' },
+        error: null
+      });
+
+      const decision = await compliance.checkOutboundCall('+12125550100', {}, MIDDAY);
+
+      expect(decision.rule).toBe('frequency_daily');
+      expect(decision.retryAt).toBe('2026-10-19T21:30:00.000Z');
+      expect(dbService.countOutboundAttempts).toHaveBeenCalledWith('+12125550100', '2026-10-18T15:00:00.000Z');
+    });
+
+    test('should enforce the weekly attempt cap', async () => {
+      dbService.countOutboundAttempts
+        .mockResolvedValueOnce({ success: true, data: { count: 1, oldestAt: '2026-10-19T09:00:00.000Z' }, error: null })
+        .mockResolvedValueOnce({ success: true, data: { count: 10, oldestAt: '2026-10-13T16:00:00.000Z' }, error: null });
+
+      const decision = await compliance.checkOutboundCall('+12125550100', {}, MIDDAY);
+
+      expect(decision.rule).toBe('frequency_weekly');
+      expect(decision.retryAt).toBe('2026-10-20T16:00:00.000Z');
+      expect(dbService.countOutboundAttempts).toHaveBeenLastCalledWith('+12125550100', '2026-10-12T15:00:00.000Z');
+    });
+
+    test('should fail closed when the DNC list cannot be read', async () => {
+      dbService.getDncNumber.mockResolvedValue({ success: false, data: null, error: 'connection refused' });
+
+      const decision = await compliance.checkOutboundCall('+12125550100', {}, MIDDAY);
+
+      expect(decision.allowed).toBe(false);
+      expect(decision.rule).toBe('compliance_unavailable');
+    });
+  });
+
+  describe('recordAttempt()', () => {
+    test('should log allowed calls with their call SID', async () => {
+      await compliance.recordAttempt('+12125550100', {
+        callSid: 'CA123',
+        decision: { allowed: true, rule: null, reason: null, region: 'US-NY', timezones: ['America/New_York'] },
+        context: { campaign: { id: 'campaign-1' } }
+      });
+
+      expect(dbService.logOutboundAttempt).toHaveBeenCalledWith({
+        phone_number: '+12125550100',
+        allowed: true,
+        rule: null,
+        reason: null,
+        region: 'US-NY',
+        timezone: 'America/New_York',
+        call_sid: 'CA123',
+        context: { campaign: { id: 'campaign-1' } }
+      });
+    });
+  });
+
+  describe('isRetryable()', () => {
+    test('should only retry blocks that clear with time', () => {
+      expect(compliance.isRetryable('calling_hours')).toBe(true);
+      expect(compliance.isRetryable('frequency_daily')).toBe(true);
+      expect(compliance.isRetryable('dnc')).toBe(false);
+      expect(compliance.isRetryable('invalid_number')).toBe(false);
+    });
+  });
+
+  describe('DNC list management', () => {
+    test('should normalize, dedupe and report invalid numbers on import', async () => {
+      const result = await compliance.importDnc([
+        '+1 (212) 555-0100',
+        { phoneNumber: '+12125550100', reason: 'litigator' },
+        { phone_number: '+442079460000' },
+        'not a number'
+      ], { source: 'import', reason: 'customer request' });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ imported: 2, invalid: ['not a number'] });
+      expect(dbService.addDncNumbers).toHaveBeenCalledWith([
+        { phone_number: '+12125550100', reason: 'litigator', source: 'import' },
+        { phone_number: '+442079460000', reason: 'customer request', source: 'import' }
+      ]);
+    });
+
+    test('should skip the database when nothing valid was imported', async () => {
+      const result = await compliance.importDnc(['12345']);
+
+      expect(result.data).toEqual({ imported: 0, invalid: ['12345'] });
+      expect(dbService.addDncNumbers).not.toHaveBeenCalled();
+    });
+
+    test('should format the list as CSV with quoted fields', () => {
+      const csv = compliance.formatDncCsv([
+        { phone_number: '+12125550100', reason: 'said "stop", twice', source: 'api', created_at: '2026-10-18T10:00:00Z' },
+        { phone_number: '+442079460000', reason: null, source: 'import', created_at: '2026-10-18T11:00:00Z' }
+      ]);
+
+      expect(csv).toBe(
+        'phone_number,reason,source,created_at\n' +
+        '+12125550100,"said ""stop"", twice",api,2026-10-18T10:00:00Z\n' +
+        '+442079460000,,import,2026-10-18T11:00:00Z\n'
+      );
+    });
+
+    test('should report whether a removed number was listed', async () => {
+      expect((await compliance.removeDnc('+12125550100')).data).toEqual({ removed: true });
+
+      dbService.removeDncNumber.mockResolvedValue({ success: true, data: [], error: null });
+      expect((await compliance.removeDnc('+12125550100')).data).toEqual({ removed: false });
+    });
+  });
+});
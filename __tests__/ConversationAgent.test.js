@@ -2,7 +2,7 @@
  * @fileoverview Comprehensive test suite for ConversationAgent
  * @author LegacyAI Subagent Fleet - Conversation Agent Builder
  * @created 2025-10-01T12:00:00Z
- * @lastModified 2025-10-01T12:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This test suite covers all aspects of the ConversationAgent including:
  * - Speech processing end-to-end
@@ -10,6 +10,15 @@
  * - Context retrieval from database
  * - Message logging
  * - Sentiment analysis
+ * - Handoff summaries for warm transfer
+ * - Two-way SMS threads, segmentation and MMS metadata
+ * - Customer enrichment from what callers say
+ * - Lead qualification slots, prompt steering and lead scores
+ * - Knowledge base passages in the prompt and their sources on replies
+ * - Text-only simulation sessions
+ * - Persona speech with <Say> or synthesized <Play> audio
+ * - Vocabulary correction of transcripts and Gather hints
+ * - Tool use: loop, budgets, filler turns, tool message logging and transfers
  * - Error handling and edge cases
  */
 
@@ -17,6 +26,7 @@ const ConversationAgent = require('../src/agents/ConversationAgent');
 const OpenAIService = require('../src/services/OpenAIService');
 const AnthropicService = require('../src/services/AnthropicService');
 const DatabaseService = require('../src/services/DatabaseService');
+const TtsService = require('../src/services/TtsService');
 
 // Mock the services
 jest.mock('../src/services/OpenAIService');
@@ -68,6 +78,10 @@ describe('ConversationAgent', () => {
       createMessage: jest.fn(),
       updateConversation: jest.fn(),
       createConversation: jest.fn(),
+      getAgentConfig: jest.fn(),
+      getPhoneNumberRoute: jest.fn(),
+      getCustomerByPhone: jest.fn(),
+      getKnowledgeChunks: jest.fn().mockResolvedValue({ success: true, data: [] }),
     };
 
     // Mock the service constructors
@@ -165,6 +179,48 @@ describe('ConversationAgent', () => {
       expect(mockDatabaseService.createMessage).toHaveBeenCalledTimes(2); // user + assistant
     });
 
+    test('should correct misheard vocabulary before the AI sees it and report it', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-uuid-123', call_sid: 'CA123456', phone_number: '+1234567890', agent_config_name: 'sales_agent', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({ success: true, data: { name: 'sales_agent', is_active: true } });
+      mockDatabaseService.getCallVocabularyTerms = jest.fn().mockResolvedValue({
+        success: true,
+        data: [
+          { id: 't1', scope: 'global', term: 'Salesforce', category: 'competitor', variants: [] },
+          { id: 't2', scope: 'agent_config', term: 'AX-200', category: 'sku', variants: ['ax two hundred'] },
+        ],
+      });
+      mockAnthropicService.generateResponse.mockResolvedValue({ text: 'Yes, the AX-200 works with Salesforce.' });
+      mockDatabaseService.createMessage.mockResolvedValue({ success: true, data: { id: 'msg-1' } });
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true });
+
+      const result = await agent.processSpeech({
+        CallSid: 'CA123456',
+        SpeechResult: 'does the ax two hundred work with sales force',
+        Confidence: 0.9,
+        From: '+1234567890',
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockDatabaseService.getCallVocabularyTerms).toHaveBeenCalledWith({ agentConfigName: 'sales_agent', campaignId: null });
+      expect(result.data.speechCorrections.map(correction => `${correction.from} -> ${correction.to}`))
+        .toEqual(['ax two hundred -> AX-200', 'sales force -> Salesforce']);
+
+      const [, role, content, metadata] = mockDatabaseService.createMessage.mock.calls[0];
+      expect(role).toBe('user');
+      expect(content).toBe('does the AX-200 work with Salesforce');
+      expect(metadata).toMatchObject({
+        transcript: 'does the ax two hundred work with sales force',
+        speechCorrections: expect.arrayContaining([expect.objectContaining({ method: 'variant', termId: 't2' })]),
+      });
+
+      // The next Gather listens for the call's vocabulary
+      expect(result.data.twiml).toContain('speechModel="phone_call" enhanced="true" hints="AX-200, Salesforce"');
+    });
+
     test('should reject speech with low confidence', async () => {
       const speechData = {
         CallSid: 'CA123456',
@@ -176,7 +232,7 @@ describe('ConversationAgent', () => {
 
       expect(result.success).toBe(true);
       expect(result.data.needsRepeat).toBe(true);
-      expect(result.data.twiml).toContain("I didn't quite catch that");
+      expect(result.data.twiml).toContain('/webhooks/reprompt?reason=no_match');
     });
 
     test('should handle missing CallSid', async () => {
@@ -237,6 +293,161 @@ describe('ConversationAgent', () => {
     });
   });
 
+  describe('processSms', () => {
+    const smsThread = {
+      id: 'conv-sms-1',
+      call_sid: 'sms:+15551234567:+15557654321',
+      phone_number: '+15551234567',
+      agent_type: 'sms',
+      agent_config_name: null,
+    };
+
+    beforeEach(() => {
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.createMessage.mockResolvedValue({ success: true });
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true });
+      mockAnthropicService.generateResponse.mockResolvedValue({
+        text: 'Thanks for texting back! **Yes**, we’re open until 5.',
+        model: 'claude-3-opus-20240229',
+        totalTokens: 20,
+        latencyMs: 120,
+      });
+    });
+
+    test('should reply on an existing thread with the SMS prompt', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({ success: true, data: smsThread });
+
+      const result = await agent.processSms({
+        messageSid: 'SM123',
+        from: '+15551234567',
+        to: '+15557654321',
+        body: 'Sorry I missed your call - are you open today?',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.reply).toBe('Thanks for texting back! Yes, we\'re open until 5.');
+      expect(result.data.segments).toBe(1);
+      expect(result.data.encoding).toBe('GSM-7');
+      expect(result.data.conversationId).toBe('conv-sms-1');
+      expect(mockDatabaseService.createConversation).not.toHaveBeenCalled();
+      expect(mockAnthropicService.generateResponse.mock.calls[0][1]).toContain('text message');
+      expect(mockAnthropicService.generateResponse.mock.calls[0][2].maxTokens).toBe(250);
+      expect(mockDatabaseService.createMessage).toHaveBeenCalledWith(
+        'conv-sms-1',
+        'assistant',
+        result.data.reply,
+        expect.objectContaining({ sms: { segments: 1, encoding: 'GSM-7', truncated: false } })
+      );
+
+      // Threads reload their history on the next message
+      expect(agent.activeSessions.has(smsThread.call_sid)).toBe(false);
+    });
+
+    test('should create a thread with the routed persona and known customer', async () => {
+      mockDatabaseService.getConversationByCallSid
+        .mockResolvedValueOnce({ success: false, data: null, error: 'not found' })
+        .mockResolvedValue({ success: true, data: { ...smsThread, agent_config_name: 'sales_agent' } });
+      mockDatabaseService.getPhoneNumberRoute.mockResolvedValue({ success: true, data: { agent_config_name: 'sales_agent' } });
+      mockDatabaseService.getCustomerByPhone.mockResolvedValue({ success: true, data: { id: 'cust-1' } });
+      mockDatabaseService.createConversation.mockResolvedValue({ success: true, data: smsThread });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'sales_agent', system_prompt: 'You are Sam from Acme sales.' },
+      });
+
+      const result = await agent.processSms({
+        messageSid: 'SM124',
+        from: '+15551234567',
+        to: '+15557654321',
+        body: 'Hi, this is Pat',
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith({
+        call_sid: 'sms:+15551234567:+15557654321',
+        phone_number: '+15551234567',
+        customer_id: 'cust-1',
+        agent_type: 'sms',
+        agent_config_name: 'sales_agent',
+        metadata: { channel: 'sms', to: '+15557654321' },
+      });
+
+      const systemPrompt = mockAnthropicService.generateResponse.mock.calls[0][1];
+      expect(systemPrompt).toContain('You are Sam from Acme sales.');
+      expect(systemPrompt).toContain('by text message (SMS)');
+    });
+
+    test('should store MMS media as message metadata', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({ success: true, data: smsThread });
+      const media = [{ url: 'https://api.twilio.com/media/ME1', contentType: 'image/jpeg' }];
+
+      const result = await agent.processSms({
+        messageSid: 'SM125',
+        from: '+15551234567',
+        to: '+15557654321',
+        body: '',
+        media,
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockDatabaseService.createMessage).toHaveBeenCalledWith(
+        'conv-sms-1',
+        'user',
+        '[Attachment: image/jpeg]',
+        expect.objectContaining({ channel: 'sms', messageSid: 'SM125', media })
+      );
+    });
+
+    test('should trim long replies to the configured segment limit', async () => {
+      agent.config.twilio = { smsMaxSegments: 1 };
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({ success: true, data: smsThread });
+      mockAnthropicService.generateResponse.mockResolvedValue({
+        text: 'We have plenty of options available for you. '.repeat(10),
+        totalTokens: 100,
+        latencyMs: 200,
+      });
+
+      const result = await agent.processSms({
+        messageSid: 'SM126',
+        from: '+15551234567',
+        to: '+15557654321',
+        body: 'What do you offer?',
+      });
+
+      expect(result.data.segments).toBe(1);
+      expect(result.data.reply.length).toBeLessThanOrEqual(160);
+    });
+
+    test('should not reply to opt-out and help keywords', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({ success: true, data: smsThread });
+
+      const result = await agent.processSms({
+        messageSid: 'SM127',
+        from: '+15551234567',
+        to: '+15557654321',
+        body: ' stop ',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.reply).toBeNull();
+      expect(result.data.keyword).toBe('STOP');
+      expect(mockAnthropicService.generateResponse).not.toHaveBeenCalled();
+      expect(mockDatabaseService.createMessage).toHaveBeenCalledWith(
+        'conv-sms-1',
+        'user',
+        'stop',
+        expect.objectContaining({ keyword: 'STOP' })
+      );
+    });
+
+    test('should fail on an empty message', async () => {
+      const result = await agent.processSms({ messageSid: 'SM128', from: '+15551234567', to: '+15557654321', body: '  ' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('no body or media');
+    });
+  });
+
   describe('generateResponse', () => {
     test('should generate response with empty context', async () => {
       const mockResponse = {
@@ -262,6 +473,46 @@ describe('ConversationAgent', () => {
       );
     });
 
+    test('should use the persona prompt from context', async () => {
+      mockAnthropicService.generateResponse.mockResolvedValue({ text: 'Hi!', totalTokens: 5, latencyMs: 50 });
+
+      await agent.generateResponse('Hello', { messages: [], systemPrompt: 'You are a sales assistant.' });
+
+      expect(mockAnthropicService.generateResponse).toHaveBeenCalledWith(
+        expect.any(Array),
+        'You are a sales assistant.',
+        expect.any(Object)
+      );
+    });
+
+    test('should use the persona temperature and token limit from context', async () => {
+      mockAnthropicService.generateResponse.mockResolvedValue({ text: 'Hi!', totalTokens: 5, latencyMs: 50 });
+
+      await agent.generateResponse('Hello', { messages: [], systemPrompt: 'You are a sales assistant.', temperature: 0, maxTokens: 300 });
+
+      expect(mockAnthropicService.generateResponse).toHaveBeenCalledWith(
+        expect.any(Array),
+        'You are a sales assistant.',
+        expect.objectContaining({ maxTokens: 300, temperature: 0 })
+      );
+    });
+
+    test('should append the returning-caller context to the system prompt', async () => {
+      mockAnthropicService.generateResponse.mockResolvedValue({ text: 'Hi!', totalTokens: 5, latencyMs: 50 });
+
+      await agent.generateResponse('Hello', {
+        messages: [],
+        systemPrompt: 'You are a sales assistant.',
+        callerContext: 'CALLER CONTEXT (from caller ID, not verified):\n- Name: Pat Lee',
+      });
+
+      expect(mockAnthropicService.generateResponse).toHaveBeenCalledWith(
+        expect.any(Array),
+        'You are a sales assistant.\n\nCALLER CONTEXT (from caller ID, not verified):\n- Name: Pat Lee',
+        expect.any(Object)
+      );
+    });
+
     test('should include previous messages in context', async () => {
       const mockResponse = {
         text: 'Based on our previous conversation, here is the information.',
@@ -303,7 +554,251 @@ describe('ConversationAgent', () => {
     });
   });
 
+  describe('tool use', () => {
+    const toolContext = {
+      conversationId: 'conv-uuid-123',
+      callSid: 'CA123456',
+      customerId: 'cust-1',
+      phoneNumber: '+15551234567',
+      channel: 'voice',
+      messages: [],
+      tools: ['lookup_customer', 'transfer_to_human'],
+    };
+
+    const toolUseResponse = (calls, text = '') => ({
+      text,
+      stopReason: 'tool_use',
+      content: [
+        ...(text ? [{ type: 'text', text }] : []),
+        ...calls.map(call => ({ type: 'tool_use', ...call })),
+      ],
+      toolCalls: calls,
+      inputTokens: 100,
+      outputTokens: 20,
+      totalTokens: 120,
+      latencyMs: 300,
+    });
+
+    const textResponse = text => ({
+      text,
+      stopReason: 'end_turn',
+      content: [{ type: 'text', text }],
+      toolCalls: [],
+      inputTokens: 150,
+      outputTokens: 30,
+      totalTokens: 180,
+      latencyMs: 400,
+    });
+
+    beforeEach(() => {
+      mockDatabaseService.getCustomer = jest.fn().mockResolvedValue({
+        success: true,
+        data: { id: 'cust-1', name: 'Pat Lee', company: 'Acme', tags: ['vip'] },
+      });
+      mockDatabaseService.getCustomerOpenTasks = jest.fn().mockResolvedValue({ success: true, data: [] });
+    });
+
+    test('should not offer tools to personas without any', async () => {
+      mockAnthropicService.generateResponse.mockResolvedValue(textResponse('Hello!'));
+
+      await agent.generateResponse('Hello', { ...toolContext, tools: null });
+
+      expect(mockAnthropicService.generateResponse.mock.calls[0][2].tools).toBeUndefined();
+    });
+
+    test('should run the tools Claude asks for and return its final answer', async () => {
+      const onToolStart = jest.fn();
+      mockAnthropicService.generateResponse
+        .mockResolvedValueOnce(toolUseResponse([{ id: 'toolu_1', name: 'lookup_customer', input: {} }]))
+        .mockResolvedValueOnce(textResponse('Hi Pat, I see you are with Acme.'));
+
+      const result = await agent.generateResponse('Do you have my details?', toolContext, { onToolStart });
+
+      const [, , firstOptions] = mockAnthropicService.generateResponse.mock.calls[0];
+      expect(firstOptions.tools.map(tool => tool.name)).toEqual(['lookup_customer', 'transfer_to_human']);
+      expect(firstOptions.timeoutMs).toBeGreaterThan(0);
+
+      const [secondMessages] = mockAnthropicService.generateResponse.mock.calls[1];
+      expect(secondMessages[1].role).toBe('assistant');
+      expect(secondMessages[2]).toEqual({
+        role: 'user',
+        content: [expect.objectContaining({ type: 'tool_result', tool_use_id: 'toolu_1' })],
+      });
+      expect(JSON.parse(secondMessages[2].content[0].content)).toMatchObject({ found: true, name: 'Pat Lee' });
+
+      expect(onToolStart).toHaveBeenCalledWith('One moment while I check that for you.');
+      expect(result.text).toBe('Hi Pat, I see you are with Acme.');
+      expect(result.totalTokens).toBe(300);
+      expect(result.toolCalls).toEqual([expect.objectContaining({ id: 'toolu_1', name: 'lookup_customer', ok: true })]);
+      expect(result.transfer).toBeNull();
+    });
+
+    test('should speak what Claude said before its tool call as the filler', async () => {
+      const onToolStart = jest.fn();
+      mockAnthropicService.generateResponse
+        .mockResolvedValueOnce(toolUseResponse([{ id: 'toolu_1', name: 'lookup_customer', input: {} }], 'Let me pull that up.'))
+        .mockResolvedValueOnce(textResponse('Found it.'));
+
+      await agent.generateResponse('Do you have my details?', toolContext, { onToolStart });
+
+      expect(onToolStart).toHaveBeenCalledTimes(1);
+      expect(onToolStart).toHaveBeenCalledWith('Let me pull that up.');
+    });
+
+    test('should make Claude answer in text after the last tool round', async () => {
+      agent.toolsConfig.maxIterations = 1;
+      mockAnthropicService.generateResponse
+        .mockResolvedValueOnce(toolUseResponse([{ id: 'toolu_1', name: 'lookup_customer', input: {} }]))
+        .mockResolvedValueOnce(textResponse('Done.'));
+
+      await agent.generateResponse('Hi', toolContext);
+
+      expect(mockAnthropicService.generateResponse.mock.calls[0][2].toolChoice).toBeUndefined();
+      expect(mockAnthropicService.generateResponse.mock.calls[1][2].toolChoice).toEqual({ type: 'none' });
+    });
+
+    test('should return tool errors to Claude instead of failing the turn', async () => {
+      mockAnthropicService.generateResponse
+        .mockResolvedValueOnce(toolUseResponse([{ id: 'toolu_1', name: 'delete_everything', input: {} }]))
+        .mockResolvedValueOnce(textResponse('Sorry, I cannot do that.'));
+
+      const result = await agent.generateResponse('Hi', toolContext);
+
+      const toolResult = mockAnthropicService.generateResponse.mock.calls[1][0][2].content[0];
+      expect(toolResult.is_error).toBe(true);
+      expect(JSON.parse(toolResult.content)).toEqual({ error: 'Unknown tool: delete_everything' });
+      expect(result.text).toBe('Sorry, I cannot do that.');
+    });
+
+    test('should keep the tool calls and fall back when Claude fails after using tools', async () => {
+      mockAnthropicService.generateResponse
+        .mockResolvedValueOnce(toolUseResponse([{ id: 'toolu_1', name: 'lookup_customer', input: {} }]))
+        .mockRejectedValueOnce(new Error('Request timed out.'));
+
+      const result = await agent.generateResponse('Hi', toolContext);
+
+      expect(result.model).toBe('fallback');
+      expect(result.text).toContain('took longer than expected');
+      expect(result.toolCalls).toHaveLength(1);
+    });
+
+    test('should not call Claude once the turn budget is spent', async () => {
+      agent.toolsConfig.turnBudgetMs = 0;
+
+      const result = await agent.generateResponse('Hi', toolContext);
+
+      expect(mockAnthropicService.generateResponse).not.toHaveBeenCalled();
+      expect(result.model).toBe('fallback');
+    });
+
+    test('should log tool calls and results and escalate on transfer_to_human', async () => {
+      agent.activeSessions.set('CA123456', { ...toolContext });
+      mockAnthropicService.generateResponse
+        .mockResolvedValueOnce(toolUseResponse([{ id: 'toolu_9', name: 'transfer_to_human', input: { reason: 'billing dispute' } }]))
+        .mockResolvedValueOnce(textResponse('Let me connect you with someone now.'));
+      mockDatabaseService.createMessage.mockResolvedValue({ success: true, data: { id: 'msg-1' } });
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true });
+
+      const turn = await agent.processUserTurn({ callSid: 'CA123456', text: 'I want to talk to billing' });
+
+      const logged = mockDatabaseService.createMessage.mock.calls.map(([, role, , metadata]) => [role, metadata.toolRole]);
+      expect(logged).toEqual([
+        ['user', undefined],
+        ['assistant', 'tool_call'],
+        ['system', 'tool_result'],
+        ['assistant', undefined],
+      ]);
+      expect(mockDatabaseService.createMessage.mock.calls[1][3]).toMatchObject({
+        toolUseId: 'toolu_9',
+        tool: 'transfer_to_human',
+        input: { reason: 'billing dispute' },
+      });
+      expect(mockDatabaseService.createMessage.mock.calls[2][3]).toMatchObject({ ok: true, tool: 'transfer_to_human' });
+      expect(turn.sentiment).toMatchObject({ needsEscalation: true, escalationReason: 'tool_transfer' });
+      expect(turn.toolCalls.map(call => call.name)).toEqual(['transfer_to_human']);
+    });
+
+    test('should dry-run tools with side effects in simulation sessions', async () => {
+      mockDatabaseService.createScheduledTask = jest.fn();
+      mockAnthropicService.generateResponse
+        .mockResolvedValueOnce(toolUseResponse([{
+          id: 'toolu_1',
+          name: 'create_scheduled_task',
+          input: { task_type: 'callback', scheduled_for: '2099-01-05T15:00:00Z', reason: 'pricing' },
+        }]))
+        .mockResolvedValueOnce(textResponse('I have scheduled a callback.'));
+
+      const result = await agent.generateResponse('Call me back', {
+        ...toolContext,
+        tools: ['create_scheduled_task'],
+        simulated: true,
+      });
+
+      expect(mockDatabaseService.createScheduledTask).not.toHaveBeenCalled();
+      expect(result.toolCalls[0].output).toMatchObject({ dryRun: true, tool: 'create_scheduled_task' });
+    });
+
+    test('should speak the filler and finish the Gather turn on the redirect', async () => {
+      agent.activeSessions.set('CA123456', { ...toolContext });
+      let finishTool;
+      mockDatabaseService.getCustomer.mockReturnValue(new Promise(resolve => {
+        finishTool = () => resolve({ success: true, data: { id: 'cust-1', name: 'Pat Lee' } });
+      }));
+      mockAnthropicService.generateResponse
+        .mockResolvedValueOnce(toolUseResponse([{ id: 'toolu_1', name: 'lookup_customer', input: {} }]))
+        .mockResolvedValueOnce(textResponse('Thanks Pat, you are all set.'));
+      mockDatabaseService.createMessage.mockResolvedValue({ success: true, data: { id: 'msg-1' } });
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true });
+
+      const first = await agent.processSpeech({ CallSid: 'CA123456', SpeechResult: 'Is my account set up?', Confidence: 0.9 });
+
+      expect(first.data.pending).toBe(true);
+      expect(first.data.twiml).toContain('One moment while I check that for you.');
+      expect(first.data.twiml).toContain('<Redirect method="POST">/webhooks/process-speech-result</Redirect>');
+
+      finishTool();
+      const second = await agent.completePendingTurn('CA123456');
+
+      expect(second.success).toBe(true);
+      expect(second.data.aiResponse).toBe('Thanks Pat, you are all set.');
+      expect(second.data.userInput).toBe('Is my account set up?');
+      expect(second.data.toolCalls).toEqual(['lookup_customer']);
+      expect(second.data.twiml).toContain('<Gather');
+      expect(agent.pendingTurns.size).toBe(0);
+    });
+
+    test('should report a missing pending turn', async () => {
+      const result = await agent.completePendingTurn('CA-unknown');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No pending turn for call');
+    });
+  });
+
   describe('getConversationContext', () => {
+    test('should leave logged tool calls out of the prompt history', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-uuid-123', call_sid: 'CA777', phone_number: '+1234567890', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({
+        success: true,
+        data: [
+          { role: 'user', content: 'Am I booked?', metadata: {} },
+          { role: 'assistant', content: 'lookup_customer({})', metadata: { toolRole: 'tool_call' } },
+          { role: 'system', content: '{"found":true}', metadata: { toolRole: 'tool_result' } },
+          { role: 'assistant', content: 'Yes you are.', metadata: {} },
+        ],
+      });
+
+      const context = await agent.getConversationContext('CA777');
+
+      expect(context.messages).toEqual([
+        { role: 'user', content: 'Am I booked?' },
+        { role: 'assistant', content: 'Yes you are.' },
+      ]);
+    });
+
     test('should retrieve context from database', async () => {
       const callSid = 'CA123456';
 
@@ -360,6 +855,156 @@ describe('ConversationAgent', () => {
       expect(agent.activeSessions.has(callSid)).toBe(true);
     });
 
+    test('should load the persona config stored on the conversation', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123456', agent_config_name: 'sales_agent', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: {
+          name: 'sales_agent',
+          system_prompt: 'You are a sales assistant.',
+          voice_settings: { voice: 'nova', twilioVoice: 'Polly.Matthew' },
+          escalation_rules: { keywords: ['refund'] },
+        },
+      });
+
+      const context = await agent.getConversationContext('CA123456');
+
+      expect(mockDatabaseService.getAgentConfig).toHaveBeenCalledWith('sales_agent');
+      expect(context.agentConfigName).toBe('sales_agent');
+      expect(context.systemPrompt).toBe('You are a sales assistant.');
+      expect(context.voiceSettings).toEqual({ voice: 'nova', twilioVoice: 'Polly.Matthew' });
+      expect(context.escalationRules).toEqual({ keywords: ['refund'] });
+    });
+
+    test('should keep the agent config version a call started with', async () => {
+      mockDatabaseService.getAgentConfigVersion = jest.fn().mockResolvedValue({
+        success: true,
+        data: { version: 3, snapshot: { system_prompt: 'You are the old sales assistant.', temperature: '0.40', max_tokens: 200 } },
+      });
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123456', agent_config_name: 'sales_agent', agent_config_version: 3, metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'sales_agent', system_prompt: 'You are a sales assistant.', temperature: null, active_version: 4 },
+      });
+
+      const context = await agent.getConversationContext('CA123456');
+
+      expect(mockDatabaseService.getAgentConfigVersion).toHaveBeenCalledWith('sales_agent', 3);
+      expect(context.agentConfigVersion).toBe(3);
+      expect(context.systemPrompt).toBe('You are the old sales assistant.');
+      expect(context.temperature).toBe(0.4);
+      expect(context.maxTokens).toBe(200);
+      expect(mockDatabaseService.updateConversation).not.toHaveBeenCalled();
+    });
+
+    test('should stamp unversioned conversations with the default config version', async () => {
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true, data: {} });
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123456', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'default_voice_agent', system_prompt: 'You are helpful.', temperature: '0.30', max_tokens: 120, active_version: 2 },
+      });
+
+      const context = await agent.getConversationContext('CA123456');
+
+      expect(mockDatabaseService.getAgentConfig).toHaveBeenCalledWith('default_voice_agent');
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        agent_config_name: 'default_voice_agent',
+        agent_config_version: 2,
+      });
+      expect(context.temperature).toBe(0.3);
+      expect(context.maxTokens).toBe(120);
+    });
+
+    test('should move SMS threads to the active agent config version', async () => {
+      mockDatabaseService.getAgentConfigVersion = jest.fn();
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true, data: {} });
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'SMS-thread', agent_type: 'sms', agent_config_name: 'sales_agent', agent_config_version: 3, metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'sales_agent', system_prompt: 'You are a sales assistant.', active_version: 4 },
+      });
+
+      const context = await agent.getConversationContext('SMS-thread');
+
+      expect(mockDatabaseService.getAgentConfigVersion).not.toHaveBeenCalled();
+      expect(context.agentConfigVersion).toBe(4);
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        agent_config_name: 'sales_agent',
+        agent_config_version: 4,
+      });
+    });
+
+    test('should build caller context from the stored caller profile', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: {
+          id: 'conv-123',
+          call_sid: 'CA123456',
+          customer_id: 'cust-1',
+          metadata: {
+            caller: {
+              customerId: 'cust-1',
+              name: 'Pat Lee',
+              tags: ['vip'],
+              recentConversations: [{ at: '2026-10-01T15:00:00Z', channel: 'call', topic: 'pricing for the pro plan' }],
+              openTasks: [],
+              timezone: 'UTC',
+            },
+          },
+        },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+
+      const context = await agent.getConversationContext('CA123456');
+
+      expect(context.callerContext).toContain('- Name: Pat Lee');
+      expect(context.callerContext).toContain('- Tags: vip');
+      expect(context.callerContext).toContain('by call about "pricing for the pro plan"');
+    });
+
+    test('should leave caller context empty for unknown callers', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123456', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+
+      const context = await agent.getConversationContext('CA123456');
+
+      expect(context.callerContext).toBeNull();
+    });
+
+    test('should use the default prompt when the persona is missing', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123456', agent_config_name: 'retired_agent', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({ success: false, data: null, error: 'not found' });
+
+      const context = await agent.getConversationContext('CA123456');
+
+      expect(context.systemPrompt).toBeNull();
+      expect(context.escalationRules).toBeNull();
+    });
+
     test('should return empty context if conversation not found', async () => {
       const callSid = 'CA999999';
 
@@ -385,6 +1030,15 @@ describe('ConversationAgent', () => {
       expect(context.conversationId).toBeNull();
       expect(context.messages).toEqual([]);
     });
+
+    test('should drop the cached session when the call is closed', () => {
+      const callSid = 'CA123456';
+      agent.activeSessions.set(callSid, { messages: [] });
+
+      expect(agent.closeSession(callSid)).toBe(true);
+      expect(agent.activeSessions.has(callSid)).toBe(false);
+      expect(agent.closeSession(callSid)).toBe(false);
+    });
   });
 
   describe('logMessage', () => {
@@ -484,6 +1138,588 @@ describe('ConversationAgent', () => {
     });
   });
 
+  describe('applyEscalationRules', () => {
+    const rules = { keywords: ['speak to human', 'refund'], sentiment_threshold: -0.5, max_turns: 3 };
+
+    test('should escalate on a persona keyword', async () => {
+      const text = 'I would like a refund please';
+      const sentiment = agent.applyEscalationRules(await agent.analyzeSentiment(text), text, {
+        escalationRules: rules,
+        messages: [],
+      });
+
+      expect(sentiment.needsEscalation).toBe(true);
+      expect(sentiment.escalationReason).toBe('keyword');
+    });
+
+    test('should escalate at the sentiment threshold', async () => {
+      const text = 'That was a bad answer';
+      const sentiment = agent.applyEscalationRules(await agent.analyzeSentiment(text), text, {
+        escalationRules: rules,
+        messages: [],
+      });
+
+      expect(sentiment.needsEscalation).toBe(true);
+      expect(sentiment.escalationReason).toBe('sentiment_threshold');
+    });
+
+    test('should escalate after max turns', async () => {
+      const text = 'What about the blue one?';
+      const messages = [
+        { role: 'user', content: 'a' }, { role: 'assistant', content: 'b' },
+        { role: 'user', content: 'c' }, { role: 'assistant', content: 'd' },
+        { role: 'user', content: 'e' }, { role: 'assistant', content: 'f' },
+      ];
+      const sentiment = agent.applyEscalationRules(await agent.analyzeSentiment(text), text, {
+        escalationRules: rules,
+        messages,
+      });
+
+      expect(sentiment.needsEscalation).toBe(true);
+      expect(sentiment.escalationReason).toBe('max_turns');
+    });
+
+    test('should leave sentiment unchanged without rules', async () => {
+      const text = 'I would like a refund please';
+      const original = await agent.analyzeSentiment(text);
+
+      expect(agent.applyEscalationRules(original, text, { messages: [] })).toBe(original);
+    });
+
+    test('should apply persona rules during a turn', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123', agent_config_name: 'sales_agent', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'sales_agent', voice_settings: { voice: 'nova' }, escalation_rules: { keywords: ['refund'] } },
+      });
+      mockDatabaseService.createMessage.mockResolvedValue({ success: true, data: {} });
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true });
+      mockAnthropicService.generateResponse.mockResolvedValue({ text: 'Let me get someone.', totalTokens: 5, latencyMs: 10 });
+
+      const turn = await agent.processUserTurn({ callSid: 'CA123', text: 'I need a refund' });
+
+      expect(turn.sentiment.needsEscalation).toBe(true);
+      expect(turn.voiceSettings).toEqual({ voice: 'nova' });
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', expect.objectContaining({ escalated: true }));
+    });
+
+    test('should count turns on the cached session to reach max turns in a live call', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123', agent_config_name: 'sales_agent', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'sales_agent', escalation_rules: { max_turns: 3 } },
+      });
+      mockDatabaseService.createMessage.mockResolvedValue({ success: true, data: {} });
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true });
+      mockAnthropicService.generateResponse.mockResolvedValue({ text: 'It comes in blue.', totalTokens: 5, latencyMs: 10 });
+
+      const escalations = [];
+      for (const text of ['Which colors?', 'What about blue?', 'And the size?', 'Is it in stock?']) {
+        const turn = await agent.processUserTurn({ callSid: 'CA123', text });
+        escalations.push(turn.sentiment.escalationReason || null);
+      }
+
+      expect(mockDatabaseService.getConversationMessages).toHaveBeenCalledTimes(1);
+      expect(escalations).toEqual([null, null, null, 'max_turns']);
+    });
+  });
+
+  describe('customer enrichment', () => {
+    beforeEach(() => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123', customer_id: 'cust-1', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({
+        success: true,
+        data: [
+          { role: 'assistant', content: 'Hello! How can I help you today?' },
+          { role: 'user', content: 'Hi there' },
+        ],
+      });
+      mockDatabaseService.createMessage.mockResolvedValue({ success: true, data: { id: 'msg-7' } });
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true });
+      mockDatabaseService.getCustomer = jest.fn().mockResolvedValue({
+        success: true,
+        data: { id: 'cust-1', phone_number: '+15559876543', name: null, email: null, field_sources: {} },
+      });
+      mockDatabaseService.updateCustomer = jest.fn().mockResolvedValue({ success: true, data: { id: 'cust-1' } });
+      mockDatabaseService.logCustomerFieldChanges = jest.fn().mockResolvedValue({ success: true, data: [] });
+      mockAnthropicService.generateResponse.mockResolvedValue({ text: 'Thanks, Pat!', totalTokens: 5, latencyMs: 10 });
+    });
+
+    test('should write details the caller states with the message and turn they came from', async () => {
+      await agent.processUserTurn({ callSid: 'CA123', text: 'My name is Pat Lee and my email is pat@acme.com' });
+
+      expect(mockDatabaseService.updateCustomer).toHaveBeenCalledWith('cust-1', expect.objectContaining({
+        name: 'Pat Lee',
+        email: 'pat@acme.com',
+        field_sources: expect.objectContaining({
+          email: expect.objectContaining({ source: 'conversation', conversationId: 'conv-123', messageId: 'msg-7', turn: 2 }),
+        }),
+      }));
+      expect(mockDatabaseService.logCustomerFieldChanges).toHaveBeenCalledWith(expect.arrayContaining([
+        expect.objectContaining({ field: 'name', new_value: 'Pat Lee', turn: 2, message_id: 'msg-7', source: 'conversation' }),
+      ]));
+    });
+
+    test('should number later turns on the cached session', async () => {
+      await agent.processUserTurn({ callSid: 'CA123', text: 'Just checking in' });
+      await agent.processUserTurn({ callSid: 'CA123', text: 'I work for Globex Corporation' });
+
+      expect(mockDatabaseService.updateCustomer).toHaveBeenCalledTimes(1);
+      expect(mockDatabaseService.logCustomerFieldChanges).toHaveBeenCalledWith([
+        expect.objectContaining({ field: 'company', new_value: 'Globex Corporation', turn: 3 }),
+      ]);
+    });
+
+    test('should skip enrichment when the conversation has no customer', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123', metadata: {} },
+      });
+
+      await agent.processUserTurn({ callSid: 'CA123', text: 'My name is Pat' });
+
+      expect(mockDatabaseService.getCustomer).not.toHaveBeenCalled();
+    });
+
+    test('should still reply when the customer update fails', async () => {
+      mockDatabaseService.getCustomer.mockRejectedValue(new Error('connection refused'));
+
+      const turn = await agent.processUserTurn({ callSid: 'CA123', text: 'My name is Pat' });
+
+      expect(turn.aiResponse.text).toBe('Thanks, Pat!');
+    });
+  });
+
+  describe('lead qualification', () => {
+    const previousQualification = {
+      framework: 'bant',
+      slots: {
+        budget: { value: '$20k a year', confidence: 0.9, fit: 1, source: 'caller', turn: 2 },
+        authority: { value: 'Decision maker (owner)', confidence: 0.85, fit: 1, source: 'caller', turn: 3 },
+        need: { value: 'a booking system', confidence: 0.8, fit: 1, source: 'ai', turn: 3 },
+      },
+      score: 64,
+      status: 'in_progress',
+    };
+
+    beforeEach(() => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123', customer_id: 'cust-1', agent_config_name: 'sales_agent', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({
+        success: true,
+        data: [{ role: 'user', content: 'Hi there' }],
+      });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'sales_agent', system_prompt: 'You sell booking software.', qualification: { framework: 'bant' } },
+      });
+      mockDatabaseService.createMessage.mockResolvedValue({ success: true, data: { id: 'msg-7' } });
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true });
+      mockDatabaseService.getCustomer = jest.fn().mockResolvedValue({
+        success: true,
+        data: { id: 'cust-1', tags: ['vip'], field_sources: {}, qualification: null },
+      });
+      mockDatabaseService.updateCustomer = jest.fn().mockResolvedValue({ success: true, data: { id: 'cust-1' } });
+      mockDatabaseService.logCustomerFieldChanges = jest.fn().mockResolvedValue({ success: true, data: [] });
+      mockAnthropicService.generateResponse.mockResolvedValue({ text: 'Great, thanks!', totalTokens: 5, latencyMs: 10 });
+    });
+
+    test('should ask for the missing slots in the system prompt', async () => {
+      await agent.processUserTurn({ callSid: 'CA123', text: 'What does it cost?' });
+
+      const systemPrompt = mockAnthropicService.generateResponse.mock.calls[0][1];
+      expect(systemPrompt).toContain('Lead qualification (BANT)');
+      expect(systemPrompt).toContain('- Budget: Is there a budget set aside for this?');
+      expect(systemPrompt).toContain('- Timeline: When are you hoping to have this in place?');
+    });
+
+    test('should record slots with the message and turn they came from and score the lead', async () => {
+      const turn = await agent.processUserTurn({
+        callSid: 'CA123',
+        text: 'Our budget is about $5,000 a month and we want to start asap.',
+      });
+
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        qualification: expect.objectContaining({
+          framework: 'bant',
+          score: 44,
+          status: 'in_progress',
+          slots: {
+            budget: expect.objectContaining({ value: '$5,000 a month', confidence: 0.9, fit: 1, source: 'caller', messageId: 'msg-7', turn: 2 }),
+            timeline: expect.objectContaining({ value: 'asap', confidence: 0.85, fit: 1, messageId: 'msg-7', turn: 2 }),
+          },
+        }),
+      });
+      expect(mockDatabaseService.updateCustomer).toHaveBeenCalledWith('cust-1', expect.objectContaining({
+        lead_score: 44,
+        tags: ['vip'],
+      }));
+      expect(turn.qualification).toMatchObject({ framework: 'bant', score: 44, missing: ['authority', 'need'] });
+    });
+
+    test("should build on the customer's last qualification and tag qualified leads", async () => {
+      mockDatabaseService.getCustomer.mockResolvedValue({
+        success: true,
+        data: { id: 'cust-1', tags: ['vip', 'unqualified'], field_sources: {}, qualification: previousQualification },
+      });
+
+      const turn = await agent.processUserTurn({ callSid: 'CA123', text: 'We would like it live this week.' });
+
+      expect(turn.qualification).toMatchObject({ score: 85, status: 'qualified', missing: [] });
+      expect(mockDatabaseService.updateCustomer).toHaveBeenCalledWith('cust-1', expect.objectContaining({
+        lead_score: 85,
+        tags: ['vip', 'qualified'],
+        qualification: expect.objectContaining({ status: 'qualified' }),
+      }));
+    });
+
+    test('should leave personas without a framework alone', async () => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'sales_agent', system_prompt: 'You sell booking software.' },
+      });
+
+      const turn = await agent.processUserTurn({ callSid: 'CA123', text: 'Our budget is $5,000.' });
+
+      expect(turn.qualification).toBeNull();
+      expect(mockAnthropicService.generateResponse.mock.calls[0][1]).not.toContain('Lead qualification');
+      expect(mockDatabaseService.updateConversation).not.toHaveBeenCalledWith('conv-123', expect.objectContaining({ qualification: expect.anything() }));
+    });
+
+    test('should return the qualification with the conversation', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: {
+          id: 'conv-123',
+          call_sid: 'CA123',
+          customer_id: 'cust-1',
+          agent_config_name: 'sales_agent',
+          status: 'ended',
+          qualification: previousQualification,
+        },
+      });
+
+      const result = await agent.getConversation('CA123');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({
+        id: 'conv-123',
+        callSid: 'CA123',
+        messages: [{ role: 'user', content: 'Hi there' }],
+        qualification: { framework: 'bant', score: 64, status: 'in_progress', missing: ['timeline'] },
+      });
+    });
+
+    test('should report unknown conversations', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({ success: true, data: null });
+
+      const result = await agent.getConversation('CA404');
+
+      expect(result).toMatchObject({ success: false, error: 'Conversation not found' });
+    });
+  });
+
+  describe('knowledge base', () => {
+    const chunks = [
+      {
+        id: 'chunk-1',
+        document_id: 'doc-1',
+        chunk_index: 0,
+        heading: 'Plans',
+        content: 'The team plan is $49 a month.',
+        embedding: [1, 0, 0],
+        knowledge_documents: { title: 'Pricing', agent_config_name: null, source_url: null },
+      },
+      {
+        id: 'chunk-2',
+        document_id: 'doc-2',
+        chunk_index: 0,
+        heading: null,
+        content: 'Refunds within 30 days.',
+        embedding: [0.95, 0.05, 0],
+        knowledge_documents: { title: 'Support policy', agent_config_name: 'support_agent', source_url: null },
+      },
+    ];
+
+    beforeEach(() => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123', agent_config_name: 'sales_agent', metadata: {} },
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'sales_agent', system_prompt: 'You sell booking software.' },
+      });
+      mockDatabaseService.createMessage.mockResolvedValue({ success: true, data: { id: 'msg-1' } });
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true });
+      mockDatabaseService.getKnowledgeChunks.mockResolvedValue({ success: true, data: chunks });
+      mockOpenAIService.embeddingModel = 'text-embedding-3-small';
+      mockOpenAIService.createEmbeddings = jest.fn().mockResolvedValue({ embeddings: [[0.9, 0.1, 0]] });
+      mockAnthropicService.generateResponse.mockResolvedValue({ text: 'The team plan is $49 a month.', totalTokens: 5, latencyMs: 10 });
+    });
+
+    test("should add the persona's passages to the prompt with source IDs", async () => {
+      await agent.processUserTurn({ callSid: 'CA123', text: 'How much is the team plan?' });
+
+      expect(mockOpenAIService.createEmbeddings).toHaveBeenCalledWith(['How much is the team plan?']);
+      const systemPrompt = mockAnthropicService.generateResponse.mock.calls[0][1];
+      expect(systemPrompt).toContain('You sell booking software.');
+      expect(systemPrompt).toContain('[S1] Pricing > Plans: The team plan is $49 a month.');
+      // Another persona's documents are never used
+      expect(systemPrompt).not.toContain('Refunds');
+    });
+
+    test('should store the sources each reply was given', async () => {
+      const turn = await agent.processUserTurn({ callSid: 'CA123', text: 'How much is the team plan?' });
+
+      const sources = [{
+        sourceId: 'S1',
+        documentId: 'doc-1',
+        chunkId: 'chunk-1',
+        chunkIndex: 0,
+        title: 'Pricing',
+        heading: 'Plans',
+        score: 0.994,
+      }];
+      expect(turn.knowledgeSources).toEqual(sources);
+      expect(mockDatabaseService.createMessage).toHaveBeenCalledWith(
+        'conv-123',
+        'assistant',
+        'The team plan is $49 a month.',
+        expect.objectContaining({ knowledgeSources: sources })
+      );
+      const [, , , userMetadata] = mockDatabaseService.createMessage.mock.calls.find(call => call[1] === 'user');
+      expect(userMetadata.knowledgeSources).toBeUndefined();
+    });
+
+    test('should answer without passages when retrieval fails', async () => {
+      mockOpenAIService.createEmbeddings.mockRejectedValue({ error: 'rate limited', code: 'EMBEDDING_ERROR' });
+
+      const turn = await agent.processUserTurn({ callSid: 'CA123', text: 'How much is the team plan?' });
+
+      expect(turn.aiResponse.text).toBe('The team plan is $49 a month.');
+      expect(turn.knowledgeSources).toEqual([]);
+      expect(mockAnthropicService.generateResponse.mock.calls[0][1]).not.toContain('Knowledge base');
+      const [, , , assistantMetadata] = mockDatabaseService.createMessage.mock.calls.find(call => call[1] === 'assistant');
+      expect(assistantMetadata.knowledgeSources).toBeUndefined();
+    });
+
+    test('should not embed anything when the persona has no documents', async () => {
+      mockDatabaseService.getKnowledgeChunks.mockResolvedValue({ success: true, data: [chunks[1]] });
+
+      await agent.processUserTurn({ callSid: 'CA123', text: 'How much is the team plan?' });
+
+      expect(mockOpenAIService.createEmbeddings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('simulation sessions', () => {
+    const session = {
+      id: 'conv-sim-1',
+      call_sid: 'sim:session-1',
+      phone_number: 'simulator',
+      agent_type: 'voice',
+      agent_config_name: 'sales_agent',
+      agent_config_version: 2,
+      is_simulated: true,
+      status: 'active',
+      started_at: '2026-10-18T10:00:00Z',
+      metadata: { simulated: true },
+    };
+
+    beforeEach(() => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: {
+          name: 'sales_agent',
+          system_prompt: 'You are Sam from Acme sales.',
+          escalation_rules: { keywords: ['competitor'] },
+          active_version: 2,
+        },
+      });
+      mockDatabaseService.createConversation.mockResolvedValue({ success: true, data: session });
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({ success: true, data: session });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+      mockDatabaseService.createMessage.mockResolvedValue({ success: true, data: { id: 'msg-1' } });
+      mockDatabaseService.updateConversation.mockResolvedValue({ success: true });
+      mockAnthropicService.generateResponse.mockResolvedValue({
+        text: 'Our team plan is $20 per seat.',
+        model: 'claude-3-opus-20240229',
+        inputTokens: 180,
+        outputTokens: 12,
+        totalTokens: 192,
+        latencyMs: 340,
+      });
+    });
+
+    test('should create a simulated conversation for the agent config', async () => {
+      const result = await agent.createSimulatedSession({ agentConfigName: 'sales_agent', metadata: { label: 'pricing v3' } });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(expect.objectContaining({
+        sessionId: expect.stringMatching(/^sim:/),
+        conversationId: 'conv-sim-1',
+        agentConfigName: 'sales_agent',
+        agentConfigVersion: 2,
+        channel: 'voice',
+      }));
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith({
+        call_sid: result.data.sessionId,
+        phone_number: 'simulator',
+        agent_type: 'voice',
+        agent_config_name: 'sales_agent',
+        agent_config_version: 2,
+        is_simulated: true,
+        metadata: { label: 'pricing v3', channel: 'voice', simulated: true },
+      });
+      expect(mockDatabaseService.getCustomerByPhone).not.toHaveBeenCalled();
+    });
+
+    test('should refuse unknown agent configs', async () => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({ success: false, data: null, error: 'not found' });
+
+      const result = await agent.createSimulatedSession({ agentConfigName: 'missing' });
+
+      expect(result).toEqual(expect.objectContaining({ success: false, error: 'Agent config not found' }));
+      expect(mockDatabaseService.createConversation).not.toHaveBeenCalled();
+    });
+
+    test('should answer a turn with the persona prompt and report tokens, latency and escalation', async () => {
+      const result = await agent.processSimulatedTurn('sim:session-1', 'How much is it? Your competitor quoted less');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(expect.objectContaining({
+        sessionId: 'sim:session-1',
+        conversationId: 'conv-sim-1',
+        response: 'Our team plan is $20 per seat.',
+        escalation: { needed: true, reason: 'keyword' },
+        tokens: { input: 180, output: 12, total: 192 },
+        model: 'claude-3-opus-20240229',
+        latencyMs: { total: expect.any(Number), model: 340 },
+      }));
+      expect(result.data.sentiment).toEqual(expect.objectContaining({ score: expect.any(Number), label: expect.any(String) }));
+      expect(mockAnthropicService.generateResponse.mock.calls[0][1]).toContain('You are Sam from Acme sales.');
+      expect(mockDatabaseService.createMessage).toHaveBeenCalledWith(
+        'conv-sim-1',
+        'user',
+        'How much is it? Your competitor quoted less',
+        expect.objectContaining({ simulated: true })
+      );
+
+      // History is reloaded from the database on the next turn
+      expect(agent.activeSessions.has('sim:session-1')).toBe(false);
+    });
+
+    test('should not post turns into real calls or ended sessions', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValueOnce({
+        success: true,
+        data: { ...session, is_simulated: false },
+      });
+
+      const real = await agent.processSimulatedTurn('sim:session-1', 'Hello');
+      const notSimulated = await agent.processSimulatedTurn('CA123', 'Hello');
+
+      mockDatabaseService.getConversationByCallSid.mockResolvedValueOnce({ success: true, data: { ...session, status: 'ended' } });
+      const ended = await agent.processSimulatedTurn('sim:session-1', 'Hello');
+
+      expect(real.error).toBe('Simulation session not found');
+      expect(notSimulated.error).toBe('Simulation session not found');
+      expect(ended.error).toBe('Simulation session has ended');
+      expect(mockAnthropicService.generateResponse).not.toHaveBeenCalled();
+    });
+
+    test('should return the transcript and end the session', async () => {
+      mockDatabaseService.getConversationMessages.mockResolvedValue({
+        success: true,
+        data: [
+          { role: 'user', content: 'Hi', metadata: { simulated: true }, timestamp: '2026-10-18T10:00:01Z' },
+          { role: 'assistant', content: 'Hello!', metadata: {}, timestamp: '2026-10-18T10:00:02Z' },
+        ],
+      });
+
+      const transcript = await agent.getSimulatedSession('sim:session-1');
+      const ended = await agent.endSimulatedSession('sim:session-1');
+
+      expect(transcript.data.messages.map(msg => msg.content)).toEqual(['Hi', 'Hello!']);
+      expect(transcript.data.agentConfigName).toBe('sales_agent');
+      expect(ended.data).toEqual({ sessionId: 'sim:session-1', status: 'ended' });
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-sim-1', expect.objectContaining({
+        status: 'ended',
+        ended_at: expect.any(String),
+      }));
+    });
+  });
+
+  describe('summarizeForHandoff', () => {
+    beforeEach(() => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123', metadata: {} },
+      });
+    });
+
+    test('should summarize the transcript with Claude', async () => {
+      mockDatabaseService.getConversationMessages.mockResolvedValue({
+        success: true,
+        data: [
+          { role: 'user', content: 'My order never arrived' },
+          { role: 'assistant', content: 'I am sorry to hear that.' },
+          { role: 'user', content: 'I want to speak to a manager' },
+        ],
+      });
+      mockAnthropicService.generateResponse.mockResolvedValue({
+        text: ' Caller is upset about a missing order and wants a manager. ',
+      });
+
+      const result = await agent.summarizeForHandoff('CA123');
+
+      expect(result.success).toBe(true);
+      expect(result.data.summary).toBe('Caller is upset about a missing order and wants a manager.');
+      expect(result.data.generated).toBe(true);
+
+      const [messages] = mockAnthropicService.generateResponse.mock.calls[0];
+      expect(messages[0].content).toContain('Caller: My order never arrived');
+      expect(messages[0].content).toContain('Assistant: I am sorry to hear that.');
+    });
+
+    test('should return fallback summary when there is no transcript', async () => {
+      mockDatabaseService.getConversationMessages.mockResolvedValue({ success: true, data: [] });
+
+      const result = await agent.summarizeForHandoff('CA123');
+
+      expect(result.data.generated).toBe(false);
+      expect(result.data.summary).toBeTruthy();
+      expect(mockAnthropicService.generateResponse).not.toHaveBeenCalled();
+    });
+
+    test('should return fallback summary when Claude fails', async () => {
+      mockDatabaseService.getConversationMessages.mockResolvedValue({
+        success: true,
+        data: [{ role: 'user', content: 'Get me a supervisor' }],
+      });
+      mockAnthropicService.generateResponse.mockRejectedValue(new Error('API down'));
+
+      const result = await agent.summarizeForHandoff('CA123');
+
+      expect(result.success).toBe(true);
+      expect(result.data.generated).toBe(false);
+    });
+  });
+
   describe('TwiML Generation', () => {
     test('should generate valid TwiML for conversation', () => {
       const responseText = 'How can I help you today?';
@@ -496,6 +1732,24 @@ describe('ConversationAgent', () => {
       expect(twiml).toContain('</Response>');
     });
 
+    test('should speak in the persona Twilio voice', () => {
+      const twiml = agent.generateConversationTwiML('Hi there', { twilioVoice: 'Polly.Matthew', language: 'en-GB' });
+
+      expect(twiml).toContain('<Say voice="Polly.Matthew" language="en-GB">Hi there</Say>');
+      expect(twiml).not.toContain('voice="alice"');
+    });
+
+    test('should play synthesized audio when the persona uses a TTS provider', () => {
+      agent.ttsService = new TtsService({ baseUrl: 'https://voice.example.com', urlSecret: 'test_secret' });
+      jest.spyOn(agent.ttsService, 'synthesize').mockResolvedValue({ cached: true });
+
+      const twiml = agent.generateConversationTwiML('Hi there', { ttsProvider: 'file' });
+
+      expect(twiml).toMatch(/<Play>https:\/\/voice\.example\.com\/tts\/[a-f0-9]{64}\.wav\?d=[\w-]+&amp;sig=[\w-]+<\/Play>/);
+      expect(twiml).not.toContain('<Say');
+      expect(agent.ttsService.synthesize).toHaveBeenCalledWith(expect.objectContaining({ provider: 'file', text: 'Hi there' }));
+    });
+
     test('should escape XML special characters', () => {
       const responseText = 'We have < & > " \' characters';
       const twiml = agent.generateConversationTwiML(responseText);
@@ -507,11 +1761,11 @@ describe('ConversationAgent', () => {
       expect(twiml).toContain('&apos;');
     });
 
-    test('should generate repeat request TwiML', () => {
+    test('should hand repeat requests to the reprompt webhook instead of hanging up', () => {
       const twiml = agent.generateRepeatRequestTwiML();
 
-      expect(twiml).toContain("I didn't quite catch that");
-      expect(twiml).toContain('<Gather input="speech"');
+      expect(twiml).toContain('<Redirect method="POST">/webhooks/reprompt?reason=no_match&amp;attempt=0</Redirect>');
+      expect(twiml).not.toContain('<Hangup/>');
     });
   });
 
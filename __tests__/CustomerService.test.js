@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Test suite for customer auto-create and enrichment
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Creating customers for unknown numbers (and the duplicate-create race)
+ * - Filling, overwriting and skipping fields from conversations
+ * - Locks on fields a human has edited
+ * - Provenance in field_sources and the customer_field_changes audit rows
+ */
+
+const CustomerService = require('../src/services/CustomerService');
+
+describe('CustomerService', () => {
+  let dbService;
+  let customers;
+  let customer;
+
+  beforeEach(() => {
+    customer = {
+      id: 'cust-1',
+      phone_number: '+12125550100',
+      name: null,
+      email: null,
+      company: null,
+      needs: null,
+      field_sources: {}
+    };
+
+    dbService = {
+      getCustomerByPhone: jest.fn().mockResolvedValue({ success: true, data: null, error: null }),
+      createCustomer: jest.fn().mockResolvedValue({ success: true, data: { id: 'cust-new', phone_number: '+12125550100' }, error: null }),
+      getCustomer: jest.fn().mockImplementation(async () => ({ success: true, data: customer, error: null })),
+      updateCustomer: jest.fn().mockImplementation(async (id, updates) => ({ success: true, data: { ...customer, ...updates }, error: null })),
+      logCustomerFieldChanges: jest.fn().mockImplementation(async rows => ({ success: true, data: rows, error: null })),
+      getCustomerFieldChanges: jest.fn().mockResolvedValue({ success: true, data: [], error: null })
+    };
+
+    customers = new CustomerService({
+      overwriteFields: ['name', 'email'],
+      lockedFields: ['name', 'email', 'company', 'needs']
+    }, dbService);
+  });
+
+  describe('findOrCreateCustomer()', () => {
+    test('should return an existing customer', async () => {
+      dbService.getCustomerByPhone.mockResolvedValue({ success: true, data: customer, error: null });
+
+      const result = await customers.findOrCreateCustomer('+12125550100');
+
+      expect(result.data).toEqual({ customer, created: false });
+      expect(dbService.createCustomer).not.toHaveBeenCalled();
+    });
+
+    test('should create a customer for an unknown number', async () => {
+      const result = await customers.findOrCreateCustomer('+12125550100');
+
+      expect(dbService.createCustomer).toHaveBeenCalledWith({ phone_number: '+12125550100' });
+      expect(result.data).toEqual({ customer: { id: 'cust-new', phone_number: '+12125550100' }, created: true });
+    });
+
+    test('should use the customer another call created first', async () => {
+      dbService.createCustomer.mockResolvedValue({ success: false, data: null, error: 'duplicate key value' });
+      dbService.getCustomerByPhone
+        .mockResolvedValueOnce({ success: true, data: null, error: null })
+        .mockResolvedValueOnce({ success: true, data: customer, error: null });
+
+      const result = await customers.findOrCreateCustomer('+12125550100');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ customer, created: false });
+    });
+
+    test('should not create customers when auto-create is off', async () => {
+      const lookupOnly = new CustomerService({ autoCreate: false }, dbService);
+
+      const result = await lookupOnly.findOrCreateCustomer('+12125550100');
+
+      expect(result.data).toEqual({ customer: null, created: false });
+      expect(dbService.createCustomer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyConversationFields()', () => {
+    const source = { conversationId: 'conv-1', messageId: 'msg-1', turn: 3 };
+
+    test('should fill empty fields and record the turn they came from', async () => {
+      const result = await customers.applyConversationFields('cust-1', { name: 'Pat Lee', email: 'pat@acme.com' }, source);
+
+      expect(result.data).toEqual({ updated: ['name', 'email'], skipped: {} });
+      expect(dbService.updateCustomer).toHaveBeenCalledWith('cust-1', {
+        name: 'Pat Lee',
+        email: 'pat@acme.com',
+        field_sources: {
+          name: expect.objectContaining({ source: 'conversation', conversationId: 'conv-1', messageId: 'msg-1', turn: 3 }),
+          email: expect.objectContaining({ source: 'conversation', conversationId: 'conv-1', messageId: 'msg-1', turn: 3 })
+        }
+      });
+      expect(dbService.logCustomerFieldChanges).toHaveBeenCalledWith([
+        { customer_id: 'cust-1', field: 'name', old_value: null, new_value: 'Pat Lee', source: 'conversation', conversation_id: 'conv-1', message_id: 'msg-1', turn: 3 },
+        { customer_id: 'cust-1', field: 'email', old_value: null, new_value: 'pat@acme.com', source: 'conversation', conversation_id: 'conv-1', message_id: 'msg-1', turn: 3 }
+      ]);
+    });
+
+    test('should only overwrite fields listed in overwriteFields', async () => {
+      Object.assign(customer, { email: 'old@acme.com', company: 'Acme' });
+
+      const result = await customers.applyConversationFields('cust-1', { email: 'pat@acme.com', company: 'Globex' }, source);
+
+      expect(result.data).toEqual({ updated: ['email'], skipped: { company: 'not_overwritable' } });
+    });
+
+    test('should never overwrite a field a human edited', async () => {
+      Object.assign(customer, {
+        email: 'pat@acme.com',
+        field_sources: { email: { source: 'human', editedBy: 'rep@example.com' } }
+      });
+
+      const result = await customers.applyConversationFields('cust-1', { email: 'other@acme.com' }, source);
+
+      expect(result.data).toEqual({ updated: [], skipped: { email: 'locked' } });
+      expect(dbService.updateCustomer).not.toHaveBeenCalled();
+    });
+
+    test('should overwrite a human edit when the field is not in lockedFields', async () => {
+      const unlocked = new CustomerService({ overwriteFields: ['email'], lockedFields: [] }, dbService);
+      Object.assign(customer, { email: 'pat@acme.com', field_sources: { email: { source: 'human' } } });
+
+      const result = await unlocked.applyConversationFields('cust-1', { email: 'other@acme.com' }, source);
+
+      expect(result.data.updated).toEqual(['email']);
+    });
+
+    test('should only replace a known name the caller stated outright', async () => {
+      customer.name = 'Pat Lee';
+
+      const loose = await customers.applyConversationFields('cust-1', { name: 'Back Tomorrow' }, source);
+      const stated = await customers.applyConversationFields('cust-1', { name: 'Sam Ortiz', explicit: ['name'] }, source);
+
+      expect(loose.data).toEqual({ updated: [], skipped: { name: 'not_explicit' } });
+      expect(stated.data).toEqual({ updated: ['name'], skipped: {} });
+      expect(dbService.updateCustomer).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep a full name when the caller later gives only their first name', async () => {
+      customer.name = 'Pat Lee';
+
+      const result = await customers.applyConversationFields('cust-1', { name: 'Pat' }, source);
+
+      expect(result.data.skipped).toEqual({ name: 'unchanged' });
+    });
+
+    test('should append new needs without repeating known ones', async () => {
+      customer.needs = ['pricing for ten seats'];
+
+      await customers.applyConversationFields('cust-1', { needs: ['Pricing for ten seats', 'a demo next week'] }, source);
+
+      expect(dbService.updateCustomer).toHaveBeenCalledWith('cust-1', expect.objectContaining({
+        needs: ['pricing for ten seats', 'a demo next week']
+      }));
+    });
+
+    test('should do nothing when enrichment is off', async () => {
+      const disabled = new CustomerService({ enrichment: false }, dbService);
+
+      const result = await disabled.applyConversationFields('cust-1', { name: 'Pat' }, source);
+
+      expect(result.data).toEqual({ updated: [], skipped: {} });
+      expect(dbService.getCustomer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyHumanEdit()', () => {
+    test('should mark edited fields as human-sourced and audit who changed them', async () => {
+      customer.email = 'old@acme.com';
+
+      const result = await customers.applyHumanEdit('cust-1', { email: 'pat@acme.com', notes: 'Prefers mornings' }, { editedBy: 'rep@example.com' });
+
+      expect(result.success).toBe(true);
+      expect(dbService.updateCustomer).toHaveBeenCalledWith('cust-1', {
+        email: 'pat@acme.com',
+        notes: 'Prefers mornings',
+        field_sources: { email: expect.objectContaining({ source: 'human', editedBy: 'rep@example.com' }) }
+      });
+      expect(dbService.logCustomerFieldChanges).toHaveBeenCalledWith([
+        { customer_id: 'cust-1', field: 'email', old_value: 'old@acme.com', new_value: 'pat@acme.com', source: 'human', changed_by: 'rep@example.com' },
+        { customer_id: 'cust-1', field: 'notes', old_value: null, new_value: 'Prefers mornings', source: 'human', changed_by: 'rep@example.com' }
+      ]);
+    });
+
+    test('should return the lookup error for unknown customers', async () => {
+      dbService.getCustomer.mockResolvedValue({ success: false, data: null, error: 'Customer not found' });
+
+      const result = await customers.applyHumanEdit('missing', { name: 'Pat' });
+
+      expect(result).toEqual({ success: false, data: null, error: 'Customer not found' });
+      expect(dbService.updateCustomer).not.toHaveBeenCalled();
+    });
+  });
+});
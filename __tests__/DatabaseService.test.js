@@ -139,6 +139,24 @@ describe('DatabaseService', () => {
       expect(mockSupabaseClient.from).toHaveBeenCalledWith('conversations');
     });
 
+    test('should store the agent config name', async () => {
+      mockSupabaseClient.single.mockResolvedValue({
+        data: { id: 'conv-uuid', agent_config_name: 'sales_agent' },
+        error: null
+      });
+
+      await dbService.createConversation({
+        call_sid: 'CA123456',
+        phone_number: '+1234567890',
+        agent_config_name: 'sales_agent'
+      });
+
+      expect(mockSupabaseClient.insert).toHaveBeenCalledWith([expect.objectContaining({
+        agent_type: 'voice',
+        agent_config_name: 'sales_agent'
+      })]);
+    });
+
     test('should fail when call_sid is missing', async () => {
       const result = await dbService.createConversation({
         phone_number: '+1234567890'
@@ -263,6 +281,59 @@ describe('DatabaseService', () => {
     });
   });
 
+  describe('claimConversationFinalization', () => {
+    beforeEach(async () => {
+      mockSupabaseClient.is = jest.fn().mockReturnThis();
+      await dbService.initialize();
+    });
+
+    test('should set finalized_at only while it is empty', async () => {
+      const claimed = { id: 'conv-uuid', finalized_at: '2026-10-18T10:00:00Z' };
+      mockSupabaseClient.select.mockResolvedValue({ data: [claimed], error: null });
+
+      const result = await dbService.claimConversationFinalization('conv-uuid');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(claimed);
+      expect(mockSupabaseClient.update).toHaveBeenCalledWith({ finalized_at: expect.any(String) });
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('id', 'conv-uuid');
+      expect(mockSupabaseClient.is).toHaveBeenCalledWith('finalized_at', null);
+    });
+
+    test('should return null when the call was already finalized', async () => {
+      mockSupabaseClient.select.mockResolvedValue({ data: [], error: null });
+
+      const result = await dbService.claimConversationFinalization('conv-uuid');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBeNull();
+    });
+  });
+
+  describe('getOpenCalls', () => {
+    beforeEach(async () => {
+      mockSupabaseClient.is = jest.fn().mockReturnThis();
+      mockSupabaseClient.neq = jest.fn().mockReturnThis();
+      mockSupabaseClient.lt = jest.fn().mockReturnThis();
+      await dbService.initialize();
+    });
+
+    test('should return unfinalized voice calls started before the cutoff, oldest first', async () => {
+      mockSupabaseClient.limit.mockResolvedValue({ data: [{ id: 'conv-uuid' }], error: null });
+
+      const result = await dbService.getOpenCalls('2026-10-18T09:45:00Z', 10);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toHaveLength(1);
+      expect(mockSupabaseClient.is).toHaveBeenCalledWith('finalized_at', null);
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('is_simulated', false);
+      expect(mockSupabaseClient.neq).toHaveBeenCalledWith('agent_type', 'sms');
+      expect(mockSupabaseClient.lt).toHaveBeenCalledWith('started_at', '2026-10-18T09:45:00Z');
+      expect(mockSupabaseClient.order).toHaveBeenCalledWith('started_at', { ascending: true });
+      expect(mockSupabaseClient.limit).toHaveBeenCalledWith(10);
+    });
+  });
+
   // ============================================================================
   // CUSTOMER OPERATIONS TESTS
   // ============================================================================
@@ -341,6 +412,96 @@ describe('DatabaseService', () => {
     });
   });
 
+  describe('getCustomer', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should retrieve customer by id', async () => {
+      const mockData = {
+        id: 'cust-uuid',
+        phone_number: '+1234567890',
+        email: 'john@example.com'
+      };
+
+      mockSupabaseClient.single.mockResolvedValue({
+        data: mockData,
+        error: null
+      });
+
+      const result = await dbService.getCustomer('cust-uuid');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(mockData);
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('id', 'cust-uuid');
+    });
+
+    test('should fail when customer does not exist', async () => {
+      mockSupabaseClient.single.mockResolvedValue({
+        data: null,
+        error: { code: 'PGRST116', message: 'Not found' }
+      });
+
+      const result = await dbService.getCustomer('missing-uuid');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Customer not found');
+    });
+  });
+
+  describe('logCustomerFieldChanges', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should insert one audit row per changed field', async () => {
+      const changes = [{ customer_id: 'cust-uuid', field: 'email', old_value: null, new_value: 'pat@acme.com', source: 'conversation', turn: 2 }];
+      mockSupabaseClient.select.mockResolvedValue({ data: changes, error: null });
+
+      const result = await dbService.logCustomerFieldChanges(changes);
+
+      expect(result.success).toBe(true);
+      expect(mockSupabaseClient.from).toHaveBeenCalledWith('customer_field_changes');
+      expect(mockSupabaseClient.insert).toHaveBeenCalledWith(changes);
+    });
+  });
+
+  describe('getCustomerFieldChanges', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should fetch the newest changes for a customer', async () => {
+      mockSupabaseClient.limit.mockResolvedValue({ data: [{ id: 'change-1' }], error: null });
+
+      const result = await dbService.getCustomerFieldChanges('cust-uuid', 20);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([{ id: 'change-1' }]);
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('customer_id', 'cust-uuid');
+      expect(mockSupabaseClient.order).toHaveBeenCalledWith('created_at', { ascending: false });
+      expect(mockSupabaseClient.limit).toHaveBeenCalledWith(20);
+    });
+  });
+
+  describe('getCustomerConversations', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should fetch the newest conversations for a customer', async () => {
+      mockSupabaseClient.limit.mockResolvedValue({ data: [{ id: 'conv-1' }], error: null });
+
+      const result = await dbService.getCustomerConversations('cust-uuid', { limit: 3 });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([{ id: 'conv-1' }]);
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('customer_id', 'cust-uuid');
+      expect(mockSupabaseClient.order).toHaveBeenCalledWith('started_at', { ascending: false });
+      expect(mockSupabaseClient.limit).toHaveBeenCalledWith(3);
+    });
+  });
+
   describe('updateCustomer', () => {
     beforeEach(async () => {
       await dbService.initialize();
@@ -602,6 +763,45 @@ describe('DatabaseService', () => {
     });
   });
 
+  describe('getPhoneNumberRoute', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should retrieve the active route for a number', async () => {
+      const mockData = {
+        id: 'route-uuid',
+        phone_number: '+15551234567',
+        agent_config_name: 'sales_agent'
+      };
+
+      mockSupabaseClient.single.mockResolvedValue({
+        data: mockData,
+        error: null
+      });
+
+      const result = await dbService.getPhoneNumberRoute('+15551234567');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(mockData);
+      expect(mockSupabaseClient.from).toHaveBeenCalledWith('phone_number_routes');
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('phone_number', '+15551234567');
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('active', true);
+    });
+
+    test('should return null data when the number has no route', async () => {
+      mockSupabaseClient.single.mockResolvedValue({
+        data: null,
+        error: { code: 'PGRST116', message: 'Not found' }
+      });
+
+      const result = await dbService.getPhoneNumberRoute('+15559999999');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBeNull();
+    });
+  });
+
   // ============================================================================
   // SCHEDULED TASK OPERATIONS TESTS
   // ============================================================================
@@ -730,4 +930,228 @@ describe('DatabaseService', () => {
       expect(updateCall).toHaveProperty('completed_at');
     });
   });
+
+  describe('getCustomerOpenTasks', () => {
+    beforeEach(async () => {
+      mockSupabaseClient.in = jest.fn().mockReturnThis();
+      await dbService.initialize();
+    });
+
+    test('should fetch pending and processing tasks for a customer', async () => {
+      mockSupabaseClient.order.mockResolvedValue({ data: [{ id: 'task-uuid' }], error: null });
+
+      const result = await dbService.getCustomerOpenTasks('cust-uuid');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([{ id: 'task-uuid' }]);
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('customer_id', 'cust-uuid');
+      expect(mockSupabaseClient.in).toHaveBeenCalledWith('status', ['pending', 'processing']);
+    });
+  });
+
+  describe('claimScheduledTask', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should move a pending task to processing and count the attempt', async () => {
+      const claimed = { id: 'task-uuid', status: 'processing', attempts: 2 };
+      mockSupabaseClient.select.mockResolvedValue({ data: [claimed], error: null });
+
+      const result = await dbService.claimScheduledTask({ id: 'task-uuid', attempts: 1 });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(claimed);
+      expect(mockSupabaseClient.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'processing',
+        attempts: 2,
+        started_at: expect.any(String)
+      }));
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('id', 'task-uuid');
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('status', 'pending');
+    });
+
+    test('should return null when another worker claimed the task first', async () => {
+      mockSupabaseClient.select.mockResolvedValue({ data: [], error: null });
+
+      const result = await dbService.claimScheduledTask({ id: 'task-uuid', attempts: 0 });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBeNull();
+    });
+  });
+
+  describe('releaseStaleTasks', () => {
+    beforeEach(async () => {
+      mockSupabaseClient.lt = jest.fn().mockReturnThis();
+      await dbService.initialize();
+    });
+
+    test('should return processing tasks started before the cutoff to pending', async () => {
+      mockSupabaseClient.select.mockResolvedValue({ data: [{ id: 'task-uuid' }], error: null });
+
+      const result = await dbService.releaseStaleTasks('2026-10-18T09:50:00Z');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toHaveLength(1);
+      expect(mockSupabaseClient.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending' }));
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('status', 'processing');
+      expect(mockSupabaseClient.lt).toHaveBeenCalledWith('started_at', '2026-10-18T09:50:00Z');
+    });
+  });
+
+  // ============================================================================
+  // CAMPAIGN OPERATIONS TESTS
+  // ============================================================================
+
+  describe('createCampaign', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should create campaign as draft', async () => {
+      mockSupabaseClient.single.mockResolvedValue({
+        data: { id: 'campaign-uuid', name: 'Renewals', status: 'draft' },
+        error: null
+      });
+
+      const result = await dbService.createCampaign({ name: 'Renewals', script: 'Hi!' });
+
+      expect(result.success).toBe(true);
+      expect(mockSupabaseClient.from).toHaveBeenCalledWith('campaigns');
+      expect(mockSupabaseClient.insert).toHaveBeenCalledWith([
+        expect.objectContaining({ name: 'Renewals', status: 'draft' })
+      ]);
+    });
+
+    test('should fail when name is missing', async () => {
+      const result = await dbService.createCampaign({ script: 'Hi!' });
+
+      expect(result.success).toBe(false);
+      expect(mockSupabaseClient.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCampaign', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should return not found error for unknown campaign', async () => {
+      mockSupabaseClient.single.mockResolvedValue({
+        data: null,
+        error: { code: 'PGRST116', message: 'No rows found' }
+      });
+
+      const result = await dbService.getCampaign('missing-uuid');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Campaign not found');
+    });
+  });
+
+  describe('addCampaignContacts', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should upsert contacts as pending and skip duplicates', async () => {
+      mockSupabaseClient.select.mockResolvedValue({
+        data: [{ id: 'contact-uuid', phone_number: '+15551234567' }],
+        error: null
+      });
+
+      const result = await dbService.addCampaignContacts('campaign-uuid', [
+        { phone_number: '+15551234567', name: 'Jane' }
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toHaveLength(1);
+      expect(mockSupabaseClient.upsert).toHaveBeenCalledWith(
+        [{
+          campaign_id: 'campaign-uuid',
+          phone_number: '+15551234567',
+          name: 'Jane',
+          customer_id: null,
+          status: 'pending',
+          attempts: 0
+        }],
+        { onConflict: 'campaign_id,phone_number', ignoreDuplicates: true }
+      );
+    });
+  });
+
+  describe('getDncNumber', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should return null data for numbers not on the list', async () => {
+      mockSupabaseClient.single.mockResolvedValue({
+        data: null,
+        error: { code: 'PGRST116', message: 'No rows found' }
+      });
+
+      const result = await dbService.getDncNumber('+15551234567');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBeNull();
+      expect(mockSupabaseClient.from).toHaveBeenCalledWith('dnc_numbers');
+    });
+
+    test('should fail on other database errors', async () => {
+      mockSupabaseClient.single.mockResolvedValue({
+        data: null,
+        error: { code: '08006', message: 'connection failure' }
+      });
+
+      const result = await dbService.getDncNumber('+15551234567');
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('addDncNumbers', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should upsert numbers on phone_number', async () => {
+      const entries = [{ phone_number: '+15551234567', reason: 'customer request', source: 'api' }];
+      mockSupabaseClient.select.mockResolvedValue({ data: entries, error: null });
+
+      const result = await dbService.addDncNumbers(entries);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toHaveLength(1);
+      expect(mockSupabaseClient.upsert).toHaveBeenCalledWith(entries, { onConflict: 'phone_number' });
+    });
+  });
+
+  describe('countOutboundAttempts', () => {
+    beforeEach(async () => {
+      await dbService.initialize();
+    });
+
+    test('should count allowed attempts since the given time with the oldest one', async () => {
+      mockSupabaseClient.limit.mockResolvedValue({ data: [{ created_at: '2026-10-17T14:05:00Z' }], count: 2, error: null });
+
+      const result = await dbService.countOutboundAttempts('+15551234567', '2026-10-17T10:00:00Z');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ count: 2, oldestAt: '2026-10-17T14:05:00Z' });
+      expect(mockSupabaseClient.from).toHaveBeenCalledWith('outbound_attempts');
+      expect(mockSupabaseClient.eq).toHaveBeenCalledWith('allowed', true);
+      expect(mockSupabaseClient.gte).toHaveBeenCalledWith('created_at', '2026-10-17T10:00:00Z');
+      expect(mockSupabaseClient.order).toHaveBeenCalledWith('created_at', { ascending: true });
+    });
+
+    test('should report no oldest attempt when there are none', async () => {
+      mockSupabaseClient.limit.mockResolvedValue({ data: [], count: 0, error: null });
+
+      const result = await dbService.countOutboundAttempts('+15551234567', '2026-10-17T10:00:00Z');
+
+      expect(result.data).toEqual({ count: 0, oldestAt: null });
+    });
+  });
 });
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Test suite for KnowledgeBaseService
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Adding documents: chunking, embedding, failed indexing
+ * - Updates that re-index and updates that only refresh the index
+ * - Removing and re-indexing documents
+ * - Retrieval: persona filter, index cache, failures and timeouts
+ */
+
+const KnowledgeBaseService = require('../src/services/KnowledgeBaseService');
+
+describe('KnowledgeBaseService', () => {
+  let dbService;
+  let openaiService;
+  let service;
+
+  const chunkRow = (id, embedding, overrides = {}) => ({
+    id,
+    document_id: 'doc-1',
+    chunk_index: 0,
+    heading: 'Plans',
+    content: 'Team: $49 a month.',
+    embedding,
+    knowledge_documents: { title: 'Pricing', agent_config_name: null, source_url: null },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    dbService = {
+      getKnowledgeDocuments: jest.fn().mockResolvedValue({ success: true, data: [] }),
+      getKnowledgeDocument: jest.fn().mockResolvedValue({ success: true, data: null }),
+      createKnowledgeDocument: jest.fn().mockImplementation(async fields => ({ success: true, data: { id: 'doc-1', ...fields } })),
+      updateKnowledgeDocument: jest.fn().mockImplementation(async (id, fields) => ({ success: true, data: { id, title: 'Pricing', ...fields } })),
+      deleteKnowledgeDocument: jest.fn().mockResolvedValue({ success: true, data: [{ id: 'doc-1' }] }),
+      replaceKnowledgeChunks: jest.fn().mockImplementation(async (id, chunks) => ({ success: true, data: { count: chunks.length } })),
+      getKnowledgeChunks: jest.fn().mockResolvedValue({ success: true, data: [] })
+    };
+
+    openaiService = {
+      embeddingModel: 'text-embedding-3-small',
+      createEmbeddings: jest.fn().mockImplementation(async texts => ({ embeddings: texts.map(() => [1, 0]) }))
+    };
+
+    service = new KnowledgeBaseService({ topK: 2, minScore: 0.3, timeoutMs: 50 }, { dbService, openaiService });
+  });
+
+  describe('addDocument()', () => {
+    test('should store the document and its embedded passages', async () => {
+      const result = await service.addDocument({
+        title: ' Pricing ',
+        content: '# Plans\n\nTeam: $49 a month.\n\n# Refunds\n\nWithin 30 days.',
+        agentConfigName: 'sales_agent'
+      });
+
+      expect(result.success).toBe(true);
+      expect(dbService.createKnowledgeDocument).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'Pricing',
+        format: 'markdown',
+        agent_config_name: 'sales_agent',
+        active: true,
+        status: 'pending',
+        content_hash: expect.stringMatching(/^[0-9a-f]{64}$/)
+      }));
+      expect(openaiService.createEmbeddings).toHaveBeenCalledWith([
+        'Pricing > Plans\n\nTeam: $49 a month.',
+        'Pricing > Refunds\n\nWithin 30 days.'
+      ]);
+      expect(dbService.replaceKnowledgeChunks).toHaveBeenCalledWith('doc-1', [
+        { chunk_index: 0, heading: 'Plans', content: 'Team: $49 a month.', embedding: [1, 0] },
+        { chunk_index: 1, heading: 'Refunds', content: 'Within 30 days.', embedding: [1, 0] }
+      ]);
+      expect(result.data).toMatchObject({ status: 'indexed', chunk_count: 2, embedding_model: 'text-embedding-3-small', index_error: null });
+    });
+
+    test('should keep the document as failed when embedding fails', async () => {
+      openaiService.createEmbeddings.mockRejectedValue({ error: 'Rate limit exceeded', code: 'EMBEDDING_ERROR' });
+
+      const result = await service.addDocument({ title: 'Pricing', content: 'Team: $49 a month.' });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ status: 'failed', index_error: 'Rate limit exceeded' });
+      expect(dbService.replaceKnowledgeChunks).not.toHaveBeenCalled();
+    });
+
+    test('should reject missing or invalid fields', async () => {
+      expect((await service.addDocument({ title: 'Pricing' })).error).toBe('title and content are required');
+      expect((await service.addDocument({ title: 'Pricing', content: 'x', format: 'pdf' })).error).toMatch(/format must be one of/);
+      expect((await service.addDocument({ title: 'x'.repeat(201), content: 'x' })).error).toMatch(/title must be/);
+      expect(dbService.createKnowledgeDocument).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateDocument()', () => {
+    const current = { id: 'doc-1', title: 'Pricing', format: 'text', content: 'Team: $49.', content_hash: null };
+
+    beforeEach(() => {
+      dbService.getKnowledgeDocument.mockResolvedValue({ success: true, data: current });
+    });
+
+    test('should re-index changed content', async () => {
+      dbService.updateKnowledgeDocument.mockImplementationOnce(async (id, fields) => ({ success: true, data: { ...current, ...fields } }));
+
+      const result = await service.updateDocument('doc-1', { content: 'Team: $59.' });
+
+      expect(dbService.updateKnowledgeDocument).toHaveBeenNthCalledWith(1, 'doc-1', expect.objectContaining({ content: 'Team: $59.', status: 'pending' }));
+      expect(openaiService.createEmbeddings).toHaveBeenCalledWith(['Pricing\n\nTeam: $59.']);
+      expect(result.data.status).toBe('indexed');
+    });
+
+    test('should only refresh the index for other changes', async () => {
+      service.index = { entries: [], expiresAt: Date.now() + 60000 };
+
+      const result = await service.updateDocument('doc-1', { active: false, agentConfigName: 'support_agent' });
+
+      expect(result.success).toBe(true);
+      expect(dbService.updateKnowledgeDocument).toHaveBeenCalledWith('doc-1', { active: false, agent_config_name: 'support_agent' });
+      expect(openaiService.createEmbeddings).not.toHaveBeenCalled();
+      expect(service.index).toBeNull();
+    });
+
+    test('should return null data for unknown documents', async () => {
+      dbService.getKnowledgeDocument.mockResolvedValue({ success: true, data: null });
+
+      const result = await service.updateDocument('missing', { title: 'Pricing' });
+
+      expect(result).toEqual({ success: true, data: null });
+      expect(dbService.updateKnowledgeDocument).not.toHaveBeenCalled();
+    });
+  });
+
+  test('removeDocument() should report whether anything was removed', async () => {
+    expect((await service.removeDocument('doc-1')).data).toEqual({ removed: true });
+
+    dbService.deleteKnowledgeDocument.mockResolvedValue({ success: true, data: [] });
+    expect((await service.removeDocument('missing')).data).toEqual({ removed: false });
+  });
+
+  describe('reindexAll()', () => {
+    beforeEach(() => {
+      dbService.getKnowledgeDocuments.mockResolvedValue({
+        success: true,
+        data: [
+          { id: 'doc-1', title: 'Pricing', status: 'indexed', embedding_model: 'text-embedding-3-small' },
+          { id: 'doc-2', title: 'Refunds', status: 'indexed', embedding_model: 'text-embedding-ada-002' },
+          { id: 'doc-3', title: 'Gone', status: 'failed' }
+        ]
+      });
+      dbService.getKnowledgeDocument.mockImplementation(async id => ({
+        success: true,
+        data: id === 'doc-3' ? null : { id, title: 'Doc', format: 'text', content: 'Some text.' }
+      }));
+    });
+
+    test('should re-index documents embedded with another model or not indexed', async () => {
+      const result = await service.reindexAll();
+
+      expect(result.data).toEqual({
+        indexed: 1,
+        skipped: 1,
+        failed: [{ id: 'doc-3', title: 'Gone', error: 'Document not found' }]
+      });
+      expect(dbService.replaceKnowledgeChunks).toHaveBeenCalledWith('doc-2', expect.any(Array));
+    });
+
+    test('should re-index everything when forced', async () => {
+      const result = await service.reindexAll({ force: true });
+
+      expect(result.data.indexed).toBe(2);
+      expect(result.data.skipped).toBe(0);
+    });
+  });
+
+  describe('retrieve()', () => {
+    beforeEach(() => {
+      dbService.getKnowledgeChunks.mockResolvedValue({
+        success: true,
+        data: [
+          chunkRow('chunk-1', [1, 0]),
+          chunkRow('chunk-2', [0.8, 0.6], { chunk_index: 1, heading: null, content: 'Pro: $99 a month.' }),
+          chunkRow('chunk-3', [1, 0.1], { document_id: 'doc-2', knowledge_documents: { title: 'Support', agent_config_name: 'support_agent' } }),
+          chunkRow('chunk-4', [0, 1], { chunk_index: 2 })
+        ]
+      });
+    });
+
+    test('should return the closest passages for the persona with source IDs', async () => {
+      const passages = await service.retrieve('How much is the team plan?', { agentConfigName: 'sales_agent' });
+
+      expect(dbService.getKnowledgeChunks).toHaveBeenCalledWith({ embeddingModel: 'text-embedding-3-small' });
+      expect(openaiService.createEmbeddings).toHaveBeenCalledWith(['How much is the team plan?']);
+      expect(passages).toEqual([
+        expect.objectContaining({ sourceId: 'S1', chunkId: 'chunk-1', title: 'Pricing', heading: 'Plans', score: expect.closeTo(1) }),
+        expect.objectContaining({ sourceId: 'S2', chunkId: 'chunk-2', content: 'Pro: $99 a month.', score: expect.closeTo(0.8) })
+      ]);
+      expect(passages[0].vector).toBeUndefined();
+    });
+
+    test('should load the index once and reload it after changes', async () => {
+      await Promise.all([service.retrieve('team plan price'), service.retrieve('pro plan price')]);
+      await service.retrieve('refund policy details');
+      expect(dbService.getKnowledgeChunks).toHaveBeenCalledTimes(1);
+
+      service.invalidateIndex();
+      await service.retrieve('refund policy details');
+      expect(dbService.getKnowledgeChunks).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not embed the query when no passages apply', async () => {
+      dbService.getKnowledgeChunks.mockResolvedValue({ success: true, data: [chunkRow('chunk-3', [1, 0], { knowledge_documents: { title: 'Support', agent_config_name: 'support_agent' } })] });
+
+      expect(await service.retrieve('How much is the team plan?', { agentConfigName: 'sales_agent' })).toEqual([]);
+      expect(openaiService.createEmbeddings).not.toHaveBeenCalled();
+    });
+
+    test('should answer without passages when retrieval fails or is slow', async () => {
+      openaiService.createEmbeddings.mockRejectedValueOnce({ error: 'Service unavailable' });
+      expect(await service.retrieve('How much is the team plan?')).toEqual([]);
+
+      openaiService.createEmbeddings.mockImplementationOnce(() => new Promise(resolve => setTimeout(() => resolve({ embeddings: [[1, 0]] }), 200)));
+      expect(await service.retrieve('How much is the team plan?')).toEqual([]);
+    });
+
+    test('should keep the previous index when reloading fails', async () => {
+      await service.retrieve('team plan price');
+      service.index.expiresAt = 0;
+      dbService.getKnowledgeChunks.mockResolvedValue({ success: false, data: null, error: 'connection reset' });
+
+      expect(await service.retrieve('team plan price')).toHaveLength(2);
+    });
+
+    test('should do nothing when disabled', async () => {
+      const disabled = new KnowledgeBaseService({ enabled: false }, { dbService, openaiService });
+
+      expect(await disabled.retrieve('How much is the team plan?')).toEqual([]);
+      expect(dbService.getKnowledgeChunks).not.toHaveBeenCalled();
+    });
+  });
+
+  test('search() should require a query', async () => {
+    expect(await service.search('  ')).toEqual({ success: false, data: null, error: 'query is required' });
+
+    dbService.getKnowledgeChunks.mockResolvedValue({ success: true, data: [chunkRow('chunk-1', [1, 0])] });
+    const result = await service.search('team plan', { topK: 1 });
+    expect(result.data).toHaveLength(1);
+  });
+});
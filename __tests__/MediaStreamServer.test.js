@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Test suite for Twilio Media Streams server
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Stream start metadata
+ * - Rejection of streams without a valid per-call token
+ * - Voice-activity detection and utterance finalization
+ * - Transcription -> conversation turn -> streamed reply (with a filler while tools run)
+ * - Barge-in (clear) handling
+ * - Playback marks
+ * - Escalation redirect
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { MediaStreamServer } = require('../src/websocket/mediaStream');
+const { getSecurityEvents, resetSecurityEvents } = require('../src/middleware/twilioSignature');
+const { createStreamToken } = require('../src/utils/streamToken');
+const { encodeMulaw } = require('../src/utils/audioCodec');
+
+/**
+ * Build a base64 μ-law media payload with constant amplitude
+ * @param {number} amplitude - PCM amplitude
+ * @returns {string} Base64 payload for a 20ms frame
+ */
+function framePayload(amplitude) {
+  return encodeMulaw(new Int16Array(160).fill(amplitude)).toString('base64');
+}
+
+/**
+ * Create a fake WebSocket connection
+ * @returns {EventEmitter} Fake socket with send/close mocks
+ */
+function createSocket() {
+  const ws = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.send = jest.fn();
+  ws.close = jest.fn();
+  return ws;
+}
+
+/**
+ * Parse the JSON messages sent on a fake socket
+ * @param {Object} ws - Fake socket
+ * @returns {Object[]} Sent messages
+ */
+function sentMessages(ws) {
+  return ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+}
+
+const AUTH_TOKEN = 'test_auth_token';
+
+describe('MediaStreamServer', () => {
+  let server;
+  let ws;
+  let session;
+  let mockOpenAI;
+  let mockConversation;
+
+  beforeEach(() => {
+    mockOpenAI = {
+      transcribeAudio: jest.fn().mockResolvedValue({ text: 'What are your hours?' }),
+      synthesizeSpeech: jest.fn().mockResolvedValue({ audio: Buffer.alloc(960 * 2) })
+    };
+
+    mockConversation = {
+      processUserTurn: jest.fn().mockResolvedValue({
+        aiResponse: { text: 'We are open nine to five. Anything else?' },
+        sentiment: { score: 0.5 }
+      })
+    };
+
+    server = new MediaStreamServer({
+      agents: { conversation: mockConversation },
+      openaiService: mockOpenAI,
+      vad: { endOfSpeechMs: 100, minSpeechMs: 40, bargeInMs: 40 },
+      authToken: AUTH_TOKEN
+    });
+
+    ws = createSocket();
+    session = server.handleConnection(ws);
+
+    ws.emit('message', JSON.stringify({
+      event: 'start',
+      start: {
+        streamSid: 'MZ123',
+        callSid: 'CA123',
+        customParameters: { from: '+15559876543', token: createStreamToken(AUTH_TOKEN, 'CA123') }
+      }
+    }));
+  });
+
+  afterEach(() => {
+    server.sessions.forEach(({ startTimer }) => clearTimeout(startTimer));
+  });
+
+  /**
+   * Send a sequence of frames through the socket
+   * @param {number} amplitude - Frame amplitude
+   * @param {number} count - Number of frames
+   */
+  function sendFrames(amplitude, count) {
+    for (let i = 0; i < count; i++) {
+      ws.emit('message', JSON.stringify({
+        event: 'media',
+        media: { track: 'inbound', payload: framePayload(amplitude) }
+      }));
+    }
+  }
+
+  test('should record stream metadata from start event', () => {
+    expect(session.streamSid).toBe('MZ123');
+    expect(session.callSid).toBe('CA123');
+    expect(session.from).toBe('+15559876543');
+  });
+
+  describe('stream tokens', () => {
+    let rogue;
+
+    beforeEach(() => {
+      resetSecurityEvents();
+      rogue = createSocket();
+    });
+
+    test('should close streams whose token was signed for another call', () => {
+      const rogueSession = server.handleConnection(rogue);
+
+      rogue.emit('message', JSON.stringify({
+        event: 'start',
+        start: { streamSid: 'MZ999', callSid: 'CA999', customParameters: { token: createStreamToken(AUTH_TOKEN, 'CA123') } }
+      }));
+
+      expect(rogue.close).toHaveBeenCalledWith(1008, 'Unauthorized');
+      expect(rogueSession.authenticated).toBe(false);
+      expect(server.sessions.has(rogue)).toBe(false);
+      expect(getSecurityEvents().invalidStreamToken).toBe(1);
+    });
+
+    test('should not process audio before a valid start event', async () => {
+      const rogueSession = server.handleConnection(rogue);
+
+      for (let i = 0; i < 20; i++) {
+        rogue.emit('message', JSON.stringify({ event: 'media', media: { track: 'inbound', payload: framePayload(5000) } }));
+      }
+      rogue.emit('message', JSON.stringify({ event: 'start', start: { streamSid: 'MZ999', callSid: 'CA999', customParameters: {} } }));
+      await rogueSession.turnChain;
+
+      expect(rogueSession.utteranceSamples).toEqual([]);
+      expect(mockOpenAI.transcribeAudio).not.toHaveBeenCalled();
+      expect(rogue.close).toHaveBeenCalledWith(1008, 'Unauthorized');
+    });
+
+    test('should close connections that never send a start event', () => {
+      jest.useFakeTimers();
+      try {
+        server.handleConnection(rogue);
+        jest.advanceTimersByTime(10000);
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(rogue.close).toHaveBeenCalledWith(1008, 'Unauthorized');
+    });
+
+    test('should accept unsigned streams only when validation is bypassed outside production', () => {
+      const bypassed = new MediaStreamServer({ agents: { conversation: mockConversation }, validateSignature: false, nodeEnv: 'development' });
+      const enforced = new MediaStreamServer({ agents: { conversation: mockConversation }, validateSignature: false, nodeEnv: 'production' });
+      const start = JSON.stringify({ event: 'start', start: { streamSid: 'MZ999', callSid: 'CA999', customParameters: {} } });
+      const other = createSocket();
+
+      const bypassedSession = bypassed.handleConnection(rogue);
+      const enforcedSession = enforced.handleConnection(other);
+      rogue.emit('message', start);
+      other.emit('message', start);
+      clearTimeout(bypassedSession.startTimer);
+      clearTimeout(enforcedSession.startTimer);
+
+      expect(bypassedSession.authenticated).toBe(true);
+      expect(enforcedSession.authenticated).toBe(false);
+      expect(other.close).toHaveBeenCalledWith(1008, 'Unauthorized');
+    });
+  });
+
+  test('should ignore silence', async () => {
+    sendFrames(0, 50);
+    await session.turnChain;
+
+    expect(mockOpenAI.transcribeAudio).not.toHaveBeenCalled();
+  });
+
+  test('should ignore speech shorter than the minimum', async () => {
+    sendFrames(5000, 1);
+    sendFrames(0, 10);
+    await session.turnChain;
+
+    expect(mockOpenAI.transcribeAudio).not.toHaveBeenCalled();
+  });
+
+  test('should transcribe utterance, run turn and stream reply', async () => {
+    sendFrames(5000, 10);
+    sendFrames(0, 5);
+    await session.turnChain;
+
+    expect(mockOpenAI.transcribeAudio).toHaveBeenCalledWith(
+      expect.any(Buffer),
+      expect.objectContaining({ filename: 'utterance.wav' })
+    );
+    expect(mockConversation.processUserTurn).toHaveBeenCalledWith({
+      callSid: 'CA123',
+      text: 'What are your hours?',
+      from: '+15559876543',
+      onToolStart: expect.any(Function)
+    });
+
+    // One synthesis per sentence
+    expect(mockOpenAI.synthesizeSpeech).toHaveBeenCalledTimes(2);
+
+    const messages = sentMessages(ws);
+    const media = messages.filter((m) => m.event === 'media');
+    const marks = messages.filter((m) => m.event === 'mark');
+
+    // 960 samples at 24kHz -> 320 samples at 8kHz -> 2 frames per sentence
+    expect(media).toHaveLength(4);
+    expect(media[0].streamSid).toBe('MZ123');
+    expect(marks).toHaveLength(2);
+    expect(session.playing).toBe(true);
+  });
+
+  test('should synthesize the reply in the persona voice', async () => {
+    mockConversation.processUserTurn.mockResolvedValue({
+      aiResponse: { text: 'Welcome to sales.' },
+      sentiment: { score: 0.5 },
+      voiceSettings: { voice: 'nova', speed: 1.1 }
+    });
+
+    sendFrames(5000, 10);
+    sendFrames(0, 5);
+    await session.turnChain;
+
+    expect(mockOpenAI.synthesizeSpeech).toHaveBeenCalledWith('Welcome to sales.', {
+      format: 'pcm',
+      voice: 'nova',
+      speed: 1.1
+    });
+  });
+
+  test('should speak the filler before the reply while tools run', async () => {
+    mockConversation.processUserTurn.mockImplementation(async ({ onToolStart }) => {
+      onToolStart('One moment.', { voice: 'nova' });
+      return {
+        aiResponse: { text: 'You are booked.' },
+        sentiment: { score: 0.5 },
+        voiceSettings: { voice: 'nova' }
+      };
+    });
+
+    sendFrames(5000, 10);
+    sendFrames(0, 5);
+    await session.turnChain;
+
+    expect(mockOpenAI.synthesizeSpeech.mock.calls.map(call => call[0])).toEqual(['One moment.', 'You are booked.']);
+    expect(sentMessages(ws).filter((m) => m.event === 'mark')).toHaveLength(2);
+  });
+
+  test('should finish playback when all marks are acknowledged', async () => {
+    sendFrames(5000, 10);
+    sendFrames(0, 5);
+    await session.turnChain;
+
+    sentMessages(ws)
+      .filter((m) => m.event === 'mark')
+      .forEach((m) => ws.emit('message', JSON.stringify({ event: 'mark', mark: { name: m.mark.name } })));
+
+    expect(session.playing).toBe(false);
+  });
+
+  test('should clear playback when caller barges in', async () => {
+    sendFrames(5000, 10);
+    sendFrames(0, 5);
+    await session.turnChain;
+    ws.send.mockClear();
+
+    sendFrames(5000, 3);
+
+    expect(sentMessages(ws)).toContainEqual({ event: 'clear', streamSid: 'MZ123' });
+    expect(session.playing).toBe(false);
+  });
+
+  test('should redirect call to transfer when escalation is detected', async () => {
+    server.agents.voice = {
+      isEscalationEnabled: jest.fn().mockReturnValue(true),
+      redirectToTransfer: jest.fn().mockResolvedValue({ success: true })
+    };
+    mockConversation.processUserTurn.mockResolvedValue({
+      aiResponse: { text: 'Let me get someone for you.' },
+      sentiment: { score: -0.5, needsEscalation: true }
+    });
+
+    sendFrames(5000, 10);
+    sendFrames(0, 5);
+    await session.turnChain;
+
+    expect(server.agents.voice.redirectToTransfer).toHaveBeenCalledWith('CA123');
+    expect(mockOpenAI.synthesizeSpeech).not.toHaveBeenCalled();
+  });
+
+  test('should skip turn when transcription is empty', async () => {
+    mockOpenAI.transcribeAudio.mockResolvedValue({ text: '  ' });
+
+    sendFrames(5000, 10);
+    sendFrames(0, 5);
+    await session.turnChain;
+
+    expect(mockConversation.processUserTurn).not.toHaveBeenCalled();
+  });
+
+  test('should survive turn failures', async () => {
+    mockOpenAI.transcribeAudio.mockRejectedValue({ error: 'boom' });
+
+    sendFrames(5000, 10);
+    sendFrames(0, 5);
+
+    await expect(session.turnChain).resolves.toBeUndefined();
+  });
+
+  test('should ignore malformed messages', () => {
+    expect(() => ws.emit('message', 'not json')).not.toThrow();
+  });
+
+  test('should drop session on close', () => {
+    ws.emit('close');
+
+    expect(server.sessions.size).toBe(0);
+  });
+});
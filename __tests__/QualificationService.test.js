@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Test suite for QualificationService
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Sessions: persona settings, stored and carried-over state
+ * - Recording slots: conversation state, lead score and status tags
+ * - Failures that must not break the conversation
+ */
+
+const QualificationService = require('../src/services/QualificationService');
+
+describe('QualificationService', () => {
+  let dbService;
+  let service;
+
+  beforeEach(() => {
+    dbService = {
+      getCustomer: jest.fn().mockResolvedValue({ success: true, data: { id: 'cust-1', tags: ['vip'], qualification: null } }),
+      updateConversation: jest.fn().mockResolvedValue({ success: true, data: {} }),
+      updateCustomer: jest.fn().mockResolvedValue({ success: true, data: {} })
+    };
+
+    service = new QualificationService({ qualifiedScore: 70, unqualifiedScore: 40, minConfidence: 0.5 }, dbService);
+  });
+
+  describe('startSession()', () => {
+    test('should start an empty session for personas with a framework', async () => {
+      const session = await service.startSession({ conversationId: 'conv-1', customerId: 'cust-1', settings: { framework: 'bant' } });
+
+      expect(session.framework.name).toBe('bant');
+      expect(session.state).toEqual({ framework: 'bant', slots: {}, score: 0, status: 'in_progress', updatedAt: null });
+    });
+
+    test("should continue from the conversation's state, else the customer's", async () => {
+      const stored = { framework: 'bant', slots: { budget: { value: '$5k', confidence: 0.9, fit: 1 } }, score: 23, status: 'in_progress' };
+
+      const fromConversation = await service.startSession({ conversationId: 'conv-1', customerId: 'cust-1', settings: { framework: 'bant' }, state: stored });
+      expect(fromConversation.state).toBe(stored);
+      expect(dbService.getCustomer).not.toHaveBeenCalled();
+
+      dbService.getCustomer.mockResolvedValue({ success: true, data: { id: 'cust-1', qualification: stored } });
+      const fromCustomer = await service.startSession({ conversationId: 'conv-2', customerId: 'cust-1', settings: { framework: 'bant' } });
+      expect(fromCustomer.state).toBe(stored);
+    });
+
+    test('should not carry over state from another framework', async () => {
+      dbService.getCustomer.mockResolvedValue({ success: true, data: { id: 'cust-1', qualification: { framework: 'bant', slots: {} } } });
+
+      const session = await service.startSession({ conversationId: 'conv-1', customerId: 'cust-1', settings: { framework: 'meddic' } });
+
+      expect(session.state.framework).toBe('meddic');
+    });
+
+    test('should not start when qualification is off', async () => {
+      expect(await service.startSession({ conversationId: 'conv-1', settings: null })).toBeNull();
+
+      const disabled = new QualificationService({ enabled: false }, dbService);
+      expect(await disabled.startSession({ conversationId: 'conv-1', settings: { framework: 'bant' } })).toBeNull();
+    });
+  });
+
+  describe('recordSlots()', () => {
+    let session;
+
+    beforeEach(async () => {
+      session = await service.startSession({ conversationId: 'conv-1', customerId: 'cust-1', settings: { framework: 'bant' } });
+    });
+
+    test('should store the state on the conversation and update the lead score', async () => {
+      const result = await service.recordSlots(session, {
+        budget: { value: '$20k a year', confidence: 0.9, fit: 1 },
+        authority: { value: 'CEO', confidence: 0.9, fit: 1 }
+      }, { source: 'ai', turn: 3 });
+
+      expect(result.data).toMatchObject({ changed: ['budget', 'authority'], score: 45, status: 'in_progress' });
+      expect(session.state.slots.authority).toMatchObject({ source: 'ai', turn: 3, conversationId: 'conv-1' });
+      expect(dbService.updateConversation).toHaveBeenCalledWith('conv-1', { qualification: session.state });
+      expect(dbService.updateCustomer).toHaveBeenCalledWith('cust-1', { lead_score: 45, tags: ['vip'], qualification: session.state });
+    });
+
+    test('should swap the status tag as the lead is qualified or ruled out', async () => {
+      dbService.getCustomer.mockResolvedValue({ success: true, data: { id: 'cust-1', tags: ['vip', 'unqualified'] } });
+
+      await service.recordSlots(session, {
+        budget: { value: '$20k', confidence: 1, fit: 1 },
+        authority: { value: 'CEO', confidence: 1, fit: 1 },
+        need: { value: 'CRM', confidence: 1, fit: 1 }
+      });
+
+      expect(dbService.updateCustomer).toHaveBeenLastCalledWith('cust-1', expect.objectContaining({ lead_score: 75, tags: ['vip', 'qualified'] }));
+
+      await service.recordSlots(session, {
+        budget: { value: 'No budget', confidence: 1, fit: 0 },
+        authority: { value: 'Intern', confidence: 1, fit: 0 },
+        timeline: { value: 'Next year', confidence: 1, fit: 0.2 }
+      });
+
+      expect(session.state).toMatchObject({ score: 30, status: 'unqualified' });
+      expect(dbService.updateCustomer).toHaveBeenLastCalledWith('cust-1', expect.objectContaining({ tags: ['vip', 'unqualified'] }));
+    });
+
+    test('should not write anything when nothing changed', async () => {
+      const result = await service.recordSlots(session, { champion: { value: 'Dana', confidence: 1 } });
+
+      expect(result.data.changed).toEqual([]);
+      expect(dbService.updateConversation).not.toHaveBeenCalled();
+      expect(dbService.updateCustomer).not.toHaveBeenCalled();
+    });
+
+    test('should only store the conversation state without a customer', async () => {
+      const simulated = await service.startSession({ conversationId: 'conv-sim', settings: { framework: 'bant' } });
+
+      await service.recordFromText(simulated, 'Our budget is $5,000.', { messageId: 'msg-1', turn: 1 });
+
+      expect(dbService.updateConversation).toHaveBeenCalledWith('conv-sim', {
+        qualification: expect.objectContaining({
+          slots: { budget: expect.objectContaining({ value: '$5,000', source: 'caller', messageId: 'msg-1', turn: 1 }) }
+        })
+      });
+      expect(dbService.updateCustomer).not.toHaveBeenCalled();
+    });
+
+    test('should keep the new state when a write fails', async () => {
+      dbService.updateConversation.mockResolvedValue({ success: false, error: 'timeout' });
+      dbService.updateCustomer.mockResolvedValue({ success: false, error: 'timeout' });
+
+      const result = await service.recordSlots(session, { need: { value: 'CRM', confidence: 0.8, fit: 1 } });
+
+      expect(result.success).toBe(true);
+      expect(session.state.slots.need.value).toBe('CRM');
+    });
+  });
+
+  test('should describe a session for API responses', async () => {
+    const session = await service.startSession({ conversationId: 'conv-1', settings: { framework: 'bant' } });
+    await service.recordSlots(session, { need: { value: 'CRM', confidence: 0.8, fit: 1 } });
+
+    expect(service.describe(session)).toEqual({
+      framework: 'bant',
+      score: 20,
+      status: 'in_progress',
+      slots: { need: expect.objectContaining({ value: 'CRM' }) },
+      missing: ['budget', 'authority', 'timeline']
+    });
+    expect(service.describe(null)).toBeNull();
+  });
+});
@@ -109,15 +109,17 @@ describe('QueueManager', () => {
       );
     });
 
-    test('should create three queues (calls, analytics, integrations)', () => {
-      expect(Queue).toHaveBeenCalledTimes(3);
+    test('should create five queues (calls, analytics, integrations, campaigns, tasks)', () => {
+      expect(Queue).toHaveBeenCalledTimes(5);
       expect(Queue).toHaveBeenCalledWith('voice-calls', expect.any(Object));
       expect(Queue).toHaveBeenCalledWith('voice-analytics', expect.any(Object));
       expect(Queue).toHaveBeenCalledWith('voice-integrations', expect.any(Object));
+      expect(Queue).toHaveBeenCalledWith('voice-campaigns', expect.any(Object));
+      expect(Queue).toHaveBeenCalledWith('voice-tasks', expect.any(Object));
     });
 
     test('should create queue events for monitoring', () => {
-      expect(QueueEvents).toHaveBeenCalledTimes(3);
+      expect(QueueEvents).toHaveBeenCalledTimes(5);
     });
 
     test('should setup connection event listeners', () => {
@@ -341,6 +343,101 @@ describe('QueueManager', () => {
     });
   });
 
+  describe('addCampaignJob', () => {
+    test('should add dispatch job to campaigns queue', async () => {
+      const result = await queueManager.addCampaignJob(
+        'dispatch',
+        { campaignId: 'camp-1', token: 'tok-1' }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.type).toBe('dispatch');
+      expect(result.data.queueName).toBe('voice-campaigns');
+      expect(mockQueue.add).toHaveBeenCalledWith(
+        'campaign-dispatch',
+        expect.objectContaining({ type: 'dispatch', data: { campaignId: 'camp-1', token: 'tok-1' } }),
+        expect.objectContaining({ delay: 0, attempts: 1 })
+      );
+    });
+
+    test('should pass delay through for paced dial jobs', async () => {
+      const result = await queueManager.addCampaignJob(
+        'dial',
+        { campaignId: 'camp-1', contactId: 'contact-1', token: 'tok-1' },
+        { delay: 12000 }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.delay).toBe(12000);
+      expect(mockQueue.add).toHaveBeenCalledWith(
+        'campaign-dial',
+        expect.any(Object),
+        expect.objectContaining({
+          delay: 12000,
+          jobId: expect.stringMatching(/^campaign-dial-contact-1-/),
+        })
+      );
+    });
+
+    test('should reject invalid campaign job type', async () => {
+      const result = await queueManager.addCampaignJob('invalid_type', { campaignId: 'camp-1' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid campaign job type');
+    });
+  });
+
+  describe('scheduleTaskSweep', () => {
+    test('should add a repeatable sweep job with a fixed id', async () => {
+      const result = await queueManager.scheduleTaskSweep(30000);
+
+      expect(result.success).toBe(true);
+      expect(result.data.queueName).toBe('voice-tasks');
+      expect(mockQueue.add).toHaveBeenCalledWith(
+        'tasks-sweep',
+        expect.objectContaining({ type: 'sweep' }),
+        expect.objectContaining({
+          repeat: { every: 30000 },
+          jobId: 'tasks-sweep',
+          attempts: 1,
+        })
+      );
+    });
+
+    test('should reject invalid intervals', async () => {
+      const result = await queueManager.scheduleTaskSweep(0);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid sweep interval');
+      expect(mockQueue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('scheduleCallSweep', () => {
+    test('should add a repeatable reconcile job to the calls queue', async () => {
+      const result = await queueManager.scheduleCallSweep(300000);
+
+      expect(result.success).toBe(true);
+      expect(result.data.queueName).toBe('voice-calls');
+      expect(mockQueue.add).toHaveBeenCalledWith(
+        'calls-reconcile',
+        expect.objectContaining({ action: 'reconcile_calls', callSid: null }),
+        expect.objectContaining({
+          repeat: { every: 300000 },
+          jobId: 'calls-reconcile',
+          attempts: 1,
+        })
+      );
+    });
+
+    test('should reject invalid intervals', async () => {
+      const result = await queueManager.scheduleCallSweep(-1);
+
+      expect(result.success).toBe(false);
+      expect(mockQueue.add).not.toHaveBeenCalled();
+    });
+  });
+
   describe('setupWorkers', () => {
     test('should setup workers with processors', async () => {
       const mockProcessors = {
@@ -403,6 +500,38 @@ describe('QueueManager', () => {
       );
     });
 
+    test('should setup campaign worker on the campaigns queue', async () => {
+      const mockProcessors = {
+        campaignProcessor: jest.fn(),
+      };
+
+      await queueManager.setupWorkers(mockProcessors);
+
+      expect(Worker).toHaveBeenCalledWith(
+        'voice-campaigns',
+        mockProcessors.campaignProcessor,
+        expect.objectContaining({
+          concurrency: 5,
+        })
+      );
+    });
+
+    test('should setup a single-concurrency task worker', async () => {
+      const mockProcessors = {
+        taskProcessor: jest.fn(),
+      };
+
+      await queueManager.setupWorkers(mockProcessors);
+
+      expect(Worker).toHaveBeenCalledWith(
+        'voice-tasks',
+        mockProcessors.taskProcessor,
+        expect.objectContaining({
+          concurrency: 1,
+        })
+      );
+    });
+
     test('should setup worker event listeners', async () => {
       const mockProcessors = {
         callProcessor: jest.fn(),
@@ -487,13 +616,13 @@ describe('QueueManager', () => {
     test('should close all queues', async () => {
       await queueManager.shutdown();
 
-      expect(mockQueue.close).toHaveBeenCalledTimes(3);
+      expect(mockQueue.close).toHaveBeenCalledTimes(5);
     });
 
     test('should close queue events', async () => {
       await queueManager.shutdown();
 
-      expect(mockQueueEvents.close).toHaveBeenCalledTimes(3);
+      expect(mockQueueEvents.close).toHaveBeenCalledTimes(5);
     });
 
     test('should close Redis connection', async () => {
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Test suite for TaskSchedulerAgent
+ * @author LegacyAI Subagent Fleet - Integration Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * This test suite covers scheduled task execution:
+ * - Atomic claims (a task is only run by the worker that claimed it)
+ * - Dispatch by task_type to the handler registry
+ * - Call, email, SMS and webhook handlers
+ * - Retries with backoff, compliance deferrals and the failed state
+ * - Releasing tasks left in 'processing' by an interrupted run
+ * - Expiring unconfirmed appointment holds on each sweep
+ */
+
+const TaskSchedulerAgent = require('../src/agents/TaskSchedulerAgent');
+
+/**
+ * Mock DatabaseService for testing
+ * Keeps scheduled tasks and customers in memory
+ */
+class MockDatabaseService {
+  constructor() {
+    this.client = {};
+    this.tasks = new Map();
+    this.customers = new Map();
+  }
+
+  response(success, data, error = null) {
+    return { success, data, error, timestamp: new Date().toISOString(), requestId: 'mock-request-id' };
+  }
+
+  async initialize() {}
+
+  addTask(task) {
+    const row = { status: 'pending', attempts: 0, max_attempts: 3, payload: {}, ...task };
+    this.tasks.set(row.id, row);
+    return row;
+  }
+
+  async getPendingTasks() {
+    const rows = [...this.tasks.values()].filter(t => t.status === 'pending');
+    return this.response(true, rows.map(row => ({ ...row })));
+  }
+
+  async claimScheduledTask(task) {
+    const row = this.tasks.get(task.id);
+    if (!row || row.status !== 'pending') {
+      return this.response(true, null);
+    }
+    Object.assign(row, { status: 'processing', attempts: (task.attempts || 0) + 1, started_at: new Date().toISOString() });
+    return this.response(true, { ...row });
+  }
+
+  async updateTaskStatus(taskId, status, result = null) {
+    Object.assign(this.tasks.get(taskId), { status, result, completed_at: new Date().toISOString() });
+    return this.response(true, { ...this.tasks.get(taskId) });
+  }
+
+  async updateScheduledTask(taskId, updateData) {
+    Object.assign(this.tasks.get(taskId), updateData);
+    return this.response(true, { ...this.tasks.get(taskId) });
+  }
+
+  async releaseStaleTasks() {
+    return this.response(true, []);
+  }
+
+  async expireAppointmentHolds() {
+    return this.response(true, []);
+  }
+
+  async getCustomer(customerId) {
+    const customer = this.customers.get(customerId);
+    return customer ? this.response(true, customer) : this.response(false, null, 'Customer not found');
+  }
+}
+
+describe('TaskSchedulerAgent', () => {
+  let db;
+  let voiceAgent;
+  let integrationAgent;
+  let queueManager;
+  let scheduler;
+
+  const NOW = new Date('2026-10-19T15:00:00Z');
+
+  beforeEach(async () => {
+    db = new MockDatabaseService();
+    db.customers.set('cust-1', { id: 'cust-1', phone_number: '+12125550100', email: 'pat@example.com' });
+
+    voiceAgent = {
+      makeOutboundCall: jest.fn().mockResolvedValue({ success: true, data: { callSid: 'CA123' }, error: null }),
+      twilioService: {
+        sendSMS: jest.fn().mockResolvedValue({ success: true, data: { sid: 'SM123' }, error: null })
+      }
+    };
+    integrationAgent = {
+      sendNotification: jest.fn().mockResolvedValue({ success: true, data: { delivered: true }, error: null })
+    };
+    queueManager = {
+      scheduleTaskSweep: jest.fn().mockResolvedValue({ success: true, data: { jobId: 'tasks-sweep' }, error: null })
+    };
+
+    scheduler = new TaskSchedulerAgent({
+      twilio: { phoneNumber: '+15550000000' },
+      databaseService: db,
+      voiceAgent,
+      integrationAgent,
+      queueManager
+    });
+    await scheduler.initialize();
+  });
+
+  describe('start()', () => {
+    test('should schedule the repeatable sweep job', async () => {
+      await scheduler.start();
+
+      expect(queueManager.scheduleTaskSweep).toHaveBeenCalledWith(30000);
+    });
+  });
+
+  describe('runDueTasks()', () => {
+    test('should place follow-up calls to the customer and record the result', async () => {
+      db.addTask({ id: 'task-1', customer_id: 'cust-1', task_type: 'follow_up_call', payload: { reason: 'quote' } });
+
+      const result = await scheduler.runDueTasks(NOW);
+
+      expect(result.data).toEqual(expect.objectContaining({ claimed: 1, completed: 1, failed: 0 }));
+      expect(voiceAgent.makeOutboundCall).toHaveBeenCalledWith('+12125550100', null, expect.objectContaining({
+        metadata: { scheduledTask: expect.objectContaining({ id: 'task-1', type: 'follow_up_call', reason: 'quote' }) }
+      }));
+      expect(db.tasks.get('task-1').status).toBe('completed');
+      expect(db.tasks.get('task-1').result).toEqual({ success: true, attempts: 1, callSid: 'CA123', to: '+12125550100' });
+    });
+
+    test('should skip tasks another worker already claimed', async () => {
+      db.addTask({ id: 'task-1', customer_id: 'cust-1', task_type: 'follow_up_call' });
+      jest.spyOn(db, 'claimScheduledTask').mockResolvedValue(db.response(true, null));
+
+      const result = await scheduler.runDueTasks(NOW);
+
+      expect(result.data).toEqual(expect.objectContaining({ claimed: 0, skipped: 1 }));
+      expect(voiceAgent.makeOutboundCall).not.toHaveBeenCalled();
+    });
+
+    test('should release stale processing tasks before sweeping', async () => {
+      jest.spyOn(db, 'releaseStaleTasks').mockResolvedValue(db.response(true, [{ id: 'task-9' }]));
+
+      const result = await scheduler.runDueTasks(NOW);
+
+      expect(db.releaseStaleTasks).toHaveBeenCalledWith('2026-10-19T14:50:00.000Z');
+      expect(result.data.released).toBe(1);
+    });
+
+    test('should expire appointment holds nobody confirmed', async () => {
+      jest.spyOn(db, 'expireAppointmentHolds').mockResolvedValue(db.response(true, [{ id: 'appt-1' }]));
+
+      const result = await scheduler.runDueTasks(NOW);
+
+      expect(db.expireAppointmentHolds).toHaveBeenCalledWith('2026-10-19T15:00:00.000Z');
+      expect(result.data.expiredHolds).toBe(1);
+    });
+  });
+
+  describe('executeTask()', () => {
+    test('should dispatch to registered custom handlers', async () => {
+      const handler = jest.fn().mockResolvedValue({ success: true, data: { sent: true } });
+      scheduler.registerHandler('send_survey', handler);
+      const task = db.addTask({ id: 'task-1', task_type: 'send_survey', status: 'processing', attempts: 1 });
+
+      expect(await scheduler.executeTask(task, NOW)).toBe('completed');
+      expect(handler).toHaveBeenCalledWith(task);
+    });
+
+    test('should fail unknown task types without retrying', async () => {
+      const task = db.addTask({ id: 'task-1', task_type: 'fax', status: 'processing', attempts: 1 });
+
+      expect(await scheduler.executeTask(task, NOW)).toBe('failed');
+      expect(db.tasks.get('task-1').result).toEqual({ success: false, attempts: 1, error: 'No handler for task type: fax' });
+    });
+
+    test('should retry failed runs with backoff until max_attempts', async () => {
+      voiceAgent.makeOutboundCall.mockResolvedValue({ success: false, data: null, error: 'Twilio unavailable' });
+      const task = db.addTask({ id: 'task-1', customer_id: 'cust-1', task_type: 'callback', status: 'processing', attempts: 2 });
+
+      expect(await scheduler.executeTask(task, NOW)).toBe('retried');
+      expect(db.tasks.get('task-1')).toEqual(expect.objectContaining({
+        status: 'pending',
+        scheduled_for: '2026-10-19T15:02:00.000Z',
+        last_error: 'Twilio unavailable'
+      }));
+
+      const lastTry = db.addTask({ id: 'task-2', customer_id: 'cust-1', task_type: 'callback', status: 'processing', attempts: 3 });
+      expect(await scheduler.executeTask(lastTry, NOW)).toBe('failed');
+      expect(db.tasks.get('task-2').status).toBe('failed');
+    });
+
+    test('should treat handler exceptions as retryable failures', async () => {
+      voiceAgent.makeOutboundCall.mockRejectedValue(new Error('socket hang up'));
+      const task = db.addTask({ id: 'task-1', customer_id: 'cust-1', task_type: 'callback', status: 'processing', attempts: 1 });
+
+      expect(await scheduler.executeTask(task, NOW)).toBe('retried');
+      expect(db.tasks.get('task-1').last_error).toBe('socket hang up');
+    });
+
+    test('should defer calls outside calling hours without using an attempt', async () => {
+      voiceAgent.makeOutboundCall.mockResolvedValue({
+        success: false,
+        data: { blocked: true, rule: 'calling_hours', retryAt: '2026-10-20T12:00:00.000Z' },
+        error: 'Call blocked by compliance rule: calling_hours'
+      });
+      const task = db.addTask({ id: 'task-1', customer_id: 'cust-1', task_type: 'follow_up_call', status: 'processing', attempts: 3 });
+
+      expect(await scheduler.executeTask(task, NOW)).toBe('retried');
+      expect(db.tasks.get('task-1')).toEqual(expect.objectContaining({
+        status: 'pending',
+        scheduled_for: '2026-10-20T12:00:00.000Z',
+        attempts: 2
+      }));
+    });
+
+    test('should fail calls to numbers on the do-not-call list', async () => {
+      voiceAgent.makeOutboundCall.mockResolvedValue({
+        success: false,
+        data: { blocked: true, rule: 'dnc', retryAt: null },
+        error: 'Call blocked by compliance rule: dnc'
+      });
+      const task = db.addTask({ id: 'task-1', customer_id: 'cust-1', task_type: 'follow_up_call', status: 'processing', attempts: 1 });
+
+      expect(await scheduler.executeTask(task, NOW)).toBe('failed');
+    });
+
+    test('should send email to the customer address', async () => {
+      const task = db.addTask({
+        id: 'task-1',
+        customer_id: 'cust-1',
+        task_type: 'send_email',
+        status: 'processing',
+        attempts: 1,
+        payload: { subject: 'Your quote', body: 'Attached is your quote.' }
+      });
+
+      expect(await scheduler.executeTask(task, NOW)).toBe('completed');
+      expect(integrationAgent.sendNotification).toHaveBeenCalledWith('email', 'pat@example.com', {
+        subject: 'Your quote',
+        body: 'Attached is your quote.'
+      });
+    });
+
+    test('should send SMS from the configured number', async () => {
+      const task = db.addTask({
+        id: 'task-1',
+        customer_id: 'cust-1',
+        task_type: 'send_sms',
+        status: 'processing',
+        attempts: 1,
+        payload: { message: 'Reply YES to confirm.' }
+      });
+
+      expect(await scheduler.executeTask(task, NOW)).toBe('completed');
+      expect(voiceAgent.twilioService.sendSMS).toHaveBeenCalledWith('+12125550100', '+15550000000', 'Reply YES to confirm.');
+      expect(db.tasks.get('task-1').result.messageSid).toBe('SM123');
+    });
+
+    test('should deliver webhooks and reject invalid URLs', async () => {
+      const task = db.addTask({
+        id: 'task-1',
+        customer_id: 'cust-1',
+        task_type: 'webhook',
+        status: 'processing',
+        attempts: 1,
+        payload: { url: 'https://crm.example.com/hooks', event: 'lead.follow_up', data: { score: 80 } }
+      });
+
+      expect(await scheduler.executeTask(task, NOW)).toBe('completed');
+      expect(integrationAgent.sendNotification).toHaveBeenCalledWith('webhook', 'https://crm.example.com/hooks', {
+        event: 'lead.follow_up',
+        taskId: 'task-1',
+        customerId: 'cust-1',
+        data: { score: 80 }
+      });
+
+      const invalid = db.addTask({ id: 'task-2', task_type: 'webhook', status: 'processing', attempts: 1, payload: { url: 'not a url' } });
+      expect(await scheduler.executeTask(invalid, NOW)).toBe('failed');
+    });
+
+    test('should fail without retrying when the customer has no contact details', async () => {
+      const task = db.addTask({ id: 'task-1', customer_id: 'missing', task_type: 'send_sms', status: 'processing', attempts: 1, payload: { message: 'Hi' } });
+
+      expect(await scheduler.executeTask(task, NOW)).toBe('failed');
+      expect(db.tasks.get('task-1').result.error).toBe('No phone number for task');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Test suite for the AI tool registry
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Registration checks
+ * - Definitions per agent config and channel
+ * - Input validation (required, types, enums)
+ * - Execution results, errors, timeouts and dry runs
+ */
+
+const ToolRegistry = require('../src/services/ToolRegistry');
+
+describe('ToolRegistry', () => {
+  let registry;
+
+  const echoTool = {
+    name: 'echo',
+    description: 'Repeat the input',
+    input_schema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string' },
+        times: { type: 'integer' },
+        tone: { type: 'string', enum: ['calm', 'loud'] }
+      },
+      required: ['text']
+    },
+    handler: jest.fn(async input => ({ echoed: input.text }))
+  };
+
+  beforeEach(() => {
+    echoTool.handler = jest.fn(async input => ({ echoed: input.text }));
+    registry = new ToolRegistry({ timeoutMs: 50 });
+    registry.register(echoTool);
+  });
+
+  describe('register()', () => {
+    test('should reject incomplete definitions', () => {
+      expect(() => registry.register({ ...echoTool, name: 'has spaces' })).toThrow('Invalid tool name');
+      expect(() => registry.register({ ...echoTool, description: '' })).toThrow('needs a description');
+      expect(() => registry.register({ ...echoTool, input_schema: { type: 'string' } })).toThrow('object input_schema');
+      expect(() => registry.register({ ...echoTool, handler: null })).toThrow('handler function');
+      expect(() => registry.register({ ...echoTool, channels: ['fax'] })).toThrow('unknown channel');
+    });
+
+    test('should list registered tools', () => {
+      expect(registry.has('echo')).toBe(true);
+      expect(registry.list()).toEqual([{
+        name: 'echo',
+        description: 'Repeat the input',
+        channels: ['voice', 'sms'],
+        sideEffects: false
+      }]);
+    });
+  });
+
+  describe('getDefinitions()', () => {
+    test('should return only the tools the agent config allows, once each', () => {
+      registry.register({ ...echoTool, name: 'voice_only', channels: ['voice'] });
+
+      expect(registry.getDefinitions(['echo', 'echo', 'missing']).map(tool => tool.name)).toEqual(['echo']);
+      expect(registry.getDefinitions(['echo', 'voice_only'], 'sms').map(tool => tool.name)).toEqual(['echo']);
+      expect(registry.getDefinitions(['voice_only'], 'voice')[0]).toEqual({
+        name: 'voice_only',
+        description: 'Repeat the input',
+        input_schema: echoTool.input_schema
+      });
+    });
+
+    test('should return no tools without a list', () => {
+      expect(registry.getDefinitions(null)).toEqual([]);
+    });
+  });
+
+  describe('validateInput()', () => {
+    test('should report missing fields, wrong types and values outside an enum', () => {
+      expect(registry.validateInput(echoTool, { times: 1.5, tone: 'angry' })).toEqual([
+        'text is required',
+        'times must be of type integer',
+        'tone must be one of: calm, loud'
+      ]);
+      expect(registry.validateInput(echoTool, 'text')).toEqual(['input must be an object']);
+      expect(registry.validateInput(echoTool, { text: 'hi', extra: 1 })).toEqual([]);
+    });
+  });
+
+  describe('execute()', () => {
+    test('should run the handler with the tool context', async () => {
+      const context = { conversation: { customerId: 'cust-1' } };
+
+      const result = await registry.execute('echo', { text: 'hi' }, context);
+
+      expect(result).toMatchObject({ ok: true, output: { echoed: 'hi' }, error: null });
+      expect(echoTool.handler).toHaveBeenCalledWith({ text: 'hi' }, context);
+    });
+
+    test('should return errors instead of throwing', async () => {
+      echoTool.handler.mockRejectedValue(new Error('database down'));
+
+      expect(await registry.execute('missing', {}, {})).toMatchObject({ ok: false, error: 'Unknown tool: missing' });
+      expect(await registry.execute('echo', {}, {})).toMatchObject({ ok: false, error: 'Invalid input: text is required' });
+      expect(await registry.execute('echo', { text: 'hi' }, {})).toMatchObject({ ok: false, error: 'database down' });
+    });
+
+    test('should time out slow tools', async () => {
+      echoTool.handler.mockReturnValue(new Promise(() => {}));
+
+      const result = await registry.execute('echo', { text: 'hi' }, {}, { timeoutMs: 10 });
+
+      expect(result).toMatchObject({ ok: false, error: 'Tool echo timed out after 10ms' });
+    });
+
+    test('should skip tools with side effects in dry runs', async () => {
+      registry.register({ ...echoTool, name: 'send', sideEffects: true });
+
+      const result = await registry.execute('send', { text: 'hi' }, { dryRun: true });
+
+      expect(result).toMatchObject({ ok: true, output: { dryRun: true, tool: 'send', input: { text: 'hi' } } });
+      expect(echoTool.handler).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Test suite for TtsService and the /tts audio route
+ * @author LegacyAI Subagent Fleet - Testing & Deployment Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - <Say> by default and <Play> for synthesizing providers
+ * - Provider choice from voice_settings.ttsProvider
+ * - Content-addressed cache (one synthesis per phrase, concurrent requests shared)
+ * - Signed URLs and request verification
+ * - Falling back to <Say> after a synthesis failure
+ * - Serving audio from the route
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const twilio = require('twilio');
+const TtsService = require('../src/services/TtsService');
+const createTtsRouter = require('../src/routes/tts');
+
+const { VoiceResponse } = twilio.twiml;
+
+/**
+ * Split a <Play> URL into the route file name and query
+ * @param {string} url - URL from getPlayUrl
+ * @returns {Object} { fileName, query, path }
+ */
+function parsePlayUrl(url) {
+  const parsed = new URL(url);
+  return {
+    fileName: path.basename(parsed.pathname),
+    query: Object.fromEntries(parsed.searchParams),
+    path: `${parsed.pathname}${parsed.search}`
+  };
+}
+
+describe('TtsService', () => {
+  let cacheDir;
+  let config;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-test-'));
+    config = {
+      provider: 'file',
+      cacheDir,
+      baseUrl: 'https://voice.example.com/',
+      urlSecret: 'test_secret'
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('should use <Say> with the given attributes by default', () => {
+    const tts = new TtsService();
+    const twiml = new VoiceResponse();
+
+    tts.speak(twiml, 'Hello there', null, { voice: 'Polly.Joanna', language: 'en-US' });
+
+    expect(twiml.toString()).toContain('<Say voice="Polly.Joanna" language="en-US">Hello there</Say>');
+    expect(tts.getPlayUrl('Hello there')).toBeNull();
+  });
+
+  test('should play synthesized audio and let voice_settings pick the provider', () => {
+    const tts = new TtsService({ ...config, provider: 'twilio' });
+    const twiml = new VoiceResponse();
+
+    tts.speak(twiml, 'Hello there', { ttsProvider: 'file' }, { voice: 'alice' });
+    tts.speak(twiml, 'Goodbye', { ttsProvider: 'twilio' }, { voice: 'alice' });
+
+    const xml = twiml.toString();
+    expect(xml).toMatch(/<Play>https:\/\/voice\.example\.com\/tts\/[a-f0-9]{64}\.wav\?d=[\w-]+&amp;sig=[\w-]+<\/Play>/);
+    expect(xml).toContain('<Say voice="alice">Goodbye</Say>');
+  });
+
+  test('should fall back to <Say> when audio URLs cannot be signed', () => {
+    const tts = new TtsService({ ...config, urlSecret: null });
+
+    expect(tts.getPlayUrl('Hello there')).toBeNull();
+  });
+
+  test('should give the same phrase the same URL and synthesize it once', async () => {
+    const tts = new TtsService(config);
+    const provider = tts.getProvider('file');
+    const synthesizeSpy = jest.spyOn(provider, 'synthesize');
+
+    const first = tts.getPlayUrl('Thanks for calling!');
+    const second = tts.getPlayUrl('Thanks for calling!');
+    const other = tts.getPlayUrl('Thanks for calling!', { ttsProvider: 'file', speed: 1.5 });
+    const phrase = tts.verifyAudioRequest(parsePlayUrl(first).fileName, parsePlayUrl(first).query);
+    const results = await Promise.all([tts.synthesize(phrase), tts.synthesize(phrase)]);
+
+    expect(second).toBe(first);
+    expect(other).toBe(first);
+    expect(synthesizeSpy).toHaveBeenCalledTimes(1);
+    expect(results[0].file).toBe(path.join(cacheDir, `${results[0].key}.wav`));
+    expect(fs.readFileSync(results[0].file).toString('ascii', 0, 4)).toBe('RIFF');
+
+    const again = await tts.synthesize(phrase);
+    expect(again.cached).toBe(true);
+    expect(synthesizeSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject tampered audio requests', () => {
+    const tts = new TtsService(config);
+    const { fileName, query } = parsePlayUrl(tts.getPlayUrl('Hello there'));
+    const otherPhrase = parsePlayUrl(tts.getPlayUrl('Something else'));
+
+    expect(tts.verifyAudioRequest(fileName, query)).toEqual({
+      provider: 'file',
+      options: { file: null },
+      text: 'Hello there'
+    });
+    expect(tts.verifyAudioRequest(fileName, { ...query, sig: 'forged' })).toBeNull();
+    expect(tts.verifyAudioRequest(fileName, { ...query, d: otherPhrase.query.d })).toBeNull();
+    expect(tts.verifyAudioRequest(fileName.replace('.wav', '.mp3'), query)).toBeNull();
+    expect(tts.verifyAudioRequest('../secrets.wav', query)).toBeNull();
+    expect(new TtsService({ ...config, urlSecret: 'other_secret' }).verifyAudioRequest(fileName, query)).toBeNull();
+  });
+
+  test('should use <Say> for a while after the provider fails', async () => {
+    const tts = new TtsService(config);
+    jest.spyOn(tts.getProvider('file'), 'synthesize').mockRejectedValue(new Error('provider down'));
+
+    expect(tts.getPlayUrl('Hello there')).not.toBeNull();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const twiml = new VoiceResponse();
+    tts.speak(twiml, 'Hello again', null, { voice: 'alice' });
+
+    expect(twiml.toString()).toContain('<Say voice="alice">Hello again</Say>');
+  });
+
+  describe('/tts route', () => {
+    test('should serve cached audio for signed URLs', async () => {
+      const tts = new TtsService(config);
+      const app = express();
+      app.use('/tts', createTtsRouter({ ttsService: tts }));
+
+      const { path: audioPath } = parsePlayUrl(tts.getPlayUrl('Hello there'));
+      const response = await request(app).get(audioPath);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('audio/wav');
+      expect(response.headers['cache-control']).toContain('immutable');
+      expect(response.body.toString('ascii', 0, 4)).toBe('RIFF');
+    });
+
+    test('should synthesize on a cache miss and refuse unsigned requests', async () => {
+      const tts = new TtsService(config);
+      const { fileName, path: audioPath } = parsePlayUrl(tts.getPlayUrl('Hello there'));
+      await new Promise(resolve => setImmediate(resolve));
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+
+      const app = express();
+      app.use('/tts', createTtsRouter({ ttsService: new TtsService(config) }));
+
+      expect((await request(app).get(audioPath)).status).toBe(200);
+      expect(fs.existsSync(path.join(cacheDir, fileName))).toBe(true);
+      expect((await request(app).get(`/tts/${fileName}`)).status).toBe(403);
+      expect((await request(app).post(audioPath)).status).toBe(405);
+    });
+  });
+});
@@ -2,32 +2,42 @@
  * @fileoverview Comprehensive test suite for VoiceGatewayAgent
  * @author LegacyAI Subagent Fleet - Voice Gateway Agent
  * @created 2025-10-01T12:00:00Z
- * @lastModified 2025-10-01T12:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * Tests cover:
  * - Agent initialization
  * - Incoming call handling
  * - Outbound call creation
- * - TwiML generation
+ * - TwiML generation (Gather and Media Streams)
  * - Call logging to database
  * - Error handling
  * - Phone number validation
  * - Privacy/masking functionality
+ * - No-input/no-match reprompts and keypad alternatives
+ * - Outbound compliance guard
+ * - Persona speech through the TTS provider
+ * - Speech models and vocabulary hints on Gather
+ * - Call lifecycle from status callbacks, exactly-once finalization and the call sweep
  */
 
 const { VoiceGatewayAgent } = require('../src/agents/VoiceGatewayAgent');
 const TwilioService = require('../src/services/TwilioService');
 const DatabaseService = require('../src/services/DatabaseService');
+const ComplianceService = require('../src/services/ComplianceService');
+const TtsService = require('../src/services/TtsService');
+const { createStreamToken } = require('../src/utils/streamToken');
 
 // Mock the dependencies
 jest.mock('../src/services/TwilioService');
 jest.mock('../src/services/DatabaseService');
+jest.mock('../src/services/ComplianceService');
 
 describe('VoiceGatewayAgent', () => {
   let agent;
   let mockConfig;
   let mockTwilioService;
   let mockDatabaseService;
+  let mockComplianceService;
 
   beforeEach(() => {
     // Reset all mocks before each test
@@ -82,12 +92,57 @@ describe('VoiceGatewayAgent', () => {
         data: {
           id: 'conv-123'
         }
+      }),
+      getAgentConfig: jest.fn().mockResolvedValue({
+        success: true,
+        data: {
+          name: 'default_voice_agent',
+          recording_policy: 'off'
+        }
+      }),
+      getPhoneNumberRoute: jest.fn().mockResolvedValue({
+        success: true,
+        data: null
+      }),
+      getCustomerByPhone: jest.fn().mockResolvedValue({
+        success: true,
+        data: null
+      }),
+      createCustomer: jest.fn().mockResolvedValue({
+        success: true,
+        data: { id: 'cust-new', phone_number: '+15559876543', name: null, tags: null }
+      }),
+      getCustomerConversations: jest.fn().mockResolvedValue({
+        success: true,
+        data: []
+      }),
+      getCustomerOpenTasks: jest.fn().mockResolvedValue({
+        success: true,
+        data: []
+      }),
+      getConversationMessages: jest.fn().mockResolvedValue({
+        success: true,
+        data: []
       })
     };
 
+    // Setup mock Compliance service (allows every call unless a test says otherwise)
+    mockComplianceService = {
+      checkOutboundCall: jest.fn().mockResolvedValue({
+        allowed: true,
+        rule: null,
+        reason: null,
+        region: 'US-NY',
+        timezones: ['America/New_York'],
+        retryAt: null
+      }),
+      recordAttempt: jest.fn().mockResolvedValue({ success: true })
+    };
+
     // Mock the service constructors
     TwilioService.mockImplementation(() => mockTwilioService);
     DatabaseService.mockImplementation(() => mockDatabaseService);
+    ComplianceService.mockImplementation(() => mockComplianceService);
 
     // Create agent instance
     agent = new VoiceGatewayAgent(mockConfig);
@@ -314,6 +369,173 @@ describe('VoiceGatewayAgent', () => {
       expect(result.success).toBe(false);
       expect(result.error).toBeDefined();
     });
+
+    test('should record allowed calls for the frequency caps', async () => {
+      await agent.makeOutboundCall('+15559876543', 'Test message', {
+        metadata: { campaign: { id: 'campaign-1' } }
+      });
+
+      expect(mockComplianceService.checkOutboundCall).toHaveBeenCalledWith('+15559876543', { campaign: { id: 'campaign-1' } });
+      expect(mockComplianceService.recordAttempt).toHaveBeenCalledWith('+15559876543', expect.objectContaining({
+        callSid: 'CA123456789',
+        context: { campaign: { id: 'campaign-1' } }
+      }));
+    });
+
+    test('should not dial when the compliance guard blocks the call', async () => {
+      mockComplianceService.checkOutboundCall.mockResolvedValue({
+        allowed: false,
+        rule: 'calling_hours',
+        reason: 'Outside 08:00-21:00 in America/New_York',
+        region: 'US-NY',
+        timezones: ['America/New_York'],
+        retryAt: '2026-10-19T12:00:00.000Z'
+      });
+
+      const result = await agent.makeOutboundCall('+15559876543', 'Test message');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Call blocked by compliance rule: calling_hours');
+      expect(result.data).toEqual({
+        blocked: true,
+        rule: 'calling_hours',
+        reason: 'Outside 08:00-21:00 in America/New_York',
+        retryAt: '2026-10-19T12:00:00.000Z'
+      });
+      expect(mockTwilioService.makeCall).not.toHaveBeenCalled();
+      expect(mockComplianceService.recordAttempt).not.toHaveBeenCalled();
+    });
+
+    test('should use the named agent config greeting when no message is given', async () => {
+      mockDatabaseService.getAgentConfig.mockImplementation(async (name) => (name === 'sales_agent'
+        ? { success: true, data: { name: 'sales_agent', greeting: 'Hi from the sales team!', recording_policy: 'off' } }
+        : { success: true, data: null }));
+
+      await agent.makeOutboundCall('+15559876543', null, {
+        agentConfigName: 'sales_agent',
+        statusCallback: 'https://example.com/webhooks/campaign-status',
+        metadata: { campaign: { id: 'campaign-1', contactId: 'contact-1', attempt: 1 } }
+      });
+
+      const [, , twimlUrl, callOptions] = mockTwilioService.makeCall.mock.calls[0];
+      expect(twimlUrl).toContain(`message=${encodeURIComponent('Hi from the sales team!')}`);
+      expect(callOptions).toEqual(expect.objectContaining({ statusCallback: 'https://example.com/webhooks/campaign-status' }));
+      expect(callOptions).not.toHaveProperty('agentConfigName');
+      expect(callOptions).not.toHaveProperty('metadata');
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith(
+        expect.objectContaining({
+          agent_config_name: 'sales_agent',
+          metadata: expect.objectContaining({
+            campaign: { id: 'campaign-1', contactId: 'contact-1', attempt: 1 }
+          })
+        })
+      );
+    });
+  });
+
+  describe('Returning callers', () => {
+    const callData = {
+      CallSid: 'CA123456789',
+      From: '+15559876543',
+      To: '+15551234567',
+      CallStatus: 'ringing'
+    };
+
+    beforeEach(async () => {
+      await agent.initialize();
+
+      mockDatabaseService.getCustomerByPhone.mockResolvedValue({
+        success: true,
+        data: { id: 'cust-1', phone_number: '+15559876543', name: 'Pat Lee', company: 'Acme', tags: ['vip'] }
+      });
+      mockDatabaseService.getCustomerConversations.mockResolvedValue({
+        success: true,
+        data: [{ id: 'conv-prev', agent_type: 'voice', started_at: new Date(Date.now() - 86400000).toISOString(), metadata: {} }]
+      });
+      mockDatabaseService.getConversationMessages.mockResolvedValue({
+        success: true,
+        data: [
+          { role: 'assistant', content: 'Hello! How can I help you today?' },
+          { role: 'user', content: 'What does the pro plan cost?' }
+        ]
+      });
+      mockDatabaseService.getCustomerOpenTasks.mockResolvedValue({
+        success: true,
+        data: [{ task_type: 'callback', scheduled_for: '2026-10-20T13:00:00Z', payload: { reason: 'after_hours' } }]
+      });
+    });
+
+    test('should greet a known caller by name and mention the last conversation', async () => {
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('Hi Pat, welcome back! I see we spoke yesterday.');
+      expect(result.data.customerId).toBe('cust-1');
+      expect(result.data.returningCaller).toBe(true);
+    });
+
+    test('should link the customer and store the profile on the conversation', async () => {
+      await agent.handleIncomingCall(callData);
+
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith(expect.objectContaining({
+        customer_id: 'cust-1',
+        metadata: expect.objectContaining({
+          caller: expect.objectContaining({
+            customerId: 'cust-1',
+            name: 'Pat Lee',
+            tags: ['vip'],
+            lastInteraction: expect.objectContaining({ channel: 'call', topic: 'What does the pro plan cost?' }),
+            openTasks: [{ type: 'callback', scheduledFor: '2026-10-20T13:00:00Z', reason: 'after_hours' }]
+          })
+        })
+      }));
+      expect(mockDatabaseService.getConversationMessages).toHaveBeenCalledWith('conv-prev', { limit: 4, order: 'asc' });
+    });
+
+    test('should use the persona returning_greeting template', async () => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'default_voice_agent', recording_policy: 'off', returning_greeting: 'Thanks for calling Acme again, {name}!' }
+      });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('Thanks for calling Acme again, Pat!');
+    });
+
+    test('should create a customer for first-time callers and use the regular greeting', async () => {
+      mockDatabaseService.getCustomerByPhone.mockResolvedValue({ success: true, data: null });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(mockDatabaseService.createCustomer).toHaveBeenCalledWith({ phone_number: '+15559876543' });
+      expect(result.data.twiml).toContain('How can I help you today?');
+      expect(result.data.twiml).not.toContain('welcome back');
+      expect(result.data.customerId).toBe('cust-new');
+      expect(result.data.returningCaller).toBe(false);
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith(expect.objectContaining({ customer_id: 'cust-new' }));
+      expect(mockDatabaseService.getCustomerConversations).not.toHaveBeenCalled();
+    });
+
+    test('should leave unknown callers unlinked when auto-create is off', async () => {
+      agent = new VoiceGatewayAgent({ ...mockConfig, customers: { autoCreate: false } });
+      await agent.initialize();
+      mockDatabaseService.getCustomerByPhone.mockResolvedValue({ success: true, data: null });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(mockDatabaseService.createCustomer).not.toHaveBeenCalled();
+      expect(result.data.customerId).toBeNull();
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith(expect.objectContaining({ customer_id: null }));
+    });
+
+    test('should answer the call when the customer lookup fails', async () => {
+      mockDatabaseService.getCustomerByPhone.mockRejectedValue(new Error('connection refused'));
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.success).toBe(true);
+      expect(result.data.returningCaller).toBe(false);
+    });
   });
 
   /**
@@ -603,9 +825,1455 @@ describe('VoiceGatewayAgent', () => {
     });
   });
 
+  describe('generateMediaStreamTwiML()', () => {
+    const callData = {
+      CallSid: 'CA123456789',
+      From: '+15559876543',
+      To: '+15551234567',
+      CallStatus: 'ringing'
+    };
+
+    test('should connect the call to the Media Streams endpoint', () => {
+      const twiml = agent.generateMediaStreamTwiML(callData).toString();
+
+      expect(twiml).toContain('<Connect>');
+      expect(twiml).toContain('<Stream url="wss://example.com/media-stream">');
+      expect(twiml).toContain('name="callSid" value="CA123456789"');
+      expect(twiml).toContain(`name="token" value="${createStreamToken('test_token', 'CA123456789')}"`);
+      expect(twiml).not.toContain('<Gather');
+    });
+
+    test('should prefer configured media stream URL', () => {
+      agent.config.twilio.mediaStreamUrl = 'wss://media.example.com/stream';
+
+      expect(agent.getMediaStreamUrl()).toBe('wss://media.example.com/stream');
+    });
+
+    test('should use stream TwiML for incoming calls in stream mode', async () => {
+      await agent.initialize();
+      agent.config.twilio.voiceMode = 'stream';
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.success).toBe(true);
+      expect(result.data.twiml).toContain('<Stream');
+      expect(result.data.twiml).not.toContain('<Gather');
+    });
+  });
+
+  describe('Warm transfer', () => {
+    beforeEach(async () => {
+      await agent.initialize();
+      agent.config.twilio.escalationNumber = '+15550001111';
+      agent.config.twilio.escalationTimeout = 15;
+      mockDatabaseService.createScheduledTask = jest.fn();
+      mockTwilioService.updateCall = jest.fn().mockResolvedValue({ success: true });
+    });
+
+    test('should report escalation disabled without a target', () => {
+      agent.config.twilio.escalationNumber = undefined;
+
+      expect(agent.isEscalationEnabled()).toBe(false);
+    });
+
+    test('should return Dial TwiML with hold message and whisper URL', async () => {
+      const result = await agent.escalateCall('CA123456789', { reason: 'manager', summary: 'Wants a refund.' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.twiml).toContain('Please hold');
+      expect(result.data.twiml).toContain('<Dial');
+      expect(result.data.twiml).toContain('timeout="15"');
+      expect(result.data.twiml).toContain('/webhooks/transfer-status?callSid=CA123456789');
+      expect(result.data.twiml).toContain('/webhooks/transfer-whisper?callSid=CA123456789');
+      expect(result.data.twiml).toContain('+15550001111</Number>');
+    });
+
+    test('should mark conversation escalated with transfer metadata', async () => {
+      await agent.escalateCall('CA123456789', { reason: 'manager', summary: 'Wants a refund.' });
+
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', expect.objectContaining({
+        status: 'escalated',
+        escalated: true,
+        metadata: expect.objectContaining({
+          transfer: expect.objectContaining({
+            reason: 'manager',
+            summary: 'Wants a refund.',
+            outcome: 'ringing',
+            target: { type: 'number', value: expect.any(String) }
+          })
+        })
+      }));
+    });
+
+    test('should put the caller in the rep queue when no number is configured', async () => {
+      agent.config.twilio.escalationNumber = undefined;
+      agent.config.twilio.escalationQueue = 'support';
+
+      const result = await agent.escalateCall('CA123456789');
+
+      expect(result.data.twiml).toContain('support</Enqueue>');
+      expect(result.data.twiml).toContain('action="https://example.com/webhooks/transfer-status?callSid=CA123456789"');
+      expect(result.data.twiml).toContain('waitUrl="https://example.com/webhooks/transfer-wait?callSid=CA123456789"');
+      expect(result.data.twiml).not.toContain('<Dial');
+      expect(result.data.twiml).not.toContain('<Queue');
+    });
+
+    test('should whisper to the rep who takes a caller from the queue', () => {
+      agent.config.twilio.escalationQueue = 'support';
+
+      const twiml = agent.generateQueueAnswerTwiML().toString();
+
+      expect(twiml).toContain('<Dial><Queue url="https://example.com/webhooks/transfer-whisper" method="POST">support</Queue></Dial>');
+    });
+
+    test('should hold queued callers until the escalation timeout', async () => {
+      const waiting = (await agent.generateQueueWaitTwiML('CA123456789', 5)).toString();
+      const timedOut = (await agent.generateQueueWaitTwiML('CA123456789', 15)).toString();
+
+      expect(waiting).toContain('Thank you for holding');
+      expect(waiting).toContain('<Pause length="10"/>');
+      expect(timedOut).toContain('<Leave/>');
+    });
+
+    test('should treat a bridged queue call as connected', async () => {
+      const result = await agent.handleTransferStatus('CA123456789', 'bridged');
+
+      expect(result.data.outcome).toBe('connected');
+    });
+
+    test('should fail escalation when no target is configured', async () => {
+      agent.config.twilio.escalationNumber = undefined;
+
+      const result = await agent.escalateCall('CA123456789');
+
+      expect(result.success).toBe(false);
+    });
+
+    test('should dial the persona transfer number instead of the global number', async () => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'sales_agent', escalation_rules: { transfer_number: '+15550002222' } }
+      });
+
+      const result = await agent.escalateCall('CA123456789');
+
+      expect(result.data.twiml).toContain('+15550002222</Number>');
+      expect(result.data.twiml).not.toContain('+15550001111');
+    });
+
+    test('should join the persona transfer queue instead of the global number', async () => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'support_agent', escalation_rules: { transfer_queue: 'billing' } }
+      });
+
+      const result = await agent.escalateCall('CA123456789');
+
+      expect(result.data.twiml).toContain('billing</Enqueue>');
+      expect(result.data.target).toEqual({ type: 'queue', value: 'billing' });
+    });
+
+    test('should enable escalation from persona rules without a global target', () => {
+      agent.config.twilio.escalationNumber = undefined;
+
+      expect(agent.isEscalationEnabled({ transfer_queue: 'billing' })).toBe(true);
+      expect(agent.getEscalationTarget({ keywords: ['manager'] })).toEqual({ number: null, queue: null });
+    });
+
+    test('should whisper stored summary to the rep', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', metadata: { transfer: { summary: 'Wants a refund.' } } }
+      });
+
+      const result = await agent.generateWhisperTwiML('CA123456789');
+
+      expect(result.data.twiml).toContain('Wants a refund.');
+      expect(result.data.hasSummary).toBe(true);
+    });
+
+    test('should hang up AI leg when transfer connects', async () => {
+      const result = await agent.handleTransferStatus('CA123456789', 'completed');
+
+      expect(result.data.outcome).toBe('connected');
+      expect(result.data.twiml).toContain('<Hangup/>');
+    });
+
+    test('should fall back to voicemail when nobody answers', async () => {
+      const result = await agent.handleTransferStatus('CA123456789', 'no-answer');
+
+      expect(result.data.outcome).toBe('voicemail');
+      expect(result.data.twiml).toContain('<Record');
+      expect(result.data.twiml).toContain('/webhooks/transfer-voicemail?callSid=CA123456789');
+    });
+
+    test('should schedule a callback when configured', async () => {
+      agent.config.twilio.escalationFallback = 'callback';
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', customer_id: 'cust-1', metadata: {} }
+      });
+      mockDatabaseService.createScheduledTask.mockResolvedValue({ success: true, data: { id: 'task-1' } });
+
+      const result = await agent.handleTransferStatus('CA123456789', 'busy');
+
+      expect(result.data.outcome).toBe('callback_scheduled');
+      expect(mockDatabaseService.createScheduledTask).toHaveBeenCalledWith(expect.objectContaining({
+        customer_id: 'cust-1',
+        task_type: 'callback'
+      }));
+    });
+
+    test('should use voicemail when callback has no customer', async () => {
+      agent.config.twilio.escalationFallback = 'callback';
+
+      const result = await agent.handleTransferStatus('CA123456789', 'busy');
+
+      expect(result.data.outcome).toBe('voicemail');
+      expect(mockDatabaseService.createScheduledTask).not.toHaveBeenCalled();
+    });
+
+    test('should record voicemail URL on the conversation', async () => {
+      await agent.handleTransferVoicemail('CA123456789', 'https://api.twilio.com/rec/RE1', 30);
+
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        metadata: { transfer: { voicemailUrl: 'https://api.twilio.com/rec/RE1', voicemailDuration: 30 } }
+      });
+    });
+
+    test('should redirect live calls to the transfer webhook', async () => {
+      await agent.redirectToTransfer('CA123456789');
+
+      expect(mockTwilioService.updateCall).toHaveBeenCalledWith('CA123456789', {
+        url: 'https://example.com/webhooks/transfer',
+        method: 'POST'
+      });
+    });
+  });
+
   /**
-   * Test 13: Configuration Validation
+   * Test 12b: Call Recording
    */
+  describe('Call recording', () => {
+    const callData = {
+      CallSid: 'CA123456789',
+      From: '+15559876543',
+      To: '+15551234567',
+      CallStatus: 'ringing'
+    };
+
+    beforeEach(async () => {
+      await agent.initialize();
+      mockTwilioService.startRecording = jest.fn().mockResolvedValue({
+        success: true,
+        data: { sid: 'RE123', status: 'in-progress' }
+      });
+      mockTwilioService.updateCall = jest.fn().mockResolvedValue({
+        success: true,
+        data: { sid: 'CA123456789', recordingStatus: 'paused' }
+      });
+    });
+
+    test('should not announce recording when policy is off', async () => {
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).not.toContain('recorded');
+      expect(result.data.twiml).toContain('/webhooks/process-speech');
+    });
+
+    test('should default to off when agent config cannot be loaded', async () => {
+      mockDatabaseService.getAgentConfig.mockRejectedValue(new Error('db down'));
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.success).toBe(true);
+      expect(result.data.twiml).toContain('/webhooks/process-speech');
+    });
+
+    test('should announce and redirect to recording-start when policy is always', async () => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { recording_policy: 'always' }
+      });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('This call will be recorded');
+      expect(result.data.twiml).toContain('https://example.com/webhooks/recording-start');
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: expect.objectContaining({ recording: { policy: 'always' } })
+      }));
+    });
+
+    test('should ask for consent with custom prompt when policy is consent', async () => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { recording_policy: 'consent', recording_consent_prompt: 'May we record this call?' }
+      });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('<Gather');
+      expect(result.data.twiml).toContain('May we record this call?');
+      expect(result.data.twiml).toContain('https://example.com/webhooks/recording-consent');
+    });
+
+    test('should start recording when caller presses 1', async () => {
+      const result = await agent.handleRecordingConsent({ ...callData, Digits: '1' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.consentGranted).toBe(true);
+      expect(result.data.recordingSid).toBe('RE123');
+      expect(mockTwilioService.startRecording).toHaveBeenCalledWith('CA123456789', {
+        statusCallback: 'https://example.com/webhooks/recording-status'
+      });
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        metadata: {
+          recording: expect.objectContaining({
+            consent: { granted: true, method: 'dtmf', at: expect.any(String) },
+            sid: 'RE123',
+            status: 'in-progress'
+          })
+        }
+      });
+      expect(result.data.twiml).toContain('/webhooks/process-speech');
+    });
+
+    test('should accept spoken consent', async () => {
+      const result = await agent.handleRecordingConsent({ ...callData, SpeechResult: 'Yes, that is fine.' });
+
+      expect(result.data.consentGranted).toBe(true);
+    });
+
+    test.each([
+      'No, I don\'t agree.',
+      'Not okay.',
+      'I\'m not fine with that.',
+      'Yeah no, I\u2019d rather not.',
+      'Nope'
+    ])('should treat the spoken refusal "%s" as declined', async (speech) => {
+      const result = await agent.handleRecordingConsent({ ...callData, SpeechResult: speech });
+
+      expect(result.data.consentGranted).toBe(false);
+      expect(mockTwilioService.startRecording).not.toHaveBeenCalled();
+    });
+
+    test('should continue unrecorded when caller declines', async () => {
+      const result = await agent.handleRecordingConsent({ ...callData, Digits: '2' });
+
+      expect(result.data.consentGranted).toBe(false);
+      expect(mockTwilioService.startRecording).not.toHaveBeenCalled();
+      expect(result.data.twiml).toContain('/webhooks/process-speech');
+    });
+
+    test('should treat no answer as declined', async () => {
+      const result = await agent.handleRecordingConsent(callData);
+
+      expect(result.data.consentGranted).toBe(false);
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        metadata: { recording: { consent: { granted: false, method: 'no_response', at: expect.any(String) } } }
+      });
+    });
+
+    test('should still continue the call when recording fails to start', async () => {
+      mockTwilioService.startRecording.mockResolvedValue({ success: false, error: 'Call not in progress' });
+
+      const result = await agent.handleRecordingConsent(callData, { announced: true });
+
+      expect(result.success).toBe(true);
+      expect(result.data.recordingSid).toBeNull();
+      expect(result.data.twiml).toContain('/webhooks/process-speech');
+    });
+
+    test('should store recording status callbacks', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', metadata: { recording: { sid: 'RE123', consent: { granted: true } } } }
+      });
+
+      await agent.handleRecordingStatus({
+        CallSid: 'CA123456789',
+        RecordingSid: 'RE123',
+        RecordingUrl: 'https://api.twilio.com/rec/RE123',
+        RecordingStatus: 'completed',
+        RecordingDuration: '42'
+      });
+
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        metadata: {
+          recording: expect.objectContaining({
+            consent: { granted: true },
+            url: 'https://api.twilio.com/rec/RE123',
+            status: 'completed',
+            duration: 42,
+            completedAt: expect.any(String)
+          })
+        }
+      });
+    });
+
+    test('should pause and resume recording and log the pause', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', metadata: { recording: { pauses: [{ pausedAt: 't0', reason: 'payment_details' }] } } }
+      });
+
+      await agent.resumeRecording('CA123456789');
+
+      expect(mockTwilioService.updateCall).toHaveBeenCalledWith('CA123456789', { recording: 'in-progress' });
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        metadata: {
+          recording: {
+            status: 'in-progress',
+            pauses: [{ pausedAt: 't0', reason: 'payment_details', resumedAt: expect.any(String) }]
+          }
+        }
+      });
+
+      await agent.pauseRecording('CA123456789', 'ssn');
+
+      expect(mockTwilioService.updateCall).toHaveBeenCalledWith('CA123456789', { recording: 'paused' });
+    });
+
+    test('should record outbound calls when policy is always', async () => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { recording_policy: 'always' }
+      });
+
+      await agent.makeOutboundCall('+15559876543', 'Test message');
+
+      expect(mockTwilioService.makeCall).toHaveBeenCalledWith(
+        '+15559876543',
+        '+15551234567',
+        expect.any(String),
+        expect.objectContaining({
+          record: true,
+          recordingStatusCallback: 'https://example.com/webhooks/recording-status'
+        })
+      );
+    });
+  });
+
+  /**
+   * Test 12c: Answering-Machine Detection
+   */
+  describe('Answering-machine detection', () => {
+    beforeEach(async () => {
+      await agent.initialize();
+      agent.config.twilio.machineDetectionTimeout = 30;
+      mockTwilioService.updateCall = jest.fn().mockResolvedValue({ success: true, data: { sid: 'CA123456789' } });
+    });
+
+    test('should request async AMD when enabled in config', async () => {
+      agent.config.twilio.machineDetection = true;
+
+      await agent.makeOutboundCall('+15559876543', 'Test message', { voicemailScript: 'Call us back.' });
+
+      expect(mockTwilioService.makeCall).toHaveBeenCalledWith(
+        '+15559876543',
+        '+15551234567',
+        expect.any(String),
+        {
+          statusCallback: 'https://example.com/webhooks/status',
+          machineDetection: 'DetectMessageEnd',
+          amdStatusCallback: 'https://example.com/webhooks/amd',
+          machineDetectionTimeout: 30
+        }
+      );
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: expect.objectContaining({ amd: { enabled: true, voicemailScript: 'Call us back.' } })
+      }));
+    });
+
+    test('should let the call override the AMD config', async () => {
+      agent.config.twilio.machineDetection = true;
+
+      await agent.makeOutboundCall('+15559876543', 'Test message', { machineDetection: false });
+
+      expect(mockTwilioService.makeCall).toHaveBeenCalledWith(
+        '+15559876543',
+        '+15551234567',
+        expect.any(String),
+        { statusCallback: 'https://example.com/webhooks/status' }
+      );
+    });
+
+    test('should classify AnsweredBy values', () => {
+      expect(agent.classifyAnsweredBy('human')).toBe('human');
+      expect(agent.classifyAnsweredBy('machine_end_beep')).toBe('machine');
+      expect(agent.classifyAnsweredBy('machine_end_silence')).toBe('machine');
+      expect(agent.classifyAnsweredBy('fax')).toBe('fax');
+      expect(agent.classifyAnsweredBy('unknown')).toBe('unknown');
+      expect(agent.classifyAnsweredBy(undefined)).toBe('unknown');
+    });
+
+    test('should redirect machine-answered calls to the voicemail drop', async () => {
+      const result = await agent.handleAmdResult({
+        CallSid: 'CA123456789',
+        AnsweredBy: 'machine_end_beep',
+        MachineDetectionDuration: '4200'
+      });
+
+      expect(result.data).toEqual({ outcome: 'machine', action: 'voicemail' });
+      expect(mockTwilioService.updateCall).toHaveBeenCalledWith('CA123456789', {
+        url: 'https://example.com/webhooks/voicemail-drop',
+        method: 'POST'
+      });
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        metadata: {
+          amd: {
+            answeredBy: 'machine_end_beep',
+            outcome: 'machine',
+            action: 'voicemail',
+            detectionMs: 4200,
+            detectedAt: expect.any(String)
+          }
+        }
+      });
+    });
+
+    test('should leave humans on the live message', async () => {
+      const result = await agent.handleAmdResult({ CallSid: 'CA123456789', AnsweredBy: 'human' });
+
+      expect(result.data).toEqual({ outcome: 'human', action: 'continue' });
+      expect(mockTwilioService.updateCall).not.toHaveBeenCalled();
+    });
+
+    test('should hang up on fax lines', async () => {
+      const result = await agent.handleAmdResult({ CallSid: 'CA123456789', AnsweredBy: 'fax' });
+
+      expect(result.data.action).toBe('hangup');
+      expect(mockTwilioService.updateCall).toHaveBeenCalledWith('CA123456789', { status: 'completed' });
+    });
+
+    test('should leave the per-call voicemail script and mark it left', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', metadata: { amd: { enabled: true, voicemailScript: 'Call us back at 555-0100.' } } }
+      });
+
+      const result = await agent.generateVoicemailDropTwiML('CA123456789');
+
+      expect(result.data.twiml).toContain('Call us back at 555-0100.');
+      expect(result.data.twiml).toContain('<Hangup/>');
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        metadata: {
+          amd: expect.objectContaining({ voicemailLeft: true, voicemailLeftAt: expect.any(String) })
+        }
+      });
+    });
+
+    test('should fall back to the configured voicemail script', async () => {
+      agent.config.twilio.voicemailScript = 'Configured voicemail.';
+
+      const result = await agent.generateVoicemailDropTwiML('CA123456789');
+
+      expect(result.data.twiml).toContain('Configured voicemail.');
+    });
+
+    test('should generate outbound TwiML with the message and a reply gather', async () => {
+      const result = await agent.generateOutboundTwiML({ callSid: 'CA123456789', message: 'Your order shipped.' });
+
+      expect(result.data.twiml).toContain('Your order shipped.');
+      expect(result.data.twiml).toContain('/webhooks/process-speech');
+    });
+  });
+
+  /**
+   * Test 12d: IVR Menu
+   */
+  describe('IVR menu', () => {
+    const callData = {
+      CallSid: 'CA123456789',
+      From: '+15559876543',
+      To: '+15551234567',
+      CallStatus: 'ringing'
+    };
+
+    const ivrMenu = {
+      prompt: 'Press 1 for sales, 2 for support, or just tell me what you need.',
+      options: [
+        { key: '1', label: 'sales', keywords: ['buy', 'pricing'], action: { type: 'agent', agentConfig: 'sales_agent' } },
+        {
+          key: '2',
+          label: 'support',
+          action: {
+            type: 'menu',
+            prompt: 'Press 1 for billing or 2 to leave a message.',
+            timeout: 8,
+            options: [
+              { key: '1', label: 'billing', action: { type: 'transfer', number: '+15550002222' } },
+              { key: '2', label: 'message', action: { type: 'voicemail', prompt: 'Leave your message.' } }
+            ]
+          }
+        }
+      ]
+    };
+
+    beforeEach(async () => {
+      await agent.initialize();
+      mockDatabaseService.getAgentConfig.mockImplementation(async (name) => ({
+        success: true,
+        data: name === 'sales_agent'
+          ? { name: 'sales_agent', type: 'voice', greeting: 'Thanks for calling sales!', active_version: 4 }
+          : { name: 'default_voice_agent', recording_policy: 'off', ivr_menu: ivrMenu }
+      }));
+    });
+
+    test('should play the root menu on incoming calls', async () => {
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('Press 1 for sales');
+      expect(result.data.twiml).toContain('input="dtmf speech"');
+      expect(result.data.twiml).toContain('/webhooks/ivr?path=&amp;attempt=0');
+      expect(result.data.twiml).toContain('hints="sales, buy, pricing, support"');
+    });
+
+    test('should descend into a submenu with its own timeout', async () => {
+      const result = await agent.handleMenuInput({ CallSid: 'CA123456789', Digits: '2' }, { path: [], attempt: 0 });
+
+      expect(result.data.action).toBe('menu');
+      expect(result.data.twiml).toContain('Press 1 for billing');
+      expect(result.data.twiml).toContain('timeout="8"');
+      expect(result.data.twiml).toContain('/webhooks/ivr?path=2&amp;attempt=0');
+    });
+
+    test('should route a keypress to a persona and record the path', async () => {
+      const result = await agent.handleMenuInput({ CallSid: 'CA123456789', Digits: '1' }, { path: [], attempt: 0 });
+
+      expect(result.data.action).toBe('agent');
+      expect(result.data.agentConfig).toBe('sales_agent');
+      expect(result.data.twiml).toContain('/webhooks/process-speech');
+      expect(result.data.twiml).toContain('Thanks for calling sales!');
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        agent_type: 'voice',
+        agent_config_name: 'sales_agent',
+        agent_config_version: 4,
+        metadata: {
+          ivr: {
+            path: ['1'],
+            labels: ['sales'],
+            selection: 'sales',
+            action: 'agent',
+            input: 'dtmf',
+            completedAt: expect.any(String)
+          }
+        }
+      });
+    });
+
+    test('should keep the current persona when the menu names a missing config', async () => {
+      mockDatabaseService.getAgentConfig.mockImplementation(async (name) => (name === 'sales_agent'
+        ? { success: false, data: null, error: 'Agent config not found' }
+        : { success: true, data: { name: 'default_voice_agent', ivr_menu: ivrMenu } }));
+
+      const result = await agent.handleMenuInput({ CallSid: 'CA123456789', Digits: '1' }, { path: [], attempt: 0 });
+
+      expect(result.data.action).toBe('agent');
+      expect(result.data.agentConfig).toBeNull();
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        metadata: { ivr: expect.objectContaining({ selection: 'sales' }) }
+      });
+    });
+
+    test('should match spoken keywords as whole words', async () => {
+      const result = await agent.handleMenuInput(
+        { CallSid: 'CA123456789', SpeechResult: 'I want to buy something.' },
+        { path: [], attempt: 0 }
+      );
+
+      expect(result.data.agentConfig).toBe('sales_agent');
+      expect(result.data.forwardSpeech).toBeNull();
+    });
+
+    test('should forward unmatched speech to the AI conversation', async () => {
+      const result = await agent.handleMenuInput(
+        { CallSid: 'CA123456789', SpeechResult: 'My wholesale order never arrived' },
+        { path: [], attempt: 0 }
+      );
+
+      expect(result.data.action).toBe('agent');
+      expect(result.data.forwardSpeech).toBe('My wholesale order never arrived');
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        metadata: { ivr: expect.objectContaining({ selection: null, input: 'speech' }) }
+      });
+    });
+
+    test('should re-prompt on an invalid key', async () => {
+      const result = await agent.handleMenuInput({ CallSid: 'CA123456789', Digits: '7' }, { path: [], attempt: 0 });
+
+      expect(result.data.action).toBe('retry');
+      expect(result.data.twiml).toContain('not a valid option');
+      expect(result.data.twiml).toContain('attempt=1');
+    });
+
+    test('should run the default action after the retry limit', async () => {
+      const result = await agent.handleMenuInput({ CallSid: 'CA123456789' }, { path: [], attempt: 2 });
+
+      expect(result.data.action).toBe('agent');
+      expect(result.data.twiml).toContain('/webhooks/process-speech');
+    });
+
+    test('should transfer to the menu option number', async () => {
+      const result = await agent.handleMenuInput({ CallSid: 'CA123456789', Digits: '1' }, { path: ['2'], attempt: 0 });
+
+      expect(result.data.action).toBe('transfer');
+      expect(result.data.twiml).toContain('+15550002222</Number>');
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', expect.objectContaining({
+        metadata: expect.objectContaining({
+          transfer: expect.objectContaining({
+            reason: 'ivr_menu',
+            summary: 'The caller chose support, then billing from the phone menu.'
+          })
+        })
+      }));
+    });
+
+    test('should record a voicemail for the voicemail option', async () => {
+      const result = await agent.handleMenuInput({ CallSid: 'CA123456789', Digits: '2' }, { path: ['2'], attempt: 0 });
+
+      expect(result.data.action).toBe('voicemail');
+      expect(result.data.twiml).toContain('Leave your message.');
+      expect(result.data.twiml).toContain('<Record');
+    });
+
+    test('should start the conversation when the menu was removed mid-call', async () => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({ success: true, data: { recording_policy: 'off' } });
+
+      const result = await agent.handleMenuInput({ CallSid: 'CA123456789', Digits: '1' }, { path: ['2'], attempt: 0 });
+
+      expect(result.data.action).toBe('agent');
+    });
+  });
+
+  /**
+   * Test 12e: Phone number routing to agent personas
+   */
+  describe('Phone number routing', () => {
+    const callData = {
+      CallSid: 'CA123456789',
+      From: '+15559876543',
+      To: '+15551234567',
+      CallStatus: 'ringing'
+    };
+
+    const salesConfig = {
+      name: 'sales_agent',
+      type: 'voice',
+      greeting: 'Thanks for calling the sales line!',
+      voice_settings: { twilioVoice: 'Polly.Matthew', language: 'en-GB' },
+      recording_policy: 'off'
+    };
+
+    beforeEach(async () => {
+      await agent.initialize();
+      mockDatabaseService.getPhoneNumberRoute.mockResolvedValue({
+        success: true,
+        data: { phone_number: '+15551234567', agent_config_name: 'sales_agent' }
+      });
+      mockDatabaseService.getAgentConfig.mockImplementation(async (name) => (name === 'sales_agent'
+        ? { success: true, data: salesConfig }
+        : { success: true, data: { name: 'default_voice_agent', type: 'voice', recording_policy: 'off' } }));
+    });
+
+    test('should answer with the persona routed to the dialed number', async () => {
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(mockDatabaseService.getPhoneNumberRoute).toHaveBeenCalledWith('+15551234567');
+      expect(result.data.agentConfig).toBe('sales_agent');
+      expect(result.data.twiml).toContain('Thanks for calling the sales line!');
+      expect(result.data.twiml).toContain('voice="Polly.Matthew"');
+      expect(result.data.twiml).toContain('language="en-GB"');
+      expect(result.data.twiml).not.toContain('I\'m your AI assistant');
+    });
+
+    test('should read the phone menu in the persona voice', async () => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: {
+          ...salesConfig,
+          ivr_menu: { prompt: 'Press 1 for sales.', options: [{ key: '1', label: 'sales', action: { type: 'agent' } }] }
+        }
+      });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('Press 1 for sales.');
+      expect(result.data.twiml).toContain('voice="Polly.Matthew"');
+      expect(result.data.twiml).not.toContain('Polly.Joanna');
+    });
+
+    test('should play the transfer hold message and voicemail in the persona voice', async () => {
+      agent.config.twilio.escalationNumber = '+15550001111';
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123456789', agent_config_name: 'sales_agent', metadata: {} }
+      });
+
+      const transfer = await agent.escalateCall('CA123456789');
+      const voicemail = await agent.handleTransferStatus('CA123456789', 'no-answer');
+
+      expect(transfer.data.twiml).toContain('voice="Polly.Matthew"');
+      expect(voicemail.data.twiml).toContain('voice="Polly.Matthew"');
+      expect(`${transfer.data.twiml}${voicemail.data.twiml}`).not.toContain('Polly.Joanna');
+    });
+
+    test('should store agent type and config name on the conversation', async () => {
+      await agent.handleIncomingCall(callData);
+
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith(
+        expect.objectContaining({
+          agent_type: 'voice',
+          agent_config_name: 'sales_agent'
+        })
+      );
+    });
+
+    test('should play the greeting from the persona TTS provider', async () => {
+      agent.ttsService = new TtsService({ baseUrl: 'https://voice.example.com', urlSecret: 'test_secret' });
+      jest.spyOn(agent.ttsService, 'synthesize').mockResolvedValue({ cached: true });
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { ...salesConfig, voice_settings: { ttsProvider: 'file' } }
+      });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toMatch(/<Play>https:\/\/voice\.example\.com\/tts\/[a-f0-9]{64}\.wav\?/);
+      expect(result.data.twiml).not.toContain('Thanks for calling the sales line!');
+      expect(agent.ttsService.synthesize).toHaveBeenCalledWith(expect.objectContaining({ text: 'Thanks for calling the sales line!' }));
+    });
+
+    test('should use the default config for numbers without a route', async () => {
+      mockDatabaseService.getPhoneNumberRoute.mockResolvedValue({ success: true, data: null });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(mockDatabaseService.getAgentConfig).toHaveBeenCalledWith('default_voice_agent');
+      expect(result.data.twiml).toContain('I\'m your AI assistant');
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith(
+        expect.objectContaining({ agent_config_name: 'default_voice_agent' })
+      );
+    });
+
+    test('should fall back to the default config when the routed config is missing', async () => {
+      mockDatabaseService.getAgentConfig.mockImplementation(async (name) => (name === 'sales_agent'
+        ? { success: false, data: null, error: 'Agent config not found' }
+        : { success: true, data: { name: 'default_voice_agent', recording_policy: 'off' } }));
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.success).toBe(true);
+      expect(result.data.agentConfig).toBe('default_voice_agent');
+    });
+
+    test('should greet with the persona in stream mode', () => {
+      agent.config.twilio.voiceMode = 'stream';
+
+      const twiml = agent.generateConversationStartTwiML(callData, salesConfig).toString();
+
+      expect(twiml).toContain('Thanks for calling the sales line!');
+      expect(twiml).toContain('<Connect>');
+    });
+
+    test('should resolve outbound calls by our caller ID', async () => {
+      await agent.makeOutboundCall('+15559876543', 'Hello from sales');
+
+      expect(mockDatabaseService.getPhoneNumberRoute).toHaveBeenCalledWith(mockConfig.twilio.phoneNumber);
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith(
+        expect.objectContaining({ agent_config_name: 'sales_agent' })
+      );
+    });
+  });
+
+  /**
+   * Test 12f: Business hours and after-hours handling
+   */
+  describe('Business hours', () => {
+    const callData = {
+      CallSid: 'CA123456789',
+      From: '+15559876543',
+      To: '+15551234567',
+      CallStatus: 'ringing'
+    };
+
+    const allDay = [{ open: '00:00', close: '24:00' }];
+    const everyDay = { sun: allDay, mon: allDay, tue: allDay, wed: allDay, thu: allDay, fri: allDay, sat: allDay };
+
+    // Open around the clock except for a one-hour closure starting now
+    const closedNow = (afterHours) => ({
+      timezone: 'UTC',
+      weekly: everyDay,
+      closures: [{
+        start: new Date(Date.now() - 60 * 1000).toISOString(),
+        end: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        reason: 'Team meeting'
+      }],
+      afterHours
+    });
+
+    const useCalendar = (businessHours) => {
+      mockDatabaseService.getAgentConfig.mockResolvedValue({
+        success: true,
+        data: { name: 'default_voice_agent', recording_policy: 'off', business_hours: businessHours }
+      });
+    };
+
+    beforeEach(async () => {
+      await agent.initialize();
+      agent.config.twilio.escalationNumber = '+15550001111';
+      mockDatabaseService.createScheduledTask = jest.fn().mockResolvedValue({ success: true, data: { id: 'task-1' } });
+      mockDatabaseService.getCustomerByPhone = jest.fn().mockResolvedValue({ success: true, data: null });
+      mockDatabaseService.createCustomer = jest.fn().mockResolvedValue({ success: true, data: { id: 'cust-1' } });
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123456789', phone_number: '+15559876543', metadata: {} }
+      });
+    });
+
+    test('should run the normal flow during business hours', async () => {
+      useCalendar({ timezone: 'UTC', weekly: everyDay });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('/webhooks/process-speech');
+      expect(result.data.twiml).not.toContain('<Record');
+    });
+
+    test('should take a message after hours by default', async () => {
+      useCalendar(closedNow());
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('Our office is closed right now.');
+      expect(result.data.twiml).toContain('<Record');
+      expect(result.data.twiml).toContain('/webhooks/after-hours-message?callSid=CA123456789');
+      expect(result.data.twiml).not.toContain('/webhooks/process-speech');
+      expect(mockDatabaseService.createConversation).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: expect.objectContaining({
+          afterHours: expect.objectContaining({ reason: 'closure', closure: 'Team meeting', action: 'message' })
+        })
+      }));
+    });
+
+    test('should announce the holiday by name', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      useCalendar({ timezone: 'UTC', weekly: everyDay, holidays: [{ date: today, name: 'Founders Day' }] });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('We are closed today for Founders Day.');
+    });
+
+    test('should offer a callback at the next opening', async () => {
+      useCalendar(closedNow({ action: 'callback', prompt: 'You reached Acme after hours.' }));
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('You reached Acme after hours.');
+      expect(result.data.twiml).toContain('We can call you back on');
+      expect(result.data.twiml).toContain('/webhooks/after-hours-callback?slot=');
+      expect(result.data.twiml).toContain('input="dtmf speech"');
+    });
+
+    test('should transfer to the on-call number', async () => {
+      useCalendar(closedNow({ action: 'transfer', onCallNumber: '+15550009999' }));
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.data.twiml).toContain('<Dial');
+      expect(result.data.twiml).toContain('+15550009999</Number>');
+    });
+
+    test('should book an accepted callback for a new customer', async () => {
+      useCalendar(closedNow({ action: 'callback' }));
+      const slot = '2026-10-19T13:00:00.000Z';
+
+      const result = await agent.handleAfterHoursCallback({ CallSid: 'CA123456789', Digits: '1' }, { slot });
+
+      expect(result.data.outcome).toBe('callback_scheduled');
+      expect(result.data.twiml).toContain('We will call you back on Monday, October 19 at 1:00 PM');
+      expect(mockDatabaseService.createCustomer).toHaveBeenCalledWith({ phone_number: '+15559876543' });
+      expect(mockDatabaseService.createScheduledTask).toHaveBeenCalledWith(expect.objectContaining({
+        customer_id: 'cust-1',
+        task_type: 'callback',
+        scheduled_for: slot,
+        payload: expect.objectContaining({ reason: 'after_hours' })
+      }));
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', expect.objectContaining({
+        customer_id: 'cust-1',
+        metadata: expect.objectContaining({
+          afterHours: expect.objectContaining({ outcome: 'callback_scheduled', callbackTaskId: 'task-1' })
+        })
+      }));
+    });
+
+    test('should take a message when the callback is declined', async () => {
+      useCalendar(closedNow({ action: 'callback' }));
+
+      const result = await agent.handleAfterHoursCallback(
+        { CallSid: 'CA123456789', SpeechResult: 'No thanks.' },
+        { slot: '2026-10-19T13:00:00.000Z' }
+      );
+
+      expect(result.data.outcome).toBe('message');
+      expect(result.data.twiml).toContain('<Record');
+      expect(mockDatabaseService.createScheduledTask).not.toHaveBeenCalled();
+    });
+
+    test('should take a message when a spoken refusal mentions an affirmative', async () => {
+      useCalendar(closedNow({ action: 'callback' }));
+
+      const result = await agent.handleAfterHoursCallback(
+        { CallSid: 'CA123456789', SpeechResult: "No, that's not okay." },
+        { slot: '2026-10-19T13:00:00.000Z' }
+      );
+
+      expect(result.data.outcome).toBe('message');
+      expect(mockDatabaseService.createScheduledTask).not.toHaveBeenCalled();
+    });
+
+    test('should store the after-hours message', async () => {
+      const result = await agent.handleAfterHoursMessage('CA123456789', 'https://api.twilio.com/rec/RE1', 42);
+
+      expect(result.data.outcome).toBe('message_recorded');
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', {
+        metadata: {
+          afterHours: { outcome: 'message', messageUrl: 'https://api.twilio.com/rec/RE1', messageDuration: 42 }
+        }
+      });
+    });
+
+    test('should never dial a rep when nobody is on shift', async () => {
+      useCalendar(closedNow());
+
+      const result = await agent.escalateCall('CA123456789', { reason: 'manager', number: '+15550002222' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.outcome).toBe('after_hours');
+      expect(result.data.twiml).not.toContain('<Dial');
+      expect(result.data.twiml).toContain('<Record');
+      expect(mockDatabaseService.updateConversation).toHaveBeenCalledWith('conv-123', expect.objectContaining({
+        escalated: true,
+        metadata: expect.objectContaining({
+          transfer: expect.objectContaining({ outcome: 'after_hours', closedReason: 'closure' })
+        })
+      }));
+    });
+
+    test('should escalate to the on-call number after hours', async () => {
+      useCalendar(closedNow({ action: 'message', onCallNumber: '+15550009999' }));
+
+      const result = await agent.escalateCall('CA123456789', { reason: 'manager' });
+
+      expect(result.data.twiml).toContain('+15550009999</Number>');
+      expect(result.data.target.type).toBe('on_call');
+    });
+
+    test('should treat an invalid calendar as open', () => {
+      const hours = agent.getHoursStatus({ business_hours: { timezone: 'Mars/Olympus', weekly: everyDay } });
+
+      expect(hours.open).toBe(true);
+      expect(hours.reason).toBe('invalid_calendar');
+    });
+  });
+
+  /**
+   * Test 12g: No-input and no-match reprompts
+   */
+  describe('Reprompts', () => {
+    const callData = {
+      CallSid: 'CA123456789',
+      From: '+15559876543',
+      To: '+15551234567'
+    };
+
+    const lastDialogMetadata = () => {
+      const calls = mockDatabaseService.updateConversation.mock.calls;
+      return calls[calls.length - 1][1].metadata.dialog;
+    };
+
+    beforeEach(async () => {
+      await agent.initialize();
+    });
+
+    test('should reprompt instead of restarting the call when nothing is said', () => {
+      const twiml = agent.generateInitialTwiML(callData).toString();
+
+      expect(twiml).toContain('https://example.com/webhooks/reprompt?reason=no_input&amp;attempt=0');
+      expect(twiml).not.toContain('/webhooks/voice');
+    });
+
+    test('should count a miss and reprompt with speech only at first', async () => {
+      const result = await agent.handleDialogMiss(callData, { reason: 'no_input', attempt: 0 });
+
+      expect(result.success).toBe(true);
+      expect(result.data.action).toBe('reprompt');
+      expect(result.data.attempt).toBe(1);
+      expect(result.data.twiml).toContain('I didn\'t hear anything');
+      expect(result.data.twiml).toContain('/webhooks/process-speech?attempt=1');
+      expect(result.data.twiml).toContain('/webhooks/reprompt?reason=no_input&amp;attempt=1');
+      expect(result.data.twiml).not.toContain('dtmf');
+      expect(lastDialogMetadata()).toEqual(expect.objectContaining({ noInput: 1, noMatch: 0, maxConsecutiveMisses: 1 }));
+    });
+
+    test('should escalate the wording and offer keypad alternatives', async () => {
+      agent.config.twilio.escalationNumber = '+15550001111';
+
+      const result = await agent.handleDialogMiss(callData, { reason: 'no_match', attempt: 1 });
+
+      expect(result.data.attempt).toBe(2);
+      expect(result.data.twiml).toContain('still having trouble understanding');
+      expect(result.data.twiml).toContain('press 0 to speak with a representative, or press 1 to leave a message');
+      expect(result.data.twiml).toContain('input="speech dtmf"');
+    });
+
+    test('should only offer the message key without an escalation target', async () => {
+      const result = await agent.handleDialogMiss(callData, { reason: 'no_input', attempt: 1 });
+
+      expect(result.data.twiml).toContain('You can press 1 to leave a message.');
+      expect(result.data.twiml).not.toContain('press 0');
+    });
+
+    test('should end the call politely after the configured limit', async () => {
+      agent.config.twilio.maxReprompts = 2;
+
+      const result = await agent.handleDialogMiss(callData, { reason: 'no_input', attempt: 2 });
+
+      expect(result.data.action).toBe('hangup');
+      expect(result.data.twiml).toContain('Goodbye.');
+      expect(result.data.twiml).toContain('<Hangup/>');
+      expect(lastDialogMetadata().outcome).toBe('ended_no_input');
+    });
+
+    test('should default the limit to three reprompts', () => {
+      expect(agent.getMaxReprompts()).toBe(3);
+
+      agent.config.twilio.maxReprompts = 0;
+      expect(agent.getMaxReprompts()).toBe(0);
+    });
+
+    test('should hand keypad 0 back for a transfer when escalation is enabled', async () => {
+      agent.config.twilio.escalationNumber = '+15550001111';
+
+      const result = await agent.handleDialogKeypress({ ...callData, Digits: '0' }, { attempt: 2 });
+
+      expect(result.data.action).toBe('transfer');
+      expect(lastDialogMetadata().outcome).toBe('keypad_transfer');
+    });
+
+    test('should record a message on keypad 1', async () => {
+      const result = await agent.handleDialogKeypress({ ...callData, Digits: '1' }, { attempt: 2 });
+
+      expect(result.data.action).toBe('message');
+      expect(result.data.twiml).toContain('<Record');
+      expect(lastDialogMetadata().outcome).toBe('keypad_message');
+    });
+
+    test('should treat other keys as a miss', async () => {
+      const result = await agent.handleDialogKeypress({ ...callData, Digits: '7' }, { attempt: 1 });
+
+      expect(result.data.action).toBe('reprompt');
+      expect(result.data.attempt).toBe(2);
+      expect(lastDialogMetadata().noMatch).toBe(1);
+    });
+  });
+
+  describe('Speech vocabulary', () => {
+    const callData = {
+      CallSid: 'CA123456789',
+      From: '+15559876543',
+      To: '+15551234567',
+      CallStatus: 'ringing'
+    };
+
+    beforeEach(async () => {
+      mockDatabaseService.getCallVocabularyTerms = jest.fn().mockResolvedValue({
+        success: true,
+        data: [
+          { id: 't1', scope: 'global', term: 'Salesforce', category: 'competitor', variants: [] },
+          { id: 't2', scope: 'campaign', term: 'AX-200', category: 'sku', variants: [] }
+        ]
+      });
+      await agent.initialize();
+    });
+
+    test('should listen for the agent config vocabulary with the conversation model', async () => {
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(mockDatabaseService.getCallVocabularyTerms).toHaveBeenCalledWith({
+        agentConfigName: 'default_voice_agent',
+        campaignId: null
+      });
+      expect(result.data.twiml).toContain('speechModel="phone_call" enhanced="true" hints="AX-200, Salesforce"');
+    });
+
+    test('should add the campaign vocabulary on outbound calls', async () => {
+      mockDatabaseService.getConversationByCallSid.mockResolvedValue({
+        success: true,
+        data: { id: 'conv-123', call_sid: 'CA123456789', metadata: { campaign: { id: 'camp-1' } } }
+      });
+
+      const result = await agent.generateOutboundTwiML({ callSid: 'CA123456789', message: 'Hi!' });
+
+      expect(mockDatabaseService.getCallVocabularyTerms).toHaveBeenCalledWith({
+        agentConfigName: 'default_voice_agent',
+        campaignId: 'camp-1'
+      });
+      expect(result.data.twiml).toContain('hints="AX-200, Salesforce"');
+    });
+
+    test('should use the commands model for yes/no questions and menus', () => {
+      const consent = agent.generateRecordingNoticeTwiML('consent').toString();
+      const menu = agent.generateMenuTwiML({
+        prompt: 'Press 1 for sales.',
+        options: [{ key: '1', label: 'sales', keywords: ['pricing'], action: { type: 'agent' } }]
+      }, []).toString();
+
+      expect(consent).toContain('speechModel="numbers_and_commands" hints="yes, no"');
+      expect(consent).not.toContain('enhanced=');
+      expect(menu).toContain('speechModel="numbers_and_commands" hints="sales, pricing"');
+    });
+
+    test('should keep answering calls when the vocabulary cannot be loaded', async () => {
+      mockDatabaseService.getCallVocabularyTerms.mockResolvedValue({ success: false, error: 'db down' });
+
+      const result = await agent.handleIncomingCall(callData);
+
+      expect(result.success).toBe(true);
+      expect(result.data.twiml).toContain('speechModel="phone_call"');
+      expect(result.data.twiml).not.toContain('hints=');
+    });
+  });
+
+  /**
+   * Test 13: Configuration Validation
+   */
+  /**
+   * Test 17: Call lifecycle
+   */
+  describe('Call lifecycle', () => {
+    let conversation;
+    let mockConversationAgent;
+    let mockQueueManager;
+
+    beforeEach(async () => {
+      conversation = {
+        id: 'conv-123',
+        call_sid: 'CA123456789',
+        status: 'active',
+        call_status: 'initiated',
+        started_at: '2026-10-18T10:00:00.000Z',
+        answered_at: null,
+        finalized_at: null,
+        updated_at: '2026-10-18T10:01:00.000Z',
+        metadata: {}
+      };
+      mockDatabaseService.getConversationByCallSid = jest.fn().mockImplementation(async () => ({
+        success: true,
+        data: conversation
+      }));
+      mockDatabaseService.updateConversation = jest.fn().mockImplementation(async (id, fields) => {
+        conversation = { ...conversation, ...fields };
+        return { success: true, data: conversation };
+      });
+      mockDatabaseService.claimConversationFinalization = jest.fn().mockImplementation(async () => {
+        if (conversation.finalized_at) {
+          return { success: true, data: null };
+        }
+        conversation = { ...conversation, finalized_at: '2026-10-18T10:05:00.000Z' };
+        return { success: true, data: conversation };
+      });
+      mockDatabaseService.getOpenCalls = jest.fn().mockImplementation(async () => ({
+        success: true,
+        data: [conversation]
+      }));
+      mockTwilioService.getCallStatus = jest.fn();
+
+      mockConversationAgent = { closeSession: jest.fn().mockReturnValue(true) };
+      mockQueueManager = {
+        addCallToQueue: jest.fn().mockResolvedValue({ success: true, data: { jobId: 'job-1' } }),
+        scheduleCallSweep: jest.fn().mockResolvedValue({ success: true, data: { jobId: 'calls-reconcile' } })
+      };
+      agent = new VoiceGatewayAgent({
+        ...mockConfig,
+        conversationAgent: mockConversationAgent,
+        queueManager: mockQueueManager
+      });
+      await agent.initialize();
+    });
+
+    test('should move a call forward through ringing and in-progress', async () => {
+      await agent.handleCallStatus({ CallSid: 'CA123456789', CallStatus: 'ringing' });
+      const result = await agent.handleCallStatus({ CallSid: 'CA123456789', CallStatus: 'in-progress' });
+
+      expect(result.data).toMatchObject({ applied: true, finalized: false });
+      expect(conversation.call_status).toBe('in-progress');
+      expect(conversation.answered_at).toEqual(expect.any(String));
+      expect(conversation.metadata.lifecycle.history.map(entry => entry.status)).toEqual(['ringing', 'in-progress']);
+      expect(mockQueueManager.addCallToQueue).not.toHaveBeenCalled();
+    });
+
+    test('should ignore out-of-order and duplicate statuses', async () => {
+      conversation.call_status = 'in-progress';
+
+      const result = await agent.handleCallStatus({ CallSid: 'CA123456789', CallStatus: 'ringing' });
+
+      expect(result.data).toMatchObject({ applied: false, reason: 'out_of_order' });
+      expect(mockDatabaseService.updateConversation).not.toHaveBeenCalled();
+    });
+
+    test('should record the end and run the post-call pipeline on completed', async () => {
+      conversation.call_status = 'in-progress';
+
+      const result = await agent.handleCallStatus({ CallSid: 'CA123456789', CallStatus: 'completed', CallDuration: '95' });
+
+      expect(result.data).toMatchObject({ applied: true, finalized: true });
+      expect(conversation).toMatchObject({
+        status: 'ended',
+        call_status: 'completed',
+        duration_seconds: 95,
+        ended_at: expect.any(String)
+      });
+      expect(mockConversationAgent.closeSession).toHaveBeenCalledWith('CA123456789');
+      expect(mockQueueManager.addCallToQueue).toHaveBeenCalledWith('CA123456789', 'post_call_actions', expect.objectContaining({
+        conversationId: 'conv-123'
+      }));
+    });
+
+    test('should mark busy and no-answer calls failed with no duration', async () => {
+      const result = await agent.handleCallStatus({ CallSid: 'CA123456789', CallStatus: 'no-answer' });
+
+      expect(result.data.finalized).toBe(true);
+      expect(conversation).toMatchObject({ status: 'failed', call_status: 'no-answer', duration_seconds: 0 });
+    });
+
+    test('should keep an escalated call escalated', async () => {
+      conversation.status = 'escalated';
+      conversation.call_status = 'in-progress';
+
+      await agent.handleCallStatus({ CallSid: 'CA123456789', CallStatus: 'completed', CallDuration: '300' });
+
+      expect(conversation.status).toBe('escalated');
+    });
+
+    test('should finalize exactly once when the final status repeats', async () => {
+      await agent.handleCallStatus({ CallSid: 'CA123456789', CallStatus: 'completed', CallDuration: '10' });
+      const repeat = await agent.handleCallStatus({ CallSid: 'CA123456789', CallStatus: 'completed', CallDuration: '10' });
+
+      expect(repeat.data).toMatchObject({ applied: false, reason: 'already_finalized' });
+      expect(mockQueueManager.addCallToQueue).toHaveBeenCalledTimes(1);
+      expect(mockConversationAgent.closeSession).toHaveBeenCalledTimes(1);
+    });
+
+    test('should release the claim when the post-call job cannot be queued', async () => {
+      mockQueueManager.addCallToQueue.mockResolvedValueOnce({ success: false, error: 'Redis down' });
+
+      const result = await agent.handleCallStatus({ CallSid: 'CA123456789', CallStatus: 'completed' });
+
+      expect(result.success).toBe(false);
+      expect(conversation.finalized_at).toBeNull();
+      expect(conversation.call_status).toBe('completed');
+
+      // The retry finalizes without recording the end again
+      const retry = await agent.handleCallStatus({ CallSid: 'CA123456789', CallStatus: 'completed' });
+      expect(retry.data).toMatchObject({ reason: 'already_ended', finalized: true });
+    });
+
+    test('should ignore status for unknown calls', async () => {
+      mockDatabaseService.getConversationByCallSid = jest.fn().mockResolvedValue({ success: true, data: null });
+
+      const result = await agent.handleCallStatus({ CallSid: 'CAunknown', CallStatus: 'completed' });
+
+      expect(result.data).toMatchObject({ applied: false, reason: 'unknown_call' });
+    });
+
+    test('should time completed calls without CallDuration from when they were answered', () => {
+      const duration = agent.getCallDuration(
+        { CallStatus: 'completed' },
+        { started_at: '2026-10-18T10:00:00.000Z', answered_at: '2026-10-18T10:00:20.000Z' },
+        '2026-10-18T10:02:20.000Z'
+      );
+
+      expect(duration).toBe(120);
+    });
+
+    test('should start inbound calls in-progress and outbound calls initiated', async () => {
+      await agent.logCallStart('CA1', '+15559876543', '+15551234567', { Direction: 'inbound' });
+      await agent.logCallStart('CA2', '+15551234567', '+15559876543', { Direction: 'outbound' });
+
+      expect(mockDatabaseService.createConversation.mock.calls[0][0]).toMatchObject({
+        call_status: 'in-progress',
+        answered_at: expect.any(String)
+      });
+      expect(mockDatabaseService.createConversation.mock.calls[1][0]).toMatchObject({
+        call_status: 'initiated',
+        answered_at: null
+      });
+    });
+
+    describe('reconcileOpenCalls()', () => {
+      const now = new Date('2026-10-18T11:00:00.000Z');
+
+      test('should finalize calls Twilio reports as ended', async () => {
+        mockTwilioService.getCallStatus.mockResolvedValue({
+          success: true,
+          data: { status: 'completed', duration: '240', endTime: '2026-10-18T10:04:00.000Z' }
+        });
+
+        const result = await agent.reconcileOpenCalls(now);
+
+        expect(mockDatabaseService.getOpenCalls).toHaveBeenCalledWith('2026-10-18T10:45:00.000Z', 50);
+        expect(result.data).toMatchObject({ checked: 1, finalized: 1 });
+        expect(conversation).toMatchObject({
+          call_status: 'completed',
+          duration_seconds: 240,
+          ended_at: '2026-10-18T10:04:00.000Z'
+        });
+        expect(mockQueueManager.addCallToQueue).toHaveBeenCalledTimes(1);
+      });
+
+      test('should leave calls that are still in progress', async () => {
+        conversation.call_status = 'in-progress';
+        mockTwilioService.getCallStatus.mockResolvedValue({ success: true, data: { status: 'in-progress' } });
+
+        const result = await agent.reconcileOpenCalls(now);
+
+        expect(result.data).toMatchObject({ checked: 1, active: 1, finalized: 0 });
+        expect(mockQueueManager.addCallToQueue).not.toHaveBeenCalled();
+      });
+
+      test('should retry finalization for ended calls without a lookup', async () => {
+        conversation.call_status = 'busy';
+
+        const result = await agent.reconcileOpenCalls(now);
+
+        expect(mockTwilioService.getCallStatus).not.toHaveBeenCalled();
+        expect(result.data.finalized).toBe(1);
+      });
+
+      test('should close calls past the Twilio call limit when the lookup fails', async () => {
+        conversation.call_status = 'in-progress';
+        mockTwilioService.getCallStatus.mockResolvedValue({ success: false, error: 'not found' });
+
+        const early = await agent.reconcileOpenCalls(now);
+        expect(early.data.active).toBe(1);
+
+        const result = await agent.reconcileOpenCalls(new Date('2026-10-18T15:00:00.000Z'));
+
+        expect(result.data.forced).toBe(1);
+        expect(conversation).toMatchObject({ call_status: 'completed', status: 'ended', ended_at: '2026-10-18T10:01:00.000Z' });
+      });
+    });
+
+    test('should schedule the call sweep', async () => {
+      await agent.startCallSweep();
+
+      expect(mockQueueManager.scheduleCallSweep).toHaveBeenCalledWith(300000);
+    });
+  });
+
   describe('Configuration', () => {
     test('should accept valid Twilio configuration', () => {
       const validConfig = {
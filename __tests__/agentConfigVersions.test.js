@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Test suite for agent config version snapshots, diffs and validation
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Snapshots of the versioned settings
+ * - Diffs between snapshots, including JSON key order
+ * - Validation of API settings
+ */
+
+const {
+  VERSIONED_FIELDS,
+  buildConfigSnapshot,
+  diffConfigSnapshots,
+  normalizeConfigChanges
+} = require('../src/utils/agentConfigVersions');
+
+describe('agentConfigVersions', () => {
+  describe('buildConfigSnapshot()', () => {
+    test('should keep only versioned settings, with null for missing ones', () => {
+      const snapshot = buildConfigSnapshot({
+        id: 'cfg-1',
+        name: 'sales_agent',
+        active: true,
+        system_prompt: 'You are a sales assistant.',
+        temperature: 0.4
+      });
+
+      expect(Object.keys(snapshot)).toEqual(VERSIONED_FIELDS);
+      expect(snapshot.system_prompt).toBe('You are a sales assistant.');
+      expect(snapshot.temperature).toBe(0.4);
+      expect(snapshot.voice_settings).toBeNull();
+      expect(snapshot.name).toBeUndefined();
+      expect(snapshot.active).toBeUndefined();
+    });
+  });
+
+  describe('diffConfigSnapshots()', () => {
+    test('should list changed settings with their old and new values', () => {
+      const before = buildConfigSnapshot({ system_prompt: 'A', temperature: 0.7, tools: ['lookup_customer'] });
+      const after = buildConfigSnapshot({ system_prompt: 'B', temperature: 0.7, tools: ['lookup_customer', 'end_call'] });
+
+      expect(diffConfigSnapshots(before, after)).toEqual({
+        system_prompt: { from: 'A', to: 'B' },
+        tools: { from: ['lookup_customer'], to: ['lookup_customer', 'end_call'] }
+      });
+    });
+
+    test('should ignore key order inside JSON settings', () => {
+      const before = buildConfigSnapshot({ voice_settings: { voice: 'nova', speed: 1 } });
+      const after = buildConfigSnapshot({ voice_settings: { speed: 1, voice: 'nova' } });
+
+      expect(diffConfigSnapshots(before, after)).toEqual({});
+    });
+
+    test('should diff the first version against nothing', () => {
+      const diff = diffConfigSnapshots(null, buildConfigSnapshot({ type: 'voice', system_prompt: 'A' }));
+
+      expect(diff).toEqual({
+        type: { from: null, to: 'voice' },
+        system_prompt: { from: null, to: 'A' }
+      });
+    });
+  });
+
+  describe('normalizeConfigChanges()', () => {
+    test('should map API fields to columns and keep only the ones sent', () => {
+      const { data, error } = normalizeConfigChanges({
+        systemPrompt: 'You are a sales assistant.',
+        temperature: '0.4',
+        maxTokens: 200,
+        greeting: '  Hi there!  ',
+        returningGreeting: '   ',
+        recordingPolicy: null
+      });
+
+      expect(error).toBeUndefined();
+      expect(data).toEqual({
+        system_prompt: 'You are a sales assistant.',
+        temperature: 0.4,
+        max_tokens: 200,
+        greeting: 'Hi there!',
+        returning_greeting: null,
+        recording_policy: 'off'
+      });
+    });
+
+    test('should reject out-of-range model settings', () => {
+      expect(normalizeConfigChanges({ temperature: 1.5 }).error).toBe('temperature must be a number from 0 to 1');
+      expect(normalizeConfigChanges({ maxTokens: 0 }).error).toMatch(/maxTokens must be a whole number/);
+      expect(normalizeConfigChanges({ maxTokens: 12.5 }).error).toMatch(/maxTokens must be a whole number/);
+      expect(normalizeConfigChanges({ temperature: null, maxTokens: null }).data).toEqual({ temperature: null, max_tokens: null });
+    });
+
+    test('should reject invalid text, policies and objects', () => {
+      expect(normalizeConfigChanges({ systemPrompt: '  ' }).error).toBe('systemPrompt must be non-empty text');
+      expect(normalizeConfigChanges({ type: '' }).error).toMatch(/type must be 1 to 50 characters/);
+      expect(normalizeConfigChanges({ recordingPolicy: 'sometimes' }).error).toMatch(/recordingPolicy must be one of/);
+      expect(normalizeConfigChanges({ voiceSettings: ['nova'] }).error).toBe('voiceSettings must be an object or null');
+      expect(normalizeConfigChanges({ greeting: 42 }).error).toBe('greeting must be text or null');
+    });
+
+    test('should dedupe tools and reject unknown ones', () => {
+      const isKnownTool = tool => ['lookup_customer', 'end_call'].includes(tool);
+
+      expect(normalizeConfigChanges({ tools: ['end_call', 'end_call'] }, { isKnownTool }).data.tools).toEqual(['end_call']);
+      expect(normalizeConfigChanges({ tools: ['end_call', 'launch_rocket'] }, { isKnownTool }).error).toBe('Unknown tools: launch_rocket');
+      expect(normalizeConfigChanges({ tools: 'end_call' }).error).toBe('tools must be an array of tool names or null');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Test suite for Media Streams audio codec helpers
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ *
+ * Tests cover:
+ * - μ-law encode/decode roundtrip
+ * - Resampling
+ * - WAV container generation
+ * - RMS energy and frame splitting
+ */
+
+const {
+  FRAME_BYTES,
+  decodeMulaw,
+  encodeMulaw,
+  resamplePcm,
+  pcmBufferToSamples,
+  pcmToWav,
+  calculateRms,
+  splitFrames
+} = require('../src/utils/audioCodec');
+
+describe('audioCodec', () => {
+  describe('μ-law conversion', () => {
+    test('should decode μ-law silence to zero', () => {
+      const samples = decodeMulaw(Buffer.from([0xff, 0x7f]));
+
+      expect(Array.from(samples)).toEqual([0, 0]);
+    });
+
+    test('should roundtrip PCM samples within μ-law quantization error', () => {
+      const input = Int16Array.from([0, 100, -100, 1000, -1000, 12000, -12000, 32000]);
+      const output = decodeMulaw(encodeMulaw(input));
+
+      input.forEach((sample, i) => {
+        const tolerance = Math.max(8, Math.abs(sample) * 0.07);
+        expect(Math.abs(output[i] - sample)).toBeLessThanOrEqual(tolerance);
+      });
+    });
+
+    test('should clip samples beyond the μ-law range', () => {
+      const output = decodeMulaw(encodeMulaw(Int16Array.from([32767, -32768])));
+
+      expect(output[0]).toBeGreaterThan(30000);
+      expect(output[1]).toBeLessThan(-30000);
+    });
+  });
+
+  describe('resamplePcm()', () => {
+    test('should downsample 24kHz to 8kHz', () => {
+      const input = new Int16Array(2400).fill(500);
+
+      const output = resamplePcm(input, 24000, 8000);
+
+      expect(output.length).toBe(800);
+      expect(output[0]).toBe(500);
+    });
+
+    test('should return input unchanged when rates match', () => {
+      const input = Int16Array.from([1, 2, 3]);
+
+      expect(resamplePcm(input, 8000, 8000)).toBe(input);
+    });
+  });
+
+  describe('pcmBufferToSamples()', () => {
+    test('should read little-endian 16-bit samples', () => {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt16LE(-2, 0);
+      buffer.writeInt16LE(300, 2);
+
+      expect(Array.from(pcmBufferToSamples(buffer))).toEqual([-2, 300]);
+    });
+  });
+
+  describe('pcmToWav()', () => {
+    test('should produce a valid RIFF header', () => {
+      const wav = pcmToWav(new Int16Array(160), 8000);
+
+      expect(wav.length).toBe(44 + 320);
+      expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+      expect(wav.toString('ascii', 8, 12)).toBe('WAVE');
+      expect(wav.readUInt32LE(24)).toBe(8000);
+      expect(wav.readUInt32LE(40)).toBe(320);
+    });
+  });
+
+  describe('calculateRms()', () => {
+    test('should return 0 for empty input', () => {
+      expect(calculateRms(new Int16Array(0))).toBe(0);
+    });
+
+    test('should return amplitude for a constant signal', () => {
+      expect(calculateRms(new Int16Array(10).fill(-400))).toBe(400);
+    });
+  });
+
+  describe('splitFrames()', () => {
+    test('should split audio into 20ms frames', () => {
+      const frames = splitFrames(Buffer.alloc(FRAME_BYTES * 2 + 10));
+
+      expect(frames).toHaveLength(3);
+      expect(frames[0].length).toBe(FRAME_BYTES);
+      expect(frames[2].length).toBe(10);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Test suite for business-hours calendar evaluation
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Time zone conversion including DST transitions
+ * - Weekly schedules, holidays and one-off closures
+ * - Next opening calculation
+ * - Open appointment slots around busy intervals
+ * - Slot formatting
+ */
+
+const {
+  parseTime,
+  getLocalParts,
+  zonedTimeToUtc,
+  getNextOpening,
+  getOpenSlots,
+  getBusinessHoursStatus,
+  formatSlot
+} = require('../src/utils/businessHours');
+
+describe('businessHours', () => {
+  const calendar = {
+    timezone: 'America/New_York',
+    weekly: {
+      mon: [{ open: '09:00', close: '17:00' }],
+      tue: [{ open: '09:00', close: '12:00' }, { open: '13:00', close: '17:00' }],
+      wed: [{ open: '09:00', close: '17:00' }]
+    },
+    holidays: [
+      { date: '12-25', name: 'Christmas Day' },
+      { date: '2026-10-21', name: 'Half day', hours: [{ open: '09:00', close: '12:00' }] }
+    ],
+    closures: [
+      { start: '2026-10-19T18:00:00Z', end: '2026-10-19T19:00:00Z', reason: 'Team meeting' }
+    ]
+  };
+
+  describe('time conversion', () => {
+    test('should parse HH:MM times', () => {
+      expect(parseTime('09:30')).toBe(570);
+      expect(parseTime('24:00')).toBe(1440);
+      expect(parseTime('9am')).toBeNull();
+    });
+
+    test('should read wall-clock parts in a time zone', () => {
+      const parts = getLocalParts(new Date('2026-10-19T13:30:00Z'), 'America/New_York');
+
+      expect(parts.date).toBe('2026-10-19');
+      expect(parts.weekday).toBe('mon');
+      expect(parts.minutes).toBe(9 * 60 + 30);
+    });
+
+    test('should convert local time to UTC across DST changes', () => {
+      expect(zonedTimeToUtc('2026-10-19', 9 * 60, 'America/New_York').toISOString()).toBe('2026-10-19T13:00:00.000Z');
+      expect(zonedTimeToUtc('2026-12-01', 9 * 60, 'America/New_York').toISOString()).toBe('2026-12-01T14:00:00.000Z');
+      expect(zonedTimeToUtc('2026-03-08', 3 * 60, 'America/New_York').toISOString()).toBe('2026-03-08T07:00:00.000Z');
+    });
+  });
+
+  describe('getBusinessHoursStatus()', () => {
+    test('should treat a missing calendar as always open', () => {
+      expect(getBusinessHoursStatus(null)).toEqual(expect.objectContaining({ open: true, reason: 'no_calendar' }));
+    });
+
+    test('should be open within weekly hours in the calendar time zone', () => {
+      // 10:00 in New York, 14:00 UTC
+      const status = getBusinessHoursStatus(calendar, new Date('2026-10-19T14:00:00Z'));
+
+      expect(status.open).toBe(true);
+      expect(status.reason).toBe('open');
+    });
+
+    test('should be closed outside weekly hours with the next opening', () => {
+      // Monday 18:00 in New York
+      const status = getBusinessHoursStatus(calendar, new Date('2026-10-19T22:00:00Z'));
+
+      expect(status.open).toBe(false);
+      expect(status.reason).toBe('closed');
+      expect(status.nextOpenAt.toISOString()).toBe('2026-10-20T13:00:00.000Z');
+    });
+
+    test('should respect split shifts', () => {
+      // Tuesday 12:30 in New York (lunch break)
+      const status = getBusinessHoursStatus(calendar, new Date('2026-10-20T16:30:00Z'));
+
+      expect(status.open).toBe(false);
+      expect(status.nextOpenAt.toISOString()).toBe('2026-10-20T17:00:00.000Z');
+    });
+
+    test('should be closed during a one-off closure', () => {
+      const status = getBusinessHoursStatus(calendar, new Date('2026-10-19T18:30:00Z'));
+
+      expect(status.open).toBe(false);
+      expect(status.reason).toBe('closure');
+      expect(status.closure).toBe('Team meeting');
+      expect(status.nextOpenAt.toISOString()).toBe('2026-10-19T19:00:00.000Z');
+    });
+
+    test('should close on yearly holidays', () => {
+      // Christmas 2026 is a Friday - open Fridays so only the holiday closes it
+      const status = getBusinessHoursStatus({
+        ...calendar,
+        weekly: { ...calendar.weekly, fri: [{ open: '09:00', close: '17:00' }] }
+      }, new Date('2026-12-25T15:00:00Z'));
+
+      expect(status.open).toBe(false);
+      expect(status.reason).toBe('holiday');
+      expect(status.holiday).toBe('Christmas Day');
+    });
+
+    test('should use special holiday hours', () => {
+      // Wednesday Oct 21: half day until 12:00
+      expect(getBusinessHoursStatus(calendar, new Date('2026-10-21T14:00:00Z')).open).toBe(true);
+
+      const afternoon = getBusinessHoursStatus(calendar, new Date('2026-10-21T18:00:00Z'));
+      expect(afternoon.open).toBe(false);
+      expect(afternoon.reason).toBe('holiday');
+    });
+  });
+
+  describe('getNextOpening()', () => {
+    test('should skip closed days', () => {
+      // Wednesday 18:00 -> next open Monday 09:00
+      const next = getNextOpening(calendar, new Date('2026-10-21T22:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-10-26T13:00:00.000Z');
+    });
+
+    test('should return null when nothing opens within two weeks', () => {
+      expect(getNextOpening({ timezone: 'UTC', weekly: {} }, new Date('2026-10-19T00:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('getOpenSlots()', () => {
+    test('should skip slots that overlap a closure', () => {
+      // Monday 13:10 local; the 14:00-15:00 team meeting blocks two slots
+      const slots = getOpenSlots(calendar, new Date('2026-10-19T17:10:00Z'));
+
+      expect(slots.map(slot => slot.toISOString())).toEqual([
+        '2026-10-19T17:30:00.000Z',
+        '2026-10-19T19:00:00.000Z',
+        '2026-10-19T19:30:00.000Z'
+      ]);
+    });
+
+    test('should only offer slots that fit inside an opening interval', () => {
+      // Tuesday 11:00 local, closed 12:00-13:00 for lunch
+      const slots = getOpenSlots(calendar, new Date('2026-10-20T15:00:00Z'), { count: 3, slotMinutes: 60 });
+
+      expect(slots.map(slot => slot.toISOString())).toEqual([
+        '2026-10-20T15:00:00.000Z',
+        '2026-10-20T17:00:00.000Z',
+        '2026-10-20T18:00:00.000Z'
+      ]);
+    });
+
+    test('should step between slot starts independently of the slot length', () => {
+      const slots = getOpenSlots(calendar, new Date('2026-10-20T13:00:00Z'), { count: 3, slotMinutes: 60, stepMinutes: 30 });
+
+      expect(slots.map(slot => slot.toISOString())).toEqual([
+        '2026-10-20T13:00:00.000Z',
+        '2026-10-20T13:30:00.000Z',
+        '2026-10-20T14:00:00.000Z'
+      ]);
+    });
+
+    test('should skip slots that overlap busy intervals', () => {
+      const busy = [{ start: new Date('2026-10-20T13:15:00Z'), end: new Date('2026-10-20T14:00:00Z') }];
+      const slots = getOpenSlots(calendar, new Date('2026-10-20T13:00:00Z'), { count: 2, busy });
+
+      expect(slots.map(slot => slot.toISOString())).toEqual([
+        '2026-10-20T14:00:00.000Z',
+        '2026-10-20T14:30:00.000Z'
+      ]);
+    });
+
+    test('should return an empty list when nothing is open', () => {
+      expect(getOpenSlots({ timezone: 'UTC', weekly: {} }, new Date('2026-10-19T00:00:00Z'))).toEqual([]);
+    });
+  });
+
+  describe('formatSlot()', () => {
+    test('should describe the slot in the calendar time zone', () => {
+      expect(formatSlot(new Date('2026-10-20T13:00:00Z'), 'America/New_York')).toBe('Tuesday, October 20 at 9:00 AM');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Test suite for returning-caller profiles, greetings and AI context
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Profile building (topics from transfer summaries or the caller's first words)
+ * - Relative dates in the calendar's time zone
+ * - Built-in and custom returning greetings
+ * - The prompt block given to the AI
+ */
+
+const {
+  buildCallerProfile,
+  describeLastContact,
+  buildReturningGreeting,
+  formatCallerContext
+} = require('../src/utils/callerProfile');
+
+describe('callerProfile', () => {
+  // Monday 2026-10-19 11:00 in New York
+  const NOW = new Date('2026-10-19T15:00:00Z');
+
+  const customer = { id: 'cust-1', name: 'Pat Lee', company: 'Acme', tags: ['vip', 'pricing'] };
+
+  const priorCall = {
+    conversation: { id: 'conv-1', agent_type: 'voice', started_at: '2026-10-18T18:00:00Z', metadata: {} },
+    messages: [
+      { role: 'assistant', content: 'Hello! How can I help you today?' },
+      { role: 'user', content: 'How much is the   pro plan for ten seats?' }
+    ]
+  };
+
+  describe('buildCallerProfile()', () => {
+    test('should summarize recent conversations, newest first, and open tasks', () => {
+      const transferred = {
+        conversation: {
+          id: 'conv-0',
+          agent_type: 'sms',
+          started_at: '2026-10-12T18:00:00Z',
+          metadata: { transfer: { summary: 'Wants a demo for the sales team.' } }
+        },
+        messages: []
+      };
+
+      const profile = buildCallerProfile({
+        customer,
+        conversations: [priorCall, transferred],
+        tasks: [{ task_type: 'callback', scheduled_for: '2026-10-20T13:00:00Z', payload: { reason: 'after_hours' } }],
+        timezone: 'America/New_York'
+      });
+
+      expect(profile).toEqual(expect.objectContaining({
+        customerId: 'cust-1',
+        firstName: 'Pat',
+        tags: ['vip', 'pricing'],
+        returning: true,
+        timezone: 'America/New_York'
+      }));
+      expect(profile.recentConversations).toEqual([
+        { at: '2026-10-18T18:00:00Z', channel: 'call', direction: 'inbound', topic: 'How much is the pro plan for ten seats?' },
+        { at: '2026-10-12T18:00:00Z', channel: 'sms', direction: 'inbound', topic: 'Wants a demo for the sales team.' }
+      ]);
+      expect(profile.openTasks).toEqual([{ type: 'callback', scheduledFor: '2026-10-20T13:00:00Z', reason: 'after_hours' }]);
+    });
+
+    test('should mark customers without prior conversations as not returning', () => {
+      const profile = buildCallerProfile({ customer: { id: 'cust-2', name: null } });
+
+      expect(profile.returning).toBe(false);
+      expect(profile.firstName).toBeNull();
+      expect(profile.lastInteraction).toBeNull();
+    });
+  });
+
+  describe('describeLastContact()', () => {
+    test('should count calendar days in the given time zone', () => {
+      expect(describeLastContact('2026-10-19T13:00:00Z', NOW, 'America/New_York')).toBe('earlier today');
+      // 21:00 on the 18th in New York, 01:00 on the 19th in UTC
+      expect(describeLastContact('2026-10-19T01:00:00Z', NOW, 'America/New_York')).toBe('yesterday');
+      expect(describeLastContact('2026-10-19T01:00:00Z', NOW, 'UTC')).toBe('earlier today');
+      expect(describeLastContact('2026-10-16T15:00:00Z', NOW, 'UTC')).toBe('3 days ago');
+      expect(describeLastContact('2026-10-02T15:00:00Z', NOW, 'UTC')).toBe('on October 2');
+    });
+  });
+
+  describe('buildReturningGreeting()', () => {
+    test('should greet by name and mention the last contact', () => {
+      const profile = buildCallerProfile({ customer, conversations: [priorCall], timezone: 'America/New_York' });
+
+      expect(buildReturningGreeting(profile, null, NOW)).toBe('Hi Pat, welcome back! I see we spoke yesterday. How can I help you today?');
+    });
+
+    test('should fit the greeting to what is known', () => {
+      const named = buildCallerProfile({ customer });
+      const unnamed = buildCallerProfile({ customer: { id: 'cust-2' }, conversations: [priorCall] });
+
+      expect(buildReturningGreeting(named, null, NOW)).toBe('Hi Pat, good to hear from you! How can I help you today?');
+      expect(buildReturningGreeting(unnamed, null, NOW)).toBe('Welcome back! I see we spoke yesterday. How can I help you today?');
+      expect(buildReturningGreeting(buildCallerProfile({ customer: { id: 'cust-3' } }), null, NOW)).toBeNull();
+      expect(buildReturningGreeting(null)).toBeNull();
+    });
+
+    test('should use a custom template only when all its placeholders are known', () => {
+      const profile = buildCallerProfile({ customer, conversations: [priorCall] });
+      const newCustomer = buildCallerProfile({ customer });
+
+      expect(buildReturningGreeting(profile, 'Welcome back to Acme, {name}. Last time we talked {lastContact}.', NOW))
+        .toBe('Welcome back to Acme, Pat. Last time we talked yesterday.');
+      expect(buildReturningGreeting(newCustomer, 'Welcome back to Acme, {name}. Last time we talked {lastContact}.', NOW))
+        .toBe('Hi Pat, good to hear from you! How can I help you today?');
+    });
+  });
+
+  describe('formatCallerContext()', () => {
+    test('should list name, tags, recent conversations and open follow-ups', () => {
+      const profile = buildCallerProfile({
+        customer,
+        conversations: [priorCall],
+        tasks: [{ task_type: 'follow_up_call', scheduled_for: '2026-10-20T13:00:00Z', payload: {} }],
+        timezone: 'America/New_York'
+      });
+
+      expect(formatCallerContext(profile, NOW)).toBe([
+        'CALLER CONTEXT (from caller ID, not verified):',
+        '- Name: Pat Lee (Acme)',
+        '- Tags: vip, pricing',
+        '- Recent conversations:',
+        '  - yesterday by call about "How much is the pro plan for ten seats?"',
+        '- Open follow-ups:',
+        '  - follow up call scheduled for Tuesday, October 20 at 9:00 AM',
+        'Treat them as a known customer and use this history where it helps. Caller ID is not proof of identity, so do not read back account details the caller has not mentioned.'
+      ].join('\n'));
+    });
+
+    test('should return null without a profile', () => {
+      expect(formatCallerContext(null)).toBeNull();
+    });
+
+    test('should return null for a new customer with nothing on record', () => {
+      const profile = buildCallerProfile({ customer: { id: 'cust-2', name: null, tags: null } });
+
+      expect(formatCallerContext(profile, NOW)).toBeNull();
+    });
+  });
+});
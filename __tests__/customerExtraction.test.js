@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Test suite for customer detail extraction
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Names from strong and weak cues
+ * - Typed and spoken email addresses
+ * - Company names
+ * - Stated needs
+ * - Phrases that must not be read as details
+ */
+
+const { extractCustomerFields } = require('../src/utils/customerExtraction');
+
+describe('extractCustomerFields()', () => {
+  test('should read name, company and need from an introduction', () => {
+    expect(extractCustomerFields('Hi, this is Pat from Acme Corp. I need pricing for ten seats.')).toEqual({
+      name: 'Pat',
+      company: 'Acme Corp',
+      needs: ['pricing for ten seats']
+    });
+  });
+
+  test('should title-case names given after a strong cue and mark them explicit', () => {
+    expect(extractCustomerFields('my name is pat lee and I have a question')).toEqual({ name: 'Pat Lee', explicit: ['name'] });
+  });
+
+  test('should require a capitalized name after weak cues', () => {
+    expect(extractCustomerFields('It\'s Jordan.')).toEqual({ name: 'Jordan' });
+    expect(extractCustomerFields('You can call me Sam.')).toEqual({ name: 'Sam' });
+    expect(extractCustomerFields('I\'m calling about my invoice')).toEqual({});
+    expect(extractCustomerFields('Hello, I\'m good thanks')).toEqual({});
+  });
+
+  test.each([
+    'can you call me back tomorrow please',
+    'Call me Back Tomorrow',
+    'It\'s Tuesday tomorrow right?',
+    'This is Urgent please help',
+    'I\'m Busy this afternoon'
+  ])('should not read a name from "%s"', (text) => {
+    expect(extractCustomerFields(text).name).toBeUndefined();
+  });
+
+  test('should not read a company name as the caller name', () => {
+    expect(extractCustomerFields('our company name is initech')).toEqual({ company: 'Initech' });
+  });
+
+  test('should read typed email addresses', () => {
+    expect(extractCustomerFields('Sure, it is Pat.Lee@Acme.io.').email).toBe('pat.lee@acme.io');
+  });
+
+  test('should read spoken email addresses only after the word email', () => {
+    expect(extractCustomerFields('my email is pat dot lee at acme dot com').email).toBe('pat.lee@acme.com');
+    expect(extractCustomerFields('I\'ll be at home dot com later')).toEqual({});
+  });
+
+  test('should read companies from work cues', () => {
+    expect(extractCustomerFields('I work for Globex Corporation, we\'re interested in the enterprise plan')).toEqual({
+      company: 'Globex Corporation',
+      needs: ['the enterprise plan']
+    });
+    expect(extractCustomerFields('our company is called initech').company).toBe('Initech');
+    expect(extractCustomerFields('I\'m calling from home')).toEqual({});
+  });
+
+  test('should collect every need stated in one message', () => {
+    expect(extractCustomerFields('We need a new phone system. I\'d also like a demo for my team.').needs).toEqual([
+      'a new phone system',
+      'a demo for my team'
+    ]);
+  });
+
+  test('should return nothing for empty input', () => {
+    expect(extractCustomerFields('')).toEqual({});
+    expect(extractCustomerFields(null)).toEqual({});
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Test suite for iCalendar invite generation
+ * @author LegacyAI Subagent Fleet - Integration Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - UTC date-time formatting
+ * - Text escaping and line folding
+ * - Invites and cancellations
+ */
+
+const { formatIcsDate, escapeIcsText, buildIcsEvent, getIcsContentType } = require('../src/utils/icsCalendar');
+
+describe('icsCalendar', () => {
+  const event = {
+    uid: 'appt-1@legacyai-voice',
+    start: '2026-10-20T13:00:00.000Z',
+    end: '2026-10-20T13:30:00.000Z',
+    summary: 'Product demo with Sam Rep',
+    description: 'Agenda: intro, demo; questions',
+    location: 'https://meet.example.com/demo',
+    organizer: { name: 'Sam Rep', email: 'sam@example.com' },
+    attendees: [{ name: 'Pat Lee', email: 'pat@acme.test' }],
+    now: new Date('2026-10-18T12:00:00Z')
+  };
+
+  test('should format instants as UTC date-times', () => {
+    expect(formatIcsDate('2026-10-20T13:00:00.000Z')).toBe('20261020T130000Z');
+  });
+
+  test('should escape commas, semicolons, backslashes and newlines', () => {
+    expect(escapeIcsText('a, b; c\\d\ne')).toBe('a\\, b\\; c\\\\d\\ne');
+  });
+
+  test('should build an invite with CRLF line endings', () => {
+    const ics = buildIcsEvent(event);
+    const lines = ics.split('\r\n');
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'BEGIN:VCALENDAR',
+      'METHOD:REQUEST',
+      'UID:appt-1@legacyai-voice',
+      'SEQUENCE:0',
+      'DTSTAMP:20261018T120000Z',
+      'DTSTART:20261020T130000Z',
+      'DTEND:20261020T133000Z',
+      'SUMMARY:Product demo with Sam Rep',
+      'DESCRIPTION:Agenda: intro\\, demo\\; questions',
+      'ORGANIZER;CN="Sam Rep":mailto:sam@example.com',
+      'ATTENDEE;CN="Pat Lee";ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:pat@acme.test',
+      'STATUS:CONFIRMED',
+      'END:VCALENDAR'
+    ]));
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).not.toMatch(/[^\r]\n/);
+  });
+
+  test('should build cancellations with the same UID', () => {
+    const ics = buildIcsEvent({ ...event, method: 'CANCEL', sequence: 1 });
+
+    expect(ics).toContain('METHOD:CANCEL');
+    expect(ics).toContain('UID:appt-1@legacyai-voice');
+    expect(ics).toContain('SEQUENCE:1');
+    expect(ics).toContain('STATUS:CANCELLED');
+    expect(getIcsContentType('CANCEL')).toBe('text/calendar; charset=utf-8; method=CANCEL');
+  });
+
+  test('should fold lines longer than 75 octets', () => {
+    const ics = buildIcsEvent({ ...event, description: 'é'.repeat(100) });
+    const physicalLines = ics.split('\r\n');
+
+    physicalLines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(ics.replace(/\r\n /g, '')).toContain(`DESCRIPTION:${'é'.repeat(100)}`);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Test suite for knowledge base chunking, ranking and prompt text
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Format detection
+ * - Markdown, HTML and plain-text sections
+ * - Passage size and overlap
+ * - Cosine similarity and ranking by persona
+ * - Search queries for short follow-ups
+ * - Prompt text with source IDs
+ */
+
+const {
+  detectDocumentFormat,
+  documentToSections,
+  chunkDocument,
+  formatChunkForEmbedding,
+  normalizeVector,
+  cosineSimilarity,
+  rankPassages,
+  buildKnowledgeQuery,
+  assignSourceIds,
+  formatKnowledgeContext,
+  summarizeKnowledgeSources
+} = require('../src/utils/knowledgeBase');
+
+describe('knowledgeBase', () => {
+  describe('detectDocumentFormat()', () => {
+    test('should use the source URL extension first', () => {
+      expect(detectDocumentFormat('<p>Hi</p>', 'https://acme.test/pricing.md?v=2')).toBe('markdown');
+      expect(detectDocumentFormat('# Hi', 'https://acme.test/pricing.html')).toBe('html');
+      expect(detectDocumentFormat('# Hi', 'notes.txt')).toBe('text');
+    });
+
+    test('should recognize HTML and Markdown content', () => {
+      expect(detectDocumentFormat('<!DOCTYPE html><html><body>Hi</body></html>')).toBe('html');
+      expect(detectDocumentFormat('<h1>Pricing</h1><p>Team plan</p>')).toBe('html');
+      expect(detectDocumentFormat('# Pricing\n\nTeam plan')).toBe('markdown');
+      expect(detectDocumentFormat('Plans:\n- **Team** $49')).toBe('markdown');
+      expect(detectDocumentFormat('Our team plan costs $49 a month.')).toBe('text');
+    });
+  });
+
+  describe('documentToSections()', () => {
+    test('should split Markdown by heading and strip inline syntax', () => {
+      const markdown = [
+        'Welcome to [Acme](https://acme.test).',
+        '',
+        '# Pricing',
+        '',
+        '## Team plan',
+        '',
+        '**$49** a month, billed *annually*. See `docs`.',
+        '',
+        '| Plan | Seats |',
+        '|------|------:|',
+        '| Team | 10 |',
+        '',
+        '```',
+        '# not a heading',
+        '```',
+        '',
+        '## Enterprise ##',
+        '',
+        '> Contact sales.'
+      ].join('\n');
+
+      expect(documentToSections(markdown, 'markdown')).toEqual([
+        { heading: null, text: 'Welcome to Acme.' },
+        { heading: 'Pricing > Team plan', text: '$49 a month, billed annually. See docs.\n\nPlan | Seats\nTeam | 10\n\n# not a heading' },
+        { heading: 'Pricing > Enterprise', text: 'Contact sales.' }
+      ]);
+    });
+
+    test('should read HTML headings, paragraphs, lists and tables and drop scripts', () => {
+      const html = '<html><head><title>Ignored</title></head><body>' +
+        '<nav>Home | About</nav>' +
+        '<h1>Refunds</h1><p>Full refund within 30&nbsp;days &amp; no questions.</p>' +
+        '<ul><li>Monthly plans</li><li>Annual plans</li></ul>' +
+        '<h2>Exceptions</h2><table><tr><td>Setup fee</td><td>Not refundable</td></tr></table>' +
+        '<script>track()</script></body></html>';
+
+      const sections = documentToSections(html, 'html');
+
+      expect(sections.map(section => section.heading)).toEqual(['Refunds', 'Refunds > Exceptions']);
+      expect(sections[0].text).toContain('Full refund within 30 days & no questions.');
+      expect(sections[0].text).toMatch(/- Monthly plans\s*\n- Annual plans/);
+      expect(sections[1].text).toContain('Setup fee | Not refundable');
+      expect(JSON.stringify(sections)).not.toMatch(/track|Ignored|About/);
+    });
+
+    test('should keep plain text as one section', () => {
+      expect(documentToSections('# not a heading\n\nText', 'text')).toEqual([{ heading: null, text: '# not a heading\n\nText' }]);
+    });
+  });
+
+  describe('chunkDocument()', () => {
+    const sentence = index => `Sentence ${index} describes one feature of the product in detail.`;
+    const paragraph = Array.from({ length: 12 }, (_, i) => sentence(i)).join(' ');
+
+    test('should pack small paragraphs into one passage per section', () => {
+      const chunks = chunkDocument('# Plans\n\nTeam: $49.\n\nPro: $99.\n\n# Support\n\nEmail us.', 'markdown');
+
+      expect(chunks).toEqual([
+        { index: 0, heading: 'Plans', content: 'Team: $49.\n\nPro: $99.' },
+        { index: 1, heading: 'Support', content: 'Email us.' }
+      ]);
+    });
+
+    test('should keep passages under the size and overlap them', () => {
+      const chunks = chunkDocument(`${paragraph}\n\n${paragraph}`, 'text', { chunkSize: 300, chunkOverlap: 80 });
+
+      expect(chunks.length).toBeGreaterThan(3);
+      chunks.forEach((chunk, index) => {
+        expect(chunk.index).toBe(index);
+        expect(chunk.content.length).toBeLessThanOrEqual(300);
+      });
+      // Each passage starts with the end of the one before
+      const previousEnd = chunks[0].content.slice(-40);
+      expect(chunks[1].content).toContain(previousEnd.slice(previousEnd.indexOf(' ') + 1));
+    });
+
+    test('should split sentences longer than a passage at words', () => {
+      const chunks = chunkDocument('word '.repeat(100), 'text', { chunkSize: 100, chunkOverlap: 0 });
+
+      expect(chunks.length).toBe(5);
+      expect(chunks.every(chunk => chunk.content.length <= 100)).toBe(true);
+    });
+
+    test('should return nothing for empty documents', () => {
+      expect(chunkDocument('   \n\n  ', 'text')).toEqual([]);
+      expect(chunkDocument('<script>only()</script>', 'html')).toEqual([]);
+    });
+  });
+
+  test('formatChunkForEmbedding() should give passages their title and heading', () => {
+    expect(formatChunkForEmbedding('Pricing', { heading: 'Plans', content: 'Team: $49.' })).toBe('Pricing > Plans\n\nTeam: $49.');
+    expect(formatChunkForEmbedding(null, { heading: null, content: 'Team: $49.' })).toBe('Team: $49.');
+  });
+
+  describe('similarity', () => {
+    test('should compute cosine similarity', () => {
+      expect(cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+      expect(cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+      expect(cosineSimilarity([1, 1], [-1, -1])).toBeCloseTo(-1);
+      expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+      expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+    });
+
+    test('should normalize vectors to unit length', () => {
+      expect(Array.from(normalizeVector([3, 4]))).toEqual([expect.closeTo(0.6), expect.closeTo(0.8)]);
+      expect(normalizeVector([0, 0])).toBeNull();
+      expect(normalizeVector([])).toBeNull();
+    });
+
+    test('should rank passages for the persona, best first', () => {
+      const entries = [
+        { chunkId: 'a', vector: normalizeVector([1, 0]), agentConfigName: null },
+        { chunkId: 'b', vector: normalizeVector([1, 1]), agentConfigName: null },
+        { chunkId: 'c', vector: normalizeVector([1, 0.1]), agentConfigName: 'support_agent' },
+        { chunkId: 'd', vector: normalizeVector([0, 1]), agentConfigName: 'sales_agent' },
+        { chunkId: 'e', vector: normalizeVector([1, 0, 0]), agentConfigName: null }
+      ];
+      const query = normalizeVector([1, 0.2]);
+
+      const ranked = rankPassages(entries, query, { topK: 2, minScore: 0.3, agentConfigName: 'sales_agent' });
+      expect(ranked.map(entry => entry.chunkId)).toEqual(['a', 'b']);
+      expect(ranked[0].score).toBeCloseTo(0.981, 3);
+
+      expect(rankPassages(entries, query, { topK: 5, minScore: 0.9 }).map(entry => entry.chunkId)).toEqual(['a']);
+    });
+  });
+
+  describe('buildKnowledgeQuery()', () => {
+    const messages = [
+      { role: 'user', content: 'Tell me about the team plan' },
+      { role: 'assistant', content: 'It includes ten seats.' }
+    ];
+
+    test('should add the previous caller turn to short follow-ups', () => {
+      expect(buildKnowledgeQuery('How much?', messages)).toBe('Tell me about the team plan How much?');
+    });
+
+    test('should search longer questions on their own', () => {
+      expect(buildKnowledgeQuery('Do you offer refunds on annual plans?', messages)).toBe('Do you offer refunds on annual plans?');
+      expect(buildKnowledgeQuery('How much?')).toBe('How much?');
+    });
+  });
+
+  describe('prompt text and sources', () => {
+    const passages = assignSourceIds([
+      { documentId: 'doc-1', chunkId: 'chunk-1', chunkIndex: 0, title: 'Pricing', heading: 'Plans', content: 'Team: $49.\n\nPro: $99.', score: 0.91234 },
+      { documentId: 'doc-2', chunkId: 'chunk-7', chunkIndex: 3, title: 'Refunds', heading: null, content: 'Within 30 days.', score: 0.5 }
+    ]);
+
+    test('should list passages with their source IDs', () => {
+      const text = formatKnowledgeContext(passages);
+
+      expect(text).toContain('say you will find out rather than guessing');
+      expect(text).toContain('[S1] Pricing > Plans: Team: $49. Pro: $99.');
+      expect(text).toContain('[S2] Refunds: Within 30 days.');
+      expect(formatKnowledgeContext([])).toBe('');
+    });
+
+    test('should summarize sources for message metadata', () => {
+      expect(summarizeKnowledgeSources(passages)).toEqual([
+        { sourceId: 'S1', documentId: 'doc-1', chunkId: 'chunk-1', chunkIndex: 0, title: 'Pricing', heading: 'Plans', score: 0.912 },
+        { sourceId: 'S2', documentId: 'doc-2', chunkId: 'chunk-7', chunkIndex: 3, title: 'Refunds', heading: null, score: 0.5 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Test suite for lead qualification frameworks and scoring
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Built-in and custom frameworks
+ * - Slot extraction from caller utterances
+ * - Merging by confidence
+ * - Scores and statuses
+ * - Prompt steering toward missing slots
+ */
+
+const {
+  resolveFramework,
+  createQualificationState,
+  extractQualificationSlots,
+  mergeQualificationSlots,
+  scoreQualification,
+  formatQualificationContext
+} = require('../src/utils/leadQualification');
+
+describe('leadQualification', () => {
+  const bant = resolveFramework({ framework: 'bant' }, { qualifiedScore: 70, unqualifiedScore: 40 });
+
+  describe('resolveFramework()', () => {
+    test('should resolve built-in frameworks with score thresholds', () => {
+      expect(bant.slots.map(slot => slot.name)).toEqual(['budget', 'authority', 'need', 'timeline']);
+      expect(bant).toMatchObject({ name: 'bant', label: 'BANT', qualifiedScore: 70, unqualifiedScore: 40 });
+
+      const meddic = resolveFramework({ framework: 'MEDDIC', qualifiedScore: 80 });
+      expect(meddic.slots).toHaveLength(6);
+      expect(meddic.qualifiedScore).toBe(80);
+    });
+
+    test('should build custom frameworks and skip bad slots and patterns', () => {
+      const framework = resolveFramework({
+        framework: 'custom',
+        label: 'Solar',
+        slots: [
+          { name: 'owns_home', label: 'Owns the home', weight: 2, patterns: [{ regex: '\\bi own (?:the|my) (home|house)\\b', confidence: 0.8 }, { regex: '(' }] },
+          { name: 'Bad Name' }
+        ]
+      });
+
+      expect(framework.slots).toHaveLength(1);
+      expect(framework.slots[0]).toMatchObject({ name: 'owns_home', weight: 2 });
+      expect(framework.slots[0].rules).toHaveLength(1);
+      expect(extractQualificationSlots('Yes, I own my house', framework)).toEqual({
+        owns_home: { value: 'house', confidence: 0.8, fit: 1 }
+      });
+    });
+
+    test('should return null when qualification is off or unknown', () => {
+      expect(resolveFramework(null)).toBeNull();
+      expect(resolveFramework({ framework: 'spin' })).toBeNull();
+      expect(resolveFramework({ framework: 'custom', slots: [] })).toBeNull();
+    });
+  });
+
+  describe('extractQualificationSlots()', () => {
+    test('should find budget, authority, need and timeline', () => {
+      const found = extractQualificationSlots(
+        "I'm the owner. We need a scheduling tool for our clinic. Our budget is around $2,000 a month and we'd want it next quarter.",
+        bant
+      );
+
+      expect(found).toEqual({
+        budget: { value: '$2,000 a month', confidence: 0.9, fit: 1 },
+        authority: { value: 'Decision maker (owner)', confidence: 0.85, fit: 1 },
+        need: { value: 'a scheduling tool for our clinic', confidence: 0.7, fit: 1 },
+        timeline: { value: 'next quarter', confidence: 0.8, fit: 0.7 }
+      });
+    });
+
+    test('should score weak answers low', () => {
+      const found = extractQualificationSlots("We don't have a budget yet and I need to check with my boss. No rush.", bant);
+
+      expect(found.budget).toEqual({ value: 'No budget', confidence: 0.8, fit: 0 });
+      expect(found.authority).toEqual({ value: 'Needs sign-off from their boss', confidence: 0.8, fit: 0.4 });
+      expect(found.timeline).toEqual({ value: 'No rush', confidence: 0.75, fit: 0.2 });
+      // "I need to check ..." is an action, not a need
+      expect(found.need).toBeUndefined();
+    });
+
+    test('should read amounts only with a currency sign, magnitude or period', () => {
+      expect(extractQualificationSlots('Our budget for 2025 is not set', bant).budget).toBeUndefined();
+      expect(extractQualificationSlots('The budget is 5k', bant).budget).toEqual({ value: '5k', confidence: 0.9, fit: 1 });
+      expect(extractQualificationSlots('We could spend 500 per month', bant).budget.value).toBe('500 per month');
+    });
+
+    test('should find nothing in small talk', () => {
+      expect(extractQualificationSlots('Hi, how are you today?', bant)).toEqual({});
+      expect(extractQualificationSlots('', bant)).toEqual({});
+    });
+  });
+
+  describe('mergeQualificationSlots()', () => {
+    const state = {
+      ...createQualificationState(bant),
+      slots: { budget: { value: '$5,000', confidence: 0.9, fit: 1 } }
+    };
+
+    test('should add new slots with their source', () => {
+      const { slots, changed } = mergeQualificationSlots(state, bant, {
+        timeline: { value: 'this week', confidence: 0.85, fit: 1 }
+      }, { source: 'caller', conversationId: 'conv-1', messageId: 'msg-1', turn: 4 });
+
+      expect(changed).toEqual(['timeline']);
+      expect(slots.timeline).toMatchObject({ value: 'this week', source: 'caller', conversationId: 'conv-1', messageId: 'msg-1', turn: 4 });
+      expect(slots.budget).toBe(state.slots.budget);
+    });
+
+    test('should only replace values recorded with no more confidence', () => {
+      const weaker = mergeQualificationSlots(state, bant, { budget: { value: 'maybe $1k', confidence: 0.6, fit: 1 } });
+      const stronger = mergeQualificationSlots(state, bant, { budget: { value: '$8,000', confidence: 0.95, fit: 1 } });
+
+      expect(weaker.changed).toEqual([]);
+      expect(stronger.slots.budget.value).toBe('$8,000');
+    });
+
+    test('should ignore unknown slots, empty values and low confidence', () => {
+      const { changed } = mergeQualificationSlots(state, bant, {
+        champion: { value: 'Dana', confidence: 1 },
+        need: { value: '  ', confidence: 1 },
+        timeline: { value: 'soon', confidence: 0.3 }
+      }, {}, 0.5);
+
+      expect(changed).toEqual([]);
+    });
+
+    test('should clamp confidence and fit to 0-1', () => {
+      const { slots } = mergeQualificationSlots(state, bant, { need: { value: 'CRM', confidence: 7, fit: -2 } });
+
+      expect(slots.need).toMatchObject({ confidence: 1, fit: 0 });
+    });
+  });
+
+  describe('scoreQualification()', () => {
+    test('should average confidence times fit over all slots', () => {
+      expect(scoreQualification(bant, {
+        budget: { confidence: 0.9, fit: 1 },
+        need: { confidence: 0.7, fit: 1 }
+      })).toEqual({ score: 40, status: 'in_progress', missing: ['authority', 'timeline'] });
+    });
+
+    test('should qualify at the threshold', () => {
+      const result = scoreQualification(bant, {
+        budget: { confidence: 0.9, fit: 1 },
+        authority: { confidence: 0.85, fit: 1 },
+        need: { confidence: 0.8, fit: 1 }
+      });
+
+      expect(result).toEqual({ score: 64, status: 'in_progress', missing: ['timeline'] });
+      expect(scoreQualification({ ...bant, qualifiedScore: 60 }, {
+        budget: { confidence: 0.9, fit: 1 },
+        authority: { confidence: 0.85, fit: 1 },
+        need: { confidence: 0.8, fit: 1 }
+      }).status).toBe('qualified');
+    });
+
+    test('should only disqualify once every slot is known', () => {
+      const weak = {
+        budget: { confidence: 0.8, fit: 0 },
+        authority: { confidence: 0.8, fit: 0.4 },
+        timeline: { confidence: 0.75, fit: 0.2 }
+      };
+
+      expect(scoreQualification(bant, weak).status).toBe('in_progress');
+      expect(scoreQualification(bant, { ...weak, need: { confidence: 0.7, fit: 1 } })).toMatchObject({ score: 29, status: 'unqualified' });
+    });
+
+    test('should weight slots', () => {
+      const framework = resolveFramework({
+        framework: 'custom',
+        slots: [{ name: 'owns_home', weight: 3 }, { name: 'roof_age' }]
+      });
+
+      expect(scoreQualification(framework, { owns_home: { confidence: 1, fit: 1 } }).score).toBe(75);
+    });
+  });
+
+  describe('formatQualificationContext()', () => {
+    test('should list missing slots with their questions and what is known', () => {
+      const text = formatQualificationContext(bant, {
+        slots: { budget: { value: '$5,000 a month' }, need: { value: 'online booking' } }
+      }, { canRecord: true });
+
+      expect(text).toContain('Lead qualification (BANT)');
+      expect(text).toContain('ask at most one of these questions per reply');
+      expect(text).toContain('- Authority: Who else is involved in making this decision?');
+      expect(text).toContain('- Timeline: When are you hoping to have this in place?');
+      expect(text).not.toContain('- Budget');
+      expect(text).toContain('Known so far: Budget: $5,000 a month; Need: online booking.');
+      expect(text).toContain('record_qualification');
+    });
+
+    test('should stop asking once everything is known', () => {
+      const slots = Object.fromEntries(bant.slots.map(slot => [slot.name, { value: 'x' }]));
+
+      expect(formatQualificationContext(bant, { slots })).toContain('Do not ask further qualifying questions');
+    });
+  });
+});
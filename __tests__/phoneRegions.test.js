@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Test suite for E.164 region and time zone inference
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - NANP area codes (single-zone, split-zone and unknown)
+ * - Country calling codes of different lengths
+ * - Invalid numbers
+ */
+
+const { inferPhoneRegion } = require('../src/utils/phoneRegions');
+
+describe('phoneRegions', () => {
+  describe('inferPhoneRegion()', () => {
+    test('should resolve a US area code to its state and time zone', () => {
+      expect(inferPhoneRegion('+12125550100')).toEqual({
+        country: 'US',
+        region: 'US-NY',
+        timezones: ['America/New_York'],
+        exact: true
+      });
+    });
+
+    test('should resolve a Canadian area code', () => {
+      expect(inferPhoneRegion('+14165550100')).toEqual(expect.objectContaining({
+        country: 'CA',
+        region: 'CA-ON',
+        timezones: ['America/Toronto']
+      }));
+    });
+
+    test('should return every zone for area codes that span two time zones', () => {
+      const result = inferPhoneRegion('+18505550100');
+
+      expect(result.region).toBe('US-FL');
+      expect(result.timezones).toEqual(['America/Chicago', 'America/New_York']);
+      expect(result.exact).toBe(false);
+    });
+
+    test('should fall back to all mainland zones for unknown NANP area codes', () => {
+      const result = inferPhoneRegion('+19995550100');
+
+      expect(result.country).toBeNull();
+      expect(result.timezones).toEqual(expect.arrayContaining(['America/New_York', 'America/Los_Angeles']));
+      expect(result.exact).toBe(false);
+    });
+
+    test('should resolve two- and three-digit country codes', () => {
+      expect(inferPhoneRegion('+442079460000')).toEqual(expect.objectContaining({
+        country: 'GB',
+        timezones: ['Europe/London'],
+        exact: true
+      }));
+      expect(inferPhoneRegion('+35312345678')).toEqual(expect.objectContaining({
+        country: 'IE',
+        timezones: ['Europe/Dublin']
+      }));
+    });
+
+    test('should narrow Australian landlines by area code but not mobiles', () => {
+      expect(inferPhoneRegion('+61298765432').timezones).toEqual(['Australia/Sydney']);
+
+      const mobile = inferPhoneRegion('+61412345678');
+      expect(mobile.exact).toBe(false);
+      expect(mobile.timezones).toEqual(expect.arrayContaining(['Australia/Sydney', 'Australia/Perth']));
+    });
+
+    test('should return null for unknown countries and non-E.164 numbers', () => {
+      expect(inferPhoneRegion('+8801234567890')).toBeNull();
+      expect(inferPhoneRegion('12125550100')).toBeNull();
+      expect(inferPhoneRegion(null)).toBeNull();
+    });
+  });
+});
@@ -31,6 +31,8 @@ jest.mock('../src/config', () => ({
       authToken: 'test_auth_token',
       phoneNumber: '+11234567890',
       webhookUrl: 'http://localhost:3000',
+      // Requests below are unsigned; signature checks are covered in twilioSignature.test.js
+      validateSignature: false,
     },
     openai: {
       apiKey: 'test_openai_key',
@@ -65,6 +67,15 @@ const mockVoiceAgent = {
     success: true,
     data: { twiml: '<?xml version="1.0"?><Response><Say>Outbound call</Say></Response>' },
   }),
+  handleDialogMiss: jest.fn(),
+  handleMenuInput: jest.fn(),
+  isEscalationEnabled: jest.fn(),
+  escalateCall: jest.fn(),
+  handleCallStatus: jest.fn().mockResolvedValue({
+    success: true,
+    data: { callSid: 'CA123456789', callStatus: 'completed', applied: true, finalized: true },
+  }),
+  startCallSweep: jest.fn().mockResolvedValue({ success: true }),
 };
 
 const mockConversationAgent = {
@@ -77,6 +88,16 @@ const mockConversationAgent = {
       twiml: '<?xml version="1.0"?><Response><Say>AI response</Say></Response>',
     },
   }),
+  attachVoiceAgent: jest.fn(),
+  attachEmailService: jest.fn(),
+  summarizeForHandoff: jest.fn(),
+  completePendingTurn: jest.fn().mockResolvedValue({
+    success: true,
+    data: {
+      aiResponse: 'You are booked for Monday at nine.',
+      twiml: '<?xml version="1.0"?><Response><Say>You are booked for Monday at nine.</Say></Response>',
+    },
+  }),
   getConversation: jest.fn().mockResolvedValue({
     success: true,
     data: {
@@ -124,6 +145,18 @@ const mockIntegrationAgent = {
   }),
 };
 
+const mockCampaignAgent = {
+  initialize: jest.fn().mockResolvedValue(undefined),
+  shutdown: jest.fn().mockResolvedValue(undefined),
+  attachWebSocket: jest.fn(),
+};
+
+const mockTaskSchedulerAgent = {
+  initialize: jest.fn().mockResolvedValue(undefined),
+  start: jest.fn().mockResolvedValue({ success: true }),
+  shutdown: jest.fn().mockResolvedValue(undefined),
+};
+
 // Mock DatabaseService
 const mockDbService = {
   initialize: jest.fn().mockResolvedValue(undefined),
@@ -141,6 +174,7 @@ const mockQueueManager = {
   initialize: jest.fn().mockResolvedValue(undefined),
   close: jest.fn().mockResolvedValue(undefined),
   addJob: jest.fn().mockResolvedValue({ id: 'job_123' }),
+  setupWorkers: jest.fn().mockResolvedValue(undefined),
   getMetrics: jest.fn().mockResolvedValue({
     calls: { waiting: 0, active: 0, completed: 10 },
     analytics: { waiting: 0, active: 0, completed: 5 },
@@ -165,6 +199,10 @@ jest.mock('../src/agents/IntegrationAgent', () => ({
   IntegrationAgent: jest.fn(() => mockIntegrationAgent),
 }));
 
+jest.mock('../src/agents/CampaignAgent', () => jest.fn(() => mockCampaignAgent));
+
+jest.mock('../src/agents/TaskSchedulerAgent', () => jest.fn(() => mockTaskSchedulerAgent));
+
 jest.mock('../src/services/DatabaseService', () => jest.fn().mockImplementation(() => mockDbService));
 jest.mock('../src/services/QueueManager', () => jest.fn().mockImplementation(() => mockQueueManager));
 
@@ -278,6 +316,11 @@ describe('LegacyAI Voice System - Server Integration Tests', () => {
       });
 
       test('should handle missing SpeechResult', async () => {
+        mockVoiceAgent.handleDialogMiss.mockResolvedValueOnce({
+          success: true,
+          data: { twiml: '<?xml version="1.0"?><Response><Gather><Say>Sorry, I didn\'t hear anything.</Say></Gather></Response>', action: 'reprompt' },
+        });
+
         const response = await request(app)
           .post('/webhooks/process-speech')
           .send({
@@ -287,6 +330,115 @@ describe('LegacyAI Voice System - Server Integration Tests', () => {
           .expect('Content-Type', /xml/);
 
         expect(response.text).toContain('<Say>');
+        expect(mockVoiceAgent.handleDialogMiss).toHaveBeenCalledWith(
+          expect.objectContaining({ CallSid: 'CA123456789' }),
+          { reason: 'no_input', attempt: 0 }
+        );
+      });
+    });
+
+    describe('POST /webhooks/process-speech-result', () => {
+      test('should return TwiML for the finished tool turn', async () => {
+        // resetMocks clears the module-level implementation
+        mockConversationAgent.completePendingTurn.mockResolvedValueOnce({
+          success: true,
+          data: {
+            aiResponse: 'You are booked for Monday at nine.',
+            twiml: '<?xml version="1.0"?><Response><Say>You are booked for Monday at nine.</Say></Response>',
+          },
+        });
+
+        const response = await request(app)
+          .post('/webhooks/process-speech-result')
+          .send({ CallSid: 'CA123456789' })
+          .expect(200)
+          .expect('Content-Type', /xml/);
+
+        expect(response.text).toContain('You are booked');
+        expect(mockConversationAgent.completePendingTurn).toHaveBeenCalledWith('CA123456789');
+      });
+    });
+
+    describe('POST /webhooks/ivr', () => {
+      const menuMiss = {
+        success: true,
+        data: { twiml: '<?xml version="1.0"?><Response><Say>Sorry, that is not an option.</Say></Response>', forwardSpeech: 'My order never arrived' }
+      };
+
+      test('should answer speech said at the menu as a conversation turn', async () => {
+        mockVoiceAgent.handleMenuInput.mockResolvedValueOnce(menuMiss);
+        mockConversationAgent.processSpeech.mockResolvedValueOnce({
+          success: true,
+          data: {
+            userInput: 'My order never arrived',
+            aiResponse: 'Let me look into that order for you.',
+            twiml: '<?xml version="1.0"?><Response><Say>Let me look into that order for you.</Say></Response>'
+          }
+        });
+
+        const response = await request(app)
+          .post('/webhooks/ivr')
+          .send({ CallSid: 'CA123456789', SpeechResult: 'My order never arrived', Confidence: '0.9' })
+          .expect(200)
+          .expect('Content-Type', /xml/);
+
+        expect(response.text).toContain('Let me look into that order');
+        expect(mockQueueManager.addJob).toHaveBeenCalledWith('voice-analytics', 'conversation-turn', expect.objectContaining({
+          callSid: 'CA123456789',
+          userInput: 'My order never arrived'
+        }));
+      });
+
+      test('should transfer the caller when the first turn needs escalation', async () => {
+        mockVoiceAgent.handleMenuInput.mockResolvedValueOnce(menuMiss);
+        mockConversationAgent.processSpeech.mockResolvedValueOnce({
+          success: true,
+          data: { needsEscalation: true, twiml: '<?xml version="1.0"?><Response><Say>AI reply</Say></Response>' }
+        });
+        mockConversationAgent.summarizeForHandoff.mockResolvedValueOnce({ success: true, data: { summary: 'Order missing' } });
+        mockVoiceAgent.isEscalationEnabled.mockReturnValueOnce(true);
+        mockVoiceAgent.escalateCall.mockResolvedValueOnce({
+          success: true,
+          data: { twiml: '<?xml version="1.0"?><Response><Dial>+15550001111</Dial></Response>' }
+        });
+
+        const response = await request(app)
+          .post('/webhooks/ivr')
+          .send({ CallSid: 'CA123456789', SpeechResult: 'My order never arrived' })
+          .expect(200);
+
+        expect(response.text).toContain('<Dial>');
+        expect(mockVoiceAgent.escalateCall).toHaveBeenCalledWith('CA123456789', { reason: 'escalation_detected', summary: 'Order missing' });
+      });
+
+      test('should reprompt when the speech needs repeating or the turn fails', async () => {
+        mockVoiceAgent.handleMenuInput.mockResolvedValueOnce(menuMiss);
+        mockConversationAgent.processSpeech.mockResolvedValueOnce({ success: true, data: { needsRepeat: true } });
+        mockVoiceAgent.handleDialogMiss.mockResolvedValueOnce({
+          success: true,
+          data: { twiml: '<?xml version="1.0"?><Response><Gather><Say>Sorry, could you repeat that?</Say></Gather></Response>' }
+        });
+
+        const repeat = await request(app)
+          .post('/webhooks/ivr')
+          .send({ CallSid: 'CA123456789', SpeechResult: 'mumble' })
+          .expect(200);
+
+        expect(repeat.text).toContain('could you repeat that');
+        expect(mockVoiceAgent.handleDialogMiss).toHaveBeenCalledWith(
+          expect.objectContaining({ CallSid: 'CA123456789' }),
+          { reason: 'no_match', attempt: 0 }
+        );
+
+        mockVoiceAgent.handleMenuInput.mockResolvedValueOnce(menuMiss);
+        mockConversationAgent.processSpeech.mockResolvedValueOnce({ success: false, error: 'Claude unavailable' });
+
+        const failed = await request(app)
+          .post('/webhooks/ivr')
+          .send({ CallSid: 'CA123456789', SpeechResult: 'My order never arrived' })
+          .expect(200);
+
+        expect(failed.text).toContain('/webhooks/reprompt?reason=no_match');
       });
     });
 
@@ -305,7 +457,7 @@ describe('LegacyAI Voice System - Server Integration Tests', () => {
         expect(response.text).toContain('<Response>');
       });
 
-      test('should queue job for completed calls', async () => {
+      test('should hand the status to the voice agent lifecycle', async () => {
         await request(app)
           .post('/webhooks/status')
           .send({
@@ -314,11 +466,10 @@ describe('LegacyAI Voice System - Server Integration Tests', () => {
             CallDuration: '120',
           });
 
-        expect(mockQueueManager.addJob).toHaveBeenCalledWith(
-          'voice-analytics',
-          'call-completed',
+        expect(mockVoiceAgent.handleCallStatus).toHaveBeenCalledWith(
           expect.objectContaining({
-            callSid: 'CA123456789',
+            CallSid: 'CA123456789',
+            CallStatus: 'completed',
           })
         );
       });
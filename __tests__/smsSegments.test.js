@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Test suite for SMS encoding and segmentation helpers
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - GSM-7 / UCS-2 detection
+ * - Segment counting including extension characters
+ * - Text normalization for SMS
+ * - Fitting replies into a segment budget
+ */
+
+const {
+  normalizeSmsText,
+  getSmsEncoding,
+  countSmsSegments,
+  fitSmsToSegments
+} = require('../src/utils/smsSegments');
+
+describe('smsSegments', () => {
+  describe('getSmsEncoding()', () => {
+    test('should use GSM-7 for plain text', () => {
+      expect(getSmsEncoding('Hello! Call us at 9:30, ok? £5 off')).toBe('GSM-7');
+    });
+
+    test('should switch to UCS-2 for characters outside GSM-7', () => {
+      expect(getSmsEncoding('Thanks 😀')).toBe('UCS-2');
+      expect(getSmsEncoding('We’re open')).toBe('UCS-2');
+    });
+  });
+
+  describe('countSmsSegments()', () => {
+    test('should fit 160 GSM-7 characters in one segment', () => {
+      expect(countSmsSegments('a'.repeat(160))).toEqual({ encoding: 'GSM-7', units: 160, segments: 1 });
+      expect(countSmsSegments('a'.repeat(161)).segments).toBe(2);
+      expect(countSmsSegments('a'.repeat(307)).segments).toBe(3);
+    });
+
+    test('should count extension characters as two septets', () => {
+      expect(countSmsSegments('{}').units).toBe(4);
+      expect(countSmsSegments('€'.repeat(81)).segments).toBe(2);
+    });
+
+    test('should use 70/67 limits for UCS-2', () => {
+      expect(countSmsSegments('😀').encoding).toBe('UCS-2');
+      expect(countSmsSegments('😀'.repeat(35)).segments).toBe(1);
+      expect(countSmsSegments('😀'.repeat(36)).segments).toBe(2);
+    });
+  });
+
+  describe('normalizeSmsText()', () => {
+    test('should replace typographic punctuation and strip markdown', () => {
+      expect(normalizeSmsText('We’re open **9–5** — call us…')).toBe('We\'re open 9-5 - call us...');
+      expect(normalizeSmsText('## Hours\n\n\n\nMon-Fri  ')).toBe('Hours\n\nMon-Fri');
+    });
+  });
+
+  describe('fitSmsToSegments()', () => {
+    test('should leave short replies untouched', () => {
+      const reply = fitSmsToSegments('See you Tuesday at 9.');
+
+      expect(reply).toEqual({ text: 'See you Tuesday at 9.', encoding: 'GSM-7', units: 21, segments: 1, truncated: false });
+    });
+
+    test('should cut long replies at a sentence boundary', () => {
+      const reply = fitSmsToSegments('This is a sentence that goes on. '.repeat(30), 2);
+
+      expect(reply.truncated).toBe(true);
+      expect(reply.segments).toBe(2);
+      expect(reply.text.endsWith('goes on.')).toBe(true);
+    });
+
+    test('should cut at a word boundary with an ellipsis', () => {
+      const reply = fitSmsToSegments('word '.repeat(100), 1);
+
+      expect(reply.segments).toBe(1);
+      expect(reply.units).toBeLessThanOrEqual(160);
+      expect(reply.text.endsWith('word...')).toBe(true);
+    });
+
+    test('should stay in GSM-7 after normalizing smart quotes', () => {
+      expect(fitSmsToSegments('It’s “ready”').encoding).toBe('GSM-7');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Test suite for speech recognition vocabulary helpers
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Merging global, agent config and campaign terms
+ * - Hint lists within Twilio's limits
+ * - Speech model selection by use case
+ * - Transcript correction (variants, spacing/case, near matches) and its report
+ */
+
+const {
+  HINT_LIMITS,
+  normalizeTerm,
+  similarity,
+  buildVocabulary,
+  mergeHints,
+  getGatherSpeechOptions,
+  correctTranscript
+} = require('../src/utils/speechVocabulary');
+
+describe('speechVocabulary', () => {
+  const rows = [
+    { id: 't1', scope: 'global', term: 'Salesforce', category: 'competitor', variants: ['sells force'] },
+    { id: 't2', scope: 'agent_config', term: 'AX-200', category: 'sku', variants: ['ax two hundred'] },
+    { id: 't3', scope: 'global', term: 'HubSpot', category: 'competitor', variants: [] },
+    { id: 't4', scope: 'global', term: 'LegacyAI Pro', category: 'product', variants: [] }
+  ];
+
+  describe('normalizeTerm()', () => {
+    test('should keep lower-case letters and digits only', () => {
+      expect(normalizeTerm('AX-200')).toBe('ax200');
+      expect(normalizeTerm('Sales Force')).toBe('salesforce');
+      expect(normalizeTerm(null)).toBe('');
+    });
+  });
+
+  describe('similarity()', () => {
+    test('should score identical strings 1 and unrelated strings low', () => {
+      expect(similarity('hubspot', 'hubspot')).toBe(1);
+      expect(similarity('hubspott', 'hubspot')).toBe(0.875);
+      expect(similarity('order', 'hubspot')).toBeLessThan(0.5);
+    });
+  });
+
+  describe('buildVocabulary()', () => {
+    test('should list hints most specific scope first', () => {
+      const vocabulary = buildVocabulary(rows);
+
+      expect(vocabulary.hints).toEqual(['AX-200', 'Salesforce', 'HubSpot', 'LegacyAI Pro']);
+      expect(vocabulary.terms).toHaveLength(4);
+    });
+
+    test('should prefer the most specific scope and keep variants from every scope', () => {
+      const vocabulary = buildVocabulary([
+        ...rows,
+        { id: 't5', scope: 'campaign', term: 'SalesForce', category: 'competitor', variants: ['sails force'] }
+      ]);
+      const salesforce = vocabulary.terms.find(entry => normalizeTerm(entry.term) === 'salesforce');
+
+      expect(vocabulary.terms).toHaveLength(4);
+      expect(salesforce).toMatchObject({ id: 't5', term: 'SalesForce', scope: 'campaign' });
+      expect(salesforce.variants).toEqual(expect.arrayContaining(['sails force', 'sells force']));
+    });
+
+    test('should skip inactive and empty terms', () => {
+      const vocabulary = buildVocabulary([
+        { scope: 'global', term: 'Zendesk', active: false },
+        { scope: 'global', term: ' - ' }
+      ]);
+
+      expect(vocabulary).toEqual({ terms: [], hints: [] });
+    });
+  });
+
+  describe('mergeHints()', () => {
+    test('should drop duplicates, commas and over-long hints', () => {
+      expect(mergeHints(['yes', 'no'], ['Yes', 'Acme, Inc', 'x'.repeat(HINT_LIMITS.maxHintLength + 1)]))
+        .toEqual(['yes', 'no', 'Acme Inc']);
+    });
+
+    test('should stop at the Twilio hint limit', () => {
+      const hints = Array.from({ length: HINT_LIMITS.maxHints + 20 }, (_, i) => `term ${i}`);
+
+      expect(mergeHints(hints)).toHaveLength(HINT_LIMITS.maxHints);
+    });
+  });
+
+  describe('getGatherSpeechOptions()', () => {
+    test('should use the enhanced phone_call model for conversation turns', () => {
+      expect(getGatherSpeechOptions('conversation', {}, ['Salesforce', 'AX-200'])).toEqual({
+        speechModel: 'phone_call',
+        enhanced: true,
+        hints: 'Salesforce, AX-200'
+      });
+    });
+
+    test('should use the commands model for menus and yes/no questions', () => {
+      expect(getGatherSpeechOptions('commands', {}, ['yes', 'no'])).toEqual({
+        speechModel: 'numbers_and_commands',
+        hints: 'yes, no'
+      });
+    });
+
+    test('should follow the configured models and enhanced flag', () => {
+      const options = getGatherSpeechOptions('conversation', {
+        models: { conversation: 'experimental_conversations' },
+        enhanced: true
+      });
+
+      expect(options).toEqual({ speechModel: 'experimental_conversations' });
+      expect(getGatherSpeechOptions('conversation', { enhanced: false })).toEqual({ speechModel: 'phone_call' });
+    });
+  });
+
+  describe('correctTranscript()', () => {
+    const { terms } = buildVocabulary(rows);
+
+    test('should replace listed variants', () => {
+      const result = correctTranscript('I want the ax two hundred please', terms);
+
+      expect(result.text).toBe('I want the AX-200 please');
+      expect(result.corrections).toEqual([{
+        from: 'ax two hundred',
+        to: 'AX-200',
+        method: 'variant',
+        similarity: 1,
+        category: 'sku',
+        scope: 'agent_config',
+        termId: 't2'
+      }]);
+    });
+
+    test('should fix spacing and case of a term', () => {
+      const result = correctTranscript('we moved from hub spot to legacy ai pro.', terms);
+
+      expect(result.text).toBe('we moved from HubSpot to LegacyAI Pro.');
+      expect(result.corrections.map(correction => correction.method)).toEqual(['format', 'format']);
+    });
+
+    test('should snap near matches above the threshold', () => {
+      const result = correctTranscript('do you work with hubspott', terms);
+
+      expect(result.text).toBe('do you work with HubSpot');
+      expect(result.corrections[0]).toMatchObject({ from: 'hubspott', method: 'fuzzy', similarity: 0.88 });
+    });
+
+    test('should leave near matches below the threshold alone', () => {
+      const result = correctTranscript('do you work with hubspott', terms, { threshold: 0.95 });
+
+      expect(result).toEqual({ text: 'do you work with hubspott', corrections: [] });
+    });
+
+    test('should not touch ordinary speech or terms already spelled correctly', () => {
+      expect(correctTranscript('I need help with my order', terms).corrections).toEqual([]);
+      expect(correctTranscript('We use Salesforce today', terms).corrections).toEqual([]);
+    });
+
+    test('should return the text unchanged without terms', () => {
+      expect(correctTranscript('sales force', [])).toEqual({ text: 'sales force', corrections: [] });
+    });
+  });
+});
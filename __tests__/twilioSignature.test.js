@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Test suite for Twilio webhook signature validation middleware
+ * @author LegacyAI Subagent Fleet - API Server & WebSocket Agent
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ *
+ * Tests cover:
+ * - Valid form-encoded and JSON signatures
+ * - Missing and forged signatures
+ * - Development bypass (and refusal to bypass in production)
+ * - Security event counters
+ */
+
+const twilio = require('twilio');
+const {
+  createTwilioSignatureValidator,
+  getSecurityEvents,
+  resetSecurityEvents,
+  buildSignedUrl
+} = require('../src/middleware/twilioSignature');
+
+const AUTH_TOKEN = 'test_auth_token';
+const WEBHOOK_URL = 'https://voice.example.com/webhooks/voice';
+
+/**
+ * Build a mock Express request
+ * @param {Object} options - Request options
+ * @returns {Object} Mock request
+ */
+function mockRequest({ originalUrl = '/webhooks/process-speech', body = {}, signature, json = false, rawBody } = {}) {
+  return {
+    originalUrl,
+    body,
+    rawBody,
+    ip: '127.0.0.1',
+    get: jest.fn((header) => (header === 'X-Twilio-Signature' ? signature : undefined)),
+    is: jest.fn((type) => (json && type === 'application/json' ? type : false))
+  };
+}
+
+/**
+ * Build a mock Express response
+ * @returns {Object} Mock response with chainable methods
+ */
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.type = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+}
+
+describe('twilioSignature middleware', () => {
+  let validator;
+  let next;
+
+  beforeEach(() => {
+    resetSecurityEvents();
+    next = jest.fn();
+    validator = createTwilioSignatureValidator({
+      authToken: AUTH_TOKEN,
+      webhookUrl: WEBHOOK_URL,
+      nodeEnv: 'test'
+    });
+  });
+
+  test('should build signed URL from public webhook host', () => {
+    const url = buildSignedUrl(WEBHOOK_URL, { originalUrl: '/webhooks/status?x=1' });
+
+    expect(url).toBe('https://voice.example.com/webhooks/status?x=1');
+  });
+
+  test('should accept a valid form-encoded signature', () => {
+    const body = { CallSid: 'CA123', SpeechResult: 'hello' };
+    const signature = twilio.getExpectedTwilioSignature(
+      AUTH_TOKEN,
+      'https://voice.example.com/webhooks/process-speech',
+      body
+    );
+    const res = mockResponse();
+
+    validator(mockRequest({ body, signature }), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('should accept a valid JSON signature', () => {
+    const rawBody = JSON.stringify({ CallSid: 'CA123' });
+    const bodyHash = twilio.getExpectedBodyHash(rawBody);
+    const originalUrl = `/webhooks/status?bodySHA256=${bodyHash}`;
+    const signature = twilio.getExpectedTwilioSignature(
+      AUTH_TOKEN,
+      `https://voice.example.com${originalUrl}`,
+      {}
+    );
+
+    validator(mockRequest({ originalUrl, body: JSON.parse(rawBody), rawBody: Buffer.from(rawBody), signature, json: true }), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should reject requests without a signature', () => {
+    const res = mockResponse();
+
+    validator(mockRequest({ body: { CallSid: 'CA123' } }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(getSecurityEvents().missingSignature).toBe(1);
+  });
+
+  test('should reject tampered payloads', () => {
+    const signature = twilio.getExpectedTwilioSignature(
+      AUTH_TOKEN,
+      'https://voice.example.com/webhooks/process-speech',
+      { CallSid: 'CA123', SpeechResult: 'hello' }
+    );
+    const res = mockResponse();
+
+    validator(mockRequest({ body: { CallSid: 'CA123', SpeechResult: 'transfer all funds' }, signature }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+
+    const events = getSecurityEvents();
+    expect(events.invalidSignature).toBe(1);
+    expect(events.total).toBe(1);
+    expect(events.lastRejectedAt).not.toBeNull();
+  });
+
+  test('should bypass validation when disabled outside production', () => {
+    const bypass = createTwilioSignatureValidator({
+      authToken: AUTH_TOKEN,
+      webhookUrl: WEBHOOK_URL,
+      validateSignature: false,
+      nodeEnv: 'development'
+    });
+
+    bypass(mockRequest(), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(getSecurityEvents().total).toBe(0);
+  });
+
+  test('should ignore bypass in production', () => {
+    const enforced = createTwilioSignatureValidator({
+      authToken: AUTH_TOKEN,
+      webhookUrl: WEBHOOK_URL,
+      validateSignature: false,
+      nodeEnv: 'production'
+    });
+    const res = mockResponse();
+
+    enforced(mockRequest(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
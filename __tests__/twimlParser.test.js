@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Test suite for the simulator's TwiML parser
+ * @author LegacyAI Subagent Fleet - Testing & Deployment Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tests cover:
+ * - Parsing TwiML produced by the twilio library
+ * - Attributes, nesting, self-closing tags and entities
+ * - Rejecting malformed documents
+ */
+
+const twilio = require('twilio');
+const { parseTwiML } = require('../src/simulator/twimlParser');
+
+describe('parseTwiML()', () => {
+  test('should parse TwiML generated by VoiceResponse', () => {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const gather = twiml.gather({ input: 'speech', action: '/webhooks/process-speech', timeout: 3 });
+    gather.say({ voice: 'Polly.Joanna' }, 'How can I help?');
+    twiml.redirect('/webhooks/reprompt?reason=no_input&attempt=0');
+
+    const root = parseTwiML(twiml.toString());
+
+    expect(root.name).toBe('Response');
+    expect(root.children.map(child => child.name)).toEqual(['Gather', 'Redirect']);
+    expect(root.children[0].attributes).toEqual({ input: 'speech', action: '/webhooks/process-speech', timeout: '3' });
+    expect(root.children[0].children[0]).toEqual({
+      name: 'Say',
+      attributes: { voice: 'Polly.Joanna' },
+      text: 'How can I help?',
+      children: []
+    });
+    expect(root.children[1].text).toBe('/webhooks/reprompt?reason=no_input&attempt=0');
+  });
+
+  test('should handle self-closing tags, comments and single-quoted attributes', () => {
+    const root = parseTwiML("<Response><!-- hi --><Pause length='2'/><Hangup/></Response>");
+
+    expect(root.children).toEqual([
+      { name: 'Pause', attributes: { length: '2' }, text: '', children: [] },
+      { name: 'Hangup', attributes: {}, text: '', children: [] }
+    ]);
+  });
+
+  test('should decode named and numeric entities', () => {
+    const root = parseTwiML('<Response><Say>Tom &amp; Jerry&#39;s &lt;shop&gt; &#x2014; open</Say></Response>');
+
+    expect(root.children[0].text).toBe('Tom & Jerry\'s <shop> — open');
+  });
+
+  test('should reject malformed documents', () => {
+    expect(() => parseTwiML('')).toThrow('Empty TwiML document');
+    expect(() => parseTwiML('<Response><Say>Hi</Gather></Response>')).toThrow('Unexpected closing tag </Gather>');
+    expect(() => parseTwiML('<Response><Say>Hi</Say>')).toThrow('Unclosed TwiML element <Response>');
+    expect(() => parseTwiML('Internal Server Error')).toThrow('no root element');
+  });
+});
@@ -0,0 +1,54 @@
+-- ============================================================================
+-- MIGRATION: 002_recording_policy
+-- ============================================================================
+-- Description: Per-agent-config call recording policy
+-- Version: 1.1.0
+-- Created: 2026-10-18T09:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds recording policy columns to agent_configs. Recording details for each
+-- call (SID, URL, duration, consent, pauses) are stored on
+-- conversations.metadata.recording, so no conversation columns are needed.
+--
+-- Dependencies: 001_initial_schema
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 002_recording_policy at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: agent_configs - recording policy
+-- ============================================================================
+ALTER TABLE agent_configs
+    ADD COLUMN IF NOT EXISTS recording_policy VARCHAR(20) DEFAULT 'off'
+        CHECK (recording_policy IN ('off', 'always', 'consent')),
+    ADD COLUMN IF NOT EXISTS recording_consent_prompt TEXT;
+
+COMMENT ON COLUMN agent_configs.recording_policy IS 'Call recording policy: off, always (announce and record), consent (record only if caller agrees)';
+COMMENT ON COLUMN agent_configs.recording_consent_prompt IS 'Custom consent/announcement prompt; a default is used when NULL';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 002_recording_policy completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS recording_consent_prompt;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS recording_policy;
+-- COMMIT;
+-- ============================================================================
@@ -0,0 +1,66 @@
+-- ============================================================================
+-- MIGRATION: 003_ivr_menu
+-- ============================================================================
+-- Description: Per-agent-config IVR menu played before the AI conversation
+-- Version: 1.2.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds a declarative IVR menu tree to agent_configs. The caller's path
+-- through the menu is stored on conversations.metadata.ivr.
+--
+-- Menu format (options accept a DTMF key and/or spoken keywords):
+--   {
+--     "prompt": "Press 1 for sales, 2 for support, or just tell me what you need.",
+--     "timeout": 5,
+--     "maxRetries": 2,
+--     "options": [
+--       { "key": "1", "label": "sales", "keywords": ["sales", "pricing"],
+--         "action": { "type": "agent", "agentConfig": "sales_agent" } },
+--       { "key": "2", "label": "support", "keywords": ["support", "help"],
+--         "action": { "type": "menu", "prompt": "Press 1 for billing...", "options": [] } },
+--       { "key": "0", "label": "operator", "keywords": ["person", "operator"],
+--         "action": { "type": "transfer", "number": "+15550001111" } },
+--       { "key": "9", "label": "voicemail", "action": { "type": "voicemail" } }
+--     ],
+--     "defaultAction": { "type": "agent" }
+--   }
+--
+-- Dependencies: 002_recording_policy
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 003_ivr_menu at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: agent_configs - IVR menu
+-- ============================================================================
+ALTER TABLE agent_configs
+    ADD COLUMN IF NOT EXISTS ivr_menu JSONB;
+
+COMMENT ON COLUMN agent_configs.ivr_menu IS 'Optional DTMF/speech menu tree played before the AI conversation (NULL = no menu)';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 003_ivr_menu completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS ivr_menu;
+-- COMMIT;
+-- ============================================================================
@@ -0,0 +1,93 @@
+-- ============================================================================
+-- MIGRATION: 004_phone_number_routes
+-- ============================================================================
+-- Description: Route inbound calls to agent personas by dialed number
+-- Version: 1.3.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - phone_number_routes: maps a Twilio number (the "To" of inbound calls)
+--   to an agent_configs row
+-- - agent_configs.greeting: opening line spoken when the AI answers
+-- - conversations.agent_config_name: persona that handled the call
+--
+-- Numbers without a route use the 'default_voice_agent' config.
+--
+-- Dependencies: 003_ivr_menu
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 004_phone_number_routes at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: phone_number_routes
+-- Purpose: Map dialed numbers to agent configurations
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS phone_number_routes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    phone_number VARCHAR(20) UNIQUE NOT NULL,
+    agent_config_name VARCHAR(100) NOT NULL REFERENCES agent_configs(name) ON UPDATE CASCADE,
+    label VARCHAR(100), -- Human-readable line name (e.g. 'Sales hotline')
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE phone_number_routes IS 'Maps Twilio phone numbers to the agent configuration that answers them';
+COMMENT ON COLUMN phone_number_routes.phone_number IS 'Dialed Twilio number in E.164 format';
+COMMENT ON COLUMN phone_number_routes.agent_config_name IS 'agent_configs.name used for calls to this number';
+
+CREATE INDEX IF NOT EXISTS idx_phone_number_routes_phone ON phone_number_routes(phone_number) WHERE active = TRUE;
+
+ALTER TABLE phone_number_routes ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_phone_number_routes_updated_at ON phone_number_routes;
+CREATE TRIGGER update_phone_number_routes_updated_at BEFORE UPDATE ON phone_number_routes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: agent_configs - greeting
+-- ============================================================================
+ALTER TABLE agent_configs
+    ADD COLUMN IF NOT EXISTS greeting TEXT;
+
+COMMENT ON COLUMN agent_configs.greeting IS 'Opening line when the AI answers (default greeting used when NULL)';
+
+-- ============================================================================
+-- TABLE: conversations - persona
+-- ============================================================================
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS agent_config_name VARCHAR(100);
+
+COMMENT ON COLUMN conversations.agent_config_name IS 'agent_configs.name of the persona that handled this call';
+
+CREATE INDEX IF NOT EXISTS idx_conversations_agent_config ON conversations(agent_config_name) WHERE agent_config_name IS NOT NULL;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 004_phone_number_routes completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP INDEX IF EXISTS idx_conversations_agent_config;
+-- ALTER TABLE conversations DROP COLUMN IF EXISTS agent_config_name;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS greeting;
+-- DROP TABLE IF EXISTS phone_number_routes;
+-- COMMIT;
+-- ============================================================================
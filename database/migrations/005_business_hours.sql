@@ -0,0 +1,75 @@
+-- ============================================================================
+-- MIGRATION: 005_business_hours
+-- ============================================================================
+-- Description: Per-agent-config business-hours calendar and after-hours flow
+-- Version: 1.4.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds a business-hours calendar to agent_configs. Outside these hours
+-- inbound calls skip the IVR menu and AI conversation and run the
+-- after-hours flow instead, and escalations never dial a rep (only the
+-- on-call number, if set). The outcome is stored on
+-- conversations.metadata.afterHours. NULL = always open.
+--
+-- Calendar format (times are local to "timezone"; days not listed are closed;
+-- holiday "date" is YYYY-MM-DD for one year or MM-DD for every year):
+--   {
+--     "timezone": "America/New_York",
+--     "weekly": {
+--       "mon": [{ "open": "09:00", "close": "17:00" }],
+--       "tue": [{ "open": "09:00", "close": "12:00" }, { "open": "13:00", "close": "17:00" }],
+--       "sat": []
+--     },
+--     "holidays": [
+--       { "date": "12-25", "name": "Christmas Day" },
+--       { "date": "2026-12-24", "name": "Christmas Eve", "hours": [{ "open": "09:00", "close": "12:00" }] }
+--     ],
+--     "closures": [
+--       { "start": "2026-10-20T13:00:00Z", "end": "2026-10-20T15:00:00Z", "reason": "Team offsite" }
+--     ],
+--     "afterHours": {
+--       "action": "callback",            -- message | callback | transfer
+--       "prompt": "Thanks for calling Acme. We are closed right now.",
+--       "onCallNumber": "+15550009999"   -- required for transfer; also used for escalations
+--     }
+--   }
+--
+-- Dependencies: 004_phone_number_routes
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 005_business_hours at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: agent_configs - business hours
+-- ============================================================================
+ALTER TABLE agent_configs
+    ADD COLUMN IF NOT EXISTS business_hours JSONB;
+
+COMMENT ON COLUMN agent_configs.business_hours IS 'Business-hours calendar and after-hours flow (NULL = always open)';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 005_business_hours completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS business_hours;
+-- COMMIT;
+-- ============================================================================
@@ -0,0 +1,124 @@
+-- ============================================================================
+-- MIGRATION: 006_campaigns
+-- ============================================================================
+-- Description: Outbound calling campaigns with contact lists, pacing and retries
+-- Version: 1.5.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - campaigns: a contact list dialed with one script or agent config, inside
+--   a calling window, at most max_concurrent calls at once and at most
+--   calls_per_minute new calls per minute
+-- - campaign_contacts: one row per lead with its dialing state
+--
+-- Contact lifecycle:
+--   pending -> queued -> dialing -> completed
+--                               \-> retry (busy / no-answer / failed) -> queued ...
+--                               \-> failed (attempts exhausted)
+-- Retries wait retry_delay_seconds, doubled after each further attempt.
+--
+-- calling_window uses the business-hours calendar format from
+-- 005_business_hours (timezone, weekly, holidays, closures). NULL = any time.
+--
+-- Dependencies: 005_business_hours
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 006_campaigns at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: campaigns
+-- Purpose: Outbound calling campaigns
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS campaigns (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'paused', 'completed')),
+    agent_config_name VARCHAR(100) REFERENCES agent_configs(name) ON UPDATE CASCADE,
+    script TEXT, -- Opening message; the agent config greeting is used when NULL
+    calling_window JSONB, -- Business-hours calendar; NULL = call at any time
+    max_concurrent INTEGER DEFAULT 1 CHECK (max_concurrent > 0),
+    calls_per_minute INTEGER DEFAULT 5 CHECK (calls_per_minute > 0),
+    max_attempts INTEGER DEFAULT 3 CHECK (max_attempts > 0),
+    retry_delay_seconds INTEGER DEFAULT 900 CHECK (retry_delay_seconds >= 0),
+    dispatch_token VARCHAR(64), -- Changes on every start/resume so stale dispatch jobs stop
+    started_at TIMESTAMP,
+    paused_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE campaigns IS 'Outbound calling campaigns dialed by the campaign dialer';
+COMMENT ON COLUMN campaigns.calling_window IS 'Business-hours calendar limiting when calls are placed (NULL = any time)';
+COMMENT ON COLUMN campaigns.calls_per_minute IS 'Maximum new calls started per minute';
+COMMENT ON COLUMN campaigns.retry_delay_seconds IS 'Delay before the first retry, doubled for each further attempt';
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status);
+
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_campaigns_updated_at ON campaigns;
+CREATE TRIGGER update_campaigns_updated_at BEFORE UPDATE ON campaigns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: campaign_contacts
+-- Purpose: Leads in a campaign and their dialing state
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS campaign_contacts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    name VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'queued', 'dialing', 'retry', 'completed', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP, -- Earliest time a retry may be dialed
+    last_attempt_at TIMESTAMP,
+    last_call_sid VARCHAR(100),
+    last_outcome VARCHAR(30), -- Final Twilio call status of the last attempt
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (campaign_id, phone_number)
+);
+
+COMMENT ON TABLE campaign_contacts IS 'Contact list entries for outbound campaigns';
+COMMENT ON COLUMN campaign_contacts.phone_number IS 'Contact phone number in E.164 format';
+COMMENT ON COLUMN campaign_contacts.last_outcome IS 'completed, busy, no-answer, failed or canceled';
+
+CREATE INDEX IF NOT EXISTS idx_campaign_contacts_campaign ON campaign_contacts(campaign_id, status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_campaign_contacts_call_sid ON campaign_contacts(last_call_sid) WHERE last_call_sid IS NOT NULL;
+
+ALTER TABLE campaign_contacts ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_campaign_contacts_updated_at ON campaign_contacts;
+CREATE TRIGGER update_campaign_contacts_updated_at BEFORE UPDATE ON campaign_contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 006_campaigns completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP TABLE IF EXISTS campaign_contacts;
+-- DROP TABLE IF EXISTS campaigns;
+-- COMMIT;
+-- ============================================================================
@@ -0,0 +1,102 @@
+-- ============================================================================
+-- MIGRATION: 007_compliance
+-- ============================================================================
+-- Description: Do-not-call list and outbound dial compliance log
+-- Version: 1.6.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - dnc_numbers: internal do-not-call list; outbound calls to these numbers
+--   are always blocked
+-- - outbound_attempts: one row per outbound dial decision. Allowed rows are
+--   the history used for per-number frequency caps; blocked rows record the
+--   compliance rule that stopped the call
+--
+-- Rules (outbound_attempts.rule):
+--   dnc                      - number is on the do-not-call list
+--   invalid_number           - not an E.164 number
+--   unknown_region           - the callee's local time cannot be determined
+--   calling_hours            - outside the allowed hours in the callee's time zone
+--   frequency_daily          - daily attempt cap reached for the number
+--   frequency_weekly         - weekly attempt cap reached for the number
+--   compliance_unavailable   - DNC list or attempt history could not be read
+--
+-- Dependencies: 006_campaigns
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 007_compliance at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: dnc_numbers
+-- Purpose: Internal do-not-call list
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS dnc_numbers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    phone_number VARCHAR(20) UNIQUE NOT NULL,
+    reason VARCHAR(255), -- e.g. 'customer request', 'litigator'
+    source VARCHAR(50) DEFAULT 'manual', -- manual, import, api
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE dnc_numbers IS 'Internal do-not-call list checked before every outbound dial';
+COMMENT ON COLUMN dnc_numbers.phone_number IS 'Blocked phone number in E.164 format';
+
+ALTER TABLE dnc_numbers ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_dnc_numbers_updated_at ON dnc_numbers;
+CREATE TRIGGER update_dnc_numbers_updated_at BEFORE UPDATE ON dnc_numbers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: outbound_attempts
+-- Purpose: Outbound dial decisions (allowed and blocked)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS outbound_attempts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    phone_number VARCHAR(20) NOT NULL,
+    allowed BOOLEAN NOT NULL,
+    rule VARCHAR(50), -- Compliance rule that blocked the call (NULL when allowed)
+    reason TEXT,
+    region VARCHAR(10), -- e.g. 'US-FL', 'GB'
+    timezone VARCHAR(64), -- Callee time zone(s) the decision was based on
+    call_sid VARCHAR(100),
+    context JSONB DEFAULT '{}'::jsonb, -- Caller of makeOutboundCall (e.g. campaign id)
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE outbound_attempts IS 'Outbound dial compliance decisions; allowed rows feed the frequency caps';
+COMMENT ON COLUMN outbound_attempts.rule IS 'dnc, invalid_number, unknown_region, calling_hours, frequency_daily, frequency_weekly or compliance_unavailable';
+
+CREATE INDEX IF NOT EXISTS idx_outbound_attempts_phone ON outbound_attempts(phone_number, created_at DESC) WHERE allowed = TRUE;
+CREATE INDEX IF NOT EXISTS idx_outbound_attempts_blocked ON outbound_attempts(created_at DESC) WHERE allowed = FALSE;
+
+ALTER TABLE outbound_attempts ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 007_compliance completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP TABLE IF EXISTS outbound_attempts;
+-- DROP TABLE IF EXISTS dnc_numbers;
+-- COMMIT;
+-- ============================================================================
@@ -0,0 +1,64 @@
+-- ============================================================================
+-- MIGRATION: 008_scheduled_task_execution
+-- ============================================================================
+-- Description: Execution tracking for scheduled tasks (claims and retries)
+-- Version: 1.7.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds retry and claim columns to scheduled_tasks so the task scheduler can:
+-- - claim a due task by moving it from 'pending' to 'processing' in a single
+--   conditional UPDATE (only one scheduler instance wins)
+-- - put tasks whose run was interrupted back to 'pending' (started_at too old)
+-- - retry failed runs with backoff until max_attempts, then mark them 'failed'
+--
+-- Dependencies: 001_initial_schema
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 008_scheduled_task_execution at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: scheduled_tasks - execution tracking
+-- ============================================================================
+ALTER TABLE scheduled_tasks
+    ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS max_attempts INTEGER DEFAULT 3 CHECK (max_attempts > 0),
+    ADD COLUMN IF NOT EXISTS started_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+COMMENT ON COLUMN scheduled_tasks.attempts IS 'Runs started so far, including the current one';
+COMMENT ON COLUMN scheduled_tasks.max_attempts IS 'Runs allowed before the task is marked failed';
+COMMENT ON COLUMN scheduled_tasks.started_at IS 'When the current run claimed the task (status processing)';
+COMMENT ON COLUMN scheduled_tasks.last_error IS 'Error from the most recent failed run';
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_tasks_processing ON scheduled_tasks(started_at) WHERE status = 'processing';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 008_scheduled_task_execution completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP INDEX IF EXISTS idx_scheduled_tasks_processing;
+-- ALTER TABLE scheduled_tasks DROP COLUMN IF EXISTS last_error;
+-- ALTER TABLE scheduled_tasks DROP COLUMN IF EXISTS started_at;
+-- ALTER TABLE scheduled_tasks DROP COLUMN IF EXISTS max_attempts;
+-- ALTER TABLE scheduled_tasks DROP COLUMN IF EXISTS attempts;
+-- COMMIT;
+-- ============================================================================
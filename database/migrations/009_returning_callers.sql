@@ -0,0 +1,57 @@
+-- ============================================================================
+-- MIGRATION: 009_returning_callers
+-- ============================================================================
+-- Description: Greet returning callers by name with their prior context
+-- Version: 1.8.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - agent_configs.returning_greeting: opening line for callers we already
+--   know, with {name} and {lastContact} placeholders
+-- - an index for loading a customer's most recent conversations
+--
+-- Dependencies: 004_phone_number_routes
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 009_returning_callers at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: agent_configs - returning_greeting
+-- ============================================================================
+ALTER TABLE agent_configs
+    ADD COLUMN IF NOT EXISTS returning_greeting TEXT;
+
+COMMENT ON COLUMN agent_configs.returning_greeting IS 'Opening line for recognized callers; {name} and {lastContact} are filled in (built-in greeting used when NULL)';
+
+-- ============================================================================
+-- TABLE: conversations - history by customer
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_conversations_customer_started ON conversations(customer_id, started_at DESC) WHERE customer_id IS NOT NULL;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 009_returning_callers completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP INDEX IF EXISTS idx_conversations_customer_started;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS returning_greeting;
+-- COMMIT;
+-- ============================================================================
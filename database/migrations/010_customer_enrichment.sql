@@ -0,0 +1,82 @@
+-- ============================================================================
+-- MIGRATION: 010_customer_enrichment
+-- ============================================================================
+-- Description: Customer fields filled from conversations, with provenance and audit
+-- Version: 1.9.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - customers.needs: what the customer said they need, one entry per need
+-- - customers.field_sources: where the current value of each enrichable
+--   field came from ({ "email": { "source": "conversation", "turn": 3, ... } });
+--   a field whose source is 'human' is locked against automatic updates
+-- - customer_field_changes: one row per field change (automatic or human)
+--   with the conversation, message and turn it came from
+--
+-- Dependencies: 001_initial_schema
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 010_customer_enrichment at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: customers - enrichment columns
+-- ============================================================================
+ALTER TABLE customers
+    ADD COLUMN IF NOT EXISTS needs TEXT[],
+    ADD COLUMN IF NOT EXISTS field_sources JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN customers.needs IS 'Needs the customer stated in conversations (e.g. "pricing for 10 seats")';
+COMMENT ON COLUMN customers.field_sources IS 'Per-field provenance: { field: { source: conversation|human, conversationId, messageId, turn, updatedAt } }';
+
+-- ============================================================================
+-- TABLE: customer_field_changes
+-- Purpose: Audit trail of customer field changes
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS customer_field_changes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    field VARCHAR(50) NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('conversation', 'human')),
+    conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    turn INTEGER, -- Caller turn (1 = first thing they said) the value came from
+    changed_by VARCHAR(255), -- Who made a human edit
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE customer_field_changes IS 'Audit trail of customer field changes from conversations and human edits';
+
+CREATE INDEX IF NOT EXISTS idx_customer_field_changes_customer ON customer_field_changes(customer_id, created_at DESC);
+
+ALTER TABLE customer_field_changes ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 010_customer_enrichment completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP TABLE IF EXISTS customer_field_changes;
+-- ALTER TABLE customers DROP COLUMN IF EXISTS field_sources;
+-- ALTER TABLE customers DROP COLUMN IF EXISTS needs;
+-- COMMIT;
+-- ============================================================================
@@ -0,0 +1,56 @@
+-- ============================================================================
+-- MIGRATION: 011_simulated_conversations
+-- ============================================================================
+-- Description: Flag text simulation sessions so they stay out of analytics
+-- Version: 1.10.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - conversations.is_simulated: TRUE for sessions created through
+--   /api/simulate/conversations (prompt and agent-config testing); daily
+--   analytics only count rows where it is FALSE
+--
+-- Dependencies: 001_initial_schema
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 011_simulated_conversations at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: conversations - simulation flag
+-- ============================================================================
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS is_simulated BOOLEAN DEFAULT FALSE;
+
+UPDATE conversations SET is_simulated = FALSE WHERE is_simulated IS NULL;
+
+COMMENT ON COLUMN conversations.is_simulated IS 'TRUE for /api/simulate sessions; these never count towards analytics';
+
+CREATE INDEX IF NOT EXISTS idx_conversations_simulated ON conversations(started_at DESC) WHERE is_simulated = TRUE;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 011_simulated_conversations completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP INDEX IF EXISTS idx_conversations_simulated;
+-- ALTER TABLE conversations DROP COLUMN IF EXISTS is_simulated;
+-- COMMIT;
+-- ============================================================================
@@ -0,0 +1,89 @@
+-- ============================================================================
+-- MIGRATION: 012_vocabulary
+-- ============================================================================
+-- Description: Managed vocabulary for speech recognition hints and correction
+-- Version: 1.11.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - vocabulary_terms: product names, competitor names, SKUs and other terms
+--   callers say. Active terms become <Gather> hints, and transcripts are
+--   snapped to the canonical spelling (term) when a word or phrase is a
+--   known mishearing (variants) or a close match.
+--
+-- Scopes:
+-- - global: every call
+-- - agent_config: calls answered or placed as that agent config
+-- - campaign: calls placed by that outbound campaign
+-- A call uses global + its agent config + its campaign terms; when the same
+-- term is in several scopes, the most specific one wins.
+--
+-- Dependencies: 006_campaigns
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 012_vocabulary at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: vocabulary_terms
+-- Purpose: Speech recognition vocabulary by scope
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS vocabulary_terms (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('global', 'agent_config', 'campaign')),
+    agent_config_name VARCHAR(100) REFERENCES agent_configs(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+    term VARCHAR(100) NOT NULL, -- Canonical spelling passed to the AI, e.g. 'Salesforce', 'AX-200'
+    category VARCHAR(20) DEFAULT 'other' CHECK (category IN ('product', 'competitor', 'sku', 'other')),
+    variants TEXT[] DEFAULT '{}', -- Known mishearings, e.g. {'sales force', 'sells force'}
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT vocabulary_terms_scope_target CHECK (
+        (scope = 'global' AND agent_config_name IS NULL AND campaign_id IS NULL)
+        OR (scope = 'agent_config' AND agent_config_name IS NOT NULL AND campaign_id IS NULL)
+        OR (scope = 'campaign' AND campaign_id IS NOT NULL AND agent_config_name IS NULL)
+    )
+);
+
+COMMENT ON TABLE vocabulary_terms IS 'Terms used as speech recognition hints and for post-recognition correction';
+COMMENT ON COLUMN vocabulary_terms.term IS 'Canonical spelling; transcripts are corrected to it';
+COMMENT ON COLUMN vocabulary_terms.variants IS 'Known mishearings that are always replaced by term';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vocabulary_terms_unique
+    ON vocabulary_terms(scope, COALESCE(agent_config_name, ''), COALESCE(campaign_id::text, ''), LOWER(term));
+CREATE INDEX IF NOT EXISTS idx_vocabulary_terms_agent_config ON vocabulary_terms(agent_config_name) WHERE agent_config_name IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_vocabulary_terms_campaign ON vocabulary_terms(campaign_id) WHERE campaign_id IS NOT NULL;
+
+ALTER TABLE vocabulary_terms ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_vocabulary_terms_updated_at ON vocabulary_terms;
+CREATE TRIGGER update_vocabulary_terms_updated_at BEFORE UPDATE ON vocabulary_terms
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 012_vocabulary completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP TRIGGER IF EXISTS update_vocabulary_terms_updated_at ON vocabulary_terms;
+-- DROP TABLE IF EXISTS vocabulary_terms;
+-- COMMIT;
+-- ============================================================================
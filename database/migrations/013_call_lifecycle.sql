@@ -0,0 +1,84 @@
+-- ============================================================================
+-- MIGRATION: 013_call_lifecycle
+-- ============================================================================
+-- Description: Track the Twilio call lifecycle on conversations and finalize
+--              every call exactly once
+-- Version: 1.12.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - conversations.call_status: last Twilio call status applied (initiated,
+--   ringing, in-progress, completed, busy, failed, no-answer, canceled)
+-- - conversations.answered_at: when the call reached in-progress
+-- - conversations.finalized_at: set once when the post-call pipeline is
+--   started; the update only succeeds while it is NULL, so a status callback
+--   and the stale-call sweeper can never both finalize a call
+-- - 'failed' as a conversations.status (busy, failed, no-answer, canceled)
+--
+-- Conversations that already ended are marked finalized so the sweeper only
+-- reconciles calls that are still open.
+--
+-- Dependencies: 011_simulated_conversations
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 013_call_lifecycle at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: conversations - call lifecycle
+-- ============================================================================
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS call_status VARCHAR(20)
+        CHECK (call_status IN ('initiated', 'ringing', 'in-progress', 'completed', 'busy', 'failed', 'no-answer', 'canceled')),
+    ADD COLUMN IF NOT EXISTS answered_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMP;
+
+ALTER TABLE conversations DROP CONSTRAINT IF EXISTS conversations_status_check;
+ALTER TABLE conversations
+    ADD CONSTRAINT conversations_status_check CHECK (status IN ('active', 'ended', 'escalated', 'failed'));
+
+COMMENT ON COLUMN conversations.status IS 'Current conversation state: active, ended, escalated, or failed (never connected)';
+COMMENT ON COLUMN conversations.call_status IS 'Last Twilio call status applied from status callbacks or the stale-call sweeper';
+COMMENT ON COLUMN conversations.finalized_at IS 'When the post-call pipeline was started; set exactly once';
+
+-- Calls that already ended are not finalized again
+UPDATE conversations
+    SET finalized_at = COALESCE(ended_at, updated_at, NOW())
+    WHERE finalized_at IS NULL AND status IN ('ended', 'failed');
+
+-- Calls the sweeper reconciles against Twilio
+CREATE INDEX IF NOT EXISTS idx_conversations_open_calls
+    ON conversations(started_at) WHERE finalized_at IS NULL;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 013_call_lifecycle completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP INDEX IF EXISTS idx_conversations_open_calls;
+-- UPDATE conversations SET status = 'ended' WHERE status = 'failed';
+-- ALTER TABLE conversations DROP CONSTRAINT IF EXISTS conversations_status_check;
+-- ALTER TABLE conversations
+--     ADD CONSTRAINT conversations_status_check CHECK (status IN ('active', 'ended', 'escalated'));
+-- ALTER TABLE conversations DROP COLUMN IF EXISTS finalized_at;
+-- ALTER TABLE conversations DROP COLUMN IF EXISTS answered_at;
+-- ALTER TABLE conversations DROP COLUMN IF EXISTS call_status;
+-- COMMIT;
+-- ============================================================================
@@ -0,0 +1,58 @@
+-- ============================================================================
+-- MIGRATION: 014_agent_tools
+-- ============================================================================
+-- Description: Per-agent-config list of tools the AI may call during a conversation
+-- Version: 1.13.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds agent_configs.tools: names of the built-in tools (see
+-- src/services/BuiltinTools.js) offered to Claude on this persona's calls
+-- and SMS threads. NULL or an empty array = no tools, so existing personas
+-- keep answering from the prompt alone. Unknown names are ignored.
+--
+-- Built-in tools: lookup_customer, create_scheduled_task,
+-- check_appointment_availability, send_sms_link (voice only),
+-- transfer_to_human (voice only)
+--
+-- Tool calls and results are stored as messages with metadata.toolRole
+-- ('tool_call' on assistant messages, 'tool_result' on system messages).
+--
+-- Dependencies: 013_call_lifecycle
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 014_agent_tools at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: agent_configs - tools
+-- ============================================================================
+ALTER TABLE agent_configs
+    ADD COLUMN IF NOT EXISTS tools TEXT[];
+
+COMMENT ON COLUMN agent_configs.tools IS 'Names of the tools the AI may call (NULL or empty = none)';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 014_agent_tools completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS tools;
+-- COMMIT;
+-- ============================================================================
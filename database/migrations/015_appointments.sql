@@ -0,0 +1,162 @@
+-- ============================================================================
+-- MIGRATION: 015_appointments
+-- ============================================================================
+-- Description: Appointment booking with rep availability, holds and confirmations
+-- Version: 1.14.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - meeting_types: what can be booked (e.g. 'demo'), its length and the
+--   buffer kept free after it
+-- - sales_reps: people appointments are booked with; availability is a
+--   business-hours calendar (same format as agent_configs.business_hours)
+-- - appointments: holds and bookings. A slot offered on a call is 'held'
+--   until hold_expires_at; confirming it makes it 'confirmed', and holds
+--   nobody confirmed become 'expired' (task scheduler sweep).
+--
+-- Conflicts: appointments_no_overlap rejects a second held or confirmed
+-- appointment for the same rep whose [start_at, blocked_until) overlaps,
+-- so two calls offering the same slot cannot both book it. blocked_until is
+-- end_at plus the meeting type's buffer. Expired holds are marked 'expired'
+-- before a new hold is placed, so they never block a slot.
+--
+-- Seeds a 30-minute 'demo' meeting type. Reps are added per deployment.
+--
+-- Dependencies: 014_agent_tools
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 015_appointments at %', NOW();
+END $$;
+
+-- Equality on rep_id inside the overlap constraint
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- ============================================================================
+-- TABLE: meeting_types
+-- Purpose: Bookable meeting kinds
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS meeting_types (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL, -- Key the AI books with, e.g. 'demo'
+    label VARCHAR(100) NOT NULL, -- Event title, e.g. 'Product demo'
+    description TEXT, -- Shown in the invite
+    duration_minutes INTEGER NOT NULL DEFAULT 30 CHECK (duration_minutes BETWEEN 5 AND 480),
+    buffer_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_minutes BETWEEN 0 AND 240),
+    location TEXT, -- Meeting link or address written to the invite
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE meeting_types IS 'Kinds of appointments the AI can book';
+COMMENT ON COLUMN meeting_types.buffer_minutes IS 'Time kept free after the meeting before the rep can be booked again';
+
+-- ============================================================================
+-- TABLE: sales_reps
+-- Purpose: People appointments are booked with
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS sales_reps (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL, -- Organizer of the invite
+    availability JSONB NOT NULL, -- Business-hours calendar with timezone
+    meeting_types TEXT[], -- meeting_types.name values this rep takes; NULL = all
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE sales_reps IS 'Reps appointments are booked with';
+COMMENT ON COLUMN sales_reps.availability IS 'Bookable hours: {"timezone": "...", "weekly": {...}, "holidays": [...], "closures": [...]}';
+COMMENT ON COLUMN sales_reps.meeting_types IS 'Meeting types this rep takes (NULL = every type)';
+
+-- ============================================================================
+-- TABLE: appointments
+-- Purpose: Held and booked appointments
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS appointments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    rep_id UUID NOT NULL REFERENCES sales_reps(id) ON DELETE CASCADE,
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+    meeting_type VARCHAR(50) NOT NULL REFERENCES meeting_types(name) ON UPDATE CASCADE,
+    start_at TIMESTAMP NOT NULL,
+    end_at TIMESTAMP NOT NULL,
+    blocked_until TIMESTAMP NOT NULL, -- end_at plus the meeting type buffer
+    status VARCHAR(20) NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'confirmed', 'cancelled', 'expired')),
+    hold_expires_at TIMESTAMP, -- A held slot is released after this
+    confirmed_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    cancel_reason TEXT,
+    attendee_name VARCHAR(255),
+    attendee_email VARCHAR(255), -- Receives the confirmation and invite
+    reminder_task_ids UUID[] DEFAULT '{}', -- scheduled_tasks reminders, cancelled with the appointment
+    ics_sequence INTEGER DEFAULT 0, -- Invite revision (raised when the invite is cancelled)
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT appointments_valid_range CHECK (end_at > start_at AND blocked_until >= end_at),
+    CONSTRAINT appointments_no_overlap EXCLUDE USING gist (
+        rep_id WITH =,
+        tsrange(start_at, blocked_until) WITH &&
+    ) WHERE (status IN ('held', 'confirmed'))
+);
+
+COMMENT ON TABLE appointments IS 'Appointment holds and bookings made on calls';
+COMMENT ON COLUMN appointments.status IS 'held (offered, awaiting confirmation), confirmed, cancelled or expired (hold ran out)';
+COMMENT ON COLUMN appointments.blocked_until IS 'End of the time this appointment keeps the rep busy (end_at plus buffer)';
+
+CREATE INDEX IF NOT EXISTS idx_appointments_rep_time ON appointments(rep_id, start_at) WHERE status IN ('held', 'confirmed');
+CREATE INDEX IF NOT EXISTS idx_appointments_customer ON appointments(customer_id, start_at DESC) WHERE customer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_appointments_holds ON appointments(hold_expires_at) WHERE status = 'held';
+
+ALTER TABLE meeting_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sales_reps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE appointments ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_meeting_types_updated_at ON meeting_types;
+CREATE TRIGGER update_meeting_types_updated_at BEFORE UPDATE ON meeting_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_sales_reps_updated_at ON sales_reps;
+CREATE TRIGGER update_sales_reps_updated_at BEFORE UPDATE ON sales_reps
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_appointments_updated_at ON appointments;
+CREATE TRIGGER update_appointments_updated_at BEFORE UPDATE ON appointments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO meeting_types (name, label, description, duration_minutes, buffer_minutes)
+VALUES ('demo', 'Product demo', 'A walkthrough of the product with one of our team.', 30, 15)
+ON CONFLICT (name) DO NOTHING;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 015_appointments completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP TRIGGER IF EXISTS update_appointments_updated_at ON appointments;
+-- DROP TRIGGER IF EXISTS update_sales_reps_updated_at ON sales_reps;
+-- DROP TRIGGER IF EXISTS update_meeting_types_updated_at ON meeting_types;
+-- DROP TABLE IF EXISTS appointments;
+-- DROP TABLE IF EXISTS sales_reps;
+-- DROP TABLE IF EXISTS meeting_types;
+-- COMMIT;
+-- (btree_gist is left installed; other objects may use it.)
+-- ============================================================================
@@ -0,0 +1,83 @@
+-- ============================================================================
+-- MIGRATION: 016_lead_qualification
+-- ============================================================================
+-- Description: Lead qualification slot filling and automatic lead scoring
+-- Version: 1.15.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - agent_configs.qualification: framework the persona qualifies leads with.
+--   NULL = no qualification. Examples:
+--     {"framework": "bant"}
+--     {"framework": "meddic", "qualifiedScore": 75}
+--     {"framework": "custom", "label": "Solar", "slots": [{"name": "owns_home",
+--      "label": "Owns the home", "question": "Do you own your home?",
+--      "weight": 2, "patterns": [{"regex": "\\bi own\\b", "confidence": 0.8}]}]}
+-- - conversations.qualification: slots filled during the conversation, each
+--   with its value, confidence, fit, source (caller or ai), message and
+--   caller turn, plus the resulting score and status
+-- - customers.qualification: the latest state, carried into the customer's
+--   next conversation with the same framework. customers.lead_score and the
+--   qualified / unqualified tag are updated with it.
+--
+-- Dependencies: 015_appointments
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 016_lead_qualification at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: agent_configs - qualification
+-- ============================================================================
+ALTER TABLE agent_configs
+    ADD COLUMN IF NOT EXISTS qualification JSONB;
+
+COMMENT ON COLUMN agent_configs.qualification IS 'Lead qualification framework (bant, meddic or custom slots) and score thresholds';
+
+-- ============================================================================
+-- TABLE: conversations - qualification
+-- ============================================================================
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS qualification JSONB;
+
+COMMENT ON COLUMN conversations.qualification IS 'Lead qualification state: {framework, slots: {name: {value, confidence, fit, source, messageId, turn}}, score, status}';
+
+-- ============================================================================
+-- TABLE: customers - qualification
+-- ============================================================================
+ALTER TABLE customers
+    ADD COLUMN IF NOT EXISTS qualification JSONB;
+
+COMMENT ON COLUMN customers.qualification IS 'Latest lead qualification; lead_score and the qualified/unqualified tag follow it';
+
+-- Best leads first
+CREATE INDEX IF NOT EXISTS idx_customers_lead_score ON customers(lead_score DESC) WHERE lead_score > 0;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 016_lead_qualification completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP INDEX IF EXISTS idx_customers_lead_score;
+-- ALTER TABLE customers DROP COLUMN IF EXISTS qualification;
+-- ALTER TABLE conversations DROP COLUMN IF EXISTS qualification;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS qualification;
+-- COMMIT;
+-- ============================================================================
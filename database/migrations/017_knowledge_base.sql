@@ -0,0 +1,105 @@
+-- ============================================================================
+-- MIGRATION: 017_knowledge_base
+-- ============================================================================
+-- Description: Knowledge base documents and embedded passages for answers
+-- Version: 1.16.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - knowledge_documents: product, pricing and policy documents (Markdown,
+--   HTML or plain text). agent_config_name limits a document to one persona;
+--   NULL = every persona.
+-- - knowledge_chunks: the passages a document is split into, with their
+--   OpenAI embedding. Chunks are replaced whenever the document is indexed.
+--
+-- Passages are searched by cosine similarity in the application (an
+-- in-memory index loaded from knowledge_chunks), so no vector extension is
+-- needed.
+--
+-- Dependencies: 001_initial_schema
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 017_knowledge_base at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: knowledge_documents
+-- Purpose: Source documents the AI answers product questions from
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS knowledge_documents (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    format VARCHAR(20) NOT NULL DEFAULT 'text' CHECK (format IN ('markdown', 'html', 'text')),
+    content TEXT NOT NULL,
+    content_hash VARCHAR(64), -- SHA-256 of content; unchanged content is not re-embedded
+    source_url TEXT,
+    agent_config_name VARCHAR(100) REFERENCES agent_configs(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    active BOOLEAN DEFAULT TRUE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'indexed', 'failed')),
+    chunk_count INTEGER DEFAULT 0,
+    embedding_model VARCHAR(100),
+    index_error TEXT,
+    indexed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE knowledge_documents IS 'Knowledge base documents retrieved into the AI prompt';
+COMMENT ON COLUMN knowledge_documents.agent_config_name IS 'Persona the document is for; NULL = every persona';
+COMMENT ON COLUMN knowledge_documents.status IS 'pending (not yet embedded), indexed or failed (see index_error)';
+COMMENT ON COLUMN knowledge_documents.embedding_model IS 'Model the chunks were embedded with; re-index after changing it';
+
+-- ============================================================================
+-- TABLE: knowledge_chunks
+-- Purpose: Embedded passages of knowledge documents
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS knowledge_chunks (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    document_id UUID NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    heading TEXT, -- Section the passage is from, e.g. 'Pricing > Team plan'
+    content TEXT NOT NULL,
+    embedding REAL[] NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (document_id, chunk_index)
+);
+
+COMMENT ON TABLE knowledge_chunks IS 'Passages of knowledge documents with their embeddings';
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_documents_agent_config ON knowledge_documents(agent_config_name) WHERE agent_config_name IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_knowledge_documents_status ON knowledge_documents(status);
+
+ALTER TABLE knowledge_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE knowledge_chunks ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_knowledge_documents_updated_at ON knowledge_documents;
+CREATE TRIGGER update_knowledge_documents_updated_at BEFORE UPDATE ON knowledge_documents
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 017_knowledge_base completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP TRIGGER IF EXISTS update_knowledge_documents_updated_at ON knowledge_documents;
+-- DROP TABLE IF EXISTS knowledge_chunks;
+-- DROP TABLE IF EXISTS knowledge_documents;
+-- COMMIT;
+-- ============================================================================
@@ -0,0 +1,155 @@
+-- ============================================================================
+-- MIGRATION: 018_agent_config_versions
+-- ============================================================================
+-- Description: Agent config versioning, model settings and per-conversation version stamps
+-- Version: 1.17.0
+-- Created: 2026-10-18T10:00:00Z
+-- Author: LegacyAI Database Agent
+--
+-- Adds:
+-- - agent_configs.temperature / max_tokens: model settings for the persona's
+--   replies (NULL = the built-in defaults, 0.7 and 150 tokens for calls)
+-- - agent_configs.active_version: the agent_config_versions row the config
+--   currently holds, with who activated it and when
+-- - agent_config_versions: one immutable row per edit of an agent config,
+--   with a snapshot of every versioned setting, the diff from the version it
+--   was based on, its author and note. Rows cannot be updated. Activating a
+--   version (or rolling back) copies its snapshot onto agent_configs.
+-- - conversations.agent_config_version: the version the conversation ran
+--   with, so outcomes can be compared across prompt changes
+--
+-- Existing agent configs get version 1 from their current settings.
+--
+-- Dependencies: 016_lead_qualification
+-- ============================================================================
+
+BEGIN;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Starting migration 018_agent_config_versions at %', NOW();
+END $$;
+
+-- ============================================================================
+-- TABLE: agent_configs - model settings and active version
+-- ============================================================================
+ALTER TABLE agent_configs
+    ADD COLUMN IF NOT EXISTS temperature NUMERIC(3,2) CHECK (temperature >= 0 AND temperature <= 1),
+    ADD COLUMN IF NOT EXISTS max_tokens INTEGER CHECK (max_tokens > 0),
+    ADD COLUMN IF NOT EXISTS active_version INTEGER,
+    ADD COLUMN IF NOT EXISTS version_activated_by VARCHAR(200),
+    ADD COLUMN IF NOT EXISTS version_activated_at TIMESTAMP;
+
+COMMENT ON COLUMN agent_configs.temperature IS 'Sampling temperature for AI replies, 0-1 (NULL = 0.7)';
+COMMENT ON COLUMN agent_configs.max_tokens IS 'Token limit for each AI reply (NULL = channel default)';
+COMMENT ON COLUMN agent_configs.active_version IS 'agent_config_versions.version whose settings the config holds';
+
+-- ============================================================================
+-- TABLE: agent_config_versions
+-- Purpose: Immutable history of agent config edits
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS agent_config_versions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    agent_config_name VARCHAR(100) NOT NULL REFERENCES agent_configs(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    version INTEGER NOT NULL CHECK (version > 0),
+    snapshot JSONB NOT NULL, -- Every versioned setting (system_prompt, temperature, max_tokens, voice_settings, ...)
+    diff JSONB NOT NULL DEFAULT '{}'::jsonb, -- {column: {from, to}} against based_on_version
+    based_on_version INTEGER, -- Version that was active when the edit was made (NULL for version 1)
+    author VARCHAR(200) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (agent_config_name, version)
+);
+
+COMMENT ON TABLE agent_config_versions IS 'One immutable row per agent config edit; activate a version to use it';
+COMMENT ON COLUMN agent_config_versions.diff IS 'Settings changed from based_on_version: {column: {from, to}}';
+
+-- Versions are history: they may be deleted with their config, never changed
+CREATE OR REPLACE FUNCTION prevent_agent_config_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'agent_config_versions rows are immutable; create a new version instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS agent_config_versions_immutable ON agent_config_versions;
+CREATE TRIGGER agent_config_versions_immutable BEFORE UPDATE ON agent_config_versions
+    FOR EACH ROW EXECUTE FUNCTION prevent_agent_config_version_update();
+
+ALTER TABLE agent_config_versions ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- TABLE: conversations - agent config version
+-- ============================================================================
+ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS agent_config_version INTEGER;
+
+COMMENT ON COLUMN conversations.agent_config_version IS 'agent_config_versions.version of agent_config_name the conversation ran with';
+
+-- Outcomes by prompt version
+CREATE INDEX IF NOT EXISTS idx_conversations_agent_config_version ON conversations(agent_config_name, agent_config_version)
+    WHERE agent_config_name IS NOT NULL;
+
+-- ============================================================================
+-- DATA: version 1 of existing agent configs
+-- ============================================================================
+INSERT INTO agent_config_versions (agent_config_name, version, snapshot, author, note)
+SELECT
+    name,
+    1,
+    jsonb_build_object(
+        'type', type,
+        'system_prompt', system_prompt,
+        'temperature', temperature,
+        'max_tokens', max_tokens,
+        'voice_settings', voice_settings,
+        'escalation_rules', escalation_rules,
+        'recording_policy', recording_policy,
+        'recording_consent_prompt', recording_consent_prompt,
+        'ivr_menu', ivr_menu,
+        'greeting', greeting,
+        'returning_greeting', returning_greeting,
+        'business_hours', business_hours,
+        'tools', to_jsonb(tools),
+        'qualification', qualification
+    ),
+    'migration',
+    'Settings before versioning'
+FROM agent_configs
+ON CONFLICT (agent_config_name, version) DO NOTHING;
+
+UPDATE agent_configs
+SET active_version = 1,
+    version_activated_by = 'migration',
+    version_activated_at = NOW()
+WHERE active_version IS NULL;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 018_agent_config_versions completed successfully at %', NOW();
+END $$;
+
+COMMIT;
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- To rollback this migration, execute the following:
+--
+-- BEGIN;
+-- DROP INDEX IF EXISTS idx_conversations_agent_config_version;
+-- ALTER TABLE conversations DROP COLUMN IF EXISTS agent_config_version;
+-- DROP TRIGGER IF EXISTS agent_config_versions_immutable ON agent_config_versions;
+-- DROP TABLE IF EXISTS agent_config_versions;
+-- DROP FUNCTION IF EXISTS prevent_agent_config_version_update();
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS version_activated_at;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS version_activated_by;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS active_version;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS max_tokens;
+-- ALTER TABLE agent_configs DROP COLUMN IF EXISTS temperature;
+-- COMMIT;
+-- ============================================================================
@@ -27,6 +27,9 @@ CREATE TABLE customers (
     lifetime_value DECIMAL(10,2) DEFAULT 0,
     preferences JSONB, -- Customer preferences (communication, language, etc.)
     notes TEXT, -- Free-form notes about the customer
+    needs TEXT[], -- Needs the customer stated in conversations
+    field_sources JSONB DEFAULT '{}'::jsonb, -- Per-field provenance (conversation turn or human edit)
+    qualification JSONB, -- Latest lead qualification (framework, slots, score, status)
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -34,6 +37,7 @@ CREATE TABLE customers (
 COMMENT ON TABLE customers IS 'Stores customer profiles and contact information';
 COMMENT ON COLUMN customers.phone_number IS 'Unique phone number in E.164 format';
 COMMENT ON COLUMN customers.lead_score IS 'Lead quality score from 0 to 100';
+COMMENT ON COLUMN customers.qualification IS 'Latest lead qualification; lead_score and the qualified/unqualified tag follow it';
 COMMENT ON COLUMN customers.lifetime_value IS 'Total customer lifetime value in USD';
 
 -- ============================================================================
@@ -46,23 +50,36 @@ CREATE TABLE conversations (
     phone_number VARCHAR(20) NOT NULL,
     customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
     agent_type VARCHAR(50) DEFAULT 'voice',
-    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'ended', 'escalated')),
+    agent_config_name VARCHAR(100), -- Persona (agent_configs.name) that handled the call
+    agent_config_version INTEGER, -- agent_config_versions.version the conversation ran with
+    is_simulated BOOLEAN DEFAULT FALSE, -- Text simulation session, excluded from analytics
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'ended', 'escalated', 'failed')),
+    call_status VARCHAR(20) CHECK (call_status IN ('initiated', 'ringing', 'in-progress', 'completed', 'busy', 'failed', 'no-answer', 'canceled')),
     started_at TIMESTAMP DEFAULT NOW(),
+    answered_at TIMESTAMP,
     ended_at TIMESTAMP,
+    finalized_at TIMESTAMP, -- Post-call pipeline started (set exactly once)
     duration_seconds INTEGER,
     transcript JSONB, -- Full conversation transcript with timestamps
     sentiment_score DECIMAL(3,2) CHECK (sentiment_score >= -1 AND sentiment_score <= 1),
     escalated BOOLEAN DEFAULT FALSE,
     metadata JSONB, -- Additional call metadata (recording URL, quality metrics, etc.)
+    qualification JSONB, -- Lead qualification slots filled during this conversation
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
 COMMENT ON TABLE conversations IS 'Tracks all voice conversations and their lifecycle';
 COMMENT ON COLUMN conversations.call_sid IS 'Unique Twilio call session identifier';
-COMMENT ON COLUMN conversations.status IS 'Current conversation state: active, ended, or escalated';
+COMMENT ON COLUMN conversations.status IS 'Current conversation state: active, ended, escalated, or failed (never connected)';
+COMMENT ON COLUMN conversations.call_status IS 'Last Twilio call status applied from status callbacks or the stale-call sweeper';
+COMMENT ON COLUMN conversations.finalized_at IS 'When the post-call pipeline was started; set exactly once';
 COMMENT ON COLUMN conversations.sentiment_score IS 'Overall sentiment from -1 (negative) to 1 (positive)';
 COMMENT ON COLUMN conversations.transcript IS 'JSONB array of conversation turns with timestamps';
+COMMENT ON COLUMN conversations.agent_config_name IS 'agent_configs.name of the persona that handled this call';
+COMMENT ON COLUMN conversations.agent_config_version IS 'agent_config_versions.version of agent_config_name the conversation ran with';
+COMMENT ON COLUMN conversations.qualification IS 'Lead qualification state: {framework, slots: {name: {value, confidence, fit, source, messageId, turn}}, score, status}';
+COMMENT ON COLUMN conversations.is_simulated IS 'TRUE for /api/simulate sessions; these never count towards analytics';
 
 -- ============================================================================
 -- TABLE: messages
@@ -112,8 +129,21 @@ CREATE TABLE agent_configs (
     name VARCHAR(100) UNIQUE NOT NULL,
     type VARCHAR(50) NOT NULL,
     system_prompt TEXT NOT NULL,
+    temperature NUMERIC(3,2) CHECK (temperature >= 0 AND temperature <= 1), -- AI reply temperature (NULL = 0.7)
+    max_tokens INTEGER CHECK (max_tokens > 0), -- Token limit per AI reply (NULL = channel default)
     voice_settings JSONB, -- Voice configuration (speed, pitch, model, etc.)
     escalation_rules JSONB, -- Rules for when to escalate to human
+    recording_policy VARCHAR(20) DEFAULT 'off' CHECK (recording_policy IN ('off', 'always', 'consent')),
+    recording_consent_prompt TEXT, -- Custom consent/announcement prompt (default used when NULL)
+    ivr_menu JSONB, -- Optional DTMF/speech menu tree played before the AI conversation
+    greeting TEXT, -- Opening line when the AI answers (default used when NULL)
+    returning_greeting TEXT, -- Opening line for recognized callers with {name}/{lastContact} (default used when NULL)
+    business_hours JSONB, -- Business-hours calendar and after-hours flow (NULL = always open)
+    tools TEXT[], -- Tools the AI may call during conversations (NULL or empty = none)
+    qualification JSONB, -- Lead qualification framework, e.g. {"framework": "bant"} (NULL = none)
+    active_version INTEGER, -- agent_config_versions.version whose settings the config holds
+    version_activated_by VARCHAR(200),
+    version_activated_at TIMESTAMP,
     active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
@@ -123,6 +153,52 @@ COMMENT ON TABLE agent_configs IS 'AI agent configurations and system prompts';
 COMMENT ON COLUMN agent_configs.name IS 'Unique identifier for this agent configuration';
 COMMENT ON COLUMN agent_configs.system_prompt IS 'System prompt that defines agent behavior';
 COMMENT ON COLUMN agent_configs.escalation_rules IS 'Conditions that trigger escalation to human';
+COMMENT ON COLUMN agent_configs.recording_policy IS 'Call recording policy: off, always, or consent';
+COMMENT ON COLUMN agent_configs.ivr_menu IS 'IVR menu tree; caller path is stored in conversations.metadata.ivr';
+COMMENT ON COLUMN agent_configs.business_hours IS 'Business-hours calendar and after-hours flow; outcome is stored in conversations.metadata.afterHours';
+COMMENT ON COLUMN agent_configs.qualification IS 'Lead qualification framework (bant, meddic or custom slots) and score thresholds';
+COMMENT ON COLUMN agent_configs.tools IS 'Names of the tools the AI may call; calls and results are stored as messages with metadata.toolRole';
+COMMENT ON COLUMN agent_configs.temperature IS 'Sampling temperature for AI replies, 0-1 (NULL = 0.7)';
+COMMENT ON COLUMN agent_configs.max_tokens IS 'Token limit for each AI reply (NULL = channel default)';
+COMMENT ON COLUMN agent_configs.active_version IS 'agent_config_versions.version whose settings the config holds';
+
+-- ============================================================================
+-- TABLE: agent_config_versions
+-- Purpose: Immutable history of agent config edits
+-- ============================================================================
+CREATE TABLE agent_config_versions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    agent_config_name VARCHAR(100) NOT NULL REFERENCES agent_configs(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    version INTEGER NOT NULL CHECK (version > 0),
+    snapshot JSONB NOT NULL, -- Every versioned setting (system_prompt, temperature, max_tokens, voice_settings, ...)
+    diff JSONB NOT NULL DEFAULT '{}'::jsonb, -- {column: {from, to}} against based_on_version
+    based_on_version INTEGER, -- Version that was active when the edit was made (NULL for version 1)
+    author VARCHAR(200) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (agent_config_name, version)
+);
+
+COMMENT ON TABLE agent_config_versions IS 'One immutable row per agent config edit; activate a version to use it';
+COMMENT ON COLUMN agent_config_versions.diff IS 'Settings changed from based_on_version: {column: {from, to}}';
+
+-- ============================================================================
+-- TABLE: phone_number_routes
+-- Purpose: Map dialed numbers to agent configurations
+-- ============================================================================
+CREATE TABLE phone_number_routes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    phone_number VARCHAR(20) UNIQUE NOT NULL,
+    agent_config_name VARCHAR(100) NOT NULL REFERENCES agent_configs(name) ON UPDATE CASCADE,
+    label VARCHAR(100), -- Human-readable line name (e.g. 'Sales hotline')
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE phone_number_routes IS 'Maps Twilio phone numbers to the agent configuration that answers them';
+COMMENT ON COLUMN phone_number_routes.phone_number IS 'Dialed Twilio number in E.164 format';
+COMMENT ON COLUMN phone_number_routes.agent_config_name IS 'agent_configs.name used for calls to this number';
 
 -- ============================================================================
 -- TABLE: scheduled_tasks
@@ -137,14 +213,276 @@ CREATE TABLE scheduled_tasks (
     payload JSONB, -- Task-specific data
     completed_at TIMESTAMP,
     result JSONB, -- Task execution result
+    attempts INTEGER DEFAULT 0, -- Runs started so far
+    max_attempts INTEGER DEFAULT 3 CHECK (max_attempts > 0),
+    started_at TIMESTAMP, -- When the current run claimed the task
+    last_error TEXT, -- Error from the most recent failed run
     created_at TIMESTAMP DEFAULT NOW()
 );
 
 COMMENT ON TABLE scheduled_tasks IS 'Scheduled tasks for follow-ups and automation';
-COMMENT ON COLUMN scheduled_tasks.task_type IS 'Type of task (follow_up_call, send_email, etc.)';
+COMMENT ON COLUMN scheduled_tasks.task_type IS 'Type of task (follow_up_call, callback, send_email, send_sms, webhook)';
 COMMENT ON COLUMN scheduled_tasks.status IS 'Current task execution status';
 COMMENT ON COLUMN scheduled_tasks.payload IS 'Task-specific data and parameters';
 
+-- ============================================================================
+-- TABLE: campaigns
+-- Purpose: Outbound calling campaigns
+-- ============================================================================
+CREATE TABLE campaigns (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'paused', 'completed')),
+    agent_config_name VARCHAR(100) REFERENCES agent_configs(name) ON UPDATE CASCADE,
+    script TEXT, -- Opening message; the agent config greeting is used when NULL
+    calling_window JSONB, -- Business-hours calendar; NULL = call at any time
+    max_concurrent INTEGER DEFAULT 1 CHECK (max_concurrent > 0),
+    calls_per_minute INTEGER DEFAULT 5 CHECK (calls_per_minute > 0),
+    max_attempts INTEGER DEFAULT 3 CHECK (max_attempts > 0),
+    retry_delay_seconds INTEGER DEFAULT 900 CHECK (retry_delay_seconds >= 0),
+    dispatch_token VARCHAR(64), -- Changes on every start/resume so stale dispatch jobs stop
+    started_at TIMESTAMP,
+    paused_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE campaigns IS 'Outbound calling campaigns dialed by the campaign dialer';
+COMMENT ON COLUMN campaigns.calling_window IS 'Business-hours calendar limiting when calls are placed (NULL = any time)';
+COMMENT ON COLUMN campaigns.calls_per_minute IS 'Maximum new calls started per minute';
+COMMENT ON COLUMN campaigns.retry_delay_seconds IS 'Delay before the first retry, doubled for each further attempt';
+
+-- ============================================================================
+-- TABLE: campaign_contacts
+-- Purpose: Leads in a campaign and their dialing state
+-- ============================================================================
+CREATE TABLE campaign_contacts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    phone_number VARCHAR(20) NOT NULL,
+    name VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'queued', 'dialing', 'retry', 'completed', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP, -- Earliest time a retry may be dialed
+    last_attempt_at TIMESTAMP,
+    last_call_sid VARCHAR(100),
+    last_outcome VARCHAR(30), -- Final Twilio call status of the last attempt
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (campaign_id, phone_number)
+);
+
+COMMENT ON TABLE campaign_contacts IS 'Contact list entries for outbound campaigns';
+COMMENT ON COLUMN campaign_contacts.phone_number IS 'Contact phone number in E.164 format';
+COMMENT ON COLUMN campaign_contacts.last_outcome IS 'completed, busy, no-answer, failed or canceled';
+
+-- ============================================================================
+-- TABLE: dnc_numbers
+-- Purpose: Internal do-not-call list
+-- ============================================================================
+CREATE TABLE dnc_numbers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    phone_number VARCHAR(20) UNIQUE NOT NULL,
+    reason VARCHAR(255), -- e.g. 'customer request', 'litigator'
+    source VARCHAR(50) DEFAULT 'manual', -- manual, import, api
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE dnc_numbers IS 'Internal do-not-call list checked before every outbound dial';
+COMMENT ON COLUMN dnc_numbers.phone_number IS 'Blocked phone number in E.164 format';
+
+-- ============================================================================
+-- TABLE: outbound_attempts
+-- Purpose: Outbound dial decisions (allowed and blocked)
+-- ============================================================================
+CREATE TABLE outbound_attempts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    phone_number VARCHAR(20) NOT NULL,
+    allowed BOOLEAN NOT NULL,
+    rule VARCHAR(50), -- Compliance rule that blocked the call (NULL when allowed)
+    reason TEXT,
+    region VARCHAR(10), -- e.g. 'US-FL', 'GB'
+    timezone VARCHAR(64), -- Callee time zone(s) the decision was based on
+    call_sid VARCHAR(100),
+    context JSONB DEFAULT '{}'::jsonb, -- Caller of makeOutboundCall (e.g. campaign id)
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE outbound_attempts IS 'Outbound dial compliance decisions; allowed rows feed the frequency caps';
+COMMENT ON COLUMN outbound_attempts.rule IS 'dnc, invalid_number, unknown_region, calling_hours, frequency_daily, frequency_weekly or compliance_unavailable';
+
+-- ============================================================================
+-- TABLE: customer_field_changes
+-- Purpose: Audit trail of customer field changes
+-- ============================================================================
+CREATE TABLE customer_field_changes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    field VARCHAR(50) NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('conversation', 'human')),
+    conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    turn INTEGER, -- Caller turn (1 = first thing they said) the value came from
+    changed_by VARCHAR(255), -- Who made a human edit
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE customer_field_changes IS 'Audit trail of customer field changes from conversations and human edits';
+
+-- ============================================================================
+-- TABLE: vocabulary_terms
+-- Purpose: Speech recognition vocabulary (global, per agent config, per campaign)
+-- ============================================================================
+CREATE TABLE vocabulary_terms (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('global', 'agent_config', 'campaign')),
+    agent_config_name VARCHAR(100) REFERENCES agent_configs(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+    term VARCHAR(100) NOT NULL, -- Canonical spelling passed to the AI, e.g. 'Salesforce', 'AX-200'
+    category VARCHAR(20) DEFAULT 'other' CHECK (category IN ('product', 'competitor', 'sku', 'other')),
+    variants TEXT[] DEFAULT '{}', -- Known mishearings, e.g. {'sales force', 'sells force'}
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT vocabulary_terms_scope_target CHECK (
+        (scope = 'global' AND agent_config_name IS NULL AND campaign_id IS NULL)
+        OR (scope = 'agent_config' AND agent_config_name IS NOT NULL AND campaign_id IS NULL)
+        OR (scope = 'campaign' AND campaign_id IS NOT NULL AND agent_config_name IS NULL)
+    )
+);
+
+COMMENT ON TABLE vocabulary_terms IS 'Terms used as speech recognition hints and for post-recognition correction';
+COMMENT ON COLUMN vocabulary_terms.term IS 'Canonical spelling; transcripts are corrected to it';
+COMMENT ON COLUMN vocabulary_terms.variants IS 'Known mishearings that are always replaced by term';
+
+-- ============================================================================
+-- TABLE: meeting_types
+-- Purpose: Bookable meeting kinds
+-- ============================================================================
+CREATE TABLE meeting_types (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL, -- Key the AI books with, e.g. 'demo'
+    label VARCHAR(100) NOT NULL, -- Event title, e.g. 'Product demo'
+    description TEXT, -- Shown in the invite
+    duration_minutes INTEGER NOT NULL DEFAULT 30 CHECK (duration_minutes BETWEEN 5 AND 480),
+    buffer_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_minutes BETWEEN 0 AND 240),
+    location TEXT, -- Meeting link or address written to the invite
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE meeting_types IS 'Kinds of appointments the AI can book';
+COMMENT ON COLUMN meeting_types.buffer_minutes IS 'Time kept free after the meeting before the rep can be booked again';
+
+-- ============================================================================
+-- TABLE: sales_reps
+-- Purpose: People appointments are booked with
+-- ============================================================================
+CREATE TABLE sales_reps (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL, -- Organizer of the invite
+    availability JSONB NOT NULL, -- Business-hours calendar with timezone
+    meeting_types TEXT[], -- meeting_types.name values this rep takes; NULL = all
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE sales_reps IS 'Reps appointments are booked with';
+COMMENT ON COLUMN sales_reps.availability IS 'Bookable hours: {"timezone": "...", "weekly": {...}, "holidays": [...], "closures": [...]}';
+COMMENT ON COLUMN sales_reps.meeting_types IS 'Meeting types this rep takes (NULL = every type)';
+
+-- ============================================================================
+-- TABLE: appointments
+-- Purpose: Held and booked appointments
+-- ============================================================================
+
+-- Equality on rep_id inside the overlap constraint
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+CREATE TABLE appointments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    rep_id UUID NOT NULL REFERENCES sales_reps(id) ON DELETE CASCADE,
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+    meeting_type VARCHAR(50) NOT NULL REFERENCES meeting_types(name) ON UPDATE CASCADE,
+    start_at TIMESTAMP NOT NULL,
+    end_at TIMESTAMP NOT NULL,
+    blocked_until TIMESTAMP NOT NULL, -- end_at plus the meeting type buffer
+    status VARCHAR(20) NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'confirmed', 'cancelled', 'expired')),
+    hold_expires_at TIMESTAMP, -- A held slot is released after this
+    confirmed_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    cancel_reason TEXT,
+    attendee_name VARCHAR(255),
+    attendee_email VARCHAR(255), -- Receives the confirmation and invite
+    reminder_task_ids UUID[] DEFAULT '{}', -- scheduled_tasks reminders, cancelled with the appointment
+    ics_sequence INTEGER DEFAULT 0, -- Invite revision (raised when the invite is cancelled)
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT appointments_valid_range CHECK (end_at > start_at AND blocked_until >= end_at),
+    -- A rep cannot have two held or confirmed appointments that overlap
+    CONSTRAINT appointments_no_overlap EXCLUDE USING gist (
+        rep_id WITH =,
+        tsrange(start_at, blocked_until) WITH &&
+    ) WHERE (status IN ('held', 'confirmed'))
+);
+
+COMMENT ON TABLE appointments IS 'Appointment holds and bookings made on calls';
+COMMENT ON COLUMN appointments.status IS 'held (offered, awaiting confirmation), confirmed, cancelled or expired (hold ran out)';
+COMMENT ON COLUMN appointments.blocked_until IS 'End of the time this appointment keeps the rep busy (end_at plus buffer)';
+
+-- ============================================================================
+-- TABLE: knowledge_documents
+-- Purpose: Source documents the AI answers product questions from
+-- ============================================================================
+CREATE TABLE knowledge_documents (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    format VARCHAR(20) NOT NULL DEFAULT 'text' CHECK (format IN ('markdown', 'html', 'text')),
+    content TEXT NOT NULL,
+    content_hash VARCHAR(64), -- SHA-256 of content; unchanged content is not re-embedded
+    source_url TEXT,
+    agent_config_name VARCHAR(100) REFERENCES agent_configs(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    active BOOLEAN DEFAULT TRUE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'indexed', 'failed')),
+    chunk_count INTEGER DEFAULT 0,
+    embedding_model VARCHAR(100),
+    index_error TEXT,
+    indexed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE knowledge_documents IS 'Knowledge base documents retrieved into the AI prompt';
+COMMENT ON COLUMN knowledge_documents.agent_config_name IS 'Persona the document is for; NULL = every persona';
+COMMENT ON COLUMN knowledge_documents.status IS 'pending (not yet embedded), indexed or failed (see index_error)';
+COMMENT ON COLUMN knowledge_documents.embedding_model IS 'Model the chunks were embedded with; re-index after changing it';
+
+-- ============================================================================
+-- TABLE: knowledge_chunks
+-- Purpose: Embedded passages of knowledge documents
+-- ============================================================================
+CREATE TABLE knowledge_chunks (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    document_id UUID NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    heading TEXT, -- Section the passage is from, e.g. 'Pricing > Team plan'
+    content TEXT NOT NULL,
+    embedding REAL[] NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (document_id, chunk_index)
+);
+
+COMMENT ON TABLE knowledge_chunks IS 'Passages of knowledge documents with their embeddings';
+
 -- ============================================================================
 -- INDEXES: Performance optimization
 -- ============================================================================
@@ -153,13 +491,19 @@ COMMENT ON COLUMN scheduled_tasks.payload IS 'Task-specific data and parameters'
 CREATE INDEX idx_customers_phone ON customers(phone_number);
 CREATE INDEX idx_customers_email ON customers(email) WHERE email IS NOT NULL;
 CREATE INDEX idx_customers_created ON customers(created_at DESC);
+CREATE INDEX idx_customers_lead_score ON customers(lead_score DESC) WHERE lead_score > 0;
 
 -- Conversation indexes
 CREATE INDEX idx_conversations_phone ON conversations(phone_number);
 CREATE INDEX idx_conversations_customer ON conversations(customer_id) WHERE customer_id IS NOT NULL;
+CREATE INDEX idx_conversations_customer_started ON conversations(customer_id, started_at DESC) WHERE customer_id IS NOT NULL;
 CREATE INDEX idx_conversations_status ON conversations(status);
 CREATE INDEX idx_conversations_started ON conversations(started_at DESC);
+CREATE INDEX idx_conversations_simulated ON conversations(started_at DESC) WHERE is_simulated = TRUE;
 CREATE INDEX idx_conversations_call_sid ON conversations(call_sid);
+CREATE INDEX idx_conversations_open_calls ON conversations(started_at) WHERE finalized_at IS NULL;
+CREATE INDEX idx_conversations_agent_config ON conversations(agent_config_name) WHERE agent_config_name IS NOT NULL;
+CREATE INDEX idx_conversations_agent_config_version ON conversations(agent_config_name, agent_config_version) WHERE agent_config_name IS NOT NULL;
 
 -- Message indexes
 CREATE INDEX idx_messages_conversation ON messages(conversation_id);
@@ -169,10 +513,39 @@ CREATE INDEX idx_messages_role ON messages(role);
 -- Analytics indexes
 CREATE INDEX idx_analytics_date ON call_analytics(date DESC);
 
+-- Phone number route indexes
+CREATE INDEX idx_phone_number_routes_phone ON phone_number_routes(phone_number) WHERE active = TRUE;
+
 -- Scheduled task indexes
 CREATE INDEX idx_scheduled_tasks_status ON scheduled_tasks(status, scheduled_for);
 CREATE INDEX idx_scheduled_tasks_customer ON scheduled_tasks(customer_id);
 CREATE INDEX idx_scheduled_tasks_type ON scheduled_tasks(task_type);
+CREATE INDEX idx_scheduled_tasks_processing ON scheduled_tasks(started_at) WHERE status = 'processing';
+
+-- Campaign indexes
+CREATE INDEX idx_campaigns_status ON campaigns(status);
+CREATE INDEX idx_campaign_contacts_campaign ON campaign_contacts(campaign_id, status, next_attempt_at);
+CREATE INDEX idx_campaign_contacts_call_sid ON campaign_contacts(last_call_sid) WHERE last_call_sid IS NOT NULL;
+
+-- Compliance indexes
+CREATE INDEX idx_outbound_attempts_phone ON outbound_attempts(phone_number, created_at DESC) WHERE allowed = TRUE;
+CREATE INDEX idx_outbound_attempts_blocked ON outbound_attempts(created_at DESC) WHERE allowed = FALSE;
+CREATE INDEX idx_customer_field_changes_customer ON customer_field_changes(customer_id, created_at DESC);
+
+-- Vocabulary indexes
+CREATE UNIQUE INDEX idx_vocabulary_terms_unique
+    ON vocabulary_terms(scope, COALESCE(agent_config_name, ''), COALESCE(campaign_id::text, ''), LOWER(term));
+CREATE INDEX idx_vocabulary_terms_agent_config ON vocabulary_terms(agent_config_name) WHERE agent_config_name IS NOT NULL;
+CREATE INDEX idx_vocabulary_terms_campaign ON vocabulary_terms(campaign_id) WHERE campaign_id IS NOT NULL;
+
+-- Appointment indexes
+CREATE INDEX idx_appointments_rep_time ON appointments(rep_id, start_at) WHERE status IN ('held', 'confirmed');
+CREATE INDEX idx_appointments_customer ON appointments(customer_id, start_at DESC) WHERE customer_id IS NOT NULL;
+CREATE INDEX idx_appointments_holds ON appointments(hold_expires_at) WHERE status = 'held';
+
+-- Knowledge base indexes
+CREATE INDEX idx_knowledge_documents_agent_config ON knowledge_documents(agent_config_name) WHERE agent_config_name IS NOT NULL;
+CREATE INDEX idx_knowledge_documents_status ON knowledge_documents(status);
 
 -- ============================================================================
 -- ROW LEVEL SECURITY (RLS)
@@ -185,7 +558,20 @@ ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
 ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE call_analytics ENABLE ROW LEVEL SECURITY;
 ALTER TABLE agent_configs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_config_versions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE scheduled_tasks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE phone_number_routes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_contacts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dnc_numbers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE outbound_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customer_field_changes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vocabulary_terms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE meeting_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sales_reps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE appointments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE knowledge_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE knowledge_chunks ENABLE ROW LEVEL SECURITY;
 
 -- Default policy: Service role has full access (for backend operations)
 -- Additional policies should be added based on user authentication needs
@@ -213,20 +599,88 @@ CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations
 CREATE TRIGGER update_agent_configs_updated_at BEFORE UPDATE ON agent_configs
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_phone_number_routes_updated_at BEFORE UPDATE ON phone_number_routes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_campaigns_updated_at BEFORE UPDATE ON campaigns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_campaign_contacts_updated_at BEFORE UPDATE ON campaign_contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_dnc_numbers_updated_at BEFORE UPDATE ON dnc_numbers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_vocabulary_terms_updated_at BEFORE UPDATE ON vocabulary_terms
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_meeting_types_updated_at BEFORE UPDATE ON meeting_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_sales_reps_updated_at BEFORE UPDATE ON sales_reps
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_appointments_updated_at BEFORE UPDATE ON appointments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_knowledge_documents_updated_at BEFORE UPDATE ON knowledge_documents
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Versions are history: they may be deleted with their config, never changed
+CREATE OR REPLACE FUNCTION prevent_agent_config_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'agent_config_versions rows are immutable; create a new version instead';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER agent_config_versions_immutable BEFORE UPDATE ON agent_config_versions
+    FOR EACH ROW EXECUTE FUNCTION prevent_agent_config_version_update();
+
 -- ============================================================================
 -- INITIAL DATA: Default agent configuration
 -- ============================================================================
 
-INSERT INTO agent_configs (name, type, system_prompt, voice_settings, escalation_rules, active)
+INSERT INTO agent_configs (name, type, system_prompt, voice_settings, escalation_rules, active, active_version, version_activated_by, version_activated_at)
 VALUES (
     'default_voice_agent',
     'voice',
     'You are a helpful AI voice assistant for LegacyAI. Your goal is to assist customers with their inquiries in a professional and friendly manner. Listen carefully, provide accurate information, and escalate to a human agent when necessary.',
     '{"voice": "alloy", "speed": 1.0, "model": "gpt-4-1106-preview"}'::jsonb,
     '{"keywords": ["speak to human", "transfer", "manager"], "sentiment_threshold": -0.5, "max_turns": 20}'::jsonb,
-    true
+    true,
+    1,
+    'schema',
+    NOW()
 ) ON CONFLICT (name) DO NOTHING;
 
+-- Version 1 of the default agent configuration
+INSERT INTO agent_config_versions (agent_config_name, version, snapshot, author, note)
+SELECT name, 1, jsonb_build_object(
+    'type', type,
+    'system_prompt', system_prompt,
+    'temperature', temperature,
+    'max_tokens', max_tokens,
+    'voice_settings', voice_settings,
+    'escalation_rules', escalation_rules,
+    'recording_policy', recording_policy,
+    'recording_consent_prompt', recording_consent_prompt,
+    'ivr_menu', ivr_menu,
+    'greeting', greeting,
+    'returning_greeting', returning_greeting,
+    'business_hours', business_hours,
+    'tools', to_jsonb(tools),
+    'qualification', qualification
+), 'schema', 'Initial version'
+FROM agent_configs
+WHERE name = 'default_voice_agent'
+ON CONFLICT (agent_config_name, version) DO NOTHING;
+
+-- Default bookable meeting type
+INSERT INTO meeting_types (name, label, description, duration_minutes, buffer_minutes)
+VALUES ('demo', 'Product demo', 'A walkthrough of the product with one of our team.', 30, 15)
+ON CONFLICT (name) DO NOTHING;
+
 -- ============================================================================
 -- END OF SCHEMA
 -- ============================================================================
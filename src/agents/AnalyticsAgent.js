@@ -2,7 +2,7 @@
  * @fileoverview Analytics Agent for metrics tracking and reporting
  * @author LegacyAI Analytics Agent
  * @created 2025-10-01T12:00:00Z
- * @lastModified 2025-10-01T12:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This agent provides comprehensive analytics functionality including:
  * - Real-time call status tracking
@@ -223,11 +223,14 @@ class AnalyticsAgent extends BaseAgent {
    * - Average duration
    * - Average sentiment
    * - Unique callers
+   * - Answering-machine detection outcomes (outbound calls)
+   * - Calls, escalations and sentiment by IVR menu selection
+   * Simulated conversations (is_simulated) are excluded.
    *
    * @param {string} date - Date in YYYY-MM-DD format
    * @returns {Promise<APIResponse>} Response containing calculated analytics
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * const result = await analyticsAgent.calculateDailyAnalytics('2025-10-01');
@@ -249,6 +252,7 @@ class AnalyticsAgent extends BaseAgent {
 
       // Query all conversations for the specified date
       // We need to query the database directly using the Supabase client
+      // Text simulation sessions (/api/simulate) are not real calls and are left out
       const startOfDay = `${date}T00:00:00Z`;
       const endOfDay = `${date}T23:59:59Z`;
 
@@ -256,7 +260,8 @@ class AnalyticsAgent extends BaseAgent {
         .from('conversations')
         .select('*')
         .gte('started_at', startOfDay)
-        .lte('started_at', endOfDay);
+        .lte('started_at', endOfDay)
+        .eq('is_simulated', false);
 
       if (error) {
         this.logger.error('Failed to fetch conversations for analytics', error);
@@ -271,6 +276,9 @@ class AnalyticsAgent extends BaseAgent {
       const avgSentiment = this.metricsService.calculateAverageSentiment(conversations);
       const successRate = this.metricsService.calculateSuccessRate(conversations);
       const escalationRate = this.metricsService.calculateEscalationRate(conversations);
+      const answeringOutcomes = this.metricsService.countAnsweringOutcomes(conversations);
+      const menuSelections = this.metricsService.summarizeByMenuSelection(conversations);
+      const dialogOutcomes = this.metricsService.countDialogOutcomes(conversations);
 
       // Count successful resolutions (non-escalated calls)
       const successfulResolutions = conversations.filter(c => !c.escalated).length;
@@ -293,6 +301,9 @@ class AnalyticsAgent extends BaseAgent {
         metadata: {
           success_rate: successRate,
           escalation_rate: escalationRate,
+          answering_outcomes: answeringOutcomes,
+          menu_selections: menuSelections,
+          dialog_outcomes: dialogOutcomes,
           calculated_at: new Date().toISOString()
         }
       };
@@ -0,0 +1,1106 @@
+/**
+ * @fileoverview Campaign Agent for paced outbound calling campaigns
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * This agent dials campaign contact lists through the campaign queue:
+ * - Campaign creation with a contact list, script or agent config and calling window
+ * - Pacing by max concurrent calls and calls per minute
+ * - Retries with exponential backoff for busy, no-answer and failed calls
+ * - Pause and resume (stale queue jobs are ignored via a dispatch token)
+ * - Compliance blocks (DNC, calling hours, caps) skip or reschedule the contact
+ * - Progress summaries for the status API and the WebSocket campaign topics
+ *
+ * Dispatch loop:
+ *   start/resume -> 'dispatch' job -> 'dial' jobs spaced 60s / calls_per_minute apart
+ *                -> next 'dispatch' job every DISPATCH_INTERVAL_MS while running
+ * Call outcomes arrive on /webhooks/campaign-status (Twilio statusCallback).
+ */
+
+const { BaseAgent } = require('../utils/BaseAgent');
+const DatabaseService = require('../services/DatabaseService');
+const { getBusinessHoursStatus } = require('../utils/businessHours');
+
+/**
+ * How often a running campaign looks for contacts to dial
+ * @constant {number}
+ */
+const DISPATCH_INTERVAL_MS = 15000;
+
+/**
+ * Re-check delay when the calling window has no opening in the next two weeks
+ * @constant {number}
+ */
+const WINDOW_RECHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Settings used when a campaign does not set its own
+ * @constant {Object}
+ */
+const DEFAULT_CAMPAIGN_SETTINGS = {
+  max_concurrent: 1,
+  calls_per_minute: 5,
+  max_attempts: 3,
+  retry_delay_seconds: 900
+};
+
+/**
+ * Longest wait between two attempts, however many retries came before
+ * @constant {number}
+ */
+const MAX_RETRY_DELAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Final Twilio call statuses (anything else is still in progress)
+ * @constant {string[]}
+ */
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+/**
+ * Call outcomes worth another attempt
+ * @constant {string[]}
+ */
+const RETRYABLE_OUTCOMES = ['busy', 'no-answer', 'failed'];
+
+/**
+ * Compliance rules that waiting will not clear (see ComplianceService)
+ * @constant {string[]}
+ */
+const PERMANENT_COMPLIANCE_RULES = ['dnc', 'invalid_number', 'unknown_region'];
+
+/**
+ * Contact statuses tracked in progress summaries
+ * @constant {string[]}
+ */
+const CONTACT_STATUSES = ['pending', 'queued', 'dialing', 'retry', 'completed', 'failed'];
+
+/**
+ * E.164 phone number format
+ * @constant {RegExp}
+ */
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * CampaignAgent class for outbound calling campaigns
+ * Extends BaseAgent to inherit logging and utility methods
+ *
+ * @class CampaignAgent
+ * @extends BaseAgent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class CampaignAgent extends BaseAgent {
+  /**
+   * Initialize CampaignAgent
+   *
+   * @param {Object} config - Agent configuration object
+   * @param {Object} config.twilio - Twilio configuration (webhookUrl for status callbacks)
+   * @param {Object} config.voiceAgent - VoiceGatewayAgent used to place calls
+   * @param {Object} config.queueManager - QueueManager for dispatch and dial jobs
+   * @param {DatabaseService} [config.databaseService] - Optional database service instance
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const campaignAgent = new CampaignAgent({
+   *   ...config,
+   *   voiceAgent: agents.voice,
+   *   queueManager
+   * });
+   * await campaignAgent.initialize();
+   */
+  constructor(config = {}) {
+    super(config);
+
+    // Initialize services - allow dependency injection for testing
+    this.databaseService = config.databaseService || new DatabaseService();
+    this.voiceAgent = config.voiceAgent || null;
+    this.queueManager = config.queueManager || null;
+
+    // WebSocket server manager for progress broadcasts (attached once it is running)
+    this.wsManager = null;
+
+    this.logger.info('CampaignAgent constructor completed');
+  }
+
+  /**
+   * Initialize agent and dependencies
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If database initialization fails
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async initialize() {
+    try {
+      this.logger.info('Initializing CampaignAgent');
+
+      if (!this.databaseService.client) {
+        await this.databaseService.initialize();
+      }
+
+      this.logger.info('CampaignAgent initialization complete');
+    } catch (error) {
+      this.logger.error('Failed to initialize CampaignAgent', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach the WebSocket server manager used for progress broadcasts
+   * @param {Object} wsManager - WebSocketServerManager instance
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  attachWebSocket(wsManager) {
+    this.wsManager = wsManager;
+  }
+
+  /**
+   * Create a campaign with its contact list
+   * The campaign starts in 'draft'; call startCampaign() to begin dialing.
+   *
+   * @param {Object} input - Campaign definition
+   * @param {string} input.name - Campaign name
+   * @param {string} [input.agentConfigName] - Persona placing the calls
+   * @param {string} [input.script] - Opening message (agent config greeting when omitted)
+   * @param {Object} [input.callingWindow] - Business-hours calendar limiting when calls are placed
+   * @param {number} [input.maxConcurrent=1] - Maximum calls in progress at once
+   * @param {number} [input.callsPerMinute=5] - Maximum new calls per minute
+   * @param {number} [input.maxAttempts=3] - Attempts per contact, including the first
+   * @param {number} [input.retryDelaySeconds=900] - Delay before the first retry (doubles after each)
+   * @param {Array<string|Object>} [input.contacts] - Phone numbers or { phoneNumber, name, customerId }
+   * @returns {Promise<APIResponse>} { campaign, contactsAdded, invalidContacts }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await campaignAgent.createCampaign({
+   *   name: 'October renewals',
+   *   agentConfigName: 'sales_agent',
+   *   callsPerMinute: 10,
+   *   maxConcurrent: 3,
+   *   contacts: ['+15551234567', { phoneNumber: '+15557654321', name: 'Jane' }]
+   * });
+   */
+  async createCampaign(input = {}) {
+    const requestId = this.generateRequestId();
+
+    try {
+      this.logger.info(`Creating campaign: ${input.name}`);
+
+      const validationError = this.validateCampaignInput(input);
+      if (validationError) {
+        return this.createResponse(false, null, validationError, requestId);
+      }
+
+      const campaignResult = await this.databaseService.createCampaign({
+        name: input.name,
+        agent_config_name: input.agentConfigName || null,
+        script: input.script || null,
+        calling_window: input.callingWindow || null,
+        max_concurrent: input.maxConcurrent || DEFAULT_CAMPAIGN_SETTINGS.max_concurrent,
+        calls_per_minute: input.callsPerMinute || DEFAULT_CAMPAIGN_SETTINGS.calls_per_minute,
+        max_attempts: input.maxAttempts || DEFAULT_CAMPAIGN_SETTINGS.max_attempts,
+        retry_delay_seconds: input.retryDelaySeconds !== undefined
+          ? input.retryDelaySeconds
+          : DEFAULT_CAMPAIGN_SETTINGS.retry_delay_seconds
+      });
+
+      if (!campaignResult.success) {
+        return this.createResponse(false, null, campaignResult.error, requestId);
+      }
+
+      const campaign = campaignResult.data;
+      const { valid, invalid } = this.normalizeContacts(input.contacts || []);
+
+      let contactsAdded = 0;
+      if (valid.length > 0) {
+        const contactsResult = await this.databaseService.addCampaignContacts(campaign.id, valid);
+        if (!contactsResult.success) {
+          return this.createResponse(false, null, contactsResult.error, requestId);
+        }
+        contactsAdded = contactsResult.data.length;
+      }
+
+      this.logger.info(`Campaign created: ${campaign.id}`, { contactsAdded, invalidContacts: invalid.length });
+
+      return this.createResponse(true, { campaign, contactsAdded, invalidContacts: invalid }, null, requestId);
+
+    } catch (error) {
+      this.logger.error('Exception in createCampaign', error);
+      return this.createResponse(false, null, error.message, requestId);
+    }
+  }
+
+  /**
+   * Add contacts to an existing campaign
+   * Numbers already in the campaign are skipped; a running campaign picks
+   * new contacts up on its next dispatch.
+   *
+   * @param {string} campaignId - Campaign UUID
+   * @param {Array<string|Object>} contacts - Phone numbers or { phoneNumber, name, customerId }
+   * @returns {Promise<APIResponse>} { contactsAdded, invalidContacts }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await campaignAgent.addContacts(campaignId, ['+15551234567']);
+   */
+  async addContacts(campaignId, contacts) {
+    const requestId = this.generateRequestId();
+
+    try {
+      if (!Array.isArray(contacts) || contacts.length === 0) {
+        return this.createResponse(false, null, 'contacts must be a non-empty array', requestId);
+      }
+
+      const campaignResult = await this.databaseService.getCampaign(campaignId);
+      if (!campaignResult.success) {
+        return this.createResponse(false, null, campaignResult.error, requestId);
+      }
+
+      if (campaignResult.data.status === 'completed') {
+        return this.createResponse(false, null, 'Cannot add contacts to a completed campaign', requestId);
+      }
+
+      const { valid, invalid } = this.normalizeContacts(contacts);
+
+      let contactsAdded = 0;
+      if (valid.length > 0) {
+        const contactsResult = await this.databaseService.addCampaignContacts(campaignId, valid);
+        if (!contactsResult.success) {
+          return this.createResponse(false, null, contactsResult.error, requestId);
+        }
+        contactsAdded = contactsResult.data.length;
+      }
+
+      return this.createResponse(true, { contactsAdded, invalidContacts: invalid }, null, requestId);
+
+    } catch (error) {
+      this.logger.error(`Exception in addContacts for campaign: ${campaignId}`, error);
+      return this.createResponse(false, null, error.message, requestId);
+    }
+  }
+
+  /**
+   * Start dialing a draft campaign
+   *
+   * @param {string} campaignId - Campaign UUID
+   * @returns {Promise<APIResponse>} Campaign status (see getCampaignStatus)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await campaignAgent.startCampaign(campaignId);
+   */
+  async startCampaign(campaignId) {
+    return this.runCampaign(campaignId, 'draft', { started_at: new Date().toISOString() });
+  }
+
+  /**
+   * Resume dialing a paused campaign
+   * Retries keep their original next_attempt_at.
+   *
+   * @param {string} campaignId - Campaign UUID
+   * @returns {Promise<APIResponse>} Campaign status (see getCampaignStatus)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await campaignAgent.resumeCampaign(campaignId);
+   */
+  async resumeCampaign(campaignId) {
+    return this.runCampaign(campaignId, 'paused', { paused_at: null });
+  }
+
+  /**
+   * Move a campaign to 'running' and queue its first dispatch
+   * A fresh dispatch token retires any dispatch job left over from an
+   * earlier run, so pause/resume never leaves two dispatch loops behind.
+   *
+   * @param {string} campaignId - Campaign UUID
+   * @param {string} fromStatus - Status the campaign must currently have
+   * @param {Object} fields - Extra campaign columns to set
+   * @returns {Promise<APIResponse>} Campaign status
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async runCampaign(campaignId, fromStatus, fields) {
+    const requestId = this.generateRequestId();
+
+    try {
+      const campaignResult = await this.databaseService.getCampaign(campaignId);
+      if (!campaignResult.success) {
+        return this.createResponse(false, null, campaignResult.error, requestId);
+      }
+
+      const campaign = campaignResult.data;
+      if (campaign.status !== fromStatus) {
+        return this.createResponse(false, null, `Campaign is ${campaign.status}, expected ${fromStatus}`, requestId);
+      }
+
+      if (!this.queueManager || !this.voiceAgent) {
+        return this.createResponse(false, null, 'Campaign dialer is not configured', requestId);
+      }
+
+      const token = this.generateRequestId();
+      const updateResult = await this.databaseService.updateCampaign(campaignId, {
+        ...fields,
+        status: 'running',
+        dispatch_token: token
+      });
+
+      if (!updateResult.success) {
+        return this.createResponse(false, null, updateResult.error, requestId);
+      }
+
+      const jobResult = await this.queueManager.addCampaignJob('dispatch', { campaignId, token });
+      if (!jobResult.success) {
+        this.logger.error(`Failed to queue first dispatch for campaign: ${campaignId}`, jobResult.error);
+      }
+
+      this.logger.info(`Campaign ${campaignId} running (was ${fromStatus})`);
+
+      return this.getCampaignStatus(campaignId);
+
+    } catch (error) {
+      this.logger.error(`Exception starting campaign: ${campaignId}`, error);
+      return this.createResponse(false, null, error.message, requestId);
+    }
+  }
+
+  /**
+   * Pause a running campaign
+   * Calls already in progress finish normally; queued contacts that have
+   * not been dialed yet go back to the pool.
+   *
+   * @param {string} campaignId - Campaign UUID
+   * @returns {Promise<APIResponse>} Campaign status (see getCampaignStatus)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await campaignAgent.pauseCampaign(campaignId);
+   */
+  async pauseCampaign(campaignId) {
+    const requestId = this.generateRequestId();
+
+    try {
+      const campaignResult = await this.databaseService.getCampaign(campaignId);
+      if (!campaignResult.success) {
+        return this.createResponse(false, null, campaignResult.error, requestId);
+      }
+
+      if (campaignResult.data.status !== 'running') {
+        return this.createResponse(false, null, `Campaign is ${campaignResult.data.status}, expected running`, requestId);
+      }
+
+      const updateResult = await this.databaseService.updateCampaign(campaignId, {
+        status: 'paused',
+        paused_at: new Date().toISOString(),
+        dispatch_token: null
+      });
+
+      if (!updateResult.success) {
+        return this.createResponse(false, null, updateResult.error, requestId);
+      }
+
+      this.logger.info(`Campaign ${campaignId} paused`);
+
+      return this.getCampaignStatus(campaignId);
+
+    } catch (error) {
+      this.logger.error(`Exception pausing campaign: ${campaignId}`, error);
+      return this.createResponse(false, null, error.message, requestId);
+    }
+  }
+
+  /**
+   * Get a campaign with its progress counts
+   *
+   * @param {string} campaignId - Campaign UUID
+   * @returns {Promise<APIResponse>} { campaign, progress }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await campaignAgent.getCampaignStatus(campaignId);
+   * console.log(`${result.data.progress.percentComplete}% complete`);
+   */
+  async getCampaignStatus(campaignId) {
+    const requestId = this.generateRequestId();
+
+    try {
+      const campaignResult = await this.databaseService.getCampaign(campaignId);
+      if (!campaignResult.success) {
+        return this.createResponse(false, null, campaignResult.error, requestId);
+      }
+
+      const contactsResult = await this.databaseService.getCampaignContacts(campaignId);
+      if (!contactsResult.success) {
+        return this.createResponse(false, null, contactsResult.error, requestId);
+      }
+
+      const campaign = campaignResult.data;
+      const progress = this.summarizeContacts(contactsResult.data);
+
+      this.broadcastProgress(campaign, progress);
+
+      return this.createResponse(true, { campaign: this.describeCampaign(campaign), progress }, null, requestId);
+
+    } catch (error) {
+      this.logger.error(`Exception in getCampaignStatus for campaign: ${campaignId}`, error);
+      return this.createResponse(false, null, error.message, requestId);
+    }
+  }
+
+  /**
+   * Dispatch the next batch of calls for a running campaign
+   * Runs from a 'dispatch' queue job. Dials as many due contacts as the
+   * concurrency and per-minute limits allow, spacing them evenly across the
+   * minute, then queues the next dispatch.
+   *
+   * @param {Object} jobData - Dispatch job data
+   * @param {string} jobData.campaignId - Campaign UUID
+   * @param {string} jobData.token - Dispatch token the job was queued with
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<APIResponse>} { dispatched, progress } or { skipped }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await campaignAgent.dispatchCampaign({ campaignId, token });
+   */
+  async dispatchCampaign(jobData, now = new Date()) {
+    const requestId = this.generateRequestId();
+    const { campaignId, token } = jobData;
+
+    try {
+      const campaignResult = await this.databaseService.getCampaign(campaignId);
+      if (!campaignResult.success) {
+        return this.createResponse(false, null, campaignResult.error, requestId);
+      }
+
+      const campaign = campaignResult.data;
+
+      // Paused, completed or superseded by a newer start/resume
+      if (campaign.status !== 'running' || campaign.dispatch_token !== token) {
+        this.logger.info(`Skipping stale dispatch for campaign: ${campaignId}`);
+        return this.createResponse(true, { skipped: 'not_running' }, null, requestId);
+      }
+
+      const window = getBusinessHoursStatus(campaign.calling_window, now);
+      if (!window.open) {
+        const delay = window.nextOpenAt
+          ? Math.max(window.nextOpenAt.getTime() - now.getTime(), DISPATCH_INTERVAL_MS)
+          : WINDOW_RECHECK_MS;
+
+        this.logger.info(`Campaign ${campaignId} outside calling window, next dispatch in ${Math.round(delay / 1000)}s`);
+        await this.queueManager.addCampaignJob('dispatch', { campaignId, token }, { delay });
+
+        return this.createResponse(true, { skipped: 'outside_calling_window', nextOpenAt: window.nextOpenAt }, null, requestId);
+      }
+
+      const contactsResult = await this.databaseService.getCampaignContacts(campaignId);
+      if (!contactsResult.success) {
+        return this.createResponse(false, null, contactsResult.error, requestId);
+      }
+
+      const contacts = contactsResult.data;
+      const progress = this.summarizeContacts(contacts, now);
+
+      if (progress.remaining === 0) {
+        await this.completeCampaign(campaign, progress);
+        return this.createResponse(true, { dispatched: 0, completed: true, progress }, null, requestId);
+      }
+
+      const settings = this.getCampaignSettings(campaign);
+      const capacity = Math.max(0, Math.min(
+        settings.max_concurrent - progress.active,
+        settings.calls_per_minute - progress.startedLastMinute
+      ));
+      const spacingMs = Math.ceil(60000 / settings.calls_per_minute);
+      const due = contacts.filter(contact => this.isContactDue(contact, now)).slice(0, capacity);
+
+      let dispatched = 0;
+      for (const contact of due) {
+        const delay = dispatched * spacingMs;
+
+        // last_attempt_at is the planned dial time, so the per-minute window counts it correctly
+        const updateResult = await this.databaseService.updateCampaignContact(contact.id, {
+          status: 'queued',
+          last_attempt_at: new Date(now.getTime() + delay).toISOString()
+        });
+
+        if (!updateResult.success) {
+          this.logger.warn(`Failed to queue contact ${contact.id}: ${updateResult.error}`);
+          continue;
+        }
+
+        await this.queueManager.addCampaignJob('dial', { campaignId, contactId: contact.id, token }, { delay });
+        dispatched++;
+      }
+
+      await this.queueManager.addCampaignJob('dispatch', { campaignId, token }, { delay: DISPATCH_INTERVAL_MS });
+
+      this.logger.info(`Campaign ${campaignId} dispatched ${dispatched} call(s)`, {
+        active: progress.active,
+        startedLastMinute: progress.startedLastMinute
+      });
+
+      const updatedProgress = {
+        ...progress,
+        queued: progress.queued + dispatched,
+        active: progress.active + dispatched,
+        pending: progress.pending - due.filter(contact => contact.status === 'pending').length,
+        retry: progress.retry - due.filter(contact => contact.status === 'retry').length
+      };
+      this.broadcastProgress(campaign, updatedProgress);
+
+      return this.createResponse(true, { dispatched, progress: updatedProgress }, null, requestId);
+
+    } catch (error) {
+      this.logger.error(`Exception in dispatchCampaign for campaign: ${campaignId}`, error);
+      return this.createResponse(false, null, error.message, requestId);
+    }
+  }
+
+  /**
+   * Place the call for one queued contact
+   * Runs from a 'dial' queue job. If the campaign was paused after the
+   * contact was queued, the contact goes back to the pool undialed.
+   *
+   * @param {Object} jobData - Dial job data
+   * @param {string} jobData.campaignId - Campaign UUID
+   * @param {string} jobData.contactId - Campaign contact UUID
+   * @param {string} jobData.token - Dispatch token the job was queued with
+   * @returns {Promise<APIResponse>} { callSid, attempt }, { skipped } or (failed) { blocked, contactStatus }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await campaignAgent.dialContact({ campaignId, contactId, token });
+   */
+  async dialContact(jobData) {
+    const requestId = this.generateRequestId();
+    const { campaignId, contactId, token } = jobData;
+
+    try {
+      const campaignResult = await this.databaseService.getCampaign(campaignId);
+      const contactResult = await this.databaseService.getCampaignContact(contactId);
+
+      if (!campaignResult.success || !contactResult.success) {
+        return this.createResponse(false, null, campaignResult.error || contactResult.error, requestId);
+      }
+
+      const campaign = campaignResult.data;
+      const contact = contactResult.data;
+
+      if (contact.status !== 'queued') {
+        return this.createResponse(true, { skipped: 'not_queued' }, null, requestId);
+      }
+
+      if (campaign.status !== 'running' || campaign.dispatch_token !== token) {
+        await this.databaseService.updateCampaignContact(contactId, {
+          status: contact.attempts > 0 ? 'retry' : 'pending'
+        });
+        return this.createResponse(true, { skipped: 'not_running' }, null, requestId);
+      }
+
+      const attempt = (contact.attempts || 0) + 1;
+      await this.databaseService.updateCampaignContact(contactId, {
+        status: 'dialing',
+        attempts: attempt,
+        last_attempt_at: new Date().toISOString()
+      });
+
+      const callResult = await this.voiceAgent.makeOutboundCall(contact.phone_number, campaign.script, {
+        agentConfigName: campaign.agent_config_name || undefined,
+        statusCallback: this.getStatusCallbackUrl(campaignId, contactId),
+        metadata: {
+          campaign: { id: campaignId, contactId, attempt }
+        }
+      });
+
+      if (!callResult.success && callResult.data && callResult.data.blocked) {
+        this.logger.warn(`Campaign call to contact ${contactId} blocked by compliance rule: ${callResult.data.rule}`);
+        const outcome = await this.applyComplianceBlock(campaign, contact, callResult.data);
+        return this.createResponse(false, { blocked: callResult.data.rule, contactStatus: outcome.status }, callResult.error, requestId);
+      }
+
+      if (!callResult.success) {
+        this.logger.warn(`Campaign call to contact ${contactId} failed to start: ${callResult.error}`);
+        const outcome = await this.applyCallOutcome(campaign, { ...contact, attempts: attempt }, 'failed');
+        return this.createResponse(false, { attempt, contactStatus: outcome.status }, callResult.error, requestId);
+      }
+
+      await this.databaseService.updateCampaignContact(contactId, {
+        last_call_sid: callResult.data.callSid
+      });
+
+      return this.createResponse(true, { callSid: callResult.data.callSid, attempt }, null, requestId);
+
+    } catch (error) {
+      this.logger.error(`Exception in dialContact for contact: ${contactId}`, error);
+      return this.createResponse(false, null, error.message, requestId);
+    }
+  }
+
+  /**
+   * Record the final status of a campaign call
+   * Called from /webhooks/campaign-status. Busy, no-answer and failed calls
+   * are retried with backoff until max_attempts is reached.
+   *
+   * @param {Object} payload - Status callback data
+   * @param {string} payload.campaignId - Campaign UUID (from the callback URL)
+   * @param {string} payload.contactId - Campaign contact UUID (from the callback URL)
+   * @param {string} payload.CallSid - Twilio call SID
+   * @param {string} payload.CallStatus - Twilio call status
+   * @returns {Promise<APIResponse>} { contactStatus, nextAttemptAt } or { ignored }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await campaignAgent.handleCallStatus({ campaignId, contactId, CallSid: 'CA123', CallStatus: 'busy' });
+   */
+  async handleCallStatus(payload) {
+    const requestId = this.generateRequestId();
+    const { campaignId, contactId, CallSid: callSid, CallStatus: callStatus } = payload;
+
+    try {
+      if (!FINAL_CALL_STATUSES.includes(callStatus)) {
+        return this.createResponse(true, { ignored: callStatus }, null, requestId);
+      }
+
+      const campaignResult = await this.databaseService.getCampaign(campaignId);
+      const contactResult = await this.databaseService.getCampaignContact(contactId);
+
+      if (!campaignResult.success || !contactResult.success) {
+        return this.createResponse(false, null, campaignResult.error || contactResult.error, requestId);
+      }
+
+      const campaign = campaignResult.data;
+      const contact = contactResult.data;
+
+      // A late callback from an earlier attempt must not overwrite the current one
+      if (contact.last_call_sid && callSid && contact.last_call_sid !== callSid) {
+        return this.createResponse(true, { ignored: 'stale_call' }, null, requestId);
+      }
+
+      const outcome = await this.applyCallOutcome(campaign, contact, callStatus);
+
+      this.logger.info(`Campaign ${campaignId} contact ${contactId}: ${callStatus} -> ${outcome.status}`);
+
+      const statusResult = await this.getCampaignStatus(campaignId);
+      if (statusResult.success && campaign.status === 'running' && statusResult.data.progress.remaining === 0) {
+        await this.completeCampaign(campaign, statusResult.data.progress);
+      }
+
+      return this.createResponse(true, {
+        contactStatus: outcome.status,
+        nextAttemptAt: outcome.next_attempt_at
+      }, null, requestId);
+
+    } catch (error) {
+      this.logger.error(`Exception in handleCallStatus for contact: ${contactId}`, error);
+      return this.createResponse(false, null, error.message, requestId);
+    }
+  }
+
+  /**
+   * Store a call outcome on a contact and decide whether to retry
+   * @param {Object} campaign - campaigns row
+   * @param {Object} contact - campaign_contacts row (attempts includes this call)
+   * @param {string} outcome - Final Twilio call status
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object>} Contact fields written: { status, last_outcome, next_attempt_at }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async applyCallOutcome(campaign, contact, outcome, now = new Date()) {
+    const settings = this.getCampaignSettings(campaign);
+    const attempts = contact.attempts || 0;
+
+    let status = 'failed';
+    let nextAttemptAt = null;
+
+    if (outcome === 'completed') {
+      status = 'completed';
+    } else if (RETRYABLE_OUTCOMES.includes(outcome) && attempts < settings.max_attempts) {
+      status = 'retry';
+      nextAttemptAt = new Date(now.getTime() + this.getRetryDelayMs(campaign, attempts)).toISOString();
+    }
+
+    const fields = { status, last_outcome: outcome, next_attempt_at: nextAttemptAt };
+    const updateResult = await this.databaseService.updateCampaignContact(contact.id, fields);
+
+    if (!updateResult.success) {
+      this.logger.error(`Failed to record outcome for contact ${contact.id}`, updateResult.error);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Record a call the compliance guard refused to place
+   * The refused dial does not use up an attempt. Do-not-call, invalid and
+   * unknown-region numbers are failed for good; calling-hours and frequency
+   * blocks are retried once the guard says the number can be called again.
+   *
+   * @param {Object} campaign - campaigns row
+   * @param {Object} contact - campaign_contacts row (attempts before this dial)
+   * @param {Object} block - { rule, reason, retryAt } from makeOutboundCall
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object>} Fields written to the contact
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async applyComplianceBlock(campaign, contact, block, now = new Date()) {
+    const permanent = PERMANENT_COMPLIANCE_RULES.includes(block.rule);
+    const retryAt = block.retryAt ||
+      new Date(now.getTime() + this.getRetryDelayMs(campaign, contact.attempts || 0)).toISOString();
+
+    const fields = {
+      status: permanent ? 'failed' : 'retry',
+      attempts: contact.attempts || 0,
+      last_outcome: `blocked_${block.rule}`,
+      next_attempt_at: permanent ? null : retryAt
+    };
+    const updateResult = await this.databaseService.updateCampaignContact(contact.id, fields);
+
+    if (!updateResult.success) {
+      this.logger.error(`Failed to record compliance block for contact ${contact.id}`, updateResult.error);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Delay before the next attempt, doubling after each failed attempt
+   * @param {Object} campaign - campaigns row
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * // retry_delay_seconds 900: 15 min after the 1st attempt, 30 min after the 2nd
+   * agent.getRetryDelayMs(campaign, 2); // 1800000
+   */
+  getRetryDelayMs(campaign, attempts) {
+    const base = this.getCampaignSettings(campaign).retry_delay_seconds;
+    const seconds = Math.min(base * Math.pow(2, Math.max(0, attempts - 1)), MAX_RETRY_DELAY_SECONDS);
+
+    return seconds * 1000;
+  }
+
+  /**
+   * Mark a campaign completed once every contact is finished
+   * @param {Object} campaign - campaigns row
+   * @param {Object} progress - Progress summary
+   * @returns {Promise<void>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async completeCampaign(campaign, progress) {
+    const updateResult = await this.databaseService.updateCampaign(campaign.id, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      dispatch_token: null
+    });
+
+    if (!updateResult.success) {
+      this.logger.error(`Failed to complete campaign ${campaign.id}`, updateResult.error);
+      return;
+    }
+
+    this.logger.info(`Campaign ${campaign.id} completed`, {
+      completed: progress.completed,
+      failed: progress.failed
+    });
+
+    this.broadcastProgress(updateResult.data || { ...campaign, status: 'completed' }, progress);
+  }
+
+  /**
+   * Whether a contact can be dialed now
+   * @param {Object} contact - campaign_contacts row
+   * @param {Date} now - Current time
+   * @returns {boolean} True for pending contacts and retries whose wait is over
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  isContactDue(contact, now) {
+    if (contact.status === 'pending') {
+      return true;
+    }
+
+    return contact.status === 'retry' &&
+      (!contact.next_attempt_at || new Date(contact.next_attempt_at) <= now);
+  }
+
+  /**
+   * Count contacts by status for progress reporting and pacing
+   * @param {Array<Object>} contacts - campaign_contacts rows
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Object} Counts per status plus total, active, remaining, attempts,
+   *   startedLastMinute, outcomes and percentComplete
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const progress = agent.summarizeContacts(contacts);
+   * // { total: 120, pending: 80, dialing: 3, completed: 30, failed: 2, percentComplete: 27, ... }
+   */
+  summarizeContacts(contacts, now = new Date()) {
+    const progress = { total: contacts.length };
+    CONTACT_STATUSES.forEach(status => {
+      progress[status] = 0;
+    });
+
+    const minuteAgo = now.getTime() - 60000;
+    let startedLastMinute = 0;
+    let attempts = 0;
+    const outcomes = {};
+
+    for (const contact of contacts) {
+      if (progress[contact.status] !== undefined) {
+        progress[contact.status]++;
+      }
+
+      attempts += contact.attempts || 0;
+
+      const startedAt = contact.last_attempt_at ? new Date(contact.last_attempt_at).getTime() : null;
+      if (startedAt !== null && startedAt >= minuteAgo && ['queued', 'dialing', 'retry', 'completed', 'failed'].includes(contact.status)) {
+        startedLastMinute++;
+      }
+
+      if (contact.last_outcome) {
+        outcomes[contact.last_outcome] = (outcomes[contact.last_outcome] || 0) + 1;
+      }
+    }
+
+    const finished = progress.completed + progress.failed;
+
+    return {
+      ...progress,
+      active: progress.queued + progress.dialing,
+      remaining: progress.total - finished,
+      attempts,
+      startedLastMinute,
+      outcomes,
+      percentComplete: progress.total > 0 ? Math.round((finished / progress.total) * 100) : 100
+    };
+  }
+
+  /**
+   * Campaign settings with defaults filled in
+   * @param {Object} campaign - campaigns row
+   * @returns {Object} { max_concurrent, calls_per_minute, max_attempts, retry_delay_seconds }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  getCampaignSettings(campaign) {
+    const settings = {};
+
+    for (const [key, fallback] of Object.entries(DEFAULT_CAMPAIGN_SETTINGS)) {
+      const value = Number(campaign[key]);
+      settings[key] = Number.isFinite(value) && value >= 0 ? value : fallback;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Twilio statusCallback URL that reports a campaign call's outcome
+   * @param {string} campaignId - Campaign UUID
+   * @param {string} contactId - Campaign contact UUID
+   * @returns {string} Absolute callback URL
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getStatusCallbackUrl(campaignId, contactId) {
+    const query = `campaignId=${encodeURIComponent(campaignId)}&contactId=${encodeURIComponent(contactId)}`;
+    return `${this.config.twilio.webhookUrl}/webhooks/campaign-status?${query}`;
+  }
+
+  /**
+   * Validate a campaign definition
+   * @param {Object} input - createCampaign() input
+   * @returns {string|null} Error message, or null when valid
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  validateCampaignInput(input) {
+    if (!input.name || typeof input.name !== 'string') {
+      return 'name is required';
+    }
+
+    if (!input.script && !input.agentConfigName) {
+      return 'Either script or agentConfigName is required';
+    }
+
+    for (const field of ['maxConcurrent', 'callsPerMinute', 'maxAttempts']) {
+      if (input[field] !== undefined && (!Number.isInteger(input[field]) || input[field] < 1)) {
+        return `${field} must be a positive integer`;
+      }
+    }
+
+    if (input.retryDelaySeconds !== undefined && (!Number.isInteger(input.retryDelaySeconds) || input.retryDelaySeconds < 0)) {
+      return 'retryDelaySeconds must be a non-negative integer';
+    }
+
+    if (input.callingWindow !== undefined && input.callingWindow !== null && typeof input.callingWindow !== 'object') {
+      return 'callingWindow must be a business-hours calendar object';
+    }
+
+    if (input.contacts !== undefined && !Array.isArray(input.contacts)) {
+      return 'contacts must be an array';
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize a contact list and drop invalid or duplicate numbers
+   * @param {Array<string|Object>} contacts - Phone numbers or { phoneNumber, name, customerId }
+   * @returns {Object} { valid: contact rows, invalid: rejected entries }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  normalizeContacts(contacts) {
+    const valid = [];
+    const invalid = [];
+    const seen = new Set();
+
+    for (const entry of contacts) {
+      const contact = typeof entry === 'string' ? { phoneNumber: entry } : (entry || {});
+      const phoneNumber = String(contact.phoneNumber || contact.phone_number || '').replace(/[\s().-]/g, '');
+
+      if (!E164_PATTERN.test(phoneNumber)) {
+        invalid.push(entry);
+        continue;
+      }
+
+      if (seen.has(phoneNumber)) {
+        continue;
+      }
+      seen.add(phoneNumber);
+
+      valid.push({
+        phone_number: phoneNumber,
+        name: contact.name || null,
+        customer_id: contact.customerId || contact.customer_id || null
+      });
+    }
+
+    return { valid, invalid };
+  }
+
+  /**
+   * Public view of a campaign row (drops the internal dispatch token)
+   * @param {Object} campaign - campaigns row
+   * @returns {Object} Campaign fields
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  describeCampaign(campaign) {
+    const fields = { ...campaign };
+    delete fields.dispatch_token;
+    return fields;
+  }
+
+  /**
+   * Send campaign progress to WebSocket subscribers
+   * @param {Object} campaign - campaigns row
+   * @param {Object} progress - Progress summary
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  broadcastProgress(campaign, progress) {
+    if (!this.wsManager || typeof this.wsManager.broadcastCampaignProgress !== 'function') {
+      return;
+    }
+
+    try {
+      this.wsManager.broadcastCampaignProgress({
+        campaignId: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        progress
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to broadcast progress for campaign ${campaign.id}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Create standard API response
+   * Helper method to ensure consistent response format
+   *
+   * @param {boolean} success - Operation success status
+   * @param {*} data - Response data
+   * @param {string|null} error - Error message
+   * @param {string} requestId - Request ID
+   * @returns {APIResponse}
+   * @private
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  createResponse(success, data, error = null, requestId) {
+    return {
+      success,
+      data,
+      error,
+      timestamp: new Date().toISOString(),
+      requestId: requestId || this.generateRequestId()
+    };
+  }
+
+  /**
+   * Health check for CampaignAgent
+   *
+   * @returns {Promise<Object>} Health status object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async healthCheck() {
+    const details = {
+      database: this.databaseService.client !== null && this.databaseService.client !== undefined,
+      queue: this.queueManager !== null,
+      voice: this.voiceAgent !== null
+    };
+
+    return {
+      healthy: details.database && details.queue && details.voice,
+      details,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Graceful shutdown
+   * Campaign state lives in the database and queue, so there is nothing to flush.
+   *
+   * @returns {Promise<void>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async shutdown() {
+    this.logger.info('CampaignAgent shutdown complete');
+  }
+}
+
+module.exports = CampaignAgent;
@@ -2,7 +2,7 @@
  * @fileoverview Main conversation orchestrator for AI-powered voice interactions
  * @author LegacyAI Subagent Fleet - Conversation Agent Builder
  * @created 2025-10-01T12:00:00Z
- * @lastModified 2025-10-01T12:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This agent orchestrates conversational AI interactions including:
  * - Speech processing and transcription
@@ -10,13 +10,46 @@
  * - Conversation history management
  * - Sentiment analysis
  * - Message persistence to database
- * - TwiML response generation for Twilio
+ * - TwiML response generation for Twilio (<Say>, or <Play> of synthesized audio via TtsService)
+ * - Vocabulary-based speech hints and correction of misheard terms before the AI sees them
+ * - Handoff summaries for warm transfers to human reps
+ * - Persona prompt, model settings (temperature, token limit), voice and
+ *   escalation rules from the call's agent config, pinned to the config version
+ *   the conversation started with; versioned edits, activation and rollback
+ *   via AgentConfigService
+ * - Two-way SMS threads (one conversation per customer/number pair)
+ * - Returning-caller history (prior conversations, tags, open follow-ups) in the prompt
+ * - Text-only simulation sessions for prompt and agent-config testing (no Twilio)
+ * - Claude tool use (customer lookup, scheduling, availability, SMS links, transfers)
+ *   within a per-turn time budget, with a spoken filler while tools run
+ * - Appointment booking with sales reps: offer slots, hold the one picked,
+ *   confirm it (invite email and reminders) via CalendarService
+ * - Lead qualification (BANT, MEDDIC or custom slots): the prompt steers toward
+ *   missing slots, answers are recorded and the customer's lead_score updated
+ * - Knowledge base retrieval: product, pricing and policy passages closest to
+ *   the caller's words are added to the prompt, and the sources each answer
+ *   was given are stored on the assistant message
  */
 
+const crypto = require('crypto');
 const { BaseAgent } = require('../utils/BaseAgent');
 const OpenAIService = require('../services/OpenAIService');
 const AnthropicService = require('../services/AnthropicService');
 const DatabaseService = require('../services/DatabaseService');
+const CustomerService = require('../services/CustomerService');
+const TtsService = require('../services/TtsService');
+const VocabularyService = require('../services/VocabularyService');
+const CalendarService = require('../services/CalendarService');
+const QualificationService = require('../services/QualificationService');
+const KnowledgeBaseService = require('../services/KnowledgeBaseService');
+const AgentConfigService = require('../services/AgentConfigService');
+const ToolRegistry = require('../services/ToolRegistry');
+const { registerBuiltinTools } = require('../services/BuiltinTools');
+const { fitSmsToSegments } = require('../utils/smsSegments');
+const { formatCallerContext } = require('../utils/callerProfile');
+const { extractCustomerFields } = require('../utils/customerExtraction');
+const { formatQualificationContext } = require('../utils/leadQualification');
+const { formatKnowledgeContext, summarizeKnowledgeSources } = require('../utils/knowledgeBase');
 
 /**
  * System prompt for voice assistant
@@ -35,20 +68,119 @@ const MAX_CONTEXT_MESSAGES = 10;
 
 /**
  * Maximum tokens for voice responses (ensures responses are brief)
+ * Used when the agent config sets no max_tokens.
  */
 const MAX_VOICE_RESPONSE_TOKENS = 150;
 
+/**
+ * Temperature for replies when the agent config sets none
+ */
+const DEFAULT_RESPONSE_TEMPERATURE = 0.7;
+
+/**
+ * Agent config for conversations that were not given one (e.g. SMS to an unrouted number)
+ */
+const DEFAULT_AGENT_CONFIG_NAME = 'default_voice_agent';
+
 /**
  * Minimum confidence score for speech recognition (0-1)
  */
 const MIN_SPEECH_CONFIDENCE = 0.5;
 
+/**
+ * System prompt for handoff summaries whispered to human reps
+ */
+const HANDOFF_SUMMARY_SYSTEM_PROMPT = `You summarize phone calls for a human representative who is about to take over.
+Write one or two short spoken sentences: who is calling, what they need, and their mood.
+No greetings, no lists, no markdown.`;
+
+/**
+ * Maximum messages included when summarizing a call for handoff
+ */
+const MAX_HANDOFF_MESSAGES = 30;
+
+/**
+ * Twilio <Say> voice used when the persona does not set voice_settings.twilioVoice
+ */
+const DEFAULT_SAY_VOICE = 'alice';
+
+/**
+ * System prompt for SMS threads without a persona prompt
+ */
+const SMS_ASSISTANT_SYSTEM_PROMPT = `You are a helpful AI assistant replying to customers by text message.
+Keep replies short: one to three sentences.
+Use plain text only - no markdown, lists or emoji.
+Be natural, friendly, and professional.
+If the customer sent a photo or file, acknowledge it.`;
+
+/**
+ * Channel instructions appended to persona prompts on SMS threads
+ */
+const SMS_CHANNEL_INSTRUCTIONS = `This conversation is happening by text message (SMS), not a phone call.
+Reply in one to three short sentences of plain text - no markdown, lists or emoji.`;
+
+/**
+ * Maximum tokens for SMS replies (trimmed to the segment limit afterwards)
+ */
+const MAX_SMS_RESPONSE_TOKENS = 250;
+
+/**
+ * Segments allowed per SMS reply when config.twilio.smsMaxSegments is not set
+ */
+const DEFAULT_SMS_MAX_SEGMENTS = 3;
+
+/**
+ * Carrier/Twilio opt-out and help keywords
+ * Twilio answers these itself, so the AI must not reply to them.
+ */
+const SMS_RESERVED_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'START', 'UNSTOP', 'HELP', 'INFO'];
+
+/**
+ * Prefix of conversations.call_sid for simulation sessions
+ */
+const SIMULATION_SESSION_PREFIX = 'sim:';
+
+/**
+ * conversations.phone_number for simulation sessions without a test number
+ */
+const SIMULATION_PHONE_NUMBER = 'simulator';
+
+/**
+ * Tool-use settings when config.tools is not set (see environment.getToolsConfig)
+ */
+const DEFAULT_TOOLS_CONFIG = {
+  turnBudgetMs: 8000,
+  maxIterations: 3,
+  timeoutMs: 4000,
+  fillerPhrase: 'One moment while I check that for you.',
+};
+
+/**
+ * Least time left in the turn budget worth another model call
+ */
+const MIN_MODEL_CALL_MS = 1000;
+
+/**
+ * Reply when the turn budget runs out while tools are in use
+ */
+const TOOL_BUDGET_FALLBACK_TEXT = "I'm sorry, that took longer than expected. Could you tell me again what you need?";
+
+/**
+ * How to book appointments, added to the prompt of personas with the booking tools
+ */
+const BOOKING_INSTRUCTIONS = `When the customer wants to book a meeting:
+- Check availability and offer two or three of the times, by their spoken labels. If none suit, ask what day or time of day works and check again.
+- When they pick a time, hold it, read the day and time back and ask them to confirm. If they change their mind, hold the new time instead.
+- Only confirm once they have clearly said yes. Then tell them the invite is on its way (or ask for an email address if there is none on file).
+- Never say a time is booked before confirm_appointment succeeds.`;
+
 class ConversationAgent extends BaseAgent {
   /**
    * Initialize ConversationAgent
    * @param {Object} config - Agent configuration from config module
+   * @param {Object} [config.voiceAgent] - VoiceGatewayAgent used by the SMS link and transfer tools
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   constructor(config) {
     super(config);
@@ -62,9 +194,43 @@ class ConversationAgent extends BaseAgent {
     // Initialize database service
     this.dbService = new DatabaseService();
 
+    // Customer records are created for new numbers and filled from what callers say
+    this.customerService = new CustomerService(config.customers, this.dbService);
+
+    // Responses are spoken with <Say> or played from synthesized audio
+    this.ttsService = new TtsService(config.tts, { openaiService: this.openaiService });
+
+    // Product/competitor/SKU vocabulary feeds Gather hints and corrects what was heard
+    this.vocabularyService = new VocabularyService(config.speech, this.dbService);
+
+    // Tools Claude may call mid-conversation; each agent config picks its own (agent_configs.tools)
+    this.toolsConfig = { ...DEFAULT_TOOLS_CONFIG, ...(config.tools || {}) };
+    this.toolRegistry = registerBuiltinTools(new ToolRegistry(this.toolsConfig));
+
+    // Texting and transferring the caller go through the voice gateway (see attachVoiceAgent)
+    this.voiceAgent = config.voiceAgent || null;
+
+    // Appointment slots, holds and bookings with sales reps (invites sent once attachEmailService is called)
+    this.calendarService = new CalendarService(config.calendar, this.dbService);
+
+    // Qualification slots (budget, authority, ...) filled on calls; updates customers.lead_score
+    this.qualificationService = new QualificationService(config.qualification, this.dbService);
+
+    // Product and pricing documents, embedded with OpenAI and searched per turn
+    this.knowledgeBaseService = new KnowledgeBaseService(config.knowledge, {
+      dbService: this.dbService,
+      openaiService: this.openaiService,
+    });
+
+    // Persona edits are saved as versions; conversations record the version they ran with
+    this.agentConfigService = new AgentConfigService(this.dbService, { toolRegistry: this.toolRegistry });
+
     // Track conversation sessions in memory for quick access
     this.activeSessions = new Map();
 
+    // Gather turns whose filler was spoken while tools still run, by call SID
+    this.pendingTurns = new Map();
+
     console.log(`[${new Date().toISOString()}] [INFO] [ConversationAgent] ConversationAgent initialized successfully`);
   }
 
@@ -108,9 +274,10 @@ class ConversationAgent extends BaseAgent {
    * @param {string} speechData.SpeechResult - Transcribed speech text
    * @param {number} speechData.Confidence - Speech recognition confidence (0-1)
    * @param {string} [speechData.From] - Caller phone number
-   * @returns {Promise<Object>} APIResponse with TwiML
+   * @returns {Promise<Object>} APIResponse with TwiML; when tools are still running it speaks
+   *   the filler and redirects to /webhooks/process-speech-result (data.pending)
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    * @example
    * const response = await agent.processSpeech({
    *   CallSid: 'CA123456',
@@ -149,47 +316,405 @@ class ConversationAgent extends BaseAgent {
         };
       }
 
-      // Get conversation context from database
-      const context = await this.getConversationContext(CallSid);
+      // Run the conversational turn (context, response, persistence, sentiment)
+      let announceFiller;
+      const fillerStarted = new Promise(resolve => {
+        announceFiller = (text, voiceSettings) => resolve({ text, voiceSettings });
+      });
+      const turn = this.processUserTurn({
+        callSid: CallSid,
+        text: SpeechResult,
+        confidence: Confidence,
+        from: From,
+        onToolStart: announceFiller,
+      }).then(result => ({ result }), error => ({ error }));
 
-      // Generate AI response using Claude
-      const aiResponse = await this.generateResponse(SpeechResult, context);
+      const first = await Promise.race([turn, fillerStarted.then(filler => ({ filler }))]);
 
-      // Log user message to database
-      const conversationId = context.conversationId || CallSid;
-      await this.logMessage(conversationId, 'user', SpeechResult, {
-        confidence: Confidence,
-        phoneNumber: From,
-      });
+      // Tools are running: speak the filler now, Twilio collects the reply on the redirect
+      if (first.filler) {
+        this.pendingTurns.set(CallSid, { turn, startTime, userInput: SpeechResult });
 
-      // Log assistant response to database
-      await this.logMessage(conversationId, 'assistant', aiResponse.text, {
-        model: aiResponse.model,
-        tokensUsed: aiResponse.totalTokens,
-        latencyMs: aiResponse.latencyMs,
+        this.logger.info(`[${requestId}] Tools running for call ${CallSid}, speaking filler`);
+
+        return {
+          success: true,
+          data: {
+            twiml: this.generateToolFillerTwiML(first.filler.text, first.filler.voiceSettings),
+            pending: true,
+            filler: first.filler.text,
+            userInput: SpeechResult,
+          },
+          error: null,
+          timestamp: new Date().toISOString(),
+          requestId,
+        };
+      }
+
+      if (first.error) {
+        throw first.error;
+      }
+
+      return this.buildSpeechResponse(first.result, { startTime, userInput: SpeechResult, requestId });
+
+    } catch (error) {
+      this.logger.error(`[${requestId}] Failed to process speech`, error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+    }
+  }
+
+  /**
+   * Finish a Gather turn whose filler was spoken while tools ran
+   * Twilio requests this through the filler's <Redirect> to
+   * /webhooks/process-speech-result.
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<Object>} APIResponse shaped like processSpeech()
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @example
+   * const result = await agent.completePendingTurn('CA123456');
+   * res.send(result.data.twiml);
+   */
+  async completePendingTurn(callSid) {
+    const requestId = this.generateRequestId();
+    const pending = this.pendingTurns.get(callSid);
+
+    if (!pending) {
+      this.logger.warn(`[${requestId}] No pending turn for call: ${callSid}`);
+      return {
+        success: false,
+        data: null,
+        error: 'No pending turn for call',
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+    }
+
+    try {
+      const { result, error } = await pending.turn;
+
+      if (error) {
+        throw error;
+      }
+
+      return this.buildSpeechResponse(result, { ...pending, requestId });
+
+    } catch (error) {
+      this.logger.error(`[${requestId}] Failed to complete pending turn`, error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+
+    } finally {
+      this.pendingTurns.delete(callSid);
+    }
+  }
+
+  /**
+   * Build the processSpeech() response for a finished turn
+   * @param {Object} turnResult - Result of processUserTurn()
+   * @param {Object} options - { startTime, userInput, requestId }
+   * @returns {Object} APIResponse with TwiML
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  buildSpeechResponse(turnResult, options) {
+    const { aiResponse, sentiment, voiceSettings, vocabulary, speechCorrections, toolCalls, escalationRules } = turnResult;
+    const { startTime, userInput, requestId } = options;
+
+    // Generate TwiML response in the persona's voice, listening for the call's vocabulary
+    const twiml = this.generateConversationTwiML(aiResponse.text, voiceSettings, vocabulary);
+
+    const totalLatency = Date.now() - startTime;
+
+    this.logger.info(`[${requestId}] Speech processed successfully in ${totalLatency}ms - Sentiment: ${sentiment.score.toFixed(2)}`);
+
+    return {
+      success: true,
+      data: {
+        twiml,
+        userInput,
+        aiResponse: aiResponse.text,
+        sentiment: sentiment,
+        needsEscalation: sentiment.needsEscalation,
+        escalationRules: escalationRules || null,
+        speechCorrections,
+        toolCalls: (toolCalls || []).map(call => call.name),
+        latencyMs: totalLatency,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+      requestId,
+    };
+  }
+
+  /**
+   * Run a single conversational turn independent of the transport
+   * Loads context, generates the AI reply, persists both messages and
+   * records sentiment. Used by the Gather webhook and Media Streams.
+   * @param {Object} turn - Turn data
+   * @param {string} turn.callSid - Twilio call SID
+   * @param {string} turn.text - What the caller said
+   * @param {number} [turn.confidence] - Recognition confidence (0-1)
+   * @param {string} [turn.from] - Caller phone number
+   * @param {Object} [turn.metadata] - Extra metadata stored on the user message (e.g. SMS media)
+   * @param {Function} [turn.onToolStart] - Called once with (fillerText, voiceSettings) when tools start running
+   * @returns {Promise<Object>} Turn result with aiResponse, sentiment, conversationId, the persona's voiceSettings,
+   *   the call's speech vocabulary, the speechCorrections applied to the transcript, the toolCalls made,
+   *   the lead qualification (null when the persona does not qualify leads),
+   *   the knowledgeSources the reply was given, the persona's escalationRules (which may name its own transfer target)
+   *   and, on SMS threads, the segment details of the reply (sms)
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @example
+   * const { aiResponse } = await agent.processUserTurn({
+   *   callSid: 'CA123456',
+   *   text: 'What are your hours?'
+   * });
+   * console.log(aiResponse.text);
+   */
+  async processUserTurn(turn) {
+    const { callSid, confidence, from, metadata = {} } = turn;
+
+    // Get conversation context from database
+    const context = await this.getConversationContext(callSid);
+
+    // Snap misheard product names, competitors and SKUs to their canonical spelling
+    const { text, corrections, vocabulary } = await this.correctSpeech(context, turn.text);
+
+    // Count caller turns on the cached session so each one is numbered once
+    context.userTurns = (context.userTurns ?? (context.messages || []).filter(msg => msg.role === 'user').length) + 1;
+
+    // Knowledge base passages for what the caller asked (none when retrieval is slow or fails)
+    const knowledge = await this.knowledgeBaseService.retrieve(text, {
+      agentConfigName: context.agentConfigName,
+      messages: context.messages,
+    });
+    const knowledgeSources = summarizeKnowledgeSources(knowledge);
+
+    // Generate AI response using Claude (and the persona's tools)
+    const aiResponse = await this.generateResponse(text, context, {
+      onToolStart: turn.onToolStart
+        ? filler => turn.onToolStart(filler, context.voiceSettings || null)
+        : null,
+      knowledge,
+    });
+    const toolCalls = aiResponse.toolCalls || [];
+
+    // Text replies must fit the SMS segment budget before they are stored or sent
+    let sms = null;
+    if (context.channel === 'sms') {
+      const fitted = fitSmsToSegments(aiResponse.text, this.config?.twilio?.smsMaxSegments || DEFAULT_SMS_MAX_SEGMENTS);
+      aiResponse.text = fitted.text;
+      sms = {
+        segments: fitted.segments,
+        encoding: fitted.encoding,
+        truncated: fitted.truncated,
+      };
+    }
+
+    // Log user message to database
+    const conversationId = context.conversationId || callSid;
+    const userMessage = await this.logMessage(conversationId, 'user', text, {
+      confidence,
+      phoneNumber: from,
+      ...(corrections.length > 0 ? { transcript: turn.text, speechCorrections: corrections } : {}),
+      ...metadata,
+    });
+
+    // Tool calls and their results go between the caller's words and the reply
+    for (const call of toolCalls) {
+      await this.logToolCall(conversationId, call);
+    }
+
+    await this.enrichCustomer(context, text, userMessage?.data?.id || null);
+    const qualification = await this.qualifyLead(context, text, userMessage?.data?.id || null);
+
+    // Log assistant response to database
+    await this.logMessage(conversationId, 'assistant', aiResponse.text, {
+      model: aiResponse.model,
+      tokensUsed: aiResponse.totalTokens,
+      latencyMs: aiResponse.latencyMs,
+      ...(context.agentConfigVersion ? { agentConfigName: context.agentConfigName, agentConfigVersion: context.agentConfigVersion } : {}),
+      ...(knowledgeSources.length > 0 ? { knowledgeSources } : {}),
+      ...(sms ? { sms } : {}),
+    });
+
+    // Analyze sentiment of user message, then apply the persona's escalation rules
+    let sentiment = this.applyEscalationRules(
+      await this.analyzeSentiment(text),
+      text,
+      context
+    );
+
+    // Claude asked for a person with the transfer_to_human tool
+    if (aiResponse.transfer && !sentiment.needsEscalation) {
+      sentiment = {
+        ...sentiment,
+        needsEscalation: true,
+        escalationReason: 'tool_transfer',
+      };
+    }
+
+    // Update conversation metadata with sentiment
+    if (context.conversationId) {
+      await this.updateConversationSentiment(context.conversationId, sentiment);
+    }
+
+    return {
+      aiResponse,
+      sentiment,
+      conversationId,
+      voiceSettings: context.voiceSettings || null,
+      escalationRules: context.escalationRules || null,
+      vocabulary,
+      speechCorrections: corrections,
+      toolCalls,
+      qualification,
+      knowledgeSources,
+      sms,
+    };
+  }
+
+  /**
+   * Correct a voice transcript against the call's vocabulary
+   * The vocabulary (global, agent config and campaign terms) is loaded once
+   * per session. SMS text is typed, so it is never corrected.
+   * @param {Object} context - Conversation context
+   * @param {string} text - What the caller said, as recognized
+   * @returns {Promise<Object>} { text, corrections, vocabulary }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @example
+   * const { text, corrections } = await agent.correctSpeech(context, 'do you work with sales force');
+   * // text => 'do you work with Salesforce'
+   */
+  async correctSpeech(context, text) {
+    if (context.channel === 'sms') {
+      return { text, corrections: [], vocabulary: null };
+    }
+
+    if (!context.vocabulary) {
+      context.vocabulary = await this.vocabularyService.getVocabulary({
+        agentConfigName: context.agentConfigName,
+        campaignId: context.metadata?.campaign?.id,
       });
+    }
+
+    return {
+      ...this.vocabularyService.correct(text, context.vocabulary),
+      vocabulary: context.vocabulary,
+    };
+  }
+
+  /**
+   * Handle an inbound SMS/MMS and generate the text reply
+   * Messages are threaded into one conversation per customer/number pair
+   * (agent_type 'sms') and run through the same turn pipeline as calls, so
+   * history, persona, logging and sentiment behave the same on both channels.
+   * @param {Object} message - Inbound message
+   * @param {string} message.messageSid - Twilio message SID
+   * @param {string} message.from - Customer phone number
+   * @param {string} message.to - Our phone number
+   * @param {string} [message.body] - Message text
+   * @param {Array<Object>} [message.media] - MMS attachments ({ url, contentType })
+   * @returns {Promise<Object>} APIResponse with reply (null when no reply should be sent), segments and conversationId
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @example
+   * const result = await agent.processSms({
+   *   messageSid: 'SM123456',
+   *   from: '+15551234567',
+   *   to: '+15557654321',
+   *   body: 'Sorry I missed your call, can you text me the details?',
+   * });
+   * console.log(result.data.reply);
+   */
+  async processSms(message) {
+    const requestId = this.generateRequestId();
+    const startTime = Date.now();
+
+    try {
+      const { messageSid, from, to, body = '', media = [] } = message;
+
+      this.logger.info(`[${requestId}] Processing SMS - MessageSid: ${messageSid}, From: ${from}, Media: ${media.length}`);
+
+      if (!from || !to) {
+        throw new Error('From and To are required');
+      }
+
+      const text = this.describeSmsContent(body, media);
+      if (!text) {
+        throw new Error('Message has no body or media');
+      }
+
+      const thread = await this.getOrCreateSmsThread(from, to);
+      const messageMetadata = {
+        channel: 'sms',
+        messageSid,
+        media,
+      };
+
+      // Twilio handles STOP/HELP itself; record the message but stay quiet
+      const keyword = body.trim().toUpperCase();
+      if (SMS_RESERVED_KEYWORDS.includes(keyword)) {
+        this.logger.info(`[${requestId}] Reserved keyword ${keyword} received - no AI reply`);
 
-      // Analyze sentiment of user message
-      const sentiment = await this.analyzeSentiment(SpeechResult);
+        await this.logMessage(thread.id, 'user', text, {
+          phoneNumber: from,
+          ...messageMetadata,
+          keyword,
+        });
 
-      // Update conversation metadata with sentiment
-      if (context.conversationId) {
-        await this.updateConversationSentiment(context.conversationId, sentiment);
+        return {
+          success: true,
+          data: {
+            reply: null,
+            keyword,
+            conversationId: thread.id,
+          },
+          error: null,
+          timestamp: new Date().toISOString(),
+          requestId,
+        };
       }
 
-      // Generate TwiML response
-      const twiml = this.generateConversationTwiML(aiResponse.text);
+      const { aiResponse, sentiment, sms } = await this.processUserTurn({
+        callSid: thread.call_sid,
+        text,
+        from,
+        metadata: messageMetadata,
+      });
+
+      // Threads outlive any single request; reload history on the next text
+      this.activeSessions.delete(thread.call_sid);
 
       const totalLatency = Date.now() - startTime;
 
-      this.logger.info(`[${requestId}] Speech processed successfully in ${totalLatency}ms - Sentiment: ${sentiment.score.toFixed(2)}`);
+      this.logger.info(`[${requestId}] SMS processed in ${totalLatency}ms - Segments: ${sms?.segments}, Encoding: ${sms?.encoding}`);
 
       return {
         success: true,
         data: {
-          twiml,
-          aiResponse: aiResponse.text,
-          sentiment: sentiment,
+          reply: aiResponse.text,
+          segments: sms?.segments || null,
+          encoding: sms?.encoding || null,
+          sentiment,
+          needsEscalation: sentiment.needsEscalation,
+          conversationId: thread.id,
           latencyMs: totalLatency,
         },
         error: null,
@@ -198,8 +723,179 @@ class ConversationAgent extends BaseAgent {
       };
 
     } catch (error) {
-      this.logger.error(`[${requestId}] Failed to process speech`, error);
+      this.logger.error(`[${requestId}] Failed to process SMS`, error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+    }
+  }
+
+  /**
+   * Thread key stored in conversations.call_sid for SMS conversations
+   * @param {string} from - Customer phone number
+   * @param {string} to - Our phone number
+   * @returns {string} Thread key, e.g. 'sms:+15551234567:+15557654321'
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getSmsThreadKey(from, to) {
+    return `sms:${from}:${to}`;
+  }
+
+  /**
+   * Find the SMS conversation for a customer/number pair, creating it on first contact
+   * New threads pick up the persona routed to our number and the customer record,
+   * so a lead texting back after a missed call lands on their existing profile.
+   * @param {string} from - Customer phone number
+   * @param {string} to - Our phone number
+   * @returns {Promise<Object>} Conversation row
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async getOrCreateSmsThread(from, to) {
+    const threadKey = this.getSmsThreadKey(from, to);
+
+    const existing = await this.dbService.getConversationByCallSid(threadKey);
+    if (existing.success && existing.data) {
+      return existing.data;
+    }
+
+    const [routeResult, customerResult] = await Promise.all([
+      this.dbService.getPhoneNumberRoute(to),
+      this.customerService.findOrCreateCustomer(from),
+    ]);
+
+    const result = await this.dbService.createConversation({
+      call_sid: threadKey,
+      phone_number: from,
+      customer_id: customerResult.data?.customer?.id || null,
+      agent_type: 'sms',
+      agent_config_name: routeResult.data?.agent_config_name || null,
+      metadata: {
+        channel: 'sms',
+        to,
+      },
+    });
+
+    if (!result.success) {
+      throw new Error(`Failed to create SMS conversation: ${result.error}`);
+    }
+
+    this.logger.info(`Created SMS thread ${threadKey} - Conversation: ${result.data.id}`);
+
+    return result.data;
+  }
+
+  /**
+   * Turn an inbound SMS/MMS into the text the AI sees
+   * Attachments are described by type; their URLs stay in message metadata.
+   * @param {string} body - Message text
+   * @param {Array<Object>} media - MMS attachments ({ url, contentType })
+   * @returns {string} Message content ('' when empty)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  describeSmsContent(body, media) {
+    const parts = [];
+
+    if (body && body.trim()) {
+      parts.push(body.trim());
+    }
+
+    for (const item of media) {
+      parts.push(`[Attachment: ${item.contentType || 'file'}]`);
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Start a text-only simulation session against an agent config
+   * The session is a conversations row flagged is_simulated, so turns run
+   * through the same pipeline as calls (persona prompt, history, logging,
+   * sentiment, escalation rules) while staying out of analytics. No customer
+   * record is created or enriched.
+   * @param {Object} options - Session options
+   * @param {string} options.agentConfigName - Active agent config to test
+   * @param {string} [options.channel='voice'] - 'voice' or 'sms' (prompt and reply length rules)
+   * @param {string} [options.phoneNumber] - Test number stored on the conversation
+   * @param {Object} [options.metadata] - Extra metadata (e.g. { label: 'pricing script v3' })
+   * @returns {Promise<Object>} APIResponse with sessionId, conversationId, agentConfigName, agentConfigVersion, channel
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @example
+   * const session = await agent.createSimulatedSession({ agentConfigName: 'sales_agent' });
+   * await agent.processSimulatedTurn(session.data.sessionId, 'How much does it cost?');
+   */
+  async createSimulatedSession(options = {}) {
+    const requestId = this.generateRequestId();
+
+    try {
+      const { agentConfigName, channel = 'voice', phoneNumber, metadata = {} } = options;
+
+      if (!agentConfigName) {
+        throw new Error('agentConfigName is required');
+      }
+      if (!['voice', 'sms'].includes(channel)) {
+        throw new Error("channel must be 'voice' or 'sms'");
+      }
+
+      const configResult = await this.dbService.getAgentConfig(agentConfigName);
+      if (!configResult.success || !configResult.data) {
+        return {
+          success: false,
+          data: null,
+          error: 'Agent config not found',
+          timestamp: new Date().toISOString(),
+          requestId,
+        };
+      }
+
+      const sessionId = `${SIMULATION_SESSION_PREFIX}${crypto.randomUUID()}`;
+      const result = await this.dbService.createConversation({
+        call_sid: sessionId,
+        phone_number: phoneNumber || SIMULATION_PHONE_NUMBER,
+        agent_type: channel,
+        agent_config_name: agentConfigName,
+        agent_config_version: configResult.data.active_version ?? null,
+        is_simulated: true,
+        metadata: {
+          ...metadata,
+          channel,
+          simulated: true,
+        },
+      });
+
+      if (!result.success) {
+        throw new Error(`Failed to create simulation session: ${result.error}`);
+      }
+
+      this.logger.info(`[${requestId}] Simulation session ${sessionId} started - Persona: ${agentConfigName}, Channel: ${channel}`);
+
+      return {
+        success: true,
+        data: {
+          sessionId,
+          conversationId: result.data.id,
+          agentConfigName,
+          agentConfigVersion: configResult.data.active_version ?? null,
+          channel,
+          startedAt: result.data.started_at || null,
+        },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
 
+    } catch (error) {
+      this.logger.error(`[${requestId}] Failed to create simulation session`, error);
       return {
         success: false,
         data: null,
@@ -210,18 +906,277 @@ class ConversationAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Run one user turn in a simulation session
+   * @param {string} sessionId - Session ID from createSimulatedSession()
+   * @param {string} text - What the simulated customer says
+   * @returns {Promise<Object>} APIResponse with response, sentiment, escalation, toolCalls, qualification,
+   *   knowledgeSources, tokens, model and latencyMs ({ total, model }); sms segment details on sms sessions.
+   *   Tools with side effects are dry runs.
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @example
+   * const turn = await agent.processSimulatedTurn(sessionId, 'This is ridiculous, get me a manager');
+   * console.log(turn.data.escalation); // { needed: true, reason: null } (built-in escalation words)
+   */
+  async processSimulatedTurn(sessionId, text) {
+    const requestId = this.generateRequestId();
+    const startTime = Date.now();
+
+    try {
+      if (!text || !String(text).trim()) {
+        throw new Error('text is required');
+      }
+
+      const conversation = await this.getSimulatedConversation(sessionId);
+      if (!conversation) {
+        return {
+          success: false,
+          data: null,
+          error: 'Simulation session not found',
+          timestamp: new Date().toISOString(),
+          requestId,
+        };
+      }
+      if (conversation.status !== 'active') {
+        return {
+          success: false,
+          data: null,
+          error: 'Simulation session has ended',
+          timestamp: new Date().toISOString(),
+          requestId,
+        };
+      }
+
+      const { aiResponse, sentiment, speechCorrections, toolCalls, qualification, knowledgeSources, sms } = await this.processUserTurn({
+        callSid: sessionId,
+        text: String(text).trim(),
+        metadata: { simulated: true },
+      });
+
+      // Reload history on the next turn, like SMS threads
+      this.activeSessions.delete(sessionId);
+
+      const totalLatency = Date.now() - startTime;
+
+      this.logger.info(`[${requestId}] Simulated turn processed in ${totalLatency}ms - Session: ${sessionId}, Tokens: ${aiResponse.totalTokens}`);
+
+      return {
+        success: true,
+        data: {
+          sessionId,
+          conversationId: conversation.id,
+          response: aiResponse.text,
+          sentiment,
+          escalation: {
+            needed: sentiment.needsEscalation,
+            reason: sentiment.escalationReason || null,
+          },
+          speechCorrections,
+          toolCalls: toolCalls.map(call => ({
+            name: call.name,
+            input: call.input,
+            ok: call.ok,
+            output: call.output,
+            error: call.error,
+            latencyMs: call.latencyMs,
+          })),
+          qualification,
+          knowledgeSources,
+          tokens: {
+            input: aiResponse.inputTokens || 0,
+            output: aiResponse.outputTokens || 0,
+            total: aiResponse.totalTokens || 0,
+          },
+          model: aiResponse.model,
+          latencyMs: {
+            total: totalLatency,
+            model: aiResponse.latencyMs || 0,
+          },
+          ...(sms ? { sms } : {}),
+        },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+
+    } catch (error) {
+      this.logger.error(`[${requestId}] Failed to process simulated turn`, error);
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+    }
+  }
+
+  /**
+   * Get a simulation session with its transcript
+   * @param {string} sessionId - Session ID from createSimulatedSession()
+   * @returns {Promise<Object>} APIResponse with session details and messages
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async getSimulatedSession(sessionId) {
+    const requestId = this.generateRequestId();
+
+    try {
+      const conversation = await this.getSimulatedConversation(sessionId);
+      if (!conversation) {
+        return {
+          success: false,
+          data: null,
+          error: 'Simulation session not found',
+          timestamp: new Date().toISOString(),
+          requestId,
+        };
+      }
+
+      const messagesResult = await this.dbService.getConversationMessages(conversation.id, { order: 'asc' });
+
+      return {
+        success: true,
+        data: {
+          sessionId,
+          conversationId: conversation.id,
+          agentConfigName: conversation.agent_config_name,
+          channel: conversation.agent_type === 'sms' ? 'sms' : 'voice',
+          status: conversation.status,
+          sentimentScore: conversation.sentiment_score ?? null,
+          escalated: conversation.escalated || false,
+          startedAt: conversation.started_at,
+          endedAt: conversation.ended_at || null,
+          messages: (messagesResult.data || []).map(msg => ({
+            role: msg.role,
+            content: msg.content,
+            metadata: msg.metadata || {},
+            timestamp: msg.timestamp || msg.created_at || null,
+          })),
+        },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+
+    } catch (error) {
+      this.logger.error(`[${requestId}] Failed to get simulation session`, error);
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+    }
+  }
+
+  /**
+   * End a simulation session
+   * @param {string} sessionId - Session ID from createSimulatedSession()
+   * @returns {Promise<Object>} APIResponse with sessionId and status
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async endSimulatedSession(sessionId) {
+    const requestId = this.generateRequestId();
+
+    try {
+      const conversation = await this.getSimulatedConversation(sessionId);
+      if (!conversation) {
+        return {
+          success: false,
+          data: null,
+          error: 'Simulation session not found',
+          timestamp: new Date().toISOString(),
+          requestId,
+        };
+      }
+
+      this.activeSessions.delete(sessionId);
+
+      if (conversation.status === 'active') {
+        const endedAt = new Date();
+        const result = await this.dbService.updateConversation(conversation.id, {
+          status: 'ended',
+          ended_at: endedAt.toISOString(),
+          duration_seconds: conversation.started_at
+            ? Math.max(0, Math.round((endedAt - new Date(conversation.started_at)) / 1000))
+            : null,
+        });
+
+        if (!result.success) {
+          throw new Error(`Failed to end simulation session: ${result.error}`);
+        }
+      }
+
+      this.logger.info(`[${requestId}] Simulation session ${sessionId} ended`);
+
+      return {
+        success: true,
+        data: { sessionId, status: 'ended' },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+
+    } catch (error) {
+      this.logger.error(`[${requestId}] Failed to end simulation session`, error);
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+    }
+  }
+
+  /**
+   * Load the conversation behind a simulation session
+   * Real calls are never returned, so the simulation API cannot post turns into them.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Conversation row, or null when there is no such session
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async getSimulatedConversation(sessionId) {
+    if (!sessionId || !sessionId.startsWith(SIMULATION_SESSION_PREFIX)) {
+      return null;
+    }
+
+    const result = await this.dbService.getConversationByCallSid(sessionId);
+    if (!result.success || !result.data || result.data.is_simulated !== true) {
+      return null;
+    }
+
+    return result.data;
+  }
+
   /**
    * Generate AI response based on user input and conversation context
    * Uses Claude (Anthropic) for better reasoning and conversational quality
    * @param {string} userInput - User's message
    * @param {Object} context - Conversation context with message history
-   * @returns {Promise<Object>} AI response object
+   * @param {string} [context.systemPrompt] - Persona prompt overriding the default voice prompt
+   * @param {number} [context.temperature] - Persona temperature (agent_configs.temperature, default 0.7)
+   * @param {number} [context.maxTokens] - Persona token limit per reply (default: channel limit)
+   * @param {string} [context.channel='voice'] - 'voice' or 'sms' (plain-text prompt, longer replies)
+   * @param {string} [context.callerContext] - Returning-caller history appended to the system prompt
+   * @param {string[]} [context.tools] - Tools the persona may call (agent_configs.tools)
+   * @param {Object} [context.qualification] - Lead qualification session; missing slots are added to the prompt
+   * @param {Object} [options] - Generation options
+   * @param {Function} [options.onToolStart] - Called once with the filler text when tools start running
+   * @param {Array<Object>} [options.knowledge] - Knowledge base passages for this turn (with source IDs)
+   * @returns {Promise<Object>} AI response object; with tools, also toolCalls and transfer
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    * @example
    * const response = await agent.generateResponse('Hello', { messages: [] });
    */
-  async generateResponse(userInput, context) {
+  async generateResponse(userInput, context, options = {}) {
     const requestId = this.generateRequestId();
 
     try {
@@ -236,13 +1191,61 @@ class ConversationAgent extends BaseAgent {
         content: userInput,
       });
 
+      // Persona prompts are written for calls, so SMS threads add channel instructions
+      const isSms = context.channel === 'sms';
+      let systemPrompt = context.systemPrompt || VOICE_ASSISTANT_SYSTEM_PROMPT;
+      if (isSms) {
+        systemPrompt = context.systemPrompt
+          ? `${context.systemPrompt}\n\n${SMS_CHANNEL_INSTRUCTIONS}`
+          : SMS_ASSISTANT_SYSTEM_PROMPT;
+      }
+
+      // Recognized callers: what we know from earlier conversations
+      if (context.callerContext) {
+        systemPrompt = `${systemPrompt}\n\n${context.callerContext}`;
+      }
+
+      // Product and pricing facts, so answers are not made up
+      const knowledgeContext = formatKnowledgeContext(options.knowledge);
+      if (knowledgeContext) {
+        systemPrompt = `${systemPrompt}\n\n${knowledgeContext}`;
+      }
+
+      // Booking takes several turns; the persona prompt may not say how
+      if (Array.isArray(context.tools) && context.tools.includes('hold_appointment')) {
+        systemPrompt = `${systemPrompt}\n\n${BOOKING_INSTRUCTIONS}`;
+      }
+
+      // Lead qualification: steer toward the slots still unknown
+      if (context.qualification) {
+        const qualificationContext = formatQualificationContext(context.qualification.framework, context.qualification.state, {
+          canRecord: Array.isArray(context.tools) && context.tools.includes('record_qualification'),
+        });
+        systemPrompt = `${systemPrompt}\n\n${qualificationContext}`;
+      }
+
+      // The persona's model settings, else the channel defaults
+      const maxTokens = context.maxTokens || (isSms ? MAX_SMS_RESPONSE_TOKENS : MAX_VOICE_RESPONSE_TOKENS);
+      const temperature = context.temperature ?? DEFAULT_RESPONSE_TEMPERATURE;
+      const tools = this.toolRegistry.getDefinitions(context.tools, isSms ? 'sms' : 'voice');
+
+      // Personas with tools let Claude act (look up, schedule, transfer) before answering
+      if (tools.length > 0) {
+        return await this.runToolLoop(messages, systemPrompt, tools, context, {
+          maxTokens,
+          temperature,
+          onToolStart: options.onToolStart,
+          requestId,
+        });
+      }
+
       // Use Claude for response generation (better reasoning)
       const response = await this.anthropicService.generateResponse(
         messages,
-        VOICE_ASSISTANT_SYSTEM_PROMPT,
+        systemPrompt,
         {
-          maxTokens: MAX_VOICE_RESPONSE_TOKENS,
-          temperature: 0.7,
+          maxTokens,
+          temperature,
         }
       );
 
@@ -264,12 +1267,262 @@ class ConversationAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Run Claude's tool-use loop for one turn
+   * Each model call gets what is left of the turn budget. When Claude asks for
+   * tools, the filler is announced (Claude's own words, or the configured
+   * phrase), the tools run in parallel and their results go back to Claude.
+   * After maxIterations tool rounds Claude must answer in text.
+   * @param {Array<Object>} messages - Conversation messages including the caller's turn
+   * @param {string} systemPrompt - System prompt
+   * @param {Array<Object>} tools - Claude tool definitions
+   * @param {Object} context - Conversation context
+   * @param {Object} options - { maxTokens, temperature, onToolStart, requestId }
+   * @returns {Promise<Object>} AI response with turn totals, toolCalls
+   *   ({ id, name, input, ok, output, error, latencyMs }) and transfer ({ reason } or null)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async runToolLoop(messages, systemPrompt, tools, context, options) {
+    const { maxTokens, temperature, onToolStart, requestId } = options;
+    const { turnBudgetMs, maxIterations, timeoutMs, fillerPhrase } = this.toolsConfig;
+    const deadline = Date.now() + turnBudgetMs;
+    const outcome = {};
+    const toolContext = this.buildToolContext(context, outcome);
+    const toolCalls = [];
+    const totals = { inputTokens: 0, outputTokens: 0, latencyMs: 0 };
+    let fillerAnnounced = false;
+
+    const finish = response => ({
+      ...response,
+      inputTokens: totals.inputTokens,
+      outputTokens: totals.outputTokens,
+      totalTokens: totals.inputTokens + totals.outputTokens,
+      latencyMs: totals.latencyMs,
+      toolCalls,
+      transfer: outcome.transfer || null,
+    });
+    const fallback = () => finish({
+      text: TOOL_BUDGET_FALLBACK_TEXT,
+      model: 'fallback',
+      timestamp: new Date().toISOString(),
+    });
+
+    for (let iteration = 0; ; iteration++) {
+      const remainingMs = deadline - Date.now();
+
+      if (remainingMs < MIN_MODEL_CALL_MS) {
+        this.logger.warn(`[${requestId}] Turn budget spent after ${toolCalls.length} tool call(s)`);
+        return fallback();
+      }
+
+      let response;
+      try {
+        response = await this.anthropicService.generateResponse(messages, systemPrompt, {
+          maxTokens,
+          temperature,
+          tools,
+          ...(iteration >= maxIterations ? { toolChoice: { type: 'none' } } : {}),
+          timeoutMs: remainingMs,
+        });
+      } catch (error) {
+        // Tools may already have acted, so keep their calls for the transcript
+        if (toolCalls.length === 0) {
+          throw error;
+        }
+        this.logger.error(`[${requestId}] Model call failed after tool use`, error);
+        return fallback();
+      }
+
+      totals.inputTokens += response.inputTokens || 0;
+      totals.outputTokens += response.outputTokens || 0;
+      totals.latencyMs += response.latencyMs || 0;
+
+      if (response.stopReason !== 'tool_use' || !response.toolCalls || response.toolCalls.length === 0) {
+        this.logger.info(`[${requestId}] AI response generated - Tool calls: ${toolCalls.length}, Tokens: ${totals.inputTokens + totals.outputTokens}, Latency: ${totals.latencyMs}ms`);
+        return finish(response);
+      }
+
+      // Say something while the tools run
+      if (!fillerAnnounced && onToolStart) {
+        fillerAnnounced = true;
+        onToolStart(response.text.trim() || fillerPhrase);
+      }
+
+      const toolTimeoutMs = Math.max(1, Math.min(timeoutMs, deadline - Date.now()));
+      const results = await Promise.all(response.toolCalls.map(call =>
+        this.toolRegistry.execute(call.name, call.input, toolContext, { timeoutMs: toolTimeoutMs })
+      ));
+
+      messages.push({ role: 'assistant', content: response.content });
+      messages.push({
+        role: 'user',
+        content: response.toolCalls.map((call, index) => ({
+          type: 'tool_result',
+          tool_use_id: call.id,
+          content: JSON.stringify(results[index].ok ? results[index].output : { error: results[index].error }),
+          ...(results[index].ok ? {} : { is_error: true }),
+        })),
+      });
+
+      response.toolCalls.forEach((call, index) => {
+        toolCalls.push({ ...call, ...results[index] });
+        this.logger.info(`[${requestId}] Tool ${call.name} ${results[index].ok ? 'succeeded' : `failed: ${results[index].error}`} in ${results[index].latencyMs}ms`);
+      });
+    }
+  }
+
+  /**
+   * Build what tool handlers get to work with for this conversation
+   * @param {Object} context - Conversation context
+   * @param {Object} outcome - Per-turn object tools set flags on (e.g. transfer)
+   * @returns {Object} Tool context (see services/BuiltinTools)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  buildToolContext(context, outcome) {
+    return {
+      conversation: {
+        conversationId: context.conversationId,
+        callSid: context.callSid,
+        customerId: context.customerId || null,
+        phoneNumber: context.phoneNumber || null,
+        channel: context.channel || 'voice',
+        agentConfigName: context.agentConfigName || null,
+        businessHours: context.businessHours || null,
+        turn: context.userTurns || null,
+        escalationRules: context.escalationRules || null,
+      },
+      dbService: this.dbService,
+      calendarService: this.calendarService,
+      qualificationService: this.qualificationService,
+      qualification: context.qualification || null,
+      voiceAgent: this.voiceAgent,
+      fromNumber: this.config?.twilio?.phoneNumber || null,
+      dryRun: context.simulated === true,
+      outcome,
+    };
+  }
+
+  /**
+   * Store one tool call and its result as messages
+   * The call is an assistant message and the result a system message, both
+   * marked with metadata.toolRole so they stay out of the prompt history.
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} call - { id, name, input, ok, output, error, latencyMs }
+   * @returns {Promise<void>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async logToolCall(conversationId, call) {
+    await this.logMessage(conversationId, 'assistant', `${call.name}(${JSON.stringify(call.input)})`, {
+      toolRole: 'tool_call',
+      toolUseId: call.id,
+      tool: call.name,
+      input: call.input,
+    });
+
+    await this.logMessage(conversationId, 'system', JSON.stringify(call.ok ? call.output : { error: call.error }), {
+      toolRole: 'tool_result',
+      toolUseId: call.id,
+      tool: call.name,
+      ok: call.ok,
+      latencyMs: call.latencyMs,
+      ...(call.ok ? {} : { error: call.error }),
+    });
+  }
+
+  /**
+   * Get a conversation with its transcript and lead qualification
+   * Backs GET /api/conversations/:callSid.
+   * @param {string} callSid - Twilio call SID (or SMS thread / simulation key)
+   * @returns {Promise<Object>} APIResponse with the conversation, messages and qualification
+   *   ({ framework, score, status, slots, missing }, or null when the call was not qualified)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @example
+   * const result = await agent.getConversation('CA123456');
+   * console.log(result.data.qualification.score);
+   */
+  async getConversation(callSid) {
+    const requestId = this.generateRequestId();
+
+    try {
+      const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+
+      if (!conversationResult.success || !conversationResult.data) {
+        return {
+          success: false,
+          data: null,
+          error: 'Conversation not found',
+          timestamp: new Date().toISOString(),
+          requestId,
+        };
+      }
+
+      const conversation = conversationResult.data;
+      const messagesResult = await this.dbService.getConversationMessages(conversation.id, { order: 'asc' });
+
+      // Slots still missing depend on the persona's framework
+      const persona = await this.getPersonaContext(conversation.agent_config_name, conversation.agent_config_version);
+      const session = conversation.qualification
+        ? await this.qualificationService.startSession({
+          conversationId: conversation.id,
+          settings: persona.qualificationSettings,
+          state: conversation.qualification,
+        })
+        : null;
+
+      return {
+        success: true,
+        data: {
+          id: conversation.id,
+          callSid: conversation.call_sid,
+          phoneNumber: conversation.phone_number,
+          customerId: conversation.customer_id || null,
+          agentConfigName: conversation.agent_config_name || null,
+          agentConfigVersion: conversation.agent_config_version ?? null,
+          channel: conversation.agent_type === 'sms' ? 'sms' : 'voice',
+          status: conversation.status,
+          sentimentScore: conversation.sentiment_score ?? null,
+          escalated: conversation.escalated || false,
+          startedAt: conversation.started_at,
+          endedAt: conversation.ended_at || null,
+          metadata: conversation.metadata || {},
+          qualification: this.qualificationService.describe(session) || conversation.qualification || null,
+          messages: (messagesResult.data || []).map(msg => ({
+            role: msg.role,
+            content: msg.content,
+            metadata: msg.metadata || {},
+            timestamp: msg.timestamp || msg.created_at || null,
+          })),
+        },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+
+    } catch (error) {
+      this.logger.error(`[${requestId}] Failed to get conversation`, error);
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+    }
+  }
+
   /**
    * Get conversation context including message history from database
    * @param {string} callSid - Twilio call SID
    * @returns {Promise<Object>} Conversation context
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    * @example
    * const context = await agent.getConversationContext('CA123456');
    */
@@ -305,22 +1558,47 @@ class ConversationAgent extends BaseAgent {
         { limit: MAX_CONTEXT_MESSAGES, order: 'asc' }
       );
 
-      // Transform messages to Claude format
-      const messages = (messagesResult.data || []).map(msg => ({
-        role: msg.role,
-        content: msg.content,
-      }));
+      // Transform messages to Claude format (tool calls/results are kept for the record only)
+      const messages = (messagesResult.data || [])
+        .filter(msg => !msg.metadata?.toolRole)
+        .map(msg => ({
+          role: msg.role,
+          content: msg.content,
+        }));
+
+      // Calls keep the agent config version they started with; SMS threads
+      // can last for months, so they follow the active version
+      const channel = conversation.agent_type === 'sms' ? 'sms' : 'voice';
+      const persona = await this.getPersonaContext(
+        conversation.agent_config_name || DEFAULT_AGENT_CONFIG_NAME,
+        channel === 'sms' ? null : conversation.agent_config_version
+      );
+      await this.stampAgentConfigVersion(conversation, persona);
 
       const context = {
         conversationId: conversation.id,
         callSid: conversation.call_sid,
         phoneNumber: conversation.phone_number,
         customerId: conversation.customer_id,
+        channel,
         messages,
         metadata: conversation.metadata || {},
         startedAt: conversation.started_at,
+        // Simulation sessions run tools with side effects as dry runs
+        simulated: conversation.is_simulated === true,
+        // Caller profile stored by VoiceGatewayAgent when the number matched a customer
+        callerContext: formatCallerContext(conversation.metadata?.caller),
+        ...persona,
       };
 
+      // Personas with agent_configs.qualification fill qualification slots on every turn
+      context.qualification = await this.qualificationService.startSession({
+        conversationId: conversation.id,
+        customerId: conversation.customer_id,
+        settings: context.qualificationSettings,
+        state: conversation.qualification,
+      });
+
       // Cache the session
       this.activeSessions.set(callSid, context);
 
@@ -341,6 +1619,311 @@ class ConversationAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Record on the conversation which agent config version it runs with
+   * Conversations created before versioning, without a persona or on an SMS
+   * thread whose persona got a new version are (re)stamped; failures are logged only.
+   * @param {Object} conversation - conversations row
+   * @param {Object} persona - From getPersonaContext()
+   * @returns {Promise<void>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async stampAgentConfigVersion(conversation, persona) {
+    if (!persona.agentConfigVersion) {
+      return;
+    }
+    if (conversation.agent_config_name === persona.agentConfigName
+      && conversation.agent_config_version === persona.agentConfigVersion) {
+      return;
+    }
+
+    const result = await this.dbService.updateConversation(conversation.id, {
+      agent_config_name: persona.agentConfigName,
+      agent_config_version: persona.agentConfigVersion,
+    });
+
+    if (!result?.success) {
+      this.logger.warn(`Could not stamp conversation ${conversation.id} with ${persona.agentConfigName} v${persona.agentConfigVersion}: ${result?.error}`);
+    }
+  }
+
+  /**
+   * Load the persona settings for a call from its agent config
+   * A conversation stamped with an agent config version keeps that version's
+   * settings for its whole length, even when another version is activated
+   * meanwhile; unstamped conversations use the active version.
+   * @param {string} [name] - conversations.agent_config_name
+   * @param {number} [version] - conversations.agent_config_version
+   * @returns {Promise<Object>} { agentConfigName, agentConfigVersion, systemPrompt, temperature, maxTokens, voiceSettings,
+   *   escalationRules, tools, businessHours, qualificationSettings } (nulls use defaults; null tools = none;
+   *   null qualificationSettings = no lead qualification)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @example
+   * const persona = await agent.getPersonaContext('sales_agent', 4);
+   * console.log(persona.systemPrompt, persona.temperature);
+   */
+  async getPersonaContext(name, version = null) {
+    const persona = {
+      agentConfigName: name || null,
+      agentConfigVersion: null,
+      systemPrompt: null,
+      temperature: null,
+      maxTokens: null,
+      voiceSettings: null,
+      escalationRules: null,
+      tools: null,
+      businessHours: null,
+      qualificationSettings: null,
+    };
+
+    if (!name) {
+      return persona;
+    }
+
+    try {
+      const result = await this.dbService.getAgentConfig(name);
+
+      if (!result.success || !result.data) {
+        this.logger.warn(`Persona config not found: ${name}, using defaults`);
+        return persona;
+      }
+
+      let settings = result.data;
+      let agentConfigVersion = result.data.active_version ?? null;
+
+      // Another version was activated after this conversation started
+      if (version && agentConfigVersion && version !== agentConfigVersion) {
+        const versionResult = await this.dbService.getAgentConfigVersion(name, version);
+
+        if (versionResult.success && versionResult.data) {
+          settings = versionResult.data.snapshot || {};
+          agentConfigVersion = version;
+        } else {
+          this.logger.warn(`Persona ${name} version ${version} not found, using version ${agentConfigVersion}`);
+        }
+      }
+
+      return {
+        ...persona,
+        agentConfigVersion,
+        systemPrompt: settings.system_prompt || null,
+        temperature: settings.temperature !== null && settings.temperature !== undefined ? Number(settings.temperature) : null,
+        maxTokens: settings.max_tokens || null,
+        voiceSettings: settings.voice_settings || null,
+        escalationRules: settings.escalation_rules || null,
+        tools: settings.tools || null,
+        businessHours: settings.business_hours || null,
+        qualificationSettings: settings.qualification || null,
+      };
+
+    } catch (error) {
+      this.logger.error(`Failed to load persona config: ${name}`, error);
+      return persona;
+    }
+  }
+
+  /**
+   * Apply a persona's escalation_rules on top of the sentiment heuristic
+   * Rules only add escalation triggers; they never clear one.
+   * @param {Object} sentiment - Result of analyzeSentiment()
+   * @param {string} text - What the caller said
+   * @param {Object} context - Conversation context
+   * @param {Object} [context.escalationRules] - { keywords, sentiment_threshold, max_turns, transfer_number, transfer_queue }
+   * @param {number} [context.userTurns] - Caller turns so far, counted on the cached session by processUserTurn()
+   * @returns {Object} Sentiment with needsEscalation and escalationReason updated
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @example
+   * const sentiment = agent.applyEscalationRules(await agent.analyzeSentiment(text), text, context);
+   */
+  applyEscalationRules(sentiment, text, context) {
+    const rules = context.escalationRules;
+
+    if (!rules || sentiment.needsEscalation) {
+      return sentiment;
+    }
+
+    const lowerText = text.toLowerCase();
+    const keywords = Array.isArray(rules.keywords) ? rules.keywords : [];
+    // context.messages is loaded once per call, so it does not grow during a live call
+    const userTurns = context.userTurns ?? (context.messages || []).filter(msg => msg.role === 'user').length + 1;
+    const hasSentiment = (sentiment.details?.positiveCount || 0) + (sentiment.details?.negativeCount || 0) > 0;
+
+    let reason = null;
+
+    if (keywords.some(keyword => lowerText.includes(String(keyword).toLowerCase()))) {
+      reason = 'keyword';
+    } else if (typeof rules.sentiment_threshold === 'number' && hasSentiment && sentiment.score <= rules.sentiment_threshold) {
+      reason = 'sentiment_threshold';
+    } else if (typeof rules.max_turns === 'number' && userTurns > rules.max_turns) {
+      reason = 'max_turns';
+    }
+
+    if (!reason) {
+      return sentiment;
+    }
+
+    this.logger.info(`Escalation rule matched - Reason: ${reason}, Persona: ${context.agentConfigName}`);
+
+    return {
+      ...sentiment,
+      needsEscalation: true,
+      escalationReason: reason,
+    };
+  }
+
+  /**
+   * Summarize the call so far for a human rep taking over
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<Object>} APIResponse with summary text
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   * @example
+   * const result = await agent.summarizeForHandoff('CA123456');
+   * console.log(result.data.summary);
+   */
+  async summarizeForHandoff(callSid) {
+    const requestId = this.generateRequestId();
+    const fallbackSummary = 'The caller asked to speak with a person.';
+
+    try {
+      this.logger.info(`[${requestId}] Summarizing call for handoff: ${callSid}`);
+
+      const context = await this.getConversationContext(callSid);
+
+      // Cached context may be stale, so read the full transcript from the database
+      const messagesResult = context.conversationId
+        ? await this.dbService.getConversationMessages(context.conversationId, { limit: MAX_HANDOFF_MESSAGES, order: 'asc' })
+        : { data: [] };
+
+      const transcript = (messagesResult.data || [])
+        .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && !msg.metadata?.toolRole)
+        .map(msg => `${msg.role === 'user' ? 'Caller' : 'Assistant'}: ${msg.content}`)
+        .join('\n');
+
+      if (!transcript) {
+        return {
+          success: true,
+          data: { summary: fallbackSummary, generated: false },
+          error: null,
+          timestamp: new Date().toISOString(),
+          requestId,
+        };
+      }
+
+      const response = await this.anthropicService.generateResponse(
+        [{ role: 'user', content: transcript }],
+        HANDOFF_SUMMARY_SYSTEM_PROMPT,
+        {
+          maxTokens: 100,
+          temperature: 0.3,
+        }
+      );
+
+      return {
+        success: true,
+        data: { summary: response.text.trim(), generated: true },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+
+    } catch (error) {
+      this.logger.error(`[${requestId}] Failed to summarize call for handoff`, error);
+
+      // A transfer without a summary is still better than no transfer
+      return {
+        success: true,
+        data: { summary: fallbackSummary, generated: false },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+    }
+  }
+
+  /**
+   * Fill the customer record from what the caller just said
+   * Name, email, company and needs found in the message are written through
+   * CustomerService, which applies the overwrite/lock rules and records the
+   * message and turn each value came from. Failures are logged and never
+   * hold up the reply.
+   * @param {Object} context - Conversation context (customerId, conversationId, userTurns)
+   * @param {string} text - What the caller said
+   * @param {string|null} messageId - ID of the logged user message
+   * @returns {Promise<Object|null>} { updated, skipped }, or null when nothing was extracted
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async enrichCustomer(context, text, messageId) {
+    if (!context.customerId || !this.customerService.enrichment) {
+      return null;
+    }
+
+    const fields = extractCustomerFields(text);
+    if (Object.keys(fields).length === 0) {
+      return null;
+    }
+
+    try {
+      const result = await this.customerService.applyConversationFields(context.customerId, fields, {
+        conversationId: context.conversationId,
+        messageId,
+        turn: context.userTurns,
+      });
+
+      if (!result.success) {
+        this.logger.warn(`Failed to update customer from conversation: ${result.error}`);
+        return null;
+      }
+
+      return result.data;
+
+    } catch (error) {
+      this.logger.error('Exception while updating customer from conversation', error);
+      return null;
+    }
+  }
+
+  /**
+   * Fill lead qualification slots from what the caller just said
+   * Values are recorded with the message and turn they came from; the
+   * customer's lead_score and qualified/unqualified tag follow the new score.
+   * Failures are logged and never hold up the reply.
+   * @param {Object} context - Conversation context (qualification, userTurns)
+   * @param {string} text - What the caller said
+   * @param {string|null} messageId - ID of the logged user message
+   * @returns {Promise<Object|null>} { framework, score, status, slots, missing }, or null when the persona does not qualify leads
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async qualifyLead(context, text, messageId) {
+    if (!context.qualification) {
+      return null;
+    }
+
+    try {
+      const result = await this.qualificationService.recordFromText(context.qualification, text, {
+        messageId,
+        turn: context.userTurns,
+      });
+
+      if (!result.success) {
+        this.logger.warn(`Failed to update lead qualification: ${result.error}`);
+      }
+
+    } catch (error) {
+      this.logger.error('Exception while updating lead qualification', error);
+    }
+
+    return this.qualificationService.describe(context.qualification);
+  }
+
   /**
    * Log message to database
    * @param {string} conversationId - Conversation UUID
@@ -491,39 +2074,94 @@ class ConversationAgent extends BaseAgent {
   /**
    * Generate TwiML response for continuing the conversation
    * @param {string} responseText - AI-generated response text
+   * @param {Object} [voiceSettings] - Persona voice_settings (twilioVoice, language, ttsProvider, voice, speed)
+   * @param {Object} [vocabulary] - Call vocabulary; its terms become <Gather> hints
    * @returns {string} TwiML XML string
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    * @private
    */
-  generateConversationTwiML(responseText) {
+  generateConversationTwiML(responseText, voiceSettings = null, vocabulary = null) {
+    const speechAttributes = Object.entries(this.vocabularyService.getGatherOptions('conversation', vocabulary))
+      .map(([name, value]) => ` ${name}="${this.escapeXml(String(value))}"`)
+      .join('');
+
     // Generate TwiML for Twilio voice response
-    // Uses <Say> to speak the response and <Gather> to collect next input
+    // Speaks the response (<Say> or <Play>) and uses <Gather> to collect next input
     return `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-  <Say voice="alice">${this.escapeXml(responseText)}</Say>
-  <Gather input="speech" timeout="3" speechTimeout="auto" action="/webhooks/process-speech" method="POST">
-    <Say voice="alice">Is there anything else I can help you with?</Say>
+  ${this.getSpeechXml(responseText, voiceSettings)}
+  <Gather input="speech" timeout="3" speechTimeout="auto" action="/webhooks/process-speech" method="POST"${speechAttributes}>
+    ${this.getSpeechXml('Is there anything else I can help you with?', voiceSettings)}
   </Gather>
-  <Say voice="alice">Thank you for calling. Goodbye!</Say>
+  ${this.getSpeechXml('Thank you for calling. Goodbye!', voiceSettings)}
   <Hangup/>
 </Response>`;
   }
 
+  /**
+   * Build the TwiML verb that speaks a phrase in the persona's voice
+   * @param {string} text - Text to speak
+   * @param {Object} [voiceSettings] - Persona voice_settings
+   * @returns {string} <Play> of synthesized audio, or <Say> when Twilio speaks it
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  getSpeechXml(text, voiceSettings) {
+    const url = this.ttsService.getPlayUrl(text, voiceSettings);
+
+    return url
+      ? `<Play>${this.escapeXml(url)}</Play>`
+      : `<Say ${this.getSayAttributes(voiceSettings)}>${this.escapeXml(text)}</Say>`;
+  }
+
+  /**
+   * Build <Say> attributes for a persona voice
+   * @param {Object} [voiceSettings] - Persona voice_settings
+   * @returns {string} Escaped voice (and language) attributes
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  getSayAttributes(voiceSettings) {
+    const voice = this.escapeXml(voiceSettings?.twilioVoice || DEFAULT_SAY_VOICE);
+
+    return voiceSettings?.language
+      ? `voice="${voice}" language="${this.escapeXml(voiceSettings.language)}"`
+      : `voice="${voice}"`;
+  }
+
+  /**
+   * Generate TwiML that speaks the tool filler and fetches the reply
+   * @param {string} fillerText - What to say while tools run
+   * @param {Object} [voiceSettings] - Persona voice_settings
+   * @returns {string} TwiML XML string
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  generateToolFillerTwiML(fillerText, voiceSettings = null) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${this.getSpeechXml(fillerText, voiceSettings)}
+  <Redirect method="POST">/webhooks/process-speech-result</Redirect>
+</Response>`;
+  }
+
   /**
    * Generate TwiML response requesting user to repeat
+   * Hands off to the reprompt webhook, which counts consecutive misses,
+   * escalates the wording and offers keypad alternatives.
    * @returns {string} TwiML XML string
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    * @private
    */
   generateRepeatRequestTwiML() {
     return `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-  <Say voice="alice">I'm sorry, I didn't quite catch that. Could you please repeat?</Say>
-  <Gather input="speech" timeout="3" speechTimeout="auto" action="/webhooks/process-speech" method="POST"/>
-  <Say voice="alice">I didn't hear anything. Goodbye!</Say>
-  <Hangup/>
+  <Redirect method="POST">/webhooks/reprompt?reason=no_match&amp;attempt=0</Redirect>
 </Response>`;
   }
 
@@ -581,6 +2219,48 @@ class ConversationAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Drop the cached context (and any pending tool turn) for a call that has ended
+   * Called by VoiceGatewayAgent when the call is finalized.
+   * @param {string} callSid - Twilio call SID
+   * @returns {boolean} True if a session was cached
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  closeSession(callSid) {
+    const closed = this.activeSessions.delete(callSid);
+    this.pendingTurns.delete(callSid);
+
+    if (closed) {
+      this.logger.debug(`Closed session for call: ${callSid}`);
+    }
+
+    return closed;
+  }
+
+  /**
+   * Give tools access to the voice gateway (SMS links, transfers)
+   * The voice agent is created after this agent, so it is attached once both exist.
+   * @param {Object} voiceAgent - VoiceGatewayAgent instance
+   * @returns {void}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  attachVoiceAgent(voiceAgent) {
+    this.voiceAgent = voiceAgent;
+  }
+
+  /**
+   * Send appointment confirmations and invites through the IntegrationAgent's EmailService
+   * @param {Object} emailService - EmailService instance
+   * @returns {void}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  attachEmailService(emailService) {
+    this.calendarService.attachEmailService(emailService);
+  }
+
   /**
    * Graceful shutdown
    * @returns {Promise<void>}
@@ -593,6 +2273,7 @@ class ConversationAgent extends BaseAgent {
 
       // Clear active sessions
       this.activeSessions.clear();
+      this.pendingTurns.clear();
 
       this.logger.info('ConversationAgent shutdown complete');
 
@@ -0,0 +1,553 @@
+/**
+ * @fileoverview Task Scheduler Agent for executing due scheduled_tasks rows
+ * @author LegacyAI Subagent Fleet - Integration Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * This agent runs the follow-ups and callbacks other agents schedule:
+ * - A repeatable 'sweep' job on the tasks queue looks for due pending tasks
+ * - Each task is claimed atomically (pending -> processing) before it runs
+ * - Tasks are dispatched by task_type to a handler registry
+ *   (follow_up_call/callback, send_email, send_sms, webhook)
+ * - Failed runs are retried with backoff until max_attempts, then marked failed
+ * - Tasks left in 'processing' by an interrupted run are released and rerun
+ * - Appointment holds nobody confirmed in time are expired on each sweep
+ *
+ * Handlers resolve to { success, data, error, retryable, deferUntil }:
+ *   retryable: false  - fail now, retrying cannot help (e.g. no phone number)
+ *   deferUntil: ISO   - run again at that time without using up an attempt
+ */
+
+const { BaseAgent } = require('../utils/BaseAgent');
+const DatabaseService = require('../services/DatabaseService');
+
+/**
+ * How often the sweep job looks for due tasks
+ * @constant {number}
+ */
+const SWEEP_INTERVAL_MS = 30000;
+
+/**
+ * Maximum tasks claimed per sweep
+ * @constant {number}
+ */
+const SWEEP_BATCH_SIZE = 25;
+
+/**
+ * A task still 'processing' this long after it was claimed is treated as interrupted
+ * @constant {number}
+ */
+const STALE_TASK_MS = 10 * 60 * 1000;
+
+/**
+ * Runs per task when the row does not set max_attempts
+ * @constant {number}
+ */
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * First retry delay; doubles after each failed run
+ * @constant {number}
+ */
+const RETRY_BASE_DELAY_SECONDS = 60;
+
+/**
+ * Longest wait between retries
+ * @constant {number}
+ */
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+/**
+ * Compliance rules that waiting will not clear (see ComplianceService)
+ * @constant {string[]}
+ */
+const PERMANENT_COMPLIANCE_RULES = ['dnc', 'invalid_number', 'unknown_region'];
+
+/**
+ * TaskSchedulerAgent class for executing scheduled tasks
+ * Extends BaseAgent to inherit logging and utility methods
+ *
+ * @class TaskSchedulerAgent
+ * @extends BaseAgent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class TaskSchedulerAgent extends BaseAgent {
+  /**
+   * Initialize TaskSchedulerAgent
+   *
+   * @param {Object} config - Agent configuration object
+   * @param {Object} config.twilio - Twilio configuration (phoneNumber used as the SMS sender)
+   * @param {Object} config.voiceAgent - VoiceGatewayAgent used for calls and SMS
+   * @param {Object} config.integrationAgent - IntegrationAgent used for email and webhooks
+   * @param {Object} config.queueManager - QueueManager running the sweep job
+   * @param {DatabaseService} [config.databaseService] - Optional database service instance
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const scheduler = new TaskSchedulerAgent({
+   *   ...config,
+   *   voiceAgent: agents.voice,
+   *   integrationAgent: agents.integration,
+   *   queueManager
+   * });
+   * await scheduler.initialize();
+   * await scheduler.start();
+   */
+  constructor(config = {}) {
+    super(config);
+
+    // Initialize services - allow dependency injection for testing
+    this.databaseService = config.databaseService || new DatabaseService();
+    this.voiceAgent = config.voiceAgent || null;
+    this.integrationAgent = config.integrationAgent || null;
+    this.queueManager = config.queueManager || null;
+
+    // task_type -> handler(task)
+    this.handlers = new Map();
+
+    this.logger.info('TaskSchedulerAgent constructor completed');
+  }
+
+  /**
+   * Initialize agent and register the built-in task handlers
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If database initialization fails
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async initialize() {
+    try {
+      this.logger.info('Initializing TaskSchedulerAgent');
+
+      if (!this.databaseService.client) {
+        await this.databaseService.initialize();
+      }
+
+      this.registerHandler('follow_up_call', task => this.handleCallTask(task));
+      this.registerHandler('callback', task => this.handleCallTask(task));
+      this.registerHandler('send_email', task => this.handleEmailTask(task));
+      this.registerHandler('send_sms', task => this.handleSmsTask(task));
+      this.registerHandler('webhook', task => this.handleWebhookTask(task));
+
+      this.logger.info(`TaskSchedulerAgent initialization complete - Handlers: ${[...this.handlers.keys()].join(', ')}`);
+    } catch (error) {
+      this.logger.error('Failed to initialize TaskSchedulerAgent', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register (or replace) the handler for a task type
+   *
+   * @param {string} taskType - scheduled_tasks.task_type
+   * @param {Function} handler - async (task) => { success, data, error, retryable, deferUntil }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * scheduler.registerHandler('send_survey', async (task) => {
+   *   await surveys.send(task.payload.surveyId);
+   *   return { success: true, data: { sent: true } };
+   * });
+   */
+  registerHandler(taskType, handler) {
+    this.handlers.set(taskType, handler);
+  }
+
+  /**
+   * Schedule the repeatable sweep job on the tasks queue
+   *
+   * @returns {Promise<APIResponse>} QueueManager response
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async start() {
+    const result = await this.queueManager.scheduleTaskSweep(SWEEP_INTERVAL_MS);
+
+    if (!result.success) {
+      this.logger.error(`Failed to schedule task sweep: ${result.error}`);
+    } else {
+      this.logger.info(`Task sweep running every ${SWEEP_INTERVAL_MS / 1000}s`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Claim and run every due task
+   * Runs from the 'sweep' queue job. Tasks another scheduler claimed first are skipped.
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<APIResponse>} { claimed, completed, retried, failed, skipped, released, expiredHolds }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await scheduler.runDueTasks();
+   * console.log(`${result.data.completed} tasks completed`);
+   */
+  async runDueTasks(now = new Date()) {
+    const requestId = this.generateRequestId();
+
+    try {
+      const releaseResult = await this.databaseService.releaseStaleTasks(
+        new Date(now.getTime() - STALE_TASK_MS).toISOString()
+      );
+
+      // Slots held on calls but never confirmed go back on offer
+      const holdsResult = await this.databaseService.expireAppointmentHolds(now.toISOString());
+
+      const pendingResult = await this.databaseService.getPendingTasks({ limit: SWEEP_BATCH_SIZE });
+      if (!pendingResult.success) {
+        return this.createResponse(false, null, pendingResult.error, requestId);
+      }
+
+      const summary = {
+        claimed: 0,
+        completed: 0,
+        retried: 0,
+        failed: 0,
+        skipped: 0,
+        released: releaseResult.success ? releaseResult.data.length : 0,
+        expiredHolds: holdsResult.success ? holdsResult.data.length : 0
+      };
+
+      for (const task of pendingResult.data) {
+        const claimResult = await this.databaseService.claimScheduledTask(task);
+
+        if (!claimResult.success || !claimResult.data) {
+          summary.skipped++;
+          continue;
+        }
+
+        summary.claimed++;
+        const status = await this.executeTask(claimResult.data, now);
+        summary[status]++;
+      }
+
+      if (summary.claimed > 0 || summary.released > 0 || summary.expiredHolds > 0) {
+        this.logger.info('Scheduled task sweep complete', summary);
+      }
+
+      return this.createResponse(true, summary, null, requestId);
+
+    } catch (error) {
+      this.logger.error('Exception in runDueTasks', error);
+      return this.createResponse(false, null, error.message, requestId);
+    }
+  }
+
+  /**
+   * Run one claimed task and record the outcome
+   *
+   * @param {Object} task - Claimed scheduled_tasks row (status 'processing', attempts already counted)
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<string>} 'completed', 'retried' or 'failed'
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async executeTask(task, now = new Date()) {
+    const handler = this.handlers.get(task.task_type);
+
+    let outcome;
+    if (!handler) {
+      outcome = { success: false, error: `No handler for task type: ${task.task_type}`, retryable: false };
+    } else {
+      try {
+        outcome = (await handler(task)) || { success: false, error: 'Handler returned no result' };
+      } catch (error) {
+        outcome = { success: false, error: error.message };
+      }
+    }
+
+    const attempts = task.attempts || 1;
+
+    if (outcome.success) {
+      await this.databaseService.updateTaskStatus(task.id, 'completed', {
+        success: true,
+        attempts,
+        ...(outcome.data || {})
+      });
+      this.logger.info(`Task ${task.id} (${task.task_type}) completed`);
+      return 'completed';
+    }
+
+    // Not this task's fault (e.g. outside calling hours) - try again later without using an attempt
+    if (outcome.deferUntil) {
+      await this.databaseService.updateScheduledTask(task.id, {
+        status: 'pending',
+        scheduled_for: outcome.deferUntil,
+        attempts: attempts - 1,
+        started_at: null,
+        last_error: outcome.error
+      });
+      this.logger.info(`Task ${task.id} (${task.task_type}) deferred until ${outcome.deferUntil}: ${outcome.error}`);
+      return 'retried';
+    }
+
+    const maxAttempts = task.max_attempts || DEFAULT_MAX_ATTEMPTS;
+
+    if (outcome.retryable !== false && attempts < maxAttempts) {
+      const retryAt = new Date(now.getTime() + this.getRetryDelayMs(attempts)).toISOString();
+      await this.databaseService.updateScheduledTask(task.id, {
+        status: 'pending',
+        scheduled_for: retryAt,
+        started_at: null,
+        last_error: outcome.error
+      });
+      this.logger.warn(`Task ${task.id} (${task.task_type}) failed attempt ${attempts}/${maxAttempts}, retrying at ${retryAt}: ${outcome.error}`);
+      return 'retried';
+    }
+
+    await this.databaseService.updateTaskStatus(task.id, 'failed', {
+      success: false,
+      attempts,
+      error: outcome.error
+    });
+    this.logger.error(`Task ${task.id} (${task.task_type}) failed after ${attempts} attempt(s): ${outcome.error}`);
+    return 'failed';
+  }
+
+  /**
+   * Delay before the next run, doubling after each failed run
+   * @param {number} attempts - Runs made so far
+   * @returns {number} Delay in milliseconds
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * scheduler.getRetryDelayMs(1); // 60000
+   * scheduler.getRetryDelayMs(2); // 120000
+   */
+  getRetryDelayMs(attempts) {
+    const seconds = Math.min(RETRY_BASE_DELAY_SECONDS * Math.pow(2, Math.max(0, attempts - 1)), MAX_RETRY_DELAY_SECONDS);
+    return seconds * 1000;
+  }
+
+  /**
+   * Place a follow-up or callback call
+   * payload: { phoneNumber?, message?, agentConfigName?, reason?, conversationId? }
+   * The customer's phone number is used when the payload has none.
+   *
+   * @param {Object} task - scheduled_tasks row
+   * @returns {Promise<Object>} Handler outcome with { callSid }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async handleCallTask(task) {
+    const payload = task.payload || {};
+    const customer = payload.phoneNumber ? null : await this.getTaskCustomer(task);
+    const phoneNumber = payload.phoneNumber || (customer && customer.phone_number);
+
+    if (!phoneNumber) {
+      return { success: false, error: 'No phone number for task', retryable: false };
+    }
+
+    const callResult = await this.voiceAgent.makeOutboundCall(phoneNumber, payload.message || null, {
+      agentConfigName: payload.agentConfigName || undefined,
+      metadata: {
+        scheduledTask: {
+          id: task.id,
+          type: task.task_type,
+          reason: payload.reason || null,
+          conversationId: payload.conversationId || null,
+          attempt: task.attempts || 1
+        }
+      }
+    });
+
+    if (callResult.success) {
+      return { success: true, data: { callSid: callResult.data.callSid, to: phoneNumber } };
+    }
+
+    if (callResult.data && callResult.data.blocked) {
+      if (PERMANENT_COMPLIANCE_RULES.includes(callResult.data.rule)) {
+        return { success: false, error: callResult.error, retryable: false };
+      }
+      return { success: false, error: callResult.error, deferUntil: callResult.data.retryAt || null };
+    }
+
+    return { success: false, error: callResult.error || 'Failed to place call' };
+  }
+
+  /**
+   * Send an email through the IntegrationAgent
+   * payload: { email?, subject?, body | message }
+   * The customer's email is used when the payload has none.
+   *
+   * @param {Object} task - scheduled_tasks row
+   * @returns {Promise<Object>} Handler outcome with { to }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async handleEmailTask(task) {
+    const payload = task.payload || {};
+    const customer = payload.email ? null : await this.getTaskCustomer(task);
+    const to = payload.email || (customer && customer.email);
+    const body = payload.body || payload.message;
+
+    if (!to) {
+      return { success: false, error: 'No email address for task', retryable: false };
+    }
+    if (!body) {
+      return { success: false, error: 'Email task has no body', retryable: false };
+    }
+
+    const sendResult = await this.integrationAgent.sendNotification('email', to, {
+      subject: payload.subject || 'Following up on your call',
+      body
+    });
+
+    if (!sendResult.success) {
+      return { success: false, error: sendResult.error || 'Failed to send email' };
+    }
+
+    return { success: true, data: { to } };
+  }
+
+  /**
+   * Send an SMS from the configured Twilio number
+   * payload: { phoneNumber?, message | body }
+   * The customer's phone number is used when the payload has none.
+   *
+   * @param {Object} task - scheduled_tasks row
+   * @returns {Promise<Object>} Handler outcome with { messageSid }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async handleSmsTask(task) {
+    const payload = task.payload || {};
+    const customer = payload.phoneNumber ? null : await this.getTaskCustomer(task);
+    const to = payload.phoneNumber || (customer && customer.phone_number);
+    const message = payload.message || payload.body;
+
+    if (!to) {
+      return { success: false, error: 'No phone number for task', retryable: false };
+    }
+    if (!message) {
+      return { success: false, error: 'SMS task has no message', retryable: false };
+    }
+
+    const smsResult = await this.voiceAgent.twilioService.sendSMS(to, this.config.twilio.phoneNumber, message);
+
+    if (!smsResult.success) {
+      return { success: false, error: smsResult.error || 'Failed to send SMS' };
+    }
+
+    return { success: true, data: { messageSid: smsResult.data.sid, to } };
+  }
+
+  /**
+   * Deliver a webhook through the IntegrationAgent
+   * payload: { url, event?, data? }
+   *
+   * @param {Object} task - scheduled_tasks row
+   * @returns {Promise<Object>} Handler outcome with { url }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async handleWebhookTask(task) {
+    const payload = task.payload || {};
+
+    try {
+      new URL(payload.url);
+    } catch {
+      return { success: false, error: `Invalid webhook URL: ${payload.url}`, retryable: false };
+    }
+
+    const sendResult = await this.integrationAgent.sendNotification('webhook', payload.url, {
+      event: payload.event || 'scheduled_task',
+      taskId: task.id,
+      customerId: task.customer_id,
+      data: payload.data || {}
+    });
+
+    if (!sendResult.success) {
+      return { success: false, error: sendResult.error || 'Failed to deliver webhook' };
+    }
+
+    return { success: true, data: { url: payload.url } };
+  }
+
+  /**
+   * Load the customer a task belongs to
+   * @param {Object} task - scheduled_tasks row
+   * @returns {Promise<Object|null>} customers row, or null if it cannot be loaded
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async getTaskCustomer(task) {
+    if (!task.customer_id) {
+      return null;
+    }
+
+    const customerResult = await this.databaseService.getCustomer(task.customer_id);
+    return customerResult.success ? customerResult.data : null;
+  }
+
+  /**
+   * Create standard API response
+   * Helper method to ensure consistent response format
+   *
+   * @param {boolean} success - Operation success status
+   * @param {*} data - Response data
+   * @param {string|null} error - Error message
+   * @param {string} requestId - Request ID
+   * @returns {APIResponse}
+   * @private
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  createResponse(success, data, error = null, requestId) {
+    return {
+      success,
+      data,
+      error,
+      timestamp: new Date().toISOString(),
+      requestId: requestId || this.generateRequestId()
+    };
+  }
+
+  /**
+   * Health check for TaskSchedulerAgent
+   *
+   * @returns {Promise<Object>} Health status object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async healthCheck() {
+    const details = {
+      database: this.databaseService.client !== null && this.databaseService.client !== undefined,
+      queue: this.queueManager !== null,
+      handlers: [...this.handlers.keys()]
+    };
+
+    return {
+      healthy: details.database && details.queue,
+      details,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Graceful shutdown
+   * Tasks interrupted mid-run are released by the next sweep after STALE_TASK_MS.
+   *
+   * @returns {Promise<void>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async shutdown() {
+    this.logger.info('TaskSchedulerAgent shutdown complete');
+  }
+}
+
+module.exports = TaskSchedulerAgent;
@@ -2,20 +2,210 @@
  * @fileoverview Voice Gateway Agent for handling Twilio voice call integration
  * @author LegacyAI Subagent Fleet - Voice Gateway Agent
  * @created 2025-10-01T12:00:00Z
- * @lastModified 2025-10-01T12:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This agent manages all voice call operations including:
  * - Incoming call handling with TwiML generation
+ * - Real-time Media Streams connection for bidirectional audio
  * - Outbound call initiation
- * - Call lifecycle logging to database
+ * - Call lifecycle from status callbacks (initiated -> ringing -> in-progress -> final),
+ *   exactly-once finalization and a sweeper that reconciles stale calls with Twilio
  * - Speech input gathering and processing
- * - Call transfer and escalation support
+ * - Warm transfer to a human rep with whisper summary and voicemail/callback fallback
+ * - Call recording per agent-config policy (off, always, consent) with pause/resume
+ * - Answering-machine detection with voicemail drop on outbound calls
+ * - Configurable DTMF/speech IVR menu tree routing to personas, humans or voicemail
+ * - Per-number agent persona routing (greeting, voice and prompt from agent_configs)
+ * - Business-hours calendar with after-hours message, callback or on-call transfer
+ * - No-input/no-match reprompts with keypad alternatives and a polite hang-up limit
+ * - Outbound compliance guard (do-not-call list, callee calling hours, attempt caps)
+ * - Returning-caller recognition (customer link, greeting by name, prior context)
+ * - Persona speech via Twilio <Say> or synthesized audio played with <Play> (TtsService)
+ * - Speech model per use case and vocabulary hints on every <Gather> (VocabularyService)
  */
 
 const twilio = require('twilio');
 const { VoiceResponse } = twilio.twiml;
 const DatabaseService = require('../services/DatabaseService');
 const TwilioService = require('../services/TwilioService');
+const ComplianceService = require('../services/ComplianceService');
+const CustomerService = require('../services/CustomerService');
+const TtsService = require('../services/TtsService');
+const VocabularyService = require('../services/VocabularyService');
+const { getBusinessHoursStatus, formatSlot } = require('../utils/businessHours');
+const { buildCallerProfile, buildReturningGreeting } = require('../utils/callerProfile');
+const { getGatherSpeechOptions } = require('../utils/speechVocabulary');
+const { createStreamToken } = require('../utils/streamToken');
+
+/**
+ * Agent config used for numbers without a phone_number_routes entry
+ * @constant {string}
+ */
+const DEFAULT_AGENT_CONFIG_NAME = 'default_voice_agent';
+
+/**
+ * Greeting spoken when the agent config does not set one
+ * @constant {string}
+ */
+const DEFAULT_GREETING = 'Hello! I\'m your AI assistant. How can I help you today?';
+
+/**
+ * Prior conversations loaded for a recognized caller
+ * @constant {number}
+ */
+const MAX_CALLER_HISTORY = 3;
+
+/**
+ * Opening messages read per prior conversation to find what it was about
+ * @constant {number}
+ */
+const CALLER_HISTORY_MESSAGES = 4;
+
+/**
+ * Twilio <Say> voice used when voice_settings.twilioVoice is not set
+ * @constant {Object}
+ */
+const DEFAULT_SAY_VOICE = { voice: 'Polly.Joanna', language: 'en-US' };
+
+/**
+ * Supported call recording policies (agent_configs.recording_policy)
+ * @constant {string[]}
+ */
+const RECORDING_POLICIES = ['off', 'always', 'consent'];
+
+/**
+ * Spoken affirmatives accepted as a yes (recording consent, callback offers)
+ * @constant {RegExp}
+ */
+const CONSENT_SPEECH_PATTERN = /\b(yes|yeah|yep|sure|ok|okay|fine|agree|i agree|go ahead)\b/i;
+
+/**
+ * Spoken refusals and negations; they outweigh any affirmative in the same answer
+ * @constant {RegExp}
+ */
+const REFUSAL_SPEECH_PATTERN = /\b(no|nope|nah|not|never|don'?t|do not|doesn'?t|won'?t|can'?t|cannot|refuse|decline|disagree|rather not|stop)\b/i;
+
+/**
+ * Whether a spoken answer agrees to what was asked
+ * Refusals are checked first, so "no, I don't agree" or "not okay" is a no;
+ * answers that are unclear count as a no.
+ * @param {string} speech - SpeechResult from Twilio
+ * @returns {boolean} True only for an affirmative answer without a refusal
+ * @created 2026-10-18T10:00:00Z
+ *
+ * @example
+ * isSpokenConsent('Yes, that is fine'); // true
+ * isSpokenConsent("No, I'm not fine with that"); // false
+ */
+function isSpokenConsent(speech) {
+  const text = String(speech || '').replace(/[’‘]/g, "'");
+
+  if (REFUSAL_SPEECH_PATTERN.test(text)) {
+    return false;
+  }
+
+  return CONSENT_SPEECH_PATTERN.test(text);
+}
+
+/**
+ * Voicemail left when a machine answers and no script is configured
+ * @constant {string}
+ */
+const DEFAULT_VOICEMAIL_SCRIPT = 'Hello, this is LegacyAI calling with a quick follow-up. Please give us a call back at your convenience. Thank you, and have a great day.';
+
+/**
+ * Default number of times an IVR menu is repeated after no/invalid input
+ * @constant {number}
+ */
+const DEFAULT_MENU_RETRIES = 2;
+
+/**
+ * Supported after-hours flows (business_hours.afterHours.action)
+ * @constant {string[]}
+ */
+const AFTER_HOURS_ACTIONS = ['message', 'callback', 'transfer'];
+
+/**
+ * Consecutive no-input/no-match reprompts before the call is ended
+ * (used when config.twilio.maxReprompts is not set)
+ * @constant {number}
+ */
+const DEFAULT_MAX_REPROMPTS = 3;
+
+/**
+ * Reprompt wording by miss type, escalating with each consecutive miss
+ * The last entry is reused once the list runs out.
+ * @constant {Object}
+ */
+const REPROMPT_MESSAGES = {
+  no_input: [
+    'Sorry, I didn\'t hear anything. How can I help you today?',
+    'I still can\'t hear you. Please tell me briefly what you\'re calling about.',
+    'If you\'re having trouble speaking, you can use your keypad instead.'
+  ],
+  no_match: [
+    'Sorry, I didn\'t quite catch that. Could you say that again?',
+    'I\'m still having trouble understanding. Please describe what you need in just a few words.',
+    'I\'m sorry, I still didn\'t understand. You can use your keypad instead.'
+  ]
+};
+
+/**
+ * Keypad alternatives offered from the second consecutive miss
+ * @constant {Object}
+ */
+const REPROMPT_KEYS = {
+  transfer: '0',
+  message: '1'
+};
+
+/**
+ * Call lifecycle order - a status callback never moves a call backwards
+ * ('queued' is reported by the REST API before 'initiated')
+ * @constant {Object}
+ */
+const CALL_STATUS_ORDER = {
+  queued: 0,
+  initiated: 0,
+  ringing: 1,
+  'in-progress': 2,
+  completed: 3,
+  busy: 3,
+  failed: 3,
+  'no-answer': 3,
+  canceled: 3
+};
+
+/**
+ * Statuses that end a call and trigger finalization
+ * @constant {string[]}
+ */
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+/**
+ * How often the sweeper reconciles open calls with Twilio
+ * @constant {number}
+ */
+const CALL_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * A call still open this long after it started is checked against Twilio
+ * @constant {number}
+ */
+const STALE_CALL_MS = 15 * 60 * 1000;
+
+/**
+ * Twilio ends every call after 4 hours; an open call older than this is
+ * closed even when Twilio cannot be reached
+ * @constant {number}
+ */
+const MAX_CALL_AGE_MS = 4 * 60 * 60 * 1000 + STALE_CALL_MS;
+
+/**
+ * Maximum open calls reconciled per sweep
+ * @constant {number}
+ */
+const CALL_SWEEP_BATCH_SIZE = 50;
 
 /**
  * BaseAgent implementation for Voice Gateway operations
@@ -77,8 +267,10 @@ class VoiceGatewayAgent extends BaseAgent {
    * @param {string} config.twilio.authToken - Twilio auth token
    * @param {string} config.twilio.phoneNumber - Twilio phone number
    * @param {string} config.twilio.webhookUrl - Webhook base URL
+   * @param {Object} [config.conversationAgent] - ConversationAgent whose cached session is closed when a call ends
+   * @param {Object} [config.queueManager] - QueueManager for the post-call pipeline and the call sweep
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   constructor(config) {
     super(config);
@@ -87,6 +279,10 @@ class VoiceGatewayAgent extends BaseAgent {
     this.twilioService = null;
     this.initialized = false;
 
+    // Finalization closes the conversation session and queues post-call actions
+    this.conversationAgent = config?.conversationAgent || null;
+    this.queueManager = config?.queueManager || null;
+
     // Validation - ensure Twilio config exists
     if (!config || !config.twilio) {
       const error = 'Missing Twilio configuration';
@@ -94,6 +290,9 @@ class VoiceGatewayAgent extends BaseAgent {
       throw new Error(error);
     }
 
+    // Persona speech is spoken with <Say> or played from synthesized audio
+    this.ttsService = new TtsService(config.tts, { openaiConfig: config.openai });
+
     this.logger.info('VoiceGatewayAgent constructed successfully');
   }
 
@@ -103,7 +302,7 @@ class VoiceGatewayAgent extends BaseAgent {
    * @returns {Promise<void>}
    * @throws {Error} If initialization fails
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   async initialize() {
     try {
@@ -119,6 +318,18 @@ class VoiceGatewayAgent extends BaseAgent {
       await this.twilioService.initialize();
       this.logger.info('Twilio service initialized');
 
+      // Every outbound dial goes through the compliance guard
+      this.complianceService = new ComplianceService(this.config.compliance, this.dbService);
+      this.logger.info('Compliance service initialized');
+
+      // First-time callers get a customer record
+      this.customerService = new CustomerService(this.config.customers, this.dbService);
+      this.logger.info('Customer service initialized');
+
+      // Product/competitor/SKU vocabulary becomes <Gather> hints
+      this.vocabularyService = new VocabularyService(this.config.speech, this.dbService);
+      this.logger.info('Vocabulary service initialized');
+
       this.initialized = true;
       this.logger.info('Voice Gateway Agent initialization complete');
 
@@ -140,7 +351,7 @@ class VoiceGatewayAgent extends BaseAgent {
    * @param {string} callData.Direction - Call direction ('inbound' or 'outbound')
    * @returns {Promise<Object>} APIResponse with TwiML string
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * const response = await agent.handleIncomingCall({
@@ -175,12 +386,38 @@ class VoiceGatewayAgent extends BaseAgent {
         throw new Error('Phone numbers must be in E.164 format (e.g., +1234567890)');
       }
 
+      // The dialed number picks the persona, recording policy, IVR menu and hours
+      const agentConfig = await this.resolveAgentConfig(callData.To);
+      const recordingPolicy = this.getRecordingPolicy(agentConfig);
+      const hours = this.getHoursStatus(agentConfig);
+
+      // Callers are linked to their customer (created on first call); known callers are greeted with their history
+      const caller = await this.recognizeCaller(callData.From, agentConfig);
+
+      const callMetadata = { ...callData };
+      if (caller) {
+        callMetadata.caller = caller;
+      }
+      if (recordingPolicy !== 'off') {
+        callMetadata.recording = { policy: recordingPolicy };
+      }
+      if (!hours.open) {
+        callMetadata.afterHours = {
+          reason: hours.reason,
+          holiday: hours.holiday,
+          closure: hours.closure,
+          action: this.getAfterHoursSettings(agentConfig).action,
+          nextOpenAt: hours.nextOpenAt ? hours.nextOpenAt.toISOString() : null
+        };
+      }
+
       // Log call start to database
       const logResult = await this.logCallStart(
         callData.CallSid,
         callData.From,
         callData.To,
-        callData
+        callMetadata,
+        agentConfig
       );
 
       if (!logResult.success) {
@@ -188,8 +425,11 @@ class VoiceGatewayAgent extends BaseAgent {
         // Continue anyway - don't fail the call due to database issues
       }
 
-      // Generate TwiML response
-      const twiml = this.generateInitialTwiML(callData);
+      // Recording notice/consent comes before the menu and conversation
+      const vocabulary = recordingPolicy === 'off' ? await this.getCallVocabulary(null, agentConfig) : null;
+      const twiml = recordingPolicy === 'off'
+        ? this.generateCallEntryTwiML({ ...callData, caller, vocabulary }, agentConfig)
+        : this.generateRecordingNoticeTwiML(recordingPolicy, agentConfig?.recording_consent_prompt, agentConfig);
 
       const duration = Date.now() - startTime;
       this.logger.info('Successfully handled incoming call', {
@@ -203,7 +443,10 @@ class VoiceGatewayAgent extends BaseAgent {
         data: {
           twiml: twiml.toString(),
           callSid: callData.CallSid,
-          conversationId: logResult.data?.id || null
+          conversationId: logResult.data?.id || null,
+          agentConfig: agentConfig?.name || null,
+          customerId: caller?.customerId || null,
+          returningCaller: caller?.returning || false
         },
         error: null,
         timestamp: new Date().toISOString(),
@@ -229,26 +472,68 @@ class VoiceGatewayAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Generate the first TwiML after any recording notice
+   * Runs the after-hours flow when the agent config's calendar is closed,
+   * plays the IVR menu when one is configured, otherwise starts the AI
+   * conversation directly.
+   *
+   * @param {Object} callData - Call data for context
+   * @param {Object|null} agentConfig - agent_configs row
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  generateCallEntryTwiML(callData, agentConfig) {
+    const hours = this.getHoursStatus(agentConfig);
+    if (!hours.open) {
+      return this.generateAfterHoursTwiML(callData.CallSid, agentConfig, hours);
+    }
+
+    const menu = agentConfig?.ivr_menu;
+
+    if (menu && Array.isArray(menu.options) && menu.options.length > 0) {
+      return this.generateMenuTwiML(menu, [], 0, null, agentConfig);
+    }
+
+    return this.generateConversationStartTwiML(callData, agentConfig);
+  }
+
+  /**
+   * Generate the TwiML that starts the AI conversation for the configured voice mode
+   * @param {Object} callData - Call data for context
+   * @param {Object|null} [agentConfig] - Persona providing the greeting and voice
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  generateConversationStartTwiML(callData, agentConfig = null) {
+    // Stream mode hands audio to the Media Streams server
+    return this.config.twilio.voiceMode === 'stream'
+      ? this.generateMediaStreamTwiML(callData, agentConfig)
+      : this.generateInitialTwiML(callData, agentConfig);
+  }
+
   /**
    * Generate initial TwiML response with greeting and speech gathering
    * @param {Object} callData - Call data for context
+   * @param {Object|null} [agentConfig] - Persona providing the greeting and voice
    * @returns {VoiceResponse} Twilio VoiceResponse object
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
-  generateInitialTwiML(callData) {
+  generateInitialTwiML(callData, agentConfig = null) {
     try {
       this.logger.debug('Generating initial TwiML', {
-        callSid: callData.CallSid
+        callSid: callData.CallSid,
+        agentConfig: agentConfig?.name || null
       });
 
       const twiml = new VoiceResponse();
+      const voice = this.getSayVoice(agentConfig);
 
       // Initial greeting - friendly and professional
-      twiml.say({
-        voice: 'Polly.Joanna',  // Using AWS Polly voice for better quality
-        language: 'en-US'
-      }, 'Hello! I\'m your AI assistant. How can I help you today?');
+      this.speak(twiml, this.getGreeting(agentConfig, callData.caller), agentConfig);
 
       // Pause briefly to let greeting complete
       twiml.pause({ length: 1 });
@@ -260,19 +545,14 @@ class VoiceGatewayAgent extends BaseAgent {
         speechTimeout: 'auto',  // Automatically detect end of speech
         action: `${this.config.twilio.webhookUrl}/webhooks/process-speech`,
         method: 'POST',
-        language: 'en-US'
+        language: voice.language,
+        ...this.getSpeechOptions('conversation', callData.vocabulary)
       });
 
       // While gathering, don't say anything (user will speak)
 
-      // If no input received, prompt again
-      twiml.say({
-        voice: 'Polly.Joanna',
-        language: 'en-US'
-      }, 'I didn\'t catch that. Please tell me how I can help you.');
-
-      // Redirect back to start if still no input
-      twiml.redirect(`${this.config.twilio.webhookUrl}/webhooks/voice`);
+      // No input - reprompt without restarting the call
+      twiml.redirect({ method: 'POST' }, this.getRepromptUrl('no_input', 0));
 
       return twiml;
 
@@ -283,17 +563,75 @@ class VoiceGatewayAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Generate TwiML that connects the call to the Media Streams WebSocket
+   * The greeting is spoken by Twilio so the caller hears something while the
+   * stream connects; everything after that is handled by MediaStreamServer.
+   * @param {Object} callData - Call data for context
+   * @param {Object|null} [agentConfig] - Persona providing the greeting and voice
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const twiml = agent.generateMediaStreamTwiML({ CallSid: 'CA123', From: '+1234567890' });
+   * // <Response><Say>...</Say><Connect><Stream url="wss://.../media-stream">...</Stream></Connect></Response>
+   */
+  generateMediaStreamTwiML(callData, agentConfig = null) {
+    try {
+      this.logger.debug('Generating Media Streams TwiML', {
+        callSid: callData.CallSid,
+        agentConfig: agentConfig?.name || null
+      });
+
+      const twiml = new VoiceResponse();
+
+      this.speak(twiml, this.getGreeting(agentConfig, callData.caller), agentConfig);
+
+      const connect = twiml.connect();
+      const stream = connect.stream({ url: this.getMediaStreamUrl() });
+
+      // Custom parameters arrive in the stream "start" event; the token lets
+      // MediaStreamServer refuse streams it did not ask Twilio to open
+      stream.parameter({ name: 'callSid', value: callData.CallSid });
+      stream.parameter({ name: 'from', value: callData.From || '' });
+      stream.parameter({ name: 'token', value: createStreamToken(this.config.twilio.authToken, callData.CallSid) });
+
+      return twiml;
+
+    } catch (error) {
+      this.logger.error('Error generating Media Streams TwiML', error);
+      return this.generateErrorTwiML();
+    }
+  }
+
+  /**
+   * Resolve the public WebSocket URL for Media Streams
+   * Falls back to the webhook host with a wss:// scheme when not configured.
+   * @returns {string} wss:// URL ending in /media-stream
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  getMediaStreamUrl() {
+    if (this.config.twilio.mediaStreamUrl) {
+      return this.config.twilio.mediaStreamUrl;
+    }
+
+    const base = new URL(this.config.twilio.webhookUrl);
+    const scheme = base.protocol === 'http:' ? 'ws:' : 'wss:';
+
+    return `${scheme}//${base.host}/media-stream`;
+  }
+
   /**
    * Generate error TwiML response
    * @returns {VoiceResponse} Twilio VoiceResponse with error message
    * @created 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   generateErrorTwiML() {
     const twiml = new VoiceResponse();
-    twiml.say({
-      voice: 'Polly.Joanna',
-      language: 'en-US'
-    }, 'I\'m sorry, but I\'m experiencing technical difficulties. Please try again later.');
+    twiml.say(DEFAULT_SAY_VOICE, 'I\'m sorry, but I\'m experiencing technical difficulties. Please try again later.');
     twiml.hangup();
     return twiml;
   }
@@ -303,9 +641,14 @@ class VoiceGatewayAgent extends BaseAgent {
    * @param {string} phoneNumber - Destination phone number (E.164 format)
    * @param {string} message - Message to deliver
    * @param {Object} options - Additional call options
-   * @returns {Promise<Object>} APIResponse with call details
+   * @param {boolean} [options.machineDetection] - Override TWILIO_MACHINE_DETECTION for this call
+   * @param {string} [options.voicemailScript] - Voicemail left if a machine answers (overrides TWILIO_VOICEMAIL_SCRIPT)
+   * @param {string} [options.agentConfigName] - Persona placing the call (greeting used when message is empty)
+   * @param {Object} [options.metadata] - Extra fields stored with the call record (e.g. campaign)
+   * @returns {Promise<Object>} APIResponse with call details. Calls stopped by the compliance
+   *   guard fail with data { blocked: true, rule, reason, retryAt }
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * const result = await agent.makeOutboundCall(
@@ -313,6 +656,13 @@ class VoiceGatewayAgent extends BaseAgent {
    *   'This is a scheduled follow-up call',
    *   { record: true }
    * );
+   *
+   * @example
+   * // Leave a voicemail instead of the live message if a machine answers
+   * const result = await agent.makeOutboundCall('+1234567890', 'Hi, quick follow-up!', {
+   *   machineDetection: true,
+   *   voicemailScript: 'Sorry we missed you - call us back at 555-0100.'
+   * });
    */
   async makeOutboundCall(phoneNumber, message, options = {}) {
     const requestId = this.generateRequestId();
@@ -329,30 +679,86 @@ class VoiceGatewayAgent extends BaseAgent {
         throw new Error('Phone number must be in E.164 format (e.g., +1234567890)');
       }
 
+      const { machineDetection, voicemailScript, agentConfigName, metadata, ...twilioOptions } = options;
+      const callOptions = { ...twilioOptions };
+
+      // Lifecycle callbacks finalize the conversation (campaigns pass their own URL)
+      if (!callOptions.statusCallback) {
+        callOptions.statusCallback = `${this.config.twilio.webhookUrl}/webhooks/status`;
+      }
+
+      // DNC list, calling hours in the callee's time zone and per-number caps
+      const compliance = await this.complianceService.checkOutboundCall(phoneNumber, metadata || {});
+      if (!compliance.allowed) {
+        return {
+          success: false,
+          data: {
+            blocked: true,
+            rule: compliance.rule,
+            reason: compliance.reason,
+            retryAt: compliance.retryAt
+          },
+          error: `Call blocked by compliance rule: ${compliance.rule}`,
+          timestamp: new Date().toISOString(),
+          requestId
+        };
+      }
+
+      // A named persona wins over the number's routed one (falls back if the name is unknown)
+      const agentConfig = (agentConfigName && await this.loadAgentConfig(agentConfigName)) ||
+        await this.resolveAgentConfig(this.config.twilio.phoneNumber);
+      const outboundMessage = message || this.getGreeting(agentConfig);
+
       // Create TwiML for outbound message
-      const twimlUrl = `${this.config.twilio.webhookUrl}/webhooks/outbound?message=${encodeURIComponent(message)}`;
+      const twimlUrl = `${this.config.twilio.webhookUrl}/webhooks/outbound?message=${encodeURIComponent(outboundMessage)}`;
+
+      // Outbound calls can only honor "always" - there is no consent step before the message plays
+      const recordingPolicy = this.getRecordingPolicy(agentConfig);
+      if (recordingPolicy === 'always') {
+        callOptions.record = true;
+        callOptions.recordingStatusCallback = this.getRecordingStatusCallbackUrl();
+      }
+
+      // Async AMD reports to /webhooks/amd after the greeting ends, so a voicemail lands after the beep
+      const detectMachine = machineDetection !== undefined ? !!machineDetection : !!this.config.twilio.machineDetection;
+      if (detectMachine) {
+        callOptions.machineDetection = 'DetectMessageEnd';
+        callOptions.amdStatusCallback = `${this.config.twilio.webhookUrl}/webhooks/amd`;
+        callOptions.machineDetectionTimeout = this.config.twilio.machineDetectionTimeout;
+      }
 
       // Make call via Twilio service
       const callResult = await this.twilioService.makeCall(
         phoneNumber,
         this.config.twilio.phoneNumber,
         twimlUrl,
-        options
+        callOptions
       );
 
       if (!callResult.success) {
         throw new Error(callResult.error || 'Failed to initiate call');
       }
 
+      // Placed calls count toward the per-number frequency caps
+      await this.complianceService.recordAttempt(phoneNumber, {
+        callSid: callResult.data.sid,
+        decision: compliance,
+        context: metadata || {}
+      });
+
       // Log call to database
       await this.logCallStart(
         callResult.data.sid,
         this.config.twilio.phoneNumber,
         phoneNumber,
         {
+          ...(metadata || {}),
           Direction: 'outbound',
-          message: message
-        }
+          message: outboundMessage,
+          ...(callOptions.record ? { recording: { policy: recordingPolicy } } : {}),
+          ...(detectMachine ? { amd: { enabled: true, voicemailScript: voicemailScript || null } } : {})
+        },
+        agentConfig
       );
 
       this.logger.info('Outbound call initiated successfully', {
@@ -385,19 +791,71 @@ class VoiceGatewayAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Generate TwiML for an answered outbound call
+   * Delivers the message, then listens for a reply so the call can continue
+   * as a conversation. With AMD enabled, a machine-answered call is later
+   * redirected to /webhooks/voicemail-drop.
+   *
+   * @param {Object} params - Outbound call parameters
+   * @param {string} params.callSid - Twilio call SID
+   * @param {string} [params.message] - Message to deliver
+   * @returns {Promise<Object>} APIResponse with TwiML
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agent.generateOutboundTwiML({ callSid: 'CA123', message: 'Hi, quick follow-up!' });
+   */
+  async generateOutboundTwiML(params) {
+    const requestId = this.generateRequestId();
+
+    this.logger.debug('Generating outbound TwiML', { callSid: params.callSid });
+
+    const agentConfig = await this.getCallAgentConfig(params.callSid);
+    const voice = this.getSayVoice(agentConfig);
+    const vocabulary = await this.getCallVocabulary(params.callSid, agentConfig);
+
+    const twiml = new VoiceResponse();
+    this.speak(twiml, params.message || 'Hello! This is your AI assistant calling.', agentConfig);
+
+    const gather = twiml.gather({
+      input: ['speech'],
+      timeout: 3,
+      speechTimeout: 'auto',
+      action: `${this.config.twilio.webhookUrl}/webhooks/process-speech`,
+      method: 'POST',
+      language: voice.language,
+      ...this.getSpeechOptions('conversation', vocabulary)
+    });
+    this.speak(gather, 'Is there anything I can help you with?', agentConfig);
+
+    this.speak(twiml, 'Thank you for your time. Goodbye!', agentConfig);
+    twiml.hangup();
+
+    return {
+      success: true,
+      data: { twiml: twiml.toString() },
+      error: null,
+      timestamp: new Date().toISOString(),
+      requestId
+    };
+  }
+
   /**
    * Log call start to database
-   * Creates conversation record with active status
+   * Creates conversation record with active status and the initial call_status
    *
    * @param {string} callSid - Twilio call SID
    * @param {string} from - Caller phone number
    * @param {string} to - Called phone number
    * @param {Object} metadata - Additional call metadata
+   * @param {Object|null} [agentConfig] - Persona handling the call (sets agent_type, agent_config_name and agent_config_version)
    * @returns {Promise<Object>} APIResponse with conversation record
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
-  async logCallStart(callSid, from, to, metadata = {}) {
+  async logCallStart(callSid, from, to, metadata = {}, agentConfig = null) {
     try {
       this.logger.info('Logging call start', {
         callSid,
@@ -405,11 +863,19 @@ class VoiceGatewayAgent extends BaseAgent {
         to: this.maskPhoneNumber(to)
       });
 
+      // Inbound calls are answered by the TwiML we return; outbound calls are still dialing
+      const outbound = metadata.Direction === 'outbound';
+
       // Use DatabaseService to create conversation
       const result = await this.dbService.createConversation({
         call_sid: callSid,
         phone_number: from,  // Customer phone number
-        agent_type: 'voice',
+        customer_id: metadata.caller?.customerId || null,
+        agent_type: agentConfig?.type || 'voice',
+        agent_config_name: agentConfig?.name || null,
+        agent_config_version: agentConfig?.active_version ?? null,
+        call_status: outbound ? 'initiated' : 'in-progress',
+        answered_at: outbound ? null : new Date().toISOString(),
         metadata: {
           to: to,
           direction: metadata.Direction || 'inbound',
@@ -450,11 +916,14 @@ class VoiceGatewayAgent extends BaseAgent {
    * @param {number} duration - Call duration in seconds
    * @param {string} status - Final call status
    * @param {Object} metadata - Additional end metadata
+   * @param {Object} [options={}] - End options
+   * @param {Object} [options.conversation] - Conversation row already loaded by the caller
+   * @param {string} [options.endedAt] - When the call ended (defaults to now)
    * @returns {Promise<Object>} APIResponse with updated conversation
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
-  async logCallEnd(callSid, duration, status, metadata = {}) {
+  async logCallEnd(callSid, duration, status, metadata = {}, options = {}) {
     try {
       this.logger.info('Logging call end', {
         callSid,
@@ -462,24 +931,39 @@ class VoiceGatewayAgent extends BaseAgent {
         status
       });
 
-      // Find conversation by call SID
-      const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+      let conversation = options.conversation || null;
+
+      if (!conversation) {
+        // Find conversation by call SID
+        const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+
+        if (!conversationResult.success || !conversationResult.data) {
+          throw new Error('Conversation not found for call SID: ' + callSid);
+        }
+
+        conversation = conversationResult.data;
+      }
+
+      const endedAt = options.endedAt || new Date().toISOString();
 
-      if (!conversationResult.success || !conversationResult.data) {
-        throw new Error('Conversation not found for call SID: ' + callSid);
+      // A completed call that was handed to a rep stays 'escalated'
+      let conversationStatus = status === 'completed' ? 'ended' : 'failed';
+      if (status === 'completed' && conversation.status === 'escalated') {
+        conversationStatus = 'escalated';
       }
 
       // Update conversation with end data
       const updateResult = await this.dbService.updateConversation(
-        conversationResult.data.id,
+        conversation.id,
         {
-          status: status === 'completed' ? 'ended' : 'failed',
-          ended_at: new Date().toISOString(),
+          status: conversationStatus,
+          ...(FINAL_CALL_STATUSES.includes(status) ? { call_status: status } : {}),
+          ended_at: endedAt,
           duration_seconds: duration,
           metadata: {
-            ...conversationResult.data.metadata,
+            ...conversation.metadata,
             endStatus: status,
-            endedAt: new Date().toISOString(),
+            endedAt,
             ...metadata
           }
         }
@@ -487,7 +971,7 @@ class VoiceGatewayAgent extends BaseAgent {
 
       if (updateResult.success) {
         this.logger.info('Call end logged successfully', {
-          conversationId: conversationResult.data.id
+          conversationId: conversation.id
         });
       } else {
         this.logger.error('Failed to update conversation', { error: updateResult.error });
@@ -508,6 +992,2385 @@ class VoiceGatewayAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Apply a Twilio call status to the conversation
+   * Moves call_status forward through initiated -> ringing -> in-progress and,
+   * on a final status (completed, busy, failed, no-answer, canceled), records
+   * ended_at, duration_seconds and status, then finalizes the call once.
+   * Duplicate and out-of-order callbacks are ignored.
+   *
+   * @param {Object} payload - Twilio status callback payload
+   * @param {string} payload.CallSid - Twilio call SID
+   * @param {string} payload.CallStatus - Twilio call status
+   * @param {string} [payload.CallDuration] - Call duration in seconds (final statuses)
+   * @param {Object} [options={}] - Lifecycle options
+   * @param {string} [options.source='callback'] - Who reported the status ('callback' or 'sweeper')
+   * @param {string} [options.endedAt] - When the call ended, if known (defaults to now)
+   * @returns {Promise<Object>} APIResponse with { callSid, callStatus, applied, reason, finalized }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agent.handleCallStatus({ CallSid: 'CA123', CallStatus: 'completed', CallDuration: '95' });
+   */
+  async handleCallStatus(payload, options = {}) {
+    const requestId = this.generateRequestId();
+    const { CallSid: callSid, CallStatus: reportedStatus } = payload || {};
+    const source = options.source || 'callback';
+
+    try {
+      if (!callSid || !reportedStatus) {
+        throw new Error('CallSid and CallStatus are required');
+      }
+
+      const callStatus = reportedStatus === 'queued' ? 'initiated' : reportedStatus;
+      if (CALL_STATUS_ORDER[callStatus] === undefined) {
+        throw new Error(`Unknown call status: ${reportedStatus}`);
+      }
+
+      this.logger.info('Call status update', { requestId, callSid, callStatus, source });
+
+      const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+      if (!conversationResult.success) {
+        throw new Error(conversationResult.error || 'Failed to load conversation');
+      }
+
+      const conversation = conversationResult.data;
+      const respond = (data) => ({
+        success: true,
+        data: { callSid, callStatus, applied: false, reason: null, finalized: false, ...data },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId
+      });
+
+      if (!conversation) {
+        this.logger.warn('Status update for unknown call', { requestId, callSid });
+        return respond({ reason: 'unknown_call' });
+      }
+
+      if (conversation.finalized_at) {
+        return respond({ reason: 'already_finalized' });
+      }
+
+      // The end was recorded but finalization did not finish - retry it
+      if (FINAL_CALL_STATUSES.includes(conversation.call_status)) {
+        const finalization = await this.finalizeCall(conversation);
+        return respond({ reason: 'already_ended', finalized: finalization.finalized });
+      }
+
+      const currentOrder = conversation.call_status in CALL_STATUS_ORDER
+        ? CALL_STATUS_ORDER[conversation.call_status]
+        : -1;
+      if (CALL_STATUS_ORDER[callStatus] <= currentOrder) {
+        this.logger.debug('Ignoring duplicate or out-of-order status', {
+          callSid,
+          current: conversation.call_status,
+          reported: callStatus
+        });
+        return respond({ reason: 'out_of_order' });
+      }
+
+      const at = options.endedAt ? new Date(options.endedAt).toISOString() : new Date().toISOString();
+      const lifecycle = conversation.metadata?.lifecycle || {};
+      const history = [...(lifecycle.history || []), { status: callStatus, at, source }];
+
+      if (!FINAL_CALL_STATUSES.includes(callStatus)) {
+        const updateResult = await this.mergeConversationMetadata(callSid, 'lifecycle', { history }, {
+          call_status: callStatus,
+          ...(callStatus === 'in-progress' ? { answered_at: at } : {})
+        });
+        if (!updateResult.success) {
+          throw new Error(updateResult.error || 'Failed to update call status');
+        }
+
+        return respond({ applied: true });
+      }
+
+      const duration = this.getCallDuration(payload, conversation, at);
+      const endResult = await this.logCallEnd(
+        callSid,
+        duration,
+        callStatus,
+        { lifecycle: { ...lifecycle, history } },
+        { conversation, endedAt: at }
+      );
+      if (!endResult.success) {
+        throw new Error(endResult.error || 'Failed to record call end');
+      }
+
+      const finalization = await this.finalizeCall({ ...conversation, ...(endResult.data || {}) });
+
+      return respond({ applied: true, finalized: finalization.finalized });
+
+    } catch (error) {
+      this.logger.error('Error handling call status', error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+    }
+  }
+
+  /**
+   * Work out a call's duration in seconds
+   * Uses Twilio's CallDuration when present; otherwise a completed call is
+   * timed from when it was answered (or started) and any other outcome is 0.
+   *
+   * @param {Object} payload - Twilio status payload
+   * @param {Object} conversation - Conversation row
+   * @param {string} endedAt - ISO timestamp the call ended
+   * @returns {number} Duration in seconds
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  getCallDuration(payload, conversation, endedAt) {
+    const reported = parseInt(payload.CallDuration, 10);
+    if (Number.isFinite(reported) && reported >= 0) {
+      return reported;
+    }
+
+    const from = Date.parse(conversation.answered_at || conversation.started_at);
+    if (payload.CallStatus !== 'completed' || Number.isNaN(from)) {
+      return 0;
+    }
+
+    return Math.max(0, Math.round((Date.parse(endedAt) - from) / 1000));
+  }
+
+  /**
+   * Finalize an ended call exactly once
+   * Claims the conversation (finalized_at), closes the ConversationAgent
+   * session and queues the post-call pipeline. If the job cannot be queued
+   * the claim is released so the sweeper retries.
+   *
+   * @param {Object} conversation - Conversation row (id, call_sid)
+   * @returns {Promise<Object>} { finalized, jobId }
+   * @throws {Error} If the claim or the post-call job fails
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async finalizeCall(conversation) {
+    const claim = await this.dbService.claimConversationFinalization(conversation.id);
+    if (!claim.success) {
+      throw new Error(claim.error || 'Failed to claim conversation finalization');
+    }
+
+    if (!claim.data) {
+      this.logger.debug('Call already finalized', { callSid: conversation.call_sid });
+      return { finalized: false, jobId: null };
+    }
+
+    if (this.conversationAgent) {
+      this.conversationAgent.closeSession(conversation.call_sid);
+    }
+
+    let jobId = null;
+    if (this.queueManager) {
+      const queued = await this.queueManager.addCallToQueue(conversation.call_sid, 'post_call_actions', {
+        conversationId: conversation.id,
+        conversationData: { ...conversation, ...claim.data }
+      });
+
+      if (!queued.success) {
+        await this.dbService.updateConversation(conversation.id, { finalized_at: null });
+        throw new Error(`Failed to queue post-call actions: ${queued.error}`);
+      }
+
+      jobId = queued.data.jobId;
+    } else {
+      this.logger.warn('No queue manager - post-call actions skipped', { callSid: conversation.call_sid });
+    }
+
+    this.logger.info('Call finalized', { callSid: conversation.call_sid, jobId });
+
+    return { finalized: true, jobId };
+  }
+
+  /**
+   * Reconcile calls that never received a final status callback
+   * Run by the repeatable call sweep. Open calls older than 15 minutes are
+   * checked against Twilio; calls Twilio cannot report on are closed once
+   * they are past Twilio's 4-hour call limit.
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object>} APIResponse with { checked, finalized, active, forced, failed }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async reconcileOpenCalls(now = new Date()) {
+    const requestId = this.generateRequestId();
+
+    try {
+      const staleBefore = new Date(now.getTime() - STALE_CALL_MS).toISOString();
+      const result = await this.dbService.getOpenCalls(staleBefore, CALL_SWEEP_BATCH_SIZE);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load open calls');
+      }
+
+      const summary = { checked: 0, finalized: 0, active: 0, forced: 0, failed: 0 };
+
+      for (const conversation of result.data) {
+        summary.checked++;
+
+        try {
+          summary[await this.reconcileCall(conversation, now)]++;
+        } catch (error) {
+          summary.failed++;
+          this.logger.error(`Failed to reconcile call ${conversation.call_sid}`, error);
+        }
+      }
+
+      if (summary.checked > 0) {
+        this.logger.info('Call sweep complete', { requestId, ...summary });
+      }
+
+      return {
+        success: true,
+        data: summary,
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+
+    } catch (error) {
+      this.logger.error('Error reconciling open calls', error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+    }
+  }
+
+  /**
+   * Reconcile one open call
+   * @param {Object} conversation - Conversation row without finalized_at
+   * @param {Date} now - Current time
+   * @returns {Promise<string>} Summary bucket: 'finalized', 'active' or 'forced'
+   * @throws {Error} If the status update fails
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async reconcileCall(conversation, now) {
+    const callSid = conversation.call_sid;
+
+    if (FINAL_CALL_STATUSES.includes(conversation.call_status)) {
+      const finalization = await this.finalizeCall(conversation);
+      return finalization.finalized ? 'finalized' : 'active';
+    }
+
+    const lookup = await this.twilioService.getCallStatus(callSid);
+
+    if (lookup.success && lookup.data) {
+      const result = await this.handleCallStatus(
+        { CallSid: callSid, CallStatus: lookup.data.status, CallDuration: lookup.data.duration },
+        { source: 'sweeper', endedAt: lookup.data.endTime || undefined }
+      );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return result.data.finalized ? 'finalized' : 'active';
+    }
+
+    // Twilio may still answer on the next sweep
+    if (now.getTime() - Date.parse(conversation.started_at) < MAX_CALL_AGE_MS) {
+      return 'active';
+    }
+
+    // Past Twilio's call limit, so the call is over - close it with what we know
+    const callStatus = !conversation.call_status || conversation.call_status === 'in-progress' ? 'completed' : 'failed';
+    const result = await this.handleCallStatus(
+      { CallSid: callSid, CallStatus: callStatus },
+      { source: 'sweeper', endedAt: conversation.updated_at || undefined }
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    this.logger.warn('Closed call Twilio could not report on', { callSid, callStatus });
+
+    return 'forced';
+  }
+
+  /**
+   * Schedule the repeatable call sweep on the calls queue
+   * @returns {Promise<Object>} APIResponse from QueueManager.scheduleCallSweep
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async startCallSweep() {
+    const result = await this.queueManager.scheduleCallSweep(CALL_SWEEP_INTERVAL_MS);
+
+    if (!result.success) {
+      this.logger.error(`Failed to schedule call sweep: ${result.error}`);
+    } else {
+      this.logger.info(`Call sweep running every ${CALL_SWEEP_INTERVAL_MS / 60000} minutes`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve the warm-transfer target for a call
+   * A persona's `transfer_number` / `transfer_queue` escalation rules take
+   * precedence over the global escalation number and queue.
+   *
+   * @param {Object} [escalationRules] - Persona escalation rules (agent_configs.escalation_rules)
+   * @returns {{number: (string|null), queue: (string|null)}} Number to dial, or queue to join when no number is set
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getEscalationTarget(escalationRules = null) {
+    const rules = escalationRules || {};
+
+    if (rules.transfer_number || rules.transfer_queue) {
+      return {
+        number: rules.transfer_number || null,
+        queue: rules.transfer_number ? null : rules.transfer_queue
+      };
+    }
+
+    const number = this.config.twilio.escalationNumber || null;
+    return {
+      number,
+      queue: number ? null : this.config.twilio.escalationQueue || null
+    };
+  }
+
+  /**
+   * Check whether a warm-transfer target is configured
+   * @param {Object} [escalationRules] - Persona escalation rules that may carry their own target
+   * @returns {boolean} True if an escalation number or queue is set
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  isEscalationEnabled(escalationRules = null) {
+    const target = this.getEscalationTarget(escalationRules);
+    return Boolean(target.number || target.queue);
+  }
+
+  /**
+   * Escalate a live call to a human rep
+   * Marks the conversation as escalated, stores the handoff summary for the
+   * whisper, and returns <Dial> TwiML that plays a hold message first.
+   *
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} [options] - Escalation options
+   * @param {string} [options.reason] - Why the call was escalated
+   * @param {string} [options.summary] - Call summary whispered to the rep
+   * @param {string} [options.number] - Rep number to dial instead of the configured escalation target
+   * @returns {Promise<Object>} APIResponse with transfer TwiML (or after-hours TwiML when nobody is on shift)
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agent.escalateCall('CA123', {
+   *   reason: 'caller_requested_manager',
+   *   summary: 'Caller wants a refund for order 1234.'
+   * });
+   * res.type('text/xml').send(result.data.twiml);
+   */
+  async escalateCall(callSid, options = {}) {
+    const requestId = this.generateRequestId();
+
+    try {
+      // Outside business hours only the on-call number has a human behind it
+      const agentConfig = await this.getCallAgentConfig(callSid);
+      const hours = this.getHoursStatus(agentConfig);
+      const onCallNumber = hours.open ? null : this.getAfterHoursSettings(agentConfig).onCallNumber;
+
+      if (!hours.open && !onCallNumber) {
+        return this.routeEscalationAfterHours(callSid, agentConfig, hours, options, requestId);
+      }
+
+      const escalationRules = agentConfig?.escalation_rules || null;
+      if (!onCallNumber && !options.number && !this.isEscalationEnabled(escalationRules)) {
+        throw new Error('No escalation number or queue configured');
+      }
+
+      this.logger.info('Escalating call to human rep', {
+        requestId,
+        callSid,
+        reason: options.reason,
+        onCall: Boolean(onCallNumber)
+      });
+
+      const dialNumber = onCallNumber || options.number;
+      const escalationTarget = this.getEscalationTarget(escalationRules);
+      const number = dialNumber || escalationTarget.number;
+      let target = number
+        ? { type: 'number', value: this.maskPhoneNumber(number) }
+        : { type: 'queue', value: escalationTarget.queue };
+      if (onCallNumber) {
+        target = { type: 'on_call', value: this.maskPhoneNumber(onCallNumber) };
+      }
+
+      const updateResult = await this.updateTransferMetadata(callSid, {
+        status: 'escalated',
+        escalated: true
+      }, {
+        requestedAt: new Date().toISOString(),
+        reason: options.reason || 'escalation_detected',
+        summary: options.summary || null,
+        target,
+        outcome: 'ringing'
+      });
+
+      if (!updateResult.success) {
+        // Still transfer - a human is more important than the audit row
+        this.logger.warn('Failed to record transfer metadata', { error: updateResult.error });
+      }
+
+      const twiml = this.generateTransferTwiML(callSid, dialNumber, agentConfig);
+
+      return {
+        success: true,
+        data: {
+          twiml: twiml.toString(),
+          callSid,
+          target
+        },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+
+    } catch (error) {
+      this.logger.error('Error escalating call', error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+    }
+  }
+
+  /**
+   * Generate warm-transfer TwiML
+   * Plays a hold message, then dials the rep number, whose whisper URL is
+   * played to the rep before the caller is bridged. Without a rep number the
+   * caller waits in the rep queue (<Enqueue>) until a rep takes them with
+   * generateQueueAnswerTwiML().
+   *
+   * @param {string} callSid - Parent call SID (used to look up the summary)
+   * @param {string} [number] - Rep number overriding the configured escalation target
+   * @param {Object} [agentConfig] - Persona providing the voice; its escalation rules may set the target
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  generateTransferTwiML(callSid, number = null, agentConfig = null) {
+    const baseUrl = this.config.twilio.webhookUrl;
+    const query = `callSid=${encodeURIComponent(callSid)}`;
+    const twiml = new VoiceResponse();
+
+    twiml.say(this.getSayVoice(agentConfig), 'Please hold while I connect you with a member of our team.');
+
+    const target = this.getEscalationTarget(agentConfig?.escalation_rules);
+    if (!number && !target.number) {
+      twiml.enqueue({
+        action: `${baseUrl}/webhooks/transfer-status?${query}`,
+        method: 'POST',
+        waitUrl: `${baseUrl}/webhooks/transfer-wait?${query}`,
+        waitUrlMethod: 'POST'
+      }, target.queue);
+
+      return twiml;
+    }
+
+    const dial = twiml.dial({
+      action: `${baseUrl}/webhooks/transfer-status?${query}`,
+      method: 'POST',
+      timeout: this.config.twilio.escalationTimeout || 20,
+      callerId: this.config.twilio.phoneNumber
+    });
+
+    dial.number({
+      url: `${baseUrl}/webhooks/transfer-whisper?${query}`,
+      method: 'POST'
+    }, number || target.number);
+
+    return twiml;
+  }
+
+  /**
+   * Generate the hold loop for a caller waiting in the rep queue
+   * Twilio requests it again each time it finishes; once the caller has
+   * waited longer than the escalation timeout they leave the queue, and the
+   * <Enqueue> action falls back like an unanswered <Dial>.
+   *
+   * @param {string} callSid - Queued caller's call SID
+   * @param {number} queueTime - Seconds the caller has been in the queue
+   * @returns {Promise<VoiceResponse>} Twilio VoiceResponse object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async generateQueueWaitTwiML(callSid, queueTime) {
+    const twiml = new VoiceResponse();
+
+    if (queueTime >= (this.config.twilio.escalationTimeout || 20)) {
+      this.logger.info('No rep took the queued caller in time', { callSid, queueTime });
+      twiml.leave();
+      return twiml;
+    }
+
+    const agentConfig = await this.getCallAgentConfig(callSid);
+    twiml.say(this.getSayVoice(agentConfig), 'Thank you for holding. A member of our team will be with you shortly.');
+    twiml.pause({ length: 10 });
+
+    return twiml;
+  }
+
+  /**
+   * Generate the TwiML a rep's phone runs to take the next queued caller
+   * The whisper URL is played to the rep before the caller is bridged.
+   *
+   * @param {string} [queue] - Queue to take a caller from (defaults to the global escalation queue)
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * // Voice URL of a rep's Twilio number: /webhooks/transfer-queue?queue=billing
+   * const twiml = agent.generateQueueAnswerTwiML('billing');
+   */
+  generateQueueAnswerTwiML(queue) {
+    const twiml = new VoiceResponse();
+    const dial = twiml.dial();
+
+    dial.queue({
+      url: `${this.config.twilio.webhookUrl}/webhooks/transfer-whisper`,
+      method: 'POST'
+    }, queue || this.config.twilio.escalationQueue);
+
+    return twiml;
+  }
+
+  /**
+   * Generate the whisper played to the rep before bridging
+   * @param {string} callSid - Parent call SID
+   * @returns {Promise<Object>} APIResponse with whisper TwiML
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async generateWhisperTwiML(callSid) {
+    const requestId = this.generateRequestId();
+    let summary = null;
+
+    try {
+      const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+      summary = conversationResult.data?.metadata?.transfer?.summary || null;
+    } catch (error) {
+      this.logger.error('Failed to load transfer summary', error);
+    }
+
+    const twiml = new VoiceResponse();
+    twiml.say(DEFAULT_SAY_VOICE, summary
+      ? `Incoming transfer from the AI assistant. ${summary}`
+      : 'Incoming transfer from the AI assistant. No summary is available.');
+
+    return {
+      success: true,
+      data: {
+        twiml: twiml.toString(),
+        callSid,
+        hasSummary: Boolean(summary)
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+      requestId
+    };
+  }
+
+  /**
+   * Handle the <Dial> or <Enqueue> action callback after a transfer attempt
+   * Answered transfers simply end the AI leg; unanswered ones fall back to
+   * voicemail or a scheduled callback task depending on configuration.
+   *
+   * @param {string} callSid - Parent call SID
+   * @param {string} dialCallStatus - Twilio DialCallStatus (completed, answered, busy, no-answer, failed, canceled)
+   *   or QueueResult (bridged, leave, hangup, error)
+   * @returns {Promise<Object>} APIResponse with follow-up TwiML
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agent.handleTransferStatus('CA123', 'no-answer');
+   */
+  async handleTransferStatus(callSid, dialCallStatus) {
+    const requestId = this.generateRequestId();
+
+    try {
+      this.logger.info('Transfer attempt finished', { requestId, callSid, dialCallStatus });
+
+      const twiml = new VoiceResponse();
+
+      if (['completed', 'answered', 'bridged'].includes(dialCallStatus)) {
+        await this.updateTransferMetadata(callSid, {}, {
+          outcome: 'connected',
+          completedAt: new Date().toISOString()
+        });
+
+        twiml.hangup();
+        return this.createTransferResponse(twiml, { outcome: 'connected' }, requestId);
+      }
+
+      const agentConfig = await this.getCallAgentConfig(callSid);
+
+      // Nobody picked up - try a callback task first if configured
+      if (this.config.twilio.escalationFallback === 'callback') {
+        const callbackResult = await this.scheduleTransferCallback(callSid, dialCallStatus);
+
+        if (callbackResult.success) {
+          twiml.say(this.getSayVoice(agentConfig), 'Sorry, everyone is busy right now. A member of our team will call you back shortly. Goodbye.');
+          twiml.hangup();
+
+          return this.createTransferResponse(twiml, { outcome: 'callback_scheduled' }, requestId);
+        }
+
+        this.logger.warn('Callback scheduling failed, falling back to voicemail', { error: callbackResult.error });
+      }
+
+      await this.updateTransferMetadata(callSid, {}, {
+        outcome: 'voicemail',
+        dialCallStatus
+      });
+
+      const voicemail = this.generateVoicemailTwiML(callSid, null, undefined, agentConfig);
+      return this.createTransferResponse(voicemail, { outcome: 'voicemail' }, requestId);
+
+    } catch (error) {
+      this.logger.error('Error handling transfer status', error);
+
+      const errorTwiml = this.generateErrorTwiML();
+      return {
+        success: false,
+        data: { twiml: errorTwiml.toString() },
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+    }
+  }
+
+  /**
+   * Generate TwiML that records a voicemail from the caller
+   * Recordings are posted to /webhooks/transfer-voicemail.
+   *
+   * @param {string} callSid - Parent call SID
+   * @param {string} [prompt] - Message played before the beep
+   * @param {string} [actionPath='/webhooks/transfer-voicemail'] - Webhook that receives the recording
+   * @param {Object|null} [agentConfig] - Persona providing the voice
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  generateVoicemailTwiML(callSid, prompt, actionPath = '/webhooks/transfer-voicemail', agentConfig = null) {
+    const voice = this.getSayVoice(agentConfig);
+    const twiml = new VoiceResponse();
+
+    twiml.say(voice, prompt || 'Sorry, no one is available to take your call. Please leave a message after the tone and we will get back to you.');
+    twiml.record({
+      action: `${this.config.twilio.webhookUrl}${actionPath}?callSid=${encodeURIComponent(callSid)}`,
+      method: 'POST',
+      maxLength: 120,
+      playBeep: true
+    });
+    twiml.say(voice, 'We did not receive a message. Goodbye.');
+    twiml.hangup();
+
+    return twiml;
+  }
+
+  /**
+   * Record a voicemail left after an unanswered transfer
+   * @param {string} callSid - Parent call SID
+   * @param {string} recordingUrl - Twilio recording URL
+   * @param {number} [recordingDuration] - Recording length in seconds
+   * @returns {Promise<Object>} APIResponse with goodbye TwiML
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async handleTransferVoicemail(callSid, recordingUrl, recordingDuration) {
+    const requestId = this.generateRequestId();
+
+    await this.updateTransferMetadata(callSid, {}, {
+      voicemailUrl: recordingUrl || null,
+      voicemailDuration: recordingDuration || null
+    });
+
+    const agentConfig = await this.getCallAgentConfig(callSid);
+
+    const twiml = new VoiceResponse();
+    twiml.say(this.getSayVoice(agentConfig), 'Thank you. Your message has been recorded. Goodbye.');
+    twiml.hangup();
+
+    return this.createTransferResponse(twiml, { outcome: 'voicemail_recorded' }, requestId);
+  }
+
+  /**
+   * Redirect an in-progress call to the transfer webhook
+   * Used by Media Streams calls, which cannot return TwiML directly.
+   *
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<Object>} APIResponse from TwilioService.updateCall
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  async redirectToTransfer(callSid) {
+    this.logger.info('Redirecting live call to transfer', { callSid });
+
+    return this.twilioService.updateCall(callSid, {
+      url: `${this.config.twilio.webhookUrl}/webhooks/transfer`,
+      method: 'POST'
+    });
+  }
+
+  /**
+   * Create a pending callback task for an unanswered transfer
+   * @param {string} callSid - Parent call SID
+   * @param {string} dialCallStatus - Why the transfer failed
+   * @returns {Promise<Object>} APIResponse from DatabaseService.createScheduledTask
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   * @private
+   */
+  async scheduleTransferCallback(callSid, dialCallStatus) {
+    const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+    const conversation = conversationResult.data;
+
+    if (!conversation || !conversation.customer_id) {
+      return { success: false, data: null, error: 'No customer linked to conversation' };
+    }
+
+    const taskResult = await this.dbService.createScheduledTask({
+      customer_id: conversation.customer_id,
+      task_type: 'callback',
+      scheduled_for: new Date().toISOString(),
+      payload: {
+        callSid,
+        conversationId: conversation.id,
+        reason: 'transfer_unanswered',
+        dialCallStatus,
+        summary: conversation.metadata?.transfer?.summary || null
+      }
+    });
+
+    if (taskResult.success) {
+      await this.updateTransferMetadata(callSid, {}, {
+        outcome: 'callback_scheduled',
+        dialCallStatus,
+        callbackTaskId: taskResult.data.id
+      });
+    }
+
+    return taskResult;
+  }
+
+  /**
+   * Merge transfer details into conversation.metadata.transfer
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} columns - Top-level conversation columns to update
+   * @param {Object} transfer - Fields to merge into metadata.transfer
+   * @returns {Promise<Object>} APIResponse from DatabaseService.updateConversation
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   * @private
+   */
+  async updateTransferMetadata(callSid, columns, transfer) {
+    return this.mergeConversationMetadata(callSid, 'transfer', transfer, columns);
+  }
+
+  /**
+   * Merge fields into one section of conversation.metadata
+   * Reads the current row first so other metadata sections are preserved.
+   *
+   * @param {string} callSid - Twilio call SID
+   * @param {string} section - Metadata key to merge into (e.g. 'transfer', 'recording')
+   * @param {Object|Function} fields - Fields to merge, or a function (current) => fields
+   * @param {Object} [columns={}] - Top-level conversation columns to update
+   * @returns {Promise<Object>} APIResponse from DatabaseService.updateConversation
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   * @private
+   */
+  async mergeConversationMetadata(callSid, section, fields, columns = {}) {
+    const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+
+    if (!conversationResult.success || !conversationResult.data) {
+      return { success: false, data: null, error: 'Conversation not found for call SID: ' + callSid };
+    }
+
+    const metadata = conversationResult.data.metadata || {};
+    const current = metadata[section] || {};
+    const updates = typeof fields === 'function' ? fields(current) : fields;
+
+    return this.dbService.updateConversation(conversationResult.data.id, {
+      ...columns,
+      metadata: {
+        ...metadata,
+        [section]: {
+          ...current,
+          ...updates
+        }
+      }
+    });
+  }
+
+  /**
+   * Wrap transfer TwiML in an APIResponse
+   * @param {VoiceResponse} twiml - TwiML to return
+   * @param {Object} data - Extra response data
+   * @param {string} requestId - Request ID
+   * @returns {Object} APIResponse
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   * @private
+   */
+  createTransferResponse(twiml, data, requestId) {
+    return {
+      success: true,
+      data: {
+        twiml: twiml.toString(),
+        ...data
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+      requestId
+    };
+  }
+
+  /**
+   * Resolve the agent config for one of our phone numbers
+   * Looks the number up in phone_number_routes and falls back to the default
+   * voice agent config when there is no route or the routed config is missing.
+   *
+   * @param {string} [phoneNumber] - Our Twilio number (the dialed "To" on inbound calls)
+   * @returns {Promise<Object|null>} agent_configs row or null
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const agentConfig = await agent.resolveAgentConfig(callData.To);
+   */
+  async resolveAgentConfig(phoneNumber) {
+    try {
+      if (phoneNumber) {
+        const routeResult = await this.dbService.getPhoneNumberRoute(phoneNumber);
+        const configName = routeResult.success ? routeResult.data?.agent_config_name : null;
+
+        if (configName && configName !== DEFAULT_AGENT_CONFIG_NAME) {
+          const routed = await this.loadAgentConfig(configName);
+          if (routed) {
+            return routed;
+          }
+
+          this.logger.warn('Routed agent config not found, using default', {
+            to: this.maskPhoneNumber(phoneNumber),
+            agentConfig: configName
+          });
+        }
+      }
+
+      return await this.loadAgentConfig(DEFAULT_AGENT_CONFIG_NAME);
+    } catch (error) {
+      this.logger.error('Failed to resolve agent config', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load an agent config by name
+   * @param {string} name - agent_configs.name
+   * @returns {Promise<Object|null>} agent_configs row or null when missing/inactive
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async loadAgentConfig(name) {
+    const result = await this.dbService.getAgentConfig(name);
+    return result.success && result.data ? result.data : null;
+  }
+
+  /**
+   * Greeting spoken when the AI answers
+   * Recognized callers get agent_configs.returning_greeting (or the built-in
+   * "welcome back" line) instead of the regular greeting.
+   *
+   * @param {Object|null} agentConfig - agent_configs row
+   * @param {Object|null} [caller] - Caller profile from recognizeCaller()
+   * @returns {string} Returning-caller greeting, agent_configs.greeting or the default greeting
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getGreeting(agentConfig, caller = null) {
+    return buildReturningGreeting(caller, agentConfig?.returning_greeting)
+      || agentConfig?.greeting
+      || DEFAULT_GREETING;
+  }
+
+  /**
+   * Look up an inbound caller by phone number and build their profile
+   * Unknown numbers get a new customer record (unless CUSTOMER_AUTO_CREATE
+   * is off) with an empty profile. The profile (name, tags, recent
+   * conversations, open scheduled tasks) is stored on the conversation as
+   * metadata.caller, where ConversationAgent picks it up for the AI's
+   * context and for customer enrichment. Lookup failures never block the call.
+   *
+   * @param {string} phoneNumber - Caller phone number (E.164)
+   * @param {Object|null} [agentConfig] - Persona answering the call (its calendar time zone is used for dates)
+   * @returns {Promise<Object|null>} Caller profile, or null when there is no customer record
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const caller = await agent.recognizeCaller('+15551234567');
+   * if (caller?.returning) console.log(caller.lastInteraction.topic);
+   */
+  async recognizeCaller(phoneNumber, agentConfig = null) {
+    try {
+      const customerResult = await this.customerService.findOrCreateCustomer(phoneNumber);
+      if (!customerResult.success || !customerResult.data.customer) {
+        return null;
+      }
+
+      const { customer, created } = customerResult.data;
+      if (created) {
+        this.logger.info('Created customer for first-time caller', { customerId: customer.id });
+        return buildCallerProfile({ customer, timezone: agentConfig?.business_hours?.timezone || 'UTC' });
+      }
+
+      const [conversationsResult, tasksResult] = await Promise.all([
+        this.dbService.getCustomerConversations(customer.id, { limit: MAX_CALLER_HISTORY }),
+        this.dbService.getCustomerOpenTasks(customer.id)
+      ]);
+
+      const conversations = await Promise.all((conversationsResult.data || []).map(async conversation => {
+        const messagesResult = await this.dbService.getConversationMessages(conversation.id, {
+          limit: CALLER_HISTORY_MESSAGES,
+          order: 'asc'
+        });
+        return { conversation, messages: messagesResult.data || [] };
+      }));
+
+      const caller = buildCallerProfile({
+        customer,
+        conversations,
+        tasks: tasksResult.data || [],
+        timezone: agentConfig?.business_hours?.timezone || 'UTC'
+      });
+
+      this.logger.info('Recognized caller', {
+        customerId: caller.customerId,
+        returning: caller.returning,
+        openTasks: caller.openTasks.length
+      });
+
+      return caller;
+    } catch (error) {
+      this.logger.error('Failed to look up caller, continuing without history', error);
+      return null;
+    }
+  }
+
+  /**
+   * Twilio <Say> attributes for a persona
+   * voice_settings.voice/speed are OpenAI TTS settings (Media Streams and the
+   * openai TTS provider); voice_settings.twilioVoice/language control Twilio's own speech.
+   *
+   * @param {Object|null} agentConfig - agent_configs row
+   * @returns {Object} { voice, language } for twiml.say()
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * twiml.say(agent.getSayVoice(agentConfig), 'One moment please.');
+   */
+  getSayVoice(agentConfig) {
+    const settings = agentConfig?.voice_settings || {};
+
+    return {
+      voice: settings.twilioVoice || DEFAULT_SAY_VOICE.voice,
+      language: settings.language || DEFAULT_SAY_VOICE.language
+    };
+  }
+
+  /**
+   * Speak text in the persona's voice
+   * Uses <Say> with getSayVoice() for Twilio speech, or <Play> of audio from
+   * the persona's TTS provider (voice_settings.ttsProvider, voice, speed).
+   *
+   * @param {Object} node - VoiceResponse or Gather to add the speech to
+   * @param {string} text - Text to speak
+   * @param {Object|null} agentConfig - agent_configs row
+   * @returns {Object} The node
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * agent.speak(gather, 'What can I help you with?', agentConfig);
+   */
+  speak(node, text, agentConfig) {
+    return this.ttsService.speak(node, text, agentConfig?.voice_settings, this.getSayVoice(agentConfig));
+  }
+
+  /**
+   * Get the recording policy from an agent config
+   * @param {Object|null} agentConfig - agent_configs row
+   * @returns {string} 'off', 'always' or 'consent'
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  getRecordingPolicy(agentConfig) {
+    const policy = agentConfig?.recording_policy;
+    return RECORDING_POLICIES.includes(policy) ? policy : 'off';
+  }
+
+  /**
+   * Recording status callback URL
+   * @returns {string} Absolute /webhooks/recording-status URL
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  getRecordingStatusCallbackUrl() {
+    return `${this.config.twilio.webhookUrl}/webhooks/recording-status`;
+  }
+
+  /**
+   * Generate the recording announcement (always) or consent prompt (consent)
+   * "always" announces and redirects to /webhooks/recording-start.
+   * "consent" gathers 1/yes or 2/no; no answer counts as declined.
+   *
+   * @param {string} policy - 'always' or 'consent'
+   * @param {string} [customPrompt] - agent_configs.recording_consent_prompt
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   *
+   * @example
+   * const twiml = agent.generateRecordingNoticeTwiML('consent');
+   */
+  generateRecordingNoticeTwiML(policy, customPrompt, agentConfig = null) {
+    const baseUrl = this.config.twilio.webhookUrl;
+    const twiml = new VoiceResponse();
+    const voice = this.getSayVoice(agentConfig);
+
+    if (policy === 'always') {
+      this.speak(twiml, customPrompt || 'This call will be recorded for quality and compliance purposes.', agentConfig);
+      twiml.redirect({ method: 'POST' }, `${baseUrl}/webhooks/recording-start`);
+      return twiml;
+    }
+
+    const gather = twiml.gather({
+      input: ['dtmf', 'speech'],
+      numDigits: 1,
+      timeout: 5,
+      speechTimeout: 'auto',
+      action: `${baseUrl}/webhooks/recording-consent`,
+      method: 'POST',
+      language: voice.language,
+      ...this.getSpeechOptions('commands', null, ['yes', 'no'])
+    });
+    this.speak(gather, customPrompt ||
+      'This call may be recorded for quality and compliance purposes. Press 1 or say yes to allow recording. Press 2 or say no to continue without recording.', agentConfig);
+
+    // No answer - continue without recording
+    twiml.redirect({ method: 'POST' }, `${baseUrl}/webhooks/recording-consent`);
+
+    return twiml;
+  }
+
+  /**
+   * Record the caller's consent decision, start recording if allowed, and
+   * continue into the AI conversation
+   *
+   * @param {Object} callData - Twilio webhook payload
+   * @param {string} callData.CallSid - Twilio call SID
+   * @param {string} [callData.Digits] - DTMF input from the consent prompt
+   * @param {string} [callData.SpeechResult] - Speech input from the consent prompt
+   * @param {Object} [options] - Consent options
+   * @param {boolean} [options.announced=false] - Policy "always": no consent question was asked
+   * @returns {Promise<Object>} APIResponse with conversation TwiML
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agent.handleRecordingConsent({ CallSid: 'CA123', Digits: '1' });
+   */
+  async handleRecordingConsent(callData, options = {}) {
+    const requestId = this.generateRequestId();
+
+    try {
+      let granted;
+      let method;
+
+      if (options.announced) {
+        granted = true;
+        method = 'announced';
+      } else if (callData.Digits) {
+        granted = callData.Digits === '1';
+        method = 'dtmf';
+      } else if (callData.SpeechResult) {
+        granted = isSpokenConsent(callData.SpeechResult);
+        method = 'speech';
+      } else {
+        granted = false;
+        method = 'no_response';
+      }
+
+      this.logger.info('Recording consent decision', {
+        requestId,
+        callSid: callData.CallSid,
+        granted,
+        method
+      });
+
+      const recording = {
+        consent: {
+          granted,
+          method,
+          at: new Date().toISOString()
+        }
+      };
+
+      if (granted) {
+        const startResult = await this.twilioService.startRecording(callData.CallSid, {
+          statusCallback: this.getRecordingStatusCallbackUrl()
+        });
+
+        if (startResult.success) {
+          recording.sid = startResult.data.sid;
+          recording.status = startResult.data.status || 'in-progress';
+          recording.startedAt = new Date().toISOString();
+        } else {
+          this.logger.warn('Failed to start recording', { error: startResult.error });
+          recording.status = 'failed';
+          recording.error = startResult.error;
+        }
+      }
+
+      const updateResult = await this.mergeConversationMetadata(callData.CallSid, 'recording', recording);
+      if (!updateResult.success) {
+        this.logger.warn('Failed to store recording consent', { error: updateResult.error });
+      }
+
+      const agentConfig = await this.resolveAgentConfig(callData.To);
+      const caller = updateResult.data?.metadata?.caller || null;
+      const vocabulary = await this.getCallVocabulary(null, agentConfig);
+      const twiml = this.generateCallEntryTwiML({ ...callData, caller, vocabulary }, agentConfig);
+
+      return {
+        success: true,
+        data: {
+          twiml: twiml.toString(),
+          consentGranted: granted,
+          recordingSid: recording.sid || null
+        },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+
+    } catch (error) {
+      this.logger.error('Error handling recording consent', error);
+
+      // Never drop the caller over a recording problem - continue unrecorded
+      return {
+        success: false,
+        data: {
+          twiml: this.generateConversationStartTwiML(callData).toString()
+        },
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+    }
+  }
+
+  /**
+   * Store a Twilio recording status callback on the conversation
+   * @param {Object} payload - Twilio recording status callback body
+   * @param {string} payload.CallSid - Call SID
+   * @param {string} payload.RecordingSid - Recording SID
+   * @param {string} payload.RecordingUrl - Recording media URL
+   * @param {string} payload.RecordingStatus - in-progress, completed, absent, failed
+   * @param {string} [payload.RecordingDuration] - Duration in seconds
+   * @returns {Promise<Object>} APIResponse from DatabaseService.updateConversation
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  async handleRecordingStatus(payload) {
+    this.logger.info('Recording status update', {
+      callSid: payload.CallSid,
+      recordingSid: payload.RecordingSid,
+      status: payload.RecordingStatus
+    });
+
+    const fields = {
+      sid: payload.RecordingSid,
+      url: payload.RecordingUrl || null,
+      status: payload.RecordingStatus,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (payload.RecordingDuration !== undefined) {
+      fields.duration = parseInt(payload.RecordingDuration, 10);
+    }
+
+    if (payload.RecordingChannels) {
+      fields.channels = parseInt(payload.RecordingChannels, 10);
+    }
+
+    if (payload.RecordingStatus === 'completed') {
+      fields.completedAt = new Date().toISOString();
+    }
+
+    return this.mergeConversationMetadata(payload.CallSid, 'recording', fields);
+  }
+
+  /**
+   * Pause the call recording during a sensitive moment
+   * @param {string} callSid - Twilio call SID
+   * @param {string} [reason] - Why recording was paused (e.g. 'payment_details')
+   * @returns {Promise<Object>} APIResponse from TwilioService.updateCall
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   *
+   * @example
+   * await agent.pauseRecording('CA123', 'payment_details');
+   */
+  async pauseRecording(callSid, reason) {
+    const result = await this.twilioService.updateCall(callSid, { recording: 'paused' });
+
+    if (result.success) {
+      await this.mergeConversationMetadata(callSid, 'recording', (current) => ({
+        status: 'paused',
+        pauses: [
+          ...(current.pauses || []),
+          { pausedAt: new Date().toISOString(), reason: reason || null }
+        ]
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Resume a paused call recording
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<Object>} APIResponse from TwilioService.updateCall
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  async resumeRecording(callSid) {
+    const result = await this.twilioService.updateCall(callSid, { recording: 'in-progress' });
+
+    if (result.success) {
+      await this.mergeConversationMetadata(callSid, 'recording', (current) => {
+        const pauses = [...(current.pauses || [])];
+        const last = pauses[pauses.length - 1];
+
+        if (last && !last.resumedAt) {
+          pauses[pauses.length - 1] = { ...last, resumedAt: new Date().toISOString() };
+        }
+
+        return { status: 'in-progress', pauses };
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Map a Twilio AnsweredBy value to an outcome
+   * @param {string} answeredBy - human, machine_start, machine_end_beep, machine_end_silence, machine_end_other, fax, unknown
+   * @returns {string} 'human', 'machine', 'fax' or 'unknown'
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  classifyAnsweredBy(answeredBy) {
+    if (answeredBy === 'human' || answeredBy === 'fax') {
+      return answeredBy;
+    }
+
+    if (answeredBy && answeredBy.startsWith('machine')) {
+      return 'machine';
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * Handle an async answering-machine detection result
+   * Machines get redirected to the voicemail drop, fax lines are hung up,
+   * and humans (or inconclusive results) stay on the live message.
+   *
+   * @param {Object} payload - Twilio AMD status callback body
+   * @param {string} payload.CallSid - Call SID
+   * @param {string} payload.AnsweredBy - Detection result
+   * @param {string} [payload.MachineDetectionDuration] - Detection time in milliseconds
+   * @returns {Promise<Object>} APIResponse with outcome and action taken
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agent.handleAmdResult({ CallSid: 'CA123', AnsweredBy: 'machine_end_beep' });
+   * // result.data => { outcome: 'machine', action: 'voicemail' }
+   */
+  async handleAmdResult(payload) {
+    const requestId = this.generateRequestId();
+
+    try {
+      const outcome = this.classifyAnsweredBy(payload.AnsweredBy);
+      let action = 'continue';
+
+      this.logger.info('Answering machine detection result', {
+        requestId,
+        callSid: payload.CallSid,
+        answeredBy: payload.AnsweredBy,
+        outcome
+      });
+
+      if (outcome === 'machine') {
+        const redirectResult = await this.twilioService.updateCall(payload.CallSid, {
+          url: `${this.config.twilio.webhookUrl}/webhooks/voicemail-drop`,
+          method: 'POST'
+        });
+
+        if (redirectResult.success) {
+          action = 'voicemail';
+        } else {
+          this.logger.warn('Failed to redirect call to voicemail drop', { error: redirectResult.error });
+        }
+      } else if (outcome === 'fax') {
+        await this.twilioService.updateCall(payload.CallSid, { status: 'completed' });
+        action = 'hangup';
+      }
+
+      await this.mergeConversationMetadata(payload.CallSid, 'amd', {
+        answeredBy: payload.AnsweredBy || null,
+        outcome,
+        action,
+        detectionMs: payload.MachineDetectionDuration ? parseInt(payload.MachineDetectionDuration, 10) : null,
+        detectedAt: new Date().toISOString()
+      });
+
+      return {
+        success: true,
+        data: { outcome, action },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+
+    } catch (error) {
+      this.logger.error('Error handling answering machine detection result', error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+    }
+  }
+
+  /**
+   * Generate TwiML that leaves the voicemail script after the beep
+   * Uses the per-call script stored at dial time, then TWILIO_VOICEMAIL_SCRIPT, then a default.
+   *
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<Object>} APIResponse with voicemail TwiML
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async generateVoicemailDropTwiML(callSid) {
+    const requestId = this.generateRequestId();
+    let script = this.config.twilio.voicemailScript || DEFAULT_VOICEMAIL_SCRIPT;
+
+    try {
+      const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+      const amd = conversationResult.success && conversationResult.data
+        ? (conversationResult.data.metadata || {}).amd || {}
+        : {};
+
+      if (amd.voicemailScript) {
+        script = amd.voicemailScript;
+      }
+
+      await this.mergeConversationMetadata(callSid, 'amd', {
+        voicemailLeft: true,
+        voicemailLeftAt: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.warn('Could not load voicemail script, using default', { callSid, error: error.message });
+    }
+
+    const twiml = new VoiceResponse();
+    this.speak(twiml, script, await this.getCallAgentConfig(callSid));
+    twiml.hangup();
+
+    return {
+      success: true,
+      data: { twiml: twiml.toString() },
+      error: null,
+      timestamp: new Date().toISOString(),
+      requestId
+    };
+  }
+
+  /**
+   * Find the menu node at a path of selected keys
+   * @param {Object} menu - Root menu (agent_configs.ivr_menu)
+   * @param {string[]} path - Keys selected so far, e.g. ['2', '1']
+   * @returns {Object|null} Menu node, or null if the path no longer exists
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getMenuNode(menu, path) {
+    let node = menu;
+
+    for (const key of path) {
+      const option = (node.options || []).find(opt => String(opt.key) === key);
+
+      if (!option || !option.action || option.action.type !== 'menu') {
+        return null;
+      }
+
+      node = option.action;
+    }
+
+    return node;
+  }
+
+  /**
+   * Generate a menu prompt that accepts a keypress or speech
+   * The menu path and attempt count travel in the action URL, so no call
+   * state is kept in memory between webhooks.
+   *
+   * @param {Object} menu - Root menu (agent_configs.ivr_menu)
+   * @param {string[]} path - Keys selected so far
+   * @param {number} [attempt=0] - Retries used at this menu
+   * @param {string} [notice] - Message played before the prompt (e.g. invalid choice)
+   * @param {Object|null} [agentConfig] - Persona providing the voice
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const twiml = agent.generateMenuTwiML(agentConfig.ivr_menu, ['2']);
+   */
+  generateMenuTwiML(menu, path, attempt = 0, notice = null, agentConfig = null) {
+    const node = this.getMenuNode(menu, path) || menu;
+    const voice = this.getSayVoice(agentConfig);
+    const actionUrl = `${this.config.twilio.webhookUrl}/webhooks/ivr?path=${encodeURIComponent(path.join('.'))}&attempt=${attempt}`;
+    const hints = (node.options || [])
+      .flatMap(opt => [opt.label, ...(opt.keywords || [])])
+      .filter(Boolean);
+
+    const twiml = new VoiceResponse();
+
+    if (notice) {
+      twiml.say(voice, notice);
+    }
+
+    const gather = twiml.gather({
+      input: ['dtmf', 'speech'],
+      numDigits: 1,
+      timeout: node.timeout || menu.timeout || 5,
+      speechTimeout: 'auto',
+      action: actionUrl,
+      method: 'POST',
+      language: 'en-US',
+      ...this.getSpeechOptions('commands', null, hints)
+    });
+    gather.say(voice, node.prompt || menu.prompt);
+
+    // No input - the IVR webhook counts it as a retry
+    twiml.redirect({ method: 'POST' }, actionUrl);
+
+    return twiml;
+  }
+
+  /**
+   * Match caller input against a menu node's options
+   * Digits must equal the option key; speech matches the label or any keyword.
+   *
+   * @param {Object} node - Menu node
+   * @param {Object} input - Twilio Gather payload
+   * @param {string} [input.Digits] - Key pressed
+   * @param {string} [input.SpeechResult] - What the caller said
+   * @returns {Object|null} Matching option or null
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  matchMenuOption(node, input) {
+    const options = node.options || [];
+
+    if (input.Digits) {
+      return options.find(opt => String(opt.key) === String(input.Digits)) || null;
+    }
+
+    if (input.SpeechResult) {
+      // Pad with spaces so keywords only match whole words ("sales" but not "wholesale")
+      const speech = ` ${input.SpeechResult.toLowerCase().replace(/[^a-z0-9' ]/g, ' ')} `;
+
+      return options.find(opt => [opt.label, ...(opt.keywords || [])]
+        .filter(Boolean)
+        .some(word => speech.includes(` ${word.toLowerCase()} `))) || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle a keypress or utterance at an IVR menu
+   * Descends into submenus, re-prompts on no/invalid input up to the retry
+   * limit, and runs the selected action. Unmatched speech ("just tell me what
+   * you need") goes to the menu's default action and is forwarded to the AI.
+   *
+   * @param {Object} callData - Twilio Gather payload (CallSid, Digits, SpeechResult)
+   * @param {Object} state - Menu state from the action URL
+   * @param {string[]} state.path - Keys selected so far
+   * @param {number} state.attempt - Retries used at this menu
+   * @returns {Promise<Object>} APIResponse with TwiML, selection and optional forwardSpeech
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agent.handleMenuInput(
+   *   { CallSid: 'CA123', Digits: '1' },
+   *   { path: [], attempt: 0 }
+   * );
+   */
+  async handleMenuInput(callData, state) {
+    const requestId = this.generateRequestId();
+    const path = state.path || [];
+    const attempt = state.attempt || 0;
+
+    try {
+      const agentConfig = await this.resolveAgentConfig(callData.To);
+      const menu = agentConfig?.ivr_menu;
+      const node = menu ? this.getMenuNode(menu, path) : null;
+      const input = callData.Digits ? 'dtmf' : (callData.SpeechResult ? 'speech' : 'none');
+
+      // Menu removed or changed mid-call - just start the conversation
+      if (!node) {
+        this.logger.warn('IVR menu path not found, starting conversation', { callSid: callData.CallSid, path });
+        return this.runMenuAction(callData, { type: 'agent' }, { path, labels: [], input }, requestId, agentConfig);
+      }
+
+      const option = this.matchMenuOption(node, callData);
+
+      this.logger.info('IVR menu input', {
+        requestId,
+        callSid: callData.CallSid,
+        path: path.join('.'),
+        input,
+        matched: option ? option.key : null
+      });
+
+      const labels = this.getMenuLabels(menu, path);
+
+      if (option) {
+        if (option.action?.type === 'menu') {
+          const twiml = this.generateMenuTwiML(menu, [...path, String(option.key)], 0, null, agentConfig);
+          return this.createMenuResponse(twiml, { action: 'menu', path: [...path, String(option.key)] }, requestId);
+        }
+
+        return this.runMenuAction(callData, option.action || { type: 'agent' }, {
+          path: [...path, String(option.key)],
+          labels: [...labels, option.label || String(option.key)],
+          input
+        }, requestId, agentConfig);
+      }
+
+      const defaultAction = node.defaultAction || menu.defaultAction || { type: 'agent' };
+
+      // Caller described what they need instead of picking an option
+      if (input === 'speech') {
+        return this.runMenuAction(callData, defaultAction, { path, labels, input, unmatched: true }, requestId, agentConfig);
+      }
+
+      const maxRetries = node.maxRetries ?? menu.maxRetries ?? DEFAULT_MENU_RETRIES;
+      if (attempt < maxRetries) {
+        const notice = input === 'dtmf'
+          ? 'Sorry, that is not a valid option.'
+          : 'Sorry, I didn\'t get that.';
+        const twiml = this.generateMenuTwiML(menu, path, attempt + 1, notice, agentConfig);
+        return this.createMenuResponse(twiml, { action: 'retry', path, attempt: attempt + 1 }, requestId);
+      }
+
+      return this.runMenuAction(callData, defaultAction, { path, labels, input }, requestId, agentConfig);
+
+    } catch (error) {
+      this.logger.error('Error handling IVR menu input', error);
+
+      return {
+        success: false,
+        data: { twiml: this.generateConversationStartTwiML(callData).toString() },
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+    }
+  }
+
+  /**
+   * Labels of the submenus along a path, for readable analytics
+   * @param {Object} menu - Root menu
+   * @param {string[]} path - Keys selected so far
+   * @returns {string[]} Option labels (falls back to the key)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  getMenuLabels(menu, path) {
+    const labels = [];
+    let node = menu;
+
+    for (const key of path) {
+      const option = (node.options || []).find(opt => String(opt.key) === key);
+      if (!option) {
+        break;
+      }
+
+      labels.push(option.label || key);
+      node = option.action || {};
+    }
+
+    return labels;
+  }
+
+  /**
+   * Run a terminal menu action and record the caller's path
+   * @param {Object} callData - Twilio Gather payload
+   * @param {Object} action - { type: 'agent'|'transfer'|'voicemail', agentConfig?, number?, prompt? }
+   * @param {Object} selection - { path, labels, input, unmatched? }
+   * @param {string} requestId - Request ID for the response
+   * @param {Object|null} [agentConfig] - Config of the dialed number (used when the action names no persona)
+   * @returns {Promise<Object>} APIResponse with TwiML
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async runMenuAction(callData, action, selection, requestId, agentConfig = null) {
+    const callSid = callData.CallSid;
+    const type = ['agent', 'transfer', 'voicemail'].includes(action.type) ? action.type : 'agent';
+
+    // Switching persona moves the conversation row to that config for the rest of the call
+    const persona = type === 'agent' && action.agentConfig
+      ? await this.loadAgentConfig(action.agentConfig)
+      : null;
+
+    if (type === 'agent' && action.agentConfig && !persona) {
+      this.logger.warn('IVR persona config not found, keeping current persona', { agentConfig: action.agentConfig });
+    }
+
+    const ivrResult = await this.mergeConversationMetadata(callSid, 'ivr', {
+      path: selection.path,
+      labels: selection.labels,
+      selection: selection.unmatched ? null : (selection.labels[selection.labels.length - 1] || null),
+      action: type,
+      input: selection.input,
+      completedAt: new Date().toISOString()
+    }, persona ? {
+      agent_type: persona.type || 'voice',
+      agent_config_name: persona.name,
+      agent_config_version: persona.active_version ?? null
+    } : {});
+
+    if (type === 'transfer' && (action.number || this.isEscalationEnabled(agentConfig?.escalation_rules))) {
+      const escalation = await this.escalateCall(callSid, {
+        reason: 'ivr_menu',
+        summary: selection.labels.length > 0
+          ? `The caller chose ${selection.labels.join(', then ')} from the phone menu.`
+          : null,
+        number: action.number
+      });
+
+      if (escalation.success) {
+        return this.createMenuResponse(escalation.data.twiml, { action: 'transfer', path: selection.path }, requestId);
+      }
+
+      this.logger.warn('IVR transfer failed, starting conversation', { error: escalation.error });
+    }
+
+    if (type === 'voicemail') {
+      const twiml = this.generateVoicemailTwiML(callSid, action.prompt, undefined, agentConfig);
+      return this.createMenuResponse(twiml, { action: 'voicemail', path: selection.path }, requestId);
+    }
+
+    // Talk to the AI, optionally as a different persona
+    const caller = ivrResult.data?.metadata?.caller || null;
+    const vocabulary = await this.getCallVocabulary(null, persona || agentConfig);
+    const twiml = this.generateConversationStartTwiML({ ...callData, caller, vocabulary }, persona || agentConfig);
+
+    return this.createMenuResponse(twiml, {
+      action: 'agent',
+      path: selection.path,
+      agentConfig: persona ? persona.name : null,
+      // Media Streams cannot replay the utterance, so only forward it for Gather calls
+      forwardSpeech: selection.unmatched && this.config.twilio.voiceMode !== 'stream'
+        ? callData.SpeechResult
+        : null
+    }, requestId);
+  }
+
+  /**
+   * Wrap menu TwiML in an APIResponse
+   * @param {VoiceResponse|string} twiml - TwiML to return
+   * @param {Object} data - Extra response data
+   * @param {string} requestId - Request ID
+   * @returns {Object} APIResponse
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  createMenuResponse(twiml, data, requestId) {
+    return {
+      success: true,
+      data: {
+        twiml: twiml.toString(),
+        ...data
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+      requestId
+    };
+  }
+
+  /**
+   * Evaluate an agent config's business-hours calendar
+   * Configs without a calendar are always open. A calendar that cannot be
+   * evaluated (e.g. an unknown time zone) is logged and treated as open.
+   *
+   * @param {Object|null} agentConfig - agent_configs row
+   * @param {Date} [now=new Date()] - Instant to evaluate
+   * @returns {Object} Status from getBusinessHoursStatus()
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const hours = agent.getHoursStatus(agentConfig);
+   * if (!hours.open) console.log(hours.reason, hours.nextOpenAt);
+   */
+  getHoursStatus(agentConfig, now = new Date()) {
+    try {
+      return getBusinessHoursStatus(agentConfig?.business_hours, now);
+    } catch (error) {
+      this.logger.error('Invalid business hours calendar, treating as open', error);
+      return { open: true, reason: 'invalid_calendar', timezone: null, holiday: null, closure: null, nextOpenAt: null };
+    }
+  }
+
+  /**
+   * After-hours settings from business_hours.afterHours
+   * "transfer" without an on-call number falls back to taking a message.
+   *
+   * @param {Object|null} agentConfig - agent_configs row
+   * @returns {Object} { action, prompt, onCallNumber }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getAfterHoursSettings(agentConfig) {
+    const settings = agentConfig?.business_hours?.afterHours || {};
+    const onCallNumber = this.isValidE164(settings.onCallNumber) ? settings.onCallNumber : null;
+    let action = AFTER_HOURS_ACTIONS.includes(settings.action) ? settings.action : 'message';
+
+    if (action === 'transfer' && !onCallNumber) {
+      action = 'message';
+    }
+
+    return { action, prompt: settings.prompt || null, onCallNumber };
+  }
+
+  /**
+   * Generate the after-hours flow for a closed calendar
+   * @param {string} callSid - Twilio call SID
+   * @param {Object|null} agentConfig - agent_configs row
+   * @param {Object} hours - Status from getHoursStatus()
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  generateAfterHoursTwiML(callSid, agentConfig, hours) {
+    const { action, prompt, onCallNumber } = this.getAfterHoursSettings(agentConfig);
+
+    this.logger.info('Call outside business hours', {
+      callSid,
+      reason: hours.reason,
+      action
+    });
+
+    if (action === 'transfer') {
+      return this.generateTransferTwiML(callSid, onCallNumber, agentConfig);
+    }
+
+    const closedNotice = prompt || (hours.holiday
+      ? `Thanks for calling. We are closed today for ${hours.holiday}.`
+      : 'Thanks for calling. Our office is closed right now.');
+
+    if (action === 'callback' && hours.nextOpenAt) {
+      return this.generateCallbackOfferTwiML(callSid, agentConfig, hours, closedNotice);
+    }
+
+    return this.generateAfterHoursMessageTwiML(callSid, agentConfig, closedNotice);
+  }
+
+  /**
+   * Generate TwiML that records an after-hours message
+   * @param {string} callSid - Twilio call SID
+   * @param {Object|null} agentConfig - agent_configs row
+   * @param {string} [notice] - Sentence played before the instructions
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  generateAfterHoursMessageTwiML(callSid, agentConfig, notice) {
+    const instructions = 'Please leave a message after the tone and we will get back to you.';
+
+    return this.generateVoicemailTwiML(
+      callSid,
+      notice ? `${notice} ${instructions}` : instructions,
+      '/webhooks/after-hours-message',
+      agentConfig
+    );
+  }
+
+  /**
+   * Offer the caller a callback at the next opening
+   * 1/yes books the slot; 2/no or no answer leaves a message instead.
+   *
+   * @param {string} callSid - Twilio call SID
+   * @param {Object|null} agentConfig - agent_configs row
+   * @param {Object} hours - Status with nextOpenAt and timezone
+   * @param {string} notice - Closed announcement
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  generateCallbackOfferTwiML(callSid, agentConfig, hours, notice) {
+    const slot = hours.nextOpenAt.toISOString();
+    const url = `${this.config.twilio.webhookUrl}/webhooks/after-hours-callback?slot=${encodeURIComponent(slot)}`;
+    const voice = this.getSayVoice(agentConfig);
+    const twiml = new VoiceResponse();
+
+    const gather = twiml.gather({
+      input: ['dtmf', 'speech'],
+      numDigits: 1,
+      timeout: 5,
+      speechTimeout: 'auto',
+      action: url,
+      method: 'POST',
+      language: voice.language,
+      ...this.getSpeechOptions('commands', null, ['yes', 'no'])
+    });
+    this.speak(gather, `${notice} We can call you back on ${formatSlot(hours.nextOpenAt, hours.timezone || 'UTC')}. ` +
+      'Press 1 or say yes to book that callback. Press 2 or say no to leave a message instead.', agentConfig);
+
+    // No answer - take a message
+    twiml.redirect({ method: 'POST' }, url);
+
+    return twiml;
+  }
+
+  /**
+   * Handle the caller's answer to the after-hours callback offer
+   * @param {Object} callData - Twilio Gather payload (CallSid, Digits, SpeechResult)
+   * @param {Object} options - Offer details from the action URL
+   * @param {string} options.slot - ISO time of the offered callback
+   * @returns {Promise<Object>} APIResponse with confirmation or message TwiML
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agent.handleAfterHoursCallback(
+   *   { CallSid: 'CA123', Digits: '1' },
+   *   { slot: '2026-10-19T13:00:00.000Z' }
+   * );
+   */
+  async handleAfterHoursCallback(callData, options) {
+    const requestId = this.generateRequestId();
+    const callSid = callData.CallSid;
+    const slot = new Date(options.slot);
+    const accepted = callData.Digits
+      ? callData.Digits === '1'
+      : isSpokenConsent(callData.SpeechResult);
+
+    try {
+      const agentConfig = await this.getCallAgentConfig(callSid);
+
+      this.logger.info('After-hours callback answer', { requestId, callSid, accepted });
+
+      if (accepted && !isNaN(slot.getTime())) {
+        const taskResult = await this.scheduleAfterHoursCallback(callSid, slot);
+
+        if (taskResult.success) {
+          const timezone = agentConfig?.business_hours?.timezone || 'UTC';
+          const twiml = new VoiceResponse();
+          this.speak(twiml, `Great. We will call you back on ${formatSlot(slot, timezone)}. Goodbye.`, agentConfig);
+          twiml.hangup();
+
+          return this.createTransferResponse(twiml, { outcome: 'callback_scheduled', callbackAt: slot.toISOString() }, requestId);
+        }
+
+        this.logger.warn('After-hours callback scheduling failed, taking a message', { error: taskResult.error });
+      }
+
+      await this.mergeConversationMetadata(callSid, 'afterHours', {
+        outcome: accepted ? 'callback_failed' : 'callback_declined'
+      });
+
+      const notice = accepted ? 'Sorry, we could not book that callback.' : null;
+      return this.createTransferResponse(
+        this.generateAfterHoursMessageTwiML(callSid, agentConfig, notice),
+        { outcome: 'message' },
+        requestId
+      );
+
+    } catch (error) {
+      this.logger.error('Error handling after-hours callback', error);
+
+      return {
+        success: false,
+        data: { twiml: this.generateAfterHoursMessageTwiML(callSid, null).toString() },
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+    }
+  }
+
+  /**
+   * Record an after-hours message
+   * @param {string} callSid - Twilio call SID
+   * @param {string} recordingUrl - Twilio recording URL
+   * @param {number} [recordingDuration] - Recording length in seconds
+   * @returns {Promise<Object>} APIResponse with goodbye TwiML
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async handleAfterHoursMessage(callSid, recordingUrl, recordingDuration) {
+    const requestId = this.generateRequestId();
+
+    await this.mergeConversationMetadata(callSid, 'afterHours', {
+      outcome: 'message',
+      messageUrl: recordingUrl || null,
+      messageDuration: recordingDuration || null
+    });
+
+    const agentConfig = await this.getCallAgentConfig(callSid);
+
+    const twiml = new VoiceResponse();
+    twiml.say(this.getSayVoice(agentConfig), 'Thank you. Your message has been recorded. Goodbye.');
+    twiml.hangup();
+
+    return this.createTransferResponse(twiml, { outcome: 'message_recorded' }, requestId);
+  }
+
+  /**
+   * Create a callback task for an after-hours caller
+   * Links (or creates) the customer by the caller's number, since the task
+   * table requires a customer.
+   *
+   * @param {string} callSid - Twilio call SID
+   * @param {Date} slot - When to call back
+   * @returns {Promise<Object>} APIResponse from DatabaseService.createScheduledTask
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async scheduleAfterHoursCallback(callSid, slot) {
+    const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+    const conversation = conversationResult.data;
+
+    if (!conversation) {
+      return { success: false, data: null, error: 'Conversation not found for call SID: ' + callSid };
+    }
+
+    let customerId = conversation.customer_id;
+
+    if (!customerId && conversation.phone_number) {
+      const customerResult = await this.dbService.getCustomerByPhone(conversation.phone_number);
+      customerId = customerResult.data?.id || null;
+
+      if (!customerId) {
+        const createResult = await this.dbService.createCustomer({ phone_number: conversation.phone_number });
+        customerId = createResult.data?.id || null;
+      }
+    }
+
+    if (!customerId) {
+      return { success: false, data: null, error: 'No customer for caller' };
+    }
+
+    const taskResult = await this.dbService.createScheduledTask({
+      customer_id: customerId,
+      task_type: 'callback',
+      scheduled_for: slot.toISOString(),
+      payload: {
+        callSid,
+        conversationId: conversation.id,
+        reason: 'after_hours'
+      }
+    });
+
+    if (taskResult.success) {
+      await this.mergeConversationMetadata(callSid, 'afterHours', {
+        outcome: 'callback_scheduled',
+        callbackAt: slot.toISOString(),
+        callbackTaskId: taskResult.data.id
+      }, conversation.customer_id ? {} : { customer_id: customerId });
+    }
+
+    return taskResult;
+  }
+
+  /**
+   * Handle an escalation while nobody is on shift
+   * Never dials a rep; records the attempt and runs the after-hours flow.
+   *
+   * @param {string} callSid - Twilio call SID
+   * @param {Object|null} agentConfig - agent_configs row
+   * @param {Object} hours - Status from getHoursStatus()
+   * @param {Object} options - escalateCall options (reason, summary)
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object>} APIResponse with after-hours TwiML
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async routeEscalationAfterHours(callSid, agentConfig, hours, options, requestId) {
+    this.logger.info('Escalation requested outside business hours, not transferring', {
+      requestId,
+      callSid,
+      reason: options.reason,
+      closedReason: hours.reason
+    });
+
+    const updateResult = await this.updateTransferMetadata(callSid, { escalated: true }, {
+      requestedAt: new Date().toISOString(),
+      reason: options.reason || 'escalation_detected',
+      summary: options.summary || null,
+      target: null,
+      outcome: 'after_hours',
+      closedReason: hours.reason
+    });
+
+    if (!updateResult.success) {
+      this.logger.warn('Failed to record after-hours escalation', { error: updateResult.error });
+    }
+
+    const twiml = this.generateAfterHoursTwiML(callSid, agentConfig, hours);
+
+    return this.createTransferResponse(twiml, { callSid, target: null, outcome: 'after_hours' }, requestId);
+  }
+
+  /**
+   * Load the agent config handling a live call
+   * Uses the persona stored on the conversation, falling back to the default config.
+   *
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<Object|null>} agent_configs row or null
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async getCallAgentConfig(callSid) {
+    try {
+      const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+      const name = conversationResult.data?.agent_config_name;
+
+      return (name && await this.loadAgentConfig(name)) || await this.resolveAgentConfig();
+    } catch (error) {
+      this.logger.error('Failed to load agent config for call', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load the speech vocabulary for a call
+   * Global terms plus the agent config's and, for campaign calls, the
+   * campaign's terms. Never fails - a call without vocabulary still works.
+   *
+   * @param {string|null} callSid - Twilio call SID (looked up for the campaign), or null
+   * @param {Object|null} agentConfig - Persona answering or placing the call
+   * @returns {Promise<Object|null>} { terms, hints }, or null before initialize()
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async getCallVocabulary(callSid, agentConfig) {
+    if (!this.vocabularyService) {
+      return null;
+    }
+
+    let campaignId = null;
+    if (callSid) {
+      try {
+        const conversationResult = await this.dbService.getConversationByCallSid(callSid);
+        campaignId = conversationResult.data?.metadata?.campaign?.id || null;
+      } catch (error) {
+        this.logger.warn('Failed to load call campaign for vocabulary', { error: error.message });
+      }
+    }
+
+    return this.vocabularyService.getVocabulary({
+      agentConfigName: agentConfig?.name || null,
+      campaignId
+    });
+  }
+
+  /**
+   * <Gather> speech model and hints for a prompt
+   * @param {string} useCase - 'conversation' (open answers) or 'commands' (menus, yes/no)
+   * @param {Object|null} [vocabulary] - Call vocabulary; its terms are added as hints
+   * @param {Array<string>} [extraHints=[]] - Phrases this prompt expects, listed first
+   * @returns {Object} { speechModel, enhanced?, hints? } to spread into gather()
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getSpeechOptions(useCase, vocabulary = null, extraHints = []) {
+    return getGatherSpeechOptions(useCase, this.config.speech, [...extraHints, ...(vocabulary?.hints || [])]);
+  }
+
+  /**
+   * Build the URL Twilio is redirected to when a Gather ends without input
+   * The consecutive miss count travels in the URL, like the IVR menu state,
+   * so a successful turn (whose Gather has no attempt) resets it.
+   *
+   * @param {string} reason - 'no_input' or 'no_match'
+   * @param {number} attempt - Consecutive misses so far
+   * @returns {string} Absolute /webhooks/reprompt URL
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getRepromptUrl(reason, attempt) {
+    return `${this.config.twilio.webhookUrl}/webhooks/reprompt?reason=${reason}&attempt=${attempt}`;
+  }
+
+  /**
+   * Consecutive misses allowed before the call is ended
+   * @returns {number} Reprompt limit
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getMaxReprompts() {
+    const limit = parseInt(this.config.twilio.maxReprompts, 10);
+    return Number.isNaN(limit) || limit < 0 ? DEFAULT_MAX_REPROMPTS : limit;
+  }
+
+  /**
+   * Generate a reprompt after a missed turn
+   * Wording escalates with each consecutive miss; from the second miss the
+   * caller is also offered keypad alternatives (0 for a person when escalation
+   * is configured, 1 to leave a message).
+   *
+   * @param {string} reason - 'no_input' or 'no_match'
+   * @param {number} attempt - Consecutive misses including this one (1-based)
+   * @param {Object|null} [agentConfig] - Persona providing the voice
+   * @param {Object|null} [vocabulary] - Call vocabulary; its terms become <Gather> hints
+   * @returns {VoiceResponse} Twilio VoiceResponse object
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const twiml = agent.generateRepromptTwiML('no_input', 2, agentConfig);
+   */
+  generateRepromptTwiML(reason, attempt, agentConfig = null, vocabulary = null) {
+    const voice = this.getSayVoice(agentConfig);
+    const messages = REPROMPT_MESSAGES[reason] || REPROMPT_MESSAGES.no_input;
+    const offerKeypad = attempt >= 2;
+
+    let prompt = messages[Math.min(attempt, messages.length) - 1];
+    if (offerKeypad) {
+      const options = [];
+      if (this.isEscalationEnabled(agentConfig?.escalation_rules)) {
+        options.push(`press ${REPROMPT_KEYS.transfer} to speak with a representative`);
+      }
+      options.push(`press ${REPROMPT_KEYS.message} to leave a message`);
+      prompt = `${prompt} You can ${options.join(', or ')}.`;
+    }
+
+    const twiml = new VoiceResponse();
+    const gather = twiml.gather({
+      input: offerKeypad ? ['speech', 'dtmf'] : ['speech'],
+      ...(offerKeypad ? { numDigits: 1 } : {}),
+      timeout: 5,
+      speechTimeout: 'auto',
+      action: `${this.config.twilio.webhookUrl}/webhooks/process-speech?attempt=${attempt}`,
+      method: 'POST',
+      language: voice.language,
+      ...this.getSpeechOptions('conversation', vocabulary)
+    });
+    this.speak(gather, prompt, agentConfig);
+
+    twiml.redirect({ method: 'POST' }, this.getRepromptUrl('no_input', attempt));
+
+    return twiml;
+  }
+
+  /**
+   * Handle a missed turn (silence or low-confidence speech)
+   * Counts consecutive misses, reprompts until the configured limit and then
+   * ends the call politely. Every miss and the final outcome are stored in
+   * metadata.dialog for analytics.
+   *
+   * @param {Object} callData - Twilio payload (CallSid)
+   * @param {Object} state - Dialog state from the action URL
+   * @param {string} state.reason - 'no_input' or 'no_match'
+   * @param {number} state.attempt - Consecutive misses before this one
+   * @returns {Promise<Object>} APIResponse with TwiML, action ('reprompt' | 'hangup') and attempt
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agent.handleDialogMiss({ CallSid: 'CA123' }, { reason: 'no_input', attempt: 0 });
+   * res.type('text/xml').send(result.data.twiml);
+   */
+  async handleDialogMiss(callData, state) {
+    const requestId = this.generateRequestId();
+    const reason = state.reason === 'no_match' ? 'no_match' : 'no_input';
+    const attempt = (state.attempt || 0) + 1;
+
+    try {
+      const agentConfig = await this.getCallAgentConfig(callData.CallSid);
+      const exhausted = attempt > this.getMaxReprompts();
+
+      this.logger.info('Dialog miss', {
+        requestId,
+        callSid: callData.CallSid,
+        reason,
+        attempt,
+        exhausted
+      });
+
+      await this.recordDialogEvent(callData.CallSid, current => ({
+        noInput: (current.noInput || 0) + (reason === 'no_input' ? 1 : 0),
+        noMatch: (current.noMatch || 0) + (reason === 'no_match' ? 1 : 0),
+        maxConsecutiveMisses: Math.max(current.maxConsecutiveMisses || 0, attempt),
+        lastMissAt: new Date().toISOString(),
+        ...(exhausted ? { outcome: `ended_${reason}` } : {})
+      }));
+
+      if (exhausted) {
+        const twiml = new VoiceResponse();
+        this.speak(twiml, 'I\'m sorry, we seem to be having trouble connecting. Please call us back whenever it\'s convenient. Goodbye.', agentConfig);
+        twiml.hangup();
+
+        return this.createMenuResponse(twiml, { action: 'hangup', reason, attempt }, requestId);
+      }
+
+      const vocabulary = await this.getCallVocabulary(callData.CallSid, agentConfig);
+      const twiml = this.generateRepromptTwiML(reason, attempt, agentConfig, vocabulary);
+      return this.createMenuResponse(twiml, { action: 'reprompt', reason, attempt }, requestId);
+
+    } catch (error) {
+      this.logger.error('Error handling dialog miss', error);
+
+      return {
+        success: false,
+        data: { twiml: this.generateErrorTwiML().toString() },
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+    }
+  }
+
+  /**
+   * Handle a keypress on a reprompt
+   * 0 asks for a person (the caller of this method runs the transfer so the
+   * handoff summary can be attached), 1 records a message, anything else
+   * counts as another miss.
+   *
+   * @param {Object} callData - Twilio Gather payload (CallSid, Digits)
+   * @param {Object} state - Dialog state from the action URL
+   * @param {number} state.attempt - Consecutive misses so far
+   * @returns {Promise<Object>} APIResponse with action 'transfer' (no TwiML), 'message' or a miss result
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agent.handleDialogKeypress({ CallSid: 'CA123', Digits: '1' }, { attempt: 2 });
+   */
+  async handleDialogKeypress(callData, state) {
+    const requestId = this.generateRequestId();
+    const digit = String(callData.Digits || '');
+
+    const agentConfig = [REPROMPT_KEYS.transfer, REPROMPT_KEYS.message].includes(digit)
+      ? await this.getCallAgentConfig(callData.CallSid)
+      : null;
+
+    if (digit === REPROMPT_KEYS.transfer && this.isEscalationEnabled(agentConfig?.escalation_rules)) {
+      await this.recordDialogEvent(callData.CallSid, { outcome: 'keypad_transfer' });
+
+      return {
+        success: true,
+        data: { action: 'transfer', twiml: null },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId
+      };
+    }
+
+    if (digit === REPROMPT_KEYS.message) {
+      await this.recordDialogEvent(callData.CallSid, { outcome: 'keypad_message' });
+
+      const twiml = this.generateVoicemailTwiML(
+        callData.CallSid,
+        'Please leave your name, number and a short message after the tone, and we will get back to you.',
+        undefined,
+        agentConfig
+      );
+      return this.createMenuResponse(twiml, { action: 'message' }, requestId);
+    }
+
+    return this.handleDialogMiss(callData, { reason: 'no_match', attempt: state.attempt });
+  }
+
+  /**
+   * Record a dialog event in metadata.dialog
+   * Failures are logged only; the caller must never be stuck on analytics.
+   *
+   * @param {string} callSid - Twilio call SID
+   * @param {Object|Function} fields - Fields to merge, or (current) => fields
+   * @returns {Promise<void>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await agent.recordDialogEvent('CA123', { outcome: 'recovered' });
+   */
+  async recordDialogEvent(callSid, fields) {
+    try {
+      const result = await this.mergeConversationMetadata(callSid, 'dialog', fields);
+
+      if (!result.success) {
+        this.logger.warn('Failed to record dialog event', { callSid, error: result.error });
+      }
+    } catch (error) {
+      this.logger.error('Error recording dialog event', error);
+    }
+  }
+
   /**
    * Health check - verify agent and dependencies are operational
    * @returns {Promise<Object>} Health status object
@@ -2,10 +2,11 @@
  * @fileoverview Main configuration loader for all environment variables and service configs
  * @author LegacyAI Subagent Fleet - Configuration Management Agent
  * @created 2025-10-01T00:00:00Z
- * @lastModified 2025-10-01T00:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  */
 
 const path = require('path');
+const os = require('os');
 const { validateRequiredVars, validateConfigFormat, maskApiKey } = require('../utils/configValidator');
 
 /**
@@ -89,13 +90,25 @@ function isTest() {
  * @property {string} authToken - Twilio auth token
  * @property {string} phoneNumber - Twilio phone number in E.164 format
  * @property {string} webhookUrl - Base webhook URL for Twilio callbacks
+ * @property {string} voiceMode - 'gather' (turn-based TwiML) or 'stream' (Media Streams)
+ * @property {string} [mediaStreamUrl] - Public wss:// URL for the Media Streams endpoint
+ * @property {boolean} validateSignature - Verify X-Twilio-Signature on webhooks (bypass ignored in production)
+ * @property {string} [escalationNumber] - Human rep number (E.164) for warm transfers
+ * @property {string} [escalationQueue] - Twilio queue name for warm transfers (used when no number is set)
+ * @property {number} escalationTimeout - Seconds to ring the rep before falling back
+ * @property {string} escalationFallback - 'voicemail' or 'callback' when nobody answers
+ * @property {boolean} machineDetection - Run async answering-machine detection on outbound calls
+ * @property {number} machineDetectionTimeout - Seconds Twilio may spend detecting before returning unknown
+ * @property {string} [voicemailScript] - Message left after the beep when a machine answers
+ * @property {number} maxReprompts - Consecutive no-input/no-match reprompts before the call is ended
+ * @property {number} smsMaxSegments - SMS segments allowed per AI text reply
  */
 
 /**
  * Load and return Twilio configuration
  * @returns {TwilioConfig} Twilio configuration object
  * @created 2025-10-01T00:00:00Z
- * @lastModified 2025-10-01T00:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  */
 function getTwilioConfig() {
   console.log(`[${new Date().toISOString()}] [INFO] [environment] Loading Twilio configuration`);
@@ -106,9 +119,21 @@ function getTwilioConfig() {
       authToken: process.env.TWILIO_AUTH_TOKEN,
       phoneNumber: process.env.TWILIO_PHONE_NUMBER,
       webhookUrl: process.env.TWILIO_WEBHOOK_URL || (process.env.APP_URL ? `${process.env.APP_URL}/webhooks/voice` : undefined),
+      voiceMode: process.env.TWILIO_VOICE_MODE === 'stream' ? 'stream' : 'gather',
+      mediaStreamUrl: process.env.TWILIO_MEDIA_STREAM_URL,
+      validateSignature: process.env.TWILIO_VALIDATE_SIGNATURE !== 'false',
+      escalationNumber: process.env.TWILIO_ESCALATION_NUMBER,
+      escalationQueue: process.env.TWILIO_ESCALATION_QUEUE,
+      escalationTimeout: parseInt(process.env.TWILIO_ESCALATION_TIMEOUT || '20', 10),
+      escalationFallback: process.env.TWILIO_ESCALATION_FALLBACK === 'callback' ? 'callback' : 'voicemail',
+      machineDetection: process.env.TWILIO_MACHINE_DETECTION === 'true',
+      machineDetectionTimeout: parseInt(process.env.TWILIO_MACHINE_DETECTION_TIMEOUT || '30', 10),
+      voicemailScript: process.env.TWILIO_VOICEMAIL_SCRIPT,
+      maxReprompts: parseInt(process.env.TWILIO_MAX_REPROMPTS || '3', 10),
+      smsMaxSegments: parseInt(process.env.TWILIO_SMS_MAX_SEGMENTS || '3', 10),
     };
 
-    console.log(`[${new Date().toISOString()}] [INFO] [environment] Twilio config loaded - SID: ${maskApiKey(config.accountSid)}, Phone: ${config.phoneNumber}`);
+    console.log(`[${new Date().toISOString()}] [INFO] [environment] Twilio config loaded - SID: ${maskApiKey(config.accountSid)}, Phone: ${config.phoneNumber}, Voice mode: ${config.voiceMode}`);
     return config;
   } catch (error) {
     console.error(`[${new Date().toISOString()}] [ERROR] [environment] Failed to load Twilio config:`, error);
@@ -122,13 +147,16 @@ function getTwilioConfig() {
  * @property {string} apiKey - OpenAI API key
  * @property {string} model - Default model for text completions
  * @property {string} realtimeModel - Model for real-time audio processing
+ * @property {string} ttsModel - Model for text-to-speech synthesis
+ * @property {string} ttsVoice - Default text-to-speech voice
+ * @property {string} embeddingModel - Model for knowledge base embeddings
  */
 
 /**
  * Load and return OpenAI configuration
  * @returns {OpenAIConfig} OpenAI configuration object
  * @created 2025-10-01T00:00:00Z
- * @lastModified 2025-10-01T00:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  */
 function getOpenAIConfig() {
   console.log(`[${new Date().toISOString()}] [INFO] [environment] Loading OpenAI configuration`);
@@ -138,6 +166,9 @@ function getOpenAIConfig() {
       apiKey: process.env.OPENAI_API_KEY,
       model: process.env.OPENAI_MODEL || 'gpt-4-1106-preview',
       realtimeModel: process.env.OPENAI_REALTIME_MODEL || 'whisper-1',
+      ttsModel: process.env.OPENAI_TTS_MODEL || 'tts-1',
+      ttsVoice: process.env.OPENAI_TTS_VOICE || 'alloy',
+      embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
     };
 
     console.log(`[${new Date().toISOString()}] [INFO] [environment] OpenAI config loaded - Key: ${maskApiKey(config.apiKey)}, Model: ${config.model}`);
@@ -344,6 +375,292 @@ function getAppConfig() {
   }
 }
 
+/**
+ * Outbound dial compliance configuration
+ * @typedef {Object} ComplianceConfig
+ * @property {Object|null} allowedHours - Allowed calling hours by region key ('US-FL', 'US', 'default', ...),
+ *   each { start: 'HH:MM', end: 'HH:MM', days?: ['mon', ...] }; null uses the built-in 08:00-21:00 default
+ * @property {number} maxAttemptsPerDay - Outbound calls allowed to one number per 24 hours (0 = no cap)
+ * @property {number} maxAttemptsPerWeek - Outbound calls allowed to one number per 7 days (0 = no cap)
+ * @property {boolean} blockUnknownRegions - Block numbers whose local time zone cannot be inferred
+ */
+
+/**
+ * Load and return outbound dial compliance configuration
+ * @returns {ComplianceConfig} Compliance configuration object
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function getComplianceConfig() {
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Loading compliance configuration`);
+
+  let allowedHours = null;
+  if (process.env.COMPLIANCE_ALLOWED_HOURS) {
+    try {
+      allowedHours = JSON.parse(process.env.COMPLIANCE_ALLOWED_HOURS);
+    } catch (error) {
+      // Fall back to the built-in default rather than dialing with no window at all
+      console.error(`[${new Date().toISOString()}] [ERROR] [environment] COMPLIANCE_ALLOWED_HOURS is not valid JSON (${error.message}) - using default calling hours`);
+    }
+  }
+
+  const config = {
+    allowedHours,
+    maxAttemptsPerDay: parseInt(process.env.COMPLIANCE_MAX_ATTEMPTS_PER_DAY || '3', 10),
+    maxAttemptsPerWeek: parseInt(process.env.COMPLIANCE_MAX_ATTEMPTS_PER_WEEK || '10', 10),
+    blockUnknownRegions: process.env.COMPLIANCE_BLOCK_UNKNOWN_REGIONS !== 'false',
+  };
+
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Compliance config loaded - Regions: ${allowedHours ? Object.keys(allowedHours).join(', ') : 'default'}, Caps: ${config.maxAttemptsPerDay}/day, ${config.maxAttemptsPerWeek}/week`);
+  return config;
+}
+
+/**
+ * Customer record configuration
+ * @typedef {Object} CustomerConfig
+ * @property {boolean} autoCreate - Create a customers row for first-time callers
+ * @property {boolean} enrichment - Fill customer fields from what callers say
+ * @property {string[]} overwriteFields - Fields a later conversation may overwrite (others are only filled when empty)
+ * @property {string[]} lockedFields - Fields never auto-written again once a human has edited them
+ */
+
+/**
+ * Fields conversations can fill in (customers columns)
+ * @constant {string[]}
+ */
+const ENRICHABLE_CUSTOMER_FIELDS = ['name', 'email', 'company', 'needs'];
+
+/**
+ * Parse a comma-separated list of customer fields, ignoring unknown names
+ * @param {string|undefined} value - Environment variable value
+ * @param {string[]} fallback - Fields used when the variable is not set
+ * @returns {string[]} Field names
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function parseCustomerFields(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  return value
+    .split(',')
+    .map(field => field.trim())
+    .filter(field => ENRICHABLE_CUSTOMER_FIELDS.includes(field));
+}
+
+/**
+ * Load and return customer record configuration
+ * @returns {CustomerConfig} Customer configuration object
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function getCustomerConfig() {
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Loading customer configuration`);
+
+  const config = {
+    autoCreate: process.env.CUSTOMER_AUTO_CREATE !== 'false',
+    enrichment: process.env.CUSTOMER_ENRICHMENT_ENABLED !== 'false',
+    overwriteFields: parseCustomerFields(process.env.CUSTOMER_OVERWRITE_FIELDS, ['name', 'email', 'company']),
+    lockedFields: parseCustomerFields(process.env.CUSTOMER_LOCKED_FIELDS, ENRICHABLE_CUSTOMER_FIELDS),
+  };
+
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Customer config loaded - Auto-create: ${config.autoCreate}, Enrichment: ${config.enrichment}, Overwrite: ${config.overwriteFields.join(', ') || 'none'}, Locked on edit: ${config.lockedFields.join(', ') || 'none'}`);
+  return config;
+}
+
+/**
+ * Text-to-speech configuration
+ * @typedef {Object} TtsConfig
+ * @property {string} provider - Default provider: twilio (<Say>), openai or file (stub)
+ * @property {string} cacheDir - Directory for synthesized audio (content-addressed)
+ * @property {string} baseUrl - Public base URL Twilio fetches <Play> audio from
+ * @property {string} urlSecret - HMAC secret for audio URLs
+ * @property {string|null} stubFile - Audio returned by the file provider (silence when unset)
+ */
+
+/**
+ * Load and return text-to-speech configuration
+ * @returns {TtsConfig} TTS configuration object
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function getTtsConfig() {
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Loading TTS configuration`);
+
+  const config = {
+    provider: process.env.TTS_PROVIDER || 'twilio',
+    cacheDir: process.env.TTS_CACHE_DIR || path.join(os.tmpdir(), 'legacyai-tts-cache'),
+    baseUrl: process.env.TTS_BASE_URL || process.env.TWILIO_WEBHOOK_URL,
+    urlSecret: process.env.TTS_URL_SECRET || process.env.TWILIO_AUTH_TOKEN,
+    stubFile: process.env.TTS_STUB_FILE || null,
+  };
+
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] TTS config loaded - Provider: ${config.provider}, Cache: ${config.cacheDir}`);
+  return config;
+}
+
+/**
+ * Speech recognition configuration
+ * @typedef {Object} SpeechConfig
+ * @property {Object} models - Twilio speech model by use case (conversation, commands)
+ * @property {boolean} enhanced - Use the enhanced phone_call model
+ * @property {boolean} correction - Correct misheard vocabulary terms before the AI sees them
+ * @property {number} correctionThreshold - Similarity (0-1) needed to correct a phrase that is not a listed variant
+ */
+
+/**
+ * Load and return speech recognition configuration
+ * @returns {SpeechConfig} Speech configuration object
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function getSpeechConfig() {
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Loading speech recognition configuration`);
+
+  const threshold = parseFloat(process.env.SPEECH_CORRECTION_THRESHOLD || '0.8');
+
+  const config = {
+    models: {
+      conversation: process.env.SPEECH_MODEL_CONVERSATION || 'phone_call',
+      commands: process.env.SPEECH_MODEL_COMMANDS || 'numbers_and_commands',
+    },
+    enhanced: process.env.SPEECH_ENHANCED !== 'false',
+    correction: process.env.SPEECH_CORRECTION_ENABLED !== 'false',
+    correctionThreshold: Number.isNaN(threshold) ? 0.8 : Math.min(Math.max(threshold, 0.5), 1),
+  };
+
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Speech config loaded - Models: ${config.models.conversation}/${config.models.commands}, Correction: ${config.correction ? config.correctionThreshold : 'off'}`);
+  return config;
+}
+
+/**
+ * AI tool-use configuration
+ * @typedef {Object} ToolsConfig
+ * @property {number} turnBudgetMs - Time allowed for all model and tool calls in one turn
+ * @property {number} maxIterations - Model calls that may request tools in one turn
+ * @property {number} timeoutMs - Time allowed for a single tool call
+ * @property {string} fillerPhrase - Spoken while tools run when the model says nothing itself
+ */
+
+/**
+ * Load and return AI tool-use configuration
+ * @returns {ToolsConfig} Tools configuration object
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function getToolsConfig() {
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Loading tools configuration`);
+
+  const config = {
+    turnBudgetMs: parseInt(process.env.TOOLS_TURN_BUDGET_MS || '8000', 10),
+    maxIterations: parseInt(process.env.TOOLS_MAX_ITERATIONS || '3', 10),
+    timeoutMs: parseInt(process.env.TOOLS_TIMEOUT_MS || '4000', 10),
+    fillerPhrase: process.env.TOOLS_FILLER_PHRASE || 'One moment while I check that for you.',
+  };
+
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Tools config loaded - Turn budget: ${config.turnBudgetMs}ms, Max iterations: ${config.maxIterations}, Tool timeout: ${config.timeoutMs}ms`);
+  return config;
+}
+
+/**
+ * Appointment booking configuration
+ * @typedef {Object} CalendarConfig
+ * @property {string} defaultMeetingType - Meeting type booked when the AI does not name one
+ * @property {number} holdMinutes - How long an offered slot stays held before it is released
+ * @property {number} slotStepMinutes - Minutes between the start times offered
+ * @property {number} minNoticeMinutes - Earliest booking, in minutes from now
+ * @property {number} emailReminderMinutes - Email reminder lead time (0 = no email reminder)
+ * @property {number} smsReminderMinutes - SMS reminder lead time (0 = no SMS reminder)
+ */
+
+/**
+ * Load and return appointment booking configuration
+ * @returns {CalendarConfig} Calendar configuration object
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function getCalendarConfig() {
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Loading calendar configuration`);
+
+  const config = {
+    defaultMeetingType: process.env.CALENDAR_DEFAULT_MEETING_TYPE || 'demo',
+    holdMinutes: parseInt(process.env.CALENDAR_HOLD_MINUTES || '10', 10),
+    slotStepMinutes: parseInt(process.env.CALENDAR_SLOT_STEP_MINUTES || '30', 10),
+    minNoticeMinutes: parseInt(process.env.CALENDAR_MIN_NOTICE_MINUTES || '120', 10),
+    emailReminderMinutes: parseInt(process.env.CALENDAR_EMAIL_REMINDER_MINUTES || '1440', 10),
+    smsReminderMinutes: parseInt(process.env.CALENDAR_SMS_REMINDER_MINUTES || '60', 10),
+  };
+
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Calendar config loaded - Hold: ${config.holdMinutes}min, Step: ${config.slotStepMinutes}min, Reminders: email ${config.emailReminderMinutes}min / SMS ${config.smsReminderMinutes}min`);
+  return config;
+}
+
+/**
+ * Lead qualification configuration
+ * @typedef {Object} QualificationConfig
+ * @property {boolean} enabled - Fill qualification slots and score leads (personas opt in with agent_configs.qualification)
+ * @property {number} qualifiedScore - Lead score at which a customer is tagged qualified
+ * @property {number} unqualifiedScore - Lead score below which a fully qualified customer is tagged unqualified
+ * @property {number} minConfidence - Slot values with lower confidence are ignored
+ */
+
+/**
+ * Load and return lead qualification configuration
+ * @returns {QualificationConfig} Qualification configuration object
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function getQualificationConfig() {
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Loading qualification configuration`);
+
+  const config = {
+    enabled: process.env.QUALIFICATION_ENABLED !== 'false',
+    qualifiedScore: parseInt(process.env.QUALIFICATION_QUALIFIED_SCORE || '70', 10),
+    unqualifiedScore: parseInt(process.env.QUALIFICATION_UNQUALIFIED_SCORE || '40', 10),
+    minConfidence: parseFloat(process.env.QUALIFICATION_MIN_CONFIDENCE || '0.5'),
+  };
+
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Qualification config loaded - Enabled: ${config.enabled}, Qualified at: ${config.qualifiedScore}, Unqualified below: ${config.unqualifiedScore}, Min confidence: ${config.minConfidence}`);
+  return config;
+}
+
+/**
+ * Knowledge base configuration
+ * @typedef {Object} KnowledgeConfig
+ * @property {boolean} enabled - Retrieve knowledge base passages into the prompt on every turn
+ * @property {number} chunkSize - Longest passage, in characters
+ * @property {number} chunkOverlap - Characters repeated from the previous passage of the same section
+ * @property {number} topK - Passages added to the prompt per turn
+ * @property {number} minScore - Least cosine similarity a passage needs to be used
+ * @property {number} timeoutMs - Longest wait for retrieval before answering without it
+ * @property {number} maxDocumentLength - Longest document accepted, in characters
+ */
+
+/**
+ * Load and return knowledge base configuration
+ * @returns {KnowledgeConfig} Knowledge base configuration object
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function getKnowledgeConfig() {
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Loading knowledge base configuration`);
+
+  const config = {
+    enabled: process.env.KNOWLEDGE_ENABLED !== 'false',
+    chunkSize: parseInt(process.env.KNOWLEDGE_CHUNK_SIZE || '1000', 10),
+    chunkOverlap: parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP || '150', 10),
+    topK: parseInt(process.env.KNOWLEDGE_TOP_K || '3', 10),
+    minScore: parseFloat(process.env.KNOWLEDGE_MIN_SCORE || '0.3'),
+    timeoutMs: parseInt(process.env.KNOWLEDGE_TIMEOUT_MS || '1500', 10),
+    maxDocumentLength: parseInt(process.env.KNOWLEDGE_MAX_DOCUMENT_LENGTH || '500000', 10),
+  };
+
+  console.log(`[${new Date().toISOString()}] [INFO] [environment] Knowledge config loaded - Enabled: ${config.enabled}, Chunk size: ${config.chunkSize}, Top K: ${config.topK}, Min score: ${config.minScore}`);
+  return config;
+}
+
 /**
  * Complete application configuration object
  * @typedef {Object} Config
@@ -355,6 +672,14 @@ function getAppConfig() {
  * @property {UpstashConfig} upstash - Upstash configuration
  * @property {ClerkConfig} clerk - Clerk configuration
  * @property {MailgunConfig} mailgun - Mailgun configuration
+ * @property {ComplianceConfig} compliance - Outbound dial compliance configuration
+ * @property {CustomerConfig} customers - Customer auto-create and enrichment configuration
+ * @property {TtsConfig} tts - Text-to-speech provider and audio cache configuration
+ * @property {SpeechConfig} speech - Speech recognition models and vocabulary correction
+ * @property {ToolsConfig} tools - AI tool-use time budgets and filler phrase
+ * @property {CalendarConfig} calendar - Appointment holds, slot spacing and reminders
+ * @property {QualificationConfig} qualification - Lead qualification scoring thresholds
+ * @property {KnowledgeConfig} knowledge - Knowledge base chunking and retrieval
  */
 
 /**
@@ -362,7 +687,7 @@ function getAppConfig() {
  * @returns {Config} Complete validated configuration object
  * @throws {Error} If required environment variables are missing or invalid
  * @created 2025-10-01T00:00:00Z
- * @lastModified 2025-10-01T00:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  */
 function loadConfig() {
   console.log(`[${new Date().toISOString()}] [INFO] [environment] ========================================`);
@@ -391,6 +716,14 @@ function loadConfig() {
       upstash: getUpstashConfig(),
       clerk: getClerkConfig(),
       mailgun: getMailgunConfig(),
+      compliance: getComplianceConfig(),
+      customers: getCustomerConfig(),
+      tts: getTtsConfig(),
+      speech: getSpeechConfig(),
+      tools: getToolsConfig(),
+      calendar: getCalendarConfig(),
+      qualification: getQualificationConfig(),
+      knowledge: getKnowledgeConfig(),
     };
 
     // Validate configuration format
@@ -431,4 +764,12 @@ module.exports = {
   getClerkConfig,
   getMailgunConfig,
   getAppConfig,
+  getComplianceConfig,
+  getCustomerConfig,
+  getTtsConfig,
+  getSpeechConfig,
+  getToolsConfig,
+  getCalendarConfig,
+  getQualificationConfig,
+  getKnowledgeConfig,
 };
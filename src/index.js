@@ -2,14 +2,18 @@
  * @fileoverview Main application entry point for LegacyAI Voice Agent System
  * @author LegacyAI Subagent Fleet - API Server & WebSocket Agent
  * @created 2025-10-01T18:00:00Z
- * @lastModified 2025-10-01T18:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This is the primary server application that:
  * - Initializes Express HTTP server on port 3000
  * - Sets up WebSocket server on port 3001
- * - Loads all AI agents (Voice, Conversation, Analytics, Integration)
+ * - Accepts Twilio Media Streams on /media-stream (main HTTP server)
+ * - Loads all AI agents (Voice, Conversation, Analytics, Integration, Campaign, TaskScheduler)
+ * - Runs the outbound campaign dialer worker on the campaign queue
+ * - Runs post-call actions and the sweep that closes calls missing a final status
+ * - Runs due scheduled tasks (follow-up calls, callbacks, email, SMS, webhooks)
  * - Configures middleware (CORS, body parsing, logging, error handling)
- * - Mounts API routes and webhook handlers
+ * - Mounts API routes, webhook handlers and the signed TTS audio route
  * - Manages graceful shutdown
  */
 
@@ -21,13 +25,21 @@ const { VoiceGatewayAgent } = require('./agents/VoiceGatewayAgent');
 const { ConversationAgent } = require('./agents/ConversationAgent');
 const { AnalyticsAgent } = require('./agents/AnalyticsAgent');
 const { IntegrationAgent } = require('./agents/IntegrationAgent');
+const CampaignAgent = require('./agents/CampaignAgent');
+const TaskSchedulerAgent = require('./agents/TaskSchedulerAgent');
 const QueueManager = require('./services/QueueManager');
 const DatabaseService = require('./services/DatabaseService');
+const CallWorker = require('./workers/CallWorker');
+const CampaignWorker = require('./workers/CampaignWorker');
+const TaskWorker = require('./workers/TaskWorker');
 const requestLogger = require('./middleware/requestLogger');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { getSecurityEvents } = require('./middleware/twilioSignature');
 const webhooksRouter = require('./routes/webhooks');
 const apiRouter = require('./routes/api');
+const ttsRouter = require('./routes/tts');
 const { initializeWebSocketServer } = require('./websocket/server');
+const { MediaStreamServer } = require('./websocket/mediaStream');
 
 /**
  * Main application class for LegacyAI Voice System
@@ -60,11 +72,16 @@ class LegacyAIVoiceSystem {
       conversation: null,
       analytics: null,
       integration: null,
+      campaign: null,
+      scheduler: null,
     };
 
     // WebSocket server instance
     this.wss = null;
 
+    // Twilio Media Streams server (shares the main HTTP server)
+    this.mediaStreamServer = null;
+
     // Track initialization status
     this.initialized = false;
     this.isShuttingDown = false;
@@ -76,7 +93,7 @@ class LegacyAIVoiceSystem {
    * Setup Express middleware
    * Configures CORS, body parsing, logging, and timeout
    * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
    */
   setupMiddleware() {
     console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Setting up middleware...`);
@@ -96,7 +113,13 @@ class LegacyAIVoiceSystem {
       console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] CORS enabled`);
 
       // Body parsing middleware
-      this.app.use(express.json({ limit: '10mb' })); // JSON parsing with 10MB limit
+      // Keep the raw JSON body so Twilio bodySHA256 signatures can be verified
+      this.app.use(express.json({
+        limit: '10mb',
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
+      }));
       this.app.use(express.urlencoded({ extended: true, limit: '10mb' })); // URL-encoded parsing
       console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Body parsing middleware configured`);
 
@@ -121,9 +144,9 @@ class LegacyAIVoiceSystem {
 
   /**
    * Setup Express routes
-   * Mounts webhook handlers and API endpoints
+   * Mounts webhook handlers, TTS audio and API endpoints
    * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   setupRoutes() {
     console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Setting up routes...`);
@@ -141,11 +164,16 @@ class LegacyAIVoiceSystem {
             conversation: this.agents.conversation ? 'initialized' : 'not initialized',
             analytics: this.agents.analytics ? 'initialized' : 'not initialized',
             integration: this.agents.integration ? 'initialized' : 'not initialized',
+            campaign: this.agents.campaign ? 'initialized' : 'not initialized',
+            scheduler: this.agents.scheduler ? 'initialized' : 'not initialized',
           },
           services: {
             database: this.dbService ? 'connected' : 'not connected',
             queue: this.queueManager ? 'connected' : 'not connected',
           },
+          security: {
+            rejectedWebhooks: getSecurityEvents().total,
+          },
         };
 
         console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Health check requested`);
@@ -157,9 +185,18 @@ class LegacyAIVoiceSystem {
       this.app.use('/webhooks', webhooksRouter({
         agents: this.agents,
         queueManager: this.queueManager,
+        twilio: config.twilio,
+        nodeEnv: config.app.nodeEnv,
       }));
       console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Webhook routes mounted at /webhooks`);
 
+      // Mount TTS audio route (signed <Play> URLs fetched by Twilio)
+      this.app.use('/tts', ttsRouter({
+        tts: config.tts,
+        openai: config.openai,
+      }));
+      console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] TTS audio route mounted at /tts`);
+
       // Mount API routes (REST endpoints)
       this.app.use('/api', apiRouter({
         agents: this.agents,
@@ -187,24 +224,31 @@ class LegacyAIVoiceSystem {
    * Creates and initializes Voice, Conversation, Analytics, and Integration agents
    * @returns {Promise<void>}
    * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   async initializeAgents() {
     console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Initializing AI agents...`);
 
     try {
-      // Initialize Voice Gateway Agent
-      console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Initializing VoiceGatewayAgent...`);
-      this.agents.voice = new VoiceGatewayAgent(config);
-      await this.agents.voice.initialize();
-      console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] VoiceGatewayAgent initialized`);
-
       // Initialize Conversation Agent
       console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Initializing ConversationAgent...`);
       this.agents.conversation = new ConversationAgent(config);
       await this.agents.conversation.initialize();
       console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] ConversationAgent initialized`);
 
+      // Initialize Voice Gateway Agent (finalizes ended calls: closes the conversation session, queues post-call actions)
+      console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Initializing VoiceGatewayAgent...`);
+      this.agents.voice = new VoiceGatewayAgent({
+        ...config,
+        conversationAgent: this.agents.conversation,
+        queueManager: this.queueManager,
+      });
+      await this.agents.voice.initialize();
+      console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] VoiceGatewayAgent initialized`);
+
+      // AI tools text and transfer callers through the voice gateway
+      this.agents.conversation.attachVoiceAgent(this.agents.voice);
+
       // Initialize Analytics Agent
       console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Initializing AnalyticsAgent...`);
       this.agents.analytics = new AnalyticsAgent(config);
@@ -217,6 +261,46 @@ class LegacyAIVoiceSystem {
       await this.agents.integration.initialize();
       console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] IntegrationAgent initialized`);
 
+      // Appointment confirmations and invites are emailed through the integration agent's EmailService
+      this.agents.conversation.attachEmailService(this.agents.integration.emailService);
+
+      // Initialize Campaign Agent (dials through VoiceGatewayAgent, paced via the campaign queue)
+      console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Initializing CampaignAgent...`);
+      this.agents.campaign = new CampaignAgent({
+        ...config,
+        voiceAgent: this.agents.voice,
+        queueManager: this.queueManager,
+      });
+      await this.agents.campaign.initialize();
+      console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] CampaignAgent initialized`);
+
+      // Initialize Task Scheduler Agent (runs scheduled_tasks rows from a repeatable sweep job)
+      console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Initializing TaskSchedulerAgent...`);
+      this.agents.scheduler = new TaskSchedulerAgent({
+        ...config,
+        voiceAgent: this.agents.voice,
+        integrationAgent: this.agents.integration,
+        queueManager: this.queueManager,
+      });
+      await this.agents.scheduler.initialize();
+      console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] TaskSchedulerAgent initialized`);
+
+      // Call worker runs post-call actions and the call sweep
+      const callWorker = new CallWorker(config, {
+        voiceAgent: this.agents.voice,
+        conversationAgent: this.agents.conversation,
+        analyticsAgent: this.agents.analytics,
+      });
+      await callWorker.initialize();
+
+      await this.queueManager.setupWorkers({
+        callProcessor: callWorker.getProcessor(),
+        campaignProcessor: new CampaignWorker(this.agents.campaign).getProcessor(),
+        taskProcessor: new TaskWorker(this.agents.scheduler).getProcessor(),
+      });
+      await this.agents.scheduler.start();
+      await this.agents.voice.startCallSweep();
+
       console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] All agents initialized successfully`);
     } catch (error) {
       console.error(`[${new Date().toISOString()}] [ERROR] [LegacyAIVoiceSystem] Agent initialization failed:`, error);
@@ -254,9 +338,9 @@ class LegacyAIVoiceSystem {
   }
 
   /**
-   * Setup WebSocket server for real-time updates
+   * Setup WebSocket server for real-time updates and Twilio Media Streams
    * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   setupWebSocket() {
     console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Setting up WebSocket server...`);
@@ -270,6 +354,21 @@ class LegacyAIVoiceSystem {
       });
 
       console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] WebSocket server configured on port ${config.app.websocketPort || 3001}`);
+
+      // Media Streams share the public HTTP server so Twilio can reach them via the webhook host
+      this.mediaStreamServer = new MediaStreamServer({
+        agents: this.agents,
+        wsManager: this.wss,
+        authToken: config.twilio.authToken,
+        validateSignature: config.twilio.validateSignature,
+        nodeEnv: config.app.nodeEnv,
+      });
+      this.mediaStreamServer.attach(this.httpServer);
+
+      // Campaign progress is pushed to the 'campaigns' and 'campaign:<id>' topics
+      this.agents.campaign.attachWebSocket(this.wss);
+
+      console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Media Streams configured - Voice mode: ${config.twilio.voiceMode}`);
     } catch (error) {
       console.error(`[${new Date().toISOString()}] [ERROR] [LegacyAIVoiceSystem] WebSocket setup failed:`, error);
       throw error;
@@ -357,7 +456,7 @@ class LegacyAIVoiceSystem {
    * Closes all connections, workers, and services
    * @returns {Promise<void>}
    * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
    */
   async shutdown() {
     if (this.isShuttingDown) {
@@ -376,6 +475,11 @@ class LegacyAIVoiceSystem {
         console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] WebSocket server closed`);
       }
 
+      // Close active Media Streams before the HTTP server they ride on
+      if (this.mediaStreamServer) {
+        await this.mediaStreamServer.close();
+      }
+
       // Step 2: Close HTTP server
       if (this.httpServer) {
         console.log(`[${new Date().toISOString()}] [INFO] [LegacyAIVoiceSystem] Closing HTTP server...`);
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Twilio webhook signature validation middleware
+ * @author LegacyAI Subagent Fleet - API Server & WebSocket Agent
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ *
+ * This middleware provides:
+ * - X-Twilio-Signature verification using the account auth token
+ * - Support for form-encoded and JSON (bodySHA256) webhook payloads
+ * - URL reconstruction from the public webhook host (works behind proxies/ngrok)
+ * - Development bypass (never honored in production)
+ * - Security event counters for rejected requests
+ */
+
+const twilio = require('twilio');
+
+/**
+ * Rejected-request counters, keyed by reason
+ * Module-level so every router instance reports into the same totals.
+ */
+const securityEvents = {
+  total: 0,
+  missingSignature: 0,
+  invalidSignature: 0,
+  invalidStreamToken: 0,
+  lastRejectedAt: null
+};
+
+/**
+ * Record a rejected webhook as a security event
+ * @param {string} reason - Counter key (missingSignature | invalidSignature | invalidStreamToken)
+ * @param {Object} req - Express request object (or { originalUrl, ip } for WebSocket upgrades)
+ * @created 2026-10-18T09:00:00Z
+ */
+function recordSecurityEvent(reason, req) {
+  const timestamp = new Date().toISOString();
+
+  securityEvents.total++;
+  securityEvents[reason]++;
+  securityEvents.lastRejectedAt = timestamp;
+
+  console.warn(`[${timestamp}] [SECURITY] [twilioSignature] Rejected webhook - Reason: ${reason}, Path: ${req.originalUrl}, IP: ${req.ip}, RequestID: ${req.requestId || 'n/a'}`);
+}
+
+/**
+ * Get a snapshot of webhook security event counters
+ * @returns {Object} Counters with total, per-reason counts and last rejection time
+ * @created 2026-10-18T09:00:00Z
+ *
+ * @example
+ * const { total } = getSecurityEvents();
+ */
+function getSecurityEvents() {
+  return { ...securityEvents };
+}
+
+/**
+ * Reset security event counters (used by tests)
+ * @created 2026-10-18T09:00:00Z
+ */
+function resetSecurityEvents() {
+  securityEvents.total = 0;
+  securityEvents.missingSignature = 0;
+  securityEvents.invalidSignature = 0;
+  securityEvents.invalidStreamToken = 0;
+  securityEvents.lastRejectedAt = null;
+}
+
+/**
+ * Build the URL Twilio signed for this request
+ * Twilio signs the public URL it called, so the host comes from the configured
+ * webhook URL rather than the (possibly proxied) incoming Host header.
+ *
+ * @param {string} webhookUrl - Public webhook URL from configuration
+ * @param {Object} req - Express request object
+ * @returns {string} Full public URL including query string
+ * @created 2026-10-18T09:00:00Z
+ */
+function buildSignedUrl(webhookUrl, req) {
+  const { origin } = new URL(webhookUrl);
+  return `${origin}${req.originalUrl}`;
+}
+
+/**
+ * Create Twilio signature validation middleware
+ *
+ * @param {Object} options - Validation options
+ * @param {string} options.authToken - Twilio auth token
+ * @param {string} options.webhookUrl - Public webhook URL Twilio calls
+ * @param {boolean} [options.validateSignature=true] - Set false to bypass (ignored in production)
+ * @param {string} [options.nodeEnv] - Environment name (defaults to NODE_ENV)
+ * @returns {Function} Express middleware
+ * @created 2026-10-18T09:00:00Z
+ *
+ * @example
+ * router.use(createTwilioSignatureValidator({
+ *   authToken: config.twilio.authToken,
+ *   webhookUrl: config.twilio.webhookUrl
+ * }));
+ */
+function createTwilioSignatureValidator(options) {
+  const nodeEnv = options.nodeEnv || process.env.NODE_ENV || 'development';
+  const bypass = options.validateSignature === false && nodeEnv !== 'production';
+
+  if (options.validateSignature === false && nodeEnv === 'production') {
+    console.warn(`[${new Date().toISOString()}] [WARN] [twilioSignature] Signature bypass requested in production - ignoring, validation stays enabled`);
+  }
+
+  if (bypass) {
+    console.warn(`[${new Date().toISOString()}] [WARN] [twilioSignature] Twilio signature validation DISABLED (${nodeEnv})`);
+    return (req, res, next) => next();
+  }
+
+  return (req, res, next) => {
+    const signature = req.get('X-Twilio-Signature');
+
+    if (!signature) {
+      recordSecurityEvent('missingSignature', req);
+      return res.status(403).type('text/plain').send('Forbidden');
+    }
+
+    const url = buildSignedUrl(options.webhookUrl, req);
+    const isJson = req.is('application/json');
+
+    // JSON payloads are signed via a bodySHA256 query parameter over the raw body
+    const valid = isJson
+      ? twilio.validateRequestWithBody(options.authToken, signature, url, req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body))
+      : twilio.validateRequest(options.authToken, signature, url, req.body || {});
+
+    if (!valid) {
+      recordSecurityEvent('invalidSignature', req);
+      return res.status(403).type('text/plain').send('Forbidden');
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createTwilioSignatureValidator,
+  getSecurityEvents,
+  resetSecurityEvents,
+  recordSecurityEvent,
+  buildSignedUrl
+};
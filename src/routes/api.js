@@ -2,13 +2,21 @@
  * @fileoverview REST API endpoints for LegacyAI Voice System
  * @author LegacyAI Subagent Fleet - API Server & WebSocket Agent
  * @created 2025-10-01T18:00:00Z
- * @lastModified 2025-10-01T18:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This module provides REST API endpoints for:
- * - Conversation retrieval and management
- * - Customer data access
+ * - Conversation retrieval (transcript and lead qualification) and management
+ * - Customer data access, human edits and field change history
  * - Analytics and reporting
  * - Outbound call initiation
+ * - Call recording pause/resume
+ * - Outbound calling campaigns (create, contacts, start/pause/resume, progress)
+ * - Outbound compliance (do-not-call list import/export, blocked attempt log)
+ * - Speech recognition vocabulary (global, per agent config, per campaign) and correction preview
+ * - Appointment booking (meeting types, open slots, appointment list and cancellation)
+ * - Knowledge base documents (add, update, remove, re-index) and passage search
+ * - Agent configs with version history, activation and rollback
+ * - Text-only conversation simulation for prompt and agent-config testing
  * - Notification sending
  *
  * All endpoints return JSON in APIResponse format
@@ -17,6 +25,12 @@
 const express = require('express');
 const router = express.Router();
 
+/**
+ * Customer fields PATCH /api/customers/:id may change
+ * @constant {string[]}
+ */
+const EDITABLE_CUSTOMER_FIELDS = ['name', 'email', 'company', 'needs', 'tags', 'notes', 'preferences'];
+
 /**
  * Generate unique request ID for tracking
  * @returns {string} UUID v4 string
@@ -105,12 +119,12 @@ function createAPIRouter(deps) {
 
   /**
    * GET /api/conversations/:callSid - Get conversation by call SID
-   * Retrieves full conversation transcript and metadata
+   * Retrieves full conversation transcript, metadata and lead qualification
    *
    * @param {string} req.params.callSid - Twilio call SID
-   * @returns {Object} APIResponse with conversation data
+   * @returns {Object} APIResponse with conversation data (qualification: { framework, score, status, slots, missing })
    * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   router.get('/conversations/:callSid', async (req, res) => {
     const requestId = generateRequestId();
@@ -176,6 +190,91 @@ function createAPIRouter(deps) {
     }
   });
 
+  /**
+   * PATCH /api/customers/:id - Edit a customer as a person (CRM user, support rep)
+   * Edited name/email/company/needs are marked as human-sourced, which locks
+   * them against automatic updates from conversations (CUSTOMER_LOCKED_FIELDS).
+   *
+   * @param {string} req.params.id - Customer UUID
+   * @param {Object} req.body - Fields to update (name, email, company, needs, tags, notes, preferences)
+   * @param {string} req.body.editedBy - Optional name or email of the editor, kept in the audit trail
+   * @returns {Object} APIResponse with the updated customer
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.patch('/customers/:id', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { id } = req.params;
+    const { editedBy, ...fields } = req.body || {};
+
+    console.log(`[${timestamp}] [INFO] [api/customers] Edit customer - RequestID: ${requestId}, Customer: ${id}`);
+
+    const unknown = Object.keys(fields).filter(field => !EDITABLE_CUSTOMER_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json(createAPIResponse(false, null, `Fields cannot be edited: ${unknown.join(', ')}`, requestId));
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json(createAPIResponse(false, null, 'No fields to update', requestId));
+    }
+    if (['needs', 'tags'].some(field => fields[field] !== undefined && fields[field] !== null && !Array.isArray(fields[field]))) {
+      return res.status(400).json(createAPIResponse(false, null, 'needs and tags must be arrays', requestId));
+    }
+
+    try {
+      const result = await agents.conversation.customerService.applyHumanEdit(id, fields, { editedBy });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else if (result.error === 'Customer not found') {
+        return res.status(404).json(createAPIResponse(false, null, result.error, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/customers] Failed to edit customer: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to edit customer', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/customers] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/customers/:id/changes - Customer field change history
+   * Each row shows the field, old and new value, and whether it came from a
+   * conversation (with conversation, message and turn) or a human edit.
+   *
+   * @param {string} req.params.id - Customer UUID
+   * @param {number} req.query.limit - Optional maximum rows (default 100)
+   * @returns {Object} APIResponse with customer_field_changes rows, newest first
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/customers/:id/changes', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { id } = req.params;
+    const { limit } = req.query;
+
+    console.log(`[${timestamp}] [INFO] [api/customers] Get customer field changes - RequestID: ${requestId}, Customer: ${id}`);
+
+    try {
+      const result = await agents.conversation.customerService.getFieldChanges(
+        id,
+        limit ? Math.min(parseInt(limit, 10) || 100, 1000) : 100,
+      );
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/customers] Failed to fetch field changes: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to fetch field changes', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/customers] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
   /**
    * GET /api/analytics/daily/:date - Get daily analytics
    * Retrieves aggregated analytics for a specific date
@@ -275,25 +374,25 @@ function createAPIRouter(deps) {
    *
    * @param {Object} req.body - Request body
    * @param {string} req.body.to - Recipient phone number
-   * @param {string} req.body.from - Caller phone number (optional, uses default)
    * @param {string} req.body.message - Optional custom message
-   * @returns {Object} APIResponse with call SID
+   * @param {boolean} req.body.machineDetection - Optional AMD override (defaults to TWILIO_MACHINE_DETECTION)
+   * @param {string} req.body.voicemailScript - Optional voicemail left if a machine answers
+   * @returns {Object} APIResponse with call SID (403 with { blocked, rule, reason, retryAt } if compliance blocks it)
    * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   router.post('/calls/outbound', validateInput(['body.to']), async (req, res) => {
     const requestId = req.requestId;
     const timestamp = new Date().toISOString();
-    const { to, from, message } = req.body;
+    const { to, message, machineDetection, voicemailScript } = req.body;
 
     console.log(`[${timestamp}] [INFO] [api/calls/outbound] Initiate outbound call - RequestID: ${requestId}, To: ${to}`);
 
     try {
-      // Use VoiceGatewayAgent to make outbound call
-      const result = await agents.voice.makeOutboundCall({
-        to,
-        from, // Optional, will use default from config if not provided
-        message,
+      // Use VoiceGatewayAgent to make outbound call (always dials from the configured number)
+      const result = await agents.voice.makeOutboundCall(to, message, {
+        machineDetection,
+        voicemailScript,
       });
 
       if (result.success) {
@@ -314,6 +413,9 @@ function createAPIRouter(deps) {
         }
 
         return res.status(201).json(createAPIResponse(true, result.data, null, requestId));
+      } else if (result.data && result.data.blocked) {
+        console.warn(`[${timestamp}] [WARN] [api/calls/outbound] Call blocked by compliance rule: ${result.data.rule}`);
+        return res.status(403).json(createAPIResponse(false, result.data, result.error, requestId));
       } else {
         console.error(`[${timestamp}] [ERROR] [api/calls/outbound] Failed to initiate call: ${result.error}`);
         return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to initiate call', requestId));
@@ -325,65 +427,1370 @@ function createAPIRouter(deps) {
   });
 
   /**
-   * POST /api/notifications - Send notification
-   * Sends notification via IntegrationAgent (email, SMS, webhook)
+   * POST /api/calls/:callSid/recording - Pause or resume a call recording
+   * Used to keep sensitive details (e.g. payment info) out of recordings
    *
+   * @param {string} req.params.callSid - Twilio call SID
    * @param {Object} req.body - Request body
-   * @param {string} req.body.type - Notification type (email|sms|webhook)
-   * @param {string} req.body.recipient - Recipient (email/phone/URL)
-   * @param {string} req.body.message - Notification message
-   * @param {Object} req.body.metadata - Additional metadata
-   * @returns {Object} APIResponse with delivery status
-   * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @param {string} req.body.action - pause|resume
+   * @param {string} req.body.reason - Optional reason for pausing
+   * @returns {Object} APIResponse with updated recording status
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
    */
-  router.post('/notifications', validateInput(['body.type', 'body.recipient', 'body.message']), async (req, res) => {
+  router.post('/calls/:callSid/recording', validateInput(['body.action']), async (req, res) => {
     const requestId = req.requestId;
     const timestamp = new Date().toISOString();
-    const { type, recipient, message, metadata = {} } = req.body;
+    const { callSid } = req.params;
+    const { action, reason } = req.body;
 
-    console.log(`[${timestamp}] [INFO] [api/notifications] Send notification - RequestID: ${requestId}`);
-    console.log(`[${timestamp}] [DEBUG] [api/notifications] Type: ${type}, Recipient: ${recipient}`);
+    console.log(`[${timestamp}] [INFO] [api/calls/recording] Recording ${action} - RequestID: ${requestId}, CallSid: ${callSid}`);
+
+    if (action !== 'pause' && action !== 'resume') {
+      return res.status(400).json(createAPIResponse(false, null, 'action must be "pause" or "resume"', requestId));
+    }
 
     try {
-      // Validate notification type
-      const validTypes = ['email', 'sms', 'webhook'];
-      if (!validTypes.includes(type)) {
-        console.error(`[${timestamp}] [ERROR] [api/notifications] Invalid notification type: ${type}`);
-        return res.status(400).json(createAPIResponse(false, null, 'type must be email, sms, or webhook', requestId));
+      const result = action === 'pause'
+        ? await agents.voice.pauseRecording(callSid, reason)
+        : await agents.voice.resumeRecording(callSid);
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/calls/recording] Failed to ${action} recording: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || `Failed to ${action} recording`, requestId));
       }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/calls/recording] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
 
-      // Use IntegrationAgent to send notification
-      const result = await agents.integration.sendNotification({
-        type,
-        recipient,
-        message,
-        metadata,
-      });
+  /**
+   * POST /api/campaigns - Create an outbound calling campaign
+   * The campaign is created as a draft; start it with POST /api/campaigns/:id/start
+   *
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.name - Campaign name
+   * @param {string} req.body.script - Opening message (or agentConfigName)
+   * @param {string} req.body.agentConfigName - Persona placing the calls (or script)
+   * @param {Object} req.body.callingWindow - Optional business-hours calendar for when calls may be placed
+   * @param {number} req.body.maxConcurrent - Optional maximum calls in progress at once (default 1)
+   * @param {number} req.body.callsPerMinute - Optional maximum new calls per minute (default 5)
+   * @param {number} req.body.maxAttempts - Optional attempts per contact (default 3)
+   * @param {number} req.body.retryDelaySeconds - Optional first retry delay, doubled per attempt (default 900)
+   * @param {Array<string|Object>} req.body.contacts - Phone numbers or { phoneNumber, name, customerId }
+   * @returns {Object} APIResponse with campaign, contactsAdded and invalidContacts
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/campaigns', validateInput(['body.name']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/campaigns] Create campaign - RequestID: ${requestId}, Name: ${req.body.name}`);
+
+    try {
+      const result = await agents.campaign.createCampaign(req.body);
 
       if (result.success) {
-        console.log(`[${timestamp}] [INFO] [api/notifications] Successfully sent notification`);
+        return res.status(201).json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/campaigns] Failed to create campaign: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to create campaign', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/campaigns] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
 
-        // Queue job for notification tracking
-        try {
-          await queueManager.addJob('voice-integrations', 'notification-sent', {
-            type,
-            recipient,
-            deliveryId: result.data.deliveryId,
-            timestamp,
-          });
-          console.log(`[${timestamp}] [INFO] [api/notifications] Queued tracking job`);
-        } catch (queueError) {
-          console.error(`[${timestamp}] [ERROR] [api/notifications] Failed to queue tracking:`, queueError);
-        }
+  /**
+   * GET /api/campaigns/:id - Get campaign status and progress
+   *
+   * @param {string} req.params.id - Campaign UUID
+   * @returns {Object} APIResponse with campaign and progress counts
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/campaigns/:id', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { id } = req.params;
+
+    console.log(`[${timestamp}] [INFO] [api/campaigns] Get campaign status - RequestID: ${requestId}, Campaign: ${id}`);
+
+    try {
+      const result = await agents.campaign.getCampaignStatus(id);
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        const status = result.error === 'Campaign not found' ? 404 : 400;
+        return res.status(status).json(createAPIResponse(false, null, result.error, requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/campaigns] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/campaigns/:id/contacts - Add contacts to a campaign
+   * Numbers already in the campaign are skipped
+   *
+   * @param {string} req.params.id - Campaign UUID
+   * @param {Array<string|Object>} req.body.contacts - Phone numbers or { phoneNumber, name, customerId }
+   * @returns {Object} APIResponse with contactsAdded and invalidContacts
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/campaigns/:id/contacts', validateInput(['body.contacts']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+    const { id } = req.params;
+
+    console.log(`[${timestamp}] [INFO] [api/campaigns] Add contacts - RequestID: ${requestId}, Campaign: ${id}`);
+
+    try {
+      const result = await agents.campaign.addContacts(id, req.body.contacts);
 
+      if (result.success) {
         return res.status(201).json(createAPIResponse(true, result.data, null, requestId));
       } else {
-        console.error(`[${timestamp}] [ERROR] [api/notifications] Failed to send notification: ${result.error}`);
-        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to send notification', requestId));
+        const status = result.error === 'Campaign not found' ? 404 : 400;
+        return res.status(status).json(createAPIResponse(false, null, result.error, requestId));
       }
     } catch (error) {
-      console.error(`[${timestamp}] [ERROR] [api/notifications] Unhandled error:`, error);
+      console.error(`[${timestamp}] [ERROR] [api/campaigns] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/campaigns/:id/:action - Start, pause or resume a campaign
+   *
+   * @param {string} req.params.id - Campaign UUID
+   * @param {string} req.params.action - start|pause|resume
+   * @returns {Object} APIResponse with campaign and progress counts
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/campaigns/:id/:action(start|pause|resume)', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { id, action } = req.params;
+
+    console.log(`[${timestamp}] [INFO] [api/campaigns] Campaign ${action} - RequestID: ${requestId}, Campaign: ${id}`);
+
+    try {
+      const handlers = {
+        start: () => agents.campaign.startCampaign(id),
+        pause: () => agents.campaign.pauseCampaign(id),
+        resume: () => agents.campaign.resumeCampaign(id),
+      };
+      const result = await handlers[action]();
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/campaigns] Failed to ${action} campaign: ${result.error}`);
+        const status = result.error === 'Campaign not found' ? 404 : 409;
+        return res.status(status).json(createAPIResponse(false, null, result.error, requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/campaigns] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/compliance/dnc - Add numbers to the do-not-call list
+   *
+   * @param {Object} req.body - Request body
+   * @param {Array<string|Object>} req.body.numbers - Phone numbers or { phoneNumber, reason }
+   * @param {string} req.body.reason - Optional reason for entries without one
+   * @param {string} req.body.source - Optional source label (default 'api')
+   * @returns {Object} APIResponse with imported count and invalid numbers
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/compliance/dnc', validateInput(['body.numbers']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+    const { numbers, reason, source } = req.body;
+
+    console.log(`[${timestamp}] [INFO] [api/compliance] Import DNC numbers - RequestID: ${requestId}`);
+
+    if (!Array.isArray(numbers)) {
+      return res.status(400).json(createAPIResponse(false, null, 'numbers must be an array', requestId));
+    }
+
+    try {
+      const result = await agents.voice.complianceService.importDnc(numbers, { reason, source });
+
+      if (result.success) {
+        return res.status(201).json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/compliance] Failed to import DNC numbers: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to import DNC numbers', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/compliance] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/compliance/dnc - Export the do-not-call list
+   *
+   * @param {string} req.query.format - Optional 'csv' for a CSV download (default JSON)
+   * @returns {Object|string} APIResponse with DNC rows, or CSV text
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/compliance/dnc', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/compliance] Export DNC list - RequestID: ${requestId}`);
+
+    try {
+      const complianceService = agents.voice.complianceService;
+      const result = await complianceService.exportDnc();
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/compliance] Failed to export DNC list: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to export DNC list', requestId));
+      }
+
+      if (req.query.format === 'csv') {
+        res.set('Content-Disposition', 'attachment; filename="dnc_numbers.csv"');
+        return res.type('text/csv').send(complianceService.formatDncCsv(result.data));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/compliance] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * DELETE /api/compliance/dnc/:phone - Remove a number from the do-not-call list
+   *
+   * @param {string} req.params.phone - Phone number (E.164, URL-encoded)
+   * @returns {Object} APIResponse with removed flag
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.delete('/compliance/dnc/:phone', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { phone } = req.params;
+
+    console.log(`[${timestamp}] [INFO] [api/compliance] Remove DNC number - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.voice.complianceService.removeDnc(phone);
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/compliance] Failed to remove DNC number: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to remove DNC number', requestId));
+      }
+
+      if (!result.data.removed) {
+        return res.status(404).json(createAPIResponse(false, null, 'Number is not on the do-not-call list', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/compliance] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/compliance/blocked - Outbound calls blocked by compliance rules
+   *
+   * @param {string} req.query.since - Optional ISO timestamp (default 7 days ago)
+   * @param {number} req.query.limit - Optional maximum rows (default 100)
+   * @returns {Object} APIResponse with blocked attempts (rule, reason, region, context)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/compliance/blocked', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { since, limit } = req.query;
+
+    console.log(`[${timestamp}] [INFO] [api/compliance] Get blocked attempts - RequestID: ${requestId}`);
+
+    if (since && isNaN(Date.parse(since))) {
+      return res.status(400).json(createAPIResponse(false, null, 'since must be an ISO timestamp', requestId));
+    }
+
+    try {
+      const result = await agents.voice.complianceService.getBlockedAttempts({
+        since,
+        limit: limit ? Math.min(parseInt(limit, 10) || 100, 1000) : 100,
+      });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/compliance] Failed to fetch blocked attempts: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to fetch blocked attempts', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/compliance] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/vocabulary - List speech recognition vocabulary terms
+   *
+   * @param {string} req.query.scope - Optional global, agent_config or campaign
+   * @param {string} req.query.agentConfigName - Optional agent config filter
+   * @param {string} req.query.campaignId - Optional campaign filter
+   * @returns {Object} APIResponse with vocabulary_terms rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/vocabulary', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { scope, agentConfigName, campaignId } = req.query;
+
+    console.log(`[${timestamp}] [INFO] [api/vocabulary] List vocabulary terms - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.vocabularyService.listTerms({ scope, agentConfigName, campaignId });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/vocabulary] Failed to list vocabulary terms: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to list vocabulary terms', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/vocabulary] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/vocabulary - Add a vocabulary term
+   *
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.term - Canonical spelling (e.g. 'Salesforce', 'AX-200')
+   * @param {string} req.body.scope - Optional global (default), agent_config or campaign
+   * @param {string} req.body.agentConfigName - Required for scope agent_config
+   * @param {string} req.body.campaignId - Required for scope campaign
+   * @param {string} req.body.category - Optional product, competitor, sku or other
+   * @param {Array<string>} req.body.variants - Optional known mishearings
+   * @returns {Object} APIResponse with the created term
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/vocabulary', validateInput(['body.term']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/vocabulary] Add vocabulary term - RequestID: ${requestId}`);
+
+    try {
+      const { term, scope, agentConfigName, campaignId, category, variants } = req.body;
+      const result = await agents.conversation.vocabularyService.addTerm({
+        term, scope, agentConfigName, campaignId, category, variants,
+      });
+
+      if (result.success) {
+        return res.status(201).json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/vocabulary] Failed to add vocabulary term: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to add vocabulary term', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/vocabulary] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * PATCH /api/vocabulary/:id - Update a vocabulary term
+   *
+   * @param {string} req.params.id - Vocabulary term UUID
+   * @param {Object} req.body - Any of term, category, variants, active
+   * @returns {Object} APIResponse with the updated term
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.patch('/vocabulary/:id', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/vocabulary] Update vocabulary term ${req.params.id} - RequestID: ${requestId}`);
+
+    try {
+      const { term, category, variants, active } = req.body || {};
+      const result = await agents.conversation.vocabularyService.updateTerm(req.params.id, {
+        term, category, variants, active,
+      });
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/vocabulary] Failed to update vocabulary term: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to update vocabulary term', requestId));
+      }
+
+      if (!result.data) {
+        return res.status(404).json(createAPIResponse(false, null, 'Vocabulary term not found', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/vocabulary] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * DELETE /api/vocabulary/:id - Remove a vocabulary term
+   *
+   * @param {string} req.params.id - Vocabulary term UUID
+   * @returns {Object} APIResponse with removed flag
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.delete('/vocabulary/:id', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/vocabulary] Remove vocabulary term ${req.params.id} - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.vocabularyService.removeTerm(req.params.id);
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/vocabulary] Failed to remove vocabulary term: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to remove vocabulary term', requestId));
+      }
+
+      if (!result.data.removed) {
+        return res.status(404).json(createAPIResponse(false, null, 'Vocabulary term not found', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/vocabulary] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/vocabulary/preview - Correct a sample transcript
+   * Uses the same vocabulary and threshold as a live call for the given
+   * agent config and campaign, and reports each correction applied.
+   *
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.text - Sample transcript
+   * @param {string} req.body.agentConfigName - Optional agent config
+   * @param {string} req.body.campaignId - Optional campaign
+   * @returns {Object} APIResponse with { text, corrections, hints }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/vocabulary/preview', validateInput(['body.text']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+    const { text, agentConfigName, campaignId } = req.body;
+
+    console.log(`[${timestamp}] [INFO] [api/vocabulary] Preview vocabulary correction - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.vocabularyService.preview(String(text), { agentConfigName, campaignId });
+      return res.json(createAPIResponse(true, result, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/vocabulary] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/calendar/meeting-types - List bookable meeting types
+   *
+   * @returns {Object} APIResponse with meeting_types rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/calendar/meeting-types', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/calendar] List meeting types - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.calendarService.listMeetingTypes();
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/calendar] Failed to list meeting types: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to list meeting types', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/calendar] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/calendar/slots - Open slots for a meeting type (what a caller would be offered)
+   *
+   * @param {string} req.query.meetingType - Optional meeting type (default CALENDAR_DEFAULT_MEETING_TYPE)
+   * @param {string} req.query.date - Optional preferred day (YYYY-MM-DD)
+   * @param {number} req.query.count - Optional number of slots (1-20, default 5)
+   * @param {string} req.query.timezone - Optional IANA time zone for date and labels
+   * @returns {Object} APIResponse with { meetingType, durationMinutes, timezone, slots }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/calendar/slots', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { meetingType, date, timezone } = req.query;
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 5, 1), 20);
+
+    console.log(`[${timestamp}] [INFO] [api/calendar] Find slots - Type: ${meetingType || 'default'}, RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.calendarService.findSlots({ meetingType, date, count, timezone });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/calendar] Failed to find slots: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to find slots', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/calendar] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/appointments - List appointments
+   *
+   * @param {string} req.query.status - Optional held, confirmed, cancelled or expired
+   * @param {string} req.query.repId - Optional sales rep filter
+   * @param {string} req.query.customerId - Optional customer filter
+   * @param {string} req.query.from - Optional ISO timestamp (starting at or after)
+   * @param {string} req.query.to - Optional ISO timestamp (starting before)
+   * @returns {Object} APIResponse with appointments rows (with their rep)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/appointments', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { status, repId, customerId, from, to } = req.query;
+
+    console.log(`[${timestamp}] [INFO] [api/appointments] List appointments - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.calendarService.listAppointments({ status, repId, customerId, from, to });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/appointments] Failed to list appointments: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to list appointments', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/appointments] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/appointments/:id/cancel - Cancel a held or confirmed appointment
+   * Reminders are cancelled and the attendee of a booking gets a cancellation invite.
+   *
+   * @param {string} req.params.id - Appointment UUID
+   * @param {string} req.body.reason - Optional reason
+   * @returns {Object} APIResponse with { appointment, emailSent }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/appointments/:id/cancel', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/appointments] Cancel appointment ${req.params.id} - RequestID: ${requestId}`);
+
+    try {
+      const { reason } = req.body || {};
+      const result = await agents.conversation.calendarService.cancelAppointment(req.params.id, { reason });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      }
+
+      console.error(`[${timestamp}] [ERROR] [api/appointments] Failed to cancel appointment: ${result.error}`);
+      const status = /not found/i.test(result.error || '') ? 404 : 409;
+      return res.status(status).json(createAPIResponse(false, null, result.error || 'Failed to cancel appointment', requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/appointments] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/knowledge/documents - List knowledge base documents (without content)
+   *
+   * @param {string} req.query.agentConfigName - Optional persona filter (also lists shared documents)
+   * @param {string} req.query.status - Optional pending, indexed or failed
+   * @returns {Object} APIResponse with knowledge_documents rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/knowledge/documents', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { agentConfigName, status } = req.query;
+
+    console.log(`[${timestamp}] [INFO] [api/knowledge] List knowledge documents - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.knowledgeBaseService.listDocuments({ agentConfigName, status });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/knowledge] Failed to list knowledge documents: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to list knowledge documents', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/knowledge] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/knowledge/documents/:id - Get a knowledge base document with its content
+   *
+   * @param {string} req.params.id - Knowledge document UUID
+   * @returns {Object} APIResponse with the knowledge_documents row
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/knowledge/documents/:id', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/knowledge] Get knowledge document ${req.params.id} - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.knowledgeBaseService.getDocument(req.params.id);
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/knowledge] Failed to get knowledge document: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to get knowledge document', requestId));
+      }
+
+      if (!result.data) {
+        return res.status(404).json(createAPIResponse(false, null, 'Knowledge document not found', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/knowledge] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/knowledge/documents - Add a knowledge base document and index it
+   * A document whose indexing failed is still created (status 'failed',
+   * index_error) and can be re-indexed.
+   *
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.title - Title (given to the AI with each passage)
+   * @param {string} req.body.content - Markdown, HTML or plain text
+   * @param {string} req.body.format - Optional markdown, html or text (detected when missing)
+   * @param {string} req.body.sourceUrl - Optional origin of the document
+   * @param {string} req.body.agentConfigName - Optional persona (default: every persona)
+   * @param {boolean} req.body.active - Optional, default true
+   * @returns {Object} APIResponse with the created document
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/knowledge/documents', validateInput(['body.title', 'body.content']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/knowledge] Add knowledge document - RequestID: ${requestId}`);
+
+    try {
+      const { title, content, format, sourceUrl, agentConfigName, active } = req.body;
+      const result = await agents.conversation.knowledgeBaseService.addDocument({
+        title, content, format, sourceUrl, agentConfigName, active,
+      });
+
+      if (result.success) {
+        return res.status(201).json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/knowledge] Failed to add knowledge document: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to add knowledge document', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/knowledge] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * PATCH /api/knowledge/documents/:id - Update a knowledge base document
+   * New content, format or title is re-indexed.
+   *
+   * @param {string} req.params.id - Knowledge document UUID
+   * @param {Object} req.body - Any of title, content, format, sourceUrl, agentConfigName, active
+   * @returns {Object} APIResponse with the updated document
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.patch('/knowledge/documents/:id', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/knowledge] Update knowledge document ${req.params.id} - RequestID: ${requestId}`);
+
+    try {
+      const { title, content, format, sourceUrl, agentConfigName, active } = req.body || {};
+      const result = await agents.conversation.knowledgeBaseService.updateDocument(req.params.id, {
+        title, content, format, sourceUrl, agentConfigName, active,
+      });
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/knowledge] Failed to update knowledge document: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to update knowledge document', requestId));
+      }
+
+      if (!result.data) {
+        return res.status(404).json(createAPIResponse(false, null, 'Knowledge document not found', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/knowledge] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * DELETE /api/knowledge/documents/:id - Remove a knowledge base document and its passages
+   *
+   * @param {string} req.params.id - Knowledge document UUID
+   * @returns {Object} APIResponse with removed flag
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.delete('/knowledge/documents/:id', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/knowledge] Remove knowledge document ${req.params.id} - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.knowledgeBaseService.removeDocument(req.params.id);
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/knowledge] Failed to remove knowledge document: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to remove knowledge document', requestId));
+      }
+
+      if (!result.data.removed) {
+        return res.status(404).json(createAPIResponse(false, null, 'Knowledge document not found', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/knowledge] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/knowledge/documents/:id/reindex - Re-index one knowledge base document
+   *
+   * @param {string} req.params.id - Knowledge document UUID
+   * @returns {Object} APIResponse with the re-indexed document
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/knowledge/documents/:id/reindex', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/knowledge] Re-index knowledge document ${req.params.id} - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.knowledgeBaseService.reindexDocument(req.params.id);
+
+      if (result.success && !result.data) {
+        return res.status(404).json(createAPIResponse(false, null, 'Knowledge document not found', requestId));
+      }
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/knowledge] Failed to re-index knowledge document: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to re-index knowledge document', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/knowledge] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/knowledge/reindex - Re-index the knowledge base
+   * Re-indexes documents that are not indexed or were embedded with another
+   * model (e.g. after changing OPENAI_EMBEDDING_MODEL); with force, all of them.
+   *
+   * @param {boolean} req.body.force - Optional, re-index every document
+   * @returns {Object} APIResponse with { indexed, skipped, failed }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/knowledge/reindex', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const force = (req.body || {}).force === true;
+
+    console.log(`[${timestamp}] [INFO] [api/knowledge] Re-index knowledge base - Force: ${force}, RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.knowledgeBaseService.reindexAll({ force });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/knowledge] Failed to re-index knowledge base: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to re-index knowledge base', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/knowledge] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/knowledge/search - Passages a question would retrieve
+   *
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.query - Question
+   * @param {string} req.body.agentConfigName - Optional persona answering
+   * @param {number} req.body.topK - Optional number of passages (1-20, default KNOWLEDGE_TOP_K)
+   * @returns {Object} APIResponse with passages (sourceId, title, heading, content, score)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/knowledge/search', validateInput(['body.query']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+    const { query, agentConfigName } = req.body;
+    const topK = req.body.topK ? Math.min(Math.max(parseInt(req.body.topK, 10) || 1, 1), 20) : undefined;
+
+    console.log(`[${timestamp}] [INFO] [api/knowledge] Search knowledge base - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.knowledgeBaseService.search(String(query), { agentConfigName, topK });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/knowledge] Failed to search knowledge base: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to search knowledge base', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/knowledge] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/agent-configs - List agent configs (personas)
+   *
+   * @param {string} req.query.includeInactive - Optional 'true' to include switched-off configs
+   * @returns {Object} APIResponse with agent_configs rows (including active_version)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/agent-configs', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/agent-configs] List agent configs - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.agentConfigService.listConfigs({
+        includeInactive: req.query.includeInactive === 'true',
+      });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/agent-configs] Failed to list agent configs: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to list agent configs', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/agent-configs/:name - Get an agent config, active or not
+   *
+   * @param {string} req.params.name - agent_configs.name
+   * @returns {Object} APIResponse with the agent_configs row
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/agent-configs/:name', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/agent-configs] Get agent config ${req.params.name} - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.agentConfigService.getConfig(req.params.name);
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/agent-configs] Failed to get agent config: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to get agent config', requestId));
+      }
+
+      if (!result.data) {
+        return res.status(404).json(createAPIResponse(false, null, 'Agent config not found', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/agent-configs - Create an agent config as version 1
+   *
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.name - Config name (letters, digits, _ or -)
+   * @param {string} req.body.systemPrompt - Persona prompt
+   * @param {string} req.body.author - Who made the change (name or email)
+   * @param {string} req.body.note - Optional reason for the change
+   * @param {*} req.body.* - Optional type, temperature, maxTokens, voiceSettings, escalationRules, recordingPolicy,
+   *   recordingConsentPrompt, ivrMenu, greeting, returningGreeting, businessHours, tools, qualification, active
+   * @returns {Object} APIResponse with { config, version }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/agent-configs', validateInput(['body.name', 'body.systemPrompt', 'body.author']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/agent-configs] Create agent config ${req.body.name} - RequestID: ${requestId}`);
+
+    try {
+      const { author, note, ...settings } = req.body;
+      const result = await agents.conversation.agentConfigService.createConfig(settings, { author, note });
+
+      if (result.success) {
+        return res.status(201).json(createAPIResponse(true, result.data, null, requestId));
+      }
+
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Failed to create agent config: ${result.error}`);
+      const status = /already exists/.test(result.error) ? 409 : 400;
+      return res.status(status).json(createAPIResponse(false, null, result.error || 'Failed to create agent config', requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * PATCH /api/agent-configs/:name - Edit an agent config
+   * Changed settings are saved as a new version and activated; new calls use
+   * it, calls in progress keep the version they started with. active only
+   * switches the persona on or off and creates no version.
+   *
+   * @param {string} req.params.name - agent_configs.name
+   * @param {Object} req.body - author (required), note, and any setting accepted by POST /api/agent-configs
+   * @returns {Object} APIResponse with { config, version } (version null when nothing changed)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.patch('/agent-configs/:name', validateInput(['body.author']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/agent-configs] Update agent config ${req.params.name} - RequestID: ${requestId}`);
+
+    try {
+      const { author, note, name, ...settings } = req.body;
+      const result = await agents.conversation.agentConfigService.updateConfig(req.params.name, settings, { author, note });
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/agent-configs] Failed to update agent config: ${result.error}`);
+        const status = /changed while saving/.test(result.error) ? 409
+          : /saved but not activated/.test(result.error) ? 500
+            : 400;
+        return res.status(status).json(createAPIResponse(false, null, result.error || 'Failed to update agent config', requestId));
+      }
+
+      if (!result.data) {
+        return res.status(404).json(createAPIResponse(false, null, 'Agent config not found', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/agent-configs/:name/versions - Version history of an agent config, newest first
+   *
+   * @param {string} req.params.name - agent_configs.name
+   * @returns {Object} APIResponse with { activeVersion, versions } (version, diff, based_on_version,
+   *   author, note, created_at; snapshots via GET .../versions/:version)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/agent-configs/:name/versions', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/agent-configs] List versions of ${req.params.name} - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.agentConfigService.listVersions(req.params.name);
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/agent-configs] Failed to list agent config versions: ${result.error}`);
+        return res.status(500).json(createAPIResponse(false, null, result.error || 'Failed to list agent config versions', requestId));
+      }
+
+      if (!result.data) {
+        return res.status(404).json(createAPIResponse(false, null, 'Agent config not found', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/agent-configs/:name/versions/:version - One version with its snapshot
+   *
+   * @param {string} req.params.name - agent_configs.name
+   * @param {string} req.params.version - Version number
+   * @returns {Object} APIResponse with the agent_config_versions row
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/agent-configs/:name/versions/:version', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/agent-configs] Get version ${req.params.version} of ${req.params.name} - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.agentConfigService.getVersion(req.params.name, req.params.version);
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [api/agent-configs] Failed to get agent config version: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to get agent config version', requestId));
+      }
+
+      if (!result.data) {
+        return res.status(404).json(createAPIResponse(false, null, 'Agent config version not found', requestId));
+      }
+
+      return res.json(createAPIResponse(true, result.data, null, requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/agent-configs/:name/versions/:version/activate - Make a version the active one
+   * New calls use it; calls in progress keep the version they started with.
+   *
+   * @param {string} req.params.name - agent_configs.name
+   * @param {string} req.params.version - Version number
+   * @param {string} req.body.author - Who activated it
+   * @returns {Object} APIResponse with { config, previousVersion, activeVersion }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/agent-configs/:name/versions/:version/activate', validateInput(['body.author']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+    const { name, version } = req.params;
+
+    console.log(`[${timestamp}] [INFO] [api/agent-configs] Activate version ${version} of ${name} - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.agentConfigService.activateVersion(name, version, { author: req.body.author });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      }
+
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Failed to activate agent config version: ${result.error}`);
+      const status = /not found/.test(result.error) ? 404 : 400;
+      return res.status(status).json(createAPIResponse(false, null, result.error || 'Failed to activate agent config version', requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/agent-configs/:name/rollback - Activate the version before the active one
+   *
+   * @param {string} req.params.name - agent_configs.name
+   * @param {string} req.body.author - Who rolled back
+   * @returns {Object} APIResponse with { config, previousVersion, activeVersion }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/agent-configs/:name/rollback', validateInput(['body.author']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [api/agent-configs] Roll back ${req.params.name} - RequestID: ${requestId}`);
+
+    try {
+      const result = await agents.conversation.agentConfigService.rollback(req.params.name, { author: req.body.author });
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      }
+
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Failed to roll back agent config: ${result.error}`);
+      const status = /not found/.test(result.error) ? 404
+        : /no earlier version/.test(result.error) ? 409
+          : 400;
+      return res.status(status).json(createAPIResponse(false, null, result.error || 'Failed to roll back agent config', requestId));
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/agent-configs] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/notifications - Send notification
+   * Sends notification via IntegrationAgent (email, SMS, webhook)
+   *
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.type - Notification type (email|sms|webhook)
+   * @param {string} req.body.recipient - Recipient (email/phone/URL)
+   * @param {string} req.body.message - Notification message
+   * @param {Object} req.body.metadata - Additional metadata
+   * @returns {Object} APIResponse with delivery status
+   * @created 2025-10-01T18:00:00Z
+   * @lastModified 2025-10-01T18:00:00Z
+   */
+  router.post('/notifications', validateInput(['body.type', 'body.recipient', 'body.message']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+    const { type, recipient, message, metadata = {} } = req.body;
+
+    console.log(`[${timestamp}] [INFO] [api/notifications] Send notification - RequestID: ${requestId}`);
+    console.log(`[${timestamp}] [DEBUG] [api/notifications] Type: ${type}, Recipient: ${recipient}`);
+
+    try {
+      // Validate notification type
+      const validTypes = ['email', 'sms', 'webhook'];
+      if (!validTypes.includes(type)) {
+        console.error(`[${timestamp}] [ERROR] [api/notifications] Invalid notification type: ${type}`);
+        return res.status(400).json(createAPIResponse(false, null, 'type must be email, sms, or webhook', requestId));
+      }
+
+      // Use IntegrationAgent to send notification
+      const result = await agents.integration.sendNotification({
+        type,
+        recipient,
+        message,
+        metadata,
+      });
+
+      if (result.success) {
+        console.log(`[${timestamp}] [INFO] [api/notifications] Successfully sent notification`);
+
+        // Queue job for notification tracking
+        try {
+          await queueManager.addJob('voice-integrations', 'notification-sent', {
+            type,
+            recipient,
+            deliveryId: result.data.deliveryId,
+            timestamp,
+          });
+          console.log(`[${timestamp}] [INFO] [api/notifications] Queued tracking job`);
+        } catch (queueError) {
+          console.error(`[${timestamp}] [ERROR] [api/notifications] Failed to queue tracking:`, queueError);
+        }
+
+        return res.status(201).json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/notifications] Failed to send notification: ${result.error}`);
+        return res.status(400).json(createAPIResponse(false, null, result.error || 'Failed to send notification', requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/notifications] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/simulate/conversations - Start a text-only simulation session
+   * Runs the conversation pipeline without Twilio so prompts and agent configs
+   * can be tried in seconds. Sessions are flagged as simulated and excluded
+   * from analytics.
+   *
+   * @param {Object} req.body - Request body
+   * @param {string} req.body.agentConfigName - Active agent config to test
+   * @param {string} req.body.channel - Optional 'voice' (default) or 'sms'
+   * @param {string} req.body.phoneNumber - Optional test number stored on the session
+   * @param {Object} req.body.metadata - Optional labels stored on the session
+   * @returns {Object} APIResponse with sessionId, conversationId, agentConfigName and channel
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/simulate/conversations', validateInput(['body.agentConfigName']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+    const { agentConfigName, channel, phoneNumber, metadata } = req.body;
+
+    console.log(`[${timestamp}] [INFO] [api/simulate] Start simulation session - RequestID: ${requestId}, Persona: ${agentConfigName}`);
+
+    try {
+      const result = await agents.conversation.createSimulatedSession({ agentConfigName, channel, phoneNumber, metadata });
+
+      if (result.success) {
+        return res.status(201).json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/simulate] Failed to start simulation session: ${result.error}`);
+        const status = result.error === 'Agent config not found' ? 404 : 400;
+        return res.status(status).json(createAPIResponse(false, null, result.error, requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/simulate] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * POST /api/simulate/conversations/:sessionId/turns - Send a user turn
+   *
+   * @param {string} req.params.sessionId - Session ID from POST /api/simulate/conversations
+   * @param {string} req.body.text - What the simulated customer says
+   * @returns {Object} APIResponse with response, sentiment, escalation, tokens, model and latencyMs
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/simulate/conversations/:sessionId/turns', validateInput(['body.text']), async (req, res) => {
+    const requestId = req.requestId;
+    const timestamp = new Date().toISOString();
+    const { sessionId } = req.params;
+
+    console.log(`[${timestamp}] [INFO] [api/simulate] Simulated turn - RequestID: ${requestId}, Session: ${sessionId}`);
+
+    try {
+      const result = await agents.conversation.processSimulatedTurn(sessionId, req.body.text);
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        console.error(`[${timestamp}] [ERROR] [api/simulate] Simulated turn failed: ${result.error}`);
+        const statuses = {
+          'Simulation session not found': 404,
+          'Simulation session has ended': 409,
+        };
+        return res.status(statuses[result.error] || 400).json(createAPIResponse(false, null, result.error, requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/simulate] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * GET /api/simulate/conversations/:sessionId - Get a simulation session and its transcript
+   *
+   * @param {string} req.params.sessionId - Session ID
+   * @returns {Object} APIResponse with session details and messages
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.get('/simulate/conversations/:sessionId', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { sessionId } = req.params;
+
+    console.log(`[${timestamp}] [INFO] [api/simulate] Get simulation session - RequestID: ${requestId}, Session: ${sessionId}`);
+
+    try {
+      const result = await agents.conversation.getSimulatedSession(sessionId);
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        const status = result.error === 'Simulation session not found' ? 404 : 400;
+        return res.status(status).json(createAPIResponse(false, null, result.error, requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/simulate] Unhandled error:`, error);
+      return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
+    }
+  });
+
+  /**
+   * DELETE /api/simulate/conversations/:sessionId - End a simulation session
+   *
+   * @param {string} req.params.sessionId - Session ID
+   * @returns {Object} APIResponse with sessionId and status
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.delete('/simulate/conversations/:sessionId', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { sessionId } = req.params;
+
+    console.log(`[${timestamp}] [INFO] [api/simulate] End simulation session - RequestID: ${requestId}, Session: ${sessionId}`);
+
+    try {
+      const result = await agents.conversation.endSimulatedSession(sessionId);
+
+      if (result.success) {
+        return res.json(createAPIResponse(true, result.data, null, requestId));
+      } else {
+        const status = result.error === 'Simulation session not found' ? 404 : 400;
+        return res.status(status).json(createAPIResponse(false, null, result.error, requestId));
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [api/simulate] Unhandled error:`, error);
       return res.status(500).json(createAPIResponse(false, null, 'Internal server error', requestId));
     }
   });
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Serves synthesized speech for TwiML <Play>
+ * @author LegacyAI Subagent Fleet - API Server & WebSocket Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * GET /tts/<key>.<ext>?d=<phrase>&sig=<hmac>
+ *
+ * URLs are built by TtsService.getPlayUrl. A request is served only when sig
+ * matches the key and the key is the hash of d, so nothing outside this
+ * server can read the cache or make it synthesize arbitrary text. Missing
+ * files (synthesis still running, cache cleared) are synthesized before the
+ * static handler serves them.
+ */
+
+const express = require('express');
+const TtsService = require('../services/TtsService');
+
+/**
+ * Create TTS audio router
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} [deps.ttsService] - TtsService instance
+ * @param {Object} [deps.tts] - TTS config, used when no ttsService is given
+ * @param {Object} [deps.openai] - OpenAI config for the openai provider
+ * @returns {express.Router} Configured router
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * app.use('/tts', createTtsRouter({ tts: config.tts, openai: config.openai }));
+ */
+function createTtsRouter(deps) {
+  const router = express.Router();
+  const ttsService = deps.ttsService || new TtsService(deps.tts, { openaiConfig: deps.openai });
+
+  /**
+   * Check the signature and make sure the file is in the cache
+   */
+  router.use(async (req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const fileName = req.path.replace(/^\//, '');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return res.status(405).json({ success: false, error: 'Method not allowed', timestamp });
+    }
+
+    const phrase = ttsService.verifyAudioRequest(fileName, req.query);
+    if (!phrase) {
+      console.warn(`[${timestamp}] [WARN] [routes/tts] Rejected audio request for ${fileName || '/'} from ${req.ip}`);
+      return res.status(403).json({ success: false, error: 'Invalid or missing audio signature', timestamp });
+    }
+
+    try {
+      const result = await ttsService.synthesize(phrase);
+      console.log(`[${timestamp}] [INFO] [routes/tts] Serving ${fileName} (${result.cached ? 'cached' : 'synthesized'})`);
+      return next();
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [routes/tts] Could not synthesize ${fileName}:`, error);
+      return res.status(502).json({ success: false, error: 'Speech synthesis failed', timestamp });
+    }
+  });
+
+  // Files are content-addressed, so they never change once written
+  router.use(express.static(ttsService.cacheDir, {
+    index: false,
+    dotfiles: 'deny',
+    fallthrough: false,
+    immutable: true,
+    maxAge: '7d'
+  }));
+
+  return router;
+}
+
+module.exports = createTtsRouter;
@@ -2,21 +2,31 @@
  * @fileoverview Twilio webhook handlers for voice call processing
  * @author LegacyAI Subagent Fleet - API Server & WebSocket Agent
  * @created 2025-10-01T18:00:00Z
- * @lastModified 2025-10-01T18:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This module provides webhook endpoints for:
  * - Incoming call handling (generates TwiML)
- * - Speech processing (transcription and AI response)
- * - Call status updates (tracking lifecycle)
+ * - Speech processing (transcription and AI response, with a spoken filler while AI tools run)
+ * - Call status updates (lifecycle transitions and exactly-once call finalization)
  * - Outbound call initiation (generates TwiML)
+ * - Warm transfer to human reps (dial or rep queue, whisper, transfer status, voicemail)
+ * - Call recording (announcement/consent, recording status callbacks)
+ * - Answering-machine detection results and voicemail drop for outbound calls
+ * - Outbound campaign call outcomes (retry/complete tracking)
+ * - IVR menu input (DTMF and speech)
+ * - After-hours callback offers and messages
+ * - No-input/no-match reprompts with keypad alternatives
+ * - Inbound SMS/MMS (two-way text conversations)
  *
  * All endpoints return TwiML (text/xml) for Twilio
+ * All endpoints require a valid X-Twilio-Signature (see middleware/twilioSignature)
  */
 
 const express = require('express');
 const router = express.Router();
 const twilio = require('twilio');
-const { VoiceResponse } = twilio.twiml;
+const { VoiceResponse, MessagingResponse } = twilio.twiml;
+const { createTwilioSignatureValidator } = require('../middleware/twilioSignature');
 
 /**
  * Generate unique request ID for tracking
@@ -31,17 +41,138 @@ function generateRequestId() {
   });
 }
 
+/**
+ * Collect MMS attachments from an inbound message webhook
+ * Twilio sends NumMedia plus MediaUrlN/MediaContentTypeN pairs.
+ *
+ * @param {Object} body - Twilio request payload
+ * @returns {Array<Object>} Attachments as { url, contentType }
+ * @created 2026-10-18T10:00:00Z
+ */
+function parseMmsMedia(body) {
+  const count = parseInt(body.NumMedia, 10) || 0;
+  const media = [];
+
+  for (let i = 0; i < count; i++) {
+    if (body[`MediaUrl${i}`]) {
+      media.push({
+        url: body[`MediaUrl${i}`],
+        contentType: body[`MediaContentType${i}`] || null,
+      });
+    }
+  }
+
+  return media;
+}
+
 /**
  * Create router with dependencies injected
  * @param {Object} deps - Dependencies
  * @param {Object} deps.agents - AI agents (voice, conversation, analytics, integration)
  * @param {Object} deps.queueManager - Queue manager for async job processing
+ * @param {Object} deps.twilio - Twilio config (authToken, webhookUrl, validateSignature)
+ * @param {string} [deps.nodeEnv] - Environment name (signature bypass is ignored in production)
  * @returns {express.Router} Configured Express router
  * @created 2025-10-01T18:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
  */
 function createWebhookRouter(deps) {
   const { agents, queueManager } = deps;
 
+  /**
+   * Build warm-transfer TwiML for a call, including the handoff summary
+   * @param {string} callSid - Twilio call SID
+   * @param {string} reason - Escalation reason recorded on the conversation
+   * @returns {Promise<Object>} APIResponse from VoiceGatewayAgent.escalateCall
+   * @created 2026-10-18T09:00:00Z
+   */
+  async function escalateToHuman(callSid, reason) {
+    const summaryResult = await agents.conversation.summarizeForHandoff(callSid);
+
+    return agents.voice.escalateCall(callSid, {
+      reason,
+      summary: summaryResult.data?.summary,
+    });
+  }
+
+  /**
+   * Send the TwiML for a finished (or pending) conversation turn
+   * Shared by /process-speech, /process-speech-result and /ivr (speech said at
+   * the menu): transfers the caller when escalation is needed, queues turn
+   * analytics and speaks the reply.
+   * @param {Object} res - Express response
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} result - APIResponse from processSpeech() or completePendingTurn()
+   * @param {Object} options - { route, timestamp, attempt, confidence }
+   * @returns {Promise<Object>} Express response
+   * @created 2026-10-18T10:00:00Z
+   */
+  async function sendTurnResponse(res, callSid, result, options) {
+    const { route, timestamp, attempt = 0, confidence = null } = options;
+
+    if (!result.success) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/${route}] ConversationAgent error: ${result.error}`);
+
+      // Return error TwiML
+      const twiml = new VoiceResponse();
+      twiml.say('I encountered an error processing your request. Please try again.');
+      twiml.redirect({ method: 'POST' }, `/webhooks/reprompt?reason=no_match&attempt=${attempt}`);
+
+      res.type('text/xml');
+      return res.send(twiml.toString());
+    }
+
+    // Tools are still running: the filler TwiML redirects to /process-speech-result
+    if (result.data.pending) {
+      console.log(`[${timestamp}] [INFO] [webhooks/${route}] Speaking filler while tools run`);
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    }
+
+    console.log(`[${timestamp}] [INFO] [webhooks/${route}] Successfully generated AI response`);
+
+    // Hand the caller to a human instead of continuing the AI conversation
+    if (result.data.needsEscalation && agents.voice.isEscalationEnabled(result.data.escalationRules)) {
+      console.log(`[${timestamp}] [INFO] [webhooks/${route}] Escalation detected, transferring call ${callSid}`);
+
+      const escalation = await escalateToHuman(callSid, 'escalation_detected');
+      if (escalation.success) {
+        res.type('text/xml');
+        return res.send(escalation.data.twiml);
+      }
+
+      console.error(`[${timestamp}] [ERROR] [webhooks/${route}] Escalation failed, continuing with AI: ${escalation.error}`);
+    }
+
+    // Queue async job for conversation analytics
+    try {
+      await queueManager.addJob('voice-analytics', 'conversation-turn', {
+        callSid,
+        userInput: result.data.userInput,
+        aiResponse: result.data.aiResponse,
+        confidence,
+        speechCorrections: result.data.speechCorrections || [],
+        toolCalls: result.data.toolCalls || [],
+        timestamp: timestamp,
+      });
+      console.log(`[${timestamp}] [INFO] [webhooks/${route}] Queued conversation analytics job`);
+    } catch (queueError) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/${route}] Failed to queue analytics:`, queueError);
+    }
+
+    // Return TwiML with AI response
+    res.type('text/xml');
+    return res.send(result.data.twiml);
+  }
+
+  // Reject any request not signed by Twilio before it reaches a handler
+  router.use(createTwilioSignatureValidator({
+    authToken: deps.twilio.authToken,
+    webhookUrl: deps.twilio.webhookUrl,
+    validateSignature: deps.twilio.validateSignature,
+    nodeEnv: deps.nodeEnv,
+  }));
+
   /**
    * POST /webhooks/voice - Handle incoming call
    * Generates TwiML response for initial call handling
@@ -132,13 +263,16 @@ function createWebhookRouter(deps) {
    * @param {string} req.body.CallSid - Unique call identifier
    * @param {string} req.body.SpeechResult - Transcribed speech text
    * @param {string} req.body.Confidence - Speech recognition confidence (0-1)
+   * @param {string} [req.body.Digits] - Keypad alternative pressed on a reprompt
+   * @param {string} [req.query.attempt] - Consecutive missed turns before this one
    * @returns {string} TwiML response with AI-generated speech (text/xml)
    * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   router.post('/process-speech', async (req, res) => {
     const requestId = generateRequestId();
     const timestamp = new Date().toISOString();
+    const attempt = parseInt(req.query.attempt, 10) || 0;
 
     console.log(`[${timestamp}] [INFO] [webhooks/process-speech] Speech processing webhook - RequestID: ${requestId}`);
     console.log(`[${timestamp}] [INFO] [webhooks/process-speech] CallSid: ${req.body.CallSid}`);
@@ -147,65 +281,156 @@ function createWebhookRouter(deps) {
 
     try {
       // Validate required fields
-      if (!req.body.CallSid || !req.body.SpeechResult) {
+      if (!req.body.CallSid) {
         console.error(`[${timestamp}] [ERROR] [webhooks/process-speech] Missing required fields`);
 
         // Return error TwiML
         const twiml = new VoiceResponse();
-        twiml.say('I did not understand that. Please try again.');
-        twiml.redirect('/webhooks/voice');
+        twiml.say('An error occurred. Missing required call information.');
+        twiml.hangup();
 
         res.type('text/xml');
         return res.send(twiml.toString());
       }
 
-      // Use ConversationAgent to process speech and generate response
-      console.log(`[${timestamp}] [INFO] [webhooks/process-speech] Calling ConversationAgent.processSpeech...`);
-      const result = await agents.conversation.processSpeech({
-        callSid: req.body.CallSid,
-        speechResult: req.body.SpeechResult,
-        confidence: parseFloat(req.body.Confidence) || 0,
-        from: req.body.From,
-      });
+      // Keypad alternative offered on a reprompt
+      if (req.body.Digits) {
+        const keypress = await agents.voice.handleDialogKeypress(req.body, { attempt });
 
-      if (result.success) {
-        console.log(`[${timestamp}] [INFO] [webhooks/process-speech] Successfully generated AI response`);
+        if (keypress.data?.action === 'transfer') {
+          const escalation = await escalateToHuman(req.body.CallSid, 'caller_requested_keypad');
+          if (escalation.success) {
+            res.type('text/xml');
+            return res.send(escalation.data.twiml);
+          }
 
-        // Queue async job for conversation analytics
-        try {
-          await queueManager.addJob('voice-analytics', 'conversation-turn', {
-            callSid: req.body.CallSid,
-            userInput: req.body.SpeechResult,
-            aiResponse: result.data.response,
-            confidence: req.body.Confidence,
-            timestamp: timestamp,
-          });
-          console.log(`[${timestamp}] [INFO] [webhooks/process-speech] Queued conversation analytics job`);
-        } catch (queueError) {
-          console.error(`[${timestamp}] [ERROR] [webhooks/process-speech] Failed to queue analytics:`, queueError);
+          console.error(`[${timestamp}] [ERROR] [webhooks/process-speech] Keypad transfer failed: ${escalation.error}`);
+          const retry = await agents.voice.handleDialogMiss(req.body, { reason: 'no_match', attempt });
+          res.type('text/xml');
+          return res.send(retry.data.twiml);
         }
 
-        // Return TwiML with AI response
         res.type('text/xml');
-        return res.send(result.data.twiml);
-      } else {
-        console.error(`[${timestamp}] [ERROR] [webhooks/process-speech] ConversationAgent error: ${result.error}`);
+        return res.send(keypress.data.twiml);
+      }
 
-        // Return error TwiML
-        const twiml = new VoiceResponse();
-        twiml.say('I encountered an error processing your request. Please try again.');
-        twiml.redirect('/webhooks/voice');
+      // Nothing was said - reprompt instead of restarting the call
+      if (!req.body.SpeechResult) {
+        console.log(`[${timestamp}] [INFO] [webhooks/process-speech] No speech received - attempt ${attempt + 1}`);
 
+        const miss = await agents.voice.handleDialogMiss(req.body, { reason: 'no_input', attempt });
         res.type('text/xml');
-        return res.send(twiml.toString());
+        return res.send(miss.data.twiml);
+      }
+
+      // Use ConversationAgent to process speech and generate response
+      console.log(`[${timestamp}] [INFO] [webhooks/process-speech] Calling ConversationAgent.processSpeech...`);
+      const result = await agents.conversation.processSpeech({
+        CallSid: req.body.CallSid,
+        SpeechResult: req.body.SpeechResult,
+        Confidence: parseFloat(req.body.Confidence) || 0,
+        From: req.body.From,
+      });
+
+      // Low-confidence speech counts towards the same consecutive-miss limit
+      if (result.success && result.data.needsRepeat) {
+        const miss = await agents.voice.handleDialogMiss(req.body, { reason: 'no_match', attempt });
+        res.type('text/xml');
+        return res.send(miss.data.twiml);
+      }
+
+      if (result.success && attempt > 0) {
+        await agents.voice.recordDialogEvent(req.body.CallSid, { outcome: 'recovered' });
       }
+
+      return await sendTurnResponse(res, req.body.CallSid, result, {
+        route: 'process-speech',
+        timestamp,
+        attempt,
+        confidence: req.body.Confidence,
+      });
     } catch (error) {
       console.error(`[${timestamp}] [ERROR] [webhooks/process-speech] Unhandled error:`, error);
 
       // Return error TwiML
       const twiml = new VoiceResponse();
-      twiml.say('A system error occurred. Returning to main menu.');
-      twiml.redirect('/webhooks/voice');
+      twiml.say('A system error occurred. Please try again.');
+      twiml.redirect({ method: 'POST' }, `/webhooks/reprompt?reason=no_match&attempt=${attempt}`);
+
+      res.type('text/xml');
+      return res.status(500).send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/process-speech-result - Reply for a turn whose tools were still running
+   * Twilio follows the <Redirect> after speaking the filler; this waits for
+   * the turn to finish and continues the conversation like /process-speech.
+   *
+   * @param {Object} req.body - Twilio request payload (CallSid)
+   * @returns {string} TwiML response with AI-generated speech (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/process-speech-result', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [webhooks/process-speech-result] Pending turn webhook - RequestID: ${requestId}, CallSid: ${req.body.CallSid}`);
+
+    try {
+      const result = await agents.conversation.completePendingTurn(req.body.CallSid);
+
+      return await sendTurnResponse(res, req.body.CallSid, result, {
+        route: 'process-speech-result',
+        timestamp,
+      });
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/process-speech-result] Unhandled error:`, error);
+
+      // Return error TwiML
+      const twiml = new VoiceResponse();
+      twiml.say('A system error occurred. Please try again.');
+      twiml.redirect({ method: 'POST' }, '/webhooks/reprompt?reason=no_match&attempt=0');
+
+      res.type('text/xml');
+      return res.status(500).send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/reprompt - A Gather ended without any input
+   * Counts the miss and reprompts, or ends the call once the limit is reached.
+   *
+   * @param {string} req.query.reason - 'no_input' or 'no_match'
+   * @param {string} req.query.attempt - Consecutive missed turns before this one
+   * @param {Object} req.body - Twilio request payload (CallSid)
+   * @returns {string} Reprompt or goodbye TwiML (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/reprompt', async (req, res) => {
+    const timestamp = new Date().toISOString();
+    const reason = req.query.reason === 'no_match' ? 'no_match' : 'no_input';
+    const attempt = parseInt(req.query.attempt, 10) || 0;
+
+    console.log(`[${timestamp}] [INFO] [webhooks/reprompt] CallSid: ${req.body.CallSid}, Reason: ${reason}, Attempt: ${attempt + 1}`);
+
+    try {
+      const result = await agents.voice.handleDialogMiss(req.body, { reason, attempt });
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [webhooks/reprompt] ${result.error}`);
+      }
+
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/reprompt] Unhandled error:`, error);
+
+      const twiml = new VoiceResponse();
+      twiml.say('A system error occurred. Please try again later.');
+      twiml.hangup();
 
       res.type('text/xml');
       return res.status(500).send(twiml.toString());
@@ -214,7 +439,10 @@ function createWebhookRouter(deps) {
 
   /**
    * POST /webhooks/status - Handle call status updates
-   * Receives status callbacks from Twilio (completed, failed, busy, etc.)
+   * Receives status callbacks from Twilio (initiated, ringing, in-progress,
+   * completed, busy, failed, no-answer, canceled). VoiceGatewayAgent moves the
+   * conversation through its lifecycle and, on a final status, records the end
+   * and finalizes the call once (closes the session, queues post-call actions).
    *
    * @param {Object} req.body - Twilio request payload
    * @param {string} req.body.CallSid - Unique call identifier
@@ -222,7 +450,7 @@ function createWebhookRouter(deps) {
    * @param {string} req.body.CallDuration - Call duration in seconds
    * @returns {string} Empty TwiML response (text/xml)
    * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   router.post('/status', async (req, res) => {
     const requestId = generateRequestId();
@@ -239,35 +467,12 @@ function createWebhookRouter(deps) {
         return res.send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
       }
 
-      // Queue async job for status update processing
-      // This is fire-and-forget - we don't wait for completion
-      try {
-        await queueManager.addJob('voice-calls', 'status-update', {
-          callSid: req.body.CallSid,
-          callStatus: req.body.CallStatus,
-          callDuration: req.body.CallDuration,
-          timestamp: timestamp,
-          rawPayload: req.body,
-        });
-        console.log(`[${timestamp}] [INFO] [webhooks/status] Queued status update job for call ${req.body.CallSid}`);
-      } catch (queueError) {
-        console.error(`[${timestamp}] [ERROR] [webhooks/status] Failed to queue status update:`, queueError);
-      }
-
-      // If call is completed, trigger analytics processing
-      if (req.body.CallStatus === 'completed') {
-        console.log(`[${timestamp}] [INFO] [webhooks/status] Call completed, triggering final analytics`);
+      const result = await agents.voice.handleCallStatus(req.body);
 
-        try {
-          await queueManager.addJob('voice-analytics', 'call-completed', {
-            callSid: req.body.CallSid,
-            duration: req.body.CallDuration,
-            timestamp: timestamp,
-          });
-          console.log(`[${timestamp}] [INFO] [webhooks/status] Queued call completion analytics`);
-        } catch (queueError) {
-          console.error(`[${timestamp}] [ERROR] [webhooks/status] Failed to queue completion analytics:`, queueError);
-        }
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [webhooks/status] Failed to apply status: ${result.error}`);
+      } else if (result.data.finalized) {
+        console.log(`[${timestamp}] [INFO] [webhooks/status] Call ${req.body.CallSid} finalized (${req.body.CallStatus})`);
       }
 
       // Return empty TwiML response
@@ -289,10 +494,10 @@ function createWebhookRouter(deps) {
    * @param {Object} req.body - Twilio request payload
    * @param {string} req.body.CallSid - Unique call identifier
    * @param {string} req.body.To - Recipient phone number
-   * @param {string} req.body.message - Optional custom message to speak
+   * @param {string} req.query.message - Optional custom message to speak (set by makeOutboundCall)
    * @returns {string} TwiML response for outbound call (text/xml)
    * @created 2025-10-01T18:00:00Z
-   * @lastModified 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   router.post('/outbound', async (req, res) => {
     const requestId = generateRequestId();
@@ -307,7 +512,7 @@ function createWebhookRouter(deps) {
         callSid: req.body.CallSid,
         to: req.body.To,
         from: req.body.From,
-        message: req.body.message,
+        message: req.query.message || req.body.message,
       });
 
       if (result.success) {
@@ -351,6 +556,599 @@ function createWebhookRouter(deps) {
     }
   });
 
+  /**
+   * POST /webhooks/transfer - Transfer a live call to a human rep
+   * Target of TwilioService.updateCall redirects (e.g. from Media Streams calls)
+   *
+   * @param {Object} req.body - Twilio request payload
+   * @param {string} req.body.CallSid - Unique call identifier
+   * @returns {string} Transfer TwiML (text/xml)
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  router.post('/transfer', async (req, res) => {
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [webhooks/transfer] Transfer requested - CallSid: ${req.body.CallSid}`);
+
+    try {
+      const result = await escalateToHuman(req.body.CallSid, req.query.reason || 'escalation_detected');
+
+      res.type('text/xml');
+      if (result.success) {
+        return res.send(result.data.twiml);
+      }
+
+      console.error(`[${timestamp}] [ERROR] [webhooks/transfer] Escalation failed: ${result.error}`);
+      const twiml = new VoiceResponse();
+      twiml.say('Sorry, we are unable to transfer your call right now. Please try again later.');
+      twiml.hangup();
+      return res.send(twiml.toString());
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/transfer] Unhandled error:`, error);
+
+      const twiml = new VoiceResponse();
+      twiml.say('A system error occurred. Please try again later.');
+      twiml.hangup();
+
+      res.type('text/xml');
+      return res.status(500).send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/transfer-whisper - Whisper the call summary to the rep
+   * Played to the rep's leg only, before the caller is bridged. Reps taking a
+   * caller from the queue get the queued caller's SID in the body instead.
+   *
+   * @param {string} [req.query.callSid] - Parent (caller) call SID
+   * @param {string} [req.body.CallSid] - Dequeued caller's call SID (<Queue url> requests)
+   * @returns {string} Whisper TwiML (text/xml)
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/transfer-whisper', async (req, res) => {
+    const timestamp = new Date().toISOString();
+    const callSid = req.query.callSid || req.body.CallSid;
+
+    console.log(`[${timestamp}] [INFO] [webhooks/transfer-whisper] Rep answered - Parent CallSid: ${callSid}`);
+
+    try {
+      const result = await agents.voice.generateWhisperTwiML(callSid);
+
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/transfer-whisper] Unhandled error:`, error);
+
+      // Empty response still bridges the call
+      res.type('text/xml');
+      return res.send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+    }
+  });
+
+  /**
+   * POST /webhooks/transfer-wait - Hold loop for a caller in the rep queue
+   * The <Enqueue> waitUrl; the caller leaves the queue after the escalation timeout
+   *
+   * @param {string} req.query.callSid - Queued caller's call SID
+   * @param {string} req.body.QueueTime - Seconds the caller has waited
+   * @returns {string} Hold or <Leave> TwiML (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/transfer-wait', async (req, res) => {
+    const timestamp = new Date().toISOString();
+    const callSid = req.query.callSid || req.body.CallSid;
+
+    try {
+      const twiml = await agents.voice.generateQueueWaitTwiML(callSid, parseInt(req.body.QueueTime, 10) || 0);
+
+      res.type('text/xml');
+      return res.send(twiml.toString());
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/transfer-wait] Unhandled error:`, error);
+
+      // Leaving the queue runs the transfer fallback
+      const twiml = new VoiceResponse();
+      twiml.leave();
+
+      res.type('text/xml');
+      return res.send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/transfer-queue - Connect a rep to the next caller in the rep queue
+   * Set as the voice URL of the number or client reps call to take transfers
+   *
+   * @param {string} [req.query.queue] - Queue to take a caller from (defaults to TWILIO_ESCALATION_QUEUE)
+   * @returns {string} <Dial><Queue> TwiML with the whisper URL (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/transfer-queue', (req, res) => {
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [webhooks/transfer-queue] Rep taking a queued caller - Rep CallSid: ${req.body.CallSid}`);
+
+    const twiml = agents.voice.generateQueueAnswerTwiML(req.query.queue);
+
+    res.type('text/xml');
+    return res.send(twiml.toString());
+  });
+
+  /**
+   * POST /webhooks/transfer-status - Handle result of the transfer <Dial> or <Enqueue>
+   *
+   * @param {string} req.query.callSid - Parent (caller) call SID
+   * @param {string} [req.body.DialCallStatus] - completed, answered, busy, no-answer, failed, canceled
+   * @param {string} [req.body.QueueResult] - bridged, leave, hangup, error (rep queue transfers)
+   * @returns {string} Follow-up TwiML: hangup, voicemail or callback notice (text/xml)
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/transfer-status', async (req, res) => {
+    const timestamp = new Date().toISOString();
+    const callSid = req.query.callSid || req.body.CallSid;
+    const status = req.body.DialCallStatus || req.body.QueueResult;
+
+    console.log(`[${timestamp}] [INFO] [webhooks/transfer-status] CallSid: ${callSid}, Status: ${status}`);
+
+    try {
+      const result = await agents.voice.handleTransferStatus(callSid, status);
+
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/transfer-status] Unhandled error:`, error);
+
+      const twiml = new VoiceResponse();
+      twiml.say('A system error occurred. Please try again later.');
+      twiml.hangup();
+
+      res.type('text/xml');
+      return res.status(500).send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/transfer-voicemail - Voicemail recorded after unanswered transfer
+   *
+   * @param {string} req.query.callSid - Parent (caller) call SID
+   * @param {string} req.body.RecordingUrl - Twilio recording URL
+   * @param {string} req.body.RecordingDuration - Recording length in seconds
+   * @returns {string} Goodbye TwiML (text/xml)
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  router.post('/transfer-voicemail', async (req, res) => {
+    const timestamp = new Date().toISOString();
+    const callSid = req.query.callSid || req.body.CallSid;
+
+    console.log(`[${timestamp}] [INFO] [webhooks/transfer-voicemail] Voicemail recorded - CallSid: ${callSid}`);
+
+    try {
+      const result = await agents.voice.handleTransferVoicemail(
+        callSid,
+        req.body.RecordingUrl,
+        parseInt(req.body.RecordingDuration, 10) || null
+      );
+
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/transfer-voicemail] Unhandled error:`, error);
+
+      const twiml = new VoiceResponse();
+      twiml.hangup();
+
+      res.type('text/xml');
+      return res.send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/recording-start - Start recording after the announcement
+   * Used by the "always" recording policy once the notice has been played
+   *
+   * @param {Object} req.body - Twilio request payload
+   * @param {string} req.body.CallSid - Unique call identifier
+   * @returns {string} Conversation TwiML (text/xml)
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  router.post('/recording-start', async (req, res) => {
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [webhooks/recording-start] Starting announced recording - CallSid: ${req.body.CallSid}`);
+
+    try {
+      const result = await agents.voice.handleRecordingConsent(req.body, { announced: true });
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [webhooks/recording-start] ${result.error}`);
+      }
+
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/recording-start] Unhandled error:`, error);
+
+      const twiml = new VoiceResponse();
+      twiml.say('A system error occurred. Please try again later.');
+      twiml.hangup();
+
+      res.type('text/xml');
+      return res.status(500).send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/recording-consent - Handle the caller's answer to the consent prompt
+   * Also the fallback target when the caller does not answer (treated as declined)
+   *
+   * @param {Object} req.body - Twilio request payload
+   * @param {string} req.body.CallSid - Unique call identifier
+   * @param {string} [req.body.Digits] - 1 to allow recording, anything else declines
+   * @param {string} [req.body.SpeechResult] - Spoken answer (yes/no)
+   * @returns {string} Conversation TwiML (text/xml)
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  router.post('/recording-consent', async (req, res) => {
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [webhooks/recording-consent] CallSid: ${req.body.CallSid}, Digits: ${req.body.Digits || 'none'}, Speech: ${req.body.SpeechResult || 'none'}`);
+
+    try {
+      const result = await agents.voice.handleRecordingConsent(req.body);
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [webhooks/recording-consent] ${result.error}`);
+      }
+
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/recording-consent] Unhandled error:`, error);
+
+      const twiml = new VoiceResponse();
+      twiml.say('A system error occurred. Please try again later.');
+      twiml.hangup();
+
+      res.type('text/xml');
+      return res.status(500).send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/recording-status - Twilio recording status callback
+   * Stores recording SID, URL, duration and status on the conversation
+   *
+   * @param {Object} req.body - Twilio recording status payload
+   * @param {string} req.body.CallSid - Unique call identifier
+   * @param {string} req.body.RecordingSid - Recording identifier
+   * @param {string} req.body.RecordingStatus - in-progress, completed, absent, failed
+   * @returns {string} Empty TwiML response (text/xml)
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   */
+  router.post('/recording-status', async (req, res) => {
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [webhooks/recording-status] CallSid: ${req.body.CallSid}, RecordingSid: ${req.body.RecordingSid}, Status: ${req.body.RecordingStatus}`);
+
+    try {
+      const result = await agents.voice.handleRecordingStatus(req.body);
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [webhooks/recording-status] Failed to store recording status: ${result.error}`);
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/recording-status] Unhandled error:`, error);
+    }
+
+    // Status callbacks should not fail
+    res.type('text/xml');
+    return res.send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+  });
+
+  /**
+   * POST /webhooks/amd - Async answering-machine detection result
+   * Machines are redirected to /webhooks/voicemail-drop, fax lines are hung up
+   *
+   * @param {Object} req.body - Twilio AMD status callback payload
+   * @param {string} req.body.CallSid - Unique call identifier
+   * @param {string} req.body.AnsweredBy - human, machine_end_beep, machine_end_silence, machine_end_other, fax, unknown
+   * @param {string} req.body.MachineDetectionDuration - Detection time in milliseconds
+   * @returns {string} Empty TwiML response (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/amd', async (req, res) => {
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [webhooks/amd] CallSid: ${req.body.CallSid}, AnsweredBy: ${req.body.AnsweredBy}`);
+
+    try {
+      const result = await agents.voice.handleAmdResult(req.body);
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [webhooks/amd] Failed to handle AMD result: ${result.error}`);
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/amd] Unhandled error:`, error);
+    }
+
+    // Status callbacks should not fail
+    res.type('text/xml');
+    return res.send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+  });
+
+  /**
+   * POST /webhooks/campaign-status - Status callback for outbound campaign calls
+   * Final statuses mark the contact completed, schedule a retry or mark it failed.
+   * The conversation lifecycle is updated the same way as /webhooks/status.
+   *
+   * @param {string} req.query.campaignId - Campaign UUID
+   * @param {string} req.query.contactId - Campaign contact UUID
+   * @param {Object} req.body - Twilio status callback payload
+   * @param {string} req.body.CallSid - Unique call identifier
+   * @param {string} req.body.CallStatus - initiated, ringing, in-progress, completed, busy, no-answer, failed, canceled
+   * @returns {string} Empty TwiML response (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/campaign-status', async (req, res) => {
+    const timestamp = new Date().toISOString();
+    const { campaignId, contactId } = req.query;
+
+    console.log(`[${timestamp}] [INFO] [webhooks/campaign-status] Campaign: ${campaignId}, CallSid: ${req.body.CallSid}, Status: ${req.body.CallStatus}`);
+
+    try {
+      const result = await agents.campaign.handleCallStatus({
+        ...req.body,
+        campaignId,
+        contactId,
+      });
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [webhooks/campaign-status] Failed to record outcome: ${result.error}`);
+      }
+
+      const lifecycle = await agents.voice.handleCallStatus(req.body);
+      if (!lifecycle.success) {
+        console.error(`[${timestamp}] [ERROR] [webhooks/campaign-status] Failed to apply call status: ${lifecycle.error}`);
+      }
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/campaign-status] Unhandled error:`, error);
+    }
+
+    // Status callbacks should not fail
+    res.type('text/xml');
+    return res.send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+  });
+
+  /**
+   * POST /webhooks/voicemail-drop - Leave the voicemail script after the beep
+   *
+   * @param {Object} req.body - Twilio request payload
+   * @param {string} req.body.CallSid - Unique call identifier
+   * @returns {string} Voicemail TwiML (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/voicemail-drop', async (req, res) => {
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [webhooks/voicemail-drop] Leaving voicemail - CallSid: ${req.body.CallSid}`);
+
+    try {
+      const result = await agents.voice.generateVoicemailDropTwiML(req.body.CallSid);
+
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/voicemail-drop] Unhandled error:`, error);
+
+      const twiml = new VoiceResponse();
+      twiml.hangup();
+
+      res.type('text/xml');
+      return res.send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/ivr - Handle caller input at an IVR menu
+   * Menu position travels in the query string; Twilio posts Digits or SpeechResult
+   *
+   * @param {string} req.query.path - Keys selected so far, dot-separated (e.g. "2.1")
+   * @param {string} req.query.attempt - Retries used at the current menu
+   * @param {Object} req.body - Twilio Gather payload
+   * @param {string} req.body.CallSid - Unique call identifier
+   * @param {string} [req.body.Digits] - Key pressed
+   * @param {string} [req.body.SpeechResult] - What the caller said
+   * @returns {string} Next menu, transfer, voicemail or conversation TwiML (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/ivr', async (req, res) => {
+    const timestamp = new Date().toISOString();
+    const path = req.query.path ? String(req.query.path).split('.').filter(Boolean) : [];
+    const attempt = parseInt(req.query.attempt, 10) || 0;
+
+    console.log(`[${timestamp}] [INFO] [webhooks/ivr] CallSid: ${req.body.CallSid}, Path: ${path.join('.') || 'root'}, Digits: ${req.body.Digits || 'none'}, Speech: ${req.body.SpeechResult || 'none'}`);
+
+    try {
+      const result = await agents.voice.handleMenuInput(req.body, { path, attempt });
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [webhooks/ivr] ${result.error}`);
+      }
+
+      // Caller said what they need instead of choosing - answer it straight
+      // away, as the first turn of the conversation
+      if (result.data.forwardSpeech) {
+        const speechResult = await agents.conversation.processSpeech({
+          CallSid: req.body.CallSid,
+          SpeechResult: result.data.forwardSpeech,
+          Confidence: parseFloat(req.body.Confidence) || 0,
+          From: req.body.From,
+        });
+
+        if (speechResult.success && speechResult.data.needsRepeat) {
+          const miss = await agents.voice.handleDialogMiss(req.body, { reason: 'no_match', attempt: 0 });
+          res.type('text/xml');
+          return res.send(miss.data.twiml);
+        }
+
+        return await sendTurnResponse(res, req.body.CallSid, speechResult, {
+          route: 'ivr',
+          timestamp,
+          confidence: req.body.Confidence
+        });
+      }
+
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/ivr] Unhandled error:`, error);
+
+      const twiml = new VoiceResponse();
+      twiml.say('A system error occurred. Please try again later.');
+      twiml.hangup();
+
+      res.type('text/xml');
+      return res.status(500).send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/after-hours-callback - Caller's answer to the after-hours callback offer
+   *
+   * @param {string} req.query.slot - ISO time of the offered callback
+   * @param {Object} req.body - Twilio Gather payload
+   * @param {string} req.body.CallSid - Unique call identifier
+   * @param {string} [req.body.Digits] - 1 to book the callback, 2 to leave a message
+   * @param {string} [req.body.SpeechResult] - Spoken answer (yes/no)
+   * @returns {string} Confirmation or message-recording TwiML (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/after-hours-callback', async (req, res) => {
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [webhooks/after-hours-callback] CallSid: ${req.body.CallSid}, Digits: ${req.body.Digits || 'none'}, Speech: ${req.body.SpeechResult || 'none'}`);
+
+    try {
+      const result = await agents.voice.handleAfterHoursCallback(req.body, { slot: req.query.slot });
+
+      if (!result.success) {
+        console.error(`[${timestamp}] [ERROR] [webhooks/after-hours-callback] ${result.error}`);
+      }
+
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/after-hours-callback] Unhandled error:`, error);
+
+      const twiml = new VoiceResponse();
+      twiml.say('A system error occurred. Please try again later.');
+      twiml.hangup();
+
+      res.type('text/xml');
+      return res.status(500).send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/after-hours-message - Message recorded outside business hours
+   *
+   * @param {string} req.query.callSid - Caller call SID
+   * @param {string} req.body.RecordingUrl - Twilio recording URL
+   * @param {string} req.body.RecordingDuration - Recording length in seconds
+   * @returns {string} Goodbye TwiML (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/after-hours-message', async (req, res) => {
+    const timestamp = new Date().toISOString();
+    const callSid = req.query.callSid || req.body.CallSid;
+
+    console.log(`[${timestamp}] [INFO] [webhooks/after-hours-message] Message recorded - CallSid: ${callSid}`);
+
+    try {
+      const result = await agents.voice.handleAfterHoursMessage(
+        callSid,
+        req.body.RecordingUrl,
+        parseInt(req.body.RecordingDuration, 10) || null
+      );
+
+      res.type('text/xml');
+      return res.send(result.data.twiml);
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/after-hours-message] Unhandled error:`, error);
+
+      const twiml = new VoiceResponse();
+      twiml.hangup();
+
+      res.type('text/xml');
+      return res.send(twiml.toString());
+    }
+  });
+
+  /**
+   * POST /webhooks/sms - Handle an inbound SMS or MMS
+   * Threads the message into the sender's SMS conversation and replies
+   * with the AI response. Media URLs are kept as message metadata.
+   *
+   * @param {Object} req.body - Twilio messaging payload
+   * @param {string} req.body.MessageSid - Unique message identifier
+   * @param {string} req.body.From - Sender phone number
+   * @param {string} req.body.To - Our phone number
+   * @param {string} [req.body.Body] - Message text
+   * @param {string} [req.body.NumMedia] - Number of MMS attachments
+   * @returns {string} Messaging TwiML with the reply, or empty when no reply is sent (text/xml)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  router.post('/sms', async (req, res) => {
+    const requestId = generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    console.log(`[${timestamp}] [INFO] [webhooks/sms] Inbound message webhook - RequestID: ${requestId}`);
+    console.log(`[${timestamp}] [INFO] [webhooks/sms] MessageSid: ${req.body.MessageSid}, From: ${req.body.From}, To: ${req.body.To}, NumMedia: ${req.body.NumMedia || 0}`);
+
+    const twiml = new MessagingResponse();
+
+    try {
+      const result = await agents.conversation.processSms({
+        messageSid: req.body.MessageSid,
+        from: req.body.From,
+        to: req.body.To,
+        body: req.body.Body || '',
+        media: parseMmsMedia(req.body),
+      });
+
+      if (result.success && result.data.reply) {
+        twiml.message(result.data.reply);
+      } else if (!result.success) {
+        // Stay silent rather than texting an error to the customer
+        console.error(`[${timestamp}] [ERROR] [webhooks/sms] ConversationAgent returned error: ${result.error}`);
+      }
+
+      res.type('text/xml');
+      return res.send(twiml.toString());
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [webhooks/sms] Unhandled error in SMS webhook:`, error);
+
+      res.type('text/xml');
+      return res.status(500).send(twiml.toString());
+    }
+  });
+
   return router;
 }
 
@@ -0,0 +1,500 @@
+/**
+ * @fileoverview Agent config management with immutable versions, activation and rollback
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * - Every edit of a persona's settings is stored as a new agent_config_versions
+ *   row (full snapshot, diff from the version it was based on, author, note)
+ *   and becomes the active version
+ * - activateVersion() copies any earlier or later version back onto
+ *   agent_configs; rollback() activates the version before the active one
+ * - Conversations are stamped with agent_configs.active_version when they
+ *   start (see ConversationAgent.getPersonaContext), so outcomes can be tied
+ *   to prompt changes
+ *
+ * Versions are numbered per config. Two edits saved at the same moment cannot
+ * both take a number: the second is rejected and should be retried.
+ */
+
+const {
+  MAX_LENGTHS,
+  buildConfigSnapshot,
+  diffConfigSnapshots,
+  normalizeConfigChanges
+} = require('../utils/agentConfigVersions');
+
+/**
+ * Allowed agent config names (used in phone routes, campaigns and URLs)
+ * @constant {RegExp}
+ */
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Longest author name (agent_config_versions.author is VARCHAR(200))
+ * @constant {number}
+ */
+const MAX_AUTHOR_LENGTH = 200;
+
+/**
+ * Author of versions recorded for configs saved before versioning
+ * @constant {string}
+ */
+const SYSTEM_AUTHOR = 'system';
+
+/**
+ * AgentConfigService class - Versioned agent config edits
+ *
+ * @class AgentConfigService
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class AgentConfigService {
+  /**
+   * Initialize AgentConfigService
+   *
+   * @param {Object} dbService - DatabaseService instance
+   * @param {Object} [options={}] - Options
+   * @param {Object} [options.toolRegistry] - ToolRegistry used to reject unknown tool names
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const agentConfigService = new AgentConfigService(dbService, { toolRegistry });
+   * await agentConfigService.updateConfig('sales_agent', { temperature: 0.4 }, { author: 'dana@example.com' });
+   */
+  constructor(dbService, options = {}) {
+    this.dbService = dbService;
+    this.toolRegistry = options.toolRegistry || null;
+
+    console.log(`[${new Date().toISOString()}] [INFO] [AgentConfigService] AgentConfigService initialized`);
+  }
+
+  /**
+   * List agent configs
+   *
+   * @param {Object} [options={}] - { includeInactive }
+   * @returns {Promise<Object>} DatabaseService response with agent_configs rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async listConfigs(options = {}) {
+    return this.dbService.getAllAgentConfigs({ includeInactive: options.includeInactive === true });
+  }
+
+  /**
+   * Get an agent config, active or not
+   *
+   * @param {string} name - agent_configs.name
+   * @returns {Promise<Object>} DatabaseService response (null data when not found)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async getConfig(name) {
+    return this.dbService.getAgentConfig(name, { includeInactive: true });
+  }
+
+  /**
+   * Create an agent config as version 1
+   *
+   * @param {Object} input - name, systemPrompt and any other setting (see agentConfigVersions.normalizeConfigChanges);
+   *   type defaults to 'voice', active to true
+   * @param {Object} edit - { author, note }
+   * @returns {Promise<Object>} { success, data: { config, version }, error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await agentConfigService.createConfig(
+   *   { name: 'sales_agent', systemPrompt: 'You are a sales assistant...', temperature: 0.5 },
+   *   { author: 'dana@example.com' }
+   * );
+   */
+  async createConfig(input = {}, edit = {}) {
+    const authorError = this.validateAuthor(edit.author);
+    if (authorError) {
+      return { success: false, data: null, error: authorError };
+    }
+
+    const name = String(input.name || '').trim();
+    if (!NAME_PATTERN.test(name) || name.length > MAX_LENGTHS.name) {
+      return { success: false, data: null, error: `name must be 1 to ${MAX_LENGTHS.name} letters, digits, _ or -` };
+    }
+
+    const changes = this.normalizeChanges({ type: 'voice', ...input });
+    if (changes.error) {
+      return { success: false, data: null, error: changes.error };
+    }
+    if (!changes.data.system_prompt) {
+      return { success: false, data: null, error: 'systemPrompt is required' };
+    }
+
+    const author = edit.author.trim();
+    const created = await this.dbService.createAgentConfig({
+      name,
+      ...changes.data,
+      active: input.active !== false,
+      active_version: 1,
+      version_activated_by: author,
+      version_activated_at: new Date().toISOString()
+    });
+
+    if (!created.success) {
+      return { success: false, data: null, error: created.error };
+    }
+    if (!created.data) {
+      return { success: false, data: null, error: `Agent config ${name} already exists` };
+    }
+
+    const snapshot = buildConfigSnapshot(created.data);
+    const version = await this.recordVersion(name, 1, {
+      snapshot,
+      diff: diffConfigSnapshots(null, snapshot),
+      basedOnVersion: null,
+      author,
+      note: edit.note
+    });
+
+    if (!version.success) {
+      return { success: false, data: null, error: version.error };
+    }
+
+    console.log(`[${new Date().toISOString()}] [INFO] [AgentConfigService] Agent config created - Name: ${name}, Author: ${author}`);
+
+    return { success: true, data: { config: created.data, version: version.data }, error: null };
+  }
+
+  /**
+   * Edit an agent config
+   * Changed settings are saved as a new version, based on the active one, and
+   * activated. active only switches the persona on or off and is not versioned.
+   * Saving the same settings again creates no version.
+   *
+   * @param {string} name - agent_configs.name
+   * @param {Object} input - Settings to change (see agentConfigVersions.normalizeConfigChanges) and/or active
+   * @param {Object} edit - { author, note }
+   * @returns {Promise<Object>} { success, data: { config, version } (version null when nothing changed;
+   *   data null when the config does not exist), error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await agentConfigService.updateConfig('sales_agent',
+   *   { systemPrompt: 'You are...', maxTokens: 200 },
+   *   { author: 'dana@example.com', note: 'Shorter pricing answers' });
+   * console.log(result.data.version.version, result.data.version.diff);
+   */
+  async updateConfig(name, input = {}, edit = {}) {
+    const authorError = this.validateAuthor(edit.author);
+    if (authorError) {
+      return { success: false, data: null, error: authorError };
+    }
+
+    const changes = this.normalizeChanges(input);
+    if (changes.error) {
+      return { success: false, data: null, error: changes.error };
+    }
+    if (Object.keys(changes.data).length === 0 && input.active === undefined) {
+      return { success: false, data: null, error: 'Nothing to update: send a setting such as systemPrompt, temperature, maxTokens or voiceSettings, or active' };
+    }
+
+    const current = await this.getConfig(name);
+    if (!current.success || !current.data) {
+      return { success: current.success, data: null, error: current.error };
+    }
+
+    const author = edit.author.trim();
+    const config = current.data;
+    const before = buildConfigSnapshot(config);
+    const after = buildConfigSnapshot({ ...config, ...changes.data });
+    const diff = diffConfigSnapshots(before, after);
+    const switchActive = input.active !== undefined ? { active: input.active !== false } : {};
+
+    if (Object.keys(diff).length === 0) {
+      if (Object.keys(switchActive).length === 0 || switchActive.active === config.active) {
+        return { success: true, data: { config, version: null }, error: null };
+      }
+
+      const switched = await this.dbService.updateAgentConfig(name, switchActive);
+      if (!switched.success) {
+        return { success: false, data: null, error: switched.error };
+      }
+      return { success: true, data: { config: switched.data || config, version: null }, error: null };
+    }
+
+    const versions = await this.dbService.getAgentConfigVersions(name);
+    if (!versions.success) {
+      return { success: false, data: null, error: versions.error };
+    }
+
+    let latest = versions.data[0]?.version || 0;
+
+    // Configs saved before versioning: keep their current settings as version 1
+    if (latest === 0) {
+      const baseline = await this.recordVersion(name, 1, {
+        snapshot: before,
+        diff: diffConfigSnapshots(null, before),
+        basedOnVersion: null,
+        author: SYSTEM_AUTHOR,
+        note: 'Settings before the first versioned edit'
+      });
+      if (!baseline.success) {
+        return { success: false, data: null, error: baseline.error };
+      }
+      latest = 1;
+    }
+
+    const version = await this.recordVersion(name, latest + 1, {
+      snapshot: after,
+      diff,
+      basedOnVersion: config.active_version || latest,
+      author,
+      note: edit.note
+    });
+
+    if (!version.success) {
+      return { success: false, data: null, error: version.error };
+    }
+
+    const updated = await this.dbService.updateAgentConfig(name, {
+      ...after,
+      ...switchActive,
+      active_version: version.data.version,
+      version_activated_by: author,
+      version_activated_at: new Date().toISOString()
+    });
+
+    if (!updated.success || !updated.data) {
+      // The version is kept and can be activated once the database is reachable
+      return { success: false, data: null, error: `Version ${version.data.version} was saved but not activated: ${updated.error || 'config not found'}` };
+    }
+
+    console.log(`[${new Date().toISOString()}] [INFO] [AgentConfigService] Agent config updated - Name: ${name}, Version: ${version.data.version}, Author: ${author}`, {
+      changed: Object.keys(diff)
+    });
+
+    return { success: true, data: { config: updated.data, version: version.data }, error: null };
+  }
+
+  /**
+   * List the versions of an agent config, newest first
+   *
+   * @param {string} name - agent_configs.name
+   * @returns {Promise<Object>} { success, data: { activeVersion, versions } (null when the config does not exist), error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async listVersions(name) {
+    const current = await this.getConfig(name);
+    if (!current.success || !current.data) {
+      return { success: current.success, data: null, error: current.error };
+    }
+
+    const versions = await this.dbService.getAgentConfigVersions(name);
+    if (!versions.success) {
+      return { success: false, data: null, error: versions.error };
+    }
+
+    return {
+      success: true,
+      data: { activeVersion: current.data.active_version ?? null, versions: versions.data },
+      error: null
+    };
+  }
+
+  /**
+   * Get one version with its snapshot
+   *
+   * @param {string} name - agent_configs.name
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} DatabaseService response (null data when not found)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async getVersion(name, version) {
+    const number = this.parseVersion(version);
+    if (!number) {
+      return { success: false, data: null, error: 'version must be a positive whole number' };
+    }
+
+    return this.dbService.getAgentConfigVersion(name, number);
+  }
+
+  /**
+   * Make a version the one new conversations use
+   * Its snapshot is copied onto agent_configs; no new version is created.
+   *
+   * @param {string} name - agent_configs.name
+   * @param {number} version - Version to activate
+   * @param {Object} edit - { author }
+   * @returns {Promise<Object>} { success, data: { config, previousVersion, activeVersion }, error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await agentConfigService.activateVersion('sales_agent', 3, { author: 'dana@example.com' });
+   */
+  async activateVersion(name, version, edit = {}) {
+    const authorError = this.validateAuthor(edit.author);
+    if (authorError) {
+      return { success: false, data: null, error: authorError };
+    }
+
+    const number = this.parseVersion(version);
+    if (!number) {
+      return { success: false, data: null, error: 'version must be a positive whole number' };
+    }
+
+    const current = await this.getConfig(name);
+    if (!current.success) {
+      return { success: false, data: null, error: current.error };
+    }
+    if (!current.data) {
+      return { success: false, data: null, error: `Agent config ${name} not found` };
+    }
+
+    const target = await this.dbService.getAgentConfigVersion(name, number);
+    if (!target.success) {
+      return { success: false, data: null, error: target.error };
+    }
+    if (!target.data) {
+      return { success: false, data: null, error: `Version ${number} of ${name} not found` };
+    }
+
+    const previousVersion = current.data.active_version ?? null;
+    if (previousVersion === number) {
+      return { success: true, data: { config: current.data, previousVersion, activeVersion: number }, error: null };
+    }
+
+    const author = edit.author.trim();
+    const updated = await this.dbService.updateAgentConfig(name, {
+      ...buildConfigSnapshot(target.data.snapshot),
+      active_version: number,
+      version_activated_by: author,
+      version_activated_at: new Date().toISOString()
+    });
+
+    if (!updated.success || !updated.data) {
+      return { success: false, data: null, error: updated.error || `Agent config ${name} not found` };
+    }
+
+    console.log(`[${new Date().toISOString()}] [INFO] [AgentConfigService] Agent config version activated - Name: ${name}, Version: ${previousVersion} -> ${number}, Author: ${author}`);
+
+    return { success: true, data: { config: updated.data, previousVersion, activeVersion: number }, error: null };
+  }
+
+  /**
+   * Activate the version before the active one
+   *
+   * @param {string} name - agent_configs.name
+   * @param {Object} edit - { author }
+   * @returns {Promise<Object>} As activateVersion()
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * // Version 5 made answers worse
+   * await agentConfigService.rollback('sales_agent', { author: 'dana@example.com' });
+   */
+  async rollback(name, edit = {}) {
+    const authorError = this.validateAuthor(edit.author);
+    if (authorError) {
+      return { success: false, data: null, error: authorError };
+    }
+
+    const listed = await this.listVersions(name);
+    if (!listed.success) {
+      return { success: false, data: null, error: listed.error };
+    }
+    if (!listed.data) {
+      return { success: false, data: null, error: `Agent config ${name} not found` };
+    }
+
+    const { activeVersion, versions } = listed.data;
+    const previous = activeVersion ? versions.find(version => version.version < activeVersion) : null;
+    if (!previous) {
+      return { success: false, data: null, error: `${name} has no earlier version to roll back to` };
+    }
+
+    return this.activateVersion(name, previous.version, edit);
+  }
+
+  /**
+   * Record a version row
+   *
+   * @param {string} name - agent_configs.name
+   * @param {number} version - Version number
+   * @param {Object} fields - { snapshot, diff, basedOnVersion, author, note }
+   * @returns {Promise<Object>} { success, data: agent_config_versions row, error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async recordVersion(name, version, fields) {
+    const result = await this.dbService.createAgentConfigVersion({
+      agent_config_name: name,
+      version,
+      snapshot: fields.snapshot,
+      diff: fields.diff,
+      based_on_version: fields.basedOnVersion,
+      author: fields.author,
+      note: fields.note ? String(fields.note).trim() || null : null
+    });
+
+    if (!result.success) {
+      return { success: false, data: null, error: result.error };
+    }
+    if (!result.data) {
+      return { success: false, data: null, error: `${name} was changed while saving (version ${version} already exists) - reload and try again` };
+    }
+
+    return { success: true, data: result.data, error: null };
+  }
+
+  /**
+   * Validate settings, rejecting tools that are not registered
+   *
+   * @param {Object} input - API input
+   * @returns {Object} { data } or { error } (see agentConfigVersions.normalizeConfigChanges)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  normalizeChanges(input) {
+    return normalizeConfigChanges(input, {
+      isKnownTool: this.toolRegistry ? tool => this.toolRegistry.has(tool) : null
+    });
+  }
+
+  /**
+   * Check the author of an edit
+   *
+   * @param {*} author - Who made the edit (name or email)
+   * @returns {string|null} Error message, or null when valid
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  validateAuthor(author) {
+    if (typeof author !== 'string' || !author.trim() || author.trim().length > MAX_AUTHOR_LENGTH) {
+      return `author must be 1 to ${MAX_AUTHOR_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Parse a version number
+   *
+   * @param {*} version - Version from the API
+   * @returns {number|null} Positive integer, or null when invalid
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  parseVersion(version) {
+    const number = Number(version);
+    return Number.isInteger(number) && number > 0 ? number : null;
+  }
+}
+
+module.exports = AgentConfigService;
@@ -2,10 +2,11 @@
  * @fileoverview Anthropic Claude API service wrapper with streaming support
  * @author LegacyAI Subagent Fleet - Conversation Agent Builder
  * @created 2025-10-01T12:00:00Z
- * @lastModified 2025-10-01T12:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This service provides a comprehensive interface for Anthropic Claude API operations including:
  * - Message generation with system prompts
+ * - Tool use (tool definitions in, tool_use blocks out) with per-request timeouts
  * - Streaming support for long responses
  * - Token usage tracking
  * - Retry logic with exponential backoff
@@ -55,9 +56,13 @@ class AnthropicService {
    * @param {number} [options.maxTokens=150] - Maximum tokens to generate
    * @param {number} [options.temperature=0.7] - Sampling temperature (0-1)
    * @param {string} [options.model] - Override default model
-   * @returns {Promise<Object>} Generation result
+   * @param {Array<Object>} [options.tools] - Tool definitions ({ name, description, input_schema })
+   * @param {Object} [options.toolChoice] - Tool choice (e.g. { type: 'none' } to force a text reply)
+   * @param {number} [options.timeoutMs] - Request timeout; a timed request is not retried
+   * @returns {Promise<Object>} Generation result; content holds the raw blocks and
+   *   toolCalls the requested tools ({ id, name, input }) when stopReason is 'tool_use'
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    * @example
    * const result = await anthropicService.generateResponse(
    *   [{ role: 'user', content: 'Hello!' }],
@@ -83,10 +88,19 @@ class AnthropicService {
         messages: messages,
       };
 
-      // Execute generation with retry logic
-      const response = await this.executeWithRetry(async () => {
-        return await this.client.messages.create(params);
-      });
+      if (options.tools && options.tools.length > 0) {
+        params.tools = options.tools;
+      }
+      if (options.toolChoice) {
+        params.tool_choice = options.toolChoice;
+      }
+
+      // Execute generation with retry logic (a time-boxed call has no time to retry)
+      const response = options.timeoutMs
+        ? await this.client.messages.create(params, { timeout: options.timeoutMs, maxRetries: 0 })
+        : await this.executeWithRetry(async () => {
+          return await this.client.messages.create(params);
+        });
 
       const latency = Date.now() - startTime;
       const inputTokens = response.usage.input_tokens;
@@ -95,7 +109,13 @@ class AnthropicService {
       this.totalInputTokens += inputTokens;
       this.totalOutputTokens += outputTokens;
 
-      const responseText = response.content[0].text;
+      const responseText = response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const toolCalls = response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, input: block.input || {} }));
 
       console.log(`[${new Date().toISOString()}] [INFO] [AnthropicService] [${requestId}] Response generated in ${latency}ms - Input tokens: ${inputTokens}, Output tokens: ${outputTokens}, Response length: ${responseText.length}`);
 
@@ -106,6 +126,8 @@ class AnthropicService {
         outputTokens: outputTokens,
         totalTokens: inputTokens + outputTokens,
         stopReason: response.stop_reason,
+        content: response.content,
+        toolCalls,
         latencyMs: latency,
         timestamp: new Date().toISOString(),
         requestId,
@@ -0,0 +1,586 @@
+/**
+ * @fileoverview Built-in tools the AI can call during conversations
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Every tool follows the ToolRegistry shape. Handlers receive the tool
+ * context built by ConversationAgent.buildToolContext():
+ * - conversation: { conversationId, callSid, customerId, phoneNumber, channel,
+ *   agentConfigName, businessHours, turn, escalationRules }
+ * - dbService, calendarService, qualificationService, voiceAgent (null until attached), fromNumber
+ * - qualification: the conversation's lead qualification session (null when the persona has none)
+ * - dryRun: set in simulation sessions; ToolRegistry then skips sideEffects tools
+ * - outcome: per-turn object handlers set flags on (e.g. outcome.transfer)
+ *
+ * Tools only ever act for the customer on the conversation; none of them
+ * take a phone number or customer ID from the model, and appointment IDs the
+ * model passes back are checked against the conversation's customer.
+ */
+
+const { getOpenSlots, zonedTimeToUtc, formatSlot } = require('../utils/businessHours');
+
+/**
+ * Task types the AI may schedule (scheduled_tasks.task_type)
+ * @constant {string[]}
+ */
+const SCHEDULABLE_TASK_TYPES = ['callback', 'follow_up_call', 'send_email', 'send_sms'];
+
+/**
+ * Slots offered by check_appointment_availability when the model does not ask for a count
+ * @constant {number}
+ */
+const DEFAULT_SLOT_COUNT = 3;
+
+/**
+ * lookup_customer - What we know about the caller
+ * @constant {Object}
+ */
+const lookupCustomerTool = {
+  name: 'lookup_customer',
+  description: 'Look up the customer record of the person you are talking to: name, company, email, tags, stated needs and open follow-ups. Use it before asking for details we may already have.',
+  input_schema: {
+    type: 'object',
+    properties: {}
+  },
+  async handler(input, { conversation, dbService }) {
+    if (!conversation.customerId) {
+      return { found: false };
+    }
+
+    const [customerResult, tasksResult] = await Promise.all([
+      dbService.getCustomer(conversation.customerId),
+      dbService.getCustomerOpenTasks(conversation.customerId)
+    ]);
+
+    if (!customerResult.success || !customerResult.data) {
+      return { found: false };
+    }
+
+    const customer = customerResult.data;
+
+    return {
+      found: true,
+      name: customer.name || null,
+      company: customer.company || null,
+      email: customer.email || null,
+      tags: customer.tags || [],
+      needs: customer.needs || [],
+      openTasks: (tasksResult.data || []).map(task => ({
+        type: task.task_type,
+        scheduledFor: task.scheduled_for,
+        reason: task.payload?.reason || null
+      }))
+    };
+  }
+};
+
+/**
+ * create_scheduled_task - Schedule a callback, follow-up call, email or SMS
+ * @constant {Object}
+ */
+const createScheduledTaskTool = {
+  name: 'create_scheduled_task',
+  description: 'Schedule a follow-up for this customer: a callback or follow-up call, an email or a text message. Confirm the time with the customer first.',
+  sideEffects: true,
+  input_schema: {
+    type: 'object',
+    properties: {
+      task_type: {
+        type: 'string',
+        enum: SCHEDULABLE_TASK_TYPES,
+        description: 'What to do'
+      },
+      scheduled_for: {
+        type: 'string',
+        description: 'When, as an ISO 8601 date-time with time zone offset'
+      },
+      reason: {
+        type: 'string',
+        description: 'Why, in a few words (e.g. "pricing questions")'
+      },
+      message: {
+        type: 'string',
+        description: 'Text of the email or SMS, or the opening line of the call'
+      }
+    },
+    required: ['task_type', 'scheduled_for', 'reason']
+  },
+  async handler(input, { conversation, dbService }) {
+    if (!conversation.customerId) {
+      throw new Error('This conversation is not linked to a customer record');
+    }
+
+    const scheduledFor = new Date(input.scheduled_for);
+    if (Number.isNaN(scheduledFor.getTime())) {
+      throw new Error('scheduled_for is not a valid date-time');
+    }
+    if (scheduledFor <= new Date()) {
+      throw new Error('scheduled_for must be in the future');
+    }
+    if ((input.task_type === 'send_sms' || input.task_type === 'send_email') && !input.message) {
+      throw new Error(`message is required for ${input.task_type}`);
+    }
+
+    const result = await dbService.createScheduledTask({
+      customer_id: conversation.customerId,
+      task_type: input.task_type,
+      scheduled_for: scheduledFor.toISOString(),
+      payload: {
+        reason: input.reason,
+        ...(input.message ? { message: input.message } : {}),
+        conversationId: conversation.conversationId,
+        agentConfigName: conversation.agentConfigName || undefined,
+        source: 'ai_tool'
+      }
+    });
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to schedule task');
+    }
+
+    return {
+      taskId: result.data.id,
+      taskType: input.task_type,
+      scheduledFor: scheduledFor.toISOString()
+    };
+  }
+};
+
+/**
+ * check_appointment_availability - Open slots with reps, or from the agent config's business hours
+ * A meeting type books with sales reps through the calendar service; without
+ * one, personas that have business hours get slots from those.
+ * @constant {Object}
+ */
+const checkAppointmentAvailabilityTool = {
+  name: 'check_appointment_availability',
+  description: 'Find open appointment times. Returns a few slots with spoken labels; offer two or three of them to the customer and ask which suits. To book a meeting with our team (e.g. a demo), pass meeting_type and then hold the slot the customer picks.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      meeting_type: {
+        type: 'string',
+        description: 'Kind of meeting to book with a rep, e.g. "demo"'
+      },
+      date: {
+        type: 'string',
+        description: 'Preferred day as YYYY-MM-DD (omit for the earliest openings)'
+      },
+      duration_minutes: {
+        type: 'integer',
+        description: 'Appointment length in minutes (default 30; meeting types set their own)'
+      },
+      count: {
+        type: 'integer',
+        description: 'How many slots to return (default 3, at most 5)'
+      }
+    }
+  },
+  async handler(input, { conversation, calendarService }) {
+    const calendar = conversation.businessHours;
+    const count = Math.min(Math.max(input.count || DEFAULT_SLOT_COUNT, 1), 5);
+
+    if (input.date && !/^\d{4}-\d{2}-\d{2}$/.test(input.date)) {
+      throw new Error('date must be YYYY-MM-DD');
+    }
+
+    if (calendarService && (input.meeting_type || !calendar || !calendar.weekly)) {
+      const result = await calendarService.findSlots({
+        meetingType: input.meeting_type,
+        date: input.date,
+        count,
+        timezone: calendar && calendar.timezone
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        meetingType: result.data.meetingType,
+        durationMinutes: result.data.durationMinutes,
+        timezone: result.data.timezone,
+        slots: result.data.slots.map(slot => ({ start: slot.start, label: slot.label, with: slot.repName })),
+        ...(result.data.slots.length === 0 ? { note: 'No openings in the next two weeks. Offer a callback to book a time instead.' } : {})
+      };
+    }
+
+    if (!calendar || !calendar.weekly) {
+      return { slots: [], note: 'No availability calendar is set up. Offer a callback to book a time instead.' };
+    }
+
+    const timezone = calendar.timezone || 'UTC';
+    let from = new Date();
+
+    if (input.date) {
+      const dayStart = zonedTimeToUtc(input.date, 0, timezone);
+      from = dayStart > from ? dayStart : from;
+    }
+
+    const slots = getOpenSlots(calendar, from, {
+      count,
+      slotMinutes: Math.min(Math.max(input.duration_minutes || 30, 15), 240)
+    });
+
+    return {
+      timezone,
+      slots: slots.map(slot => ({ start: slot.toISOString(), label: formatSlot(slot, timezone) }))
+    };
+  }
+};
+
+/**
+ * hold_appointment - Reserve the slot the customer picked while they confirm
+ * @constant {Object}
+ */
+const holdAppointmentTool = {
+  name: 'hold_appointment',
+  description: 'Hold the appointment slot the customer picked so nobody else takes it, then read the time back and ask them to confirm. Holding a new slot releases the one held before. Holds expire after a few minutes.',
+  sideEffects: true,
+  input_schema: {
+    type: 'object',
+    properties: {
+      start: {
+        type: 'string',
+        description: 'Slot start exactly as returned by check_appointment_availability'
+      },
+      meeting_type: {
+        type: 'string',
+        description: 'Meeting type passed to check_appointment_availability, e.g. "demo"'
+      }
+    },
+    required: ['start']
+  },
+  async handler(input, { conversation, calendarService }) {
+    if (!calendarService) {
+      throw new Error('Appointment booking is not available');
+    }
+    if (!conversation.customerId) {
+      throw new Error('This conversation is not linked to a customer record');
+    }
+
+    const result = await calendarService.holdSlot({
+      start: input.start,
+      meetingType: input.meeting_type,
+      customerId: conversation.customerId,
+      conversationId: conversation.conversationId,
+      timezone: conversation.businessHours && conversation.businessHours.timezone
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (!result.data) {
+      return { held: false, note: 'That time is no longer available. Check availability again and offer other times.' };
+    }
+
+    return {
+      held: true,
+      appointmentId: result.data.appointment.id,
+      start: result.data.appointment.start_at,
+      label: result.data.label,
+      with: result.data.rep.name,
+      holdExpiresAt: result.data.appointment.hold_expires_at
+    };
+  }
+};
+
+/**
+ * confirm_appointment - Book a held slot, send the invite and schedule reminders
+ * @constant {Object}
+ */
+const confirmAppointmentTool = {
+  name: 'confirm_appointment',
+  description: 'Book a held appointment once the customer has said yes to the time. Emails a calendar invite and schedules reminders. Uses the email on file unless you pass one; ask for an email if there is none.',
+  sideEffects: true,
+  input_schema: {
+    type: 'object',
+    properties: {
+      appointment_id: {
+        type: 'string',
+        description: 'appointmentId returned by hold_appointment'
+      },
+      email: {
+        type: 'string',
+        description: 'Where to send the invite, if the customer gave one'
+      }
+    },
+    required: ['appointment_id']
+  },
+  async handler(input, { conversation, dbService, calendarService }) {
+    if (!calendarService) {
+      throw new Error('Appointment booking is not available');
+    }
+    if (!conversation.customerId) {
+      throw new Error('This conversation is not linked to a customer record');
+    }
+
+    const customerResult = await dbService.getCustomer(conversation.customerId);
+    const customer = (customerResult.success && customerResult.data) || {};
+
+    const result = await calendarService.confirmAppointment(input.appointment_id, {
+      customerId: conversation.customerId,
+      email: input.email || customer.email || null,
+      name: customer.name || null,
+      timezone: conversation.businessHours && conversation.businessHours.timezone
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const appointment = result.data.appointment;
+
+    return {
+      confirmed: true,
+      label: result.data.label,
+      inviteSentTo: result.data.emailSent ? appointment.attendee_email : null,
+      reminders: result.data.reminderTaskIds.length,
+      ...(appointment.attendee_email ? {} : { note: 'No email on file, so no invite was sent. Offer to take an email address.' })
+    };
+  }
+};
+
+/**
+ * cancel_appointment - Release a hold or cancel a booking for this customer
+ * @constant {Object}
+ */
+const cancelAppointmentTool = {
+  name: 'cancel_appointment',
+  description: 'Cancel an appointment the customer no longer wants (a held slot or a booking). To move a booking, cancel it and book the new time.',
+  sideEffects: true,
+  input_schema: {
+    type: 'object',
+    properties: {
+      appointment_id: {
+        type: 'string',
+        description: 'appointmentId returned by hold_appointment'
+      },
+      reason: {
+        type: 'string',
+        description: 'Why, in a few words'
+      }
+    },
+    required: ['appointment_id']
+  },
+  async handler(input, { conversation, calendarService }) {
+    if (!calendarService) {
+      throw new Error('Appointment booking is not available');
+    }
+    if (!conversation.customerId) {
+      throw new Error('This conversation is not linked to a customer record');
+    }
+
+    const result = await calendarService.cancelAppointment(input.appointment_id, {
+      customerId: conversation.customerId,
+      reason: input.reason || 'cancelled on a call'
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { cancelled: true, cancellationSent: result.data.emailSent };
+  }
+};
+
+/**
+ * record_qualification - Store what the customer said about budget, authority, need, timeline...
+ * @constant {Object}
+ */
+const recordQualificationTool = {
+  name: 'record_qualification',
+  description: 'Record lead qualification details the customer just told you (for example budget, authority, need, timeline). Only record what they actually said; never guess.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      slots: {
+        type: 'array',
+        description: 'One entry per detail learned',
+        items: {
+          type: 'object',
+          properties: {
+            slot: {
+              type: 'string',
+              description: 'Slot name from the qualification instructions, e.g. "budget"'
+            },
+            value: {
+              type: 'string',
+              description: 'What the customer said, in a few words'
+            },
+            confidence: {
+              type: 'number',
+              description: 'How sure you are this is what they meant, 0 to 1'
+            },
+            fit: {
+              type: 'number',
+              description: 'How good the answer is for a sale, 0 (rules them out) to 1 (ideal)'
+            }
+          },
+          required: ['slot', 'value']
+        }
+      }
+    },
+    required: ['slots']
+  },
+  async handler(input, { conversation, qualification, qualificationService }) {
+    if (!qualification || !qualificationService) {
+      throw new Error('Lead qualification is not set up for this conversation');
+    }
+
+    const names = qualification.framework.slots.map(slot => slot.name);
+    const values = {};
+    const ignored = [];
+
+    for (const entry of Array.isArray(input.slots) ? input.slots : []) {
+      if (!entry || !names.includes(entry.slot)) {
+        ignored.push(entry && entry.slot);
+        continue;
+      }
+      values[entry.slot] = { value: entry.value, confidence: entry.confidence, fit: entry.fit };
+    }
+
+    const result = await qualificationService.recordSlots(qualification, values, {
+      source: 'ai',
+      turn: conversation.turn
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const summary = qualificationService.describe(qualification);
+
+    return {
+      recorded: result.data.changed,
+      ...(ignored.length > 0 ? { ignored, validSlots: names } : {}),
+      score: summary.score,
+      status: summary.status,
+      missing: summary.missing
+    };
+  }
+};
+
+/**
+ * send_sms_link - Text a link to the caller during a call
+ * @constant {Object}
+ */
+const sendSmsLinkTool = {
+  name: 'send_sms_link',
+  description: 'Text a link (booking page, pricing, documentation) to the phone number the customer is calling from.',
+  channels: ['voice'],
+  sideEffects: true,
+  input_schema: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        description: 'The http or https link to send'
+      },
+      message: {
+        type: 'string',
+        description: 'Short text sent before the link'
+      }
+    },
+    required: ['url']
+  },
+  async handler(input, { conversation, voiceAgent, fromNumber }) {
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch {
+      throw new Error(`Invalid URL: ${input.url}`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('Only http and https links can be sent');
+    }
+    if (!conversation.phoneNumber || !voiceAgent || !fromNumber) {
+      throw new Error('SMS is not available on this call');
+    }
+
+    const body = input.message ? `${input.message.trim()} ${url.href}` : url.href;
+    const result = await voiceAgent.twilioService.sendSMS(conversation.phoneNumber, fromNumber, body);
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to send SMS');
+    }
+
+    return { sent: true, messageSid: result.data.sid };
+  }
+};
+
+/**
+ * transfer_to_human - Hand the call to a person after the reply is spoken
+ * @constant {Object}
+ */
+const transferToHumanTool = {
+  name: 'transfer_to_human',
+  description: 'Transfer the call to a human representative. Use it when the customer asks for a person or you cannot help. Tell the customer you are transferring them.',
+  channels: ['voice'],
+  input_schema: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'Why the call is being transferred'
+      }
+    },
+    required: ['reason']
+  },
+  async handler(input, { conversation, voiceAgent, outcome }) {
+    if (voiceAgent && !voiceAgent.isEscalationEnabled(conversation?.escalationRules)) {
+      return { transferring: false, note: 'No one is available to take the call. Offer a callback instead.' };
+    }
+
+    outcome.transfer = { reason: input.reason };
+    return { transferring: true };
+  }
+};
+
+/**
+ * All built-in tools, in the order they are registered
+ * @constant {Object[]}
+ */
+const BUILTIN_TOOLS = [
+  lookupCustomerTool,
+  createScheduledTaskTool,
+  checkAppointmentAvailabilityTool,
+  holdAppointmentTool,
+  confirmAppointmentTool,
+  cancelAppointmentTool,
+  recordQualificationTool,
+  sendSmsLinkTool,
+  transferToHumanTool
+];
+
+/**
+ * Register every built-in tool
+ *
+ * @param {ToolRegistry} registry - Registry to add the tools to
+ * @returns {ToolRegistry} The registry
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const registry = registerBuiltinTools(new ToolRegistry(config.tools));
+ */
+function registerBuiltinTools(registry) {
+  BUILTIN_TOOLS.forEach(tool => registry.register(tool));
+  return registry;
+}
+
+module.exports = {
+  SCHEDULABLE_TASK_TYPES,
+  BUILTIN_TOOLS,
+  lookupCustomerTool,
+  createScheduledTaskTool,
+  checkAppointmentAvailabilityTool,
+  holdAppointmentTool,
+  confirmAppointmentTool,
+  cancelAppointmentTool,
+  recordQualificationTool,
+  sendSmsLinkTool,
+  transferToHumanTool,
+  registerBuiltinTools
+};
@@ -0,0 +1,779 @@
+/**
+ * @fileoverview Appointment booking: rep availability, holds and confirmations
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Books meeting_types (e.g. 'demo') with sales_reps:
+ * - findSlots(): open start times across the reps who take the meeting type,
+ *   from each rep's availability calendar minus their held and confirmed
+ *   appointments (and the meeting type's buffer)
+ * - holdSlot(): reserves a slot while the caller decides; the hold expires
+ *   after config.holdMinutes. The appointments_no_overlap constraint makes
+ *   the reservation atomic, so two calls cannot take the same slot.
+ * - confirmAppointment(): turns a hold into a booking, schedules email and
+ *   SMS reminders as scheduled_tasks and emails an .ics invite
+ * - cancelAppointment(): releases a hold or booking, cancels its reminders
+ *   and emails a cancellation invite for bookings
+ *
+ * Methods resolve to { success, data, error } and do not throw.
+ */
+
+const { getOpenSlots, zonedTimeToUtc, formatSlot } = require('../utils/businessHours');
+const { buildIcsEvent, getIcsContentType } = require('../utils/icsCalendar');
+
+/**
+ * Booking settings when config values are not set (see environment.getCalendarConfig)
+ * @constant {Object}
+ */
+const DEFAULT_CALENDAR_CONFIG = {
+  defaultMeetingType: 'demo',
+  holdMinutes: 10,
+  slotStepMinutes: 30,
+  minNoticeMinutes: 120,
+  emailReminderMinutes: 1440,
+  smsReminderMinutes: 60
+};
+
+/**
+ * How far ahead slots are searched (matches businessHours lookahead)
+ * @constant {number}
+ */
+const SLOT_LOOKAHEAD_MS = 15 * 24 * 60 * 60 * 1000;
+
+/**
+ * Appointment statuses (appointments.status)
+ * @constant {string[]}
+ */
+const APPOINTMENT_STATUSES = ['held', 'confirmed', 'cancelled', 'expired'];
+
+/**
+ * Domain part of invite UIDs
+ * @constant {string}
+ */
+const ICS_UID_DOMAIN = 'legacyai-voice';
+
+/**
+ * Loose email check for attendee addresses
+ * @constant {RegExp}
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Escape text for an HTML email body
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * CalendarService class - Slots, holds and bookings with sales reps
+ *
+ * @class CalendarService
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class CalendarService {
+  /**
+   * Initialize CalendarService
+   *
+   * @param {Object} [config={}] - Calendar configuration (see environment.getCalendarConfig)
+   * @param {Object} dbService - DatabaseService instance
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const calendarService = new CalendarService(config.calendar, dbService);
+   * calendarService.attachEmailService(integrationAgent.emailService);
+   */
+  constructor(config = {}, dbService) {
+    this.config = { ...DEFAULT_CALENDAR_CONFIG, ...(config || {}) };
+    this.dbService = dbService;
+
+    // Confirmations and cancellations are emailed once an EmailService is attached
+    this.emailService = null;
+
+    console.log(`[${new Date().toISOString()}] [INFO] [CalendarService] CalendarService initialized`, {
+      defaultMeetingType: this.config.defaultMeetingType,
+      holdMinutes: this.config.holdMinutes
+    });
+  }
+
+  /**
+   * Send confirmations and invites through an EmailService
+   * The IntegrationAgent owns the EmailService and starts after the
+   * conversation agent, so it is attached once both exist.
+   *
+   * @param {Object} emailService - EmailService instance
+   * @returns {void}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  attachEmailService(emailService) {
+    this.emailService = emailService || null;
+  }
+
+  /**
+   * Get an active meeting type
+   *
+   * @param {string} [name] - meeting_types.name (default config.defaultMeetingType)
+   * @returns {Promise<Object>} { success, data: meeting_types row, error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async getMeetingType(name) {
+    const meetingTypeName = name || this.config.defaultMeetingType;
+    const result = await this.dbService.getMeetingType(meetingTypeName);
+
+    if (!result.success) {
+      return { success: false, data: null, error: result.error };
+    }
+    if (!result.data) {
+      return { success: false, data: null, error: `Unknown meeting type: ${meetingTypeName}` };
+    }
+
+    return { success: true, data: result.data, error: null };
+  }
+
+  /**
+   * List the active meeting types
+   *
+   * @returns {Promise<Object>} DatabaseService response with meeting_types rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async listMeetingTypes() {
+    return this.dbService.getMeetingTypes();
+  }
+
+  /**
+   * Find open slots for a meeting type across its reps
+   * When several reps are free at the same time the slot is offered once,
+   * with the first rep (by name).
+   *
+   * @param {Object} [options={}] - Search options
+   * @param {string} [options.meetingType] - meeting_types.name (default config.defaultMeetingType)
+   * @param {string} [options.date] - Preferred local day 'YYYY-MM-DD' (default: earliest openings)
+   * @param {number} [options.count=3] - Maximum slots
+   * @param {string} [options.timezone] - Time zone for date and labels (default: first rep's)
+   * @param {Date} [options.now=new Date()] - Current time
+   * @returns {Promise<Object>} { success, data: { meetingType, durationMinutes, timezone, slots }, error }
+   *   slots: [{ start, end, repId, repName, label }]
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await calendarService.findSlots({ meetingType: 'demo', date: '2026-10-20' });
+   * result.data.slots.forEach(slot => console.log(slot.label, slot.repName));
+   */
+  async findSlots(options = {}) {
+    try {
+      const now = options.now || new Date();
+      const count = options.count || 3;
+
+      const typeResult = await this.getMeetingType(options.meetingType);
+      if (!typeResult.success) {
+        return typeResult;
+      }
+      const meetingType = typeResult.data;
+
+      const repsResult = await this.dbService.getSalesReps(meetingType.name);
+      if (!repsResult.success) {
+        return { success: false, data: null, error: repsResult.error };
+      }
+      const reps = repsResult.data.filter(rep => rep.availability && rep.availability.weekly);
+
+      const timezone = options.timezone || (reps[0] && reps[0].availability.timezone) || 'UTC';
+      const summary = { meetingType: meetingType.name, durationMinutes: meetingType.duration_minutes, timezone, slots: [] };
+
+      if (reps.length === 0) {
+        return { success: true, data: summary, error: null };
+      }
+
+      let from = new Date(now.getTime() + this.config.minNoticeMinutes * 60 * 1000);
+      if (options.date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(options.date)) {
+          return { success: false, data: null, error: 'date must be YYYY-MM-DD' };
+        }
+        const dayStart = zonedTimeToUtc(options.date, 0, timezone);
+        from = dayStart > from ? dayStart : from;
+      }
+
+      const busyByRep = await this.getBusyIntervals(reps, meetingType, from, now);
+      if (!busyByRep) {
+        return { success: false, data: null, error: 'Could not load existing appointments' };
+      }
+
+      const candidates = [];
+      for (const rep of reps) {
+        getOpenSlots(rep.availability, from, {
+          count,
+          slotMinutes: meetingType.duration_minutes,
+          stepMinutes: this.config.slotStepMinutes,
+          busy: busyByRep.get(rep.id)
+        }).forEach(start => candidates.push({ start, rep }));
+      }
+
+      candidates.sort((a, b) => a.start - b.start);
+
+      const seen = new Set();
+      for (const candidate of candidates) {
+        const key = candidate.start.getTime();
+        if (seen.has(key) || summary.slots.length >= count) {
+          continue;
+        }
+        seen.add(key);
+
+        summary.slots.push({
+          start: candidate.start.toISOString(),
+          end: new Date(key + meetingType.duration_minutes * 60 * 1000).toISOString(),
+          repId: candidate.rep.id,
+          repName: candidate.rep.name,
+          label: formatSlot(candidate.start, timezone)
+        });
+      }
+
+      return { success: true, data: summary, error: null };
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [CalendarService] Exception in findSlots`, error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Hold a slot for a customer while they decide
+   * The conversation's earlier holds are released first, so a caller who
+   * changes their mind keeps one hold. Reps are tried in name order (or only
+   * options.repId) until one is free at that time.
+   *
+   * @param {Object} options - Hold options
+   * @param {string} options.start - Slot start (ISO 8601, as returned by findSlots)
+   * @param {string} [options.meetingType] - meeting_types.name (default config.defaultMeetingType)
+   * @param {string} [options.customerId] - Customer UUID
+   * @param {string} [options.conversationId] - Conversation UUID
+   * @param {string} [options.repId] - Only hold with this rep
+   * @param {string} [options.timezone] - Time zone for the label (default: the rep's)
+   * @param {Date} [options.now=new Date()] - Current time
+   * @returns {Promise<Object>} { success, data: { appointment, rep, meetingType, label } | null, error }
+   *   null data means the slot is not available
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const hold = await calendarService.holdSlot({ start: slot.start, customerId, conversationId });
+   * if (hold.success && !hold.data) {
+   *   // offer other times
+   * }
+   */
+  async holdSlot(options) {
+    try {
+      const now = options.now || new Date();
+      const start = new Date(options.start);
+
+      if (Number.isNaN(start.getTime())) {
+        return { success: false, data: null, error: 'start is not a valid date-time' };
+      }
+      if (start.getTime() < now.getTime() + this.config.minNoticeMinutes * 60 * 1000) {
+        return { success: false, data: null, error: `Appointments need at least ${this.config.minNoticeMinutes} minutes notice` };
+      }
+
+      const typeResult = await this.getMeetingType(options.meetingType);
+      if (!typeResult.success) {
+        return typeResult;
+      }
+      const meetingType = typeResult.data;
+
+      const repsResult = await this.dbService.getSalesReps(meetingType.name);
+      if (!repsResult.success) {
+        return { success: false, data: null, error: repsResult.error };
+      }
+      const reps = repsResult.data
+        .filter(rep => rep.availability && rep.availability.weekly)
+        .filter(rep => !options.repId || rep.id === options.repId);
+
+      // Expired holds must not block the slot (or trip the overlap constraint)
+      await this.dbService.expireAppointmentHolds(now.toISOString());
+      if (options.conversationId) {
+        await this.dbService.releaseConversationHolds(options.conversationId);
+      }
+
+      const busyByRep = await this.getBusyIntervals(reps, meetingType, new Date(start.getTime() - 24 * 60 * 60 * 1000), now);
+      if (!busyByRep) {
+        return { success: false, data: null, error: 'Could not load existing appointments' };
+      }
+
+      const end = new Date(start.getTime() + meetingType.duration_minutes * 60 * 1000);
+
+      for (const rep of reps) {
+        const [firstOpen] = getOpenSlots(rep.availability, start, {
+          count: 1,
+          slotMinutes: meetingType.duration_minutes,
+          stepMinutes: this.config.slotStepMinutes,
+          busy: busyByRep.get(rep.id)
+        });
+
+        if (!firstOpen || firstOpen.getTime() !== start.getTime()) {
+          continue;
+        }
+
+        const result = await this.dbService.createAppointment({
+          rep_id: rep.id,
+          customer_id: options.customerId || null,
+          conversation_id: options.conversationId || null,
+          meeting_type: meetingType.name,
+          start_at: start.toISOString(),
+          end_at: end.toISOString(),
+          blocked_until: new Date(end.getTime() + (meetingType.buffer_minutes || 0) * 60 * 1000).toISOString(),
+          status: 'held',
+          hold_expires_at: new Date(now.getTime() + this.config.holdMinutes * 60 * 1000).toISOString()
+        });
+
+        if (!result.success) {
+          return { success: false, data: null, error: result.error };
+        }
+
+        // Another call took this rep at that time; try the next rep
+        if (!result.data) {
+          continue;
+        }
+
+        console.log(`[${new Date().toISOString()}] [INFO] [CalendarService] Slot held`, {
+          appointmentId: result.data.id,
+          repId: rep.id,
+          start: start.toISOString()
+        });
+
+        return {
+          success: true,
+          data: {
+            appointment: result.data,
+            rep,
+            meetingType,
+            label: formatSlot(start, options.timezone || rep.availability.timezone || 'UTC')
+          },
+          error: null
+        };
+      }
+
+      return { success: true, data: null, error: null };
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [CalendarService] Exception in holdSlot`, error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Confirm a held appointment
+   * Schedules the reminders and emails the invite. A failed email does not
+   * undo the booking; the result reports emailSent: false instead. Confirming
+   * an appointment twice returns the booking without sending anything again.
+   *
+   * @param {string} appointmentId - Appointment UUID (from holdSlot)
+   * @param {Object} [options={}] - Confirmation options
+   * @param {string} [options.customerId] - When set, the appointment must belong to this customer
+   * @param {string} [options.email] - Attendee email for the invite and reminders
+   * @param {string} [options.name] - Attendee name
+   * @param {string} [options.timezone] - Time zone for labels (default: the rep's)
+   * @param {Date} [options.now=new Date()] - Current time
+   * @returns {Promise<Object>} { success, data: { appointment, label, emailSent, reminderTaskIds, alreadyConfirmed }, error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await calendarService.confirmAppointment(hold.data.appointment.id, {
+   *   customerId,
+   *   email: 'pat@acme.test',
+   *   name: 'Pat Lee'
+   * });
+   */
+  async confirmAppointment(appointmentId, options = {}) {
+    try {
+      const now = options.now || new Date();
+
+      const found = await this.getOwnedAppointment(appointmentId, options.customerId);
+      if (!found.success) {
+        return found;
+      }
+      const appointment = found.data;
+      const rep = appointment.sales_reps || {};
+      const timezone = options.timezone || (rep.availability && rep.availability.timezone) || 'UTC';
+      const label = formatSlot(new Date(appointment.start_at), timezone);
+
+      if (appointment.status === 'confirmed') {
+        return {
+          success: true,
+          data: { appointment, label, emailSent: false, reminderTaskIds: appointment.reminder_task_ids || [], alreadyConfirmed: true },
+          error: null
+        };
+      }
+
+      if (appointment.status !== 'held' || new Date(appointment.hold_expires_at) <= now) {
+        return { success: false, data: null, error: 'The hold on this slot has expired; check availability again' };
+      }
+
+      const email = options.email ? String(options.email).trim() : (appointment.attendee_email || null);
+      if (email && !EMAIL_PATTERN.test(email)) {
+        return { success: false, data: null, error: `Invalid email address: ${email}` };
+      }
+
+      const updateResult = await this.dbService.updateAppointment(appointmentId, {
+        status: 'confirmed',
+        confirmed_at: now.toISOString(),
+        hold_expires_at: null,
+        attendee_email: email,
+        attendee_name: options.name || appointment.attendee_name || null
+      }, ['held']);
+
+      if (!updateResult.success) {
+        return { success: false, data: null, error: updateResult.error };
+      }
+      if (!updateResult.data) {
+        return { success: false, data: null, error: 'The hold on this slot has expired; check availability again' };
+      }
+
+      const confirmed = { ...updateResult.data, sales_reps: appointment.sales_reps };
+      const typeResult = await this.dbService.getMeetingType(confirmed.meeting_type);
+      const meetingType = (typeResult.success && typeResult.data) || { name: confirmed.meeting_type, label: confirmed.meeting_type };
+
+      const reminderTaskIds = await this.scheduleReminders(confirmed, meetingType, label, now);
+      if (reminderTaskIds.length > 0) {
+        await this.dbService.updateAppointment(appointmentId, { reminder_task_ids: reminderTaskIds });
+        confirmed.reminder_task_ids = reminderTaskIds;
+      }
+
+      const emailSent = await this.sendInvite(confirmed, meetingType, label, timezone, 'REQUEST');
+
+      console.log(`[${new Date().toISOString()}] [INFO] [CalendarService] Appointment confirmed`, {
+        appointmentId,
+        reminders: reminderTaskIds.length,
+        emailSent
+      });
+
+      return {
+        success: true,
+        data: { appointment: confirmed, label, emailSent, reminderTaskIds, alreadyConfirmed: false },
+        error: null
+      };
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [CalendarService] Exception in confirmAppointment`, error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Cancel a held or confirmed appointment
+   * Pending reminders are cancelled; attendees of a confirmed booking get a
+   * cancellation invite that removes the event from their calendar.
+   *
+   * @param {string} appointmentId - Appointment UUID
+   * @param {Object} [options={}] - Cancellation options
+   * @param {string} [options.customerId] - When set, the appointment must belong to this customer
+   * @param {string} [options.reason] - Stored as cancel_reason
+   * @param {string} [options.timezone] - Time zone for labels (default: the rep's)
+   * @returns {Promise<Object>} { success, data: { appointment, emailSent }, error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await calendarService.cancelAppointment(appointmentId, { reason: 'customer rescheduled' });
+   */
+  async cancelAppointment(appointmentId, options = {}) {
+    try {
+      const found = await this.getOwnedAppointment(appointmentId, options.customerId);
+      if (!found.success) {
+        return found;
+      }
+      const appointment = found.data;
+
+      const updateResult = await this.dbService.updateAppointment(appointmentId, {
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        cancel_reason: options.reason || null,
+        ics_sequence: (appointment.ics_sequence || 0) + 1
+      }, ['held', 'confirmed']);
+
+      if (!updateResult.success) {
+        return { success: false, data: null, error: updateResult.error };
+      }
+      if (!updateResult.data) {
+        return { success: false, data: null, error: `Appointment is already ${appointment.status}` };
+      }
+
+      const cancelled = { ...updateResult.data, sales_reps: appointment.sales_reps };
+      await this.dbService.cancelScheduledTasks(appointment.reminder_task_ids || []);
+
+      let emailSent = false;
+      if (appointment.status === 'confirmed') {
+        const rep = appointment.sales_reps || {};
+        const timezone = options.timezone || (rep.availability && rep.availability.timezone) || 'UTC';
+        const typeResult = await this.dbService.getMeetingType(cancelled.meeting_type);
+        const meetingType = (typeResult.success && typeResult.data) || { name: cancelled.meeting_type, label: cancelled.meeting_type };
+
+        emailSent = await this.sendInvite(cancelled, meetingType, formatSlot(new Date(cancelled.start_at), timezone), timezone, 'CANCEL');
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [CalendarService] Appointment cancelled`, {
+        appointmentId,
+        was: appointment.status,
+        emailSent
+      });
+
+      return { success: true, data: { appointment: cancelled, emailSent }, error: null };
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [CalendarService] Exception in cancelAppointment`, error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * List appointments
+   *
+   * @param {Object} [filters={}] - { status, repId, customerId, from, to, limit } (see DatabaseService.getAppointments)
+   * @returns {Promise<Object>} DatabaseService response with appointments rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async listAppointments(filters = {}) {
+    if (filters.status && !APPOINTMENT_STATUSES.includes(filters.status)) {
+      return { success: false, data: null, error: `status must be one of: ${APPOINTMENT_STATUSES.join(', ')}` };
+    }
+
+    return this.dbService.getAppointments(filters);
+  }
+
+  /**
+   * Release holds nobody confirmed in time
+   * Run from the task scheduler sweep; holds are also expired before each new hold.
+   *
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object>} DatabaseService response with the expired rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async expireHolds(now = new Date()) {
+    return this.dbService.expireAppointmentHolds(now.toISOString());
+  }
+
+  /**
+   * Load an appointment, checking it belongs to the customer
+   *
+   * @param {string} appointmentId - Appointment UUID
+   * @param {string} [customerId] - Customer the appointment must belong to
+   * @returns {Promise<Object>} { success, data: appointments row with sales_reps, error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async getOwnedAppointment(appointmentId, customerId) {
+    const result = await this.dbService.getAppointment(appointmentId);
+
+    if (!result.success) {
+      return { success: false, data: null, error: result.error };
+    }
+
+    // Someone else's appointment is reported the same as a missing one
+    if (!result.data || (customerId && result.data.customer_id !== customerId)) {
+      return { success: false, data: null, error: `Appointment not found: ${appointmentId}` };
+    }
+
+    return { success: true, data: result.data, error: null };
+  }
+
+  /**
+   * Busy time per rep: held and confirmed appointments, widened by the buffer
+   * A new slot [s, s + duration) conflicts with an appointment when
+   * s < blocked_until and start_at < s + duration + buffer, so each interval
+   * starts `buffer` minutes early. Holds past their expiry are left out.
+   *
+   * @param {Array<Object>} reps - sales_reps rows
+   * @param {Object} meetingType - meeting_types row being booked
+   * @param {Date} from - Window start
+   * @param {Date} now - Current time
+   * @returns {Promise<Map<string, Array<Object>>|null>} rep id -> [{ start, end }], null on database error
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async getBusyIntervals(reps, meetingType, from, now) {
+    const busyByRep = new Map(reps.map(rep => [rep.id, []]));
+    if (reps.length === 0) {
+      return busyByRep;
+    }
+
+    const result = await this.dbService.getRepAppointments(
+      reps.map(rep => rep.id),
+      from.toISOString(),
+      new Date(from.getTime() + SLOT_LOOKAHEAD_MS).toISOString()
+    );
+
+    if (!result.success) {
+      return null;
+    }
+
+    const bufferMs = (meetingType.buffer_minutes || 0) * 60 * 1000;
+
+    for (const appointment of result.data) {
+      if (appointment.status === 'held' && new Date(appointment.hold_expires_at) <= now) {
+        continue;
+      }
+
+      const intervals = busyByRep.get(appointment.rep_id);
+      if (intervals) {
+        intervals.push({
+          start: new Date(new Date(appointment.start_at).getTime() - bufferMs),
+          end: new Date(appointment.blocked_until || appointment.end_at)
+        });
+      }
+    }
+
+    return busyByRep;
+  }
+
+  /**
+   * Schedule reminder tasks for a confirmed appointment
+   * An email reminder when there is an attendee email, an SMS reminder to
+   * the customer's phone; reminders whose time has already passed are skipped.
+   *
+   * @param {Object} appointment - Confirmed appointments row
+   * @param {Object} meetingType - meeting_types row
+   * @param {string} label - Spoken/written start time
+   * @param {Date} now - Current time
+   * @returns {Promise<string[]>} Created scheduled_tasks IDs
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async scheduleReminders(appointment, meetingType, label, now) {
+    if (!appointment.customer_id) {
+      return [];
+    }
+
+    const start = new Date(appointment.start_at).getTime();
+    const repName = appointment.sales_reps && appointment.sales_reps.name;
+    const what = `${meetingType.label}${repName ? ` with ${repName}` : ''}`;
+    const reminders = [];
+
+    if (appointment.attendee_email && this.config.emailReminderMinutes > 0) {
+      reminders.push({
+        task_type: 'send_email',
+        scheduled_for: new Date(start - this.config.emailReminderMinutes * 60 * 1000),
+        payload: {
+          email: appointment.attendee_email,
+          subject: `Reminder: ${meetingType.label} on ${label}`,
+          body: `<p>This is a reminder of your ${escapeHtml(what)} on ${escapeHtml(label)}.</p>`
+            + (meetingType.location ? `<p>Where: ${escapeHtml(meetingType.location)}</p>` : '')
+        }
+      });
+    }
+
+    if (this.config.smsReminderMinutes > 0) {
+      reminders.push({
+        task_type: 'send_sms',
+        scheduled_for: new Date(start - this.config.smsReminderMinutes * 60 * 1000),
+        payload: { message: `Reminder: your ${what} is ${label}.` }
+      });
+    }
+
+    const taskIds = [];
+    for (const reminder of reminders) {
+      if (reminder.scheduled_for <= now) {
+        continue;
+      }
+
+      const result = await this.dbService.createScheduledTask({
+        customer_id: appointment.customer_id,
+        task_type: reminder.task_type,
+        scheduled_for: reminder.scheduled_for.toISOString(),
+        payload: { ...reminder.payload, appointmentId: appointment.id, reason: 'appointment_reminder' }
+      });
+
+      if (result.success) {
+        taskIds.push(result.data.id);
+      } else {
+        console.warn(`[${new Date().toISOString()}] [WARN] [CalendarService] Could not schedule ${reminder.task_type} reminder: ${result.error}`);
+      }
+    }
+
+    return taskIds;
+  }
+
+  /**
+   * Email an invite (or its cancellation) to the attendee and the rep
+   *
+   * @param {Object} appointment - appointments row with sales_reps
+   * @param {Object} meetingType - meeting_types row
+   * @param {string} label - Start time in words
+   * @param {string} timezone - Time zone the label is in
+   * @param {string} method - 'REQUEST' or 'CANCEL'
+   * @returns {Promise<boolean>} Whether the attendee's email was sent
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async sendInvite(appointment, meetingType, label, timezone, method) {
+    if (!this.emailService || !appointment.attendee_email) {
+      return false;
+    }
+
+    const rep = appointment.sales_reps || {};
+    const ics = buildIcsEvent({
+      uid: `${appointment.id}@${ICS_UID_DOMAIN}`,
+      method,
+      sequence: appointment.ics_sequence || 0,
+      start: appointment.start_at,
+      end: appointment.end_at,
+      summary: rep.name ? `${meetingType.label} with ${rep.name}` : meetingType.label,
+      description: meetingType.description || '',
+      location: meetingType.location || '',
+      organizer: rep.email ? { name: rep.name, email: rep.email } : null,
+      attendees: [{ name: appointment.attendee_name, email: appointment.attendee_email }]
+    });
+
+    const cancelled = method === 'CANCEL';
+    const subject = cancelled
+      ? `Cancelled: ${meetingType.label} on ${label}`
+      : `Confirmed: ${meetingType.label} on ${label}`;
+    const body = [
+      `<p>Hi${appointment.attendee_name ? ` ${escapeHtml(appointment.attendee_name)}` : ''},</p>`,
+      cancelled
+        ? `<p>Your ${escapeHtml(meetingType.label)} on ${escapeHtml(label)} (${escapeHtml(timezone)}) has been cancelled.</p>`
+        : `<p>Your ${escapeHtml(meetingType.label)}${rep.name ? ` with ${escapeHtml(rep.name)}` : ''} is confirmed for ${escapeHtml(label)} (${escapeHtml(timezone)}).</p>`,
+      !cancelled && meetingType.location ? `<p>Where: ${escapeHtml(meetingType.location)}</p>` : '',
+      `<p>${cancelled ? 'The attached update removes it from your calendar.' : 'A calendar invite is attached.'}</p>`
+    ].join('');
+    const attachments = [{ filename: 'invite.ics', content: ics, contentType: getIcsContentType(method) }];
+
+    const result = await this.emailService.sendEmail(appointment.attendee_email, subject, body, { attachments });
+
+    // The rep gets the same invite; their copy failing does not fail the booking
+    if (rep.email) {
+      const attendee = appointment.attendee_name || appointment.attendee_email;
+      const repBody = cancelled
+        ? `<p>${escapeHtml(attendee)} cancelled their ${escapeHtml(meetingType.label)} on ${escapeHtml(label)} (${escapeHtml(timezone)}).</p>`
+        : `<p>${escapeHtml(attendee)} booked a ${escapeHtml(meetingType.label)} with you for ${escapeHtml(label)} (${escapeHtml(timezone)}).</p>`;
+
+      const repResult = await this.emailService.sendEmail(rep.email, subject, repBody, { attachments });
+      if (!repResult.success) {
+        console.warn(`[${new Date().toISOString()}] [WARN] [CalendarService] Rep invite not sent: ${repResult.error}`);
+      }
+    }
+
+    return result.success === true;
+  }
+}
+
+module.exports = CalendarService;
+module.exports.APPOINTMENT_STATUSES = APPOINTMENT_STATUSES;
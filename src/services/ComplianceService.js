@@ -0,0 +1,544 @@
+/**
+ * @fileoverview Outbound dial compliance guard (do-not-call, calling hours, frequency caps)
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Every outbound call is checked here before it is dialed:
+ * - Number format (E.164 only)
+ * - Internal do-not-call list (dnc_numbers)
+ * - Callee time zone inferred from the E.164 country and area code
+ * - Allowed calling hours per region, in the callee's local time
+ * - Per-number attempt caps over the last 24 hours and 7 days
+ *
+ * Every decision that blocks a call is written to outbound_attempts with the
+ * rule it broke. If the DNC list or the attempt history cannot be read the
+ * call is blocked (fail closed) rather than dialed blind.
+ *
+ * Allowed hours config (COMPLIANCE_ALLOWED_HOURS), looked up by region key,
+ * then country, then "default":
+ *   {
+ *     "default": { "start": "08:00", "end": "21:00" },
+ *     "US-FL": { "start": "08:00", "end": "20:00", "days": ["mon", "tue", "wed", "thu", "fri", "sat"] },
+ *     "GB": { "weekly": { "mon": [{ "open": "09:00", "close": "20:00" }] }, "holidays": [{ "date": "12-25" }] }
+ *   }
+ */
+
+const { inferPhoneRegion } = require('../utils/phoneRegions');
+const { WEEKDAYS, getBusinessHoursStatus } = require('../utils/businessHours');
+
+/**
+ * Calling hours used when no rule matches the callee's region
+ * @constant {Object}
+ */
+const DEFAULT_ALLOWED_HOURS = {
+  default: { start: '08:00', end: '21:00' }
+};
+
+/**
+ * Frequency cap windows
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * How many times retryAt is pushed forward looking for a moment when every
+ * candidate time zone is inside its window
+ * @constant {number}
+ */
+const MAX_RETRY_SEARCH_STEPS = 10;
+
+/**
+ * Rules that will never clear by waiting
+ * @constant {string[]}
+ */
+const PERMANENT_RULES = ['dnc', 'invalid_number', 'unknown_region'];
+
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * ComplianceService class - Decides whether an outbound call may be dialed
+ *
+ * @class ComplianceService
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class ComplianceService {
+  /**
+   * Initialize ComplianceService
+   *
+   * @param {Object} [config={}] - Compliance configuration (see environment.getComplianceConfig)
+   * @param {Object|null} [config.allowedHours] - Allowed calling hours by region key
+   * @param {number} [config.maxAttemptsPerDay=3] - Calls allowed to one number per 24 hours (0 = no cap)
+   * @param {number} [config.maxAttemptsPerWeek=10] - Calls allowed to one number per 7 days (0 = no cap)
+   * @param {boolean} [config.blockUnknownRegions=true] - Block numbers whose time zone cannot be inferred
+   * @param {Object} dbService - DatabaseService instance
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const compliance = new ComplianceService(config.compliance, dbService);
+   * const decision = await compliance.checkOutboundCall('+13055550100');
+   */
+  constructor(config = {}, dbService) {
+    const settings = config || {};
+
+    this.dbService = dbService;
+    this.allowedHours = { ...DEFAULT_ALLOWED_HOURS, ...(settings.allowedHours || {}) };
+    this.maxAttemptsPerDay = settings.maxAttemptsPerDay !== undefined ? settings.maxAttemptsPerDay : 3;
+    this.maxAttemptsPerWeek = settings.maxAttemptsPerWeek !== undefined ? settings.maxAttemptsPerWeek : 10;
+    this.blockUnknownRegions = settings.blockUnknownRegions !== false;
+
+    console.log(`[${new Date().toISOString()}] [INFO] [ComplianceService] ComplianceService initialized`, {
+      regions: Object.keys(this.allowedHours),
+      maxAttemptsPerDay: this.maxAttemptsPerDay,
+      maxAttemptsPerWeek: this.maxAttemptsPerWeek
+    });
+  }
+
+  /**
+   * Decide whether an outbound call may be placed now
+   * Blocked decisions are logged to outbound_attempts before returning.
+   *
+   * @param {string} phoneNumber - Number to dial
+   * @param {Object} [context={}] - Who is dialing (e.g. { campaign: { id, contactId } }), stored with the log row
+   * @param {Date} [now=new Date()] - Instant to evaluate
+   * @returns {Promise<Object>} { allowed, rule, reason, region, timezones, retryAt }
+   *   retryAt is an ISO timestamp when waiting will clear the block, otherwise null
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const decision = await compliance.checkOutboundCall('+13055550100', { campaign: { id } });
+   * if (!decision.allowed) {
+   *   console.log(`Blocked by ${decision.rule}: ${decision.reason}`);
+   * }
+   */
+  async checkOutboundCall(phoneNumber, context = {}, now = new Date()) {
+    const decision = await this.evaluate(phoneNumber, now);
+
+    if (!decision.allowed) {
+      console.warn(`[${new Date().toISOString()}] [WARN] [ComplianceService] Outbound call blocked`, {
+        to: this.maskPhoneNumber(phoneNumber),
+        rule: decision.rule,
+        reason: decision.reason
+      });
+
+      await this.logAttempt(phoneNumber, decision, { context });
+    }
+
+    return decision;
+  }
+
+  /**
+   * Run the compliance rules in order; the first rule that fails blocks the call
+   *
+   * @param {string} phoneNumber - Number to dial
+   * @param {Date} now - Instant to evaluate
+   * @returns {Promise<Object>} { allowed, rule, reason, region, timezones, retryAt }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async evaluate(phoneNumber, now) {
+    if (!E164_PATTERN.test(String(phoneNumber || ''))) {
+      return this.block('invalid_number', 'Phone number is not in E.164 format');
+    }
+
+    const dncResult = await this.dbService.getDncNumber(phoneNumber);
+    if (!dncResult.success) {
+      return this.block('compliance_unavailable', `Do-not-call list unavailable: ${dncResult.error}`);
+    }
+    if (dncResult.data) {
+      return this.block('dnc', dncResult.data.reason ? `Number is on the do-not-call list (${dncResult.data.reason})` : 'Number is on the do-not-call list');
+    }
+
+    const location = inferPhoneRegion(phoneNumber);
+    if (!location && this.blockUnknownRegions) {
+      return this.block('unknown_region', 'Cannot determine the local time zone for this number');
+    }
+
+    const region = location ? location.region || location.country : null;
+    const timezones = location ? location.timezones : [];
+
+    // Without a time zone there is no local time to check; only reachable with blockUnknownRegions off
+    if (location) {
+      const hours = this.checkCallingHours(location, now);
+      if (!hours.open) {
+        return this.block('calling_hours', hours.reason, { region, timezones, retryAt: hours.retryAt });
+      }
+    }
+
+    const frequency = await this.checkFrequency(phoneNumber, now);
+    if (frequency) {
+      return { ...frequency, region, timezones };
+    }
+
+    return { allowed: true, rule: null, reason: null, region, timezones, retryAt: null };
+  }
+
+  /**
+   * Check the allowed calling hours in every time zone the number may be in
+   * Numbers whose area code spans several zones must be inside the window in all of them.
+   *
+   * @param {Object} location - inferPhoneRegion() result
+   * @param {Date} now - Instant to evaluate
+   * @returns {Object} { open, reason, retryAt }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  checkCallingHours(location, now) {
+    const rule = this.getAllowedHoursRule(location);
+    const calendars = location.timezones.map(timezone => this.buildCalendar(rule, timezone));
+
+    const closed = calendars.find(calendar => !getBusinessHoursStatus(calendar, now).open);
+    if (!closed) {
+      return { open: true, reason: null, retryAt: null };
+    }
+
+    const window = rule.start && rule.end ? `${rule.start}-${rule.end}` : 'allowed hours';
+    const retryAt = this.findNextAllowedTime(calendars, now);
+
+    return {
+      open: false,
+      reason: `Outside ${window} in ${closed.timezone}`,
+      retryAt: retryAt ? retryAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Find the first instant at which every calendar is open
+   *
+   * @param {Array<Object>} calendars - One calendar per candidate time zone
+   * @param {Date} from - Search start
+   * @returns {Date|null} Next instant all zones are open, null if none found
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  findNextAllowedTime(calendars, from) {
+    let candidate = from;
+
+    for (let step = 0; step < MAX_RETRY_SEARCH_STEPS; step++) {
+      const statuses = calendars.map(calendar => getBusinessHoursStatus(calendar, candidate));
+      const closed = statuses.filter(status => !status.open);
+
+      if (closed.length === 0) {
+        return candidate;
+      }
+      if (closed.some(status => !status.nextOpenAt)) {
+        return null;
+      }
+
+      // Jump to the latest opening; the earlier zones may have closed again by then
+      candidate = new Date(Math.max(...closed.map(status => status.nextOpenAt.getTime())));
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick the allowed-hours rule for a location: region, then country, then default
+   *
+   * @param {Object} location - inferPhoneRegion() result
+   * @returns {Object} Allowed-hours rule
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  getAllowedHoursRule(location) {
+    return (location.region && this.allowedHours[location.region]) ||
+      (location.country && this.allowedHours[location.country]) ||
+      this.allowedHours.default;
+  }
+
+  /**
+   * Turn an allowed-hours rule into a business-hours calendar for one time zone
+   *
+   * @param {Object} rule - { start, end, days } shorthand, or { weekly, holidays, closures }
+   * @param {string} timezone - IANA time zone
+   * @returns {Object} Calendar for getBusinessHoursStatus()
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  buildCalendar(rule, timezone) {
+    if (rule.weekly) {
+      return { ...rule, timezone };
+    }
+
+    const weekly = {};
+    for (const day of rule.days || WEEKDAYS) {
+      weekly[day] = [{ open: rule.start, close: rule.end }];
+    }
+
+    return { timezone, weekly, holidays: rule.holidays || [] };
+  }
+
+  /**
+   * Check the per-number attempt caps
+   * A capped number frees up when the oldest attempt in the window ages out,
+   * so retryAt is that attempt's time plus the window.
+   *
+   * @param {string} phoneNumber - Number to dial
+   * @param {Date} now - Instant to evaluate
+   * @returns {Promise<Object|null>} Blocked decision, or null when under both caps
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async checkFrequency(phoneNumber, now) {
+    const caps = [
+      { rule: 'frequency_daily', max: this.maxAttemptsPerDay, windowMs: DAY_MS, label: '24 hours' },
+      { rule: 'frequency_weekly', max: this.maxAttemptsPerWeek, windowMs: WEEK_MS, label: '7 days' }
+    ];
+
+    for (const cap of caps) {
+      if (!cap.max) {
+        continue;
+      }
+
+      const since = new Date(now.getTime() - cap.windowMs).toISOString();
+      const countResult = await this.dbService.countOutboundAttempts(phoneNumber, since);
+
+      if (!countResult.success) {
+        return this.block('compliance_unavailable', `Attempt history unavailable: ${countResult.error}`);
+      }
+      const { count, oldestAt } = countResult.data;
+      if (count >= cap.max) {
+        const oldest = oldestAt ? new Date(oldestAt).getTime() : now.getTime();
+        return this.block(cap.rule, `${count} calls in the last ${cap.label} (limit ${cap.max})`, {
+          retryAt: new Date(oldest + cap.windowMs).toISOString()
+        });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a blocked decision
+   *
+   * @param {string} rule - Rule that blocked the call
+   * @param {string} reason - Human-readable reason
+   * @param {Object} [extra={}] - { region, timezones, retryAt }
+   * @returns {Object} Blocked decision
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  block(rule, reason, extra = {}) {
+    return {
+      allowed: false,
+      rule,
+      reason,
+      region: extra.region || null,
+      timezones: extra.timezones || [],
+      retryAt: extra.retryAt || null
+    };
+  }
+
+  /**
+   * Whether waiting can clear a block
+   *
+   * @param {string} rule - Rule that blocked the call
+   * @returns {boolean} False for do-not-call, invalid and unknown-region blocks
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * if (!compliance.isRetryable(decision.rule)) markContactFailed();
+   */
+  isRetryable(rule) {
+    return !PERMANENT_RULES.includes(rule);
+  }
+
+  /**
+   * Record a call that passed the checks and was placed
+   * These rows are what the frequency caps count.
+   *
+   * @param {string} phoneNumber - Dialed number
+   * @param {Object} [options={}] - Attempt details
+   * @param {string} [options.callSid] - Twilio call SID
+   * @param {Object} [options.decision] - checkOutboundCall() result
+   * @param {Object} [options.context] - Who dialed
+   * @returns {Promise<Object>} DatabaseService response
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await compliance.recordAttempt(to, { callSid: call.sid, decision });
+   */
+  async recordAttempt(phoneNumber, options = {}) {
+    const decision = options.decision || { allowed: true, rule: null, reason: null, region: null, timezones: [] };
+    return this.logAttempt(phoneNumber, decision, options);
+  }
+
+  /**
+   * Write an outbound_attempts row; failures are logged but never thrown
+   *
+   * @param {string} phoneNumber - Dialed number
+   * @param {Object} decision - Compliance decision
+   * @param {Object} [options={}] - { callSid, context }
+   * @returns {Promise<Object>} DatabaseService response
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async logAttempt(phoneNumber, decision, options = {}) {
+    const result = await this.dbService.logOutboundAttempt({
+      phone_number: String(phoneNumber || '').slice(0, 20),
+      allowed: decision.allowed,
+      rule: decision.rule,
+      reason: decision.reason,
+      region: decision.region,
+      timezone: (decision.timezones || []).join(',') || null,
+      call_sid: options.callSid || null,
+      context: options.context || {}
+    });
+
+    if (!result.success) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [ComplianceService] Failed to log outbound attempt: ${result.error}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Add numbers to the do-not-call list
+   * Accepts plain numbers or { phoneNumber | phone_number, reason } objects;
+   * formatting characters are stripped and duplicates collapsed.
+   *
+   * @param {Array<string|Object>} entries - Numbers to block
+   * @param {Object} [options={}] - Defaults for every entry
+   * @param {string} [options.source='api'] - Where the numbers came from
+   * @param {string} [options.reason] - Reason used when an entry has none
+   * @returns {Promise<Object>} { success, data: { imported, invalid }, error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await compliance.importDnc(['+15551234567', { phoneNumber: '+442079460000', reason: 'complaint' }]);
+   * // result.data: { imported: 2, invalid: [] }
+   */
+  async importDnc(entries, options = {}) {
+    const source = options.source || 'api';
+    const rows = new Map();
+    const invalid = [];
+
+    for (const entry of entries) {
+      const raw = typeof entry === 'string' ? entry : entry && (entry.phoneNumber || entry.phone_number);
+      const phoneNumber = String(raw || '').replace(/[\s().-]/g, '');
+
+      if (!E164_PATTERN.test(phoneNumber)) {
+        invalid.push(raw || null);
+        continue;
+      }
+
+      rows.set(phoneNumber, {
+        phone_number: phoneNumber,
+        reason: (entry && entry.reason) || options.reason || null,
+        source
+      });
+    }
+
+    if (rows.size === 0) {
+      return { success: true, data: { imported: 0, invalid }, error: null };
+    }
+
+    const result = await this.dbService.addDncNumbers([...rows.values()]);
+    if (!result.success) {
+      return { success: false, data: null, error: result.error };
+    }
+
+    console.log(`[${new Date().toISOString()}] [INFO] [ComplianceService] Imported ${result.data.length} DNC numbers (${invalid.length} invalid)`);
+
+    return { success: true, data: { imported: result.data.length, invalid }, error: null };
+  }
+
+  /**
+   * Get the do-not-call list
+   *
+   * @returns {Promise<Object>} DatabaseService response with DNC rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async exportDnc() {
+    return this.dbService.getDncNumbers();
+  }
+
+  /**
+   * Format DNC rows as CSV (phone_number,reason,source,created_at)
+   *
+   * @param {Array<Object>} rows - dnc_numbers rows
+   * @returns {string} CSV text with header row
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * res.type('text/csv').send(compliance.formatDncCsv(result.data));
+   */
+  formatDncCsv(rows) {
+    const columns = ['phone_number', 'reason', 'source', 'created_at'];
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = rows.map(row => columns.map(column => escape(row[column])).join(','));
+    return [columns.join(','), ...lines].join('\n') + '\n';
+  }
+
+  /**
+   * Remove a number from the do-not-call list
+   *
+   * @param {string} phoneNumber - Number to unblock (E.164)
+   * @returns {Promise<Object>} { success, data: { removed }, error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async removeDnc(phoneNumber) {
+    const result = await this.dbService.removeDncNumber(phoneNumber);
+    if (!result.success) {
+      return { success: false, data: null, error: result.error };
+    }
+
+    return { success: true, data: { removed: result.data.length > 0 }, error: null };
+  }
+
+  /**
+   * Get blocked outbound attempts for review
+   *
+   * @param {Object} [options={}] - Query options
+   * @param {string} [options.since] - ISO timestamp (default: 7 days ago)
+   * @param {number} [options.limit=100] - Maximum rows
+   * @returns {Promise<Object>} DatabaseService response with outbound_attempts rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async getBlockedAttempts(options = {}) {
+    const since = options.since || new Date(Date.now() - WEEK_MS).toISOString();
+    return this.dbService.getBlockedOutboundAttempts(since, options.limit || 100);
+  }
+
+  /**
+   * Mask phone number for privacy in logs
+   *
+   * @param {string} phoneNumber - Phone number to mask
+   * @returns {string} Masked phone number
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  maskPhoneNumber(phoneNumber) {
+    if (!phoneNumber || phoneNumber.length < 8) {
+      return '***';
+    }
+
+    return `${phoneNumber.substring(0, 5)}***${phoneNumber.substring(phoneNumber.length - 4)}`;
+  }
+}
+
+module.exports = ComplianceService;
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Customer records: auto-create for new callers, enrichment from conversations
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * - First-time callers get a customers row keyed by their phone number
+ * - Details callers state (name, email, company, needs) are written back to
+ *   the customer as the conversation goes on
+ * - customers.field_sources records where each field's current value came
+ *   from (conversation turn or human edit)
+ * - Every change is written to customer_field_changes
+ *
+ * Write rules for a detail found in a conversation:
+ * - empty fields are always filled
+ * - fields in overwriteFields may replace an earlier automatic value; a name
+ *   only when the caller stated it outright ("my name is ...")
+ * - fields in lockedFields are never written automatically once a human edited them
+ * - needs is a list: new needs are appended, never replaced
+ */
+
+/**
+ * Fields that conversations and human edits are tracked for
+ * @constant {string[]}
+ */
+const TRACKED_FIELDS = ['name', 'email', 'company', 'needs'];
+
+/**
+ * Fields only replaced when the caller stated them outright (see customerExtraction)
+ * @constant {string[]}
+ */
+const EXPLICIT_OVERWRITE_FIELDS = ['name'];
+
+/**
+ * Most needs kept on a customer (oldest dropped first)
+ * @constant {number}
+ */
+const MAX_NEEDS = 10;
+
+/**
+ * CustomerService class - Creates and enriches customer records
+ *
+ * @class CustomerService
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class CustomerService {
+  /**
+   * Initialize CustomerService
+   *
+   * @param {Object} [config={}] - Customer configuration (see environment.getCustomerConfig)
+   * @param {boolean} [config.autoCreate=true] - Create customers for unknown numbers
+   * @param {boolean} [config.enrichment=true] - Write details found in conversations
+   * @param {string[]} [config.overwriteFields] - Fields a conversation may overwrite
+   * @param {string[]} [config.lockedFields] - Fields locked once a human has edited them
+   * @param {Object} dbService - DatabaseService instance
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const customers = new CustomerService(config.customers, dbService);
+   * const { customer, created } = await customers.findOrCreateCustomer('+12125550100');
+   */
+  constructor(config = {}, dbService) {
+    const settings = config || {};
+
+    this.dbService = dbService;
+    this.autoCreate = settings.autoCreate !== false;
+    this.enrichment = settings.enrichment !== false;
+    this.overwriteFields = settings.overwriteFields || ['name', 'email', 'company'];
+    this.lockedFields = settings.lockedFields || TRACKED_FIELDS;
+
+    console.log(`[${new Date().toISOString()}] [INFO] [CustomerService] CustomerService initialized`, {
+      autoCreate: this.autoCreate,
+      enrichment: this.enrichment,
+      overwriteFields: this.overwriteFields,
+      lockedFields: this.lockedFields
+    });
+  }
+
+  /**
+   * Get the customer for a phone number, creating one when auto-create is on
+   *
+   * @param {string} phoneNumber - Caller number (E.164)
+   * @returns {Promise<Object>} { success, data: { customer, created }, error }
+   *   customer is null when the number is unknown and auto-create is off
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await customers.findOrCreateCustomer(callData.From);
+   * if (result.data.created) { ... }
+   */
+  async findOrCreateCustomer(phoneNumber) {
+    const existing = await this.dbService.getCustomerByPhone(phoneNumber);
+    if (!existing.success) {
+      return { success: false, data: null, error: existing.error };
+    }
+    if (existing.data || !this.autoCreate || !phoneNumber) {
+      return { success: true, data: { customer: existing.data || null, created: false }, error: null };
+    }
+
+    const created = await this.dbService.createCustomer({ phone_number: phoneNumber });
+    if (created.success) {
+      console.log(`[${new Date().toISOString()}] [INFO] [CustomerService] Created customer for new caller`, {
+        customerId: created.data.id
+      });
+      return { success: true, data: { customer: created.data, created: true }, error: null };
+    }
+
+    // Another call from the same number may have created it first (unique phone_number)
+    const retry = await this.dbService.getCustomerByPhone(phoneNumber);
+    if (retry.success && retry.data) {
+      return { success: true, data: { customer: retry.data, created: false }, error: null };
+    }
+
+    console.error(`[${new Date().toISOString()}] [ERROR] [CustomerService] Failed to create customer: ${created.error}`);
+    return { success: false, data: null, error: created.error };
+  }
+
+  /**
+   * Write details a caller stated to their customer record
+   *
+   * @param {string} customerId - Customer UUID
+   * @param {Object} fields - Details from extractCustomerFields()
+   * @param {Object} [source={}] - Where the details came from
+   * @param {string} [source.conversationId] - Conversation UUID
+   * @param {string} [source.messageId] - Caller message UUID
+   * @param {number} [source.turn] - Caller turn number (1 = first thing they said)
+   * @returns {Promise<Object>} { success, data: { updated: string[], skipped: Object }, error }
+   *   skipped maps a field to why it was not written ('locked', 'unchanged', 'not_overwritable', 'not_explicit')
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await customers.applyConversationFields(customerId, { email: 'pat@acme.com' }, { conversationId, messageId, turn: 3 });
+   */
+  async applyConversationFields(customerId, fields, source = {}) {
+    const found = Object.keys(fields || {}).filter(field => TRACKED_FIELDS.includes(field));
+    if (!this.enrichment || found.length === 0) {
+      return { success: true, data: { updated: [], skipped: {} }, error: null };
+    }
+
+    const current = await this.dbService.getCustomer(customerId);
+    if (!current.success) {
+      return { success: false, data: null, error: current.error };
+    }
+
+    const customer = current.data;
+    const sources = customer.field_sources || {};
+    const updates = {};
+    const skipped = {};
+
+    for (const field of found) {
+      const reason = this.getSkipReason(customer, sources, field, fields[field], (fields.explicit || []).includes(field));
+      if (reason) {
+        skipped[field] = reason;
+        continue;
+      }
+
+      updates[field] = field === 'needs' ? this.mergeNeeds(customer.needs, fields.needs) : fields[field];
+    }
+
+    const updated = Object.keys(updates);
+    if (updated.length === 0) {
+      return { success: true, data: { updated, skipped }, error: null };
+    }
+
+    const provenance = {
+      source: 'conversation',
+      conversationId: source.conversationId || null,
+      messageId: source.messageId || null,
+      turn: source.turn || null,
+      updatedAt: new Date().toISOString()
+    };
+
+    const result = await this.writeFields(customer, updates, provenance, {
+      source: 'conversation',
+      conversation_id: provenance.conversationId,
+      message_id: provenance.messageId,
+      turn: provenance.turn
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    console.log(`[${new Date().toISOString()}] [INFO] [CustomerService] Enriched customer from conversation`, {
+      customerId,
+      turn: provenance.turn,
+      updated,
+      skipped
+    });
+
+    return { success: true, data: { updated, skipped }, error: null };
+  }
+
+  /**
+   * Decide whether a detail from a conversation may be written
+   *
+   * @param {Object} customer - customers row
+   * @param {Object} sources - customers.field_sources
+   * @param {string} field - Field name
+   * @param {*} value - Extracted value
+   * @param {boolean} [explicit=false] - The caller stated the value outright ("my name is ...")
+   * @returns {string|null} Skip reason, or null to write
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  getSkipReason(customer, sources, field, value, explicit = false) {
+    if (sources[field]?.source === 'human' && this.lockedFields.includes(field)) {
+      return 'locked';
+    }
+
+    const existing = customer[field];
+
+    if (field === 'needs') {
+      const known = (existing || []).map(need => need.toLowerCase());
+      return value.some(need => !known.includes(need.toLowerCase())) ? null : 'unchanged';
+    }
+
+    if (existing === null || existing === undefined || existing === '') {
+      return null;
+    }
+
+    // "Pat" said later should not replace "Pat Lee"
+    const previous = String(existing).toLowerCase();
+    const next = String(value).toLowerCase();
+    if (previous === next || previous.startsWith(`${next} `)) {
+      return 'unchanged';
+    }
+
+    if (!this.overwriteFields.includes(field)) {
+      return 'not_overwritable';
+    }
+
+    // "This is Pat" or "call me Sam" is too loose to replace a known name
+    return EXPLICIT_OVERWRITE_FIELDS.includes(field) && !explicit ? 'not_explicit' : null;
+  }
+
+  /**
+   * Append new needs, skipping ones already recorded
+   *
+   * @param {string[]|null} existing - customers.needs
+   * @param {string[]} needs - Newly stated needs
+   * @returns {string[]} Merged needs, at most MAX_NEEDS
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  mergeNeeds(existing, needs) {
+    const merged = [...(existing || [])];
+
+    for (const need of needs) {
+      if (!merged.some(known => known.toLowerCase() === need.toLowerCase())) {
+        merged.push(need);
+      }
+    }
+
+    return merged.slice(-MAX_NEEDS);
+  }
+
+  /**
+   * Apply edits made by a person (CRM user, support rep)
+   * Edited tracked fields are marked as human-sourced, which locks the ones
+   * listed in lockedFields against later automatic updates.
+   *
+   * @param {string} customerId - Customer UUID
+   * @param {Object} updates - Field values to write
+   * @param {Object} [options={}] - Edit options
+   * @param {string} [options.editedBy] - Who made the edit, stored in the audit trail
+   * @returns {Promise<Object>} DatabaseService response with the updated customer
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await customers.applyHumanEdit(customerId, { email: 'pat@acme.com' }, { editedBy: 'rep@legacyai.com' });
+   */
+  async applyHumanEdit(customerId, updates, options = {}) {
+    const current = await this.dbService.getCustomer(customerId);
+    if (!current.success) {
+      return { success: false, data: null, error: current.error };
+    }
+
+    const editedBy = options.editedBy || null;
+    const result = await this.writeFields(current.data, updates, {
+      source: 'human',
+      editedBy,
+      updatedAt: new Date().toISOString()
+    }, {
+      source: 'human',
+      changed_by: editedBy
+    });
+
+    if (result.success) {
+      console.log(`[${new Date().toISOString()}] [INFO] [CustomerService] Applied human edit`, {
+        customerId,
+        fields: Object.keys(updates)
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Update the customer, record provenance for tracked fields and write the audit rows
+   *
+   * @param {Object} customer - Current customers row
+   * @param {Object} updates - Field values to write
+   * @param {Object} provenance - Stored in field_sources for each tracked field
+   * @param {Object} audit - Extra columns for each customer_field_changes row
+   * @returns {Promise<Object>} DatabaseService response with the updated customer
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async writeFields(customer, updates, provenance, audit) {
+    const tracked = Object.keys(updates).filter(field => TRACKED_FIELDS.includes(field));
+    const fieldSources = { ...(customer.field_sources || {}) };
+
+    for (const field of tracked) {
+      fieldSources[field] = provenance;
+    }
+
+    const result = await this.dbService.updateCustomer(customer.id, {
+      ...updates,
+      ...(tracked.length > 0 ? { field_sources: fieldSources } : {})
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    const changes = Object.keys(updates).map(field => ({
+      customer_id: customer.id,
+      field,
+      old_value: customer[field] === undefined ? null : customer[field],
+      new_value: updates[field],
+      ...audit
+    }));
+
+    // The update already succeeded; a failed audit write is logged, not returned
+    const logged = await this.dbService.logCustomerFieldChanges(changes);
+    if (!logged.success) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [CustomerService] Failed to log customer field changes: ${logged.error}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get a customer's field change history, newest first
+   *
+   * @param {string} customerId - Customer UUID
+   * @param {number} [limit=100] - Maximum rows
+   * @returns {Promise<Object>} DatabaseService response with customer_field_changes rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async getFieldChanges(customerId, limit = 100) {
+    return this.dbService.getCustomerFieldChanges(customerId, limit);
+  }
+}
+
+module.exports = CustomerService;
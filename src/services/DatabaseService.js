@@ -2,16 +2,31 @@
  * @fileoverview Data access layer for all database operations
  * @author LegacyAI Database Agent
  * @created 2025-10-01T00:00:00Z
- * @lastModified 2025-10-01T00:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This service provides a comprehensive interface for all database operations
  * including CRUD operations for conversations, customers, messages, analytics,
- * agent configs, and scheduled tasks. All methods include proper error handling,
- * logging, and return standardized response formats.
+ * agent configs and their versions, scheduled tasks, outbound campaigns,
+ * outbound dial compliance (do-not-call list, attempt log), speech
+ * recognition vocabulary, appointment booking (meeting types, reps, holds)
+ * and the knowledge base (documents and embedded chunks). All methods include
+ * proper error handling, logging, and return standardized response formats.
  */
 
 const { getSupabaseClient } = require('./SupabaseClient');
 
+/**
+ * Knowledge chunks inserted per request
+ * @constant {number}
+ */
+const KNOWLEDGE_CHUNK_BATCH_SIZE = 100;
+
+/**
+ * Knowledge chunks read per request (Supabase returns at most 1000 rows)
+ * @constant {number}
+ */
+const KNOWLEDGE_CHUNK_PAGE_SIZE = 500;
+
 /**
  * Standard API response format
  * @typedef {Object} APIResponse
@@ -109,10 +124,12 @@ class DatabaseService {
    * @param {string} conversationData.phone_number - Customer phone number
    * @param {string} [conversationData.customer_id] - Customer UUID
    * @param {string} [conversationData.agent_type='voice'] - Agent type
+   * @param {string} [conversationData.agent_config_name] - Agent config (persona) handling the call
+   * @param {boolean} [conversationData.is_simulated=false] - Simulated session (excluded from analytics)
    * @param {Object} [conversationData.metadata] - Additional metadata
    * @returns {Promise<APIResponse>}
    * @created 2025-10-01T00:00:00Z
-   * @lastModified 2025-10-01T00:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * const result = await dbService.createConversation({
@@ -141,6 +158,8 @@ class DatabaseService {
           phone_number: conversationData.phone_number,
           customer_id: conversationData.customer_id || null,
           agent_type: conversationData.agent_type || 'voice',
+          agent_config_name: conversationData.agent_config_name || null,
+          is_simulated: conversationData.is_simulated === true,
           status: 'active',
           metadata: conversationData.metadata || {}
         }])
@@ -235,6 +254,49 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get a customer's most recent conversations, newest first
+   *
+   * @param {string} customerId - Customer UUID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=3] - Maximum number of conversations
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getCustomerConversations('customer-uuid', { limit: 3 });
+   */
+  async getCustomerConversations(customerId, options = {}) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching customer conversations`, { customerId });
+
+      const limit = options.limit || 3;
+
+      const { data, error } = await this.client
+        .from('conversations')
+        .select('*')
+        .eq('customer_id', customerId)
+        .order('started_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch customer conversations`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Customer conversations fetched successfully`, {
+        count: data.length
+      });
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getCustomerConversations`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
   /**
    * Update conversation record
    *
@@ -278,6 +340,84 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Claim a conversation for finalization
+   * Sets finalized_at only while it is still NULL, so the post-call pipeline
+   * runs once even when a status callback and the sweeper race.
+   *
+   * @param {string} conversationId - Conversation UUID
+   * @returns {Promise<APIResponse>} Claimed row, or null data when already finalized
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.claimConversationFinalization('uuid');
+   * if (result.data) {
+   *   // first to finish the call - run the post-call pipeline
+   * }
+   */
+  async claimConversationFinalization(conversationId) {
+    try {
+      const { data, error } = await this.client
+        .from('conversations')
+        .update({ finalized_at: new Date().toISOString() })
+        .eq('id', conversationId)
+        .is('finalized_at', null)
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to claim conversation finalization`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, (data && data[0]) || null, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in claimConversationFinalization`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get voice calls that have not been finalized
+   * Includes calls that ended but whose post-call pipeline never started.
+   * Simulation sessions and SMS threads are excluded.
+   *
+   * @param {string} startedBefore - ISO timestamp; only calls started before this
+   * @param {number} [limit=50] - Maximum rows, oldest first
+   * @returns {Promise<APIResponse>} Array of conversation rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const fifteenMinutesAgo = new Date(Date.now() - 900000).toISOString();
+   * const result = await dbService.getOpenCalls(fifteenMinutesAgo);
+   */
+  async getOpenCalls(startedBefore, limit = 50) {
+    try {
+      const { data, error } = await this.client
+        .from('conversations')
+        .select('*')
+        .is('finalized_at', null)
+        .eq('is_simulated', false)
+        .neq('agent_type', 'sms')
+        .lt('started_at', startedBefore)
+        .order('started_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch open calls`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getOpenCalls`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
   // ============================================================================
   // CUSTOMER OPERATIONS
   // ============================================================================
@@ -375,6 +515,43 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get customer by ID
+   *
+   * @param {string} customerId - Customer UUID
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getCustomer('uuid');
+   */
+  async getCustomer(customerId) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching customer`, {
+        customerId
+      });
+
+      const { data, error } = await this.client
+        .from('customers')
+        .select('*')
+        .eq('id', customerId)
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch customer`, error);
+        return this.createResponse(false, null, error.code === 'PGRST116' ? 'Customer not found' : error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Customer fetched successfully`);
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getCustomer`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
   /**
    * Update customer record
    *
@@ -416,6 +593,85 @@ class DatabaseService {
       return this.createResponse(false, null, error.message);
     }
   }
+  /**
+   * Record customer field changes in the audit trail
+   *
+   * @param {Array<Object>} changes - customer_field_changes rows
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.logCustomerFieldChanges([{
+   *   customer_id: 'customer-uuid',
+   *   field: 'email',
+   *   old_value: null,
+   *   new_value: 'pat@example.com',
+   *   source: 'conversation',
+   *   conversation_id: 'conversation-uuid',
+   *   turn: 3
+   * }]);
+   */
+  async logCustomerFieldChanges(changes) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Logging customer field changes`, {
+        count: changes.length
+      });
+
+      const { data, error } = await this.client
+        .from('customer_field_changes')
+        .insert(changes)
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to log customer field changes`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in logCustomerFieldChanges`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get a customer's field change history, newest first
+   *
+   * @param {string} customerId - Customer UUID
+   * @param {number} [limit=100] - Maximum number of changes
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getCustomerFieldChanges('customer-uuid');
+   */
+  async getCustomerFieldChanges(customerId, limit = 100) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching customer field changes`, { customerId });
+
+      const { data, error } = await this.client
+        .from('customer_field_changes')
+        .select('*')
+        .eq('customer_id', customerId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch customer field changes`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getCustomerFieldChanges`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
 
   // ============================================================================
   // MESSAGE OPERATIONS
@@ -661,25 +917,37 @@ class DatabaseService {
    * Get agent configuration by name
    *
    * @param {string} name - Agent configuration name
-   * @returns {Promise<APIResponse>}
+   * @param {Object} [options={}] - Query options
+   * @param {boolean} [options.includeInactive=false] - Also return an inactive config
+   * @returns {Promise<APIResponse>} agent_configs row, or null data when not found
    * @created 2025-10-01T00:00:00Z
-   * @lastModified 2025-10-01T00:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * const result = await dbService.getAgentConfig('default_voice_agent');
    */
-  async getAgentConfig(name) {
+  async getAgentConfig(name, options = {}) {
     try {
       console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching agent config`, { name });
 
-      const { data, error } = await this.client
+      let query = this.client
         .from('agent_configs')
         .select('*')
-        .eq('name', name)
-        .eq('active', true)
-        .single();
+        .eq('name', name);
+
+      if (!options.includeInactive) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query.single();
 
       if (error) {
+        // Unknown or inactive config: callers fall back to defaults
+        if (error.code === 'PGRST116') {
+          console.warn(`[${new Date().toISOString()}] [WARN] [DatabaseService] Agent config not found`, { name });
+          return this.createResponse(true, null, null);
+        }
+
         console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch agent config`, error);
         return this.createResponse(false, null, error.message);
       }
@@ -696,22 +964,28 @@ class DatabaseService {
   /**
    * Get all active agent configurations
    *
+   * @param {Object} [options={}] - Query options
+   * @param {boolean} [options.includeInactive=false] - Also return inactive configs
    * @returns {Promise<APIResponse>}
    * @created 2025-10-01T00:00:00Z
-   * @lastModified 2025-10-01T00:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * const result = await dbService.getAllAgentConfigs();
    */
-  async getAllAgentConfigs() {
+  async getAllAgentConfigs(options = {}) {
     try {
       console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching all agent configs`);
 
-      const { data, error } = await this.client
+      let query = this.client
         .from('agent_configs')
-        .select('*')
-        .eq('active', true)
-        .order('created_at', { ascending: false });
+        .select('*');
+
+      if (!options.includeInactive) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
 
       if (error) {
         console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch agent configs`, error);
@@ -730,119 +1004,393 @@ class DatabaseService {
     }
   }
 
-  // ============================================================================
-  // SCHEDULED TASK OPERATIONS
-  // ============================================================================
-
   /**
-   * Create a scheduled task
+   * Create an agent configuration
    *
-   * @param {Object} taskData - Task data
-   * @param {string} taskData.customer_id - Customer UUID
-   * @param {string} taskData.task_type - Task type
-   * @param {Date|string} taskData.scheduled_for - Scheduled time
-   * @param {Object} [taskData.payload] - Task payload
-   * @returns {Promise<APIResponse>}
-   * @created 2025-10-01T00:00:00Z
-   * @lastModified 2025-10-01T00:00:00Z
+   * @param {Object} configData - agent_configs columns (name, type, system_prompt, ...)
+   * @returns {Promise<APIResponse>} Created row, or null data when the name is taken
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
-   * const result = await dbService.createScheduledTask({
-   *   customer_id: 'uuid',
-   *   task_type: 'follow_up_call',
-   *   scheduled_for: new Date('2025-10-02T10:00:00Z'),
-   *   payload: { reason: 'product_inquiry' }
-   * });
+   * const result = await dbService.createAgentConfig({ name: 'sales_agent', type: 'voice', system_prompt: '...' });
    */
-  async createScheduledTask(taskData) {
+  async createAgentConfig(configData) {
     try {
-      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Creating scheduled task`, {
-        task_type: taskData.task_type,
-        scheduled_for: taskData.scheduled_for
-      });
-
-      // Validate required fields
-      if (!taskData.customer_id || !taskData.task_type || !taskData.scheduled_for) {
-        throw new Error('customer_id, task_type, and scheduled_for are required');
-      }
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Creating agent config`, { name: configData.name });
 
       const { data, error } = await this.client
-        .from('scheduled_tasks')
-        .insert([{
-          customer_id: taskData.customer_id,
-          task_type: taskData.task_type,
-          scheduled_for: taskData.scheduled_for,
-          payload: taskData.payload || {},
-          status: 'pending'
-        }])
+        .from('agent_configs')
+        .insert([configData])
         .select()
         .single();
 
       if (error) {
-        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to create scheduled task`, error);
+        // unique_violation: a config with this name exists
+        if (error.code === '23505') {
+          console.warn(`[${new Date().toISOString()}] [WARN] [DatabaseService] Agent config name already exists`, { name: configData.name });
+          return this.createResponse(true, null, null);
+        }
+
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to create agent config`, error);
         return this.createResponse(false, null, error.message);
       }
 
-      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Scheduled task created successfully`, {
-        id: data.id
-      });
-
       return this.createResponse(true, data, null);
 
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in createScheduledTask`, error);
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in createAgentConfig`, error);
       return this.createResponse(false, null, error.message);
     }
   }
 
   /**
-   * Get pending scheduled tasks
+   * Update an agent configuration
    *
-   * @param {Object} [options] - Query options
-   * @param {number} [options.limit=100] - Maximum number of tasks
-   * @returns {Promise<APIResponse>}
-   * @created 2025-10-01T00:00:00Z
-   * @lastModified 2025-10-01T00:00:00Z
+   * @param {string} name - Agent configuration name
+   * @param {Object} updateData - agent_configs columns to set
+   * @returns {Promise<APIResponse>} Updated row, or null data when not found
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
-   * const result = await dbService.getPendingTasks({ limit: 50 });
+   * const result = await dbService.updateAgentConfig('sales_agent', { active: false });
    */
-  async getPendingTasks(options = {}) {
+  async updateAgentConfig(name, updateData) {
     try {
-      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching pending tasks`);
-
-      const limit = options.limit || 100;
-      const now = new Date().toISOString();
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Updating agent config: ${name}`, {
+        fields: Object.keys(updateData)
+      });
 
       const { data, error } = await this.client
-        .from('scheduled_tasks')
-        .select('*')
-        .eq('status', 'pending')
-        .lte('scheduled_for', now)
-        .order('scheduled_for', { ascending: true })
-        .limit(limit);
+        .from('agent_configs')
+        .update(updateData)
+        .eq('name', name)
+        .select();
 
       if (error) {
-        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch pending tasks`, error);
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to update agent config`, error);
         return this.createResponse(false, null, error.message);
       }
 
-      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Pending tasks fetched successfully`, {
-        count: data.length
-      });
-
-      return this.createResponse(true, data, null);
+      return this.createResponse(true, (data || [])[0] || null, null);
 
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getPendingTasks`, error);
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in updateAgentConfig`, error);
       return this.createResponse(false, null, error.message);
     }
   }
 
   /**
-   * Update scheduled task status
+   * List the versions of an agent configuration, newest first (without snapshots)
    *
-   * @param {string} taskId - Task UUID
+   * @param {string} name - Agent configuration name
+   * @returns {Promise<APIResponse>} agent_config_versions rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getAgentConfigVersions('sales_agent');
+   * const latest = result.data[0]?.version || 0;
+   */
+  async getAgentConfigVersions(name) {
+    try {
+      const { data, error } = await this.client
+        .from('agent_config_versions')
+        .select('id, agent_config_name, version, diff, based_on_version, author, note, created_at')
+        .eq('agent_config_name', name)
+        .order('version', { ascending: false });
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch agent config versions`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getAgentConfigVersions`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get one version of an agent configuration with its snapshot
+   *
+   * @param {string} name - Agent configuration name
+   * @param {number} version - Version number
+   * @returns {Promise<APIResponse>} agent_config_versions row, or null data when not found
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getAgentConfigVersion('sales_agent', 3);
+   */
+  async getAgentConfigVersion(name, version) {
+    try {
+      const { data, error } = await this.client
+        .from('agent_config_versions')
+        .select('*')
+        .eq('agent_config_name', name)
+        .eq('version', version)
+        .limit(1);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch agent config version`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, (data || [])[0] || null, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getAgentConfigVersion`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Record a new agent configuration version
+   * Versions are numbered per config; UNIQUE (agent_config_name, version)
+   * stops two concurrent edits from both taking the same number.
+   *
+   * @param {Object} versionData - { agent_config_name, version, snapshot, diff, based_on_version, author, note }
+   * @returns {Promise<APIResponse>} Created row, or null data when the version number is taken
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.createAgentConfigVersion({ agent_config_name: 'sales_agent', version: 4, snapshot, diff, author: 'dana@example.com' });
+   * if (result.success && !result.data) {
+   *   // someone else edited the config at the same time
+   * }
+   */
+  async createAgentConfigVersion(versionData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Creating agent config version`, {
+        agent_config_name: versionData.agent_config_name,
+        version: versionData.version
+      });
+
+      const { data, error } = await this.client
+        .from('agent_config_versions')
+        .insert([versionData])
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          console.warn(`[${new Date().toISOString()}] [WARN] [DatabaseService] Agent config version already exists`, {
+            agent_config_name: versionData.agent_config_name,
+            version: versionData.version
+          });
+          return this.createResponse(true, null, null);
+        }
+
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to create agent config version`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in createAgentConfigVersion`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get the agent config route for a dialed phone number
+   *
+   * @param {string} phoneNumber - Dialed Twilio number (E.164)
+   * @returns {Promise<APIResponse>} Route row, or null data when the number has no route
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getPhoneNumberRoute('+15551234567');
+   * const configName = result.data?.agent_config_name || 'default_voice_agent';
+   */
+  async getPhoneNumberRoute(phoneNumber) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching phone number route`);
+
+      const { data, error } = await this.client
+        .from('phone_number_routes')
+        .select('*')
+        .eq('phone_number', phoneNumber)
+        .eq('active', true)
+        .single();
+
+      if (error) {
+        // No route is normal - the caller falls back to the default config
+        if (error.code === 'PGRST116') {
+          console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] No route for phone number`);
+          return this.createResponse(true, null, null);
+        }
+
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch phone number route`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Phone number route fetched successfully`, {
+        agentConfig: data.agent_config_name
+      });
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getPhoneNumberRoute`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  // ============================================================================
+  // SCHEDULED TASK OPERATIONS
+  // ============================================================================
+
+  /**
+   * Create a scheduled task
+   *
+   * @param {Object} taskData - Task data
+   * @param {string} taskData.customer_id - Customer UUID
+   * @param {string} taskData.task_type - Task type
+   * @param {Date|string} taskData.scheduled_for - Scheduled time
+   * @param {Object} [taskData.payload] - Task payload
+   * @returns {Promise<APIResponse>}
+   * @created 2025-10-01T00:00:00Z
+   * @lastModified 2025-10-01T00:00:00Z
+   *
+   * @example
+   * const result = await dbService.createScheduledTask({
+   *   customer_id: 'uuid',
+   *   task_type: 'follow_up_call',
+   *   scheduled_for: new Date('2025-10-02T10:00:00Z'),
+   *   payload: { reason: 'product_inquiry' }
+   * });
+   */
+  async createScheduledTask(taskData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Creating scheduled task`, {
+        task_type: taskData.task_type,
+        scheduled_for: taskData.scheduled_for
+      });
+
+      // Validate required fields
+      if (!taskData.customer_id || !taskData.task_type || !taskData.scheduled_for) {
+        throw new Error('customer_id, task_type, and scheduled_for are required');
+      }
+
+      const { data, error } = await this.client
+        .from('scheduled_tasks')
+        .insert([{
+          customer_id: taskData.customer_id,
+          task_type: taskData.task_type,
+          scheduled_for: taskData.scheduled_for,
+          payload: taskData.payload || {},
+          status: 'pending'
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to create scheduled task`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Scheduled task created successfully`, {
+        id: data.id
+      });
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in createScheduledTask`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get pending scheduled tasks
+   *
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=100] - Maximum number of tasks
+   * @returns {Promise<APIResponse>}
+   * @created 2025-10-01T00:00:00Z
+   * @lastModified 2025-10-01T00:00:00Z
+   *
+   * @example
+   * const result = await dbService.getPendingTasks({ limit: 50 });
+   */
+  async getPendingTasks(options = {}) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching pending tasks`);
+
+      const limit = options.limit || 100;
+      const now = new Date().toISOString();
+
+      const { data, error } = await this.client
+        .from('scheduled_tasks')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('scheduled_for', now)
+        .order('scheduled_for', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch pending tasks`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Pending tasks fetched successfully`, {
+        count: data.length
+      });
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getPendingTasks`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get a customer's open (pending or processing) scheduled tasks, soonest first
+   *
+   * @param {string} customerId - Customer UUID
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getCustomerOpenTasks('customer-uuid');
+   */
+  async getCustomerOpenTasks(customerId) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching open tasks for customer`, { customerId });
+
+      const { data, error } = await this.client
+        .from('scheduled_tasks')
+        .select('*')
+        .eq('customer_id', customerId)
+        .in('status', ['pending', 'processing'])
+        .order('scheduled_for', { ascending: true });
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch customer tasks`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getCustomerOpenTasks`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Update scheduled task status
+   *
+   * @param {string} taskId - Task UUID
    * @param {string} status - New status
    * @param {Object} [result] - Task result
    * @returns {Promise<APIResponse>}
@@ -893,6 +1441,1667 @@ class DatabaseService {
       return this.createResponse(false, null, error.message);
     }
   }
+
+  /**
+   * Claim a due task for execution
+   * Moves the task from 'pending' to 'processing' in one conditional update,
+   * so when several schedulers see the same task only one of them gets it.
+   *
+   * @param {Object} task - scheduled_tasks row as returned by getPendingTasks
+   * @returns {Promise<APIResponse>} Claimed row, or null data if another scheduler claimed it first
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const claim = await dbService.claimScheduledTask(task);
+   * if (claim.success && claim.data) {
+   *   // run the task
+   * }
+   */
+  async claimScheduledTask(task) {
+    try {
+      const { data, error } = await this.client
+        .from('scheduled_tasks')
+        .update({
+          status: 'processing',
+          attempts: (task.attempts || 0) + 1,
+          started_at: new Date().toISOString()
+        })
+        .eq('id', task.id)
+        .eq('status', 'pending')
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to claim scheduled task`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, (data && data[0]) || null, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in claimScheduledTask`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Update scheduled task fields
+   * Used to put a task back to 'pending' for a retry; use updateTaskStatus()
+   * for final states.
+   *
+   * @param {string} taskId - Task UUID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await dbService.updateScheduledTask('uuid', {
+   *   status: 'pending',
+   *   scheduled_for: '2026-10-18T10:05:00Z',
+   *   last_error: 'Twilio unavailable'
+   * });
+   */
+  async updateScheduledTask(taskId, updateData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Updating scheduled task`, {
+        taskId,
+        fields: Object.keys(updateData)
+      });
+
+      const { data, error } = await this.client
+        .from('scheduled_tasks')
+        .update(updateData)
+        .eq('id', taskId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to update scheduled task`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in updateScheduledTask`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Return interrupted tasks to 'pending'
+   * A task still 'processing' long after it was claimed belongs to a
+   * scheduler that stopped mid-run; it is picked up again on the next sweep.
+   *
+   * @param {string} startedBefore - ISO timestamp; tasks claimed before this are released
+   * @returns {Promise<APIResponse>} Array of released rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const tenMinutesAgo = new Date(Date.now() - 600000).toISOString();
+   * const result = await dbService.releaseStaleTasks(tenMinutesAgo);
+   */
+  async releaseStaleTasks(startedBefore) {
+    try {
+      const { data, error } = await this.client
+        .from('scheduled_tasks')
+        .update({ status: 'pending', last_error: 'Run interrupted before completion' })
+        .eq('status', 'processing')
+        .lt('started_at', startedBefore)
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to release stale tasks`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      if (data && data.length > 0) {
+        console.warn(`[${new Date().toISOString()}] [WARN] [DatabaseService] Released ${data.length} interrupted scheduled tasks`);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in releaseStaleTasks`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Cancel scheduled tasks that have not started yet
+   * Tasks already running or finished keep their status.
+   *
+   * @param {string[]} taskIds - Task UUIDs
+   * @returns {Promise<APIResponse>} Array of cancelled rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.cancelScheduledTasks(appointment.reminder_task_ids);
+   */
+  async cancelScheduledTasks(taskIds) {
+    try {
+      if (!Array.isArray(taskIds) || taskIds.length === 0) {
+        return this.createResponse(true, [], null);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Cancelling ${taskIds.length} scheduled tasks`);
+
+      const { data, error } = await this.client
+        .from('scheduled_tasks')
+        .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+        .in('id', taskIds)
+        .eq('status', 'pending')
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to cancel scheduled tasks`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in cancelScheduledTasks`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  // ============================================================================
+  // CAMPAIGN OPERATIONS
+  // ============================================================================
+
+  /**
+   * Create an outbound campaign
+   *
+   * @param {Object} campaignData - Campaign data
+   * @param {string} campaignData.name - Campaign name
+   * @param {string} [campaignData.agent_config_name] - Persona placing the calls
+   * @param {string} [campaignData.script] - Opening message
+   * @param {Object} [campaignData.calling_window] - Business-hours calendar for dialing
+   * @param {number} [campaignData.max_concurrent] - Maximum calls in progress at once
+   * @param {number} [campaignData.calls_per_minute] - Maximum new calls per minute
+   * @param {number} [campaignData.max_attempts] - Attempts per contact, including the first
+   * @param {number} [campaignData.retry_delay_seconds] - Delay before the first retry
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.createCampaign({
+   *   name: 'October renewals',
+   *   agent_config_name: 'sales_agent',
+   *   calls_per_minute: 10
+   * });
+   */
+  async createCampaign(campaignData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Creating campaign`, {
+        name: campaignData.name
+      });
+
+      if (!campaignData.name) {
+        throw new Error('name is required');
+      }
+
+      const { data, error } = await this.client
+        .from('campaigns')
+        .insert([{
+          ...campaignData,
+          status: 'draft'
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to create campaign`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Campaign created successfully`, {
+        id: data.id
+      });
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in createCampaign`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get campaign by ID
+   *
+   * @param {string} campaignId - Campaign UUID
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getCampaign('uuid-here');
+   */
+  async getCampaign(campaignId) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching campaign`, { campaignId });
+
+      const { data, error } = await this.client
+        .from('campaigns')
+        .select('*')
+        .eq('id', campaignId)
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch campaign`, error);
+        return this.createResponse(false, null, error.code === 'PGRST116' ? 'Campaign not found' : error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Campaign fetched successfully`);
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getCampaign`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Update campaign
+   *
+   * @param {string} campaignId - Campaign UUID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.updateCampaign('uuid', { status: 'paused' });
+   */
+  async updateCampaign(campaignId, updateData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Updating campaign`, {
+        campaignId,
+        fields: Object.keys(updateData)
+      });
+
+      const { data, error } = await this.client
+        .from('campaigns')
+        .update(updateData)
+        .eq('id', campaignId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to update campaign`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Campaign updated successfully`);
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in updateCampaign`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Add contacts to a campaign
+   * Numbers already in the campaign are skipped.
+   *
+   * @param {string} campaignId - Campaign UUID
+   * @param {Array<Object>} contacts - Contacts as { phone_number, name, customer_id }
+   * @returns {Promise<APIResponse>} Inserted contact rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.addCampaignContacts('uuid', [
+   *   { phone_number: '+15551234567', name: 'Jane Doe' }
+   * ]);
+   */
+  async addCampaignContacts(campaignId, contacts) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Adding campaign contacts`, {
+        campaignId,
+        count: contacts.length
+      });
+
+      const rows = contacts.map(contact => ({
+        campaign_id: campaignId,
+        phone_number: contact.phone_number,
+        name: contact.name || null,
+        customer_id: contact.customer_id || null,
+        status: 'pending',
+        attempts: 0
+      }));
+
+      const { data, error } = await this.client
+        .from('campaign_contacts')
+        .upsert(rows, { onConflict: 'campaign_id,phone_number', ignoreDuplicates: true })
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to add campaign contacts`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      // Duplicates are skipped, so only newly added rows come back
+      const added = data || [];
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Campaign contacts added successfully`, {
+        count: added.length
+      });
+
+      return this.createResponse(true, added, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in addCampaignContacts`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get all contacts of a campaign, oldest first
+   *
+   * @param {string} campaignId - Campaign UUID
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getCampaignContacts('uuid');
+   */
+  async getCampaignContacts(campaignId) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching campaign contacts`, { campaignId });
+
+      const { data, error } = await this.client
+        .from('campaign_contacts')
+        .select('*')
+        .eq('campaign_id', campaignId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch campaign contacts`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Campaign contacts fetched successfully`, {
+        count: data.length
+      });
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getCampaignContacts`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get a campaign contact by ID
+   *
+   * @param {string} contactId - Campaign contact UUID
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getCampaignContact('uuid');
+   */
+  async getCampaignContact(contactId) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching campaign contact`, { contactId });
+
+      const { data, error } = await this.client
+        .from('campaign_contacts')
+        .select('*')
+        .eq('id', contactId)
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch campaign contact`, error);
+        return this.createResponse(false, null, error.code === 'PGRST116' ? 'Campaign contact not found' : error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getCampaignContact`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Update a campaign contact
+   *
+   * @param {string} contactId - Campaign contact UUID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<APIResponse>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.updateCampaignContact('uuid', { status: 'completed' });
+   */
+  async updateCampaignContact(contactId, updateData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Updating campaign contact`, {
+        contactId,
+        fields: Object.keys(updateData)
+      });
+
+      const { data, error } = await this.client
+        .from('campaign_contacts')
+        .update(updateData)
+        .eq('id', contactId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to update campaign contact`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in updateCampaignContact`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  // ============================================================================
+  // COMPLIANCE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Look up a number on the do-not-call list
+   *
+   * @param {string} phoneNumber - Phone number (E.164)
+   * @returns {Promise<APIResponse>} DNC row, or null data when the number is not listed
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getDncNumber('+15551234567');
+   * const blocked = result.success && result.data !== null;
+   */
+  async getDncNumber(phoneNumber) {
+    try {
+      const { data, error } = await this.client
+        .from('dnc_numbers')
+        .select('*')
+        .eq('phone_number', phoneNumber)
+        .single();
+
+      if (error) {
+        // Not listed is the normal case
+        if (error.code === 'PGRST116') {
+          return this.createResponse(true, null, null);
+        }
+
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to check DNC list`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getDncNumber`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get the whole do-not-call list, newest first
+   *
+   * @returns {Promise<APIResponse>} Array of DNC rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getDncNumbers();
+   */
+  async getDncNumbers() {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching DNC list`);
+
+      const { data, error } = await this.client
+        .from('dnc_numbers')
+        .select('*')
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch DNC list`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] DNC list fetched successfully`, {
+        count: data.length
+      });
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getDncNumbers`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Add numbers to the do-not-call list
+   * Numbers already listed keep their row; reason and source are updated.
+   *
+   * @param {Array<Object>} entries - { phone_number, reason, source } rows (E.164 numbers)
+   * @returns {Promise<APIResponse>} Array of upserted DNC rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.addDncNumbers([
+   *   { phone_number: '+15551234567', reason: 'customer request', source: 'api' }
+   * ]);
+   */
+  async addDncNumbers(entries) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Adding DNC numbers`, {
+        count: entries.length
+      });
+
+      const { data, error } = await this.client
+        .from('dnc_numbers')
+        .upsert(entries, { onConflict: 'phone_number' })
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to add DNC numbers`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] DNC numbers added successfully`, {
+        count: (data || []).length
+      });
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in addDncNumbers`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Remove a number from the do-not-call list
+   *
+   * @param {string} phoneNumber - Phone number (E.164)
+   * @returns {Promise<APIResponse>} Array of removed rows (empty when the number was not listed)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.removeDncNumber('+15551234567');
+   */
+  async removeDncNumber(phoneNumber) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Removing DNC number`);
+
+      const { data, error } = await this.client
+        .from('dnc_numbers')
+        .delete()
+        .eq('phone_number', phoneNumber)
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to remove DNC number`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in removeDncNumber`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Record an outbound dial decision
+   *
+   * @param {Object} attemptData - { phone_number, allowed, rule, reason, region, timezone, call_sid, context }
+   * @returns {Promise<APIResponse>} Created outbound_attempts row
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await dbService.logOutboundAttempt({
+   *   phone_number: '+15551234567',
+   *   allowed: false,
+   *   rule: 'calling_hours',
+   *   reason: 'Outside 08:00-21:00 in America/New_York'
+   * });
+   */
+  async logOutboundAttempt(attemptData) {
+    try {
+      const { data, error } = await this.client
+        .from('outbound_attempts')
+        .insert([attemptData])
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to log outbound attempt`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in logOutboundAttempt`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Count allowed outbound attempts to a number since a point in time
+   *
+   * @param {string} phoneNumber - Phone number (E.164)
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<APIResponse>} { count, oldestAt } - number of allowed attempts and
+   *   when the oldest of them was made (null when there are none)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const dayAgo = new Date(Date.now() - 86400000).toISOString();
+   * const result = await dbService.countOutboundAttempts('+15551234567', dayAgo);
+   * // result.data: { count: 2, oldestAt: '2026-10-17T14:05:00Z' }
+   */
+  async countOutboundAttempts(phoneNumber, since) {
+    try {
+      const { data, count, error } = await this.client
+        .from('outbound_attempts')
+        .select('created_at', { count: 'exact' })
+        .eq('phone_number', phoneNumber)
+        .eq('allowed', true)
+        .gte('created_at', since)
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to count outbound attempts`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, {
+        count: count || 0,
+        oldestAt: data && data.length > 0 ? data[0].created_at : null
+      }, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in countOutboundAttempts`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get blocked outbound attempts, newest first
+   *
+   * @param {string} since - ISO timestamp
+   * @param {number} [limit=100] - Maximum rows
+   * @returns {Promise<APIResponse>} Array of blocked outbound_attempts rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getBlockedOutboundAttempts('2026-10-01T00:00:00Z', 50);
+   */
+  async getBlockedOutboundAttempts(since, limit = 100) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching blocked outbound attempts`, {
+        since,
+        limit
+      });
+
+      const { data, error } = await this.client
+        .from('outbound_attempts')
+        .select('*')
+        .eq('allowed', false)
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch blocked outbound attempts`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getBlockedOutboundAttempts`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * List vocabulary terms
+   *
+   * @param {Object} [filters={}] - Optional filters
+   * @param {string} [filters.scope] - global, agent_config or campaign
+   * @param {string} [filters.agentConfigName] - Only terms of this agent config
+   * @param {string} [filters.campaignId] - Only terms of this campaign
+   * @returns {Promise<APIResponse>} Array of vocabulary_terms rows, alphabetical
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getVocabularyTerms({ agentConfigName: 'sales_agent' });
+   */
+  async getVocabularyTerms(filters = {}) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching vocabulary terms`, filters);
+
+      let query = this.client
+        .from('vocabulary_terms')
+        .select('*');
+
+      if (filters.scope) {
+        query = query.eq('scope', filters.scope);
+      }
+      if (filters.agentConfigName) {
+        query = query.eq('agent_config_name', filters.agentConfigName);
+      }
+      if (filters.campaignId) {
+        query = query.eq('campaign_id', filters.campaignId);
+      }
+
+      const { data, error } = await query.order('term', { ascending: true });
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch vocabulary terms`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getVocabularyTerms`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get the active vocabulary terms that apply to a call
+   * Global terms plus the terms of the call's agent config and campaign.
+   *
+   * @param {Object} [target={}] - What the call belongs to
+   * @param {string} [target.agentConfigName] - conversations.agent_config_name
+   * @param {string} [target.campaignId] - Outbound campaign UUID
+   * @returns {Promise<APIResponse>} Array of active vocabulary_terms rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getCallVocabularyTerms({ agentConfigName: 'sales_agent', campaignId });
+   */
+  async getCallVocabularyTerms(target = {}) {
+    try {
+      const scopes = ['scope.eq.global'];
+      if (target.agentConfigName) {
+        scopes.push(`and(scope.eq.agent_config,agent_config_name.eq."${target.agentConfigName.replace(/"/g, '')}")`);
+      }
+      if (target.campaignId) {
+        scopes.push(`and(scope.eq.campaign,campaign_id.eq.${target.campaignId.replace(/[^0-9a-fA-F-]/g, '')})`);
+      }
+
+      const { data, error } = await this.client
+        .from('vocabulary_terms')
+        .select('*')
+        .eq('active', true)
+        .or(scopes.join(','));
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch call vocabulary`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getCallVocabularyTerms`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Create a vocabulary term
+   *
+   * @param {Object} termData - { scope, agent_config_name, campaign_id, term, category, variants, active }
+   * @returns {Promise<APIResponse>} Created vocabulary_terms row
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.createVocabularyTerm({
+   *   scope: 'global',
+   *   term: 'Salesforce',
+   *   category: 'competitor',
+   *   variants: ['sales force']
+   * });
+   */
+  async createVocabularyTerm(termData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Creating vocabulary term`, {
+        scope: termData.scope,
+        term: termData.term
+      });
+
+      const { data, error } = await this.client
+        .from('vocabulary_terms')
+        .insert([termData])
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to create vocabulary term`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in createVocabularyTerm`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Update a vocabulary term
+   *
+   * @param {string} termId - Vocabulary term UUID
+   * @param {Object} updateData - Fields to update (term, category, variants, active)
+   * @returns {Promise<APIResponse>} Updated row, or null data when the term does not exist
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.updateVocabularyTerm(termId, { variants: ['sales force', 'sells force'] });
+   */
+  async updateVocabularyTerm(termId, updateData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Updating vocabulary term: ${termId}`, {
+        fields: Object.keys(updateData)
+      });
+
+      const { data, error } = await this.client
+        .from('vocabulary_terms')
+        .update(updateData)
+        .eq('id', termId)
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to update vocabulary term`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, (data || [])[0] || null, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in updateVocabularyTerm`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Delete a vocabulary term
+   *
+   * @param {string} termId - Vocabulary term UUID
+   * @returns {Promise<APIResponse>} Array of deleted rows (empty when the term did not exist)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.deleteVocabularyTerm(termId);
+   */
+  async deleteVocabularyTerm(termId) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Deleting vocabulary term: ${termId}`);
+
+      const { data, error } = await this.client
+        .from('vocabulary_terms')
+        .delete()
+        .eq('id', termId)
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to delete vocabulary term`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in deleteVocabularyTerm`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  // ============================================================================
+  // APPOINTMENT OPERATIONS
+  // ============================================================================
+
+  /**
+   * Get an active meeting type by name
+   *
+   * @param {string} name - meeting_types.name (e.g. 'demo')
+   * @returns {Promise<APIResponse>} meeting_types row, or null data when there is no such active type
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getMeetingType('demo');
+   */
+  async getMeetingType(name) {
+    try {
+      const { data, error } = await this.client
+        .from('meeting_types')
+        .select('*')
+        .eq('name', name)
+        .eq('active', true)
+        .limit(1);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch meeting type`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, (data || [])[0] || null, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getMeetingType`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get every active meeting type
+   *
+   * @returns {Promise<APIResponse>} Array of meeting_types rows, by name
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getMeetingTypes();
+   */
+  async getMeetingTypes() {
+    try {
+      const { data, error } = await this.client
+        .from('meeting_types')
+        .select('*')
+        .eq('active', true)
+        .order('name', { ascending: true });
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch meeting types`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getMeetingTypes`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get the active reps who take a meeting type
+   * Reps with no meeting_types list take every type.
+   *
+   * @param {string} meetingType - meeting_types.name
+   * @returns {Promise<APIResponse>} Array of sales_reps rows, by name
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getSalesReps('demo');
+   */
+  async getSalesReps(meetingType) {
+    try {
+      const safeType = String(meetingType).replace(/[^a-zA-Z0-9_-]/g, '');
+
+      const { data, error } = await this.client
+        .from('sales_reps')
+        .select('*')
+        .eq('active', true)
+        .or(`meeting_types.is.null,meeting_types.cs.{${safeType}}`)
+        .order('name', { ascending: true });
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch sales reps`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getSalesReps`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get the held and confirmed appointments of reps within a time window
+   * Holds past hold_expires_at are included until the sweep expires them;
+   * callers decide whether they still count.
+   *
+   * @param {string[]} repIds - sales_reps UUIDs
+   * @param {string} from - ISO timestamp; appointments blocking time after this are returned
+   * @param {string} to - ISO timestamp; appointments starting before this are returned
+   * @returns {Promise<APIResponse>} Array of appointments rows, earliest first
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getRepAppointments([rep.id], from.toISOString(), to.toISOString());
+   */
+  async getRepAppointments(repIds, from, to) {
+    try {
+      if (!Array.isArray(repIds) || repIds.length === 0) {
+        return this.createResponse(true, [], null);
+      }
+
+      const { data, error } = await this.client
+        .from('appointments')
+        .select('*')
+        .in('rep_id', repIds)
+        .in('status', ['held', 'confirmed'])
+        .lt('start_at', to)
+        .gt('blocked_until', from)
+        .order('start_at', { ascending: true });
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch rep appointments`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getRepAppointments`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Create an appointment (usually a hold)
+   * The appointments_no_overlap constraint rejects a time the rep already has
+   * held or booked; that comes back as success with null data, like a lost
+   * claim, so the caller can try another rep or slot.
+   *
+   * @param {Object} appointmentData - appointments columns (rep_id, meeting_type, start_at, end_at, blocked_until, ...)
+   * @returns {Promise<APIResponse>} Created row, or null data when the slot is taken
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.createAppointment({
+   *   rep_id: rep.id,
+   *   customer_id: customerId,
+   *   meeting_type: 'demo',
+   *   start_at: '2026-10-20T14:00:00.000Z',
+   *   end_at: '2026-10-20T14:30:00.000Z',
+   *   blocked_until: '2026-10-20T14:45:00.000Z',
+   *   status: 'held',
+   *   hold_expires_at: '2026-10-18T10:10:00.000Z'
+   * });
+   * if (result.success && !result.data) {
+   *   // someone else took the slot
+   * }
+   */
+  async createAppointment(appointmentData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Creating appointment`, {
+        rep_id: appointmentData.rep_id,
+        meeting_type: appointmentData.meeting_type,
+        start_at: appointmentData.start_at,
+        status: appointmentData.status
+      });
+
+      const { data, error } = await this.client
+        .from('appointments')
+        .insert([appointmentData])
+        .select()
+        .single();
+
+      if (error) {
+        // exclusion_violation: the rep is already held or booked at that time
+        if (error.code === '23P01') {
+          console.warn(`[${new Date().toISOString()}] [WARN] [DatabaseService] Appointment slot already taken`, {
+            rep_id: appointmentData.rep_id,
+            start_at: appointmentData.start_at
+          });
+          return this.createResponse(true, null, null);
+        }
+
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to create appointment`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in createAppointment`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get an appointment with its rep
+   *
+   * @param {string} appointmentId - Appointment UUID
+   * @returns {Promise<APIResponse>} appointments row with sales_reps, or null data when not found
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getAppointment(appointmentId);
+   * console.log(result.data.sales_reps.name);
+   */
+  async getAppointment(appointmentId) {
+    try {
+      const { data, error } = await this.client
+        .from('appointments')
+        .select('*, sales_reps(*)')
+        .eq('id', appointmentId)
+        .limit(1);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch appointment`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, (data || [])[0] || null, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getAppointment`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * List appointments, earliest first
+   *
+   * @param {Object} [filters={}] - Query filters
+   * @param {string} [filters.status] - held, confirmed, cancelled or expired
+   * @param {string} [filters.repId] - sales_reps UUID
+   * @param {string} [filters.customerId] - Customer UUID
+   * @param {string} [filters.from] - ISO timestamp; appointments starting at or after this
+   * @param {string} [filters.to] - ISO timestamp; appointments starting before this
+   * @param {number} [filters.limit=100] - Maximum rows
+   * @returns {Promise<APIResponse>} Array of appointments rows with sales_reps
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getAppointments({ status: 'confirmed', from: new Date().toISOString() });
+   */
+  async getAppointments(filters = {}) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching appointments`, filters);
+
+      let query = this.client
+        .from('appointments')
+        .select('*, sales_reps(*)');
+
+      if (filters.status) {
+        query = query.eq('status', filters.status);
+      }
+      if (filters.repId) {
+        query = query.eq('rep_id', filters.repId);
+      }
+      if (filters.customerId) {
+        query = query.eq('customer_id', filters.customerId);
+      }
+      if (filters.from) {
+        query = query.gte('start_at', filters.from);
+      }
+      if (filters.to) {
+        query = query.lt('start_at', filters.to);
+      }
+
+      const { data, error } = await query
+        .order('start_at', { ascending: true })
+        .limit(filters.limit || 100);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch appointments`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getAppointments`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Update an appointment, optionally only from given statuses
+   * With fromStatuses the update is conditional, so confirming a hold the
+   * sweep just expired (or cancelling twice) changes nothing.
+   *
+   * @param {string} appointmentId - Appointment UUID
+   * @param {Object} updateData - Fields to update
+   * @param {string[]} [fromStatuses] - Statuses the appointment must be in
+   * @returns {Promise<APIResponse>} Updated row, or null data when no appointment matched
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.updateAppointment(id, {
+   *   status: 'confirmed',
+   *   confirmed_at: new Date().toISOString()
+   * }, ['held']);
+   */
+  async updateAppointment(appointmentId, updateData, fromStatuses = null) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Updating appointment: ${appointmentId}`, {
+        fields: Object.keys(updateData),
+        fromStatuses
+      });
+
+      let query = this.client
+        .from('appointments')
+        .update(updateData)
+        .eq('id', appointmentId);
+
+      if (Array.isArray(fromStatuses) && fromStatuses.length > 0) {
+        query = query.in('status', fromStatuses);
+      }
+
+      const { data, error } = await query.select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to update appointment`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, (data || [])[0] || null, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in updateAppointment`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Release a conversation's open holds
+   * A caller who changes their mind keeps one hold at a time.
+   *
+   * @param {string} conversationId - Conversation UUID
+   * @param {string} [reason='replaced'] - Stored as cancel_reason
+   * @returns {Promise<APIResponse>} Array of released rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await dbService.releaseConversationHolds(conversationId);
+   */
+  async releaseConversationHolds(conversationId, reason = 'replaced') {
+    try {
+      const { data, error } = await this.client
+        .from('appointments')
+        .update({ status: 'cancelled', cancelled_at: new Date().toISOString(), cancel_reason: reason })
+        .eq('conversation_id', conversationId)
+        .eq('status', 'held')
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to release conversation holds`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in releaseConversationHolds`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Mark holds nobody confirmed in time as expired
+   *
+   * @param {string} now - ISO timestamp; holds with hold_expires_at before this expire
+   * @returns {Promise<APIResponse>} Array of expired rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.expireAppointmentHolds(new Date().toISOString());
+   */
+  async expireAppointmentHolds(now) {
+    try {
+      const { data, error } = await this.client
+        .from('appointments')
+        .update({ status: 'expired' })
+        .eq('status', 'held')
+        .lt('hold_expires_at', now)
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to expire appointment holds`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      if (data && data.length > 0) {
+        console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Expired ${data.length} appointment holds`);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in expireAppointmentHolds`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * List knowledge base documents (without their content)
+   *
+   * @param {Object} [filters={}] - Optional filters
+   * @param {string} [filters.agentConfigName] - Only documents for this agent config
+   * @param {string} [filters.status] - pending, indexed or failed
+   * @returns {Promise<APIResponse>} Array of knowledge_documents rows, alphabetical
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getKnowledgeDocuments({ status: 'failed' });
+   */
+  async getKnowledgeDocuments(filters = {}) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetching knowledge documents`, filters);
+
+      let query = this.client
+        .from('knowledge_documents')
+        .select('id, title, format, source_url, agent_config_name, active, status, chunk_count, embedding_model, index_error, indexed_at, created_at, updated_at');
+
+      if (filters.agentConfigName) {
+        query = query.eq('agent_config_name', filters.agentConfigName);
+      }
+      if (filters.status) {
+        query = query.eq('status', filters.status);
+      }
+
+      const { data, error } = await query.order('title', { ascending: true });
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch knowledge documents`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getKnowledgeDocuments`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get a knowledge base document with its content
+   *
+   * @param {string} documentId - Knowledge document UUID
+   * @returns {Promise<APIResponse>} knowledge_documents row, or null data when it does not exist
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getKnowledgeDocument(documentId);
+   */
+  async getKnowledgeDocument(documentId) {
+    try {
+      const { data, error } = await this.client
+        .from('knowledge_documents')
+        .select('*')
+        .eq('id', documentId)
+        .limit(1);
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch knowledge document`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, (data || [])[0] || null, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getKnowledgeDocument`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Create a knowledge base document
+   *
+   * @param {Object} documentData - { title, format, content, content_hash, source_url, agent_config_name, active }
+   * @returns {Promise<APIResponse>} Created knowledge_documents row
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.createKnowledgeDocument({ title: 'Pricing', format: 'markdown', content });
+   */
+  async createKnowledgeDocument(documentData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Creating knowledge document`, {
+        title: documentData.title,
+        format: documentData.format,
+        length: (documentData.content || '').length
+      });
+
+      const { data, error } = await this.client
+        .from('knowledge_documents')
+        .insert([documentData])
+        .select()
+        .single();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to create knowledge document`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in createKnowledgeDocument`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Update a knowledge base document
+   *
+   * @param {string} documentId - Knowledge document UUID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<APIResponse>} Updated row, or null data when the document does not exist
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.updateKnowledgeDocument(documentId, { active: false });
+   */
+  async updateKnowledgeDocument(documentId, updateData) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Updating knowledge document: ${documentId}`, {
+        fields: Object.keys(updateData)
+      });
+
+      const { data, error } = await this.client
+        .from('knowledge_documents')
+        .update(updateData)
+        .eq('id', documentId)
+        .select();
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to update knowledge document`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, (data || [])[0] || null, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in updateKnowledgeDocument`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Delete a knowledge base document (its chunks are deleted with it)
+   *
+   * @param {string} documentId - Knowledge document UUID
+   * @returns {Promise<APIResponse>} Array of deleted rows (empty when the document did not exist)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.deleteKnowledgeDocument(documentId);
+   */
+  async deleteKnowledgeDocument(documentId) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Deleting knowledge document: ${documentId}`);
+
+      const { data, error } = await this.client
+        .from('knowledge_documents')
+        .delete()
+        .eq('id', documentId)
+        .select('id');
+
+      if (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to delete knowledge document`, error);
+        return this.createResponse(false, null, error.message);
+      }
+
+      return this.createResponse(true, data || [], null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in deleteKnowledgeDocument`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Replace the chunks of a knowledge base document
+   *
+   * @param {string} documentId - Knowledge document UUID
+   * @param {Array<Object>} chunks - [{ chunk_index, heading, content, embedding }]
+   * @returns {Promise<APIResponse>} { count } of chunks stored
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.replaceKnowledgeChunks(documentId, [{ chunk_index: 0, heading: 'Pricing', content, embedding }]);
+   */
+  async replaceKnowledgeChunks(documentId, chunks) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Replacing knowledge chunks: ${documentId}`, {
+        count: chunks.length
+      });
+
+      const { error: deleteError } = await this.client
+        .from('knowledge_chunks')
+        .delete()
+        .eq('document_id', documentId);
+
+      if (deleteError) {
+        console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to delete knowledge chunks`, deleteError);
+        return this.createResponse(false, null, deleteError.message);
+      }
+
+      // Embeddings are large; insert in batches to keep requests small
+      for (let start = 0; start < chunks.length; start += KNOWLEDGE_CHUNK_BATCH_SIZE) {
+        const batch = chunks
+          .slice(start, start + KNOWLEDGE_CHUNK_BATCH_SIZE)
+          .map(chunk => ({ ...chunk, document_id: documentId }));
+
+        const { error } = await this.client
+          .from('knowledge_chunks')
+          .insert(batch);
+
+        if (error) {
+          console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to store knowledge chunks`, error);
+          return this.createResponse(false, null, error.message);
+        }
+      }
+
+      return this.createResponse(true, { count: chunks.length }, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in replaceKnowledgeChunks`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
+  /**
+   * Get the chunks of every active, indexed knowledge document
+   * Rows are read a page at a time, since Supabase caps a single response.
+   *
+   * @param {Object} [filters={}] - Optional filters
+   * @param {string} [filters.embeddingModel] - Only documents embedded with this model
+   * @returns {Promise<APIResponse>} Array of knowledge_chunks rows with knowledge_documents (title, agent_config_name, source_url)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await dbService.getKnowledgeChunks({ embeddingModel: 'text-embedding-3-small' });
+   */
+  async getKnowledgeChunks(filters = {}) {
+    try {
+      const rows = [];
+
+      for (let from = 0; ; from += KNOWLEDGE_CHUNK_PAGE_SIZE) {
+        let query = this.client
+          .from('knowledge_chunks')
+          .select('id, document_id, chunk_index, heading, content, embedding, knowledge_documents!inner(title, agent_config_name, source_url)')
+          .eq('knowledge_documents.active', true)
+          .eq('knowledge_documents.status', 'indexed');
+
+        if (filters.embeddingModel) {
+          query = query.eq('knowledge_documents.embedding_model', filters.embeddingModel);
+        }
+
+        const { data, error } = await query
+          .order('id', { ascending: true })
+          .range(from, from + KNOWLEDGE_CHUNK_PAGE_SIZE - 1);
+
+        if (error) {
+          console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Failed to fetch knowledge chunks`, error);
+          return this.createResponse(false, null, error.message);
+        }
+
+        rows.push(...(data || []));
+
+        if (!data || data.length < KNOWLEDGE_CHUNK_PAGE_SIZE) {
+          break;
+        }
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [DatabaseService] Fetched ${rows.length} knowledge chunks`);
+
+      return this.createResponse(true, rows, null);
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [DatabaseService] Exception in getKnowledgeChunks`, error);
+      return this.createResponse(false, null, error.message);
+    }
+  }
+
 }
 
 module.exports = DatabaseService;
@@ -2,7 +2,7 @@
  * @fileoverview Email notification service using Mailgun API
  * @author LegacyAI Subagent Fleet - Integration Agent Builder
  * @created 2025-10-01T00:00:00Z
- * @lastModified 2025-10-01T00:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * The EmailService handles:
  * - Sending individual emails via Mailgun
@@ -10,6 +10,7 @@
  * - Sending escalation alerts for urgent matters
  * - HTML and plain text email support
  * - Email template management
+ * - File attachments (e.g. calendar invites)
  * - Retry logic for failed deliveries
  */
 
@@ -131,9 +132,11 @@ class EmailService {
    * @param {Object} [options] - Additional email options
    * @param {string} [options.from] - Custom from address
    * @param {boolean} [options.isHtml=true] - Whether body is HTML
+   * @param {Array<Object>} [options.attachments] - Files to attach: [{ filename, content, contentType }]
+   *   (content is a string or Buffer)
    * @returns {Promise<EmailResult>} Send result
    * @created 2025-10-01T00:00:00Z
-   * @lastModified 2025-10-01T00:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * const result = await service.sendEmail(
@@ -141,6 +144,11 @@ class EmailService {
    *   'Welcome to LegacyAI',
    *   '<h1>Welcome!</h1><p>Thanks for signing up.</p>'
    * );
+   *
+   * @example
+   * await service.sendEmail('pat@example.com', 'Your demo', '<p>See you then.</p>', {
+   *   attachments: [{ filename: 'invite.ics', content: ics, contentType: 'text/calendar; method=REQUEST' }]
+   * });
    */
   async sendEmail(to, subject, body, options = {}) {
     const startTime = Date.now();
@@ -174,6 +182,14 @@ class EmailService {
         emailData.text = this._stripHtml(body);
       }
 
+      if (Array.isArray(options.attachments) && options.attachments.length > 0) {
+        emailData.attachment = options.attachments.map(attachment => ({
+          filename: attachment.filename,
+          data: Buffer.isBuffer(attachment.content) ? attachment.content : Buffer.from(String(attachment.content)),
+          ...(attachment.contentType ? { contentType: attachment.contentType } : {}),
+        }));
+      }
+
       // Send email via Mailgun
       const result = await this._sendViaMailgun(emailData);
 
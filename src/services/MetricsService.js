@@ -2,13 +2,16 @@
  * @fileoverview Metrics calculation service for analytics processing
  * @author LegacyAI Analytics Agent
  * @created 2025-10-01T12:00:00Z
- * @lastModified 2025-10-01T12:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This service provides comprehensive metrics calculation functionality:
  * - Duration calculations and aggregations
  * - Sentiment analysis and averaging
  * - Success rate calculations
  * - Escalation rate tracking
+ * - Answering-machine detection outcome counts
+ * - Results by IVR menu selection
+ * - No-input/no-match reprompt outcome counts
  * - Trend identification and analysis
  * - Summary and insight generation
  * - Export capabilities (JSON/CSV)
@@ -257,6 +260,181 @@ class MetricsService {
     }
   }
 
+  /**
+   * Count outbound answering-machine detection outcomes
+   * Reads conversation.metadata.amd written by VoiceGatewayAgent.handleAmdResult
+   *
+   * @param {Array<Object>} calls - Array of conversation objects
+   * @param {Object} calls[].metadata - Conversation metadata
+   * @returns {Object} Counts by outcome plus voicemails left
+   * @returns {number} return.human - Answered by a person
+   * @returns {number} return.machine - Answered by voicemail/answering machine
+   * @returns {number} return.fax - Answered by a fax machine
+   * @returns {number} return.unknown - Detection was inconclusive
+   * @returns {number} return.voicemailsLeft - Machine-answered calls where the voicemail script was played
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const calls = [
+   *   { metadata: { amd: { outcome: 'human' } } },
+   *   { metadata: { amd: { outcome: 'machine', voicemailLeft: true } } },
+   *   { metadata: {} }
+   * ];
+   * const counts = metricsService.countAnsweringOutcomes(calls);
+   * // Returns: { human: 1, machine: 1, fax: 0, unknown: 0, voicemailsLeft: 1 }
+   */
+  countAnsweringOutcomes(calls) {
+    const counts = { human: 0, machine: 0, fax: 0, unknown: 0, voicemailsLeft: 0 };
+
+    try {
+      if (!Array.isArray(calls)) {
+        return counts;
+      }
+
+      // Only calls that went through detection carry metadata.amd
+      calls.forEach(call => {
+        const amd = call.metadata && call.metadata.amd;
+        if (!amd || !amd.outcome) {
+          return;
+        }
+
+        if (counts[amd.outcome] !== undefined) {
+          counts[amd.outcome]++;
+        }
+
+        if (amd.voicemailLeft) {
+          counts.voicemailsLeft++;
+        }
+      });
+
+      console.log(`[${new Date().toISOString()}] [DEBUG] [MetricsService] Answering outcomes counted`, counts);
+
+      return counts;
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [MetricsService] Error counting answering outcomes`, error);
+      return counts;
+    }
+  }
+
+  /**
+   * Count no-input/no-match misses and how those calls ended
+   * Reads conversation.metadata.dialog written by VoiceGatewayAgent reprompts
+   *
+   * @param {Array<Object>} calls - Array of conversation objects
+   * @returns {Object} Counts of affected calls, misses and outcomes
+   * @returns {number} return.calls - Calls with at least one miss or keypad choice
+   * @returns {number} return.noInput - Silent turns across all calls
+   * @returns {number} return.noMatch - Misunderstood turns across all calls
+   * @returns {Object} return.outcomes - Calls by outcome (recovered, ended_no_input, ended_no_match, keypad_transfer, keypad_message)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const calls = [
+   *   { metadata: { dialog: { noInput: 2, outcome: 'recovered' } } },
+   *   { metadata: { dialog: { noInput: 4, outcome: 'ended_no_input' } } }
+   * ];
+   * const counts = metricsService.countDialogOutcomes(calls);
+   * // Returns: { calls: 2, noInput: 6, noMatch: 0, outcomes: { recovered: 1, ended_no_input: 1, ... } }
+   */
+  countDialogOutcomes(calls) {
+    const counts = {
+      calls: 0,
+      noInput: 0,
+      noMatch: 0,
+      outcomes: { recovered: 0, ended_no_input: 0, ended_no_match: 0, keypad_transfer: 0, keypad_message: 0 }
+    };
+
+    try {
+      if (!Array.isArray(calls)) {
+        return counts;
+      }
+
+      calls.forEach(call => {
+        const dialog = call.metadata && call.metadata.dialog;
+        if (!dialog) {
+          return;
+        }
+
+        counts.calls++;
+        counts.noInput += dialog.noInput || 0;
+        counts.noMatch += dialog.noMatch || 0;
+
+        if (counts.outcomes[dialog.outcome] !== undefined) {
+          counts.outcomes[dialog.outcome]++;
+        }
+      });
+
+      console.log(`[${new Date().toISOString()}] [DEBUG] [MetricsService] Dialog outcomes counted`, counts);
+
+      return counts;
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [MetricsService] Error counting dialog outcomes`, error);
+      return counts;
+    }
+  }
+
+  /**
+   * Break call results down by IVR menu selection
+   * Reads conversation.metadata.ivr written by VoiceGatewayAgent; calls that
+   * never reached a menu are skipped, and callers who spoke instead of
+   * choosing an option are grouped under 'unmatched'.
+   *
+   * @param {Array<Object>} calls - Array of conversation objects
+   * @returns {Object} Map of selection label to { calls, escalations, avgSentiment }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const calls = [
+   *   { escalated: false, sentiment_score: 0.8, metadata: { ivr: { selection: 'sales' } } },
+   *   { escalated: true, sentiment_score: 0.2, metadata: { ivr: { selection: 'support' } } }
+   * ];
+   * const breakdown = metricsService.summarizeByMenuSelection(calls);
+   * // Returns: { sales: { calls: 1, escalations: 0, avgSentiment: 0.8 }, support: { calls: 1, escalations: 1, avgSentiment: 0.2 } }
+   */
+  summarizeByMenuSelection(calls) {
+    const breakdown = {};
+
+    try {
+      if (!Array.isArray(calls)) {
+        return breakdown;
+      }
+
+      const groups = {};
+
+      calls.forEach(call => {
+        const ivr = call.metadata && call.metadata.ivr;
+        if (!ivr) {
+          return;
+        }
+
+        const selection = ivr.selection || 'unmatched';
+        groups[selection] = groups[selection] || [];
+        groups[selection].push(call);
+      });
+
+      Object.entries(groups).forEach(([selection, group]) => {
+        breakdown[selection] = {
+          calls: group.length,
+          escalations: group.filter(call => call.escalated === true).length,
+          avgSentiment: this.calculateAverageSentiment(group)
+        };
+      });
+
+      console.log(`[${new Date().toISOString()}] [DEBUG] [MetricsService] Menu selection breakdown calculated for ${Object.keys(breakdown).length} selections`);
+
+      return breakdown;
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [MetricsService] Error summarizing menu selections`, error);
+      return breakdown;
+    }
+  }
+
   /**
    * Identify trends in time-series data points
    * Analyzes direction (improving/declining/stable) and strength
@@ -2,17 +2,20 @@
  * @fileoverview OpenAI API service wrapper for Whisper transcription and GPT-4 completions
  * @author LegacyAI Subagent Fleet - Conversation Agent Builder
  * @created 2025-10-01T12:00:00Z
- * @lastModified 2025-10-01T12:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This service provides a comprehensive interface for OpenAI API operations including:
  * - Audio transcription using Whisper
+ * - Speech synthesis (text-to-speech)
  * - Text completions using GPT-4
+ * - Text embeddings for knowledge base retrieval
  * - Token usage tracking
  * - Retry logic with exponential backoff
  * - Health checks and monitoring
  */
 
 const OpenAI = require('openai');
+const { toFile } = require('openai');
 
 class OpenAIService {
   /**
@@ -21,8 +24,9 @@ class OpenAIService {
    * @param {string} config.apiKey - OpenAI API key
    * @param {string} [config.model='gpt-4-1106-preview'] - Default GPT model
    * @param {string} [config.realtimeModel='whisper-1'] - Whisper model
+   * @param {string} [config.embeddingModel='text-embedding-3-small'] - Embedding model
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   constructor(config) {
     console.log(`[${new Date().toISOString()}] [INFO] [OpenAIService] Initializing OpenAI service`);
@@ -30,6 +34,9 @@ class OpenAIService {
     this.config = config;
     this.model = config.model || 'gpt-4-1106-preview';
     this.realtimeModel = config.realtimeModel || 'whisper-1';
+    this.ttsModel = config.ttsModel || 'tts-1';
+    this.ttsVoice = config.ttsVoice || 'alloy';
+    this.embeddingModel = config.embeddingModel || 'text-embedding-3-small';
 
     // Initialize OpenAI client
     this.client = new OpenAI({
@@ -54,9 +61,10 @@ class OpenAIService {
    * @param {Object} [options] - Transcription options
    * @param {string} [options.language] - Language code (e.g., 'en')
    * @param {string} [options.prompt] - Optional prompt to guide transcription
+   * @param {string} [options.filename='audio.wav'] - Upload filename when audioInput is a Buffer
    * @returns {Promise<Object>} Transcription result
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
    * @example
    * const result = await openaiService.transcribeAudio(audioBuffer, { language: 'en' });
    * console.log(result.text);
@@ -70,9 +78,14 @@ class OpenAIService {
 
       this.totalRequests++;
 
+      // Raw buffers (e.g. buffered Media Streams audio) must be wrapped as uploadable files
+      const file = Buffer.isBuffer(audioInput)
+        ? await toFile(audioInput, options.filename || 'audio.wav')
+        : audioInput;
+
       // Prepare transcription parameters
       const params = {
-        file: audioInput,
+        file,
         model: this.realtimeModel,
       };
 
@@ -118,6 +131,77 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Synthesize speech from text using OpenAI text-to-speech
+   * @param {string} text - Text to speak
+   * @param {Object} [options] - Synthesis options
+   * @param {string} [options.voice] - Voice name (alloy, echo, fable, onyx, nova, shimmer)
+   * @param {string} [options.model] - Override default TTS model
+   * @param {string} [options.format='pcm'] - Output format (pcm = 24kHz signed 16-bit LE)
+   * @param {number} [options.speed] - Playback speed (0.25-4.0)
+   * @returns {Promise<Object>} Synthesis result with audio Buffer
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   * @example
+   * const result = await openaiService.synthesizeSpeech('Hello there!', { voice: 'nova' });
+   * console.log(result.audio.length);
+   */
+  async synthesizeSpeech(text, options = {}) {
+    const startTime = Date.now();
+    const requestId = this.generateRequestId();
+
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [OpenAIService] [${requestId}] Synthesizing speech - Text length: ${text.length}`);
+
+      this.totalRequests++;
+
+      const params = {
+        model: options.model || this.ttsModel,
+        voice: options.voice || this.ttsVoice,
+        input: text,
+        response_format: options.format || 'pcm',
+      };
+
+      if (options.speed) {
+        params.speed = options.speed;
+      }
+
+      // Execute synthesis with retry logic
+      const response = await this.executeWithRetry(async () => {
+        return await this.client.audio.speech.create(params);
+      });
+
+      const audio = Buffer.from(await response.arrayBuffer());
+      const latency = Date.now() - startTime;
+
+      console.log(`[${new Date().toISOString()}] [INFO] [OpenAIService] [${requestId}] Speech synthesized in ${latency}ms - Bytes: ${audio.length}`);
+
+      return {
+        audio,
+        format: params.response_format,
+        sampleRate: params.response_format === 'pcm' ? 24000 : null,
+        voice: params.voice,
+        latencyMs: latency,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+
+    } catch (error) {
+      const latency = Date.now() - startTime;
+      this.totalErrors++;
+
+      console.error(`[${new Date().toISOString()}] [ERROR] [OpenAIService] [${requestId}] Speech synthesis failed after ${latency}ms`, error);
+
+      throw {
+        error: error.message,
+        code: error.code || 'SYNTHESIS_ERROR',
+        latencyMs: latency,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+    }
+  }
+
   /**
    * Generate text completion using GPT-4
    * @param {Array<Object>} messages - Array of message objects with role and content
@@ -191,6 +275,73 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Embed texts for similarity search
+   * @param {Array<string>} texts - Texts to embed (one request; keep batches small)
+   * @param {Object} [options] - Embedding options
+   * @param {string} [options.model] - Override default embedding model
+   * @returns {Promise<Object>} Embedding result with one vector per text, in order
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @example
+   * const result = await openaiService.createEmbeddings(['Team plan pricing', 'Refund policy']);
+   * console.log(result.embeddings.length); // 2
+   */
+  async createEmbeddings(texts, options = {}) {
+    const startTime = Date.now();
+    const requestId = this.generateRequestId();
+
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [OpenAIService] [${requestId}] Creating embeddings - Texts: ${texts.length}`);
+
+      this.totalRequests++;
+
+      const params = {
+        model: options.model || this.embeddingModel,
+        input: texts,
+      };
+
+      // Execute embedding with retry logic
+      const response = await this.executeWithRetry(async () => {
+        return await this.client.embeddings.create(params);
+      });
+
+      const latency = Date.now() - startTime;
+      const tokensUsed = response.usage ? response.usage.total_tokens : 0;
+      this.totalTokensUsed += tokensUsed;
+
+      // The API may return items out of order; index says which input each belongs to
+      const embeddings = [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+
+      console.log(`[${new Date().toISOString()}] [INFO] [OpenAIService] [${requestId}] Embeddings created in ${latency}ms - Tokens: ${tokensUsed}`);
+
+      return {
+        embeddings,
+        model: response.model || params.model,
+        tokensUsed,
+        latencyMs: latency,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+
+    } catch (error) {
+      const latency = Date.now() - startTime;
+      this.totalErrors++;
+
+      console.error(`[${new Date().toISOString()}] [ERROR] [OpenAIService] [${requestId}] Embedding failed after ${latency}ms`, error);
+
+      throw {
+        error: error.message,
+        code: error.code || 'EMBEDDING_ERROR',
+        latencyMs: latency,
+        timestamp: new Date().toISOString(),
+        requestId,
+      };
+    }
+  }
+
   /**
    * Execute operation with retry logic and exponential backoff
    * @param {Function} operation - Async operation to execute
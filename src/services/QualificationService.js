@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Lead qualification: slot filling during conversations and lead scoring
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * - A session is started per conversation for personas with
+ *   agent_configs.qualification (BANT, MEDDIC or custom slots)
+ * - The state carries over from the customer's last qualification with the
+ *   same framework, so a returning lead is not asked everything again
+ * - Slot values come from caller turns and from the record_qualification tool
+ * - Each change is written to conversations.qualification, and the customer's
+ *   lead_score, qualified/unqualified tag and qualification are updated
+ *   through DatabaseService.updateCustomer
+ */
+
+const {
+  resolveFramework,
+  createQualificationState,
+  extractQualificationSlots,
+  mergeQualificationSlots,
+  scoreQualification
+} = require('../utils/leadQualification');
+
+/**
+ * Tags kept in step with the qualification status
+ * @constant {Object}
+ */
+const STATUS_TAGS = {
+  qualified: 'qualified',
+  unqualified: 'unqualified'
+};
+
+/**
+ * Defaults when config.qualification is not set (see environment.getQualificationConfig)
+ * @constant {Object}
+ */
+const DEFAULT_QUALIFICATION_CONFIG = {
+  enabled: true,
+  qualifiedScore: 70,
+  unqualifiedScore: 40,
+  minConfidence: 0.5
+};
+
+/**
+ * QualificationService class - Fills qualification slots and scores leads
+ *
+ * @class QualificationService
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class QualificationService {
+  /**
+   * Initialize QualificationService
+   *
+   * @param {Object} [config={}] - Qualification configuration (see environment.getQualificationConfig)
+   * @param {Object} dbService - DatabaseService instance
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const qualification = new QualificationService(config.qualification, dbService);
+   * const session = await qualification.startSession({ conversationId, customerId, settings: persona.qualification });
+   */
+  constructor(config = {}, dbService) {
+    this.config = { ...DEFAULT_QUALIFICATION_CONFIG, ...(config || {}) };
+    this.dbService = dbService;
+
+    console.log(`[${new Date().toISOString()}] [INFO] [QualificationService] QualificationService initialized`, {
+      enabled: this.config.enabled,
+      qualifiedScore: this.config.qualifiedScore,
+      unqualifiedScore: this.config.unqualifiedScore
+    });
+  }
+
+  /**
+   * Start qualifying a conversation
+   * The conversation's stored state is used when it has one; otherwise the
+   * customer's last qualification with the same framework.
+   *
+   * @param {Object} options - Session options
+   * @param {string} options.conversationId - Conversation UUID
+   * @param {string} [options.customerId] - Customer UUID (lead score is only written with one)
+   * @param {Object} [options.settings] - agent_configs.qualification
+   * @param {Object} [options.state] - conversations.qualification
+   * @returns {Promise<Object|null>} { framework, conversationId, customerId, state }, or null when the persona does not qualify leads
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async startSession(options = {}) {
+    if (!this.config.enabled || !options.conversationId) {
+      return null;
+    }
+
+    const framework = resolveFramework(options.settings, this.config);
+    if (!framework) {
+      return null;
+    }
+
+    let state = options.state && options.state.framework === framework.name ? options.state : null;
+
+    if (!state && options.customerId) {
+      const customer = await this.dbService.getCustomer(options.customerId);
+      const previous = customer.success && customer.data ? customer.data.qualification : null;
+      if (previous && previous.framework === framework.name) {
+        state = previous;
+      }
+    }
+
+    return {
+      framework,
+      conversationId: options.conversationId,
+      customerId: options.customerId || null,
+      state: state || createQualificationState(framework)
+    };
+  }
+
+  /**
+   * Fill slots from what the caller said
+   *
+   * @param {Object} session - From startSession()
+   * @param {string} text - Caller utterance
+   * @param {Object} [source={}] - { messageId, turn }
+   * @returns {Promise<Object>} Same as recordSlots()
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await qualification.recordFromText(session, 'We need it by next month', { messageId, turn: 4 });
+   */
+  async recordFromText(session, text, source = {}) {
+    const values = extractQualificationSlots(text, session.framework);
+    return this.recordSlots(session, values, { ...source, source: 'caller' });
+  }
+
+  /**
+   * Record slot values, rescore and write the result
+   * The session state is updated in place, so later turns see it at once.
+   *
+   * @param {Object} session - From startSession()
+   * @param {Object} values - Slot name -> { value, confidence, fit }
+   * @param {Object} [source={}] - { source: 'caller' | 'ai', messageId, turn }
+   * @returns {Promise<Object>} { success, data: { changed, score, status, state }, error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await qualification.recordSlots(session, { budget: { value: '$20k a year', confidence: 0.9, fit: 1 } }, { source: 'ai', turn: 3 });
+   */
+  async recordSlots(session, values, source = {}) {
+    try {
+      const { slots, changed } = mergeQualificationSlots(session.state, session.framework, values, {
+        ...source,
+        conversationId: session.conversationId
+      }, this.config.minConfidence);
+
+      if (changed.length === 0) {
+        return {
+          success: true,
+          data: { changed, score: session.state.score, status: session.state.status, state: session.state },
+          error: null
+        };
+      }
+
+      const previousStatus = session.state.status;
+      const { score, status } = scoreQualification(session.framework, slots);
+      session.state = {
+        framework: session.framework.name,
+        slots,
+        score,
+        status,
+        updatedAt: new Date().toISOString()
+      };
+
+      const conversationResult = await this.dbService.updateConversation(session.conversationId, {
+        qualification: session.state
+      });
+      if (!conversationResult.success) {
+        console.warn(`[${new Date().toISOString()}] [WARN] [QualificationService] Failed to store conversation qualification: ${conversationResult.error}`);
+      }
+
+      if (session.customerId) {
+        await this.updateLeadScore(session.customerId, session.state);
+      }
+
+      console.log(`[${new Date().toISOString()}] [INFO] [QualificationService] Qualification updated`, {
+        conversationId: session.conversationId,
+        changed,
+        score,
+        status,
+        ...(status !== previousStatus ? { previousStatus } : {})
+      });
+
+      return { success: true, data: { changed, score, status, state: session.state }, error: null };
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [QualificationService] Exception in recordSlots`, error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Write the lead score, status tag and qualification to the customer
+   * The qualified/unqualified tags follow the status; other tags are kept.
+   *
+   * @param {string} customerId - Customer UUID
+   * @param {Object} state - Qualification state
+   * @returns {Promise<Object>} DatabaseService response
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async updateLeadScore(customerId, state) {
+    const current = await this.dbService.getCustomer(customerId);
+    const statusTags = Object.values(STATUS_TAGS);
+    const tags = ((current.success && current.data && current.data.tags) || [])
+      .filter(tag => !statusTags.includes(tag));
+
+    if (STATUS_TAGS[state.status]) {
+      tags.push(STATUS_TAGS[state.status]);
+    }
+
+    const result = await this.dbService.updateCustomer(customerId, {
+      lead_score: state.score,
+      tags,
+      qualification: state
+    });
+
+    if (!result.success) {
+      console.warn(`[${new Date().toISOString()}] [WARN] [QualificationService] Failed to update lead score: ${result.error}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Summarize a session for API responses
+   *
+   * @param {Object|null} session - From startSession()
+   * @returns {Object|null} { framework, score, status, slots, missing }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  describe(session) {
+    if (!session) {
+      return null;
+    }
+
+    const { missing } = scoreQualification(session.framework, session.state.slots || {});
+
+    return {
+      framework: session.framework.name,
+      score: session.state.score,
+      status: session.state.status,
+      slots: session.state.slots || {},
+      missing
+    };
+  }
+}
+
+module.exports = QualificationService;
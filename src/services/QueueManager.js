@@ -2,11 +2,12 @@
  * @fileoverview Queue management system using BullMQ and Redis for job processing
  * @author LegacyAI Subagent Fleet - Queue Agent
  * @created 2025-10-01T16:00:00Z
- * @lastModified 2025-10-01T16:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This service provides:
  * - BullMQ queue initialization with Redis (Upstash)
- * - Job management for calls, analytics, and integrations
+ * - Job management for calls, analytics, integrations and outbound campaigns
+ * - Repeatable scheduled-task and call-reconciliation sweep jobs
  * - Worker orchestration and lifecycle management
  * - Retry logic with exponential backoff
  * - Dead letter queue handling
@@ -23,6 +24,8 @@ const QUEUE_NAMES = {
   CALLS: 'voice-calls',
   ANALYTICS: 'voice-analytics',
   INTEGRATIONS: 'voice-integrations',
+  CAMPAIGNS: 'voice-campaigns',
+  TASKS: 'voice-tasks',
 };
 
 /**
@@ -59,7 +62,7 @@ class QueueManager {
    * @param {string} config.redisToken - Upstash Redis authentication token
    * @param {string} [config.queuePrefix='legacyai:voice:'] - Prefix for queue names
    * @created 2025-10-01T16:00:00Z
-   * @lastModified 2025-10-01T16:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * const queueManager = new QueueManager({
@@ -127,6 +130,16 @@ class QueueManager {
         prefix: config.queuePrefix || 'legacyai:voice:',
         defaultJobOptions: DEFAULT_JOB_OPTIONS,
       }),
+      campaigns: new Queue(QUEUE_NAMES.CAMPAIGNS, {
+        connection: this.connection,
+        prefix: config.queuePrefix || 'legacyai:voice:',
+        defaultJobOptions: DEFAULT_JOB_OPTIONS,
+      }),
+      tasks: new Queue(QUEUE_NAMES.TASKS, {
+        connection: this.connection,
+        prefix: config.queuePrefix || 'legacyai:voice:',
+        defaultJobOptions: DEFAULT_JOB_OPTIONS,
+      }),
     };
 
     // Initialize queue events for monitoring
@@ -143,6 +156,14 @@ class QueueManager {
         connection: this.connection,
         prefix: config.queuePrefix || 'legacyai:voice:',
       }),
+      campaigns: new QueueEvents(QUEUE_NAMES.CAMPAIGNS, {
+        connection: this.connection,
+        prefix: config.queuePrefix || 'legacyai:voice:',
+      }),
+      tasks: new QueueEvents(QUEUE_NAMES.TASKS, {
+        connection: this.connection,
+        prefix: config.queuePrefix || 'legacyai:voice:',
+      }),
     };
 
     // Workers array to track all workers
@@ -161,7 +182,7 @@ class QueueManager {
     // Setup queue event listeners for metrics
     this.setupQueueEventListeners();
 
-    console.log(`[${new Date().toISOString()}] [INFO] [QueueManager] QueueManager initialized with 3 queues: ${Object.keys(this.queues).join(', ')}`);
+    console.log(`[${new Date().toISOString()}] [INFO] [QueueManager] QueueManager initialized with ${Object.keys(this.queues).length} queues: ${Object.keys(this.queues).join(', ')}`);
   }
 
   /**
@@ -438,6 +459,231 @@ class QueueManager {
     }
   }
 
+  /**
+   * Add an outbound campaign job to the queue
+   * Campaign jobs run once: the dialer schedules its own retries, and a
+   * re-run dial job could call the same contact twice.
+   *
+   * @param {string} type - Campaign job type: 'dispatch', 'dial'
+   * @param {Object} data - Job data payload (campaignId, contactId, token)
+   * @param {Object} [options] - Job options
+   * @param {number} [options.delay=0] - Milliseconds to wait before the job runs
+   * @param {number} [options.priority=5] - Job priority (0-10)
+   * @returns {Promise<APIResponse>} Response with job details
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await queueManager.addCampaignJob(
+   *   'dial',
+   *   { campaignId: 'uuid', contactId: 'uuid', token: 'abc' },
+   *   { delay: 6000 }
+   * );
+   */
+  async addCampaignJob(type, data, options = {}) {
+    const requestId = this.generateRequestId();
+    const timestamp = new Date().toISOString();
+    const { delay = 0, priority = 5 } = options;
+
+    try {
+      console.log(`[${timestamp}] [INFO] [QueueManager] Adding campaign job to queue: ${type}, delay: ${delay}ms`);
+
+      // Validate type
+      const validTypes = ['dispatch', 'dial'];
+      if (!validTypes.includes(type)) {
+        throw new Error(`Invalid campaign job type: ${type}. Must be one of: ${validTypes.join(', ')}`);
+      }
+
+      // Create job data
+      const jobData = {
+        type,
+        data,
+        priority,
+        attempts: 0,
+        createdAt: timestamp,
+        requestId,
+      };
+
+      // Add job to queue
+      const job = await this.queues.campaigns.add(
+        `campaign-${type}`,
+        jobData,
+        {
+          priority,
+          delay,
+          attempts: 1,
+          jobId: `campaign-${type}-${data.contactId || data.campaignId}-${Date.now()}`,
+        }
+      );
+
+      // Update metrics
+      this.metrics.totalJobsAdded++;
+      this.metrics.jobsAddedByType[type] = (this.metrics.jobsAddedByType[type] || 0) + 1;
+
+      console.log(`[${timestamp}] [INFO] [QueueManager] Campaign job added successfully: ${job.id}`);
+
+      return {
+        success: true,
+        data: {
+          jobId: job.id,
+          type,
+          queueName: QUEUE_NAMES.CAMPAIGNS,
+          priority,
+          delay,
+        },
+        error: null,
+        timestamp,
+        requestId,
+      };
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [QueueManager] Failed to add campaign job:`, error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp,
+        requestId,
+      };
+    }
+  }
+
+  /**
+   * Schedule the repeatable scheduled-task sweep
+   * Uses a fixed repeat key, so calling this from several instances (or on
+   * every restart) still leaves a single sweep running.
+   *
+   * @param {number} everyMs - Interval between sweeps in milliseconds
+   * @returns {Promise<APIResponse>} Response with job details
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await queueManager.scheduleTaskSweep(30000);
+   */
+  async scheduleTaskSweep(everyMs) {
+    const requestId = this.generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    try {
+      console.log(`[${timestamp}] [INFO] [QueueManager] Scheduling task sweep every ${everyMs}ms`);
+
+      if (!Number.isInteger(everyMs) || everyMs <= 0) {
+        throw new Error(`Invalid sweep interval: ${everyMs}. Must be a positive number of milliseconds`);
+      }
+
+      // Add repeatable job to queue
+      const job = await this.queues.tasks.add(
+        'tasks-sweep',
+        {
+          type: 'sweep',
+          data: {},
+          createdAt: timestamp,
+          requestId,
+        },
+        {
+          repeat: { every: everyMs },
+          jobId: 'tasks-sweep',
+          attempts: 1, // The next sweep picks up anything this one missed
+        }
+      );
+
+      console.log(`[${timestamp}] [INFO] [QueueManager] Task sweep scheduled: ${job.id}`);
+
+      return {
+        success: true,
+        data: {
+          jobId: job.id,
+          type: 'sweep',
+          queueName: QUEUE_NAMES.TASKS,
+          everyMs,
+        },
+        error: null,
+        timestamp,
+        requestId,
+      };
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [QueueManager] Failed to schedule task sweep:`, error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp,
+        requestId,
+      };
+    }
+  }
+
+  /**
+   * Schedule the repeatable call sweep
+   * The calls worker runs it as the 'reconcile_calls' action, closing calls
+   * whose final status callback never arrived. Uses a fixed repeat key like
+   * the task sweep.
+   *
+   * @param {number} everyMs - Interval between sweeps in milliseconds
+   * @returns {Promise<APIResponse>} Response with job details
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await queueManager.scheduleCallSweep(300000);
+   */
+  async scheduleCallSweep(everyMs) {
+    const requestId = this.generateRequestId();
+    const timestamp = new Date().toISOString();
+
+    try {
+      console.log(`[${timestamp}] [INFO] [QueueManager] Scheduling call sweep every ${everyMs}ms`);
+
+      if (!Number.isInteger(everyMs) || everyMs <= 0) {
+        throw new Error(`Invalid sweep interval: ${everyMs}. Must be a positive number of milliseconds`);
+      }
+
+      // Add repeatable job to queue
+      const job = await this.queues.calls.add(
+        'calls-reconcile',
+        {
+          callSid: null,
+          action: 'reconcile_calls',
+          data: {},
+          createdAt: timestamp,
+          requestId,
+        },
+        {
+          repeat: { every: everyMs },
+          jobId: 'calls-reconcile',
+          attempts: 1, // The next sweep picks up anything this one missed
+        }
+      );
+
+      console.log(`[${timestamp}] [INFO] [QueueManager] Call sweep scheduled: ${job.id}`);
+
+      return {
+        success: true,
+        data: {
+          jobId: job.id,
+          action: 'reconcile_calls',
+          queueName: QUEUE_NAMES.CALLS,
+          everyMs,
+        },
+        error: null,
+        timestamp,
+        requestId,
+      };
+    } catch (error) {
+      console.error(`[${timestamp}] [ERROR] [QueueManager] Failed to schedule call sweep:`, error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp,
+        requestId,
+      };
+    }
+  }
+
   /**
    * Setup workers for processing jobs
    * Workers are created but not started automatically
@@ -446,15 +692,19 @@ class QueueManager {
    * @param {Function} processors.callProcessor - Call queue processor
    * @param {Function} processors.analyticsProcessor - Analytics queue processor
    * @param {Function} processors.integrationProcessor - Integration queue processor
+   * @param {Function} processors.campaignProcessor - Campaign queue processor
+   * @param {Function} processors.taskProcessor - Scheduled-task sweep processor
    * @returns {Promise<void>}
    * @created 2025-10-01T16:00:00Z
-   * @lastModified 2025-10-01T16:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * await queueManager.setupWorkers({
    *   callProcessor: async (job) => { ... },
    *   analyticsProcessor: async (job) => { ... },
-   *   integrationProcessor: async (job) => { ... }
+   *   integrationProcessor: async (job) => { ... },
+   *   campaignProcessor: async (job) => { ... },
+   *   taskProcessor: async (job) => { ... }
    * });
    */
   async setupWorkers(processors) {
@@ -545,6 +795,62 @@ class QueueManager {
         console.log(`[${new Date().toISOString()}] [INFO] [QueueManager] Integration worker created`);
       }
 
+      // Campaign worker
+      if (processors.campaignProcessor) {
+        const campaignWorker = new Worker(
+          QUEUE_NAMES.CAMPAIGNS,
+          processors.campaignProcessor,
+          {
+            connection: this.connection,
+            prefix: this.config.queuePrefix || 'legacyai:voice:',
+            concurrency: 5, // Pacing is enforced by the dialer, not the worker
+          }
+        );
+
+        campaignWorker.on('completed', (job) => {
+          this.metrics.totalJobsCompleted++;
+          this.metrics.jobsCompletedByType[job.data.type] =
+            (this.metrics.jobsCompletedByType[job.data.type] || 0) + 1;
+        });
+
+        campaignWorker.on('failed', (job, err) => {
+          this.metrics.totalJobsFailed++;
+          this.metrics.jobsFailedByType[job.data.type] =
+            (this.metrics.jobsFailedByType[job.data.type] || 0) + 1;
+        });
+
+        this.workers.push(campaignWorker);
+        console.log(`[${new Date().toISOString()}] [INFO] [QueueManager] Campaign worker created`);
+      }
+
+      // Scheduled-task worker
+      if (processors.taskProcessor) {
+        const taskWorker = new Worker(
+          QUEUE_NAMES.TASKS,
+          processors.taskProcessor,
+          {
+            connection: this.connection,
+            prefix: this.config.queuePrefix || 'legacyai:voice:',
+            concurrency: 1, // One sweep at a time; tasks are claimed individually
+          }
+        );
+
+        taskWorker.on('completed', (job) => {
+          this.metrics.totalJobsCompleted++;
+          this.metrics.jobsCompletedByType[job.data.type] =
+            (this.metrics.jobsCompletedByType[job.data.type] || 0) + 1;
+        });
+
+        taskWorker.on('failed', (job, err) => {
+          this.metrics.totalJobsFailed++;
+          this.metrics.jobsFailedByType[job.data.type] =
+            (this.metrics.jobsFailedByType[job.data.type] || 0) + 1;
+        });
+
+        this.workers.push(taskWorker);
+        console.log(`[${new Date().toISOString()}] [INFO] [QueueManager] Task worker created`);
+      }
+
       console.log(`[${new Date().toISOString()}] [INFO] [QueueManager] All workers setup complete: ${this.workers.length} workers`);
     } catch (error) {
       console.error(`[${new Date().toISOString()}] [ERROR] [QueueManager] Failed to setup workers:`, error);
@@ -557,7 +863,7 @@ class QueueManager {
    *
    * @returns {Promise<APIResponse>} Response with metrics data
    * @created 2025-10-01T16:00:00Z
-   * @lastModified 2025-10-01T16:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * const result = await queueManager.getMetrics();
@@ -572,6 +878,8 @@ class QueueManager {
       const callsCount = await this.queues.calls.count();
       const analyticsCount = await this.queues.analytics.count();
       const integrationsCount = await this.queues.integrations.count();
+      const campaignsCount = await this.queues.campaigns.count();
+      const tasksCount = await this.queues.tasks.count();
 
       return {
         success: true,
@@ -581,6 +889,8 @@ class QueueManager {
             calls: callsCount,
             analytics: analyticsCount,
             integrations: integrationsCount,
+            campaigns: campaignsCount,
+            tasks: tasksCount,
           },
           workers: this.workers.length,
         },
@@ -606,7 +916,7 @@ class QueueManager {
    *
    * @returns {Promise<void>}
    * @created 2025-10-01T16:00:00Z
-   * @lastModified 2025-10-01T16:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * await queueManager.shutdown();
@@ -626,6 +936,8 @@ class QueueManager {
         this.queues.calls.close(),
         this.queues.analytics.close(),
         this.queues.integrations.close(),
+        this.queues.campaigns.close(),
+        this.queues.tasks.close(),
       ]);
       console.log(`[${new Date().toISOString()}] [INFO] [QueueManager] All queues closed`);
 
@@ -634,6 +946,8 @@ class QueueManager {
         this.queueEvents.calls.close(),
         this.queueEvents.analytics.close(),
         this.queueEvents.integrations.close(),
+        this.queueEvents.campaigns.close(),
+        this.queueEvents.tasks.close(),
       ]);
       console.log(`[${new Date().toISOString()}] [INFO] [QueueManager] All queue events closed`);
 
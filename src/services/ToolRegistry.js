@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Registry of tools the AI can call during a conversation
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Tools are plain objects:
+ *   {
+ *     name: 'lookup_customer',
+ *     description: 'What the model reads to decide when to call it',
+ *     input_schema: { type: 'object', properties: {...}, required: [...] },
+ *     channels: ['voice'],        // optional, default every channel
+ *     sideEffects: true,          // optional, not run when toolContext.dryRun is set
+ *     handler: async (input, toolContext) => output
+ *   }
+ *
+ * The registry hands Claude the definitions an agent config allows
+ * (agent_configs.tools) and runs the calls Claude makes: input is checked
+ * against the schema (required fields, types, enums), each call is time-boxed
+ * and failures come back as { ok: false, error } for the model to read
+ * instead of being thrown. Simulation sessions set toolContext.dryRun, so
+ * tools with side effects report what they would have done without doing it.
+ */
+
+/**
+ * Time allowed for one tool call when config.timeoutMs is not set
+ * @constant {number}
+ */
+const DEFAULT_TOOL_TIMEOUT_MS = 4000;
+
+/**
+ * Names Claude accepts for tools
+ * @constant {RegExp}
+ */
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Conversation channels a tool can be limited to
+ * @constant {string[]}
+ */
+const CHANNELS = ['voice', 'sms'];
+
+/**
+ * JSON-schema type checks used by validateInput()
+ * @constant {Object}
+ */
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+/**
+ * ToolRegistry class - Tool definitions and time-boxed execution
+ *
+ * @class ToolRegistry
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class ToolRegistry {
+  /**
+   * Initialize ToolRegistry
+   *
+   * @param {Object} [config={}] - Tools configuration (see environment.getToolsConfig)
+   * @param {number} [config.timeoutMs=4000] - Time allowed for one tool call
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const registry = new ToolRegistry(config.tools);
+   * registry.register(lookupCustomerTool);
+   */
+  constructor(config = {}) {
+    this.timeoutMs = config.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS;
+
+    // name -> tool
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool, replacing any tool with the same name
+   *
+   * @param {Object} tool - Tool definition (see file overview)
+   * @returns {ToolRegistry} This registry, for chaining
+   * @throws {Error} If the definition is incomplete
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  register(tool) {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+      throw new Error(`Invalid tool name: ${tool && tool.name}`);
+    }
+    if (!tool.description) {
+      throw new Error(`Tool ${tool.name} needs a description`);
+    }
+    if (!tool.input_schema || tool.input_schema.type !== 'object') {
+      throw new Error(`Tool ${tool.name} needs an object input_schema`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} needs a handler function`);
+    }
+    if (tool.channels && !tool.channels.every(channel => CHANNELS.includes(channel))) {
+      throw new Error(`Tool ${tool.name} has an unknown channel`);
+    }
+
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  /**
+   * Check whether a tool is registered
+   *
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Describe the registered tools (for the API and config validation)
+   *
+   * @returns {Array<Object>} [{ name, description, channels, sideEffects }]
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  list() {
+    return [...this.tools.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      channels: tool.channels || CHANNELS,
+      sideEffects: tool.sideEffects === true
+    }));
+  }
+
+  /**
+   * Claude tool definitions for an agent config
+   * Unknown names are skipped (a tool removed from code must not break the
+   * persona), as are tools not offered on the channel.
+   *
+   * @param {string[]|null} names - agent_configs.tools (null or empty = no tools)
+   * @param {string} [channel='voice'] - 'voice' or 'sms'
+   * @returns {Array<Object>} [{ name, description, input_schema }]
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const tools = registry.getDefinitions(['lookup_customer', 'transfer_to_human'], 'sms');
+   * // => [{ name: 'lookup_customer', ... }] (transfers are voice only)
+   */
+  getDefinitions(names, channel = 'voice') {
+    if (!Array.isArray(names)) {
+      return [];
+    }
+
+    return [...new Set(names)]
+      .map(name => this.tools.get(name))
+      .filter(tool => tool && (!tool.channels || tool.channels.includes(channel)))
+      .map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.input_schema
+      }));
+  }
+
+  /**
+   * Check tool input against the tool's input_schema
+   * Covers what the model gets wrong in practice: missing required fields,
+   * wrong top-level types and values outside an enum.
+   *
+   * @param {Object} tool - Tool definition
+   * @param {Object} input - Input from the tool_use block
+   * @returns {string[]} Problems found (empty when valid)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  validateInput(tool, input) {
+    if (!TYPE_CHECKS.object(input)) {
+      return ['input must be an object'];
+    }
+
+    const schema = tool.input_schema;
+    const properties = schema.properties || {};
+    const errors = [];
+
+    for (const field of schema.required || []) {
+      if (input[field] === undefined || input[field] === null || input[field] === '') {
+        errors.push(`${field} is required`);
+      }
+    }
+
+    for (const [field, value] of Object.entries(input)) {
+      const property = properties[field];
+      if (!property || value === undefined || value === null) {
+        continue;
+      }
+
+      const check = TYPE_CHECKS[property.type];
+      if (check && !check(value)) {
+        errors.push(`${field} must be of type ${property.type}`);
+      } else if (Array.isArray(property.enum) && !property.enum.includes(value)) {
+        errors.push(`${field} must be one of: ${property.enum.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run one tool call
+   * Never throws: unknown tools, invalid input, handler errors and timeouts
+   * all come back as { ok: false, error }. Tools with side effects are
+   * skipped in dry runs.
+   *
+   * @param {string} name - Tool name from the tool_use block
+   * @param {Object} input - Tool input from the tool_use block
+   * @param {Object} toolContext - Conversation and services passed to the handler
+   * @param {Object} [options] - Execution options
+   * @param {number} [options.timeoutMs] - Override the configured timeout
+   * @returns {Promise<Object>} { ok, output, error, latencyMs }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await registry.execute('lookup_customer', {}, toolContext, { timeoutMs: 2000 });
+   * if (!result.ok) console.log(result.error);
+   */
+  async execute(name, input, toolContext, options = {}) {
+    const startTime = Date.now();
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      return { ok: false, output: null, error: `Unknown tool: ${name}`, latencyMs: 0 };
+    }
+
+    const errors = this.validateInput(tool, input);
+    if (errors.length > 0) {
+      return { ok: false, output: null, error: `Invalid input: ${errors.join('; ')}`, latencyMs: 0 };
+    }
+
+    // Simulations must not text customers or schedule real tasks
+    if (tool.sideEffects && toolContext && toolContext.dryRun) {
+      return { ok: true, output: { dryRun: true, tool: name, input }, error: null, latencyMs: 0 };
+    }
+
+    const timeoutMs = Math.max(1, options.timeoutMs || this.timeoutMs);
+    let timer = null;
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tool ${name} timed out after ${timeoutMs}ms`)), timeoutMs);
+      });
+
+      const output = await Promise.race([
+        Promise.resolve().then(() => tool.handler(input, toolContext)),
+        timeout
+      ]);
+
+      return { ok: true, output: output === undefined ? null : output, error: null, latencyMs: Date.now() - startTime };
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [ToolRegistry] Tool ${name} failed: ${error.message}`);
+      return { ok: false, output: null, error: error.message, latencyMs: Date.now() - startTime };
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = ToolRegistry;
+module.exports.DEFAULT_TOOL_TIMEOUT_MS = DEFAULT_TOOL_TIMEOUT_MS;
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Text-to-speech providers used by TtsService
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Every provider has the same shape:
+ * - name: value of TTS_PROVIDER / voice_settings.ttsProvider
+ * - synthesizes: false when Twilio speaks the text itself (<Say>)
+ * - extension: file extension of the audio it returns
+ * - resolveOptions(voiceSettings): the settings that change the audio, with
+ *   defaults filled in; they are part of the cache key
+ * - synthesize(text, options): Promise<Buffer>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpenAIService = require('./OpenAIService');
+
+/**
+ * Twilio's own speech - no audio is generated, TwiML uses <Say>
+ *
+ * @class TwilioSayProvider
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class TwilioSayProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.synthesizes = false;
+    this.extension = null;
+  }
+
+  /**
+   * @returns {Object} Empty - <Say> attributes are chosen by the agents
+   */
+  resolveOptions() {
+    return {};
+  }
+
+  /**
+   * @throws {Error} Always - Twilio speaks <Say> text itself
+   */
+  async synthesize() {
+    throw new Error('The twilio provider does not generate audio');
+  }
+}
+
+/**
+ * OpenAI TTS - MP3 audio through OpenAIService.synthesizeSpeech
+ *
+ * @class OpenAITtsProvider
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class OpenAITtsProvider {
+  /**
+   * @param {Object} openaiService - OpenAIService instance
+   */
+  constructor(openaiService) {
+    this.name = 'openai';
+    this.synthesizes = true;
+    this.extension = 'mp3';
+    this.openaiService = openaiService;
+  }
+
+  /**
+   * @param {Object} [voiceSettings] - Persona voice_settings (voice, speed)
+   * @returns {Object} { model, voice, speed }
+   */
+  resolveOptions(voiceSettings) {
+    return {
+      model: this.openaiService.ttsModel,
+      voice: voiceSettings?.voice || this.openaiService.ttsVoice,
+      speed: Number(voiceSettings?.speed) || 1
+    };
+  }
+
+  /**
+   * @param {string} text - Text to speak
+   * @param {Object} options - Output of resolveOptions
+   * @returns {Promise<Buffer>} MP3 audio
+   */
+  async synthesize(text, options) {
+    const result = await this.openaiService.synthesizeSpeech(text, {
+      model: options.model,
+      voice: options.voice,
+      speed: options.speed,
+      format: 'mp3'
+    });
+
+    return result.audio;
+  }
+}
+
+/**
+ * Local stub for tests and offline development
+ * Returns the same configured file for every phrase, or half a second of
+ * generated silence when no file is set.
+ *
+ * @class FileTtsProvider
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class FileTtsProvider {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.file] - Audio file returned for every phrase (.wav or .mp3)
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.synthesizes = true;
+    this.file = options.file || null;
+    this.extension = this.file ? path.extname(this.file).slice(1).toLowerCase() : 'wav';
+  }
+
+  /**
+   * @returns {Object} { file } - changing the stub file changes the cache key
+   */
+  resolveOptions() {
+    return { file: this.file };
+  }
+
+  /**
+   * @returns {Promise<Buffer>} Stub file contents or a silent WAV
+   */
+  async synthesize() {
+    return this.file ? fs.promises.readFile(this.file) : createSilentWav(0.5);
+  }
+}
+
+/**
+ * Build a mono 8 kHz 16-bit PCM WAV of silence
+ * @param {number} seconds - Length
+ * @returns {Buffer} WAV file
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function createSilentWav(seconds) {
+  const sampleRate = 8000;
+  const dataSize = Math.round(sampleRate * seconds) * 2;
+  const wav = Buffer.alloc(44 + dataSize);
+
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + dataSize, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(1, 22); // mono
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * 2, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(dataSize, 40);
+
+  return wav;
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - twilio, openai or file
+ * @param {Object} [options={}]
+ * @param {Object} [options.openaiService] - Used by the openai provider
+ * @param {Object} [options.openaiConfig] - Creates an OpenAIService when none is given
+ * @param {string} [options.stubFile] - Used by the file provider
+ * @returns {Object} Provider instance
+ * @throws {Error} On unknown provider names
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function createTtsProvider(name, options = {}) {
+  switch (name) {
+  case 'twilio':
+    return new TwilioSayProvider();
+  case 'openai':
+    return new OpenAITtsProvider(options.openaiService || new OpenAIService(options.openaiConfig || {}));
+  case 'file':
+    return new FileTtsProvider({ file: options.stubFile });
+  default:
+    throw new Error(`Unknown TTS provider: ${name}`);
+  }
+}
+
+module.exports = {
+  TwilioSayProvider,
+  OpenAITtsProvider,
+  FileTtsProvider,
+  createSilentWav,
+  createTtsProvider
+};
@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Pluggable text-to-speech with a content-addressed audio cache
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Agents call speak() (VoiceResponse nodes) or getPlayUrl() (string TwiML)
+ * for everything the persona says:
+ * - provider "twilio" (default): Twilio speaks the text with <Say>
+ * - any other provider: the phrase is synthesized into the cache directory
+ *   and played with <Play> from GET /tts/<key>.<ext>
+ *
+ * Cache:
+ * - key = sha256 of the phrase request (provider, voice options, text), so a
+ *   greeting is synthesized once no matter how many calls hear it
+ * - synthesis starts while the TwiML is being built; the /tts route waits for
+ *   it (or synthesizes on a miss, e.g. after the cache directory was cleared)
+ * - files never change once written; the directory can be deleted any time
+ *
+ * URLs carry the phrase request (d) and an HMAC of the key (sig), so the route
+ * only serves and synthesizes what this server asked Twilio to play.
+ *
+ * When synthesis fails the provider is skipped for FAILURE_COOLDOWN_MS and
+ * speech falls back to <Say>.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTtsProvider } = require('./TtsProviders');
+
+/**
+ * Provider names accepted in TTS_PROVIDER and voice_settings.ttsProvider
+ * @constant {string[]}
+ */
+const TTS_PROVIDERS = ['twilio', 'openai', 'file'];
+
+/**
+ * How long a provider is skipped after a synthesis failure
+ * @constant {number}
+ */
+const FAILURE_COOLDOWN_MS = 60000;
+
+/**
+ * Cached audio file names: <sha256 hex>.<extension>
+ * @constant {RegExp}
+ */
+const AUDIO_FILE_PATTERN = /^([a-f0-9]{64})\.([a-z0-9]+)$/;
+
+/**
+ * Syntheses in progress, by cache file path
+ * Shared by every TtsService in the process so the agents and the /tts route
+ * never synthesize the same phrase twice at once.
+ * @type {Map<string, Promise<Object>>}
+ */
+const pendingSyntheses = new Map();
+
+/**
+ * TtsService class - Chooses <Say> or <Play> and manages synthesized audio
+ *
+ * @class TtsService
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class TtsService {
+  /**
+   * Initialize TtsService
+   *
+   * @param {Object} [config={}] - TTS configuration (see environment.getTtsConfig)
+   * @param {string} [config.provider='twilio'] - Default provider
+   * @param {string} [config.cacheDir] - Directory for synthesized audio
+   * @param {string} [config.baseUrl] - Public base URL of this server (for <Play> URLs)
+   * @param {string} [config.urlSecret] - HMAC secret for audio URLs
+   * @param {string} [config.stubFile] - Audio returned by the file provider
+   * @param {Object} [dependencies={}]
+   * @param {Object} [dependencies.openaiService] - OpenAIService for the openai provider
+   * @param {Object} [dependencies.openaiConfig] - OpenAI config when no service is given
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const tts = new TtsService(config.tts, { openaiService });
+   * tts.speak(twiml, 'Thanks for calling!', agentConfig.voice_settings, { voice: 'Polly.Joanna' });
+   */
+  constructor(config = {}, dependencies = {}) {
+    const settings = config || {};
+
+    this.defaultProvider = TTS_PROVIDERS.includes(settings.provider) ? settings.provider : 'twilio';
+    this.cacheDir = settings.cacheDir || path.join(os.tmpdir(), 'legacyai-tts-cache');
+    this.baseUrl = (settings.baseUrl || '').replace(/\/+$/, '');
+    this.urlSecret = settings.urlSecret || null;
+    this.stubFile = settings.stubFile || null;
+    this.dependencies = dependencies || {};
+
+    // Providers are created on first use so the default setup never builds an OpenAI client
+    this.providers = new Map();
+    this.failedUntil = new Map();
+
+    console.log(`[${new Date().toISOString()}] [INFO] [TtsService] TtsService initialized - Provider: ${this.defaultProvider}, Cache: ${this.cacheDir}`);
+  }
+
+  /**
+   * Provider name for a persona
+   * @param {Object} [voiceSettings] - Persona voice_settings (ttsProvider)
+   * @returns {string} Provider name
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getProviderName(voiceSettings) {
+    const requested = voiceSettings?.ttsProvider;
+
+    if (requested && TTS_PROVIDERS.includes(requested)) {
+      return requested;
+    }
+    if (requested) {
+      console.warn(`[${new Date().toISOString()}] [WARN] [TtsService] Unknown voice_settings.ttsProvider "${requested}" - using ${this.defaultProvider}`);
+    }
+
+    return this.defaultProvider;
+  }
+
+  /**
+   * Get (creating if needed) a provider instance
+   * @param {string} name - Provider name
+   * @returns {Object} Provider
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createTtsProvider(name, {
+        openaiService: this.dependencies.openaiService,
+        openaiConfig: this.dependencies.openaiConfig,
+        stubFile: this.stubFile
+      }));
+    }
+
+    return this.providers.get(name);
+  }
+
+  /**
+   * Append speech to a TwiML node (VoiceResponse or Gather)
+   *
+   * @param {Object} node - twilio.twiml VoiceResponse or Gather
+   * @param {string} text - What to say
+   * @param {Object} [voiceSettings] - Persona voice_settings
+   * @param {Object} [sayAttributes={}] - <Say> attributes used with Twilio speech
+   * @returns {Object} The node, for chaining
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * tts.speak(gather, 'What can I help you with?', voiceSettings, { voice: 'alice' });
+   */
+  speak(node, text, voiceSettings, sayAttributes = {}) {
+    const url = this.getPlayUrl(text, voiceSettings);
+
+    if (url) {
+      node.play(url);
+    } else {
+      node.say(sayAttributes, text);
+    }
+
+    return node;
+  }
+
+  /**
+   * URL of the synthesized audio for a phrase, or null to use <Say>
+   * Starts synthesis in the background so the audio is usually cached by the
+   * time Twilio fetches it.
+   *
+   * @param {string} text - What to say
+   * @param {Object} [voiceSettings] - Persona voice_settings
+   * @returns {string|null} Absolute, signed audio URL
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getPlayUrl(text, voiceSettings) {
+    const name = this.getProviderName(voiceSettings);
+
+    if (name === 'twilio' || !text || !text.trim()) {
+      return null;
+    }
+
+    if (!this.baseUrl || !this.urlSecret) {
+      console.warn(`[${new Date().toISOString()}] [WARN] [TtsService] TTS_BASE_URL or TTS_URL_SECRET not set - using <Say> instead of ${name}`);
+      return null;
+    }
+
+    if ((this.failedUntil.get(name) || 0) > Date.now()) {
+      return null;
+    }
+
+    let phrase;
+    try {
+      const provider = this.getProvider(name);
+      phrase = { provider: name, options: provider.resolveOptions(voiceSettings), text: text.trim() };
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [TtsService] Could not create ${name} provider - using <Say>`, error);
+      this.markFailed(name);
+      return null;
+    }
+
+    const data = Buffer.from(JSON.stringify(phrase)).toString('base64url');
+    const key = this.hashPhrase(data);
+    const extension = this.getProvider(name).extension;
+
+    this.synthesize(phrase).catch(error => {
+      console.error(`[${new Date().toISOString()}] [ERROR] [TtsService] ${name} synthesis failed - using <Say> for ${FAILURE_COOLDOWN_MS / 1000}s`, error);
+      this.markFailed(name);
+    });
+
+    return `${this.baseUrl}/tts/${key}.${extension}?d=${data}&sig=${this.sign(key)}`;
+  }
+
+  /**
+   * Synthesize a phrase into the cache (no-op when already cached)
+   *
+   * @param {Object} phrase - { provider, options, text }
+   * @returns {Promise<Object>} { key, file, cached }
+   * @throws {Error} When the provider fails
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async synthesize(phrase) {
+    const provider = this.getProvider(phrase.provider);
+    const key = this.hashPhrase(Buffer.from(JSON.stringify(phrase)).toString('base64url'));
+    const file = path.join(this.cacheDir, `${key}.${provider.extension}`);
+
+    if (fs.existsSync(file)) {
+      return { key, file, cached: true };
+    }
+
+    if (!pendingSyntheses.has(file)) {
+      const pending = (async () => {
+        const startTime = Date.now();
+        const audio = await provider.synthesize(phrase.text, phrase.options);
+
+        // Write then rename so a half-written file is never served
+        await fs.promises.mkdir(this.cacheDir, { recursive: true });
+        const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tempFile, audio);
+        await fs.promises.rename(tempFile, file);
+
+        console.log(`[${new Date().toISOString()}] [INFO] [TtsService] Synthesized ${key.slice(0, 12)} with ${phrase.provider} in ${Date.now() - startTime}ms - Bytes: ${audio.length}`);
+        return { key, file, cached: false };
+      })().finally(() => pendingSyntheses.delete(file));
+
+      pendingSyntheses.set(file, pending);
+    }
+
+    return pendingSyntheses.get(file);
+  }
+
+  /**
+   * Check an audio request from the /tts route
+   *
+   * @param {string} fileName - Requested file name (<key>.<ext>)
+   * @param {Object} query - Request query ({ d, sig })
+   * @returns {Object|null} The phrase to serve, or null when the request is not valid
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  verifyAudioRequest(fileName, query = {}) {
+    const match = AUDIO_FILE_PATTERN.exec(fileName || '');
+
+    if (!match || !this.urlSecret || typeof query.d !== 'string' || typeof query.sig !== 'string') {
+      return null;
+    }
+
+    const [, key, extension] = match;
+    const expected = Buffer.from(this.sign(key));
+    const signature = Buffer.from(query.sig);
+
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      return null;
+    }
+
+    if (this.hashPhrase(query.d) !== key) {
+      return null;
+    }
+
+    try {
+      const phrase = JSON.parse(Buffer.from(query.d, 'base64url').toString('utf8'));
+
+      if (!TTS_PROVIDERS.includes(phrase.provider) || typeof phrase.text !== 'string') {
+        return null;
+      }
+
+      const provider = this.getProvider(phrase.provider);
+      if (!provider.synthesizes || provider.extension !== extension) {
+        return null;
+      }
+
+      return phrase;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Skip a provider for FAILURE_COOLDOWN_MS
+   * @param {string} name - Provider name
+   * @private
+   */
+  markFailed(name) {
+    this.failedUntil.set(name, Date.now() + FAILURE_COOLDOWN_MS);
+  }
+
+  /**
+   * Cache key of an encoded phrase
+   * @param {string} data - base64url phrase JSON
+   * @returns {string} sha256 hex
+   * @private
+   */
+  hashPhrase(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * URL signature for a cache key
+   * @param {string} key - Cache key
+   * @returns {string} base64url HMAC-SHA256
+   * @private
+   */
+  sign(key) {
+    return crypto.createHmac('sha256', this.urlSecret).update(key).digest('base64url');
+  }
+}
+
+module.exports = TtsService;
+module.exports.TTS_PROVIDERS = TTS_PROVIDERS;
+module.exports.FAILURE_COOLDOWN_MS = FAILURE_COOLDOWN_MS;
@@ -2,10 +2,12 @@
  * @fileoverview Twilio API service wrapper for voice and SMS operations
  * @author LegacyAI Subagent Fleet - Voice Gateway Agent
  * @created 2025-10-01T12:00:00Z
- * @lastModified 2025-10-01T12:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This service provides a comprehensive wrapper around Twilio API with:
  * - Voice call management (create, update, status)
+ * - Call recording (start, pause, resume)
+ * - Answering-machine detection on outbound calls
  * - SMS messaging
  * - Comprehensive error handling
  * - Privacy-focused logging (masked phone numbers)
@@ -86,11 +88,15 @@ class TwilioService {
    * @param {string} url - TwiML URL for call handling
    * @param {Object} options - Additional call options
    * @param {boolean} options.record - Record the call
+   * @param {string} options.recordingStatusCallback - Recording status callback URL
    * @param {number} options.timeout - Timeout in seconds
    * @param {string} options.statusCallback - Status callback URL
+   * @param {string} options.machineDetection - Answering-machine detection mode ('Enable' or 'DetectMessageEnd')
+   * @param {string} options.amdStatusCallback - Async AMD result callback URL (enables async AMD)
+   * @param {number} options.machineDetectionTimeout - Seconds allowed for detection
    * @returns {Promise<Object>} APIResponse with call details
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
    * const result = await twilioService.makeCall(
@@ -99,6 +105,13 @@ class TwilioService {
    *   'https://example.com/twiml',
    *   { record: true }
    * );
+   *
+   * @example
+   * // Leave a voicemail after the beep if a machine answers
+   * const result = await twilioService.makeCall(to, from, url, {
+   *   machineDetection: 'DetectMessageEnd',
+   *   amdStatusCallback: 'https://example.com/webhooks/amd'
+   * });
    */
   async makeCall(to, from, url, options = {}) {
     const startTime = Date.now();
@@ -131,7 +144,13 @@ class TwilioService {
       // Add optional parameters
       if (options.record) {
         callParams.record = true;
-        callParams.recordingStatusCallback = options.recordingStatusCallback || null;
+        callParams.recordingChannels = 'dual';
+
+        if (options.recordingStatusCallback) {
+          callParams.recordingStatusCallback = options.recordingStatusCallback;
+          callParams.recordingStatusCallbackMethod = 'POST';
+          callParams.recordingStatusCallbackEvent = ['in-progress', 'completed', 'absent'];
+        }
       }
 
       if (options.timeout) {
@@ -144,6 +163,25 @@ class TwilioService {
         callParams.statusCallbackEvent = ['initiated', 'ringing', 'answered', 'completed'];
       }
 
+      // Answering-machine detection - async so the call connects without waiting on the result
+      if (options.machineDetection) {
+        if (!['Enable', 'DetectMessageEnd'].includes(options.machineDetection)) {
+          throw new Error('machineDetection must be Enable or DetectMessageEnd');
+        }
+
+        callParams.machineDetection = options.machineDetection;
+
+        if (options.machineDetectionTimeout) {
+          callParams.machineDetectionTimeout = options.machineDetectionTimeout;
+        }
+
+        if (options.amdStatusCallback) {
+          callParams.asyncAmd = 'true';
+          callParams.asyncAmdStatusCallback = options.amdStatusCallback;
+          callParams.asyncAmdStatusCallbackMethod = 'POST';
+        }
+      }
+
       // Make the call via Twilio API
       const call = await this.client.calls.create(callParams);
 
@@ -351,9 +389,10 @@ class TwilioService {
    * @param {string} options.url - New TwiML URL
    * @param {string} options.status - New status ('completed' to hangup)
    * @param {string} options.method - HTTP method for URL
+   * @param {string} options.recording - Change the active recording ('paused', 'in-progress', 'stopped')
    * @returns {Promise<Object>} APIResponse with updated call
    * @created 2025-10-01T12:00:00Z
-   * @lastModified 2025-10-01T12:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
    *
    * @example
    * // Hangup call
@@ -366,6 +405,12 @@ class TwilioService {
    * const result = await twilioService.updateCall('CA123456', {
    *   url: 'https://example.com/transfer-twiml'
    * });
+   *
+   * @example
+   * // Pause recording while the caller reads a card number
+   * const result = await twilioService.updateCall('CA123456', {
+   *   recording: 'paused'
+   * });
    */
   async updateCall(callSid, options) {
     try {
@@ -396,6 +441,43 @@ class TwilioService {
         updateParams.status = options.status;
       }
 
+      // Pause/resume/stop the call's active recording
+      let recording = null;
+      if (options.recording) {
+        if (!['paused', 'in-progress', 'stopped'].includes(options.recording)) {
+          throw new Error('Recording status must be paused, in-progress, or stopped');
+        }
+
+        const recordingParams = { status: options.recording };
+        if (options.recording === 'paused') {
+          // Skip paused audio entirely instead of recording silence
+          recordingParams.pauseBehavior = 'skip';
+        }
+
+        recording = await this.client.calls(callSid).recordings('Twilio.CURRENT').update(recordingParams);
+
+        console.log(`[${new Date().toISOString()}] [INFO] [TwilioService] Recording updated`, {
+          callSid,
+          recordingSid: recording.sid,
+          status: recording.status
+        });
+
+        // Recording-only update - nothing else to change on the call
+        if (Object.keys(updateParams).length === 0) {
+          return {
+            success: true,
+            data: {
+              sid: callSid,
+              recordingSid: recording.sid,
+              recordingStatus: recording.status
+            },
+            error: null,
+            timestamp: new Date().toISOString(),
+            requestId: this.generateRequestId()
+          };
+        }
+      }
+
       // Update the call via Twilio API
       const call = await this.client.calls(callSid).update(updateParams);
 
@@ -410,7 +492,9 @@ class TwilioService {
           sid: call.sid,
           status: call.status,
           to: call.to,
-          from: call.from
+          from: call.from,
+          recordingSid: recording ? recording.sid : undefined,
+          recordingStatus: recording ? recording.status : undefined
         },
         error: null,
         timestamp: new Date().toISOString(),
@@ -430,6 +514,78 @@ class TwilioService {
     }
   }
 
+  /**
+   * Start recording an in-progress call
+   * Used for inbound calls, where recording must begin after consent.
+   *
+   * @param {string} callSid - Twilio call SID (call must be in progress)
+   * @param {Object} [options] - Recording options
+   * @param {string} [options.statusCallback] - Recording status callback URL
+   * @param {string} [options.channels='dual'] - 'mono' or 'dual' (caller and agent on separate channels)
+   * @returns {Promise<Object>} APIResponse with recording SID and status
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T09:00:00Z
+   *
+   * @example
+   * const result = await twilioService.startRecording('CA123456', {
+   *   statusCallback: 'https://example.com/webhooks/recording-status'
+   * });
+   */
+  async startRecording(callSid, options = {}) {
+    try {
+      console.log(`[${new Date().toISOString()}] [INFO] [TwilioService] Starting call recording`, { callSid });
+
+      // Ensure client is initialized
+      if (!this.initialized || !this.client) {
+        throw new Error('TwilioService not initialized. Call initialize() first.');
+      }
+
+      if (!callSid || !callSid.startsWith('CA')) {
+        throw new Error('Invalid call SID format');
+      }
+
+      const recordingParams = {
+        recordingChannels: options.channels || 'dual'
+      };
+
+      if (options.statusCallback) {
+        recordingParams.recordingStatusCallback = options.statusCallback;
+        recordingParams.recordingStatusCallbackMethod = 'POST';
+        recordingParams.recordingStatusCallbackEvent = ['in-progress', 'completed', 'absent'];
+      }
+
+      const recording = await this.client.calls(callSid).recordings.create(recordingParams);
+
+      console.log(`[${new Date().toISOString()}] [INFO] [TwilioService] Recording started`, {
+        callSid,
+        recordingSid: recording.sid
+      });
+
+      return {
+        success: true,
+        data: {
+          sid: recording.sid,
+          callSid,
+          status: recording.status
+        },
+        error: null,
+        timestamp: new Date().toISOString(),
+        requestId: this.generateRequestId()
+      };
+
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [TwilioService] Failed to start recording`, error);
+
+      return {
+        success: false,
+        data: null,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        requestId: this.generateRequestId()
+      };
+    }
+  }
+
   /**
    * Health check - verify Twilio service is operational
    * @returns {Promise<Object>} Health status object
@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Speech recognition vocabulary for calls: hints, speech models and correction
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Loads the vocabulary_terms that apply to a call (global, the call's agent
+ * config, its campaign) and applies them:
+ * - getGatherOptions(): speech model for the use case plus hints
+ * - correct(): snaps misheard terms in a transcript to their canonical spelling
+ * - listTerms()/addTerm()/updateTerm()/removeTerm(): vocabulary management for the API
+ *
+ * Vocabulary is cached for VOCABULARY_CACHE_MS, so edits through the API reach
+ * calls within a minute. A failed lookup gives an empty vocabulary and never
+ * blocks a call.
+ */
+
+const {
+  buildVocabulary,
+  getGatherSpeechOptions,
+  correctTranscript,
+  normalizeTerm,
+  DEFAULT_CORRECTION_THRESHOLD
+} = require('../utils/speechVocabulary');
+
+/**
+ * How long a call vocabulary is reused
+ * @constant {number}
+ */
+const VOCABULARY_CACHE_MS = 60000;
+
+/**
+ * Vocabulary with no terms
+ * @constant {Object}
+ */
+const EMPTY_VOCABULARY = Object.freeze({ terms: [], hints: [] });
+
+/**
+ * Vocabulary scopes (vocabulary_terms.scope)
+ * @constant {string[]}
+ */
+const SCOPES = ['global', 'agent_config', 'campaign'];
+
+/**
+ * Vocabulary categories (vocabulary_terms.category)
+ * @constant {string[]}
+ */
+const CATEGORIES = ['product', 'competitor', 'sku', 'other'];
+
+/**
+ * Longest term or variant (vocabulary_terms.term is VARCHAR(100))
+ * @constant {number}
+ */
+const MAX_TERM_LENGTH = 100;
+
+/**
+ * VocabularyService class - Per-call speech recognition vocabulary
+ *
+ * @class VocabularyService
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class VocabularyService {
+  /**
+   * Initialize VocabularyService
+   *
+   * @param {Object} [config={}] - Speech configuration (see environment.getSpeechConfig)
+   * @param {Object} [config.models] - Twilio speech model by use case
+   * @param {boolean} [config.enhanced=true] - Use the enhanced phone_call model
+   * @param {boolean} [config.correction=true] - Correct transcripts
+   * @param {number} [config.correctionThreshold=0.8] - Similarity needed for a fuzzy correction
+   * @param {Object} dbService - DatabaseService instance
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const vocabularyService = new VocabularyService(config.speech, dbService);
+   * const vocabulary = await vocabularyService.getVocabulary({ agentConfigName: 'sales_agent' });
+   */
+  constructor(config = {}, dbService) {
+    this.config = config || {};
+    this.dbService = dbService;
+    this.correction = this.config.correction !== false;
+    this.threshold = this.config.correctionThreshold || DEFAULT_CORRECTION_THRESHOLD;
+    this.cache = new Map();
+
+    console.log(`[${new Date().toISOString()}] [INFO] [VocabularyService] VocabularyService initialized`, {
+      correction: this.correction,
+      threshold: this.threshold
+    });
+  }
+
+  /**
+   * Vocabulary for a call
+   *
+   * @param {Object} [target={}] - What the call belongs to
+   * @param {string} [target.agentConfigName] - Agent config answering or placing the call
+   * @param {string} [target.campaignId] - Outbound campaign UUID
+   * @returns {Promise<Object>} { terms, hints } (see speechVocabulary.buildVocabulary)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async getVocabulary(target = {}) {
+    const key = `${target.agentConfigName || ''}|${target.campaignId || ''}`;
+    const cached = this.cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.vocabulary;
+    }
+
+    try {
+      const result = await this.dbService.getCallVocabularyTerms({
+        agentConfigName: target.agentConfigName || null,
+        campaignId: target.campaignId || null
+      });
+
+      if (!result.success) {
+        console.warn(`[${new Date().toISOString()}] [WARN] [VocabularyService] Could not load vocabulary - continuing without it: ${result.error}`);
+        return EMPTY_VOCABULARY;
+      }
+
+      const vocabulary = buildVocabulary(result.data);
+      this.cache.set(key, { vocabulary, expiresAt: Date.now() + VOCABULARY_CACHE_MS });
+
+      return vocabulary;
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [ERROR] [VocabularyService] Exception loading vocabulary`, error);
+      return EMPTY_VOCABULARY;
+    }
+  }
+
+  /**
+   * <Gather> speech attributes for a use case
+   *
+   * @param {string} useCase - 'conversation' or 'commands'
+   * @param {Object} [vocabulary] - Call vocabulary (its hints are added)
+   * @param {Array<string>} [extraHints=[]] - Hints for this prompt (e.g. menu labels), listed first
+   * @returns {Object} { speechModel, enhanced?, hints? }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getGatherOptions(useCase, vocabulary, extraHints = []) {
+    return getGatherSpeechOptions(useCase, this.config, [...extraHints, ...(vocabulary?.hints || [])]);
+  }
+
+  /**
+   * Correct a transcript against a call vocabulary
+   *
+   * @param {string} text - Transcript
+   * @param {Object} [vocabulary] - Call vocabulary
+   * @returns {Object} { text, corrections } - corrections is empty when nothing changed
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  correct(text, vocabulary) {
+    if (!this.correction || !vocabulary?.terms?.length) {
+      return { text, corrections: [] };
+    }
+
+    const result = correctTranscript(text, vocabulary.terms, { threshold: this.threshold });
+
+    if (result.corrections.length > 0) {
+      console.log(`[${new Date().toISOString()}] [INFO] [VocabularyService] Corrected transcript`, {
+        corrections: result.corrections.map(correction => `${correction.from} -> ${correction.to} (${correction.method})`)
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Correct a sample transcript with the vocabulary a call would use
+   * Lets vocabulary edits be checked without placing a call.
+   *
+   * @param {string} text - Sample transcript
+   * @param {Object} [target={}] - { agentConfigName, campaignId } as in getVocabulary()
+   * @returns {Promise<Object>} { text, corrections, hints }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const result = await vocabularyService.preview('we use sales force', { agentConfigName: 'sales_agent' });
+   * // result.text => 'we use Salesforce'
+   */
+  async preview(text, target = {}) {
+    const vocabulary = await this.getVocabulary(target);
+    const result = this.correct(text, vocabulary);
+
+    return { ...result, hints: vocabulary.hints };
+  }
+
+  /**
+   * List vocabulary terms
+   *
+   * @param {Object} [filters={}] - { scope, agentConfigName, campaignId }
+   * @returns {Promise<Object>} DatabaseService response with vocabulary_terms rows
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async listTerms(filters = {}) {
+    if (filters.scope && !SCOPES.includes(filters.scope)) {
+      return { success: false, data: null, error: `scope must be one of: ${SCOPES.join(', ')}` };
+    }
+
+    return this.dbService.getVocabularyTerms(filters);
+  }
+
+  /**
+   * Add a vocabulary term
+   *
+   * @param {Object} input - Term to add
+   * @param {string} input.term - Canonical spelling
+   * @param {string} [input.scope='global'] - global, agent_config or campaign
+   * @param {string} [input.agentConfigName] - Required for scope agent_config
+   * @param {string} [input.campaignId] - Required for scope campaign
+   * @param {string} [input.category='other'] - product, competitor, sku or other
+   * @param {Array<string>} [input.variants=[]] - Known mishearings
+   * @returns {Promise<Object>} DatabaseService response with the created row,
+   *   or { success: false, error } when the input is invalid
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * await vocabularyService.addTerm({ term: 'AX-200', category: 'sku', variants: ['ax two hundred'] });
+   */
+  async addTerm(input = {}) {
+    const scope = input.scope || 'global';
+
+    if (!SCOPES.includes(scope)) {
+      return { success: false, data: null, error: `scope must be one of: ${SCOPES.join(', ')}` };
+    }
+    if (scope === 'agent_config' && !input.agentConfigName) {
+      return { success: false, data: null, error: 'agentConfigName is required for scope agent_config' };
+    }
+    if (scope === 'campaign' && !input.campaignId) {
+      return { success: false, data: null, error: 'campaignId is required for scope campaign' };
+    }
+
+    const fields = this.validateTermFields({ category: 'other', variants: [], ...input });
+    if (fields.error) {
+      return { success: false, data: null, error: fields.error };
+    }
+
+    const result = await this.dbService.createVocabularyTerm({
+      scope,
+      agent_config_name: scope === 'agent_config' ? input.agentConfigName : null,
+      campaign_id: scope === 'campaign' ? input.campaignId : null,
+      ...fields.data
+    });
+
+    if (result.success) {
+      this.cache.clear();
+    }
+
+    return result;
+  }
+
+  /**
+   * Update a vocabulary term's spelling, category, variants or active flag
+   * The scope of a term cannot change; remove and add it instead.
+   *
+   * @param {string} termId - Vocabulary term UUID
+   * @param {Object} input - { term, category, variants, active } (any subset)
+   * @returns {Promise<Object>} DatabaseService response with the updated row (null when not found)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async updateTerm(termId, input = {}) {
+    const fields = this.validateTermFields(input);
+    if (fields.error) {
+      return { success: false, data: null, error: fields.error };
+    }
+    if (Object.keys(fields.data).length === 0) {
+      return { success: false, data: null, error: 'Nothing to update: send term, category, variants or active' };
+    }
+
+    const result = await this.dbService.updateVocabularyTerm(termId, fields.data);
+
+    if (result.success) {
+      this.cache.clear();
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove a vocabulary term
+   *
+   * @param {string} termId - Vocabulary term UUID
+   * @returns {Promise<Object>} { success, data: { removed } }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async removeTerm(termId) {
+    const result = await this.dbService.deleteVocabularyTerm(termId);
+    if (!result.success) {
+      return { success: false, data: null, error: result.error };
+    }
+
+    this.cache.clear();
+
+    return { success: true, data: { removed: result.data.length > 0 }, error: null };
+  }
+
+  /**
+   * Validate and normalize the editable fields of a term
+   *
+   * @param {Object} input - { term, category, variants, active } (any subset)
+   * @returns {Object} { data } with vocabulary_terms columns, or { error }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  validateTermFields(input) {
+    const data = {};
+
+    if (input.term !== undefined) {
+      const term = String(input.term || '').trim();
+      if (!normalizeTerm(term) || term.length > MAX_TERM_LENGTH) {
+        return { error: `term must contain letters or digits and be at most ${MAX_TERM_LENGTH} characters` };
+      }
+      data.term = term;
+    }
+
+    if (input.category !== undefined) {
+      if (!CATEGORIES.includes(input.category)) {
+        return { error: `category must be one of: ${CATEGORIES.join(', ')}` };
+      }
+      data.category = input.category;
+    }
+
+    if (input.variants !== undefined) {
+      if (!Array.isArray(input.variants)) {
+        return { error: 'variants must be an array of strings' };
+      }
+      const variants = [...new Set(input.variants.map(variant => String(variant || '').trim()))]
+        .filter(variant => normalizeTerm(variant));
+      if (variants.some(variant => variant.length > MAX_TERM_LENGTH)) {
+        return { error: `variants must be at most ${MAX_TERM_LENGTH} characters` };
+      }
+      data.variants = variants;
+    }
+
+    if (input.active !== undefined) {
+      data.active = input.active !== false;
+    }
+
+    return { data };
+  }
+}
+
+module.exports = VocabularyService;
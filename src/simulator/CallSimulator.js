@@ -0,0 +1,632 @@
+/**
+ * @fileoverview Offline Twilio call simulator for end-to-end testing
+ * @author LegacyAI Subagent Fleet - Testing & Deployment Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Plays Twilio's part in a voice call so the whole webhook flow can be run
+ * without a phone or a public URL:
+ * - POSTs the incoming call to /webhooks/voice
+ * - Parses the returned TwiML and acts on <Say>, <Play>, <Pause>, <Gather>,
+ *   <Redirect>, <Dial>, <Hangup> and <Reject>
+ * - Answers each <Gather> with the next scripted caller step (speech,
+ *   keypad digits, silence or hang up) by POSTing to its action URL
+ * - Fires the call status callback when the call ends
+ * - Returns a transcript and a timing report
+ *
+ * Targets either an Express app (started on an ephemeral local port, for
+ * Jest) or the base URL of a running server (for the CLI). When an auth
+ * token is given, requests carry a valid X-Twilio-Signature for the
+ * configured public webhook URL, so signature validation can stay on.
+ *
+ * Time is tracked twice: wall-clock latency of every webhook, and a
+ * simulated call clock advanced by speech (words per minute), pauses,
+ * Gather timeouts and dial durations.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const twilio = require('twilio');
+const { parseTwiML } = require('./twimlParser');
+
+/**
+ * Defaults for a simulated call
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  from: '+15555550100',
+  to: '+15555550199',
+  voicePath: '/webhooks/voice',
+  statusCallbackPath: '/webhooks/status',
+  maxRequests: 50,
+  speechConfidence: 0.92,
+  wordsPerMinute: 150,
+  playSeconds: 3,
+  gatherTimeoutSeconds: 5,
+  dialStatus: 'completed',
+  dialDurationSeconds: 30
+};
+
+/**
+ * Elements of <Dial> whose text is the dialed target
+ * @constant {string[]}
+ */
+const DIAL_TARGETS = ['Number', 'Client', 'Sip', 'Conference', 'Queue'];
+
+/**
+ * CallSimulator class - Drives the voice webhooks like Twilio would
+ *
+ * @class CallSimulator
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class CallSimulator {
+  /**
+   * Initialize CallSimulator
+   *
+   * @param {Object} options - Simulator options
+   * @param {Object} [options.app] - Express app to call (started on an ephemeral port per run)
+   * @param {string} [options.baseUrl] - Base URL of a running server (e.g. http://localhost:3000)
+   * @param {string} [options.webhookUrl] - Public webhook URL the server expects (TWILIO_WEBHOOK_URL);
+   *   used to sign requests and to map absolute TwiML URLs back to the target
+   * @param {string} [options.authToken] - Twilio auth token; when set, requests are signed
+   * @param {string} [options.from='+15555550100'] - Caller number
+   * @param {string} [options.to='+15555550199'] - Dialed number
+   * @param {number} [options.maxRequests=50] - Webhook requests before the call is cut off (loop guard)
+   * @param {number} [options.speechConfidence=0.92] - Confidence sent with scripted speech
+   * @param {string} [options.dialStatus='completed'] - DialCallStatus reported to <Dial action>
+   * @param {number} [options.dialDurationSeconds=30] - Simulated length of a dialed leg
+   * @param {string|null} [options.statusCallbackPath='/webhooks/status'] - Status callback path (null to skip)
+   * @param {boolean} [options.quiet=false] - Do not log call start/end
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const simulator = new CallSimulator({ app, from: '+12125550100', to: '+15551234567' });
+   * const report = await simulator.run(['What are your hours?', { digits: '1' }]);
+   */
+  constructor(options = {}) {
+    if (!options.app && !options.baseUrl) {
+      throw new Error('CallSimulator needs an Express app or a baseUrl');
+    }
+
+    this.options = { ...DEFAULTS, ...options };
+    this.app = options.app || null;
+    this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/+$/, '') : null;
+    this.accountSid = options.accountSid || `AC${'0'.repeat(32)}`;
+  }
+
+  /**
+   * Run one simulated call
+   *
+   * @param {Array<string|Object>} [script=[]] - Caller steps, used one per <Gather>:
+   *   'text' or { speech, confidence? } - say something
+   *   { digits: '1' } - press keys
+   *   { silence: true } - say nothing until the Gather times out
+   *   { hangup: true } - hang up
+   *   The caller hangs up when the script runs out.
+   * @param {Object} [overrides={}] - Per-call options (from, to, callSid)
+   * @returns {Promise<Object>} Report { callSid, from, to, status, endReason, transcript, requests, turns,
+   *   transfers, unsupported, errors, timing }
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const report = await simulator.run(['Hi, this is Pat', 'I need pricing', { hangup: true }]);
+   * console.log(formatReport(report));
+   */
+  async run(script = [], overrides = {}) {
+    const call = {
+      callSid: overrides.callSid || `CA${crypto.randomBytes(16).toString('hex')}`,
+      from: overrides.from || this.options.from,
+      to: overrides.to || this.options.to,
+      steps: script.map(step => (typeof step === 'string' ? { speech: step } : step)),
+      clock: 0,
+      status: 'in-progress',
+      endReason: null,
+      transcript: [],
+      requests: [],
+      turns: [],
+      transfers: [],
+      unsupported: [],
+      errors: [],
+      startedAt: Date.now()
+    };
+
+    if (!this.options.quiet) {
+      console.log(`[${new Date().toISOString()}] [INFO] [CallSimulator] Starting simulated call ${call.callSid} (${call.steps.length} scripted steps)`);
+    }
+
+    const target = await this.open();
+
+    try {
+      let next = { url: this.options.voicePath, method: 'POST', params: { CallStatus: 'ringing' } };
+
+      while (next) {
+        if (call.requests.length >= this.options.maxRequests) {
+          this.end(call, 'max_requests');
+          call.errors.push(`Stopped after ${this.options.maxRequests} webhook requests`);
+          break;
+        }
+
+        const response = await this.request(call, target, next, 'webhook');
+        if (!response) {
+          this.end(call, 'error', 'failed');
+          break;
+        }
+
+        let root;
+        try {
+          root = parseTwiML(response.body);
+        } catch (error) {
+          call.errors.push(`Invalid TwiML from ${response.path}: ${error.message}`);
+          this.end(call, 'invalid_twiml', 'failed');
+          break;
+        }
+
+        next = this.execute(call, root.children, response.path);
+      }
+
+      if (!call.endReason) {
+        this.end(call, 'end_of_twiml');
+      }
+
+      if (this.options.statusCallbackPath) {
+        await this.request(call, target, {
+          url: this.options.statusCallbackPath,
+          method: 'POST',
+          params: { CallStatus: call.status, CallDuration: String(Math.ceil(call.clock)) }
+        }, 'status');
+      }
+    } finally {
+      await this.close();
+    }
+
+    const report = this.buildReport(call);
+
+    if (!this.options.quiet) {
+      console.log(`[${new Date().toISOString()}] [INFO] [CallSimulator] Simulated call ${call.callSid} ended - ${report.status} (${report.endReason}), ${report.timing.requests} requests`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Act on a list of TwiML verbs until one of them moves the call elsewhere
+   *
+   * @param {Object} call - Call state
+   * @param {Array<Object>} verbs - Parsed TwiML elements
+   * @param {string} documentUrl - Path of the document the verbs came from
+   * @returns {Object|null} Next request { url, method, params }, or null when the call ended
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  execute(call, verbs, documentUrl) {
+    for (const verb of verbs) {
+      switch (verb.name) {
+      case 'Say':
+      case 'Play':
+      case 'Pause':
+        this.playPrompt(call, verb);
+        break;
+
+      case 'Gather': {
+        const next = this.gather(call, verb, documentUrl);
+        if (next || call.endReason) {
+          return next;
+        }
+        // No input and no actionOnEmptyResult: Twilio moves on to the next verb
+        break;
+      }
+
+      case 'Redirect':
+        return {
+          url: verb.text || documentUrl,
+          method: (verb.attributes.method || 'POST').toUpperCase(),
+          params: {}
+        };
+
+      case 'Dial': {
+        const next = this.dial(call, verb);
+        if (next) {
+          return next;
+        }
+        break;
+      }
+
+      case 'Hangup':
+        this.end(call, 'hangup');
+        return null;
+
+      case 'Reject':
+        this.end(call, 'rejected', verb.attributes.reason === 'busy' ? 'busy' : 'no-answer');
+        return null;
+
+      default:
+        call.unsupported.push(verb.name);
+        this.log(call, 'system', `<${verb.name}> is not simulated - skipped`, verb.name);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Play a <Say>, <Play> or <Pause> and advance the call clock
+   *
+   * @param {Object} call - Call state
+   * @param {Object} verb - Parsed TwiML element
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  playPrompt(call, verb) {
+    if (verb.name === 'Pause') {
+      call.clock += parseFloat(verb.attributes.length) || 1;
+      return;
+    }
+
+    if (verb.name === 'Play') {
+      this.log(call, 'agent', `[audio] ${verb.text}`, 'Play', { url: verb.text });
+      call.clock += this.options.playSeconds;
+      return;
+    }
+
+    this.log(call, 'agent', verb.text, 'Say', {
+      voice: verb.attributes.voice || null,
+      language: verb.attributes.language || null
+    });
+    call.clock += this.getSpeechSeconds(verb.text);
+  }
+
+  /**
+   * Play a <Gather>'s prompts and answer it with the next scripted step
+   *
+   * @param {Object} call - Call state
+   * @param {Object} verb - Parsed <Gather> element
+   * @param {string} documentUrl - Path of the current document (default action)
+   * @returns {Object|null} Action request, or null (caller hung up, or no input without actionOnEmptyResult)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  gather(call, verb, documentUrl) {
+    for (const prompt of verb.children) {
+      this.playPrompt(call, prompt);
+    }
+
+    const step = call.steps.shift();
+    if (!step || step.hangup) {
+      this.log(call, 'caller', '[hangs up]', 'Gather');
+      this.end(call, 'caller_hangup');
+      return null;
+    }
+
+    const input = (verb.attributes.input || 'dtmf').split(/\s+/);
+    const action = {
+      url: verb.attributes.action || documentUrl,
+      method: (verb.attributes.method || 'POST').toUpperCase(),
+      params: {}
+    };
+
+    if (step.speech !== undefined && input.includes('speech')) {
+      this.log(call, 'caller', step.speech, 'Gather');
+      call.clock += this.getSpeechSeconds(step.speech) + 1;
+      action.params = {
+        SpeechResult: step.speech,
+        Confidence: String(step.confidence !== undefined ? step.confidence : this.options.speechConfidence)
+      };
+      action.turn = { input: step.speech };
+      return action;
+    }
+
+    if (step.digits !== undefined && input.includes('dtmf')) {
+      this.log(call, 'caller', `[presses ${step.digits}]`, 'Gather');
+      call.clock += 1;
+      action.params = { Digits: String(step.digits) };
+      action.turn = { input: `[${step.digits}]` };
+      return action;
+    }
+
+    if (!step.silence) {
+      this.log(call, 'system', `Gather only accepts ${input.join(', ')} - treated as no input`, 'Gather');
+    } else {
+      this.log(call, 'caller', '[silence]', 'Gather');
+    }
+    call.clock += parseFloat(verb.attributes.timeout) || this.options.gatherTimeoutSeconds;
+
+    return verb.attributes.actionOnEmptyResult === 'true' ? action : null;
+  }
+
+  /**
+   * Record a <Dial> and report its outcome to the dial action, if any
+   *
+   * @param {Object} call - Call state
+   * @param {Object} verb - Parsed <Dial> element
+   * @returns {Object|null} Dial action request, or null to continue with the next verb
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  dial(call, verb) {
+    const targets = verb.children
+      .filter(child => DIAL_TARGETS.includes(child.name))
+      .map(child => child.text);
+    const target = targets.length > 0 ? targets.join(', ') : verb.text;
+    const dialStatus = this.options.dialStatus;
+    const duration = dialStatus === 'completed' ? this.options.dialDurationSeconds : 0;
+
+    call.transfers.push({ target, at: Math.round(call.clock * 10) / 10, dialStatus });
+    this.log(call, 'system', `Dialing ${target} - ${dialStatus}`, 'Dial', { target, dialStatus });
+    call.clock += duration;
+
+    if (!verb.attributes.action) {
+      return null;
+    }
+
+    return {
+      url: verb.attributes.action,
+      method: (verb.attributes.method || 'POST').toUpperCase(),
+      params: { DialCallStatus: dialStatus, DialCallDuration: String(duration) }
+    };
+  }
+
+  /**
+   * Send one webhook request the way Twilio would
+   *
+   * @param {Object} call - Call state
+   * @param {string} target - Base URL requests are sent to
+   * @param {Object} next - { url, method, params, turn }
+   * @param {string} kind - 'webhook' or 'status'
+   * @returns {Promise<Object|null>} { path, status, body }, or null when the request failed
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async request(call, target, next, kind) {
+    const path = this.toPath(next.url);
+    const params = {
+      AccountSid: this.accountSid,
+      ApiVersion: '2010-04-01',
+      CallSid: call.callSid,
+      CallStatus: call.status,
+      Direction: 'inbound',
+      From: call.from,
+      To: call.to,
+      ...next.params
+    };
+
+    const isGet = next.method === 'GET';
+    const query = new URLSearchParams(params).toString();
+    const requestPath = isGet ? `${path}${path.includes('?') ? '&' : '?'}${query}` : path;
+    const headers = isGet ? {} : { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (this.options.authToken) {
+      const signedBase = this.options.webhookUrl ? new URL(this.options.webhookUrl).origin : target;
+      headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(
+        this.options.authToken,
+        `${signedBase}${requestPath}`,
+        isGet ? {} : params
+      );
+    }
+
+    const started = Date.now();
+    const entry = { kind, method: next.method, path: requestPath, at: Math.round(call.clock * 10) / 10, status: null, latencyMs: null };
+    call.requests.push(entry);
+
+    try {
+      const response = await fetch(`${target}${requestPath}`, {
+        method: next.method,
+        headers,
+        body: isGet ? undefined : query
+      });
+      const body = await response.text();
+
+      entry.status = response.status;
+      entry.latencyMs = Date.now() - started;
+
+      if (next.turn) {
+        call.turns.push({ ...next.turn, path, latencyMs: entry.latencyMs });
+      }
+
+      if (!response.ok && kind === 'webhook' && !body.includes('<Response')) {
+        call.errors.push(`${next.method} ${path} returned ${response.status}`);
+        return null;
+      }
+
+      return { path: requestPath, status: response.status, body };
+
+    } catch (error) {
+      entry.latencyMs = Date.now() - started;
+      call.errors.push(`${next.method} ${path} failed: ${error.message}`);
+      console.error(`[${new Date().toISOString()}] [ERROR] [CallSimulator] Request failed: ${next.method} ${path}`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Turn a TwiML URL into a path on the target server
+   * Absolute URLs point at the public webhook host, which is not where the
+   * simulator sends requests, so only their path and query are kept.
+   *
+   * @param {string} url - URL from TwiML
+   * @returns {string} Path with query string
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  toPath(url) {
+    if (/^https?:\/\//i.test(url)) {
+      const parsed = new URL(url);
+      return `${parsed.pathname}${parsed.search}`;
+    }
+    return url.startsWith('/') ? url : `/${url}`;
+  }
+
+  /**
+   * Seconds it takes to say text at the configured speaking rate
+   * @param {string} text - Spoken text
+   * @returns {number} Seconds (at least 1)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  getSpeechSeconds(text) {
+    const words = String(text || '').split(/\s+/).filter(Boolean).length;
+    return Math.max(1, (words * 60) / this.options.wordsPerMinute);
+  }
+
+  /**
+   * Add a transcript line at the current call time
+   * @param {Object} call - Call state
+   * @param {string} speaker - 'agent', 'caller' or 'system'
+   * @param {string} text - What was said or done
+   * @param {string} verb - TwiML verb it came from
+   * @param {Object} [extra={}] - Extra fields (voice, url, target)
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  log(call, speaker, text, verb, extra = {}) {
+    call.transcript.push({ at: Math.round(call.clock * 10) / 10, speaker, text, verb, ...extra });
+  }
+
+  /**
+   * Mark the call as ended (first reason wins)
+   * @param {Object} call - Call state
+   * @param {string} reason - Why the call ended
+   * @param {string} [status='completed'] - Final Twilio call status
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  end(call, reason, status = 'completed') {
+    if (!call.endReason) {
+      call.endReason = reason;
+      call.status = status;
+    }
+  }
+
+  /**
+   * Build the run report from the call state
+   * @param {Object} call - Call state
+   * @returns {Object} Report
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  buildReport(call) {
+    const latencies = call.requests.filter(entry => entry.latencyMs !== null).map(entry => entry.latencyMs);
+    const slowest = call.requests.reduce((worst, entry) => (!worst || entry.latencyMs > worst.latencyMs ? entry : worst), null);
+
+    return {
+      callSid: call.callSid,
+      from: call.from,
+      to: call.to,
+      status: call.status,
+      endReason: call.endReason,
+      transcript: call.transcript,
+      requests: call.requests,
+      turns: call.turns,
+      transfers: call.transfers,
+      unsupported: [...new Set(call.unsupported)],
+      unusedSteps: call.steps.length,
+      errors: call.errors,
+      timing: {
+        wallMs: Date.now() - call.startedAt,
+        simulatedSeconds: Math.round(call.clock * 10) / 10,
+        requests: call.requests.length,
+        avgLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : 0,
+        maxLatencyMs: latencies.length > 0 ? Math.max(...latencies) : 0,
+        slowestRequest: slowest ? `${slowest.method} ${slowest.path}` : null
+      }
+    };
+  }
+
+  /**
+   * Start the Express app on an ephemeral port, or use the base URL
+   * @returns {Promise<string>} Base URL requests are sent to
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async open() {
+    if (!this.app) {
+      return this.baseUrl;
+    }
+
+    this.server = http.createServer(this.app);
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', resolve);
+    });
+
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * Stop the ephemeral server started by open()
+   * @returns {Promise<void>}
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async close() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+
+    // fetch keeps connections alive; drop them so close() returns
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+}
+
+/**
+ * Format a simulator report as readable text (transcript, then timing)
+ *
+ * @param {Object} report - CallSimulator.run() result
+ * @returns {string} Multi-line report
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * console.log(formatReport(await simulator.run(script)));
+ */
+function formatReport(report) {
+  const lines = [
+    `Call ${report.callSid} ${report.from} -> ${report.to}`,
+    ''
+  ];
+
+  for (const line of report.transcript) {
+    lines.push(`[${line.at.toFixed(1).padStart(6)}s] ${line.speaker.toUpperCase().padEnd(6)} ${line.text}`);
+  }
+
+  lines.push('');
+  lines.push(`Ended: ${report.status} (${report.endReason}) after ${report.timing.simulatedSeconds}s of call time`);
+  lines.push(`Webhooks: ${report.timing.requests} requests, avg ${report.timing.avgLatencyMs} ms, max ${report.timing.maxLatencyMs} ms (${report.timing.slowestRequest || 'n/a'})`);
+  lines.push(`Wall time: ${report.timing.wallMs} ms`);
+
+  for (const turn of report.turns) {
+    lines.push(`  turn "${turn.input}" -> ${turn.path} in ${turn.latencyMs} ms`);
+  }
+
+  if (report.unusedSteps > 0) {
+    lines.push(`Unused script steps: ${report.unusedSteps}`);
+  }
+  if (report.unsupported.length > 0) {
+    lines.push(`Skipped verbs: ${report.unsupported.join(', ')}`);
+  }
+  for (const error of report.errors) {
+    lines.push(`Error: ${error}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { CallSimulator, formatReport };
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line front end for the offline call simulator
+ * @author LegacyAI Subagent Fleet - Testing & Deployment Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Runs one simulated call against a running server and prints the
+ * transcript and timing report.
+ *
+ * Usage:
+ *   npm run simulate:call -- --say "Hi, what are your hours?" --say "Thanks, bye"
+ *   npm run simulate:call -- --script calls/pricing.json --from +12125550100 --json
+ *
+ * Options:
+ *   --url <base>          Server base URL (default http://localhost:$PORT or :3000)
+ *   --from / --to <E.164> Caller and dialed numbers
+ *   --say <text>          Caller utterance (repeatable, in order)
+ *   --script <file>       JSON array of steps, or a text file with one step per line:
+ *                         plain text is speech, [digits 1], [silence] and [hangup] are actions
+ *   --webhook-url <url>   Public webhook URL the server signs against (default TWILIO_WEBHOOK_URL)
+ *   --auth-token <token>  Twilio auth token used to sign requests (default TWILIO_AUTH_TOKEN)
+ *   --no-sign             Send unsigned requests (server must have validation off)
+ *   --dial-status <s>     DialCallStatus reported for transfers (default completed)
+ *   --max-requests <n>    Loop guard (default 50)
+ *   --json                Print the full report as JSON
+ *
+ * Exits with 1 when the call failed or a request errored.
+ */
+
+const fs = require('fs');
+const { CallSimulator, formatReport } = require('./CallSimulator');
+
+// .env is optional - real environment variables work too
+try {
+  require('dotenv').config();
+} catch {
+  // dotenv not installed
+}
+
+/**
+ * Options that take a value
+ * @constant {string[]}
+ */
+const VALUE_OPTIONS = ['url', 'from', 'to', 'say', 'script', 'webhook-url', 'auth-token', 'dial-status', 'max-requests'];
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options; say is an array
+ * @throws {Error} On unknown options or missing values
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function parseArgs(argv) {
+  const args = { say: [], sign: true, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+
+    if (name === 'json') {
+      args.json = true;
+    } else if (name === 'no-sign') {
+      args.sign = false;
+    } else if (name === 'help' || name === 'h') {
+      args.help = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = argv[++i];
+      if (value === undefined) {
+        throw new Error(`--${name} needs a value`);
+      }
+      if (name === 'say') {
+        args.say.push(value);
+      } else {
+        args[name] = value;
+      }
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Load caller steps from a script file
+ * @param {string} file - Path to a .json step array or a text script
+ * @returns {Array<string|Object>} Caller steps
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function loadScript(file) {
+  const content = fs.readFileSync(file, 'utf8');
+
+  if (file.endsWith('.json')) {
+    const steps = JSON.parse(content);
+    if (!Array.isArray(steps)) {
+      throw new Error('A JSON script must be an array of steps');
+    }
+    return steps;
+  }
+
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const action = line.match(/^\[(digits\s+[\d*#w]+|silence|hangup)\]$/i);
+      if (!action) {
+        return line;
+      }
+      const [keyword, digits] = action[1].split(/\s+/);
+      return keyword.toLowerCase() === 'digits' ? { digits } : { [keyword.toLowerCase()]: true };
+    });
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+async function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.help) {
+    console.log(fs.readFileSync(__filename, 'utf8').match(/Usage:[\s\S]*?(?=\n \*\/)/)[0].replace(/^ \* ?/gm, ''));
+    return 0;
+  }
+
+  const script = [...(args.script ? loadScript(args.script) : []), ...args.say];
+
+  const simulator = new CallSimulator({
+    baseUrl: args.url || `http://localhost:${process.env.PORT || 3000}`,
+    webhookUrl: args['webhook-url'] || process.env.TWILIO_WEBHOOK_URL,
+    authToken: args.sign ? args['auth-token'] || process.env.TWILIO_AUTH_TOKEN : null,
+    from: args.from,
+    to: args.to,
+    dialStatus: args['dial-status'],
+    maxRequests: args['max-requests'] ? parseInt(args['max-requests'], 10) : undefined,
+    quiet: args.json
+  });
+
+  const report = await simulator.run(script);
+
+  console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report));
+
+  return report.status === 'failed' || report.errors.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(`[${new Date().toISOString()}] [ERROR] [simulate-call] ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs, loadScript, main };
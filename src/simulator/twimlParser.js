@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Minimal TwiML parser for the offline call simulator
+ * @author LegacyAI Subagent Fleet - Testing & Deployment Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Turns a TwiML document into a tree of { name, attributes, text, children }.
+ * TwiML is plain XML without namespaces or DTDs, so a small tokenizer is
+ * enough; it handles the XML declaration, comments, self-closing tags,
+ * quoted attributes and the five predefined entities.
+ */
+
+/**
+ * One XML token: comment, declaration, opening/closing/self-closing tag, or text
+ * @constant {RegExp}
+ */
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([A-Za-z][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+/g;
+
+/**
+ * One attribute inside a tag
+ * @constant {RegExp}
+ */
+const ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Predefined XML entities
+ * @constant {Object}
+ */
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * Decode XML entities (named and numeric)
+ * @param {string} text - Raw XML text
+ * @returns {string} Decoded text
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Parse a TwiML document
+ *
+ * @param {string} xml - TwiML response body
+ * @returns {Object} Root element { name, attributes, text, children }
+ * @throws {Error} When the document is not well-formed or has no root element
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const root = parseTwiML('<Response><Say voice="alice">Hi</Say><Hangup/></Response>');
+ * // root.children[0] => { name: 'Say', attributes: { voice: 'alice' }, text: 'Hi', children: [] }
+ */
+function parseTwiML(xml) {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    throw new Error('Empty TwiML document');
+  }
+
+  const document = { name: '#document', attributes: {}, text: '', children: [] };
+  const stack = [document];
+
+  for (const match of xml.matchAll(TOKEN_PATTERN)) {
+    const [token, closing, name, rawAttributes, selfClosing] = match;
+    const parent = stack[stack.length - 1];
+
+    if (token.startsWith('<!--') || token.startsWith('<?')) {
+      continue;
+    }
+
+    if (!name) {
+      if (token.includes('<')) {
+        throw new Error(`Malformed TwiML near: ${token.slice(0, 40)}`);
+      }
+      parent.text += decodeEntities(token);
+      continue;
+    }
+
+    if (closing) {
+      if (parent.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}> (expected </${parent.name}>)`);
+      }
+      parent.text = parent.text.trim();
+      stack.pop();
+      continue;
+    }
+
+    const attributes = {};
+    for (const attribute of (rawAttributes || '').matchAll(ATTRIBUTE_PATTERN)) {
+      attributes[attribute[1]] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+    }
+
+    const element = { name, attributes, text: '', children: [] };
+    parent.children.push(element);
+
+    if (!selfClosing) {
+      stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed TwiML element <${stack[stack.length - 1].name}>`);
+  }
+
+  const root = document.children[0];
+  if (!root) {
+    throw new Error('TwiML document has no root element');
+  }
+
+  return root;
+}
+
+module.exports = {
+  parseTwiML
+};
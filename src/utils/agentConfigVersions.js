@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Agent config versions: snapshots, diffs and edit validation
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Every edit of an agent config is stored as an immutable row in
+ * agent_config_versions holding a snapshot of all the settings that shape a
+ * conversation (prompt, model settings, voice, menus, tools...) and the diff
+ * from the version it replaced. Activating a version copies its snapshot onto
+ * agent_configs. name and active are not versioned: they identify and switch
+ * the persona rather than change how it talks.
+ */
+
+/**
+ * agent_configs columns stored in each version snapshot
+ * @constant {string[]}
+ */
+const VERSIONED_FIELDS = [
+  'type',
+  'system_prompt',
+  'temperature',
+  'max_tokens',
+  'voice_settings',
+  'escalation_rules',
+  'recording_policy',
+  'recording_consent_prompt',
+  'ivr_menu',
+  'greeting',
+  'returning_greeting',
+  'business_hours',
+  'tools',
+  'qualification'
+];
+
+/**
+ * API field name to agent_configs column
+ * @constant {Object<string, string>}
+ */
+const FIELD_COLUMNS = {
+  type: 'type',
+  systemPrompt: 'system_prompt',
+  temperature: 'temperature',
+  maxTokens: 'max_tokens',
+  voiceSettings: 'voice_settings',
+  escalationRules: 'escalation_rules',
+  recordingPolicy: 'recording_policy',
+  recordingConsentPrompt: 'recording_consent_prompt',
+  ivrMenu: 'ivr_menu',
+  greeting: 'greeting',
+  returningGreeting: 'returning_greeting',
+  businessHours: 'business_hours',
+  tools: 'tools',
+  qualification: 'qualification'
+};
+
+/**
+ * Settings stored as JSON objects
+ * @constant {string[]}
+ */
+const OBJECT_FIELDS = ['voice_settings', 'escalation_rules', 'ivr_menu', 'business_hours', 'qualification'];
+
+/**
+ * Settings stored as optional text (empty = default)
+ * @constant {string[]}
+ */
+const OPTIONAL_TEXT_FIELDS = ['recording_consent_prompt', 'greeting', 'returning_greeting'];
+
+/**
+ * agent_configs.recording_policy values
+ * @constant {string[]}
+ */
+const RECORDING_POLICIES = ['off', 'always', 'consent'];
+
+/**
+ * Longest agent_configs.name / type (VARCHAR(100) / VARCHAR(50))
+ * @constant {Object<string, number>}
+ */
+const MAX_LENGTHS = { name: 100, type: 50 };
+
+/**
+ * Largest max_tokens a persona may set
+ * @constant {number}
+ */
+const MAX_RESPONSE_TOKENS = 4096;
+
+/**
+ * Snapshot of the versioned settings of an agent config
+ * Missing settings are stored as null so every snapshot has the same keys.
+ *
+ * @param {Object} config - agent_configs row (or a snapshot)
+ * @returns {Object} Versioned columns and their values
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const snapshot = buildConfigSnapshot(agentConfigRow);
+ */
+function buildConfigSnapshot(config) {
+  const snapshot = {};
+
+  for (const field of VERSIONED_FIELDS) {
+    snapshot[field] = config?.[field] ?? null;
+  }
+
+  return snapshot;
+}
+
+/**
+ * JSON with object keys sorted, so equal JSONB values compare equal
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Settings that differ between two snapshots
+ *
+ * @param {Object|null} before - Previous snapshot (null for the first version)
+ * @param {Object} after - New snapshot
+ * @returns {Object} { column: { from, to } } for each changed setting
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * diffConfigSnapshots({ temperature: 0.7 }, { temperature: 0.4 });
+ * // => { temperature: { from: 0.7, to: 0.4 } }
+ */
+function diffConfigSnapshots(before, after) {
+  const diff = {};
+
+  for (const field of VERSIONED_FIELDS) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+
+    if (canonicalJson(from) !== canonicalJson(to)) {
+      diff[field] = { from, to };
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Validate agent config settings sent to the API
+ * Only fields present in the input are returned; null clears an optional
+ * setting (the built-in default is used).
+ *
+ * @param {Object} input - Any of type, systemPrompt, temperature, maxTokens, voiceSettings,
+ *   escalationRules, recordingPolicy, recordingConsentPrompt, ivrMenu, greeting,
+ *   returningGreeting, businessHours, tools, qualification
+ * @param {Object} [options={}] - Validation options
+ * @param {Function} [options.isKnownTool] - Returns whether a tool name is registered
+ * @returns {Object} { data } with agent_configs columns, or { error }
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const { data, error } = normalizeConfigChanges({ systemPrompt: 'You are...', temperature: 0.4 });
+ */
+function normalizeConfigChanges(input, options = {}) {
+  const data = {};
+
+  for (const [key, column] of Object.entries(FIELD_COLUMNS)) {
+    if (input?.[key] !== undefined) {
+      data[column] = input[key];
+    }
+  }
+
+  if (data.type !== undefined) {
+    data.type = String(data.type || '').trim();
+    if (!data.type || data.type.length > MAX_LENGTHS.type) {
+      return { error: `type must be 1 to ${MAX_LENGTHS.type} characters` };
+    }
+  }
+
+  if (data.system_prompt !== undefined && (typeof data.system_prompt !== 'string' || !data.system_prompt.trim())) {
+    return { error: 'systemPrompt must be non-empty text' };
+  }
+
+  if (data.temperature !== undefined && data.temperature !== null) {
+    const temperature = Number(data.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 1) {
+      return { error: 'temperature must be a number from 0 to 1' };
+    }
+    data.temperature = temperature;
+  }
+
+  if (data.max_tokens !== undefined && data.max_tokens !== null) {
+    const maxTokens = Number(data.max_tokens);
+    if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_RESPONSE_TOKENS) {
+      return { error: `maxTokens must be a whole number from 1 to ${MAX_RESPONSE_TOKENS}` };
+    }
+    data.max_tokens = maxTokens;
+  }
+
+  if (data.recording_policy !== undefined) {
+    if (data.recording_policy === null) {
+      data.recording_policy = 'off';
+    } else if (!RECORDING_POLICIES.includes(data.recording_policy)) {
+      return { error: `recordingPolicy must be one of: ${RECORDING_POLICIES.join(', ')}` };
+    }
+  }
+
+  for (const column of OBJECT_FIELDS) {
+    const value = data[column];
+    if (value !== undefined && value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+      return { error: `${apiFieldName(column)} must be an object or null` };
+    }
+  }
+
+  for (const column of OPTIONAL_TEXT_FIELDS) {
+    const value = data[column];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return { error: `${apiFieldName(column)} must be text or null` };
+    }
+    if (typeof value === 'string') {
+      data[column] = value.trim() || null;
+    }
+  }
+
+  if (data.tools !== undefined && data.tools !== null) {
+    if (!Array.isArray(data.tools) || data.tools.some(tool => typeof tool !== 'string' || !tool)) {
+      return { error: 'tools must be an array of tool names or null' };
+    }
+    const unknown = options.isKnownTool ? data.tools.filter(tool => !options.isKnownTool(tool)) : [];
+    if (unknown.length > 0) {
+      return { error: `Unknown tools: ${unknown.join(', ')}` };
+    }
+    data.tools = [...new Set(data.tools)];
+  }
+
+  return { data };
+}
+
+/**
+ * API field name for an agent_configs column (for error messages)
+ * @param {string} column - agent_configs column
+ * @returns {string} camelCase field name
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function apiFieldName(column) {
+  return Object.keys(FIELD_COLUMNS).find(key => FIELD_COLUMNS[key] === column) || column;
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  RECORDING_POLICIES,
+  MAX_LENGTHS,
+  buildConfigSnapshot,
+  diffConfigSnapshots,
+  normalizeConfigChanges
+};
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Audio encoding helpers for Twilio Media Streams
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ *
+ * Twilio Media Streams carry 8kHz mono G.711 μ-law audio in 20ms frames.
+ * This module provides the conversions needed to bridge that format with
+ * speech services:
+ * - μ-law <-> 16-bit linear PCM
+ * - Linear resampling between sample rates
+ * - WAV container generation for transcription uploads
+ * - RMS energy calculation for voice-activity detection
+ */
+
+/**
+ * Sample rate used by Twilio Media Streams
+ * @constant {number}
+ */
+const TWILIO_SAMPLE_RATE = 8000;
+
+/**
+ * Number of μ-law bytes in one 20ms Media Streams frame
+ * @constant {number}
+ */
+const FRAME_BYTES = 160;
+
+/**
+ * Bias added before μ-law compression (G.711)
+ * @constant {number}
+ */
+const MULAW_BIAS = 0x84;
+
+/**
+ * Maximum magnitude representable before μ-law compression
+ * @constant {number}
+ */
+const MULAW_CLIP = 32635;
+
+/**
+ * Decode a single μ-law byte into a 16-bit PCM sample
+ * @param {number} byte - μ-law encoded byte (0-255)
+ * @returns {number} Signed 16-bit PCM sample
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ */
+function mulawByteToLinear(byte) {
+  const value = ~byte & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+
+  return sign ? -magnitude : magnitude;
+}
+
+/**
+ * Encode a single 16-bit PCM sample as a μ-law byte
+ * @param {number} sample - Signed 16-bit PCM sample
+ * @returns {number} μ-law encoded byte (0-255)
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ */
+function linearToMulawByte(sample) {
+  const sign = sample < 0 ? 0x80 : 0x00;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  // Find the segment (exponent) containing the biased magnitude
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  magnitude = ~(sign | (exponent << 4) | mantissa);
+
+  return magnitude & 0xff;
+}
+
+/**
+ * Decode a μ-law buffer into 16-bit PCM samples
+ * @param {Buffer} buffer - μ-law audio bytes
+ * @returns {Int16Array} Linear PCM samples
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ *
+ * @example
+ * const samples = decodeMulaw(Buffer.from(message.media.payload, 'base64'));
+ */
+function decodeMulaw(buffer) {
+  const samples = new Int16Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) {
+    samples[i] = mulawByteToLinear(buffer[i]);
+  }
+  return samples;
+}
+
+/**
+ * Encode 16-bit PCM samples as μ-law bytes
+ * @param {Int16Array} samples - Linear PCM samples
+ * @returns {Buffer} μ-law audio bytes
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ */
+function encodeMulaw(samples) {
+  const buffer = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    buffer[i] = linearToMulawByte(samples[i]);
+  }
+  return buffer;
+}
+
+/**
+ * Resample PCM audio using linear interpolation
+ * Good enough for telephony-band speech; not intended for music.
+ *
+ * @param {Int16Array} samples - Input PCM samples
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Int16Array} Resampled PCM samples
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ *
+ * @example
+ * // OpenAI TTS returns 24kHz PCM, Twilio expects 8kHz
+ * const telephony = resamplePcm(ttsSamples, 24000, 8000);
+ */
+function resamplePcm(samples, fromRate, toRate) {
+  if (fromRate === toRate || samples.length === 0) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const outputLength = Math.floor(samples.length / ratio);
+  const output = new Int16Array(outputLength);
+
+  for (let i = 0; i < outputLength; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const current = samples[index];
+    const next = index + 1 < samples.length ? samples[index + 1] : current;
+    output[i] = Math.round(current + (next - current) * fraction);
+  }
+
+  return output;
+}
+
+/**
+ * Convert a little-endian 16-bit PCM buffer into samples
+ * @param {Buffer} buffer - Raw PCM bytes (s16le)
+ * @returns {Int16Array} PCM samples
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ */
+function pcmBufferToSamples(buffer) {
+  const sampleCount = Math.floor(buffer.length / 2);
+  const samples = new Int16Array(sampleCount);
+  for (let i = 0; i < sampleCount; i++) {
+    samples[i] = buffer.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
+/**
+ * Wrap PCM samples in a WAV (RIFF) container
+ * Whisper accepts WAV uploads, so buffered caller audio is sent this way.
+ *
+ * @param {Int16Array} samples - Mono PCM samples
+ * @param {number} [sampleRate=8000] - Sample rate in Hz
+ * @returns {Buffer} WAV file bytes
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ */
+function pcmToWav(samples, sampleRate = TWILIO_SAMPLE_RATE) {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  // RIFF header
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+
+  // fmt chunk: PCM, mono, 16-bit
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+
+  // data chunk
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeInt16LE(samples[i], 44 + i * 2);
+  }
+
+  return buffer;
+}
+
+/**
+ * Calculate root-mean-square energy of PCM samples
+ * Used by voice-activity detection to separate speech from line noise.
+ *
+ * @param {Int16Array} samples - PCM samples
+ * @returns {number} RMS energy (0-32768)
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ */
+function calculateRms(samples) {
+  if (!samples || samples.length === 0) {
+    return 0;
+  }
+
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sumSquares += samples[i] * samples[i];
+  }
+
+  return Math.sqrt(sumSquares / samples.length);
+}
+
+/**
+ * Split a μ-law buffer into 20ms frames for Media Streams playback
+ * @param {Buffer} buffer - μ-law audio bytes
+ * @param {number} [frameBytes=160] - Bytes per frame
+ * @returns {Buffer[]} Array of frames (last frame may be shorter)
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T09:00:00Z
+ */
+function splitFrames(buffer, frameBytes = FRAME_BYTES) {
+  const frames = [];
+  for (let offset = 0; offset < buffer.length; offset += frameBytes) {
+    frames.push(buffer.subarray(offset, offset + frameBytes));
+  }
+  return frames;
+}
+
+module.exports = {
+  TWILIO_SAMPLE_RATE,
+  FRAME_BYTES,
+  decodeMulaw,
+  encodeMulaw,
+  resamplePcm,
+  pcmBufferToSamples,
+  pcmToWav,
+  calculateRms,
+  splitFrames
+};
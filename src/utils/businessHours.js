@@ -0,0 +1,399 @@
+/**
+ * @fileoverview Business-hours calendar evaluation for agent configs
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Evaluates agent_configs.business_hours calendars:
+ * - Weekly schedule in the calendar's IANA time zone (DST-aware via Intl)
+ * - Holiday exceptions (closed all day, or special hours), one-off or yearly
+ * - One-off closures between two instants
+ * - Next opening time, used to offer after-hours callback slots
+ * - Open appointment slots, offered by the check_appointment_availability tool
+ *   (around busy intervals when booking with a rep's calendar)
+ *
+ * Calendar format:
+ *   {
+ *     "timezone": "America/New_York",
+ *     "weekly": { "mon": [{ "open": "09:00", "close": "17:00" }], "sat": [], ... },
+ *     "holidays": [{ "date": "12-25", "name": "Christmas Day" },
+ *                  { "date": "2026-12-24", "hours": [{ "open": "09:00", "close": "12:00" }] }],
+ *     "closures": [{ "start": "2026-10-20T13:00:00Z", "end": "2026-10-20T15:00:00Z", "reason": "Team offsite" }]
+ *   }
+ *
+ * Days missing from "weekly" are closed. Intervals cannot span midnight;
+ * use "24:00" as the close time and open the next day at "00:00" instead.
+ */
+
+/**
+ * Weekday keys used by calendar.weekly, indexed like Date#getUTCDay()
+ * @constant {string[]}
+ */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * How many days ahead getNextOpening() searches
+ * @constant {number}
+ */
+const MAX_LOOKAHEAD_DAYS = 14;
+
+/**
+ * Parse an "HH:MM" time into minutes after midnight
+ * @param {string} time - 24-hour time ("09:30", "24:00")
+ * @returns {number|null} Minutes after midnight, or null if invalid
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || ''));
+  if (!match) {
+    return null;
+  }
+
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Break an instant into wall-clock parts in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA time zone (e.g. 'America/New_York')
+ * @returns {Object} { date: 'YYYY-MM-DD', weekday: 'mon', minutes, year, month, day, hour, minute, second }
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * getLocalParts(new Date('2026-10-19T13:30:00Z'), 'America/New_York');
+ * // { date: '2026-10-19', weekday: 'mon', minutes: 570, ... }
+ */
+function getLocalParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  // Some ICU versions report midnight as hour 24
+  const hour = Number(parts.hour) % 24;
+  const minute = Number(parts.minute);
+  const second = Number(parts.second);
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()],
+    minutes: hour * 60 + minute,
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {number} Offset in milliseconds (local - UTC)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function getOffsetMs(date, timezone) {
+  const local = getLocalParts(date, timezone);
+  const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant
+ * @param {string} dateString - Local date 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timezone - IANA time zone
+ * @returns {Date} UTC instant
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * zonedTimeToUtc('2026-10-19', 9 * 60, 'America/New_York'); // 2026-10-19T13:00:00.000Z
+ */
+function zonedTimeToUtc(dateString, minutes, timezone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Guess with the offset at that moment, then correct once for DST transitions
+  let utc = localAsUtc - getOffsetMs(new Date(localAsUtc), timezone);
+  utc = localAsUtc - getOffsetMs(new Date(utc), timezone);
+
+  return new Date(utc);
+}
+
+/**
+ * Find the holiday entry for a local date
+ * "YYYY-MM-DD" matches once; "MM-DD" matches every year.
+ *
+ * @param {Object} calendar - Business-hours calendar
+ * @param {string} dateString - Local date 'YYYY-MM-DD'
+ * @returns {Object|null} Holiday entry or null
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function findHoliday(calendar, dateString) {
+  const holidays = Array.isArray(calendar.holidays) ? calendar.holidays : [];
+  return holidays.find(holiday => holiday.date === dateString || holiday.date === dateString.slice(5)) || null;
+}
+
+/**
+ * Opening intervals for one local date, in minutes after midnight
+ * @param {Object} calendar - Business-hours calendar
+ * @param {string} dateString - Local date 'YYYY-MM-DD'
+ * @param {string} weekday - Weekday key ('mon'...'sun')
+ * @returns {Object} { intervals: [{ open, close }], holiday }
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function getIntervalsForDate(calendar, dateString, weekday) {
+  const holiday = findHoliday(calendar, dateString);
+  const source = holiday
+    ? (holiday.hours || [])
+    : ((calendar.weekly || {})[weekday] || []);
+
+  const intervals = source
+    .map(interval => ({ open: parseTime(interval.open), close: parseTime(interval.close) }))
+    .filter(interval => interval.open !== null && interval.close !== null && interval.close > interval.open)
+    .sort((a, b) => a.open - b.open);
+
+  return { intervals, holiday };
+}
+
+/**
+ * Find the one-off closure covering an instant
+ * @param {Object} calendar - Business-hours calendar
+ * @param {Date} date - Instant to check
+ * @returns {Object|null} Closure entry or null
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function findClosure(calendar, date) {
+  const closures = Array.isArray(calendar.closures) ? calendar.closures : [];
+  const time = date.getTime();
+
+  return closures.find(closure => {
+    const start = new Date(closure.start).getTime();
+    const end = new Date(closure.end).getTime();
+    return time >= start && time < end;
+  }) || null;
+}
+
+/**
+ * Find the next instant the business is open
+ * @param {Object} calendar - Business-hours calendar
+ * @param {Date} [from=new Date()] - Search start
+ * @returns {Date|null} Next opening (or `from` if open now), null if none within 14 days
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const slot = getNextOpening(agentConfig.business_hours);
+ */
+function getNextOpening(calendar, from = new Date()) {
+  const timezone = calendar.timezone || 'UTC';
+  const today = getLocalParts(from, timezone);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const dateString = day.toISOString().slice(0, 10);
+    const { intervals } = getIntervalsForDate(calendar, dateString, WEEKDAYS[day.getUTCDay()]);
+
+    for (const interval of intervals) {
+      const open = zonedTimeToUtc(dateString, interval.open, timezone);
+      const close = zonedTimeToUtc(dateString, interval.close, timezone);
+
+      let candidate = open > from ? open : from;
+
+      // Skip past any one-off closures inside this interval
+      let closure = findClosure(calendar, candidate);
+      while (closure && candidate < close) {
+        candidate = new Date(closure.end);
+        closure = findClosure(calendar, candidate);
+      }
+
+      if (candidate < close) {
+        return candidate;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the next open slots of a fixed length
+ * Slots start on step boundaries of the local day (the slot length unless
+ * stepMinutes is set), fit inside an opening interval and overlap neither a
+ * one-off closure nor a busy interval.
+ *
+ * @param {Object} calendar - Business-hours calendar
+ * @param {Date} [from=new Date()] - Earliest slot start
+ * @param {Object} [options] - Slot options
+ * @param {number} [options.count=3] - Maximum slots to return
+ * @param {number} [options.slotMinutes=30] - Slot length in minutes
+ * @param {number} [options.stepMinutes] - Minutes between candidate starts (default slotMinutes)
+ * @param {Array<Object>} [options.busy=[]] - Taken time as [{ start, end }] (Date or ISO string)
+ * @returns {Date[]} Slot start instants, earliest first (within 14 days)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * getOpenSlots(agentConfig.business_hours, new Date(), { count: 3 })
+ *   .map(slot => formatSlot(slot, agentConfig.business_hours.timezone));
+ *
+ * @example
+ * // 45-minute demos offered every 30 minutes around existing bookings
+ * getOpenSlots(rep.availability, new Date(), { slotMinutes: 45, stepMinutes: 30, busy });
+ */
+function getOpenSlots(calendar, from = new Date(), options = {}) {
+  const { count = 3, slotMinutes = 30 } = options;
+  const stepMinutes = options.stepMinutes || slotMinutes;
+  const busy = (options.busy || []).map(interval => ({
+    start: new Date(interval.start).getTime(),
+    end: new Date(interval.end).getTime()
+  }));
+  const timezone = calendar.timezone || 'UTC';
+  const today = getLocalParts(from, timezone);
+  const slots = [];
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS && slots.length < count; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const dateString = day.toISOString().slice(0, 10);
+    const { intervals } = getIntervalsForDate(calendar, dateString, WEEKDAYS[day.getUTCDay()]);
+
+    for (const interval of intervals) {
+      const first = Math.ceil(interval.open / stepMinutes) * stepMinutes;
+
+      for (let minutes = first; minutes + slotMinutes <= interval.close && slots.length < count; minutes += stepMinutes) {
+        const start = zonedTimeToUtc(dateString, minutes, timezone);
+        const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+
+        if (start < from) {
+          continue;
+        }
+
+        // A closure that starts inside the slot blocks it as well
+        const blocked = findClosure(calendar, start)
+          || findClosure(calendar, new Date(end.getTime() - 1))
+          || (calendar.closures || []).some(closure => new Date(closure.start) > start && new Date(closure.start) < end)
+          || busy.some(interval => interval.start < end.getTime() && interval.end > start.getTime());
+
+        if (!blocked) {
+          slots.push(start);
+        }
+      }
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Evaluate whether a calendar is open at an instant
+ * A missing calendar means "always open" so existing configs keep working.
+ *
+ * @param {Object|null} calendar - agent_configs.business_hours
+ * @param {Date} [now=new Date()] - Instant to evaluate
+ * @returns {Object} { open, reason, timezone, holiday, closure, nextOpenAt }
+ *   reason is one of 'no_calendar', 'open', 'closed', 'holiday', 'closure'
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const status = getBusinessHoursStatus(agentConfig.business_hours);
+ * if (!status.open) {
+ *   console.log(`Closed (${status.reason}), next opening ${status.nextOpenAt}`);
+ * }
+ */
+function getBusinessHoursStatus(calendar, now = new Date()) {
+  if (!calendar || (!calendar.weekly && !calendar.holidays && !calendar.closures)) {
+    return { open: true, reason: 'no_calendar', timezone: null, holiday: null, closure: null, nextOpenAt: null };
+  }
+
+  const timezone = calendar.timezone || 'UTC';
+  const local = getLocalParts(now, timezone);
+  const closure = findClosure(calendar, now);
+  const { intervals, holiday } = getIntervalsForDate(calendar, local.date, local.weekday);
+  const withinHours = intervals.some(interval => local.minutes >= interval.open && local.minutes < interval.close);
+
+  if (withinHours && !closure) {
+    return { open: true, reason: 'open', timezone, holiday: holiday ? holiday.name || null : null, closure: null, nextOpenAt: null };
+  }
+
+  let reason = 'closed';
+  if (closure) {
+    reason = 'closure';
+  } else if (holiday) {
+    reason = 'holiday';
+  }
+
+  return {
+    open: false,
+    reason,
+    timezone,
+    holiday: holiday ? holiday.name || null : null,
+    closure: closure ? closure.reason || null : null,
+    nextOpenAt: getNextOpening(calendar, now)
+  };
+}
+
+/**
+ * Describe an instant for callers, in the calendar's time zone
+ * @param {Date} date - Instant to describe
+ * @param {string} [timezone='UTC'] - IANA time zone
+ * @returns {string} e.g. "Monday, October 19 at 9:00 AM"
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function formatSlot(date, timezone = 'UTC') {
+  const day = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric'
+  }).format(date);
+
+  const time = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(date);
+
+  return `${day} at ${time}`;
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseTime,
+  getLocalParts,
+  zonedTimeToUtc,
+  getNextOpening,
+  getOpenSlots,
+  getBusinessHoursStatus,
+  formatSlot
+};
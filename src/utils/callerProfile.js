@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Returning-caller profiles, greetings and AI context
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * When an inbound caller's number matches a customer, the voice gateway
+ * builds a small profile (name, tags, recent conversations, open follow-ups)
+ * and stores it on the conversation as metadata.caller. The profile drives:
+ * - the personalized greeting ("Hi Pat, welcome back! I see we spoke yesterday.")
+ * - a short history block added to the AI's system prompt on every turn
+ *
+ * A first-time caller's customer record is empty, so their profile changes
+ * neither the greeting nor the prompt.
+ *
+ * Caller ID can be spoofed, so the greeting only uses the first name and
+ * the AI is told not to volunteer account details.
+ */
+
+const { getLocalParts, formatSlot } = require('./businessHours');
+
+/**
+ * Prior conversations kept in a profile
+ * @constant {number}
+ */
+const MAX_RECENT_CONVERSATIONS = 3;
+
+/**
+ * Longest topic excerpt kept per conversation
+ * @constant {number}
+ */
+const MAX_TOPIC_LENGTH = 120;
+
+/**
+ * Built-in opening lines for recognized callers, by what we know about them
+ * @constant {Object}
+ */
+const RETURNING_GREETINGS = {
+  nameAndLastContact: 'Hi {name}, welcome back! I see we spoke {lastContact}. How can I help you today?',
+  name: 'Hi {name}, good to hear from you! How can I help you today?',
+  lastContact: 'Welcome back! I see we spoke {lastContact}. How can I help you today?'
+};
+
+/**
+ * First word of a customer name
+ * @param {string|null} name - customers.name
+ * @returns {string|null} First name, or null when there is no name
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * getFirstName('Pat Lee'); // 'Pat'
+ */
+function getFirstName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return null;
+  }
+  return name.trim().split(/\s+/)[0];
+}
+
+/**
+ * Shorten text to a single line of at most MAX_TOPIC_LENGTH characters
+ * @param {string} text - Text to shorten
+ * @returns {string} Shortened text
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function truncate(text) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > MAX_TOPIC_LENGTH ? `${line.slice(0, MAX_TOPIC_LENGTH - 3).trimEnd()}...` : line;
+}
+
+/**
+ * What a prior conversation was about
+ * Uses the handoff summary when the call was transferred, otherwise the
+ * first thing the customer said.
+ *
+ * @param {Object} conversation - conversations row
+ * @param {Array<Object>} [messages=[]] - Its messages, oldest first
+ * @returns {string|null} Topic excerpt
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function summarizeTopic(conversation, messages = []) {
+  const transferSummary = conversation.metadata?.transfer?.summary;
+  if (transferSummary) {
+    return truncate(transferSummary);
+  }
+
+  const opening = messages.find(message => message.role === 'user' && message.content && message.content.trim());
+  return opening ? truncate(opening.content) : null;
+}
+
+/**
+ * Build the profile stored on a recognized caller's conversation
+ *
+ * @param {Object} params - Profile inputs
+ * @param {Object} params.customer - customers row
+ * @param {Array<Object>} [params.conversations=[]] - Prior { conversation, messages }, newest first
+ * @param {Array<Object>} [params.tasks=[]] - Open scheduled_tasks rows
+ * @param {string} [params.timezone='UTC'] - Time zone used to describe dates
+ * @returns {Object} Caller profile
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const profile = buildCallerProfile({ customer, conversations: [{ conversation, messages }], tasks });
+ * // { customerId, name, firstName, returning: true, lastInteraction: { at, channel, topic }, ... }
+ */
+function buildCallerProfile({ customer, conversations = [], tasks = [], timezone = 'UTC' }) {
+  const recentConversations = conversations.slice(0, MAX_RECENT_CONVERSATIONS).map(({ conversation, messages }) => ({
+    at: conversation.started_at,
+    channel: conversation.agent_type === 'sms' ? 'sms' : 'call',
+    direction: conversation.metadata?.direction || 'inbound',
+    topic: summarizeTopic(conversation, messages)
+  }));
+
+  return {
+    customerId: customer.id,
+    name: customer.name || null,
+    firstName: getFirstName(customer.name),
+    company: customer.company || null,
+    tags: Array.isArray(customer.tags) ? customer.tags : [],
+    returning: recentConversations.length > 0,
+    lastInteraction: recentConversations[0] || null,
+    recentConversations,
+    openTasks: tasks.map(task => ({
+      type: task.task_type,
+      scheduledFor: task.scheduled_for,
+      reason: task.payload?.reason || null
+    })),
+    timezone
+  };
+}
+
+/**
+ * Describe when something happened relative to now, in calendar days
+ * @param {string|Date} at - Instant
+ * @param {Date} [now=new Date()] - Current time
+ * @param {string} [timezone='UTC'] - Time zone whose calendar days are counted
+ * @returns {string} 'earlier today', 'yesterday', '3 days ago' or 'on October 2'
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * describeLastContact('2026-10-18T15:00:00Z', new Date('2026-10-19T15:00:00Z')); // 'yesterday'
+ */
+function describeLastContact(at, now = new Date(), timezone = 'UTC') {
+  const then = getLocalParts(new Date(at), timezone);
+  const today = getLocalParts(now, timezone);
+  const days = Math.round(
+    (Date.UTC(today.year, today.month - 1, today.day) - Date.UTC(then.year, then.month - 1, then.day)) / 86400000
+  );
+
+  if (days <= 0) {
+    return 'earlier today';
+  }
+  if (days === 1) {
+    return 'yesterday';
+  }
+  if (days < 7) {
+    return `${days} days ago`;
+  }
+
+  return `on ${new Intl.DateTimeFormat('en-US', { timeZone: timezone, month: 'long', day: 'numeric' }).format(new Date(at))}`;
+}
+
+/**
+ * Opening line for a recognized caller
+ * A custom template is used when every placeholder in it has a value;
+ * otherwise the built-in line matching what we know is used.
+ *
+ * @param {Object|null} profile - Caller profile from buildCallerProfile()
+ * @param {string|null} [template] - agent_configs.returning_greeting ({name}, {lastContact})
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string|null} Greeting, or null to use the regular greeting
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * buildReturningGreeting(profile);
+ * // 'Hi Pat, welcome back! I see we spoke yesterday. How can I help you today?'
+ */
+function buildReturningGreeting(profile, template = null, now = new Date()) {
+  if (!profile) {
+    return null;
+  }
+
+  const values = {
+    name: profile.firstName,
+    lastContact: profile.lastInteraction ? describeLastContact(profile.lastInteraction.at, now, profile.timezone) : null
+  };
+  const fill = text => text.replace(/\{(\w+)\}/g, (match, key) => values[key]);
+
+  if (template && [...template.matchAll(/\{(\w+)\}/g)].every(match => values[match[1]])) {
+    return fill(template);
+  }
+
+  if (values.name && values.lastContact) {
+    return fill(RETURNING_GREETINGS.nameAndLastContact);
+  }
+  if (values.name) {
+    return fill(RETURNING_GREETINGS.name);
+  }
+  if (values.lastContact) {
+    return fill(RETURNING_GREETINGS.lastContact);
+  }
+
+  return null;
+}
+
+/**
+ * History block added to the AI's system prompt for a recognized caller
+ *
+ * @param {Object|null} profile - Caller profile from buildCallerProfile()
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string|null} Prompt text, or null when the profile is missing or empty (a new customer)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * formatCallerContext(profile);
+ * // 'CALLER CONTEXT (from caller ID, not verified):\n- Name: Pat Lee (Acme)\n- Last contact: yesterday by call about "pricing"...'
+ */
+function formatCallerContext(profile, now = new Date()) {
+  if (!profile) {
+    return null;
+  }
+
+  const hasHistory = (profile.recentConversations && profile.recentConversations.length > 0)
+    || (profile.openTasks && profile.openTasks.length > 0);
+  const hasDetails = profile.name || (profile.tags && profile.tags.length > 0);
+  if (!hasHistory && !hasDetails) {
+    return null;
+  }
+
+  const timezone = profile.timezone || 'UTC';
+  const lines = ['CALLER CONTEXT (from caller ID, not verified):'];
+
+  if (profile.name) {
+    lines.push(`- Name: ${profile.name}${profile.company ? ` (${profile.company})` : ''}`);
+  }
+  if (profile.tags && profile.tags.length > 0) {
+    lines.push(`- Tags: ${profile.tags.join(', ')}`);
+  }
+
+  if (profile.recentConversations && profile.recentConversations.length > 0) {
+    lines.push('- Recent conversations:');
+    for (const conversation of profile.recentConversations) {
+      const topic = conversation.topic ? ` about "${conversation.topic}"` : '';
+      lines.push(`  - ${describeLastContact(conversation.at, now, timezone)} by ${conversation.channel}${topic}`);
+    }
+  } else {
+    lines.push('- No previous conversations on record.');
+  }
+
+  if (profile.openTasks && profile.openTasks.length > 0) {
+    lines.push('- Open follow-ups:');
+    for (const task of profile.openTasks) {
+      const reason = task.reason ? ` (${task.reason})` : '';
+      lines.push(`  - ${task.type.replace(/_/g, ' ')} scheduled for ${formatSlot(new Date(task.scheduledFor), timezone)}${reason}`);
+    }
+  }
+
+  lines.push('Treat them as a known customer and use this history where it helps. Caller ID is not proof of identity, so do not read back account details the caller has not mentioned.');
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  RETURNING_GREETINGS,
+  getFirstName,
+  summarizeTopic,
+  buildCallerProfile,
+  describeLastContact,
+  buildReturningGreeting,
+  formatCallerContext
+};
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Pull customer details out of what a caller says
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Rule-based extraction of name, email, company and stated needs from a
+ * single caller utterance. Rules are deliberately conservative: a missed
+ * detail can be added by a rep, a wrong one overwrites good CRM data.
+ * - Strong cues ("my name is", "my email is", "my company is") accept any casing
+ * - Weak cues ("this is", "I'm", "call me", "I work for", "from") need a
+ *   capitalized name, which speech recognition produces for proper nouns, and
+ *   never take times, days, months or adjectives ("it's Tuesday", "this is urgent")
+ * - Only a name given after "my name is" is marked explicit, which lets it
+ *   replace a name the customer already has (see CustomerService)
+ * - Spoken emails ("pat dot lee at acme dot com") are only read after the word "email"
+ */
+
+/**
+ * Words that end a name or company capture
+ * @constant {Set<string>}
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'actually', 'an', 'and', 'are', 'as', 'at', 'because', 'but', 'by', 'calling',
+  'for', 'from', 'hello', 'here', 'hi', 'i', 'i\'m', 'im', 'in', 'is', 'it', 'just', 'looking',
+  'my', 'not', 'of', 'on', 'or', 'our', 'please', 'regarding', 'so', 'sorry', 'thanks', 'that',
+  'the', 'to', 'uh', 'um', 'we', 'we\'re', 'well', 'with', 'yeah', 'yes', 'no', 'okay', 'ok'
+]);
+
+/**
+ * Words that follow weak cues ("I'm ...", "from ...") but are not names or companies
+ * @constant {Set<string>}
+ */
+const NOT_NAMES = new Set([
+  'calling', 'interested', 'looking', 'trying', 'just', 'good', 'fine', 'great', 'sorry', 'here',
+  'home', 'work', 'the', 'a', 'an', 'not', 'still', 'also', 'wondering', 'hoping', 'ready', 'sure',
+  'google', 'facebook', 'online', 'your', 'you', 'my', 'our'
+]);
+
+/**
+ * Words that make a weak-cue name a false match ("call me back", "it's Tuesday", "this is urgent")
+ * @constant {Set<string>}
+ */
+const NOT_NAME_WORDS = new Set([
+  'back', 'later', 'now', 'soon', 'again', 'today', 'tonight', 'tomorrow', 'yesterday', 'morning',
+  'afternoon', 'evening', 'weekend', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday',
+  'sunday', 'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+  'october', 'november', 'december', 'urgent', 'important', 'serious', 'busy', 'available', 'free',
+  'open', 'closed', 'late', 'early', 'new', 'right', 'wrong', 'correct', 'true', 'ok', 'okay', 'perfect',
+  'awesome', 'terrible', 'bad', 'good', 'fine', 'great', 'done', 'ridiculous', 'crazy', 'weird',
+  'strange', 'broken', 'expensive', 'cheap', 'possible', 'impossible', 'interested', 'confused', 'it',
+  'what', 'that', 'this'
+]);
+
+/**
+ * Cues that introduce a stated need, longest first
+ * @constant {RegExp}
+ */
+const NEED_PATTERN = /\b(?:i am|i'm|we are|we're)\s+(?:also\s+)?(?:looking for|interested in)\s+([^.?!]+)|\b(?:i|we)(?:\s+also)?(?:\s+need|\s+want|\s+would like|'d like|'d also like)\s+([^.?!]+)|\binterested in\s+([^.?!]+)/gi;
+
+/**
+ * Longest need kept
+ * @constant {number}
+ */
+const MAX_NEED_LENGTH = 100;
+
+/**
+ * Capitalize each word ("pat lee" -> "Pat Lee")
+ * @param {string} text - Text to capitalize
+ * @returns {string} Capitalized text
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function titleCase(text) {
+  return text.replace(/\b([a-z])/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Take up to maxWords words from the start of text, stopping at stop words
+ * @param {string} text - Text following a cue
+ * @param {number} maxWords - Most words to take
+ * @param {boolean} requireCapitals - Every word must start with a capital letter
+ * @returns {string|null} Captured words, or null when the first word is not usable
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function takeWords(text, maxWords, requireCapitals) {
+  const words = [];
+
+  for (const word of text.split(/\s+/)) {
+    const clean = word.replace(/[^\w'&.-]+$/g, '').replace(/\.$/, '');
+    if (!clean || STOP_WORDS.has(clean.toLowerCase())) {
+      break;
+    }
+    if (requireCapitals && !/^[A-Z0-9]/.test(clean)) {
+      break;
+    }
+
+    words.push(clean);
+
+    // Punctuation after a word ends the phrase
+    if (words.length >= maxWords || /[,.;!?]$/.test(word)) {
+      break;
+    }
+  }
+
+  if (words.length === 0 || NOT_NAMES.has(words[0].toLowerCase())) {
+    return null;
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Find the caller's name
+ * @param {string} text - Caller utterance
+ * @returns {{name: string, explicit: boolean}|null} Name, and whether it followed "my name is"
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function extractName(text) {
+  const strong = text.match(/\b(?:my name is|my name's|(?<!company )name is)\s+(.+)/i);
+  if (strong) {
+    const name = takeWords(strong[1], 3, false);
+    if (name && /^[a-z' -]+$/i.test(name)) {
+      return { name: titleCase(name), explicit: true };
+    }
+  }
+
+  const weak = text.match(/\b(?:this is|i am|i'm|it's|call me)\s+(.+)/i);
+  if (weak) {
+    const name = takeWords(weak[1], 2, true);
+    if (name && /^[a-z' -]+$/i.test(name) && !name.split(' ').some(word => NOT_NAME_WORDS.has(word.toLowerCase()))) {
+      return { name, explicit: false };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the caller's email address, typed or spoken
+ * @param {string} text - Caller utterance
+ * @returns {string|null} Lower-case email address
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function extractEmail(text) {
+  const literal = text.match(/[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/i);
+  if (literal) {
+    return literal[0].toLowerCase();
+  }
+
+  // "pat dot lee at acme dot com", only when they are talking about email
+  const cue = text.search(/\be-?mail\b/i);
+  if (cue === -1) {
+    return null;
+  }
+
+  const spoken = text.slice(cue).match(
+    /\b([a-z0-9][a-z0-9_+-]*(?:\s+(?:dot|underscore|dash)\s+[a-z0-9_+-]+)*)\s+at\s+([a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)+)\b/i
+  );
+  if (!spoken) {
+    return null;
+  }
+
+  const local = spoken[1]
+    .replace(/\s+dot\s+/gi, '.')
+    .replace(/\s+underscore\s+/gi, '_')
+    .replace(/\s+dash\s+/gi, '-');
+  const domain = spoken[2].replace(/\s+dot\s+/gi, '.');
+  const email = `${local}@${domain}`.toLowerCase();
+
+  return /^[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(email) ? email : null;
+}
+
+/**
+ * Find the caller's company
+ * @param {string} text - Caller utterance
+ * @returns {string|null} Company name
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function extractCompany(text) {
+  const strong = text.match(/\b(?:(?:my|our|the)\s+)?company(?:\s+name)?\s+is(?:\s+called)?\s+(.+)/i);
+  if (strong) {
+    const company = takeWords(strong[1], 4, false);
+    if (company) {
+      return /[A-Z]/.test(company) ? company : titleCase(company);
+    }
+  }
+
+  const weak = text.match(/\b(?:i work (?:at|for)|i'm with|i am with|calling from|(?:this is|i'm|i am) [A-Z][a-z'-]+ (?:from|with|at))\s+(.+)/i);
+  if (weak) {
+    return takeWords(weak[1], 4, true);
+  }
+
+  return null;
+}
+
+/**
+ * Find needs the caller stated ("I'm looking for pricing for ten seats")
+ * @param {string} text - Caller utterance
+ * @returns {string[]} Needs, in the order they were said
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function extractNeeds(text) {
+  const needs = [];
+
+  for (const match of text.matchAll(NEED_PATTERN)) {
+    const need = (match[1] || match[2] || match[3]).trim().replace(/[,;]+$/, '');
+    if (need.split(/\s+/).length >= 2) {
+      needs.push(need.length > MAX_NEED_LENGTH ? `${need.slice(0, MAX_NEED_LENGTH - 3).trimEnd()}...` : need);
+    }
+  }
+
+  return needs;
+}
+
+/**
+ * Extract customer details from one caller utterance
+ *
+ * @param {string} text - What the caller said
+ * @returns {Object} { name?, email?, company?, needs?, explicit? } - only the details found;
+ *   explicit lists the fields the caller stated outright (['name'] after "my name is")
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * extractCustomerFields('Hi, this is Pat from Acme Corp. I need pricing for ten seats.');
+ * // { name: 'Pat', company: 'Acme Corp', needs: ['pricing for ten seats'] }
+ */
+function extractCustomerFields(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return {};
+  }
+
+  const fields = {};
+  const name = extractName(text);
+  const email = extractEmail(text);
+  const company = extractCompany(text);
+  const needs = extractNeeds(text);
+
+  if (name) {
+    fields.name = name.name;
+    if (name.explicit) {
+      fields.explicit = ['name'];
+    }
+  }
+  if (email) {
+    fields.email = email;
+  }
+  if (company) {
+    fields.company = company;
+  }
+  if (needs.length > 0) {
+    fields.needs = needs;
+  }
+
+  return fields;
+}
+
+module.exports = {
+  extractCustomerFields
+};
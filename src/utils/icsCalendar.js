@@ -0,0 +1,188 @@
+/**
+ * @fileoverview iCalendar (RFC 5545) invites for booked appointments
+ * @author LegacyAI Subagent Fleet - Integration Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Builds the single-event VCALENDAR attached to appointment confirmation
+ * and cancellation emails:
+ * - METHOD:REQUEST adds the event to the attendee's calendar
+ * - METHOD:CANCEL with the same UID and a higher SEQUENCE removes it again
+ * Times are written in UTC, so no VTIMEZONE block is needed. Text values
+ * are escaped and lines are folded at 75 octets as the RFC requires.
+ */
+
+/**
+ * Product identifier written to every calendar
+ * @constant {string}
+ */
+const PRODUCT_ID = '-//LegacyAI//Voice Agent//EN';
+
+/**
+ * Longest content line before folding, in octets
+ * @constant {number}
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * MIME type for an invite with the given method
+ * @param {string} [method='REQUEST'] - 'REQUEST' or 'CANCEL'
+ * @returns {string} e.g. 'text/calendar; charset=utf-8; method=REQUEST'
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function getIcsContentType(method = 'REQUEST') {
+  return `text/calendar; charset=utf-8; method=${method}`;
+}
+
+/**
+ * Format an instant as an iCalendar UTC date-time
+ * @param {Date|string} date - Instant
+ * @returns {string} e.g. '20261019T130000Z'
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * formatIcsDate('2026-10-19T13:00:00.000Z'); // '20261019T130000Z'
+ */
+function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function escapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into 75-octet pieces joined by CRLF + space
+ * Never splits a multi-byte character.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (no trailing CRLF)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function foldLine(line) {
+  const pieces = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      pieces.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  pieces.push(current);
+  return pieces.join('\r\n ');
+}
+
+/**
+ * Format a person as an ORGANIZER or ATTENDEE property
+ * @param {string} property - 'ORGANIZER' or 'ATTENDEE'
+ * @param {Object} person - { name, email }
+ * @param {string} [params=''] - Extra parameters (e.g. ';ROLE=REQ-PARTICIPANT')
+ * @returns {string} Content line
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function formatPerson(property, person, params = '') {
+  const name = person.name ? `;CN="${String(person.name).replace(/"/g, '\'')}"` : '';
+  return `${property}${name}${params}:mailto:${person.email}`;
+}
+
+/**
+ * Build a single-event iCalendar document
+ *
+ * @param {Object} event - Event details
+ * @param {string} event.uid - Stable unique ID (the same for an invite and its cancellation)
+ * @param {Date|string} event.start - Start instant
+ * @param {Date|string} event.end - End instant
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Notes shown with the event
+ * @param {string} [event.location] - Location or meeting link
+ * @param {Object} [event.organizer] - { name, email }
+ * @param {Array<Object>} [event.attendees=[]] - [{ name, email }]
+ * @param {string} [event.method='REQUEST'] - 'REQUEST' or 'CANCEL'
+ * @param {number} [event.sequence=0] - Revision; raise it for updates and cancellations
+ * @param {Date} [event.now=new Date()] - DTSTAMP
+ * @returns {string} iCalendar text with CRLF line endings
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const ics = buildIcsEvent({
+ *   uid: `${appointment.id}@legacyai`,
+ *   start: appointment.start_at,
+ *   end: appointment.end_at,
+ *   summary: 'Product demo',
+ *   organizer: { name: 'Sam Rep', email: 'sam@example.com' },
+ *   attendees: [{ name: 'Pat Lee', email: 'pat@acme.test' }]
+ * });
+ */
+function buildIcsEvent(event) {
+  const method = event.method === 'CANCEL' ? 'CANCEL' : 'REQUEST';
+  const attendees = (event.attendees || []).filter(attendee => attendee && attendee.email);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatIcsDate(event.now || new Date())}`,
+    `DTSTART:${formatIcsDate(event.start)}`,
+    `DTEND:${formatIcsDate(event.end)}`,
+    `SUMMARY:${escapeIcsText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  }
+  if (event.organizer && event.organizer.email) {
+    lines.push(formatPerson('ORGANIZER', event.organizer));
+  }
+  attendees.forEach(attendee => {
+    lines.push(formatPerson('ATTENDEE', attendee, ';ROLE=REQ-PARTICIPANT;RSVP=FALSE'));
+  });
+
+  lines.push(`STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  getIcsContentType,
+  formatIcsDate,
+  escapeIcsText,
+  buildIcsEvent
+};
@@ -0,0 +1,559 @@
+/**
+ * @fileoverview Knowledge base documents: chunking, similarity search and prompt text
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * - Markdown, HTML and plain-text documents are reduced to sections (by
+ *   heading) of plain paragraphs, then packed into passages of at most
+ *   chunkSize characters. A passage continues the previous one in the same
+ *   section with chunkOverlap characters, so a fact split across passages is
+ *   still found.
+ * - Passages are ranked by cosine similarity to the caller's words. Vectors
+ *   are normalized once, so similarity is a dot product over every passage
+ *   (brute force), which is fast enough for a few thousand passages.
+ * - Passages go into the prompt with short source IDs (S1, S2, ...) that map
+ *   back to the stored chunks.
+ */
+
+/**
+ * Document formats accepted
+ * @constant {string[]}
+ */
+const DOCUMENT_FORMATS = ['markdown', 'html', 'text'];
+
+/**
+ * Default chunking options (see environment.getKnowledgeConfig)
+ * @constant {Object}
+ */
+const DEFAULT_CHUNK_OPTIONS = {
+  chunkSize: 1000,
+  chunkOverlap: 150
+};
+
+/**
+ * Caller turns shorter than this many words are searched together with the
+ * caller's previous turn ("how much is it?" needs to know what "it" is)
+ * @constant {number}
+ */
+const MIN_QUERY_WORDS = 4;
+
+/**
+ * Separator between heading levels in a passage's heading
+ * @constant {string}
+ */
+const HEADING_SEPARATOR = ' > ';
+
+/**
+ * HTML entities decoded by name
+ * @constant {Object}
+ */
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '-',
+  mdash: '-',
+  hellip: '...',
+  copy: '(c)',
+  reg: '(R)',
+  trade: '(TM)',
+  euro: 'EUR',
+  pound: 'GBP'
+};
+
+/**
+ * Guess a document's format from its source URL or content
+ *
+ * @param {string} content - Document content
+ * @param {string} [sourceUrl] - Where the document came from
+ * @returns {string} 'markdown', 'html' or 'text'
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * detectDocumentFormat('# Pricing\n\nTeam plan: $49 a month'); // 'markdown'
+ */
+function detectDocumentFormat(content, sourceUrl) {
+  const path = String(sourceUrl || '').split(/[?#]/)[0].toLowerCase();
+
+  if (/\.(md|markdown)$/.test(path)) {
+    return 'markdown';
+  }
+  if (/\.html?$/.test(path)) {
+    return 'html';
+  }
+  if (/\.txt$/.test(path)) {
+    return 'text';
+  }
+
+  const text = String(content || '').trim();
+  if (/^(<!doctype html|<html|<body|<(?:h[1-6]|p|div|section|article|ul|table)\b)/i.test(text)) {
+    return 'html';
+  }
+  if (/^#{1,6}\s+\S/m.test(text) || (/^\s*[-*]\s+\S/m.test(text) && /\[[^\]]+\]\([^)]+\)|\*\*[^*]+\*\*/.test(text))) {
+    return 'markdown';
+  }
+
+  return 'text';
+}
+
+/**
+ * Decode HTML entities
+ *
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const decoded = HTML_ENTITIES[entity.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  });
+}
+
+/**
+ * Convert HTML to Markdown-style text: headings become "#" lines, block
+ * elements become paragraphs, table cells are separated by " | " and all
+ * other markup is dropped
+ *
+ * @param {string} html - HTML document or fragment
+ * @returns {string} Text with Markdown headings
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function htmlToMarkdown(html) {
+  const text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|head|svg|nav|footer)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (match, level, inner) =>
+      `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<\/?(p|div|section|article|main|header|aside|blockquote|ul|ol|table|thead|tbody|pre|dl)\b[^>]*>/gi, '\n\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<(br|hr|tr|dt|dd)\b[^>]*\/?>/gi, '\n')
+    .replace(/<\/t[dh]\s*>\s*(?=<t[dh]\b)/gi, ' | ')
+    .replace(/<[^>]*>/g, ' ');
+
+  return decodeEntities(text);
+}
+
+/**
+ * Strip inline Markdown from a line
+ *
+ * @param {string} line - Markdown line
+ * @returns {string|null} Plain text line ('' for horizontal rules, null for table separator rows)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function stripInlineMarkdown(line) {
+  if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line) && line.includes('|')) {
+    return null;
+  }
+  if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+    return '';
+  }
+
+  return line
+    .replace(/^\s*>\s?/, '')
+    .replace(/^(\s*)[*+]\s+/, '$1- ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[\s(])[*_]([^*_\s][^*_]*?)[*_](?=[\s).,;:!?]|$)/g, '$1$2')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/^\s*\|\s*|\s*\|\s*$/g, '')
+    .replace(/\s*\|\s*/g, ' | ');
+}
+
+/**
+ * Split a document into sections of plain text, by heading
+ * Heading levels are kept as a path ("Pricing > Team plan").
+ *
+ * @param {string} content - Document content
+ * @param {string} [format='text'] - 'markdown', 'html' or 'text'
+ * @returns {Array<Object>} [{ heading, text }] - heading is null before the first heading and in text documents
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * documentToSections('# Pricing\n\n## Team plan\n\n**$49** a month', 'markdown');
+ * // [{ heading: 'Pricing > Team plan', text: '$49 a month' }]
+ */
+function documentToSections(content, format = 'text') {
+  const source = String(content || '').replace(/\r\n?/g, '\n');
+
+  if (format === 'text') {
+    return [{ heading: null, text: source }];
+  }
+
+  const markdown = format === 'html' ? htmlToMarkdown(source) : source;
+  const sections = [];
+  const headings = [];
+  let lines = [];
+  let inCodeBlock = false;
+
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    if (text) {
+      sections.push({ heading: headings.filter(Boolean).join(HEADING_SEPARATOR) || null, text });
+    }
+    lines = [];
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (inCodeBlock) {
+      lines.push(line);
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      headings.length = level;
+      headings[level - 1] = (stripInlineMarkdown(heading[2]) || '').trim();
+      continue;
+    }
+
+    const text = stripInlineMarkdown(line);
+    if (text !== null) {
+      lines.push(text);
+    }
+  }
+  flush();
+
+  return sections;
+}
+
+/**
+ * Split text that is too long for one passage at sentence ends, then words
+ *
+ * @param {string} text - Paragraph
+ * @param {number} size - Longest piece
+ * @returns {Array<string>} Pieces of at most size characters
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function splitLongText(text, size) {
+  const pieces = [];
+  let current = '';
+
+  const add = part => {
+    if (current && current.length + 1 + part.length > size) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${part}` : part;
+  };
+
+  for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+    if (sentence.length <= size) {
+      add(sentence);
+      continue;
+    }
+    for (const word of sentence.split(/\s+/)) {
+      // A single "word" longer than a passage (e.g. a data URI) is cut
+      for (let start = 0; start < word.length; start += size) {
+        add(word.slice(start, start + size));
+      }
+    }
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * The end of a passage that starts the next one, from a word boundary
+ *
+ * @param {string} text - Previous passage
+ * @param {number} overlap - Characters to carry over
+ * @returns {string} Overlap text ('' when the passage is too short to share)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function overlapTail(text, overlap) {
+  if (overlap <= 0 || text.length <= overlap) {
+    return '';
+  }
+
+  const tail = text.slice(-overlap);
+  const start = tail.search(/\s/);
+
+  return start >= 0 ? tail.slice(start).trim() : '';
+}
+
+/**
+ * Split a document into passages for embedding
+ * Paragraphs are packed together up to chunkSize; passages never span two
+ * sections, so each one has a single heading.
+ *
+ * @param {string} content - Document content
+ * @param {string} [format='text'] - 'markdown', 'html' or 'text'
+ * @param {Object} [options={}] - { chunkSize, chunkOverlap }
+ * @returns {Array<Object>} [{ index, heading, content }]
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const chunks = chunkDocument(markdown, 'markdown', { chunkSize: 800, chunkOverlap: 100 });
+ */
+function chunkDocument(content, format = 'text', options = {}) {
+  const size = Math.max(100, options.chunkSize || DEFAULT_CHUNK_OPTIONS.chunkSize);
+  const overlap = Math.min(Math.max(0, options.chunkOverlap ?? DEFAULT_CHUNK_OPTIONS.chunkOverlap), Math.floor(size / 2));
+  const chunks = [];
+
+  for (const section of documentToSections(content, format)) {
+    const paragraphs = section.text
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).filter(Boolean).join('\n'))
+      .filter(Boolean)
+      .flatMap(paragraph => (paragraph.length <= size ? [paragraph] : splitLongText(paragraph, size)));
+
+    let current = '';
+
+    for (const paragraph of paragraphs) {
+      if (current && current.length + 2 + paragraph.length > size) {
+        chunks.push({ index: chunks.length, heading: section.heading, content: current });
+        // Start the next passage with the end of this one when both fit
+        const tail = overlapTail(current, overlap);
+        current = tail && tail.length + 2 + paragraph.length <= size ? tail : '';
+      }
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+
+    if (current) {
+      chunks.push({ index: chunks.length, heading: section.heading, content: current });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Text embedded for a passage: document title and heading give it context
+ *
+ * @param {string} title - Document title
+ * @param {Object} chunk - { heading, content }
+ * @returns {string} Embedding input
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function formatChunkForEmbedding(title, chunk) {
+  const label = [title, chunk.heading].filter(Boolean).join(HEADING_SEPARATOR);
+  return label ? `${label}\n\n${chunk.content}` : chunk.content;
+}
+
+/**
+ * Scale a vector to length 1
+ *
+ * @param {Array<number>|Float32Array} vector - Embedding
+ * @returns {Float32Array|null} Unit vector, or null for an empty or zero vector
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function normalizeVector(vector) {
+  if (!vector || !vector.length) {
+    return null;
+  }
+
+  let sumOfSquares = 0;
+  for (let i = 0; i < vector.length; i++) {
+    sumOfSquares += vector[i] * vector[i];
+  }
+  if (!(sumOfSquares > 0)) {
+    return null;
+  }
+
+  const norm = Math.sqrt(sumOfSquares);
+  const unit = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    unit[i] = vector[i] / norm;
+  }
+
+  return unit;
+}
+
+/**
+ * Cosine similarity of two vectors
+ *
+ * @param {Array<number>|Float32Array} a - First vector
+ * @param {Array<number>|Float32Array} b - Second vector
+ * @returns {number} -1 to 1 (0 when the lengths differ or a vector is zero)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Rank passages by similarity to a query
+ *
+ * @param {Array<Object>} entries - Passages, each with a unit vector (see normalizeVector)
+ * @param {Float32Array} queryVector - Unit query vector
+ * @param {Object} [options={}] - Search options
+ * @param {number} [options.topK=3] - Passages to return
+ * @param {number} [options.minScore=0] - Least similarity
+ * @param {string} [options.agentConfigName] - Persona; passages for other personas are skipped
+ * @returns {Array<Object>} Best passages first, each with its score
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function rankPassages(entries, queryVector, options = {}) {
+  const topK = options.topK || 3;
+  const minScore = options.minScore || 0;
+  const ranked = [];
+
+  for (const entry of entries) {
+    if (entry.agentConfigName && entry.agentConfigName !== options.agentConfigName) {
+      continue;
+    }
+    if (!entry.vector || entry.vector.length !== queryVector.length) {
+      continue;
+    }
+
+    let score = 0;
+    for (let i = 0; i < queryVector.length; i++) {
+      score += entry.vector[i] * queryVector[i];
+    }
+
+    if (score >= minScore) {
+      ranked.push({ ...entry, score });
+    }
+  }
+
+  return ranked.sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+/**
+ * Text to search the knowledge base with for a caller turn
+ *
+ * @param {string} text - What the caller just said
+ * @param {Array<Object>} [messages=[]] - Conversation history ({ role, content })
+ * @returns {string} Search query
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * buildKnowledgeQuery('How much is it?', [{ role: 'user', content: 'Tell me about the team plan' }]);
+ * // 'Tell me about the team plan How much is it?'
+ */
+function buildKnowledgeQuery(text, messages = []) {
+  const query = String(text || '').trim();
+
+  if (query.split(/\s+/).filter(Boolean).length >= MIN_QUERY_WORDS) {
+    return query;
+  }
+
+  const previous = [...messages].reverse().find(message => message.role === 'user' && typeof message.content === 'string');
+
+  return previous ? `${previous.content.trim()} ${query}`.trim() : query;
+}
+
+/**
+ * Give passages their source IDs (S1, S2, ...) in rank order
+ *
+ * @param {Array<Object>} passages - Ranked passages
+ * @returns {Array<Object>} Passages with sourceId
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function assignSourceIds(passages) {
+  return passages.map((passage, index) => ({ ...passage, sourceId: `S${index + 1}` }));
+}
+
+/**
+ * Prompt text with the passages retrieved for a turn
+ *
+ * @param {Array<Object>} passages - Passages with sourceId, title, heading and content
+ * @returns {string} Prompt text ('' when there are no passages)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function formatKnowledgeContext(passages) {
+  if (!Array.isArray(passages) || passages.length === 0) {
+    return '';
+  }
+
+  const lines = [
+    'Knowledge base: passages that may answer the customer. For product, pricing and policy details use only these; ' +
+    'if they do not cover the question, say you will find out rather than guessing. Do not read out the source IDs.'
+  ];
+
+  for (const passage of passages) {
+    const label = [passage.title, passage.heading].filter(Boolean).join(HEADING_SEPARATOR);
+    lines.push(`[${passage.sourceId}] ${label ? `${label}: ` : ''}${passage.content.replace(/\s*\n\s*/g, ' ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * What is stored about the passages an answer was given
+ *
+ * @param {Array<Object>} passages - Passages given to the AI
+ * @returns {Array<Object>} [{ sourceId, documentId, chunkId, chunkIndex, title, heading, score }]
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function summarizeKnowledgeSources(passages) {
+  return (passages || []).map(passage => ({
+    sourceId: passage.sourceId,
+    documentId: passage.documentId,
+    chunkId: passage.chunkId,
+    chunkIndex: passage.chunkIndex,
+    title: passage.title,
+    heading: passage.heading || null,
+    score: Math.round(passage.score * 1000) / 1000
+  }));
+}
+
+module.exports = {
+  DOCUMENT_FORMATS,
+  detectDocumentFormat,
+  documentToSections,
+  chunkDocument,
+  formatChunkForEmbedding,
+  normalizeVector,
+  cosineSimilarity,
+  rankPassages,
+  buildKnowledgeQuery,
+  assignSourceIds,
+  formatKnowledgeContext,
+  summarizeKnowledgeSources
+};
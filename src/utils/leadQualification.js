@@ -0,0 +1,563 @@
+/**
+ * @fileoverview Lead qualification frameworks, slot extraction and scoring
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * A framework is a list of slots the AI tries to fill during a conversation
+ * (BANT: budget, authority, need, timeline). Each slot value carries:
+ * - confidence (0-1): how sure we are the caller said it
+ * - fit (0-1): how good the answer is for a lead ("no budget" = 0, "this week" = 1)
+ *
+ * The lead score is the weighted average of confidence x fit over all slots,
+ * so missing slots count as 0. Values come from caller turns (rule-based,
+ * conservative like customerExtraction) or from Claude's record_qualification
+ * tool. A value only replaces one recorded with at least the same confidence.
+ *
+ * Personas opt in with agent_configs.qualification:
+ *   { "framework": "bant" }
+ *   { "framework": "custom", "label": "Solar", "slots": [{ "name": "owns_home",
+ *     "label": "Owns the home", "question": "Do you own your home?", "weight": 2,
+ *     "patterns": [{ "regex": "\\bi own\\b", "confidence": 0.8, "fit": 1 }] }] }
+ * qualifiedScore / unqualifiedScore in the same object override the defaults.
+ */
+
+const { extractCustomerFields } = require('./customerExtraction');
+
+/**
+ * Qualification statuses
+ * @constant {string[]}
+ */
+const QUALIFICATION_STATUSES = ['in_progress', 'qualified', 'unqualified'];
+
+/**
+ * Longest slot value kept
+ * @constant {number}
+ */
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Words that scale a spoken amount ("5k", "ten thousand")
+ * @constant {string}
+ */
+const AMOUNT_MAGNITUDE = '(?:k|thousand|million|grand)\\b';
+
+/**
+ * Periods a recurring amount is given in ("a month", "annually")
+ * @constant {string}
+ */
+const AMOUNT_PERIOD = '(?:a month|per month|a year|per year|monthly|annually)\\b';
+
+/**
+ * Amount of money as people say it ("$5,000", "5k", "2,000 dollars a month")
+ * A bare number needs a currency sign, magnitude, "dollars" or a period, so
+ * years and other figures ("budget for 2025") are not read as amounts.
+ * @constant {string}
+ */
+const AMOUNT = [
+  `\\$\\s?\\d[\\d,.]*(?:\\s*${AMOUNT_MAGNITUDE})?(?:\\s*dollars)?(?:\\s*${AMOUNT_PERIOD})?`,
+  `\\d[\\d,.]*\\s*${AMOUNT_MAGNITUDE}(?:\\s*dollars)?(?:\\s*${AMOUNT_PERIOD})?`,
+  `\\d[\\d,.]*\\s*dollars(?:\\s*${AMOUNT_PERIOD})?`,
+  `\\d[\\d,.]*\\s*${AMOUNT_PERIOD}`
+].join('|');
+
+/**
+ * Rules that find who makes the buying decision (BANT authority, MEDDIC economic buyer)
+ * @constant {Array<Object>}
+ */
+const DECISION_MAKER_RULES = [
+  {
+    pattern: /\b(?:need to|have to|would have to|will have to|got to)\s+(?:check|talk|speak|run it|clear it)\s*(?:with|to|by|past)?\s+(?:my|our|the)\s+(boss|manager|director|partner|cfo|ceo|owner|team|board)\b/i,
+    value: match => `Needs sign-off from their ${match[1].toLowerCase()}`,
+    confidence: 0.8,
+    fit: 0.4
+  },
+  {
+    pattern: /\b(?:i'm|i am)\s+(?:the\s+)?(owner|founder|co-founder|ceo|cfo|cto|president|decision[- ]maker|one who decides|person who decides|head of [a-z]+|in charge of [a-z ]+?)\b/i,
+    value: match => `Decision maker (${match[1].toLowerCase()})`,
+    confidence: 0.85,
+    fit: 1
+  },
+  {
+    pattern: /\bi\s+(?:make|sign off on|approve)\s+(?:the\s+|all\s+|our\s+)?(?:decisions?|purchases?|purchasing|buying decisions?)\b/i,
+    value: 'Makes the decision',
+    confidence: 0.85,
+    fit: 1
+  }
+];
+
+/**
+ * Built-in frameworks
+ * @constant {Object}
+ */
+const FRAMEWORKS = {
+  bant: {
+    name: 'bant',
+    label: 'BANT',
+    slots: [
+      {
+        name: 'budget',
+        label: 'Budget',
+        question: 'Is there a budget set aside for this?',
+        weight: 1,
+        rules: [
+          {
+            pattern: /\b(?:no|don't have a|do not have a|haven't got a|there's no|there is no)\s+budget\b/i,
+            value: 'No budget',
+            confidence: 0.8,
+            fit: 0
+          },
+          {
+            pattern: new RegExp(`\\bbudget\\b[^.?!\\d$]{0,20}?(${AMOUNT})`, 'i'),
+            confidence: 0.9,
+            fit: 1
+          },
+          {
+            pattern: new RegExp(`\\b(?:we|i)\\s+(?:can|could)\\s+(?:spend|afford|pay)\\s+(?:up to\\s+|about\\s+|around\\s+)?(${AMOUNT})`, 'i'),
+            confidence: 0.85,
+            fit: 1
+          }
+        ]
+      },
+      {
+        name: 'authority',
+        label: 'Authority',
+        question: 'Who else is involved in making this decision?',
+        weight: 1,
+        rules: DECISION_MAKER_RULES
+      },
+      {
+        name: 'need',
+        label: 'Need',
+        question: 'What are you hoping this will solve for you?',
+        weight: 1,
+        rules: [
+          {
+            // Same cues as customer needs; "I need to check..." is an action, not a need
+            extract: text => {
+              const needs = (extractCustomerFields(text).needs || []).filter(need => !/^to\s/i.test(need));
+              return needs.length > 0 ? needs.join('; ') : null;
+            },
+            confidence: 0.7,
+            fit: 1
+          }
+        ]
+      },
+      {
+        name: 'timeline',
+        label: 'Timeline',
+        question: 'When are you hoping to have this in place?',
+        weight: 1,
+        rules: [
+          {
+            pattern: /\b(asap|as soon as possible|right away|immediately|urgently|this week|next week|this month|by the end of (?:the|this) month)\b/i,
+            confidence: 0.85,
+            fit: 1
+          },
+          {
+            pattern: /\b(next month|this quarter|next quarter|in (?:a|one|two|three|four|six|a few|\d+) (?:weeks?|months?)|within (?:a|one|two|three|\d+) (?:weeks?|months?)|by q[1-4])\b/i,
+            confidence: 0.8,
+            fit: 0.7
+          },
+          {
+            pattern: /\b(next year|later this year|no rush|not in a hurry|no hurry|just (?:looking|browsing|researching)|not anytime soon)\b/i,
+            confidence: 0.75,
+            fit: 0.2
+          }
+        ]
+      }
+    ]
+  },
+  meddic: {
+    name: 'meddic',
+    label: 'MEDDIC',
+    slots: [
+      {
+        name: 'metrics',
+        label: 'Metrics',
+        question: 'How would you measure success - what would you want to save or improve?',
+        weight: 1,
+        rules: [
+          {
+            pattern: /\b((?:save|cut|reduce|increase|grow|improve|double)\s+[^.?!]*?\d[^.?!]*)/i,
+            confidence: 0.6,
+            fit: 1
+          }
+        ]
+      },
+      {
+        name: 'economic_buyer',
+        label: 'Economic buyer',
+        question: 'Who signs off on a purchase like this?',
+        weight: 1,
+        rules: DECISION_MAKER_RULES
+      },
+      {
+        name: 'decision_criteria',
+        label: 'Decision criteria',
+        question: 'What matters most to you when choosing a solution?',
+        weight: 1,
+        rules: [
+          {
+            pattern: /\b(?:most important thing is|what matters most is|we care most about|it has to|it needs to|must have)\s+([^.?!]+)/i,
+            confidence: 0.6,
+            fit: 1
+          }
+        ]
+      },
+      {
+        name: 'decision_process',
+        label: 'Decision process',
+        question: 'What does the approval process look like on your side?',
+        weight: 1,
+        rules: [
+          {
+            pattern: /\b(?:need to|have to)\s+(?:go through|get approval from|get sign-off from|run it past|run it through)\s+([^.?!]+)/i,
+            confidence: 0.7,
+            fit: 0.8
+          }
+        ]
+      },
+      {
+        name: 'identify_pain',
+        label: 'Pain',
+        question: 'What is the biggest problem you are trying to fix?',
+        weight: 1,
+        rules: [
+          {
+            pattern: /\b(?:problem|issue|challenge)\s+(?:is|we have is|right now is)\s+([^.?!]+)/i,
+            confidence: 0.7,
+            fit: 1
+          },
+          {
+            pattern: /\b(?:struggling|frustrated)\s+with\s+([^.?!]+)/i,
+            confidence: 0.7,
+            fit: 1
+          }
+        ]
+      },
+      {
+        name: 'champion',
+        label: 'Champion',
+        question: 'Who on your team would push for this internally?',
+        weight: 1,
+        rules: []
+      }
+    ]
+  }
+};
+
+/**
+ * Clamp a number to 0-1
+ * @param {*} value - Number-like value
+ * @param {number} fallback - Used when value is not a number
+ * @returns {number} Value between 0 and 1
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function clampUnit(value, fallback) {
+  const number = Number(value);
+  if (value === null || value === undefined || Number.isNaN(number)) {
+    return fallback;
+  }
+  return Math.min(Math.max(number, 0), 1);
+}
+
+/**
+ * Tidy a slot value: single line, no trailing punctuation, length-limited
+ * @param {*} value - Raw value
+ * @returns {string} Clean value ('' when empty)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function cleanValue(value) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim().replace(/[,;:.]+$/, '');
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 3).trimEnd()}...` : text;
+}
+
+/**
+ * Turn a custom slot from agent_configs.qualification into a framework slot
+ * Patterns that are not valid regular expressions are dropped.
+ *
+ * @param {Object} slot - { name, label?, question?, weight?, patterns?: [{ regex, confidence?, fit? }] }
+ * @returns {Object|null} Framework slot, or null without a usable name
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function compileCustomSlot(slot) {
+  if (!slot || typeof slot.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(slot.name)) {
+    return null;
+  }
+
+  const rules = [];
+  for (const entry of Array.isArray(slot.patterns) ? slot.patterns : []) {
+    try {
+      rules.push({
+        pattern: new RegExp(entry.regex, 'i'),
+        confidence: clampUnit(entry.confidence, 0.7),
+        fit: clampUnit(entry.fit, 1)
+      });
+    } catch {
+      // Skip the bad pattern; the slot can still be filled by the AI
+    }
+  }
+
+  return {
+    name: slot.name,
+    label: slot.label || slot.name,
+    question: slot.question || null,
+    weight: Number(slot.weight) > 0 ? Number(slot.weight) : 1,
+    rules
+  };
+}
+
+/**
+ * Resolve a persona's qualification settings to a framework
+ *
+ * @param {Object|null} settings - agent_configs.qualification
+ * @param {Object} [defaults={}] - { qualifiedScore, unqualifiedScore } (see environment.getQualificationConfig)
+ * @returns {Object|null} { name, label, slots, qualifiedScore, unqualifiedScore }, or null when off or unknown
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const framework = resolveFramework({ framework: 'bant' }, config.qualification);
+ * framework.slots.map(slot => slot.name); // ['budget', 'authority', 'need', 'timeline']
+ */
+function resolveFramework(settings, defaults = {}) {
+  if (!settings || typeof settings !== 'object' || !settings.framework) {
+    return null;
+  }
+
+  const name = String(settings.framework).toLowerCase();
+  let framework = FRAMEWORKS[name] || null;
+
+  if (name === 'custom') {
+    const slots = (Array.isArray(settings.slots) ? settings.slots : []).map(compileCustomSlot).filter(Boolean);
+    framework = slots.length > 0 ? { name: 'custom', label: settings.label || 'Custom', slots } : null;
+  }
+
+  if (!framework) {
+    return null;
+  }
+
+  return {
+    ...framework,
+    qualifiedScore: Number(settings.qualifiedScore ?? defaults.qualifiedScore ?? 70),
+    unqualifiedScore: Number(settings.unqualifiedScore ?? defaults.unqualifiedScore ?? 40)
+  };
+}
+
+/**
+ * Empty qualification state for a framework
+ * @param {Object} framework - From resolveFramework()
+ * @returns {Object} { framework, slots, score, status, updatedAt }
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function createQualificationState(framework) {
+  return {
+    framework: framework.name,
+    slots: {},
+    score: 0,
+    status: 'in_progress',
+    updatedAt: null
+  };
+}
+
+/**
+ * Find slot values in one caller utterance
+ * The first matching rule of each slot wins, so rules are listed most specific first.
+ *
+ * @param {string} text - What the caller said
+ * @param {Object} framework - From resolveFramework()
+ * @returns {Object} Slot name -> { value, confidence, fit }, only for slots found
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * extractQualificationSlots("Our budget is about $5,000 a month and I'm the owner", bant);
+ * // { budget: { value: '$5,000 a month', confidence: 0.9, fit: 1 },
+ * //   authority: { value: 'Decision maker (owner)', confidence: 0.85, fit: 1 } }
+ */
+function extractQualificationSlots(text, framework) {
+  const found = {};
+  if (typeof text !== 'string' || !text.trim() || !framework) {
+    return found;
+  }
+
+  for (const slot of framework.slots) {
+    for (const rule of slot.rules || []) {
+      let value = null;
+
+      if (rule.extract) {
+        value = rule.extract(text);
+      } else {
+        const match = text.match(rule.pattern);
+        if (match) {
+          if (typeof rule.value === 'function') {
+            value = rule.value(match);
+          } else {
+            value = rule.value || match[1] || match[0];
+          }
+        }
+      }
+
+      value = value ? cleanValue(value) : '';
+      if (value) {
+        found[slot.name] = { value, confidence: rule.confidence, fit: rule.fit };
+        break;
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Merge new slot values into a qualification state
+ * Unknown slots and values below minConfidence are ignored; a value only
+ * replaces one recorded with at least the same confidence.
+ *
+ * @param {Object} state - Current state (not modified)
+ * @param {Object} framework - From resolveFramework()
+ * @param {Object} values - Slot name -> { value, confidence, fit }
+ * @param {Object} [source={}] - { source: 'caller' | 'ai', conversationId, messageId, turn }
+ * @param {number} [minConfidence=0] - Least confidence kept
+ * @returns {Object} { slots, changed: string[] }
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function mergeQualificationSlots(state, framework, values, source = {}, minConfidence = 0) {
+  const slots = { ...(state.slots || {}) };
+  const changed = [];
+  const names = framework.slots.map(slot => slot.name);
+
+  for (const [name, entry] of Object.entries(values || {})) {
+    if (!names.includes(name) || !entry) {
+      continue;
+    }
+
+    const value = cleanValue(entry.value);
+    const confidence = clampUnit(entry.confidence, 0.7);
+    const fit = clampUnit(entry.fit, 1);
+    const existing = slots[name];
+
+    if (!value || confidence < minConfidence) {
+      continue;
+    }
+    if (existing && (confidence < existing.confidence
+      || (existing.value === value && existing.fit === fit))) {
+      continue;
+    }
+
+    slots[name] = {
+      value,
+      confidence,
+      fit,
+      source: source.source || 'caller',
+      conversationId: source.conversationId || null,
+      messageId: source.messageId || null,
+      turn: source.turn || null,
+      updatedAt: new Date().toISOString()
+    };
+    changed.push(name);
+  }
+
+  return { slots, changed };
+}
+
+/**
+ * Score filled slots and decide the qualification status
+ * - qualified: score >= qualifiedScore
+ * - unqualified: every slot filled and score < unqualifiedScore
+ * - in_progress: otherwise
+ *
+ * @param {Object} framework - From resolveFramework()
+ * @param {Object} slots - Slot name -> { confidence, fit }
+ * @returns {Object} { score (0-100), status, missing: string[] }
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * scoreQualification(bant, { budget: { confidence: 0.9, fit: 1 }, need: { confidence: 0.7, fit: 1 } });
+ * // { score: 40, status: 'in_progress', missing: ['authority', 'timeline'] }
+ */
+function scoreQualification(framework, slots) {
+  let total = 0;
+  let earned = 0;
+  const missing = [];
+
+  for (const slot of framework.slots) {
+    const entry = slots && slots[slot.name];
+    total += slot.weight;
+
+    if (entry) {
+      earned += slot.weight * entry.confidence * entry.fit;
+    } else {
+      missing.push(slot.name);
+    }
+  }
+
+  const score = total > 0 ? Math.round((earned / total) * 100) : 0;
+  let status = 'in_progress';
+
+  if (score >= framework.qualifiedScore) {
+    status = 'qualified';
+  } else if (missing.length === 0 && score < framework.unqualifiedScore) {
+    status = 'unqualified';
+  }
+
+  return { score, status, missing };
+}
+
+/**
+ * Describe what is still unknown, for the system prompt
+ * Steers the AI to ask for missing slots without interrogating the caller.
+ *
+ * @param {Object} framework - From resolveFramework()
+ * @param {Object} state - Qualification state
+ * @param {Object} [options={}] - Formatting options
+ * @param {boolean} [options.canRecord=false] - The persona has the record_qualification tool
+ * @returns {string} Prompt section
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function formatQualificationContext(framework, state, options = {}) {
+  const slots = (state && state.slots) || {};
+  const missing = framework.slots.filter(slot => !slots[slot.name]);
+  const known = framework.slots.filter(slot => slots[slot.name]);
+
+  if (missing.length === 0) {
+    return `Lead qualification (${framework.label}): everything is known. Do not ask further qualifying questions.`;
+  }
+
+  const lines = [
+    `Lead qualification (${framework.label}): while helping the customer, find out the details below as the conversation allows. Answer what they asked first, ask at most one of these questions per reply, and never ask about something they already told you.`,
+    'Still to find out:',
+    ...missing.map(slot => `- ${slot.label}${slot.question ? `: ${slot.question}` : ''}`)
+  ];
+
+  if (known.length > 0) {
+    lines.push(`Known so far: ${known.map(slot => `${slot.label}: ${slots[slot.name].value}`).join('; ')}.`);
+  }
+  if (options.canRecord) {
+    lines.push('When the customer answers one of these, record it with record_qualification.');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  FRAMEWORKS,
+  QUALIFICATION_STATUSES,
+  resolveFramework,
+  createQualificationState,
+  extractQualificationSlots,
+  mergeQualificationSlots,
+  scoreQualification,
+  formatQualificationContext
+};
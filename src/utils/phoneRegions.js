@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Callee region and time zone inference from E.164 numbers
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Outbound calling rules apply in the callee's local time, so every dial needs
+ * a best guess of where the number lives:
+ * - NANP (+1) numbers resolve by area code to a state/province and time zone
+ *   (e.g. +1 305 -> US-FL, America/New_York)
+ * - Other numbers resolve by country calling code (e.g. +44 -> GB, Europe/London)
+ * Area codes and countries that span several time zones return all of them;
+ * callers should treat a number as callable only when every zone allows it.
+ *
+ * Mobile numbers keep their area code when people move, so this is the number's
+ * home region, not the callee's current location.
+ */
+
+/**
+ * NANP area codes by state/province
+ * zones is the region's main time zone; area codes listed in
+ * NANP_AREA_CODE_ZONES use their own zones instead.
+ * @constant {Object}
+ */
+const NANP_REGIONS = {
+  'US-AL': { zones: ['America/Chicago'], codes: '205 251 256 334 659 938' },
+  'US-AK': { zones: ['America/Anchorage'], codes: '907' },
+  'US-AZ': { zones: ['America/Phoenix'], codes: '480 520 602 623 928' },
+  'US-AR': { zones: ['America/Chicago'], codes: '327 479 501 870' },
+  'US-CA': {
+    zones: ['America/Los_Angeles'],
+    codes: '209 213 279 310 323 341 350 369 408 415 424 442 510 530 559 562 619 626 628 650 657 661 669 707 714 747 760 805 818 820 831 840 858 909 916 925 949 951'
+  },
+  'US-CO': { zones: ['America/Denver'], codes: '303 719 720 970 983' },
+  'US-CT': { zones: ['America/New_York'], codes: '203 475 860 959' },
+  'US-DC': { zones: ['America/New_York'], codes: '202 771' },
+  'US-DE': { zones: ['America/New_York'], codes: '302' },
+  'US-FL': {
+    zones: ['America/New_York'],
+    codes: '239 305 321 324 352 386 407 448 561 645 656 689 727 728 754 772 786 813 850 863 904 941 954'
+  },
+  'US-GA': { zones: ['America/New_York'], codes: '229 404 470 478 678 706 762 770 912 943' },
+  'US-HI': { zones: ['Pacific/Honolulu'], codes: '808' },
+  'US-IA': { zones: ['America/Chicago'], codes: '319 515 563 641 712' },
+  'US-ID': { zones: ['America/Boise'], codes: '208 986' },
+  'US-IL': { zones: ['America/Chicago'], codes: '217 224 309 312 331 447 464 618 630 708 730 773 779 815 847 861 872' },
+  'US-IN': { zones: ['America/Indiana/Indianapolis'], codes: '219 260 317 463 574 765 812 930' },
+  'US-KS': { zones: ['America/Chicago'], codes: '316 620 785 913' },
+  'US-KY': { zones: ['America/New_York'], codes: '270 364 502 606 859' },
+  'US-LA': { zones: ['America/Chicago'], codes: '225 318 337 504 985' },
+  'US-MA': { zones: ['America/New_York'], codes: '339 351 413 508 617 774 781 857 978' },
+  'US-MD': { zones: ['America/New_York'], codes: '227 240 301 410 443 667' },
+  'US-ME': { zones: ['America/New_York'], codes: '207' },
+  'US-MI': { zones: ['America/Detroit'], codes: '231 248 269 313 517 586 616 679 734 810 906 947 989' },
+  'US-MN': { zones: ['America/Chicago'], codes: '218 320 507 612 651 763 952' },
+  'US-MO': { zones: ['America/Chicago'], codes: '314 417 557 573 636 660 816 975' },
+  'US-MS': { zones: ['America/Chicago'], codes: '228 601 662 769' },
+  'US-MT': { zones: ['America/Denver'], codes: '406' },
+  'US-NC': { zones: ['America/New_York'], codes: '252 336 472 704 743 828 910 919 980 984' },
+  'US-ND': { zones: ['America/Chicago'], codes: '701' },
+  'US-NE': { zones: ['America/Chicago'], codes: '308 402 531' },
+  'US-NH': { zones: ['America/New_York'], codes: '603' },
+  'US-NJ': { zones: ['America/New_York'], codes: '201 551 609 640 732 848 856 862 908 973' },
+  'US-NM': { zones: ['America/Denver'], codes: '505 575' },
+  'US-NV': { zones: ['America/Los_Angeles'], codes: '702 725 775' },
+  'US-NY': {
+    zones: ['America/New_York'],
+    codes: '212 315 332 347 363 516 518 585 607 624 631 646 680 716 718 838 845 914 917 929 934'
+  },
+  'US-OH': { zones: ['America/New_York'], codes: '216 220 234 283 326 330 380 419 436 440 513 567 614 740 937' },
+  'US-OK': { zones: ['America/Chicago'], codes: '405 539 572 580 918' },
+  'US-OR': { zones: ['America/Los_Angeles'], codes: '458 503 541 971' },
+  'US-PA': { zones: ['America/New_York'], codes: '215 223 267 272 412 445 484 570 582 610 717 724 814 835 878' },
+  'US-PR': { zones: ['America/Puerto_Rico'], codes: '787 939' },
+  'US-RI': { zones: ['America/New_York'], codes: '401' },
+  'US-SC': { zones: ['America/New_York'], codes: '803 821 839 843 854 864' },
+  'US-SD': { zones: ['America/Chicago'], codes: '605' },
+  'US-TN': { zones: ['America/Chicago'], codes: '423 615 629 731 865 901 931' },
+  'US-TX': {
+    zones: ['America/Chicago'],
+    codes: '210 214 254 281 325 346 361 409 430 432 469 512 682 713 726 737 806 817 830 832 903 915 936 940 945 956 972 979'
+  },
+  'US-UT': { zones: ['America/Denver'], codes: '385 435 801' },
+  'US-VA': { zones: ['America/New_York'], codes: '276 434 540 571 686 703 757 804 826 948' },
+  'US-VT': { zones: ['America/New_York'], codes: '802' },
+  'US-WA': { zones: ['America/Los_Angeles'], codes: '206 253 360 425 509 564' },
+  'US-WI': { zones: ['America/Chicago'], codes: '262 274 353 414 534 608 715 920' },
+  'US-WV': { zones: ['America/New_York'], codes: '304 681' },
+  'US-WY': { zones: ['America/Denver'], codes: '307' },
+  'CA-AB': { zones: ['America/Edmonton'], codes: '368 403 587 780 825' },
+  'CA-BC': { zones: ['America/Vancouver'], codes: '236 250 604 672 778' },
+  'CA-MB': { zones: ['America/Winnipeg'], codes: '204 431 584' },
+  'CA-NB': { zones: ['America/Moncton'], codes: '428 506' },
+  'CA-NL': { zones: ['America/St_Johns'], codes: '709' },
+  'CA-NS': { zones: ['America/Halifax'], codes: '782 902' },
+  'CA-NT': { zones: ['America/Whitehorse', 'America/Edmonton', 'America/Winnipeg', 'America/Toronto'], codes: '867' },
+  'CA-ON': {
+    zones: ['America/Toronto'],
+    codes: '226 249 289 343 365 382 416 437 519 548 613 647 683 705 742 753 807 905'
+  },
+  'CA-QC': { zones: ['America/Toronto'], codes: '263 354 367 418 438 450 468 514 579 581 819 873' },
+  'CA-SK': { zones: ['America/Regina'], codes: '306 474 639' }
+};
+
+/**
+ * Area codes that straddle a time zone boundary
+ * @constant {Object}
+ */
+const NANP_AREA_CODE_ZONES = {
+  '208': ['America/Boise', 'America/Los_Angeles'],
+  '986': ['America/Boise', 'America/Los_Angeles'],
+  '219': ['America/Chicago'],
+  '574': ['America/Indiana/Indianapolis', 'America/Chicago'],
+  '812': ['America/Indiana/Indianapolis', 'America/Chicago'],
+  '930': ['America/Indiana/Indianapolis', 'America/Chicago'],
+  '270': ['America/Chicago', 'America/New_York'],
+  '364': ['America/Chicago', 'America/New_York'],
+  '620': ['America/Chicago', 'America/Denver'],
+  '785': ['America/Chicago', 'America/Denver'],
+  '308': ['America/Chicago', 'America/Denver'],
+  '605': ['America/Chicago', 'America/Denver'],
+  '701': ['America/Chicago', 'America/Denver'],
+  '541': ['America/Los_Angeles', 'America/Boise'],
+  '850': ['America/Chicago', 'America/New_York'],
+  '906': ['America/Detroit', 'America/Chicago'],
+  '423': ['America/New_York'],
+  '865': ['America/New_York'],
+  '915': ['America/Denver'],
+  '807': ['America/Toronto', 'America/Winnipeg']
+};
+
+/**
+ * Zones assumed for NANP numbers with an unknown area code
+ * (continental US and Canada, so the strictest window applies)
+ * @constant {string[]}
+ */
+const NANP_FALLBACK_ZONES = [
+  'America/Halifax',
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Los_Angeles'
+];
+
+/**
+ * Countries outside NANP by calling code
+ * Longest matching code wins (e.g. +353 before +35).
+ * @constant {Object}
+ */
+const COUNTRY_CODES = {
+  '7': { country: 'RU', zones: ['Europe/Moscow'] },
+  '27': { country: 'ZA', zones: ['Africa/Johannesburg'] },
+  '30': { country: 'GR', zones: ['Europe/Athens'] },
+  '31': { country: 'NL', zones: ['Europe/Amsterdam'] },
+  '32': { country: 'BE', zones: ['Europe/Brussels'] },
+  '33': { country: 'FR', zones: ['Europe/Paris'] },
+  '34': { country: 'ES', zones: ['Europe/Madrid', 'Atlantic/Canary'] },
+  '36': { country: 'HU', zones: ['Europe/Budapest'] },
+  '39': { country: 'IT', zones: ['Europe/Rome'] },
+  '40': { country: 'RO', zones: ['Europe/Bucharest'] },
+  '41': { country: 'CH', zones: ['Europe/Zurich'] },
+  '43': { country: 'AT', zones: ['Europe/Vienna'] },
+  '44': { country: 'GB', zones: ['Europe/London'] },
+  '45': { country: 'DK', zones: ['Europe/Copenhagen'] },
+  '46': { country: 'SE', zones: ['Europe/Stockholm'] },
+  '47': { country: 'NO', zones: ['Europe/Oslo'] },
+  '48': { country: 'PL', zones: ['Europe/Warsaw'] },
+  '49': { country: 'DE', zones: ['Europe/Berlin'] },
+  '52': { country: 'MX', zones: ['America/Mexico_City', 'America/Cancun', 'America/Chihuahua', 'America/Hermosillo', 'America/Tijuana'] },
+  '55': { country: 'BR', zones: ['America/Sao_Paulo', 'America/Manaus', 'America/Rio_Branco', 'America/Noronha'] },
+  '61': { country: 'AU', zones: ['Australia/Sydney', 'Australia/Brisbane', 'Australia/Adelaide', 'Australia/Darwin', 'Australia/Perth'] },
+  '63': { country: 'PH', zones: ['Asia/Manila'] },
+  '64': { country: 'NZ', zones: ['Pacific/Auckland'] },
+  '65': { country: 'SG', zones: ['Asia/Singapore'] },
+  '81': { country: 'JP', zones: ['Asia/Tokyo'] },
+  '82': { country: 'KR', zones: ['Asia/Seoul'] },
+  '86': { country: 'CN', zones: ['Asia/Shanghai'] },
+  '91': { country: 'IN', zones: ['Asia/Kolkata'] },
+  '351': { country: 'PT', zones: ['Europe/Lisbon', 'Atlantic/Azores'] },
+  '353': { country: 'IE', zones: ['Europe/Dublin'] },
+  '358': { country: 'FI', zones: ['Europe/Helsinki'] },
+  '420': { country: 'CZ', zones: ['Europe/Prague'] },
+  '971': { country: 'AE', zones: ['Asia/Dubai'] },
+  '972': { country: 'IL', zones: ['Asia/Jerusalem'] }
+};
+
+/**
+ * Australian geographic area codes (trunk digit after +61)
+ * Mobiles (4) and non-geographic numbers use every mainland zone.
+ * @constant {Object}
+ */
+const AU_AREA_ZONES = {
+  '2': ['Australia/Sydney'],
+  '3': ['Australia/Melbourne'],
+  '7': ['Australia/Brisbane'],
+  '8': ['Australia/Adelaide', 'Australia/Darwin', 'Australia/Perth']
+};
+
+/**
+ * Area code -> region lookup built from NANP_REGIONS
+ * @constant {Map<string, string>}
+ */
+const NANP_AREA_CODES = new Map();
+Object.entries(NANP_REGIONS).forEach(([region, { codes }]) => {
+  codes.split(' ').forEach(code => NANP_AREA_CODES.set(code, region));
+});
+
+/**
+ * E.164 phone number format
+ * @constant {RegExp}
+ */
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * Infer the region and local time zone(s) of a phone number
+ *
+ * @param {string} phoneNumber - Phone number in E.164 format
+ * @returns {Object|null} { country, region, timezones, exact }, or null when
+ *   the number is not E.164 or its country is unknown. exact is true when the
+ *   number maps to a single time zone. NANP numbers with an unknown area code
+ *   return country null and the continental US/Canada zones.
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * inferPhoneRegion('+13055550100');
+ * // { country: 'US', region: 'US-FL', timezones: ['America/New_York'], exact: true }
+ *
+ * inferPhoneRegion('+18505550100');
+ * // { country: 'US', region: 'US-FL', timezones: ['America/Chicago', 'America/New_York'], exact: false }
+ */
+function inferPhoneRegion(phoneNumber) {
+  if (typeof phoneNumber !== 'string' || !E164_PATTERN.test(phoneNumber)) {
+    return null;
+  }
+
+  const digits = phoneNumber.slice(1);
+
+  if (digits.startsWith('1')) {
+    return inferNanpRegion(digits.slice(1, 4));
+  }
+
+  for (const length of [3, 2, 1]) {
+    const entry = COUNTRY_CODES[digits.slice(0, length)];
+    if (entry) {
+      const timezones = entry.country === 'AU'
+        ? (AU_AREA_ZONES[digits.charAt(length)] || entry.zones)
+        : entry.zones;
+
+      return describeRegion(entry.country, entry.country, timezones);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a NANP area code
+ * @param {string} areaCode - Three-digit area code
+ * @returns {Object} { country, region, timezones, exact }
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function inferNanpRegion(areaCode) {
+  const region = NANP_AREA_CODES.get(areaCode);
+
+  if (!region) {
+    // Unknown, Caribbean or non-geographic (e.g. toll-free) - assume the strictest window
+    return describeRegion(null, null, NANP_FALLBACK_ZONES);
+  }
+
+  const timezones = NANP_AREA_CODE_ZONES[areaCode] || NANP_REGIONS[region].zones;
+  return describeRegion(region.slice(0, 2), region, timezones);
+}
+
+/**
+ * Build an inference result
+ * @param {string|null} country - ISO 3166-1 alpha-2 country code, null for unknown NANP area codes
+ * @param {string|null} region - Region key (e.g. 'US-FL'), null when only the country is known
+ * @param {string[]} timezones - IANA time zones
+ * @returns {Object} { country, region, timezones, exact }
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function describeRegion(country, region, timezones) {
+  return {
+    country,
+    region,
+    timezones: [...timezones],
+    exact: timezones.length === 1
+  };
+}
+
+module.exports = {
+  inferPhoneRegion
+};
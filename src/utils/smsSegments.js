@@ -0,0 +1,231 @@
+/**
+ * @fileoverview SMS encoding, segmentation and length helpers
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Carriers bill and deliver SMS in segments:
+ * - GSM-7: 160 characters in a single message, 153 per part when concatenated
+ *   (extension characters such as { } [ ] ~ ^ | \ € take two septets)
+ * - UCS-2: 70 UTF-16 code units in a single message, 67 per part
+ * A single character outside GSM-7 (an emoji, a curly quote) switches the
+ * whole message to UCS-2, so replies are normalized to GSM-7 where possible.
+ * Twilio rejects message bodies longer than 1600 characters.
+ */
+
+/**
+ * GSM 03.38 basic character set
+ * @constant {string}
+ */
+const GSM7_BASIC_CHARS = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+/**
+ * GSM 03.38 extension characters (sent as escape + character, two septets)
+ * @constant {string}
+ */
+const GSM7_EXTENDED_CHARS = '^{}\\[~]|€\f';
+
+/**
+ * Per-encoding segment sizes
+ * @constant {Object}
+ */
+const SEGMENT_LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+/**
+ * Maximum message body Twilio accepts
+ * @constant {number}
+ */
+const MAX_SMS_LENGTH = 1600;
+
+/**
+ * Suffix appended when a reply has to be cut short (GSM-7 safe)
+ * @constant {string}
+ */
+const TRUNCATION_SUFFIX = '...';
+
+/**
+ * Look-alike replacements that keep AI output inside GSM-7
+ * @constant {Array<Array>}
+ */
+const GSM7_REPLACEMENTS = [
+  [/[‘’‚‛′]/g, '\''],
+  [/[“”„‟″]/g, '"'],
+  [/[–—−]/g, '-'],
+  [/…/g, '...'],
+  [/[\u00a0\u2007\u2009\u202f]/g, ' '],
+  [/•/g, '-']
+];
+
+/**
+ * Clean up generated text for SMS delivery
+ * Replaces typographic punctuation with GSM-7 equivalents, strips markdown
+ * emphasis and headings (shown literally on phones) and trims whitespace.
+ *
+ * @param {string} text - Reply text
+ * @returns {string} Normalized text
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * normalizeSmsText('We’re open **9–5**'); // "We're open 9-5"
+ */
+function normalizeSmsText(text) {
+  let normalized = String(text || '');
+
+  for (const [pattern, replacement] of GSM7_REPLACEMENTS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+
+  return normalized
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Determine which encoding a message will be sent with
+ * @param {string} text - Message body
+ * @returns {string} 'GSM-7' or 'UCS-2'
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function getSmsEncoding(text) {
+  for (const char of String(text || '')) {
+    if (!GSM7_BASIC_CHARS.includes(char) && !GSM7_EXTENDED_CHARS.includes(char)) {
+      return 'UCS-2';
+    }
+  }
+
+  return 'GSM-7';
+}
+
+/**
+ * Length of a message in encoding units (septets or UTF-16 code units)
+ * @param {string} text - Message body
+ * @param {string} encoding - 'GSM-7' or 'UCS-2'
+ * @returns {number} Encoded length
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function getEncodedLength(text, encoding) {
+  if (encoding === 'UCS-2') {
+    return text.length;
+  }
+
+  let units = 0;
+  for (const char of text) {
+    units += GSM7_EXTENDED_CHARS.includes(char) ? 2 : 1;
+  }
+  return units;
+}
+
+/**
+ * Count the segments a message will be delivered in
+ * @param {string} text - Message body
+ * @returns {Object} { encoding, units, segments }
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * countSmsSegments('a'.repeat(161)); // { encoding: 'GSM-7', units: 161, segments: 2 }
+ */
+function countSmsSegments(text) {
+  const body = String(text || '');
+  const encoding = getSmsEncoding(body);
+  const units = getEncodedLength(body, encoding);
+  const limits = SEGMENT_LIMITS[encoding];
+
+  let segments = 1;
+  if (units > limits.single) {
+    segments = Math.ceil(units / limits.multipart);
+  }
+
+  return { encoding, units, segments };
+}
+
+/**
+ * Cut text down to a unit budget, preferring a sentence or word boundary
+ * @param {string} text - Message body
+ * @param {string} encoding - Encoding of the message
+ * @param {number} maxUnits - Budget in encoding units, including the suffix
+ * @returns {string} Truncated text
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function truncateToUnits(text, encoding, maxUnits) {
+  const budget = maxUnits - TRUNCATION_SUFFIX.length;
+
+  let prefix = '';
+  let units = 0;
+  for (const char of text) {
+    const charUnits = getEncodedLength(char, encoding);
+    if (units + charUnits > budget) {
+      break;
+    }
+    prefix += char;
+    units += charUnits;
+  }
+
+  // A complete sentence reads better than a clipped one, if it keeps most of the text
+  const sentenceEnd = Math.max(prefix.lastIndexOf('. '), prefix.lastIndexOf('! '), prefix.lastIndexOf('? '));
+  if (sentenceEnd >= prefix.length / 2) {
+    return prefix.slice(0, sentenceEnd + 1);
+  }
+
+  const wordEnd = prefix.lastIndexOf(' ');
+  const clipped = wordEnd > 0 ? prefix.slice(0, wordEnd) : prefix;
+
+  return `${clipped.replace(/[\s,;:-]+$/, '')}${TRUNCATION_SUFFIX}`;
+}
+
+/**
+ * Fit a reply into a maximum number of SMS segments
+ * Normalizes the text first so it stays in GSM-7 when it can.
+ *
+ * @param {string} text - Reply text
+ * @param {number} [maxSegments=3] - Segments allowed for one reply
+ * @returns {Object} { text, encoding, units, segments, truncated }
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const reply = fitSmsToSegments(aiResponse.text, 2);
+ * console.log(`${reply.segments} segment(s), ${reply.encoding}`);
+ */
+function fitSmsToSegments(text, maxSegments = 3) {
+  const normalized = normalizeSmsText(text);
+  const encoding = getSmsEncoding(normalized);
+  const limits = SEGMENT_LIMITS[encoding];
+  const segmentsAllowed = Math.max(1, maxSegments);
+
+  const maxUnits = Math.min(
+    segmentsAllowed === 1 ? limits.single : limits.multipart * segmentsAllowed,
+    MAX_SMS_LENGTH
+  );
+
+  let body = normalized;
+  let truncated = false;
+
+  if (getEncodedLength(body, encoding) > maxUnits || body.length > MAX_SMS_LENGTH) {
+    body = truncateToUnits(body, encoding, maxUnits);
+    truncated = true;
+  }
+
+  return { text: body, ...countSmsSegments(body), truncated };
+}
+
+module.exports = {
+  SEGMENT_LIMITS,
+  MAX_SMS_LENGTH,
+  normalizeSmsText,
+  getSmsEncoding,
+  countSmsSegments,
+  fitSmsToSegments
+};
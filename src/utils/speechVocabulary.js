@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Speech recognition vocabulary: Gather hints, speech models and transcript correction
+ * @author LegacyAI Subagent Fleet - Conversation Agent Builder
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Vocabulary terms (vocabulary_terms rows) are product names, competitor
+ * names and SKUs callers say. They are used twice:
+ * - before recognition, as <Gather> hints
+ * - after recognition, to snap what was heard to the canonical spelling
+ *   before the transcript reaches the AI
+ *
+ * Correction compares letters and digits only, so spacing, case and
+ * punctuation never matter ("sales force" = "Salesforce", "ax 200" = "AX-200").
+ * A phrase is replaced when it is a listed variant of a term, or when it is
+ * at least `threshold` similar (edit distance) to a term of 5+ characters.
+ */
+
+/**
+ * Scope precedence - a term in a more specific scope replaces the same term elsewhere
+ * @constant {Object}
+ */
+const SCOPE_PRIORITY = {
+  campaign: 3,
+  agent_config: 2,
+  global: 1
+};
+
+/**
+ * Twilio limits for the <Gather> hints attribute
+ * @constant {Object}
+ */
+const HINT_LIMITS = {
+  maxHints: 500,
+  maxHintLength: 100
+};
+
+/**
+ * Default Twilio speech models by use case
+ * - conversation: open-ended answers in the AI conversation
+ * - commands: menus and yes/no questions
+ * @constant {Object}
+ */
+const DEFAULT_SPEECH_MODELS = {
+  conversation: 'phone_call',
+  commands: 'numbers_and_commands'
+};
+
+/**
+ * Similarity (0-1) needed to correct a phrase that is not a listed variant
+ * @constant {number}
+ */
+const DEFAULT_CORRECTION_THRESHOLD = 0.8;
+
+/**
+ * Shortest term (letters and digits) corrected by similarity; shorter terms need a variant
+ * @constant {number}
+ */
+const MIN_FUZZY_LENGTH = 5;
+
+/**
+ * Most words one heard phrase may span ("a x two hundred")
+ * @constant {number}
+ */
+const MAX_PHRASE_WORDS = 6;
+
+/**
+ * Words that alone never count as a mishearing
+ * @constant {Set<string>}
+ */
+const COMMON_WORDS = new Set([
+  'a', 'about', 'and', 'are', 'but', 'can', 'for', 'from', 'have', 'how', 'i', 'is', 'it', 'my',
+  'need', 'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'there', 'this', 'to', 'we', 'what',
+  'when', 'where', 'which', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Words, with their position, in a transcript
+ * @constant {RegExp}
+ */
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Lower-case letters and digits only
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function normalizeTerm(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Levenshtein distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ * @private
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two normalized strings (1 = identical)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 0-1
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - editDistance(a, b) / length;
+}
+
+/**
+ * Merge vocabulary rows for one call
+ * Inactive rows are skipped; when a term appears in several scopes, the most
+ * specific scope's row is used (campaign, then agent config, then global)
+ * and the variants of all of them are kept.
+ *
+ * @param {Array<Object>} rows - vocabulary_terms rows
+ * @returns {Object} { terms: [{ id, term, category, variants, scope }], hints: string[] }
+ *   hints are ordered most specific scope first and fit Twilio's limits
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * const vocabulary = buildVocabulary([{ scope: 'global', term: 'Salesforce', variants: ['sales force'] }]);
+ * // vocabulary.hints => ['Salesforce']
+ */
+function buildVocabulary(rows) {
+  const byTerm = new Map();
+
+  for (const row of rows || []) {
+    const key = normalizeTerm(row.term);
+    if (!key || row.active === false) {
+      continue;
+    }
+
+    const existing = byTerm.get(key);
+    const variants = (row.variants || []).filter(variant => normalizeTerm(variant));
+
+    if (!existing || (SCOPE_PRIORITY[row.scope] || 0) > (SCOPE_PRIORITY[existing.scope] || 0)) {
+      byTerm.set(key, {
+        id: row.id || null,
+        term: row.term.trim(),
+        category: row.category || 'other',
+        // Mishearings listed in any scope still apply
+        variants: [...new Set([...variants, ...(existing ? existing.variants : [])])],
+        scope: row.scope || 'global'
+      });
+    } else {
+      existing.variants = [...new Set([...existing.variants, ...variants])];
+    }
+  }
+
+  const terms = [...byTerm.values()]
+    .sort((a, b) => (SCOPE_PRIORITY[b.scope] || 0) - (SCOPE_PRIORITY[a.scope] || 0));
+
+  return {
+    terms,
+    hints: mergeHints(terms.map(entry => entry.term))
+  };
+}
+
+/**
+ * Combine hint lists into one list that fits Twilio's limits
+ * @param {...Array<string>} lists - Hint lists, most important first
+ * @returns {string[]} Unique hints (first spelling wins)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+function mergeHints(...lists) {
+  const seen = new Set();
+  const hints = [];
+
+  for (const hint of lists.flat()) {
+    const text = String(hint || '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+    const key = text.toLowerCase();
+
+    if (!text || text.length > HINT_LIMITS.maxHintLength || seen.has(key)) {
+      continue;
+    }
+
+    seen.add(key);
+    hints.push(text);
+
+    if (hints.length === HINT_LIMITS.maxHints) {
+      break;
+    }
+  }
+
+  return hints;
+}
+
+/**
+ * <Gather> speech attributes for a use case
+ *
+ * @param {string} useCase - 'conversation' or 'commands'
+ * @param {Object} [speechConfig={}] - Speech configuration (see environment.getSpeechConfig)
+ * @param {Object} [speechConfig.models] - Speech model by use case
+ * @param {boolean} [speechConfig.enhanced=true] - Use Twilio's enhanced phone_call model
+ * @param {Array<string>} [hints=[]] - Phrases to expect
+ * @returns {Object} { speechModel, enhanced?, hints? } to spread into gather()
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * twiml.gather({ input: ['speech'], ...getGatherSpeechOptions('conversation', config.speech, vocabulary.hints) });
+ */
+function getGatherSpeechOptions(useCase, speechConfig = {}, hints = []) {
+  const settings = speechConfig || {};
+  const models = { ...DEFAULT_SPEECH_MODELS, ...(settings.models || {}) };
+  const speechModel = models[useCase] || models.conversation;
+  const merged = mergeHints(hints);
+
+  return {
+    speechModel,
+    // Twilio only offers the enhanced model for phone_call
+    ...(speechModel === 'phone_call' && settings.enhanced !== false ? { enhanced: true } : {}),
+    ...(merged.length > 0 ? { hints: merged.join(', ') } : {})
+  };
+}
+
+/**
+ * Snap misheard vocabulary in a transcript to the canonical terms
+ *
+ * @param {string} text - Transcript
+ * @param {Array<Object>} terms - Terms from buildVocabulary
+ * @param {Object} [options={}]
+ * @param {number} [options.threshold=0.8] - Similarity needed for a fuzzy correction
+ * @returns {Object} { text, corrections: [{ from, to, method, similarity, category, scope, termId }] }
+ *   method is 'variant' (listed mishearing), 'fuzzy' (similar spelling) or
+ *   'format' (same letters, different spacing/case/punctuation)
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * @example
+ * correctTranscript('do you integrate with sales force', [{ term: 'Salesforce', variants: [] }]);
+ * // => { text: 'do you integrate with Salesforce', corrections: [{ from: 'sales force', to: 'Salesforce', method: 'format', ... }] }
+ */
+function correctTranscript(text, terms, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_CORRECTION_THRESHOLD;
+  const words = [...String(text || '').matchAll(WORD_PATTERN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    normalized: normalizeTerm(match[0]),
+    common: COMMON_WORDS.has(match[0].toLowerCase())
+  }));
+
+  if (!words.length || !terms || !terms.length) {
+    return { text, corrections: [] };
+  }
+
+  const targets = terms.map(entry => ({
+    entry,
+    normalized: normalizeTerm(entry.term),
+    variants: new Set(entry.variants.map(normalizeTerm))
+  }));
+
+  const candidates = [];
+
+  for (let first = 0; first < words.length; first++) {
+    let heard = '';
+    let common = true;
+
+    for (let last = first; last < Math.min(words.length, first + MAX_PHRASE_WORDS); last++) {
+      heard += words[last].normalized;
+      common = common && words[last].common;
+
+      for (const target of targets) {
+        const length = target.normalized.length;
+        let method = null;
+        let score = 0;
+
+        if (target.variants.has(heard)) {
+          method = 'variant';
+          score = 1;
+        } else if (heard === target.normalized) {
+          method = 'format';
+          score = 1;
+        } else if (!common && length >= MIN_FUZZY_LENGTH && Math.abs(heard.length - length) <= length * 0.3) {
+          score = similarity(heard, target.normalized);
+          method = score >= threshold ? 'fuzzy' : null;
+        }
+
+        const from = text.slice(words[first].start, words[last].end);
+        if (method && from !== target.entry.term) {
+          candidates.push({ first, last, from, method, score, target });
+        }
+      }
+    }
+  }
+
+  // Best matches first; longer phrases win ties
+  candidates.sort((a, b) => b.score - a.score || (b.last - b.first) - (a.last - a.first) || a.first - b.first);
+
+  const used = new Set();
+  const chosen = [];
+  for (const candidate of candidates) {
+    let free = true;
+    for (let i = candidate.first; i <= candidate.last; i++) {
+      free = free && !used.has(i);
+    }
+    if (!free) {
+      continue;
+    }
+    for (let i = candidate.first; i <= candidate.last; i++) {
+      used.add(i);
+    }
+    chosen.push(candidate);
+  }
+
+  chosen.sort((a, b) => a.first - b.first);
+
+  let corrected = '';
+  let position = 0;
+  for (const candidate of chosen) {
+    corrected += text.slice(position, words[candidate.first].start) + candidate.target.entry.term;
+    position = words[candidate.last].end;
+  }
+  corrected += text.slice(position);
+
+  return {
+    text: corrected,
+    corrections: chosen.map(candidate => ({
+      from: candidate.from,
+      to: candidate.target.entry.term,
+      method: candidate.method,
+      similarity: Math.round(candidate.score * 100) / 100,
+      category: candidate.target.entry.category,
+      scope: candidate.target.entry.scope,
+      termId: candidate.target.entry.id || null
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_SPEECH_MODELS,
+  DEFAULT_CORRECTION_THRESHOLD,
+  HINT_LIMITS,
+  normalizeTerm,
+  similarity,
+  buildVocabulary,
+  mergeHints,
+  getGatherSpeechOptions,
+  correctTranscript
+};
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Signed per-call tokens for Twilio Media Streams connections
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * Twilio does not sign WebSocket upgrades, so the <Stream> TwiML carries a
+ * token derived from the call SID and the Twilio auth token. The token comes
+ * back in the stream "start" event, proving the stream was opened by TwiML
+ * we served for that call.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Sign a call SID for its Media Streams connection
+ * @param {string} authToken - Twilio auth token (HMAC key)
+ * @param {string} callSid - Call the stream belongs to
+ * @returns {string} Hex HMAC-SHA256 token
+ * @created 2026-10-18T10:00:00Z
+ *
+ * @example
+ * stream.parameter({ name: 'token', value: createStreamToken(authToken, callSid) });
+ */
+function createStreamToken(authToken, callSid) {
+  return crypto.createHmac('sha256', authToken).update(`media-stream:${callSid}`).digest('hex');
+}
+
+/**
+ * Check a Media Streams token against the call it claims
+ * @param {string} authToken - Twilio auth token (HMAC key)
+ * @param {string} callSid - Call SID from the stream "start" event
+ * @param {string} token - Token from the stream's custom parameters
+ * @returns {boolean} True when the token was signed for this call
+ * @created 2026-10-18T10:00:00Z
+ */
+function verifyStreamToken(authToken, callSid, token) {
+  if (!authToken || !callSid || typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(createStreamToken(authToken, callSid));
+  const actual = Buffer.from(token);
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  createStreamToken,
+  verifyStreamToken
+};
@@ -0,0 +1,566 @@
+/**
+ * @fileoverview Twilio Media Streams handler for real-time bidirectional call audio
+ * @author LegacyAI Subagent Fleet - Voice Gateway Agent
+ * @created 2026-10-18T09:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * When TWILIO_VOICE_MODE=stream, inbound calls are answered with
+ * <Connect><Stream> and Twilio opens a WebSocket to /media-stream on the main
+ * HTTP server. This module:
+ * - Decodes 8kHz μ-law caller audio and detects speech with an energy-based VAD
+ * - Transcribes each utterance with Whisper and runs a conversation turn
+ * - Synthesizes the reply sentence by sentence and streams it back as μ-law frames
+ * - Supports barge-in: caller speech during playback clears queued audio
+ * - Redirects the call to the warm-transfer webhook when escalation is detected
+ * - Only serves streams opened by our own TwiML: the "start" event must carry
+ *   the per-call token signed with the Twilio auth token (see
+ *   generateMediaStreamTwiML); other connections are closed before any audio
+ *   is processed
+ *
+ * Twilio Media Streams events handled:
+ * - connected: WebSocket handshake complete
+ * - start: Stream metadata (streamSid, callSid, custom parameters)
+ * - media: Base64 μ-law audio frame (20ms)
+ * - mark: Playback of a previously sent mark completed
+ * - stop: Stream ended (call hung up or redirected)
+ */
+
+const WebSocket = require('ws');
+const { recordSecurityEvent } = require('../middleware/twilioSignature');
+const { verifyStreamToken } = require('../utils/streamToken');
+const {
+  TWILIO_SAMPLE_RATE,
+  decodeMulaw,
+  encodeMulaw,
+  resamplePcm,
+  pcmBufferToSamples,
+  pcmToWav,
+  calculateRms,
+  splitFrames
+} = require('../utils/audioCodec');
+
+/**
+ * Duration of one Media Streams frame in milliseconds
+ * @constant {number}
+ */
+const FRAME_MS = 20;
+
+/**
+ * Sample rate of OpenAI PCM text-to-speech output
+ * @constant {number}
+ */
+const TTS_SAMPLE_RATE = 24000;
+
+/**
+ * Time a new connection has to send a valid "start" event
+ * @constant {number}
+ */
+const START_TIMEOUT_MS = 10000;
+
+/**
+ * WebSocket close code for rejected streams (policy violation)
+ * @constant {number}
+ */
+const POLICY_VIOLATION_CLOSE_CODE = 1008;
+
+/**
+ * Default voice-activity detection settings
+ * @constant {Object}
+ */
+const DEFAULT_VAD_OPTIONS = {
+  // RMS energy above which a frame is treated as speech
+  speechThreshold: 600,
+  // Trailing silence that ends an utterance
+  endOfSpeechMs: 700,
+  // Utterances shorter than this are treated as noise
+  minSpeechMs: 200,
+  // Long monologues are flushed for transcription at this length
+  maxUtteranceMs: 15000,
+  // Sustained speech during playback needed to trigger barge-in
+  bargeInMs: 300
+};
+
+/**
+ * Media Streams server attached to the main HTTP server
+ * One session is tracked per Twilio stream.
+ *
+ * @class MediaStreamServer
+ * @created 2026-10-18T09:00:00Z
+ */
+class MediaStreamServer {
+  /**
+   * Initialize Media Streams server
+   * @param {Object} config - Configuration object
+   * @param {Object} config.agents - AI agents (conversation agent is required)
+   * @param {Object} [config.openaiService] - Speech service (defaults to the conversation agent's)
+   * @param {Object} [config.wsManager] - Dashboard WebSocket manager for live transcripts
+   * @param {string} [config.path='/media-stream'] - Upgrade path Twilio connects to
+   * @param {Object} [config.vad] - Overrides for DEFAULT_VAD_OPTIONS
+   * @param {string} [config.authToken] - Twilio auth token used to verify stream tokens
+   * @param {boolean} [config.validateSignature=true] - Set false to accept unsigned streams (ignored in production)
+   * @param {string} [config.nodeEnv] - Environment name (defaults to NODE_ENV)
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  constructor(config) {
+    this.agents = config.agents;
+    this.openaiService = config.openaiService || config.agents.conversation?.openaiService;
+    this.wsManager = config.wsManager || null;
+    this.path = config.path || '/media-stream';
+    this.vad = { ...DEFAULT_VAD_OPTIONS, ...(config.vad || {}) };
+    this.authToken = config.authToken || null;
+
+    const nodeEnv = config.nodeEnv || process.env.NODE_ENV || 'development';
+    this.validateStreams = config.validateSignature !== false || nodeEnv === 'production';
+
+    if (!this.validateStreams) {
+      console.warn(`[${new Date().toISOString()}] [WARN] [MediaStreamServer] Media stream token validation DISABLED (${nodeEnv})`);
+    }
+
+    // Map of WebSocket -> session state
+    this.sessions = new Map();
+
+    this.wss = null;
+    this.httpServer = null;
+    this.upgradeHandler = null;
+
+    console.log(`[${new Date().toISOString()}] [INFO] [MediaStreamServer] Media stream server initialized - Path: ${this.path}`);
+  }
+
+  /**
+   * Attach to an HTTP server and accept Media Streams upgrades on this.path
+   * @param {http.Server} httpServer - Main HTTP server
+   * @returns {WebSocket.Server} WebSocket server instance
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const mediaStream = new MediaStreamServer({ agents });
+   * mediaStream.attach(httpServer);
+   */
+  attach(httpServer) {
+    this.httpServer = httpServer;
+    this.wss = new WebSocket.Server({ noServer: true });
+
+    this.wss.on('connection', (ws, req) => {
+      this.handleConnection(ws, req);
+    });
+
+    this.upgradeHandler = (req, socket, head) => {
+      const pathname = (req.url || '').split('?')[0];
+      if (pathname !== this.path) {
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        this.wss.emit('connection', ws, req);
+      });
+    };
+
+    httpServer.on('upgrade', this.upgradeHandler);
+
+    console.log(`[${new Date().toISOString()}] [INFO] [MediaStreamServer] Accepting Media Streams on ${this.path}`);
+    return this.wss;
+  }
+
+  /**
+   * Register a new Twilio stream connection
+   * The connection is closed unless a valid "start" event arrives within
+   * START_TIMEOUT_MS.
+   * @param {WebSocket} ws - Twilio WebSocket connection
+   * @param {http.IncomingMessage} [req] - Upgrade request
+   * @returns {Object} Session state
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  handleConnection(ws, req = null) {
+    const session = {
+      ws,
+      ip: req?.socket?.remoteAddress || null,
+      // Set once the "start" event carried a valid stream token
+      authenticated: false,
+      startTimer: null,
+      streamSid: null,
+      callSid: null,
+      from: null,
+      // Caller audio buffered for the current utterance
+      utteranceSamples: [],
+      speaking: false,
+      speechMs: 0,
+      silenceMs: 0,
+      // Playback state
+      playing: false,
+      pendingMarks: new Set(),
+      markCounter: 0,
+      // Incremented on barge-in so in-flight replies stop streaming
+      generation: 0,
+      // Serializes turns so replies are spoken in order
+      turnChain: Promise.resolve()
+    };
+
+    this.sessions.set(ws, session);
+
+    session.startTimer = setTimeout(() => {
+      if (!session.authenticated) {
+        this.rejectStream(session, 'no start event');
+      }
+    }, START_TIMEOUT_MS);
+    session.startTimer.unref?.();
+
+    ws.on('message', (raw) => {
+      this.handleMessage(session, raw);
+    });
+
+    ws.on('close', () => {
+      clearTimeout(session.startTimer);
+      this.sessions.delete(ws);
+      console.log(`[${new Date().toISOString()}] [INFO] [MediaStreamServer] Stream closed - CallSid: ${session.callSid}`);
+    });
+
+    ws.on('error', (error) => {
+      console.error(`[${new Date().toISOString()}] [ERROR] [MediaStreamServer] Stream error - CallSid: ${session.callSid}`, error);
+    });
+
+    return session;
+  }
+
+  /**
+   * Route a Twilio Media Streams message
+   * @param {Object} session - Session state
+   * @param {string|Buffer} raw - Raw JSON message
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  handleMessage(session, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      console.warn(`[${new Date().toISOString()}] [WARN] [MediaStreamServer] Ignoring malformed message`);
+      return;
+    }
+
+    // Nothing but the handshake and "start" is processed before the stream is verified
+    if (!session.authenticated && message.event !== 'connected' && message.event !== 'start') {
+      return;
+    }
+
+    switch (message.event) {
+    case 'connected':
+      break;
+
+    case 'start': {
+      const callSid = message.start?.callSid || message.start?.customParameters?.callSid;
+      if (this.validateStreams && !verifyStreamToken(this.authToken, callSid, message.start?.customParameters?.token)) {
+        this.rejectStream(session, 'invalid stream token');
+        return;
+      }
+
+      clearTimeout(session.startTimer);
+      session.authenticated = true;
+      session.streamSid = message.start.streamSid;
+      session.callSid = callSid;
+      session.from = message.start.customParameters?.from || null;
+      console.log(`[${new Date().toISOString()}] [INFO] [MediaStreamServer] Stream started - CallSid: ${session.callSid}, StreamSid: ${session.streamSid}`);
+      break;
+    }
+
+    case 'media':
+      // Only caller audio is analysed; outbound track echoes our own playback
+      if (!message.media.track || message.media.track === 'inbound') {
+        this.handleMedia(session, message.media.payload);
+      }
+      break;
+
+    case 'mark':
+      session.pendingMarks.delete(message.mark.name);
+      if (session.pendingMarks.size === 0) {
+        session.playing = false;
+      }
+      break;
+
+    case 'stop':
+      console.log(`[${new Date().toISOString()}] [INFO] [MediaStreamServer] Stream stopped - CallSid: ${session.callSid}`);
+      session.generation++;
+      session.utteranceSamples = [];
+      break;
+
+    default:
+      console.warn(`[${new Date().toISOString()}] [WARN] [MediaStreamServer] Unknown event: ${message.event}`);
+    }
+  }
+
+  /**
+   * Run voice-activity detection on one inbound audio frame
+   * @param {Object} session - Session state
+   * @param {string} payload - Base64 μ-law audio
+   * @created 2026-10-18T09:00:00Z
+   */
+  handleMedia(session, payload) {
+    const samples = decodeMulaw(Buffer.from(payload, 'base64'));
+    const isSpeech = calculateRms(samples) >= this.vad.speechThreshold;
+
+    if (isSpeech) {
+      session.speaking = true;
+      session.speechMs += FRAME_MS;
+      session.silenceMs = 0;
+      session.utteranceSamples.push(samples);
+
+      if (session.playing && session.speechMs >= this.vad.bargeInMs) {
+        this.clearPlayback(session);
+      }
+
+      if (session.utteranceSamples.length * FRAME_MS >= this.vad.maxUtteranceMs) {
+        this.finalizeUtterance(session);
+      }
+      return;
+    }
+
+    if (!session.speaking) {
+      return;
+    }
+
+    // Keep trailing silence so Whisper sees natural word endings
+    session.silenceMs += FRAME_MS;
+    session.utteranceSamples.push(samples);
+
+    if (session.silenceMs >= this.vad.endOfSpeechMs) {
+      this.finalizeUtterance(session);
+    }
+  }
+
+  /**
+   * Close the current utterance and queue it for transcription
+   * @param {Object} session - Session state
+   * @created 2026-10-18T09:00:00Z
+   */
+  finalizeUtterance(session) {
+    const frames = session.utteranceSamples;
+    const speechMs = session.speechMs;
+
+    session.utteranceSamples = [];
+    session.speaking = false;
+    session.speechMs = 0;
+    session.silenceMs = 0;
+
+    if (speechMs < this.vad.minSpeechMs) {
+      return;
+    }
+
+    const totalLength = frames.reduce((sum, frame) => sum + frame.length, 0);
+    const samples = new Int16Array(totalLength);
+    let offset = 0;
+    for (const frame of frames) {
+      samples.set(frame, offset);
+      offset += frame.length;
+    }
+
+    session.turnChain = session.turnChain
+      .then(() => this.processUtterance(session, samples))
+      .catch((error) => {
+        console.error(`[${new Date().toISOString()}] [ERROR] [MediaStreamServer] Turn failed - CallSid: ${session.callSid}`, error);
+      });
+  }
+
+  /**
+   * Transcribe an utterance, run the conversation turn and speak the reply
+   * A filler phrase is spoken while the turn's tools run.
+   * @param {Object} session - Session state
+   * @param {Int16Array} samples - 8kHz PCM utterance audio
+   * @returns {Promise<void>}
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async processUtterance(session, samples) {
+    const transcription = await this.openaiService.transcribeAudio(
+      pcmToWav(samples, TWILIO_SAMPLE_RATE),
+      { language: 'en', filename: 'utterance.wav' }
+    );
+
+    const text = (transcription.text || '').trim();
+    if (!text) {
+      return;
+    }
+
+    console.log(`[${new Date().toISOString()}] [INFO] [MediaStreamServer] Caller said - CallSid: ${session.callSid}, Length: ${text.length}`);
+
+    if (this.wsManager) {
+      this.wsManager.broadcastLiveTranscript({ callSid: session.callSid, role: 'user', text });
+    }
+
+    const generation = session.generation;
+    let filler = null;
+    const turn = await this.agents.conversation.processUserTurn({
+      callSid: session.callSid,
+      text,
+      from: session.from,
+      // Fill the silence while the persona's tools run
+      onToolStart: (fillerText, voiceSettings) => {
+        filler = this.speak(session, fillerText, voiceSettings).catch((error) => {
+          console.error(`[${new Date().toISOString()}] [ERROR] [MediaStreamServer] Filler failed - CallSid: ${session.callSid}`, error);
+        });
+      }
+    });
+
+    // The reply is queued behind the filler audio
+    if (filler) {
+      await filler;
+    }
+
+    if (this.wsManager) {
+      this.wsManager.broadcastLiveTranscript({ callSid: session.callSid, role: 'assistant', text: turn.aiResponse.text });
+    }
+
+    // Streams cannot return TwiML, so escalation redirects the live call instead
+    if (turn.sentiment?.needsEscalation && this.agents.voice?.isEscalationEnabled(turn.escalationRules)) {
+      console.log(`[${new Date().toISOString()}] [INFO] [MediaStreamServer] Escalation detected - CallSid: ${session.callSid}`);
+      await this.agents.voice.redirectToTransfer(session.callSid);
+      return;
+    }
+
+    // Caller barged in while the reply was being generated
+    if (generation !== session.generation) {
+      return;
+    }
+
+    await this.speak(session, turn.aiResponse.text, turn.voiceSettings);
+  }
+
+  /**
+   * Synthesize text and stream it to the caller sentence by sentence
+   * Starting playback after the first sentence keeps perceived latency low.
+   * @param {Object} session - Session state
+   * @param {string} text - Text to speak
+   * @param {Object} [voiceSettings] - Persona voice_settings (OpenAI voice and speed)
+   * @returns {Promise<void>}
+   * @created 2026-10-18T09:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async speak(session, text, voiceSettings = null) {
+    const generation = session.generation;
+    const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+
+    for (const sentence of sentences) {
+      const trimmed = sentence.trim();
+      if (!trimmed) {
+        continue;
+      }
+
+      const speech = await this.openaiService.synthesizeSpeech(trimmed, {
+        format: 'pcm',
+        voice: voiceSettings?.voice,
+        speed: voiceSettings?.speed
+      });
+
+      // Stop if the caller interrupted or hung up during synthesis
+      if (generation !== session.generation || session.ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      const telephony = resamplePcm(pcmBufferToSamples(speech.audio), TTS_SAMPLE_RATE, TWILIO_SAMPLE_RATE);
+      this.sendAudio(session, encodeMulaw(telephony));
+    }
+  }
+
+  /**
+   * Send μ-law audio to Twilio followed by a playback mark
+   * @param {Object} session - Session state
+   * @param {Buffer} mulaw - μ-law audio bytes
+   * @created 2026-10-18T09:00:00Z
+   */
+  sendAudio(session, mulaw) {
+    for (const frame of splitFrames(mulaw)) {
+      this.send(session, {
+        event: 'media',
+        streamSid: session.streamSid,
+        media: { payload: frame.toString('base64') }
+      });
+    }
+
+    const name = `reply-${++session.markCounter}`;
+    session.pendingMarks.add(name);
+    session.playing = true;
+
+    this.send(session, {
+      event: 'mark',
+      streamSid: session.streamSid,
+      mark: { name }
+    });
+  }
+
+  /**
+   * Barge-in: drop queued audio on Twilio and cancel in-flight replies
+   * @param {Object} session - Session state
+   * @created 2026-10-18T09:00:00Z
+   */
+  clearPlayback(session) {
+    console.log(`[${new Date().toISOString()}] [INFO] [MediaStreamServer] Barge-in detected - CallSid: ${session.callSid}`);
+
+    session.generation++;
+    session.pendingMarks.clear();
+    session.playing = false;
+
+    this.send(session, { event: 'clear', streamSid: session.streamSid });
+  }
+
+  /**
+   * Close a stream that could not prove it belongs to one of our calls
+   * @param {Object} session - Session state
+   * @param {string} reason - Why the stream was rejected (logged)
+   * @created 2026-10-18T10:00:00Z
+   * @private
+   */
+  rejectStream(session, reason) {
+    clearTimeout(session.startTimer);
+    session.generation++;
+    this.sessions.delete(session.ws);
+
+    recordSecurityEvent('invalidStreamToken', { originalUrl: this.path, ip: session.ip });
+    console.warn(`[${new Date().toISOString()}] [SECURITY] [MediaStreamServer] Rejected media stream - Reason: ${reason}`);
+
+    session.ws.close(POLICY_VIOLATION_CLOSE_CODE, 'Unauthorized');
+  }
+
+  /**
+   * Send a JSON message on the stream if it is still open
+   * @param {Object} session - Session state
+   * @param {Object} message - Media Streams message
+   * @created 2026-10-18T09:00:00Z
+   */
+  send(session, message) {
+    if (session.ws.readyState === WebSocket.OPEN) {
+      session.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Close all streams and detach from the HTTP server
+   * @returns {Promise<void>}
+   * @created 2026-10-18T09:00:00Z
+   */
+  async close() {
+    console.log(`[${new Date().toISOString()}] [INFO] [MediaStreamServer] Closing ${this.sessions.size} media stream(s)...`);
+
+    this.sessions.forEach((session) => {
+      clearTimeout(session.startTimer);
+      session.generation++;
+      session.ws.close(1000, 'Server shutdown');
+    });
+    this.sessions.clear();
+
+    if (this.httpServer && this.upgradeHandler) {
+      this.httpServer.removeListener('upgrade', this.upgradeHandler);
+    }
+
+    if (this.wss) {
+      await new Promise((resolve) => this.wss.close(() => resolve()));
+    }
+
+    console.log(`[${new Date().toISOString()}] [INFO] [MediaStreamServer] Media stream server closed`);
+  }
+}
+
+module.exports = {
+  MediaStreamServer,
+  DEFAULT_VAD_OPTIONS
+};
@@ -2,7 +2,7 @@
  * @fileoverview WebSocket server for real-time updates and live data streaming
  * @author LegacyAI Subagent Fleet - API Server & WebSocket Agent
  * @created 2025-10-01T18:00:00Z
- * @lastModified 2025-10-01T18:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This module provides WebSocket functionality for:
  * - Real-time call status updates
@@ -17,6 +17,7 @@
  * - live_transcript: Live transcription streaming during calls
  * - queue_metrics: Queue statistics and job counts
  * - agent_status: AI agent health and status
+ * - campaign_progress: Outbound campaign progress (topics 'campaigns' and 'campaign:<id>')
  * - subscribe: Client subscription to specific data streams
  * - unsubscribe: Client unsubscription from data streams
  */
@@ -258,8 +259,9 @@ class WebSocketServerManager {
    * Handle client subscription to topic
    * @param {string} clientId - Client ID
    * @param {Object} data - Subscription data
-   * @param {string} data.topic - Topic to subscribe to (calls|metrics|transcripts|agents)
+   * @param {string} data.topic - Topic to subscribe to (calls|metrics|transcripts|agents|campaigns|campaign:<id>)
    * @created 2025-10-01T18:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   handleSubscribe(clientId, data) {
     const timestamp = new Date().toISOString();
@@ -268,8 +270,9 @@ class WebSocketServerManager {
     console.log(`[${timestamp}] [INFO] [WebSocketServer] Client ${clientId} subscribing to: ${topic}`);
 
     // Validate topic
-    const validTopics = ['calls', 'metrics', 'transcripts', 'agents'];
-    if (!validTopics.includes(topic)) {
+    const validTopics = ['calls', 'metrics', 'transcripts', 'agents', 'campaigns'];
+    const isCampaignTopic = typeof topic === 'string' && /^campaign:[\w-]+$/.test(topic);
+    if (!validTopics.includes(topic) && !isCampaignTopic) {
       this.sendToClient(clientId, {
         type: 'error',
         error: `Invalid topic: ${topic}. Valid topics: ${validTopics.join(', ')}`,
@@ -488,6 +491,22 @@ class WebSocketServerManager {
     });
   }
 
+  /**
+   * Broadcast campaign progress
+   * Sent to 'campaigns' (all campaigns) and 'campaign:<id>' (one campaign)
+   * @param {Object} progressData - { campaignId, name, status, progress }
+   * @created 2026-10-18T10:00:00Z
+   */
+  broadcastCampaignProgress(progressData) {
+    const message = {
+      type: 'campaign_progress',
+      data: progressData,
+    };
+
+    this.broadcastToTopic('campaigns', message);
+    this.broadcastToTopic(`campaign:${progressData.campaignId}`, message);
+  }
+
   /**
    * Close WebSocket server
    * @returns {Promise<void>}
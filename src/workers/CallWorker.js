@@ -2,12 +2,13 @@
  * @fileoverview Call processing worker for handling call-related jobs
  * @author LegacyAI Subagent Fleet - Queue Agent
  * @created 2025-10-01T16:00:00Z
- * @lastModified 2025-10-01T16:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
  *
  * This worker processes:
  * - Call transcription jobs
  * - Call analysis jobs
  * - Post-call action jobs (summaries, follow-ups)
+ * - The repeatable call sweep (reconciles calls with no final status)
  *
  * Uses ConversationAgent and AnalyticsAgent for processing
  */
@@ -28,21 +29,31 @@ class CallWorker {
    * Initialize CallWorker with required agents
    *
    * @param {Object} config - Configuration object
+   * @param {Object} [agents={}] - Already-initialized agents to reuse
+   * @param {Object} [agents.voiceAgent] - VoiceGatewayAgent (runs the call sweep)
+   * @param {Object} [agents.conversationAgent] - ConversationAgent (created when omitted)
+   * @param {Object} [agents.analyticsAgent] - AnalyticsAgent (created when omitted)
    * @created 2025-10-01T16:00:00Z
-   * @lastModified 2025-10-01T16:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    *
    * @example
-   * const callWorker = new CallWorker(config);
+   * const callWorker = new CallWorker(config, { voiceAgent });
+   * await callWorker.initialize();
    * const processor = callWorker.getProcessor();
    */
-  constructor(config) {
+  constructor(config, agents = {}) {
     console.log(`[${new Date().toISOString()}] [INFO] [CallWorker] Initializing CallWorker`);
 
     this.config = config;
 
-    // Initialize agents
-    this.conversationAgent = new ConversationAgent(config);
-    this.analyticsAgent = new AnalyticsAgent(config);
+    // Initialize agents - injected agents are already initialized by their owner
+    this.voiceAgent = agents.voiceAgent || null;
+    this.conversationAgent = agents.conversationAgent || new ConversationAgent(config);
+    this.analyticsAgent = agents.analyticsAgent || new AnalyticsAgent(config);
+    this.ownedAgents = [
+      agents.conversationAgent ? null : this.conversationAgent,
+      agents.analyticsAgent ? null : this.analyticsAgent,
+    ].filter(Boolean);
     this.dbService = new DatabaseService();
 
     console.log(`[${new Date().toISOString()}] [INFO] [CallWorker] CallWorker initialized`);
@@ -53,15 +64,16 @@ class CallWorker {
    *
    * @returns {Promise<void>}
    * @created 2025-10-01T16:00:00Z
-   * @lastModified 2025-10-01T16:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   async initialize() {
     try {
       console.log(`[${new Date().toISOString()}] [INFO] [CallWorker] Initializing worker dependencies`);
 
-      // Initialize all agents
-      await this.conversationAgent.initialize();
-      await this.analyticsAgent.initialize();
+      // Initialize the agents this worker created
+      for (const agent of this.ownedAgents) {
+        await agent.initialize();
+      }
       await this.dbService.initialize();
 
       console.log(`[${new Date().toISOString()}] [INFO] [CallWorker] Worker initialization complete`);
@@ -93,7 +105,7 @@ class CallWorker {
    * @param {Object} job.data.data - Action-specific data
    * @returns {Promise<Object>} Job result
    * @created 2025-10-01T16:00:00Z
-   * @lastModified 2025-10-01T16:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   async processJob(job) {
     const startTime = Date.now();
@@ -121,6 +133,10 @@ class CallWorker {
           result = await this.processPostCallActions(callSid, data, job);
           break;
 
+        case 'reconcile_calls':
+          result = await this.processCallSweep(job);
+          break;
+
         default:
           throw new Error(`Unknown action type: ${action}`);
       }
@@ -278,14 +294,21 @@ class CallWorker {
    * @param {Object} job - BullMQ job object
    * @returns {Promise<Object>} Post-call actions result
    * @created 2025-10-01T16:00:00Z
-   * @lastModified 2025-10-01T16:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    * @private
    */
   async processPostCallActions(callSid, data, job) {
     console.log(`[${new Date().toISOString()}] [INFO] [CallWorker] Processing post-call actions for ${callSid}`);
 
     try {
-      const { conversationId, conversationData } = data;
+      const { conversationId } = data;
+      let conversationData = data.conversationData;
+
+      // Finalization queues the conversation row; the summary also needs its messages
+      if (conversationId && !conversationData?.messages) {
+        const messagesResult = await this.dbService.getConversationMessages(conversationId, { order: 'asc' });
+        conversationData = { ...conversationData, messages: messagesResult.data || [] };
+      }
 
       await job.updateProgress(25);
 
@@ -299,12 +322,13 @@ class CallWorker {
 
       await job.updateProgress(75);
 
-      // Update conversation status
+      // Record results - status and ended_at were already set when the call ended
       if (conversationId) {
+        const current = await this.dbService.getConversation(conversationId);
+
         await this.dbService.updateConversation(conversationId, {
-          status: 'ended',
-          ended_at: new Date().toISOString(),
           metadata: {
+            ...(current.data?.metadata || {}),
             summary,
             needsFollowUp,
             postCallActionsCompletedAt: new Date().toISOString(),
@@ -328,6 +352,31 @@ class CallWorker {
     }
   }
 
+  /**
+   * Run the call sweep (reconcile calls whose final status never arrived)
+   *
+   * @param {Object} job - BullMQ job object
+   * @returns {Promise<Object>} Sweep summary
+   * @throws {Error} If no VoiceGatewayAgent was provided or the sweep fails
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   * @private
+   */
+  async processCallSweep(job) {
+    if (!this.voiceAgent) {
+      throw new Error('Call sweep requires a VoiceGatewayAgent');
+    }
+
+    await job.updateProgress(20);
+
+    const result = await this.voiceAgent.reconcileOpenCalls();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  }
+
   /**
    * Generate call summary from conversation data
    *
@@ -391,19 +440,17 @@ class CallWorker {
    *
    * @returns {Promise<void>}
    * @created 2025-10-01T16:00:00Z
-   * @lastModified 2025-10-01T16:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
    */
   async shutdown() {
     console.log(`[${new Date().toISOString()}] [INFO] [CallWorker] Shutting down CallWorker`);
 
     try {
-      // Shutdown agents if they have shutdown methods
-      if (this.conversationAgent.shutdown) {
-        await this.conversationAgent.shutdown();
-      }
-
-      if (this.analyticsAgent.shutdown) {
-        await this.analyticsAgent.shutdown();
+      // Shutdown the agents this worker created (injected ones belong to their owner)
+      for (const agent of this.ownedAgents) {
+        if (agent.shutdown) {
+          await agent.shutdown();
+        }
       }
 
       console.log(`[${new Date().toISOString()}] [INFO] [CallWorker] Shutdown complete`);
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Campaign worker for handling outbound campaign dialer jobs
+ * @author LegacyAI Subagent Fleet - Queue Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * This worker processes:
+ * - Dispatch jobs (pick the next batch of contacts for a running campaign)
+ * - Dial jobs (place one campaign call)
+ *
+ * Uses the running CampaignAgent, which holds the VoiceGatewayAgent and QueueManager
+ */
+
+/**
+ * CampaignWorker class - Processes campaign queue jobs
+ *
+ * @class CampaignWorker
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class CampaignWorker {
+  /**
+   * Initialize CampaignWorker
+   *
+   * @param {Object} campaignAgent - Initialized CampaignAgent instance
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const campaignWorker = new CampaignWorker(agents.campaign);
+   * await queueManager.setupWorkers({ campaignProcessor: campaignWorker.getProcessor() });
+   */
+  constructor(campaignAgent) {
+    console.log(`[${new Date().toISOString()}] [INFO] [CampaignWorker] Initializing CampaignWorker`);
+
+    this.campaignAgent = campaignAgent;
+
+    console.log(`[${new Date().toISOString()}] [INFO] [CampaignWorker] CampaignWorker initialized`);
+  }
+
+  /**
+   * Get the job processor function for BullMQ Worker
+   *
+   * @returns {Function} Processor function
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getProcessor() {
+    // Return bound processor function to maintain 'this' context
+    return this.processJob.bind(this);
+  }
+
+  /**
+   * Process a campaign job based on type
+   *
+   * @param {Object} job - BullMQ job object
+   * @param {Object} job.data - Job data
+   * @param {string} job.data.type - Job type ('dispatch' or 'dial')
+   * @param {Object} job.data.data - { campaignId, token } plus contactId for dial jobs
+   * @returns {Promise<Object>} Job result
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async processJob(job) {
+    const startTime = Date.now();
+    console.log(`[${new Date().toISOString()}] [INFO] [CampaignWorker] Processing job ${job.id}: ${job.data.type}`);
+
+    try {
+      const { type, data } = job.data;
+
+      let result;
+
+      // Route to appropriate handler based on type
+      switch (type) {
+      case 'dispatch':
+        result = await this.campaignAgent.dispatchCampaign(data);
+        break;
+
+      case 'dial':
+        result = await this.campaignAgent.dialContact(data);
+        break;
+
+      default:
+        throw new Error(`Unknown campaign job type: ${type}`);
+      }
+
+      const processingTime = Date.now() - startTime;
+      console.log(`[${new Date().toISOString()}] [INFO] [CampaignWorker] Job ${job.id} completed in ${processingTime}ms`);
+
+      // Campaign jobs are not retried by the queue - failed calls are retried by the dialer
+      return {
+        success: result.success,
+        result: result.data,
+        error: result.error,
+        processingTimeMs: processingTime,
+        completedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+      console.error(`[${new Date().toISOString()}] [ERROR] [CampaignWorker] Job ${job.id} failed after ${processingTime}ms:`, error);
+
+      throw error;
+    }
+  }
+}
+
+module.exports = CampaignWorker;
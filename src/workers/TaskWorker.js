@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Task worker for the scheduled-task sweep job
+ * @author LegacyAI Subagent Fleet - Queue Agent
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ *
+ * This worker processes:
+ * - Sweep jobs (claim and run every due scheduled task)
+ *
+ * Uses the running TaskSchedulerAgent, which holds the task handler registry
+ */
+
+/**
+ * TaskWorker class - Processes tasks queue jobs
+ *
+ * @class TaskWorker
+ * @created 2026-10-18T10:00:00Z
+ * @lastModified 2026-10-18T10:00:00Z
+ */
+class TaskWorker {
+  /**
+   * Initialize TaskWorker
+   *
+   * @param {Object} taskScheduler - Initialized TaskSchedulerAgent instance
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   *
+   * @example
+   * const taskWorker = new TaskWorker(agents.scheduler);
+   * await queueManager.setupWorkers({ taskProcessor: taskWorker.getProcessor() });
+   */
+  constructor(taskScheduler) {
+    console.log(`[${new Date().toISOString()}] [INFO] [TaskWorker] Initializing TaskWorker`);
+
+    this.taskScheduler = taskScheduler;
+
+    console.log(`[${new Date().toISOString()}] [INFO] [TaskWorker] TaskWorker initialized`);
+  }
+
+  /**
+   * Get the job processor function for BullMQ Worker
+   *
+   * @returns {Function} Processor function
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  getProcessor() {
+    // Return bound processor function to maintain 'this' context
+    return this.processJob.bind(this);
+  }
+
+  /**
+   * Process a tasks queue job based on type
+   *
+   * @param {Object} job - BullMQ job object
+   * @param {Object} job.data - Job data
+   * @param {string} job.data.type - Job type ('sweep')
+   * @returns {Promise<Object>} Job result
+   * @created 2026-10-18T10:00:00Z
+   * @lastModified 2026-10-18T10:00:00Z
+   */
+  async processJob(job) {
+    const startTime = Date.now();
+    console.log(`[${new Date().toISOString()}] [INFO] [TaskWorker] Processing job ${job.id}: ${job.data.type}`);
+
+    try {
+      const { type } = job.data;
+
+      let result;
+
+      // Route to appropriate handler based on type
+      switch (type) {
+      case 'sweep':
+        result = await this.taskScheduler.runDueTasks();
+        break;
+
+      default:
+        throw new Error(`Unknown task job type: ${type}`);
+      }
+
+      const processingTime = Date.now() - startTime;
+      console.log(`[${new Date().toISOString()}] [INFO] [TaskWorker] Job ${job.id} completed in ${processingTime}ms`);
+
+      // Sweeps are not retried by the queue - failed tasks are retried by the scheduler
+      return {
+        success: result.success,
+        result: result.data,
+        error: result.error,
+        processingTimeMs: processingTime,
+        completedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+      console.error(`[${new Date().toISOString()}] [ERROR] [TaskWorker] Job ${job.id} failed after ${processingTime}ms:`, error);
+
+      throw error;
+    }
+  }
+}
+
+module.exports = TaskWorker;